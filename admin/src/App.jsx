@@ -10,6 +10,8 @@ import Orders from "./pages/Orders/Orders";
 import Drivers from "./pages/Drivers/Drivers";
 import Zones from "./pages/Zones/Zones";
 import Categories from "./pages/Categories/Categories";
+import Store from "./pages/Store/Store";
+import Coupons from "./pages/Coupons/Coupons";
 import "./App.css";
 
 const App = () => {
@@ -31,6 +33,8 @@ const App = () => {
              <Route path="/drivers" element={<Drivers url={url} />} />
              <Route path="/zones" element={<Zones url={url} />} />
              <Route path="/categories" element={<Categories url={url} />} />
+             <Route path="/store" element={<Store url={url} />} />
+             <Route path="/coupons" element={<Coupons url={url} />} />
            </Routes>
          </div>
        </>
@@ -39,6 +39,8 @@ const CategoryCard = ({ category, onEdit, onDelete, onToggleStatus }) => {
           <div className="category-image">
             <SafeImage 
               src={category.image}
+              variants={category.imageVariants}
+              sizes="50px"
               baseUrl={url}
               fallback="/placeholder-category.svg"
               alt={category.name}
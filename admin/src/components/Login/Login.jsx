@@ -2,16 +2,17 @@ import React, { useContext, useEffect } from "react";
 import "./Login.css";
 import { useState } from "react";
 import { toast } from "react-toastify";
-import axios from "axios";
 import { StoreContext } from "../../context/StoreContext";
 import {useNavigate } from "react-router-dom";
 import { getAdminTranslation } from "../../constants/adminTranslations";
+import { loginWithPassword } from "../../services/authAPI";
 
 const Login = ({ url }) => {
   const navigate=useNavigate();
-  const {admin,setAdmin,token, setToken } = useContext(StoreContext);
+  const {admin, token, saveSession } = useContext(StoreContext);
   const [data, setData] = useState({
     name: "",
+    password: "",
   });
   const onChangeHandler = (event) => {
     const name = event.target.name;
@@ -20,20 +21,17 @@ const Login = ({ url }) => {
   };
   const onLogin = async (event) => {
     event.preventDefault();
-    const response = await axios.post(url + "/api/user/login", data);
-    if (response.data.success) {
+    try {
+      const response = await loginWithPassword(url, data);
       if (response.data.role === "admin") {
-        setToken(response.data.token);
-        setAdmin(true);
-        localStorage.setItem("token", response.data.token);
-        localStorage.setItem("admin", true);
+        saveSession(response.data);
         toast.success(getAdminTranslation('authentication.loginSuccessfully', 'Login Successfully'));
         navigate("/add")
       }else{
         toast.error(getAdminTranslation('authentication.notAdmin', 'You are not an admin'));
       }
-    } else {
-      toast.error(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || getAdminTranslation('messages.connectionError', 'Connection error'));
     }
   };
   useEffect(()=>{
@@ -54,6 +52,16 @@ const Login = ({ url }) => {
             value={data.name}
             type="text"
             placeholder={getAdminTranslation('authentication.adminName', 'Admin name')}
+            autoComplete="username"
+            required
+          />
+          <input
+            name="password"
+            onChange={onChangeHandler}
+            value={data.password}
+            type="password"
+            placeholder={getAdminTranslation('authentication.password', 'Password')}
+            autoComplete="current-password"
             required
           />
         </div>
@@ -8,12 +8,9 @@ import { getAdminTranslation } from "../../constants/adminTranslations";
 
 const Navbar = () => {
   const navigate=useNavigate();
-  const {token, admin, setAdmin, setToken } = useContext(StoreContext);
-  const logout=()=>{
-    localStorage.removeItem("token");
-    localStorage.removeItem("admin");
-    setToken("");
-    setAdmin(false);
+  const {token, admin, logout: endSession } = useContext(StoreContext);
+  const logout=async()=>{
+    await endSession();
     toast.success(getAdminTranslation('authentication.logoutSuccessfully', 'Logout Successfully'))
     navigate("/");
   }
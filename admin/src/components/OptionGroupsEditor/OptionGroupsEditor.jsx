@@ -0,0 +1,111 @@
+import React from "react";
+import "./OptionGroupsEditor.css";
+import { getAdminTranslation } from "../../constants/adminTranslations";
+
+const emptyOption = () => ({ name: "", price: "" });
+const emptyGroup = () => ({ name: "", min: 0, max: 1, options: [emptyOption()] });
+
+/**
+ * Option groups of a product (sizes, add-ons, required choices)
+ * Each group has min/max choices; each option an extra price. The server
+ * validates the groups again when the product is saved.
+ */
+const OptionGroupsEditor = ({ groups, onChange }) => {
+  const updateGroup = (index, changes) =>
+    onChange(groups.map((group, current) => (current === index ? { ...group, ...changes } : group)));
+
+  const updateOption = (groupIndex, optionIndex, changes) =>
+    updateGroup(groupIndex, {
+      options: groups[groupIndex].options.map((option, current) =>
+        current === optionIndex ? { ...option, ...changes } : option
+      ),
+    });
+
+  const removeOption = (groupIndex, optionIndex) =>
+    updateGroup(groupIndex, {
+      options: groups[groupIndex].options.filter((_, current) => current !== optionIndex),
+    });
+
+  return (
+    <div className="option-groups flex-col">
+      <p>{getAdminTranslation("products.optionGroups", "Opções do produto")}</p>
+      {groups.map((group, groupIndex) => (
+        <div key={groupIndex} className="option-group">
+          <div className="option-group-header">
+            <input
+              type="text"
+              value={group.name}
+              onChange={(e) => updateGroup(groupIndex, { name: e.target.value })}
+              placeholder={getAdminTranslation("products.groupNamePlaceholder", "Ex.: Tamanho, Adicionais")}
+              required
+            />
+            <label>
+              {getAdminTranslation("products.minChoices", "Mín.")}
+              <input
+                type="number"
+                min="0"
+                value={group.min}
+                onChange={(e) => updateGroup(groupIndex, { min: Number(e.target.value) })}
+              />
+            </label>
+            <label>
+              {getAdminTranslation("products.maxChoices", "Máx.")}
+              <input
+                type="number"
+                min="1"
+                value={group.max}
+                onChange={(e) => updateGroup(groupIndex, { max: Number(e.target.value) })}
+              />
+            </label>
+            <button
+              type="button"
+              className="option-remove"
+              onClick={() => onChange(groups.filter((_, current) => current !== groupIndex))}
+            >
+              {getAdminTranslation("products.removeGroup", "Remover grupo")}
+            </button>
+          </div>
+          {group.options.map((option, optionIndex) => (
+            <div key={optionIndex} className="option-row">
+              <input
+                type="text"
+                value={option.name}
+                onChange={(e) => updateOption(groupIndex, optionIndex, { name: e.target.value })}
+                placeholder={getAdminTranslation("products.optionName", "Nome da opção")}
+                required
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={option.price}
+                onChange={(e) => updateOption(groupIndex, optionIndex, { price: e.target.value })}
+                placeholder={getAdminTranslation("products.optionPrice", "+ R$")}
+              />
+              <button
+                type="button"
+                className="option-remove"
+                onClick={() => removeOption(groupIndex, optionIndex)}
+                disabled={group.options.length === 1}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            className="option-add"
+            onClick={() => updateGroup(groupIndex, { options: [...group.options, emptyOption()] })}
+          >
+            {getAdminTranslation("products.addOption", "+ Opção")}
+          </button>
+        </div>
+      ))}
+      <button type="button" className="option-add" onClick={() => onChange([...groups, emptyGroup()])}>
+        {getAdminTranslation("products.addGroup", "+ Grupo de opções")}
+      </button>
+    </div>
+  );
+};
+
+export default OptionGroupsEditor;
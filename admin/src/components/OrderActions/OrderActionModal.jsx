@@ -0,0 +1,115 @@
+import React, { useState } from "react";
+import "./OrderActionModal.css";
+import { getAdminTranslation } from "../../constants/adminTranslations";
+
+/**
+ * Cancel or refund an order
+ * Both actions need a reason. Quantities left at zero mean a full refund of
+ * the remaining amount; otherwise only the selected items are refunded.
+ * Quantities are per order line: the same food can be on several lines.
+ */
+const OrderActionModal = ({ order, mode, onConfirm, onClose }) => {
+  const [reason, setReason] = useState("");
+  const [quantities, setQuantities] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const isCancel = mode === "cancel";
+  const canRefund = order.refundableAmount > 0;
+
+  const selectedItems = Object.entries(quantities)
+    .filter(([, quantity]) => quantity > 0)
+    .map(([line, quantity]) => ({ line: Number(line), quantity }));
+
+  const selectedAmount = order.items.reduce(
+    (total, item, line) => total + (quantities[line] || 0) * item.price,
+    0
+  );
+
+  const onQuantityChange = (line, value, max) => {
+    const quantity = Math.max(0, Math.min(max, parseInt(value) || 0));
+    setQuantities((prev) => ({ ...prev, [line]: quantity }));
+  };
+
+  const onSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    try {
+      await onConfirm({ reason: reason.trim(), items: selectedItems });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="order-action-overlay">
+      <form className="order-action-modal" onSubmit={onSubmit}>
+        <div className="order-action-header">
+          <h3>
+            {isCancel
+              ? getAdminTranslation('orders.cancelOrder', 'Cancel order')
+              : getAdminTranslation('orders.refundOrder', 'Refund order')}
+            {" #" + order._id.slice(-6)}
+          </h3>
+        </div>
+
+        <div className="order-action-body">
+          <label>{getAdminTranslation('orders.reason', 'Reason')}</label>
+          <textarea
+            required
+            maxLength={500}
+            rows={3}
+            value={reason}
+            onChange={(event) => setReason(event.target.value)}
+            placeholder={getAdminTranslation('orders.reasonPlaceholder', 'Why?')}
+          />
+
+          {canRefund ? (
+            <>
+              <p className="order-action-hint">
+                {getAdminTranslation('orders.refundHint', 'Leave all quantities at 0 to refund the remaining amount')}
+                {" (R$ " + Number(order.refundableAmount).toFixed(2) + ")"}
+              </p>
+              {order.items.map((item, line) => (
+                <div key={line} className="order-action-item">
+                  <span>
+                    {item.name}
+                    {item.options?.length ? ` [${item.options.map((option) => option.name).join(", ")}]` : ""}
+                    {item.note ? ` (${item.note})` : ""}
+                    {" "}(x{item.quantity})
+                  </span>
+                  <input
+                    type="number"
+                    min="0"
+                    max={item.quantity}
+                    value={quantities[line] || 0}
+                    onChange={(event) => onQuantityChange(line, event.target.value, item.quantity)}
+                  />
+                </div>
+              ))}
+              <p className="order-action-total">
+                {getAdminTranslation('orders.refundAmount', 'Refund')}: R$ {
+                  (selectedItems.length > 0 ? Math.min(selectedAmount, order.refundableAmount) : order.refundableAmount).toFixed(2)
+                }
+              </p>
+            </>
+          ) : (
+            <p className="order-action-hint">
+              {getAdminTranslation('orders.noRefundNeeded', 'This order has no payment to refund')}
+            </p>
+          )}
+        </div>
+
+        <div className="order-action-actions">
+          <button type="button" className="order-action-close" onClick={onClose} disabled={submitting}>
+            {getAdminTranslation('messages.cancel', 'Cancel')}
+          </button>
+          <button type="submit" className="order-action-confirm" disabled={submitting || (!isCancel && !canRefund)}>
+            {getAdminTranslation('messages.confirm', 'Confirm')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default OrderActionModal;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import OrderActionModal from '../OrderActionModal';
+
+describe('OrderActionModal Component', () => {
+  const order = {
+    _id: '65a1b2c3d4e5f6a7b8c9d0e1',
+    refundableAmount: 29,
+    items: [
+      { _id: 'pastel', name: 'Pastel', price: 8.5, quantity: 2 },
+      { _id: 'pastel', name: 'Pastel', price: 12, quantity: 1, options: [{ name: 'Catupiry', price: 3.5 }] }
+    ]
+  };
+
+  it('refunds the same food on each of its lines separately', async () => {
+    const onConfirm = vi.fn().mockResolvedValue();
+    render(<OrderActionModal order={order} mode="refund" onConfirm={onConfirm} onClose={vi.fn()} />);
+
+    expect(screen.getByText(/Catupiry/)).toBeInTheDocument();
+    const [plain, withCheese] = screen.getAllByRole('spinbutton');
+    fireEvent.change(withCheese, { target: { value: '1' } });
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: 'Recheio errado' } });
+
+    expect(plain).toHaveValue(0);
+    expect(screen.getByText(/R\$ 12.00/)).toBeInTheDocument();
+
+    fireEvent.submit(withCheese.closest('form'));
+
+    expect(onConfirm).toHaveBeenCalledWith({ reason: 'Recheio errado', items: [{ line: 1, quantity: 1 }] });
+    await waitFor(() => expect(screen.getAllByRole('button').every((button) => !button.disabled)).toBe(true));
+  });
+});
@@ -3,7 +3,8 @@ import {
   resolveImageUrl, 
   isCategoryImage, 
   getCategoryLazyLoadConfig,
-  getCacheOptimizedImageUrl 
+  getCacheOptimizedImageUrl,
+  buildImageSrcSet
 } from '../../utils/imageUtils';
 
 /**
@@ -20,6 +21,8 @@ import {
  * @param {number} props.threshold - Intersection observer threshold (auto-optimized for categories)
  * @param {string} props.categoryId - Category ID for cache optimization
  * @param {string} props.priority - Loading priority ('high', 'normal', 'low')
+ * @param {Object} props.variants - Responsive variants of the image (imageVariants), rendered as srcset
+ * @param {string} props.sizes - Rendered width of the image for the srcset, e.g. '(max-width: 600px) 100vw, 360px'
  * @param {Function} props.onLoad - Callback when image loads successfully
  * @param {Function} props.onError - Callback when image fails to load
  * @param {Function} props.onIntersect - Callback when image enters viewport
@@ -37,6 +40,8 @@ const SafeImage = ({
   threshold,
   categoryId,
   priority,
+  variants,
+  sizes,
   onLoad,
   onError,
   onIntersect,
@@ -47,6 +52,8 @@ const SafeImage = ({
   const [isLoading, setIsLoading] = useState(true);
   const [isIntersecting, setIsIntersecting] = useState(!lazy);
   const [retryCount, setRetryCount] = useState(0);
+  // The variants could not be loaded; the plain image is used instead
+  const [variantsFailed, setVariantsFailed] = useState(false);
   const imgRef = useRef(null);
   const observerRef = useRef(null);
 
@@ -58,6 +65,7 @@ const SafeImage = ({
   const effectiveRootMargin = rootMargin || (lazy ? lazyConfig.rootMargin : '10px');
   const effectiveThreshold = threshold || (lazy ? lazyConfig.threshold : 0.5);
   const effectivePriority = priority || (isCategory ? 'high' : 'normal');
+  const srcSet = baseUrl && !variantsFailed && !hasError ? buildImageSrcSet(variants, baseUrl) : undefined;
 
   // Intersection Observer for lazy loading
   useEffect(() => {
@@ -97,6 +105,7 @@ const SafeImage = ({
     setHasError(false);
     setIsLoading(true);
     setRetryCount(0);
+    setVariantsFailed(false);
     
     if (src && src.startsWith('http')) {
       // Handle absolute URLs - use directly without baseUrl
@@ -128,6 +137,11 @@ const SafeImage = ({
   };
 
   const handleError = (event) => {
+    if (srcSet) {
+      setVariantsFailed(true);
+      return;
+    }
+
     setIsLoading(false);
     
     if (!hasError) {
@@ -171,6 +185,8 @@ const SafeImage = ({
     <img
       ref={imgRef}
       src={imageSrc}
+      srcSet={srcSet}
+      sizes={srcSet ? sizes : undefined}
       alt={alt}
       className={`safe-image ${isLoading ? 'loading' : ''} ${hasError ? 'error' : ''} ${className}`}
       style={style}
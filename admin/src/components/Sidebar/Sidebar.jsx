@@ -31,6 +31,14 @@ const Sidebar = () => {
           <img src={assets.add_icon} alt="" />
           <p>{getAdminTranslation('navigation.categories', 'Categories')}</p>
         </NavLink>
+        <NavLink to='store' className="sidebar-option">
+          <img src={assets.order_icon} alt="" />
+          <p>{getAdminTranslation('navigation.store', 'Store Hours')}</p>
+        </NavLink>
+        <NavLink to='coupons' className="sidebar-option">
+          <img src={assets.add_icon} alt="" />
+          <p>{getAdminTranslation('navigation.coupons', 'Coupons')}</p>
+        </NavLink>
       </div>
     </div>
   )
@@ -8,6 +8,8 @@ export const ADMIN_TRANSLATIONS = {
   authentication: {
     login: "Entrar",
     adminName: "Nome do Administrador",
+    password: "Senha",
+    sessionExpired: "Sua sessão expirou. Faça login novamente.",
     loginSuccessfully: "Login realizado com sucesso",
     notAdmin: "Você não é um administrador",
     pleaseLoginFirst: "Por favor, faça login primeiro",
@@ -22,7 +24,9 @@ export const ADMIN_TRANSLATIONS = {
     orders: "Pedidos",
     drivers: "Entregadores",
     deliveryZones: "Zonas de Entrega",
-    categories: "Categorias"
+    categories: "Categorias",
+    store: "Horários da Loja",
+    coupons: "Cupons"
   },
 
   // Product Management
@@ -45,25 +49,90 @@ export const ADMIN_TRANSLATIONS = {
     productRemoved: "Produto removido com sucesso",
     errorAddingProduct: "Erro ao adicionar produto",
     errorRemovingProduct: "Erro ao remover produto",
-    selectCategory: "Selecione uma categoria"
+    selectCategory: "Selecione uma categoria",
+    optionGroups: "Opções do produto",
+    groupNamePlaceholder: "Ex.: Tamanho, Adicionais",
+    minChoices: "Mín.",
+    maxChoices: "Máx.",
+    removeGroup: "Remover grupo",
+    optionName: "Nome da opção",
+    optionPrice: "+ R$",
+    addOption: "+ Opção",
+    addGroup: "+ Grupo de opções",
+    available: "Disponível",
+    stock: "Estoque",
+    availabilityUpdated: "Disponibilidade atualizada",
+    unavailableReasons: {
+      OUT_OF_STOCK: "Esgotado",
+      OUT_OF_SCHEDULE: "Fora do horário"
+    }
   },
 
   // Orders Management
    orders: {
      orderPage: "Página de Pedidos",
+     scheduledFor: "Agendado para",
+     coupon: "Cupom",
+     reference: "Referência",
      items: "Itens",
      customer: "Cliente",
      phone: "Telefone",
      customerPhone: "Telefone do Cliente",
      status: "Status",
+     pending: "Pendente",
+     paid: "Pago",
+     failed: "Pagamento Falhou",
      foodProcessing: "Processando Comida",
      outForDelivery: "Saiu para Entrega",
      delivered: "Entregue",
+     cancelled: "Cancelado",
+     expired: "Expirado",
      printOrder: "Imprimir Pedido",
      printSuccess: "Pedido impresso com sucesso",
      printError: "Erro ao imprimir pedido",
+     reprintOrder: "Reimprimir",
+     lastPrinted: "Última impressão",
+     paperSize: "Papel",
+     newOrder: "Novo pedido",
+     paymentConfirmed: "Pagamento confirmado",
      statusUpdated: "Status do pedido atualizado com sucesso",
-     errorUpdatingStatus: "Erro ao atualizar status do pedido"
+     errorUpdatingStatus: "Erro ao atualizar status do pedido",
+     paymentMethod: "Pagamento",
+     paymentReceived: "Recebido",
+     paymentDue: "A receber",
+     cancel: "Cancelar",
+     refund: "Reembolsar",
+     cancelOrder: "Cancelar pedido",
+     refundOrder: "Reembolsar pedido",
+     reason: "Motivo",
+     reasonPlaceholder: "Ex.: cliente desistiu, item em falta...",
+     refundHint: "Deixe as quantidades em 0 para reembolsar o valor restante",
+     refundAmount: "Reembolso",
+     refunded: "Reembolsado",
+     noRefundNeeded: "Este pedido não tem pagamento a reembolsar",
+     orderCancelled: "Pedido cancelado",
+     refundFailedAfterCancel: "Pedido cancelado, mas o reembolso falhou. Use Reembolsar para tentar de novo.",
+     refundRequested: "Reembolso solicitado",
+     errorCancelling: "Erro ao cancelar pedido",
+     errorRefunding: "Erro ao reembolsar pedido",
+     allStatuses: "Todos",
+     searchCustomer: "Nome ou telefone do cliente",
+     from: "De",
+     to: "Até",
+     allZones: "Todas as zonas",
+     allDrivers: "Todos os entregadores",
+     noDriver: "Sem entregador",
+     anyPayment: "Qualquer pagamento",
+     clearFilters: "Limpar filtros",
+     noOrders: "Nenhum pedido encontrado",
+     loading: "Carregando...",
+     errorLoading: "Erro ao carregar pedidos",
+     paymentMethods: {
+       mercadopago: "Mercado Pago",
+       pix: "PIX",
+       cashOnDelivery: "Dinheiro na entrega",
+       cardOnDelivery: "Cartão na entrega"
+     }
    },
 
   // Zones Management
@@ -97,7 +166,118 @@ export const ADMIN_TRANSLATIONS = {
     errorUpdatingZone: "Erro ao atualizar zona",
     errorDeletingZone: "Erro ao excluir zona",
     errorFetchingZones: "Erro ao buscar zonas",
-    errorSavingZone: "Erro ao salvar zona"
+    errorSavingZone: "Erro ao salvar zona",
+    deliveryTerms: "Condições de entrega",
+    deliveryFee: "Taxa de entrega",
+    storeDefault: "Padrão da loja",
+    minimumOrder: "Pedido mínimo",
+    freeDeliveryAbove: "Entrega grátis a partir de",
+    estimatedTime: "Tempo estimado (min)",
+    coverage: "Cobertura",
+    coverageModes: {
+      neighborhoods: "Somente bairros",
+      area: "Área (GeoJSON)",
+      radius: "Raio"
+    },
+    areaHint: "Envie um arquivo GeoJSON com o polígono da zona (ex.: exportado do geojson.io)",
+    areaSummary: "{type} com {points} pontos",
+    areaRequired: "Importe um arquivo GeoJSON com a área da zona",
+    invalidGeoJson: "O arquivo não contém um polígono GeoJSON",
+    radiusKm: "Raio (km)",
+    centerLat: "Latitude do centro",
+    centerLng: "Longitude do centro",
+    storeLocation: "Local da loja",
+    baseFee: "Taxa base (por distância)",
+    perKm: "Valor por km",
+    includedKm: "Km incluídos",
+    distancePricingSummary: "{base} + {perKm}/km após {included} km"
+  },
+
+  // Store hours, pause and scheduled orders
+  store: {
+    storeSettings: "Horários e Funcionamento",
+    open: "Loja aberta",
+    closed: "Loja fechada",
+    paused: "Loja pausada",
+    pausedUntil: "Pausada até {time}",
+    nextOpening: "Próxima abertura: {time}",
+    pause: "Pausa (muitos pedidos)",
+    pauseMinutes: "Duração (minutos, vazio = até retomar)",
+    pauseMessage: "Mensagem para os clientes",
+    startPause: "Pausar pedidos",
+    endPause: "Retomar pedidos",
+    weeklyHours: "Horário semanal",
+    weeklyHoursHint: "Sem horários cadastrados a loja fica aberta o dia todo. Um horário que termina antes de começar passa da meia-noite.",
+    addWindow: "Adicionar Horário",
+    opensAt: "Abre",
+    closesAt: "Fecha",
+    exceptions: "Feriados e horários especiais",
+    addException: "Adicionar Exceção",
+    date: "Data",
+    closedAllDay: "Fechado o dia todo",
+    note: "Observação",
+    scheduledOrders: "Pedidos agendados",
+    scheduledOrdersEnabled: "Permitir pedidos para mais tarde",
+    minLeadMinutes: "Antecedência mínima (minutos)",
+    maxDaysAhead: "Dias à frente",
+    slotMinutes: "Intervalo entre horários (minutos)",
+    remove: "Remover",
+    save: "Salvar Horários",
+    saved: "Horários salvos com sucesso",
+    pauseUpdated: "Pausa atualizada",
+    errorLoading: "Erro ao carregar horários da loja",
+    errorSaving: "Erro ao salvar horários da loja",
+    days: ["Dom", "Seg", "Ter", "Qua", "Qui", "Sex", "Sáb"]
+  },
+
+  // Coupons and promotions
+  coupons: {
+    couponsManagement: "Cupons e Promoções",
+    addCoupon: "Adicionar Cupom",
+    editCoupon: "Editar Cupom",
+    code: "Código",
+    description: "Descrição",
+    type: "Tipo de desconto",
+    types: {
+      percentage: "Percentual",
+      fixed: "Valor fixo",
+      free_delivery: "Entrega grátis"
+    },
+    percentage: "Percentual (%)",
+    amount: "Valor",
+    upTo: "até",
+    maxDiscount: "Desconto máximo",
+    minimumOrder: "Pedido mínimo",
+    usageLimit: "Usos no total",
+    perUserLimit: "Usos por cliente",
+    unlimited: "Ilimitado",
+    validFrom: "Válido a partir de",
+    validUntil: "Válido até",
+    restrictions: "Somente para estas categorias ou itens",
+    restrictionsHint: "Sem seleção, o cupom vale para todo o cardápio",
+    onlyFor: "Somente para",
+    discount: "Desconto",
+    conditions: "Condições",
+    redemptions: "Utilização",
+    uses: "Usos",
+    redeemed: "Pedidos pagos",
+    pending: "Aguardando pagamento",
+    released: "Pedidos cancelados",
+    totalDiscount: "Total concedido",
+    status: "Status",
+    actions: "Ações",
+    active: "Ativo",
+    inactive: "Inativo",
+    edit: "Editar",
+    delete: "Excluir",
+    createCoupon: "Criar Cupom",
+    updateCoupon: "Atualizar Cupom",
+    cancel: "Cancelar",
+    confirmDelete: "Tem certeza que deseja excluir este cupom? Cupons já usados serão apenas desativados.",
+    noCouponsFound: "Nenhum cupom cadastrado",
+    errorFetchingCoupons: "Erro ao buscar cupons",
+    errorSavingCoupon: "Erro ao salvar cupom",
+    errorDeletingCoupon: "Erro ao excluir cupom"
   },
 
   // Drivers Management
@@ -202,6 +382,7 @@ export const ADMIN_TRANSLATIONS = {
   // General messages
   messages: {
     error: "Erro",
+    connectionError: "Erro de conexão. Tente novamente.",
     success: "Sucesso",
     loading: "Carregando...",
     confirm: "Confirmar",
@@ -284,10 +465,31 @@ export const getAllCategoryTranslations = () => {
  */
 export const getOrderStatusTranslation = (status) => {
   const statusMap = {
+    "Pending": ADMIN_TRANSLATIONS.orders.pending,
+    "Paid": ADMIN_TRANSLATIONS.orders.paid,
+    "Failed": ADMIN_TRANSLATIONS.orders.failed,
     "Food Processing": ADMIN_TRANSLATIONS.orders.foodProcessing,
     "Out for delivery": ADMIN_TRANSLATIONS.orders.outForDelivery,
-    "Delivered": ADMIN_TRANSLATIONS.orders.delivered
+    "Delivered": ADMIN_TRANSLATIONS.orders.delivered,
+    "Cancelled": ADMIN_TRANSLATIONS.orders.cancelled,
+    "Expired": ADMIN_TRANSLATIONS.orders.expired
   };
   
   return statusMap[status] || status;
-};
\ No newline at end of file
+};
+
+/**
+ * Helper function to get payment method translation
+ * @param {string} method - Payment method ID stored on the order
+ * @returns {string} Translated payment method or original if not found
+ */
+export const getPaymentMethodTranslation = (method) => {
+  const methodMap = {
+    "mercadopago": ADMIN_TRANSLATIONS.orders.paymentMethods.mercadopago,
+    "pix": ADMIN_TRANSLATIONS.orders.paymentMethods.pix,
+    "cash_on_delivery": ADMIN_TRANSLATIONS.orders.paymentMethods.cashOnDelivery,
+    "card_on_delivery": ADMIN_TRANSLATIONS.orders.paymentMethods.cardOnDelivery
+  };
+
+  return methodMap[method] || method;
+};
@@ -1,5 +1,13 @@
-import axios from "axios";
 import { createContext, useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import {
+  storeSession,
+  clearStoredSession,
+  getStoredRefreshToken,
+  logoutSession,
+  setupTokenRefresh,
+} from "../services/authAPI";
+import { getAdminTranslation } from "../constants/adminTranslations";
 
 export const StoreContext = createContext(null);
 
@@ -8,8 +16,41 @@ const StoreContextProvider = (props) => {
   const [admin, setAdmin] = useState(false);
   const url = import.meta.env.VITE_BACKEND_URL || "http://localhost:4000";
 
+  // Persist an admin session returned by login/refresh
+  const saveSession = (session) => {
+    storeSession(session);
+    setToken(session.token);
+    setAdmin(true);
+  };
+
+  const clearSession = () => {
+    clearStoredSession();
+    setToken("");
+    setAdmin(false);
+  };
+
+  const logout = async () => {
+    await logoutSession(url);
+    clearSession();
+  };
+
+  // Refresh the short-lived access token whenever the API reports it expired
+  useEffect(() => {
+    return setupTokenRefresh(url, {
+      onRefreshed: (session) => setToken(session.token),
+      onSessionExpired: () => {
+        clearSession();
+        toast.error(getAdminTranslation('authentication.sessionExpired', 'Session expired. Please login again.'));
+      },
+    });
+  }, [url]);
+
   useEffect(() => {
     async function loadData() {
+      // Sessions from before refresh tokens existed can no longer be used
+      if (localStorage.getItem("token") && !getStoredRefreshToken()) {
+        clearStoredSession();
+      }
       if (localStorage.getItem("token")) {
         setToken(localStorage.getItem("token"));
       }
@@ -25,6 +66,8 @@ const StoreContextProvider = (props) => {
     setToken,
     admin,
     setAdmin,
+    saveSession,
+    logout,
     url,
   };
   return (
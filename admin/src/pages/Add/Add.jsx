@@ -8,12 +8,14 @@ import { StoreContext } from "../../context/StoreContext";
 import { useEffect } from "react";
 import {useNavigate } from "react-router-dom";
 import { getAdminTranslation } from "../../constants/adminTranslations";
+import OptionGroupsEditor from "../../components/OptionGroupsEditor/OptionGroupsEditor";
 
 const Add = ({url}) => {
   const navigate=useNavigate();
   const {token,admin} = useContext(StoreContext);
   const [image, setImage] = useState(false);
   const [categories, setCategories] = useState([]);
+  const [optionGroups, setOptionGroups] = useState([]);
   const [data, setData] = useState({
     name: "",
     description: "",
@@ -59,6 +61,11 @@ const Add = ({url}) => {
     formData.append("price", Number(data.price));
     formData.append("category", data.category);
     formData.append("image", image);
+    // Option prices are typed as text; the API expects numbers
+    formData.append("optionGroups", JSON.stringify(optionGroups.map((group) => ({
+      ...group,
+      options: group.options.map((option) => ({ ...option, price: Number(option.price) || 0 })),
+    }))));
 
     const response = await axios.post(`${url}/api/food/add`, formData,{headers:{token}});
     if (response.data.success) {
@@ -69,6 +76,7 @@ const Add = ({url}) => {
         category: categories.length > 0 ? categories[0].name : "",
       });
       setImage(false);
+      setOptionGroups([]);
       toast.success(getAdminTranslation('products.productAdded', response.data.message));
     } else {
       toast.error(getAdminTranslation('products.errorAddingProduct', response.data.message));
@@ -155,6 +163,7 @@ const Add = ({url}) => {
             />
           </div>
         </div>
+        <OptionGroupsEditor groups={optionGroups} onChange={setOptionGroups} />
         <button type="submit" className="add-btn">
           {getAdminTranslation('products.add', 'ADD')}
         </button>
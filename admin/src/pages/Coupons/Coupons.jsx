@@ -0,0 +1,405 @@
+import React, { useEffect, useState, useContext } from "react";
+import "./Coupons.css";
+import axios from "axios";
+import { toast } from "react-toastify";
+import { StoreContext } from "../../context/StoreContext";
+import { useNavigate } from "react-router-dom";
+import { getAdminTranslation } from "../../constants/adminTranslations";
+
+const COUPON_TYPES = ["percentage", "fixed", "free_delivery"];
+
+// Blank limits mean unlimited; no categories or foods means the whole menu
+const EMPTY_FORM = {
+  code: "",
+  description: "",
+  type: "percentage",
+  value: "",
+  maxDiscount: "",
+  minimumOrder: "",
+  usageLimit: "",
+  perUserLimit: "",
+  validFrom: "",
+  validUntil: "",
+  categories: [],
+  foodIds: [],
+  isActive: true
+};
+
+const formatMoney = (value) => `$${Number(value).toFixed(2)}`;
+
+// datetime-local inputs work in the browser's time zone
+const toLocalInput = (value) => {
+  if (!value) return "";
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const toIsoDate = (value) => (value ? new Date(value).toISOString() : "");
+
+const formatDate = (value) =>
+  new Date(value).toLocaleString("pt-BR", { day: "2-digit", month: "2-digit", year: "numeric", hour: "2-digit", minute: "2-digit" });
+
+const describeDiscount = (coupon) => {
+  if (coupon.type === "percentage") {
+    const cap = coupon.maxDiscount ? ` (${getAdminTranslation('coupons.upTo', 'up to')} ${formatMoney(coupon.maxDiscount)})` : "";
+    return `${coupon.value}%${cap}`;
+  }
+  if (coupon.type === "fixed") return formatMoney(coupon.value);
+  return getAdminTranslation('coupons.types.free_delivery', 'Free delivery');
+};
+
+const Coupons = ({ url }) => {
+  const navigate = useNavigate();
+  const { token, admin } = useContext(StoreContext);
+  const [coupons, setCoupons] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [foods, setFoods] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [editingCoupon, setEditingCoupon] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  const fetchCoupons = async () => {
+    try {
+      const response = await axios.get(`${url}/api/promo/coupons`, {
+        headers: { token }
+      });
+      if (response.data.success) {
+        setCoupons(response.data.data);
+      } else {
+        toast.error(getAdminTranslation('coupons.errorFetchingCoupons', 'Error fetching coupons'));
+      }
+    } catch (error) {
+      toast.error(getAdminTranslation('coupons.errorFetchingCoupons', 'Error fetching coupons'));
+    }
+  };
+
+  // Categories and foods a coupon can be restricted to
+  const fetchMenu = async () => {
+    try {
+      const [categoriesResponse, foodsResponse] = await Promise.all([
+        axios.get(`${url}/api/admin/categories`, { headers: { token } }),
+        axios.get(`${url}/api/food/list`)
+      ]);
+      if (categoriesResponse.data.success) {
+        setCategories(categoriesResponse.data.data);
+      }
+      if (foodsResponse.data.success) {
+        setFoods(foodsResponse.data.data);
+      }
+    } catch (error) {
+      console.error("Error fetching menu:", error);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === "checkbox" ? checked : name === "code" ? value.toUpperCase() : value
+    }));
+  };
+
+  const toggleListValue = (name, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [name]: prev[name].includes(value) ? prev[name].filter(entry => entry !== value) : [...prev[name], value]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const payload = {
+        ...formData,
+        code: formData.code.trim(),
+        value: formData.type === "free_delivery" ? "" : formData.value,
+        validFrom: toIsoDate(formData.validFrom),
+        validUntil: toIsoDate(formData.validUntil)
+      };
+
+      let response;
+      if (editingCoupon) {
+        response = await axios.put(`${url}/api/promo/coupons/${editingCoupon._id}`, payload, {
+          headers: { token }
+        });
+      } else {
+        response = await axios.post(`${url}/api/promo/coupons`, payload, {
+          headers: { token }
+        });
+      }
+
+      if (response.data.success) {
+        toast.success(response.data.message);
+        cancelForm();
+        fetchCoupons();
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      const details = error.response?.data?.details;
+      toast.error(
+        Array.isArray(details) && details.length > 0
+          ? details.map(detail => detail.message).join(" • ")
+          : error.response?.data?.message || getAdminTranslation('coupons.errorSavingCoupon', 'Error saving coupon')
+      );
+    }
+  };
+
+  const handleEdit = (coupon) => {
+    setEditingCoupon(coupon);
+    setFormData({
+      code: coupon.code,
+      description: coupon.description || "",
+      type: coupon.type,
+      value: coupon.type === "free_delivery" ? "" : coupon.value,
+      maxDiscount: coupon.maxDiscount ?? "",
+      minimumOrder: coupon.minimumOrder || "",
+      usageLimit: coupon.usageLimit ?? "",
+      perUserLimit: coupon.perUserLimit ?? "",
+      validFrom: toLocalInput(coupon.validFrom),
+      validUntil: toLocalInput(coupon.validUntil),
+      categories: coupon.categories || [],
+      foodIds: coupon.foodIds || [],
+      isActive: coupon.isActive
+    });
+    setShowForm(true);
+  };
+
+  const handleDelete = async (couponId) => {
+    if (window.confirm(getAdminTranslation('coupons.confirmDelete', 'Are you sure you want to delete this coupon?'))) {
+      try {
+        const response = await axios.delete(`${url}/api/promo/coupons/${couponId}`, {
+          headers: { token }
+        });
+        if (response.data.success) {
+          toast.success(response.data.message);
+          fetchCoupons();
+        } else {
+          toast.error(response.data.message);
+        }
+      } catch (error) {
+        toast.error(error.response?.data?.message || getAdminTranslation('coupons.errorDeletingCoupon', 'Error deleting coupon'));
+      }
+    }
+  };
+
+  const cancelForm = () => {
+    setShowForm(false);
+    setEditingCoupon(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  useEffect(() => {
+    if (!admin && !token) {
+      toast.error(getAdminTranslation('authentication.pleaseLoginFirst', 'Please Login First'));
+      navigate("/");
+    } else {
+      fetchCoupons();
+      fetchMenu();
+    }
+  }, []);
+
+  const foodNames = new Map(foods.map(food => [food._id, food.name]));
+  const describeRestrictions = (coupon) =>
+    [...coupon.categories, ...coupon.foodIds.map(id => foodNames.get(id) || id)].join(", ");
+
+  return (
+    <div className="coupons add flex-col">
+      <div className="coupons-header">
+        <h3>{getAdminTranslation('coupons.couponsManagement', 'Coupons and Promotions')}</h3>
+        <button className="add-coupon-btn" onClick={() => setShowForm(true)} disabled={showForm}>
+          {getAdminTranslation('coupons.addCoupon', 'Add Coupon')}
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="coupon-form-container">
+          <form onSubmit={handleSubmit} className="coupon-form flex-col">
+            <h4>{editingCoupon ? getAdminTranslation('coupons.editCoupon', 'Edit Coupon') : getAdminTranslation('coupons.addCoupon', 'Add Coupon')}</h4>
+
+            <div className="coupon-fields">
+              <label>
+                {getAdminTranslation('coupons.code', 'Code')}
+                <input type="text" name="code" maxLength={30} value={formData.code} onChange={handleInputChange} required />
+              </label>
+              <label className="coupon-description">
+                {getAdminTranslation('coupons.description', 'Description')}
+                <input type="text" name="description" maxLength={140} value={formData.description} onChange={handleInputChange} />
+              </label>
+            </div>
+
+            <div className="coupon-fields">
+              <label>
+                {getAdminTranslation('coupons.type', 'Discount type')}
+                <select name="type" value={formData.type} onChange={handleInputChange}>
+                  {COUPON_TYPES.map(type => (
+                    <option key={type} value={type}>{getAdminTranslation(`coupons.types.${type}`, type)}</option>
+                  ))}
+                </select>
+              </label>
+              {formData.type !== "free_delivery" && (
+                <label>
+                  {formData.type === "percentage"
+                    ? getAdminTranslation('coupons.percentage', 'Percentage (%)')
+                    : getAdminTranslation('coupons.amount', 'Amount')}
+                  <input type="number" name="value" min="0.01" max={formData.type === "percentage" ? "100" : undefined} step="0.01" value={formData.value} onChange={handleInputChange} required />
+                </label>
+              )}
+              {formData.type === "percentage" && (
+                <label>
+                  {getAdminTranslation('coupons.maxDiscount', 'Maximum discount')}
+                  <input type="number" name="maxDiscount" min="0" step="0.01" value={formData.maxDiscount} onChange={handleInputChange} />
+                </label>
+              )}
+              <label>
+                {getAdminTranslation('coupons.minimumOrder', 'Minimum order')}
+                <input type="number" name="minimumOrder" min="0" step="0.01" value={formData.minimumOrder} onChange={handleInputChange} />
+              </label>
+            </div>
+
+            <div className="coupon-fields">
+              <label>
+                {getAdminTranslation('coupons.usageLimit', 'Total uses')}
+                <input
+                  type="number"
+                  name="usageLimit"
+                  min="1"
+                  value={formData.usageLimit}
+                  onChange={handleInputChange}
+                  placeholder={getAdminTranslation('coupons.unlimited', 'Unlimited')}
+                />
+              </label>
+              <label>
+                {getAdminTranslation('coupons.perUserLimit', 'Uses per customer')}
+                <input
+                  type="number"
+                  name="perUserLimit"
+                  min="1"
+                  value={formData.perUserLimit}
+                  onChange={handleInputChange}
+                  placeholder={getAdminTranslation('coupons.unlimited', 'Unlimited')}
+                />
+              </label>
+              <label>
+                {getAdminTranslation('coupons.validFrom', 'Valid from')}
+                <input type="datetime-local" name="validFrom" value={formData.validFrom} onChange={handleInputChange} />
+              </label>
+              <label>
+                {getAdminTranslation('coupons.validUntil', 'Valid until')}
+                <input type="datetime-local" name="validUntil" value={formData.validUntil} onChange={handleInputChange} />
+              </label>
+            </div>
+
+            <div className="form-group flex-col">
+              <label>{getAdminTranslation('coupons.restrictions', 'Only for these categories or items')}</label>
+              <p className="coupon-hint">{getAdminTranslation('coupons.restrictionsHint', '')}</p>
+              <div className="coupon-tags">
+                {categories.map(category => (
+                  <label key={category._id} className={formData.categories.includes(category.name) ? 'selected' : ''}>
+                    <input
+                      type="checkbox"
+                      checked={formData.categories.includes(category.name)}
+                      onChange={() => toggleListValue("categories", category.name)}
+                    />
+                    {category.name}
+                  </label>
+                ))}
+              </div>
+              <div className="coupon-tags">
+                {foods.map(food => (
+                  <label key={food._id} className={formData.foodIds.includes(food._id) ? 'selected' : ''}>
+                    <input
+                      type="checkbox"
+                      checked={formData.foodIds.includes(food._id)}
+                      onChange={() => toggleListValue("foodIds", food._id)}
+                    />
+                    {food.name}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <label className="coupon-checkbox">
+              <input type="checkbox" name="isActive" checked={formData.isActive} onChange={handleInputChange} />
+              {getAdminTranslation('coupons.active', 'Active')}
+            </label>
+
+            <div className="form-actions">
+              <button type="submit" className="submit-btn">
+                {editingCoupon ? getAdminTranslation('coupons.updateCoupon', 'Update Coupon') : getAdminTranslation('coupons.createCoupon', 'Create Coupon')}
+              </button>
+              <button type="button" className="cancel-btn" onClick={cancelForm}>
+                {getAdminTranslation('coupons.cancel', 'Cancel')}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="coupons-list">
+        <div className="coupons-table-format title">
+          <b>{getAdminTranslation('coupons.code', 'Code')}</b>
+          <b>{getAdminTranslation('coupons.discount', 'Discount')}</b>
+          <b>{getAdminTranslation('coupons.conditions', 'Conditions')}</b>
+          <b>{getAdminTranslation('coupons.redemptions', 'Redemptions')}</b>
+          <b>{getAdminTranslation('coupons.status', 'Status')}</b>
+          <b>{getAdminTranslation('coupons.actions', 'Actions')}</b>
+        </div>
+        {coupons.map(coupon => (
+          <div key={coupon._id} className="coupons-table-format">
+            <div className="coupon-code">
+              <b>{coupon.code}</b>
+              {coupon.description && <span>{coupon.description}</span>}
+            </div>
+            <p>{describeDiscount(coupon)}</p>
+            <div className="coupon-summary">
+              {coupon.minimumOrder > 0 && (
+                <span>{getAdminTranslation('coupons.minimumOrder', 'Minimum order')}: {formatMoney(coupon.minimumOrder)}</span>
+              )}
+              {coupon.perUserLimit && (
+                <span>{getAdminTranslation('coupons.perUserLimit', 'Uses per customer')}: {coupon.perUserLimit}</span>
+              )}
+              {coupon.validFrom && (
+                <span>{getAdminTranslation('coupons.validFrom', 'Valid from')}: {formatDate(coupon.validFrom)}</span>
+              )}
+              {coupon.validUntil && (
+                <span>{getAdminTranslation('coupons.validUntil', 'Valid until')}: {formatDate(coupon.validUntil)}</span>
+              )}
+              {describeRestrictions(coupon) && (
+                <span>{getAdminTranslation('coupons.onlyFor', 'Only for')}: {describeRestrictions(coupon)}</span>
+              )}
+            </div>
+            <div className="coupon-summary">
+              <span>
+                {getAdminTranslation('coupons.uses', 'Uses')}: {coupon.usageCount}{coupon.usageLimit ? ` / ${coupon.usageLimit}` : ""}
+              </span>
+              <span>{getAdminTranslation('coupons.redeemed', 'Paid orders')}: {coupon.stats.redeemed}</span>
+              <span>{getAdminTranslation('coupons.pending', 'Awaiting payment')}: {coupon.stats.reserved}</span>
+              <span>{getAdminTranslation('coupons.released', 'Cancelled orders')}: {coupon.stats.released}</span>
+              <span>{getAdminTranslation('coupons.totalDiscount', 'Total discount')}: {formatMoney(coupon.stats.totalDiscount)}</span>
+            </div>
+            <p className={`status ${coupon.isActive ? 'active' : 'inactive'}`}>
+              {coupon.isActive ? getAdminTranslation('coupons.active', 'Active') : getAdminTranslation('coupons.inactive', 'Inactive')}
+            </p>
+            <div className="coupon-actions">
+              <button className="edit-btn" onClick={() => handleEdit(coupon)} disabled={showForm}>
+                {getAdminTranslation('coupons.edit', 'Edit')}
+              </button>
+              <button className="delete-btn" onClick={() => handleDelete(coupon._id)} disabled={showForm}>
+                {getAdminTranslation('coupons.delete', 'Delete')}
+              </button>
+            </div>
+          </div>
+        ))}
+        {coupons.length === 0 && (
+          <div className="no-coupons">
+            <p>{getAdminTranslation('coupons.noCouponsFound', 'No coupons yet')}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Coupons;
@@ -35,6 +35,21 @@ const List = ({ url }) => {
       toast.error(getAdminTranslation('products.errorRemovingProduct', 'Error'));
     }
   };
+  // isAvailable, or stock (empty = not tracked)
+  const updateAvailability = async (foodId, changes) => {
+    const response = await axios.post(
+      `${url}/api/food/availability`,
+      { id: foodId, ...changes },
+      { headers: { token } }
+    );
+    if (response.data.success) {
+      setList((prev) => prev.map((item) => (item._id === foodId ? response.data.data : item)));
+      toast.success(getAdminTranslation('products.availabilityUpdated', response.data.message));
+    } else {
+      toast.error(response.data.message || getAdminTranslation('messages.error', 'Error'));
+    }
+  };
+
   useEffect(() => {
     if (!admin && !token) {
       toast.error(getAdminTranslation('authentication.pleaseLoginFirst', 'Please Login First'));
@@ -52,6 +67,8 @@ const List = ({ url }) => {
           <b>{getAdminTranslation('products.name', 'Name')}</b>
           <b>{getAdminTranslation('products.category', 'Category')}</b>
           <b>{getAdminTranslation('products.price', 'Price')}</b>
+          <b>{getAdminTranslation('products.available', 'Available')}</b>
+          <b>{getAdminTranslation('products.stock', 'Stock')}</b>
           <b>{getAdminTranslation('products.action', 'Action')}</b>
         </div>
         {list.map((item, index) => {
@@ -59,6 +76,8 @@ const List = ({ url }) => {
             <div key={index} className="list-table-format">
               <SafeImage 
                 src={item.image} 
+                variants={item.imageVariants}
+                sizes="50px"
                 baseUrl={url} 
                 fallback="/placeholder-food.svg"
                 alt={item.name || "Food item"}
@@ -67,6 +86,28 @@ const List = ({ url }) => {
               <p>{item.name}</p>
               <p>{item.category}</p>
               <p>R${item.price}</p>
+              <label className="list-availability">
+                <input
+                  type="checkbox"
+                  checked={item.isAvailable !== false}
+                  onChange={(e) => updateAvailability(item._id, { isAvailable: e.target.checked })}
+                />
+                {item.available === false && item.unavailableReason !== 'DISABLED' && (
+                  <span>{getAdminTranslation(`products.unavailableReasons.${item.unavailableReason}`, item.unavailableReason)}</span>
+                )}
+              </label>
+              <input
+                key={`${item._id}-${item.stock}`}
+                className="list-stock"
+                type="number"
+                min="0"
+                defaultValue={item.stock ?? ""}
+                placeholder="∞"
+                onBlur={(e) => {
+                  const value = e.target.value === "" ? null : Number(e.target.value);
+                  if (value !== (item.stock ?? null)) updateAvailability(item._id, { stock: value });
+                }}
+              />
               <p onClick={() => removeFood(item._id)} className="cursor">
                 X
               </p>
@@ -3,28 +3,113 @@ import "./Orders.css";
 import { useState } from "react";
 import axios from "axios";
 import { toast } from "react-toastify";
-import { useEffect } from "react";
+import { useEffect, useRef } from "react";
 import { assets } from "../../assets/assets";
 import { useContext } from "react";
 import { StoreContext } from "../../context/StoreContext";
 import { useNavigate } from "react-router-dom";
-import { getAdminTranslation, getOrderStatusTranslation } from "../../constants/adminTranslations";
+import { getAdminTranslation, getOrderStatusTranslation, getPaymentMethodTranslation } from "../../constants/adminTranslations";
+import OrderActionModal from "../../components/OrderActions/OrderActionModal";
+import { subscribeOrderEvents } from "../../services/orderEvents";
+import { playNewOrderAlert } from "../../utils/orderAlert";
+
+const PAGE_SIZE = 20;
+// Reloads keep the orders already scrolled into view, up to the server's page limit
+const MAX_RELOAD_SIZE = 100;
+const CUSTOMER_TYPING_DELAY_MS = 300;
+
+const STATUS_TABS = ["Pending", "Paid", "Food Processing", "Out for delivery", "Delivered", "Cancelled", "Failed", "Expired"];
+
+const EMPTY_FILTERS = {
+  status: "",
+  from: "",
+  to: "",
+  zone: "",
+  driver: "",
+  paid: "",
+  customer: ""
+};
 
 const Orders = ({ url }) => {
   const navigate = useNavigate();
   const { token, admin } = useContext(StoreContext);
   const [orders, setOrders] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [statusCounts, setStatusCounts] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Typed customer text; copied into the filters once the admin stops typing
+  const [customerInput, setCustomerInput] = useState("");
+  const [zones, setZones] = useState([]);
   const [drivers, setDrivers] = useState([]);
+  // { order, mode: 'cancel' | 'refund' } while the action modal is open
+  const [orderAction, setOrderAction] = useState(null);
+  // Thermal printer paper width, remembered per browser
+  const [paperSize, setPaperSize] = useState(localStorage.getItem("printerPaperSize") || "80mm");
 
-  const fetchAllOrder = async () => {
-    const response = await axios.get(url + "/api/order/list", {
-      headers: { token },
-    });
-    if (response.data.success) {
-      setOrders(response.data.data);
+  // Live events and actions reload with the current filters, not the ones
+  // captured when the subscription started
+  const filtersRef = useRef(filters);
+  filtersRef.current = filters;
+  const loadedRef = useRef(0);
+  loadedRef.current = orders.length;
+  const sentinelRef = useRef(null);
+  // Only the latest request may update the list: older ones may be for other filters
+  const requestRef = useRef(0);
+
+  // Without a cursor the list starts over; with one (the last order loaded)
+  // the next orders are appended
+  const fetchOrders = async ({ after = null, limit = PAGE_SIZE } = {}) => {
+    const params = Object.fromEntries(Object.entries(filtersRef.current).filter(([, value]) => value !== ""));
+    const request = ++requestRef.current;
+    setLoading(true);
+    try {
+      const response = await axios.get(url + "/api/order/list", {
+        headers: { token },
+        params: { ...params, limit, ...(after && { after }) },
+      });
+      if (request !== requestRef.current) return;
+      if (response.data.success) {
+        setOrders((current) => (after ? [...current, ...response.data.data] : response.data.data));
+        setPagination(response.data.pagination);
+        setStatusCounts(response.data.statusCounts || {});
+      } else {
+        toast.error(response.data.message || getAdminTranslation('orders.errorLoading', 'Error loading orders'));
+      }
+    } catch (error) {
+      if (request !== requestRef.current) return;
+      console.error('Error fetching orders:', error);
+      toast.error(error.response?.data?.message || getAdminTranslation('orders.errorLoading', 'Error loading orders'));
+    } finally {
+      if (request === requestRef.current) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const fetchAllOrder = () =>
+    fetchOrders({ limit: Math.min(Math.max(loadedRef.current, PAGE_SIZE), MAX_RELOAD_SIZE) });
+
+  const fetchZones = async () => {
+    try {
+      const response = await axios.get(url + "/api/zone", { headers: { token } });
+      if (response.data.success) {
+        setZones(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error fetching zones:', error);
     }
   };
 
+  // Unchanged values keep the same object so no reload is triggered
+  const setFilter = (name, value) =>
+    setFilters((current) => (current[name] === value ? current : { ...current, [name]: value }));
+
+  const clearFilters = () => {
+    setCustomerInput("");
+    setFilters(EMPTY_FILTERS);
+  };
+
   const fetchAllDrivers = async () => {
     try {
       const response = await axios.get(url + "/api/drivers", {
@@ -39,20 +124,26 @@ const Orders = ({ url }) => {
   };
 
   const statusHandler = async (event, orderId) => {
-    const response = await axios.post(
-      url + "/api/order/status",
-      {
-        orderId,
-        status: event.target.value,
-      },
-      { headers: { token } }
-    );
-    if (response.data.success) {
-      toast.success(getAdminTranslation('orders.statusUpdated', 'Order status updated successfully'));
-      await fetchAllOrder();
-    } else {
-      toast.error(getAdminTranslation('orders.errorUpdatingStatus', 'Error updating order status'));
+    try {
+      const response = await axios.post(
+        url + "/api/order/status",
+        {
+          orderId,
+          status: event.target.value,
+        },
+        { headers: { token } }
+      );
+      if (response.data.success) {
+        toast.success(getAdminTranslation('orders.statusUpdated', 'Order status updated successfully'));
+      } else {
+        toast.error(getAdminTranslation('orders.errorUpdatingStatus', 'Error updating order status'));
+      }
+    } catch (error) {
+      // 409: the transition is no longer valid (e.g. someone else changed the order)
+      console.error('Error updating status:', error);
+      toast.error(error.response?.data?.message || getAdminTranslation('orders.errorUpdatingStatus', 'Error updating order status'));
     }
+    await fetchAllOrder();
   };
 
   const driverHandler = async (event, orderId) => {
@@ -77,29 +168,206 @@ const Orders = ({ url }) => {
       toast.error(getAdminTranslation('orders.errorUpdatingStatus', 'Error updating order'));
     }
   };
+  const orderActionHandler = async ({ reason, items }) => {
+    const { order, mode } = orderAction;
+    const isCancel = mode === "cancel";
+    const fallback = isCancel
+      ? getAdminTranslation('orders.errorCancelling', 'Error cancelling order')
+      : getAdminTranslation('orders.errorRefunding', 'Error refunding order');
+    try {
+      const response = await axios.post(
+        `${url}/api/order/${order._id}/${mode}`,
+        { reason, items },
+        { headers: { token } }
+      );
+      if (response.data.success && response.data.data?.refundError) {
+        // Cancelled, but the refund has to be retried with the Refund action
+        toast.warning(getAdminTranslation('orders.refundFailedAfterCancel', 'Order cancelled, but the refund failed. Use Refund to try again.'));
+        setOrderAction(null);
+      } else if (response.data.success) {
+        toast.success(isCancel
+          ? getAdminTranslation('orders.orderCancelled', 'Order cancelled')
+          : getAdminTranslation('orders.refundRequested', 'Refund requested'));
+        setOrderAction(null);
+      } else {
+        toast.error(response.data.message || fallback);
+      }
+    } catch (error) {
+      // 502: the payment provider refused the refund
+      console.error(`Error on order ${mode}:`, error);
+      toast.error(error.response?.data?.message || fallback);
+    }
+    await fetchAllOrder();
+  };
+
+  const paperSizeHandler = (event) => {
+    setPaperSize(event.target.value);
+    localStorage.setItem("printerPaperSize", event.target.value);
+  };
+
+  const printHandler = async (order) => {
+    // Opened before the request so the browser does not block the popup
+    const printWindow = window.open("", "_blank", "width=400,height=600");
+    try {
+      const response = await axios.post(
+        `${url}/api/order/${order._id}/print`,
+        { paperSize, type: "both", format: "html" },
+        { headers: { token } }
+      );
+      if (response.data.success) {
+        if (printWindow) {
+          printWindow.document.write(response.data.data.content);
+          printWindow.document.close();
+          printWindow.focus();
+          printWindow.print();
+        }
+        toast.success(getAdminTranslation('orders.printSuccess', 'Order printed successfully'));
+        setOrders((current) => current.map((item) => item._id === order._id
+          ? { ...item, printCount: response.data.data.printCount, lastPrintedAt: response.data.data.lastPrintedAt }
+          : item));
+      } else {
+        printWindow?.close();
+        toast.error(response.data.message || getAdminTranslation('orders.printError', 'Error printing order'));
+      }
+    } catch (error) {
+      printWindow?.close();
+      console.error('Error printing order:', error);
+      toast.error(error.response?.data?.message || getAdminTranslation('orders.printError', 'Error printing order'));
+    }
+  };
+
   useEffect(() => {
     if (!admin && !token) {
       toast.error(getAdminTranslation('authentication.pleaseLoginFirst', 'Please Login First'));
       navigate("/");
     }
-    fetchAllOrder();
     fetchAllDrivers();
+    fetchZones();
   }, []);
 
+  // Any filter change starts over from the first page
+  useEffect(() => {
+    fetchOrders();
+  }, [filters]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setFilter("customer", customerInput.trim()), CUSTOMER_TYPING_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [customerInput]);
+
+  // Infinite scroll: load the next page when the end of the list comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !pagination?.nextCursor || loading) return undefined;
+
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) {
+        observer.disconnect();
+        fetchOrders({ after: pagination.nextCursor });
+      }
+    }, { rootMargin: "200px" });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [pagination, loading]);
+
+  // Live updates: new orders, payments, status changes and driver assignments
+  useEffect(() => {
+    return subscribeOrderEvents(url, token, {
+      onEvent: (type, data) => {
+        if (type === "order.created") {
+          playNewOrderAlert();
+          toast.info(`${getAdminTranslation('orders.newOrder', 'New order')}: ${data.customerName || getAdminTranslation('orders.customer', 'Customer')}`);
+        } else if (type === "order.paid") {
+          toast.success(getAdminTranslation('orders.paymentConfirmed', 'Payment confirmed'));
+        } else if (type === "order.attention") {
+          // Stays until dismissed: e.g. a payment approved after cancelling
+          toast.error(data.message, { autoClose: false });
+        }
+        fetchAllOrder();
+      },
+      onResync: fetchAllOrder,
+    });
+  }, [url, token]);
+
   return (
     <div className="order add">
-      <h3>{getAdminTranslation('orders.orderPage', 'Order Page')}</h3>
+      <div className="order-page-header">
+        <h3>{getAdminTranslation('orders.orderPage', 'Order Page')}</h3>
+        <div className="control-group">
+          <label>{getAdminTranslation('orders.paperSize', 'Paper')}:</label>
+          <select value={paperSize} onChange={paperSizeHandler}>
+            <option value="58mm">58mm</option>
+            <option value="80mm">80mm</option>
+          </select>
+        </div>
+      </div>
+      <div className="order-status-tabs">
+        <button
+          className={filters.status === "" ? "active" : ""}
+          onClick={() => setFilter("status", "")}
+        >
+          {getAdminTranslation('orders.allStatuses', 'All')} ({Object.values(statusCounts).reduce((total, count) => total + count, 0)})
+        </button>
+        {STATUS_TABS.map((status) => (
+          <button
+            key={status}
+            className={filters.status === status ? "active" : ""}
+            onClick={() => setFilter("status", status)}
+          >
+            {getOrderStatusTranslation(status)} ({statusCounts[status] || 0})
+          </button>
+        ))}
+      </div>
+      <div className="order-filters">
+        <input
+          type="search"
+          value={customerInput}
+          onChange={(e) => setCustomerInput(e.target.value)}
+          placeholder={getAdminTranslation('orders.searchCustomer', 'Customer name or phone')}
+        />
+        <label>
+          {getAdminTranslation('orders.from', 'From')}
+          <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => setFilter("from", e.target.value)} />
+        </label>
+        <label>
+          {getAdminTranslation('orders.to', 'To')}
+          <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => setFilter("to", e.target.value)} />
+        </label>
+        <select value={filters.zone} onChange={(e) => setFilter("zone", e.target.value)}>
+          <option value="">{getAdminTranslation('orders.allZones', 'All zones')}</option>
+          {zones.map((zone) => (
+            <option key={zone._id} value={zone.name}>{zone.name}</option>
+          ))}
+        </select>
+        <select value={filters.driver} onChange={(e) => setFilter("driver", e.target.value)}>
+          <option value="">{getAdminTranslation('orders.allDrivers', 'All drivers')}</option>
+          <option value="none">{getAdminTranslation('orders.noDriver', 'No driver')}</option>
+          {drivers.map((driver) => (
+            <option key={driver._id} value={driver._id}>{driver.name}</option>
+          ))}
+        </select>
+        <select value={filters.paid} onChange={(e) => setFilter("paid", e.target.value)}>
+          <option value="">{getAdminTranslation('orders.anyPayment', 'Any payment')}</option>
+          <option value="true">{getAdminTranslation('orders.paymentReceived', 'Received')}</option>
+          <option value="false">{getAdminTranslation('orders.paymentDue', 'Due')}</option>
+        </select>
+        <button className="order-filters-clear" onClick={clearFilters}>
+          {getAdminTranslation('orders.clearFilters', 'Clear filters')}
+        </button>
+      </div>
       <div className="order-list">
-        {orders.map((order, index) => (
-          <div key={index} className="order-item">
+        {orders.map((order) => (
+          <div key={order._id} className="order-item">
             <img src={assets.parcel_icon} alt="" />
             <div>
               <p className="order-item-food">
                 {order.items.map((item, index) => {
+                  const note = item.note ? ` (${item.note})` : "";
+                  const options = item.options?.length ? ` [${item.options.map((option) => option.name).join(", ")}]` : "";
                   if (index === order.items.length - 1) {
-                    return item.name + " x " + item.quantity;
+                    return item.name + options + " x " + item.quantity + note;
                   } else {
-                    return item.name + " x " + item.quantity + ", ";
+                    return item.name + options + " x " + item.quantity + note + ", ";
                   }
                 })}
               </p>
@@ -109,13 +377,19 @@ const Orders = ({ url }) => {
               <div className="order-item-address">
                 {order.address.street && order.address.number ? (
                   <>
-                    <p>{order.address.street + ", " + order.address.number}</p>
+                    <p>
+                      {order.address.street + ", " + order.address.number}
+                      {order.address.complement && ` - ${order.address.complement}`}
+                    </p>
                     <p>
                       {order.address.neighborhood && order.address.zone
                         ? order.address.neighborhood + ", " + order.address.zone
                         : order.address.city + ", " + order.address.state + ", " + order.address.country}
                     </p>
                     {order.address.cep && <p>CEP: {order.address.cep}</p>}
+                    {order.address.reference && (
+                      <p>{getAdminTranslation('orders.reference', 'Reference')}: {order.address.reference}</p>
+                    )}
                   </>
                 ) : (
                   <>
@@ -133,19 +407,49 @@ const Orders = ({ url }) => {
                 )}
               </div>
               {order.address.phone && <p className="order-item-phone">{order.address.phone}</p>}
+              {order.scheduledFor && (
+                <p className="order-item-scheduled">
+                  {getAdminTranslation('orders.scheduledFor', 'Scheduled for')}: {new Date(order.scheduledFor).toLocaleString("pt-BR", { day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit" })}
+                </p>
+              )}
             </div>
             <p>{getAdminTranslation('orders.items', 'Items')}: {order.items.length}</p>
-            <p>${order.amount}</p>
+            <div className="order-item-payment">
+              <p>${order.amount}</p>
+              {order.discount > 0 && (
+                <p className="order-item-discount">
+                  {getAdminTranslation('orders.coupon', 'Coupon')} {order.promotion?.code}: -${Number(order.discount).toFixed(2)}
+                </p>
+              )}
+              <p>
+                {getAdminTranslation('orders.paymentMethod', 'Payment')}: {getPaymentMethodTranslation(order.paymentMethod || 'mercadopago')}
+              </p>
+              <span className={order.payment ? "payment-received" : "payment-due"}>
+                {order.payment
+                  ? getAdminTranslation('orders.paymentReceived', 'Received')
+                  : getAdminTranslation('orders.paymentDue', 'Due')}
+              </span>
+              {order.refundedAmount > 0 && (
+                <p className="order-item-refunded">
+                  {getAdminTranslation('orders.refunded', 'Refunded')}: ${Number(order.refundedAmount).toFixed(2)}
+                </p>
+              )}
+            </div>
             <div className="order-controls">
               <div className="control-group">
                 <label>{getAdminTranslation('orders.status', 'Status')}:</label>
                 <select
                   onChange={(event) => statusHandler(event, order._id)}
                   value={order.status}
+                  disabled={!order.allowedTransitions?.some((status) => status !== "Cancelled")}
                 >
-                  <option value="Food Processing">{getAdminTranslation('orders.foodProcessing', 'Food Processing')}</option>
-                  <option value="Out for delivery">{getAdminTranslation('orders.outForDelivery', 'Out for delivery')}</option>
-                  <option value="Delivered">{getAdminTranslation('orders.delivered', 'Delivered')}</option>
+                  {/* Only the current status and the transitions the server allows from it;
+                      cancelling goes through the Cancel action (reason and refund) */}
+                  {[order.status, ...(order.allowedTransitions || []).filter((status) => status !== "Cancelled")].map((status) => (
+                    <option key={status} value={status}>
+                      {getOrderStatusTranslation(status)}
+                    </option>
+                  ))}
                 </select>
               </div>
               <div className="control-group">
@@ -162,10 +466,47 @@ const Orders = ({ url }) => {
                   ))}
                 </select>
               </div>
+              <div className="order-actions">
+                <button
+                  className="order-print-btn"
+                  onClick={() => printHandler(order)}
+                  title={order.lastPrintedAt
+                    ? `${getAdminTranslation('orders.lastPrinted', 'Last printed')}: ${new Date(order.lastPrintedAt).toLocaleString('pt-BR')}`
+                    : undefined}
+                >
+                  {order.printCount > 0
+                    ? `${getAdminTranslation('orders.reprintOrder', 'Reprint')} (${order.printCount})`
+                    : getAdminTranslation('orders.printOrder', 'Print')}
+                </button>
+                {order.allowedTransitions?.includes("Cancelled") && (
+                  <button className="order-cancel-btn" onClick={() => setOrderAction({ order, mode: "cancel" })}>
+                    {getAdminTranslation('orders.cancel', 'Cancel')}
+                  </button>
+                )}
+                {order.refundableAmount > 0 && (
+                  <button className="order-refund-btn" onClick={() => setOrderAction({ order, mode: "refund" })}>
+                    {getAdminTranslation('orders.refund', 'Refund')}
+                  </button>
+                )}
+              </div>
             </div>
           </div>
         ))}
+        {!loading && pagination?.total === 0 && (
+          <p className="order-list-empty">{getAdminTranslation('orders.noOrders', 'No orders found')}</p>
+        )}
+        <div ref={sentinelRef} className="order-list-end">
+          {loading && getAdminTranslation('orders.loading', 'Loading...')}
+        </div>
       </div>
+      {orderAction && (
+        <OrderActionModal
+          order={orderAction.order}
+          mode={orderAction.mode}
+          onConfirm={orderActionHandler}
+          onClose={() => setOrderAction(null)}
+        />
+      )}
     </div>
   );
 };
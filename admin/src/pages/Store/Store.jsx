@@ -0,0 +1,313 @@
+import React, { useEffect, useState, useContext } from "react";
+import "./Store.css";
+import axios from "axios";
+import { toast } from "react-toastify";
+import { StoreContext } from "../../context/StoreContext";
+import { useNavigate } from "react-router-dom";
+import { getAdminTranslation } from "../../constants/adminTranslations";
+
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+const EMPTY_WINDOW = { days: [1, 2, 3, 4, 5], start: "11:00", end: "22:00" };
+const EMPTY_EXCEPTION = { date: "", closed: true, start: "", end: "", note: "" };
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString("pt-BR", { weekday: "short", day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit" });
+
+const Store = ({ url }) => {
+  const navigate = useNavigate();
+  const { token, admin } = useContext(StoreContext);
+  const [status, setStatus] = useState(null);
+  const [weeklyHours, setWeeklyHours] = useState([]);
+  const [exceptions, setExceptions] = useState([]);
+  const [scheduledOrders, setScheduledOrders] = useState({ enabled: false, minLeadMinutes: 30, maxDaysAhead: 2, slotMinutes: 30 });
+  const [pauseForm, setPauseForm] = useState({ minutes: "30", message: "" });
+  const [saving, setSaving] = useState(false);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await axios.get(`${url}/api/store/status`);
+      if (response.data.success) {
+        setStatus(response.data.data);
+      }
+    } catch (error) {
+      console.error("Error fetching store status:", error);
+    }
+  };
+
+  const fetchSettings = async () => {
+    try {
+      const response = await axios.get(`${url}/api/store/settings`, {
+        headers: { token }
+      });
+      if (response.data.success) {
+        const settings = response.data.data;
+        setWeeklyHours(settings.weeklyHours || []);
+        setExceptions((settings.exceptions || []).map((exception) => ({ ...EMPTY_EXCEPTION, ...exception })));
+        setScheduledOrders(settings.scheduledOrders);
+      } else {
+        toast.error(getAdminTranslation('store.errorLoading', 'Error loading store hours'));
+      }
+    } catch (error) {
+      toast.error(getAdminTranslation('store.errorLoading', 'Error loading store hours'));
+    }
+  };
+
+  const updateWindow = (index, changes) => {
+    setWeeklyHours(prev => prev.map((window, i) => (i === index ? { ...window, ...changes } : window)));
+  };
+
+  const toggleWindowDay = (index, day) => {
+    const days = weeklyHours[index].days;
+    updateWindow(index, {
+      days: days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort()
+    });
+  };
+
+  const updateException = (index, changes) => {
+    setExceptions(prev => prev.map((exception, i) => (i === index ? { ...exception, ...changes } : exception)));
+  };
+
+  const handleScheduledChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setScheduledOrders(prev => ({
+      ...prev,
+      [name]: type === "checkbox" ? checked : Number(value)
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const payload = {
+        weeklyHours,
+        exceptions: exceptions.map(({ date, closed, start, end, note }) => (
+          closed ? { date, closed, note } : { date, closed, start, end, note }
+        )),
+        scheduledOrders
+      };
+      const response = await axios.put(`${url}/api/store/settings`, payload, {
+        headers: { token }
+      });
+
+      if (response.data.success) {
+        toast.success(getAdminTranslation('store.saved', 'Store hours saved'));
+        fetchStatus();
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      const details = error.response?.data?.details;
+      toast.error(
+        Array.isArray(details) && details.length > 0
+          ? details.map(detail => detail.message).join(" • ")
+          : error.response?.data?.message || getAdminTranslation('store.errorSaving', 'Error saving store hours')
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePause = async (active) => {
+    try {
+      const response = await axios.post(`${url}/api/store/pause`, {
+        active,
+        minutes: active && pauseForm.minutes !== "" ? Number(pauseForm.minutes) : undefined,
+        message: pauseForm.message
+      }, {
+        headers: { token }
+      });
+
+      if (response.data.success) {
+        toast.success(getAdminTranslation('store.pauseUpdated', 'Pause updated'));
+        fetchStatus();
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || getAdminTranslation('store.errorSaving', 'Error saving store hours'));
+    }
+  };
+
+  useEffect(() => {
+    if (!admin && !token) {
+      toast.error(getAdminTranslation('authentication.pleaseLoginFirst', 'Please Login First'));
+      navigate("/");
+    } else {
+      fetchSettings();
+      fetchStatus();
+    }
+  }, []);
+
+  const paused = status?.reason === "PAUSED";
+
+  return (
+    <div className="store-settings add flex-col">
+      <div className="store-settings-header">
+        <h3>{getAdminTranslation('store.storeSettings', 'Opening Hours')}</h3>
+        {status && (
+          <div className={`store-status ${status.open ? 'open' : 'closed'}`}>
+            <b>
+              {status.open
+                ? getAdminTranslation('store.open', 'Open')
+                : paused ? getAdminTranslation('store.paused', 'Paused') : getAdminTranslation('store.closed', 'Closed')}
+            </b>
+            {!status.open && status.message && <span>{status.message}</span>}
+            {status.pausedUntil && (
+              <span>{getAdminTranslation('store.pausedUntil', 'Paused until {time}', { time: formatDateTime(status.pausedUntil) })}</span>
+            )}
+            {!status.open && !paused && status.nextOpeningAt && (
+              <span>{getAdminTranslation('store.nextOpening', 'Next opening: {time}', { time: formatDateTime(status.nextOpeningAt) })}</span>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="store-section">
+        <h4>{getAdminTranslation('store.pause', 'Busy pause')}</h4>
+        <div className="store-pause">
+          <div className="store-field flex-col">
+            <label>{getAdminTranslation('store.pauseMinutes', 'Duration (minutes)')}</label>
+            <input
+              type="number"
+              min="1"
+              max="1440"
+              value={pauseForm.minutes}
+              onChange={(e) => setPauseForm(prev => ({ ...prev, minutes: e.target.value }))}
+            />
+          </div>
+          <div className="store-field flex-col">
+            <label>{getAdminTranslation('store.pauseMessage', 'Message for customers')}</label>
+            <input
+              type="text"
+              maxLength={140}
+              value={pauseForm.message}
+              onChange={(e) => setPauseForm(prev => ({ ...prev, message: e.target.value }))}
+            />
+          </div>
+          {paused ? (
+            <button type="button" className="store-save-btn" onClick={() => handlePause(false)}>
+              {getAdminTranslation('store.endPause', 'Resume orders')}
+            </button>
+          ) : (
+            <button type="button" className="store-pause-btn" onClick={() => handlePause(true)}>
+              {getAdminTranslation('store.startPause', 'Pause orders')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex-col">
+        <div className="store-section">
+          <h4>{getAdminTranslation('store.weeklyHours', 'Weekly hours')}</h4>
+          <p className="store-hint">{getAdminTranslation('store.weeklyHoursHint', '')}</p>
+          {weeklyHours.map((window, index) => (
+            <div key={index} className="store-row">
+              <div className="store-days">
+                {WEEKDAYS.map(day => (
+                  <label key={day} className={window.days.includes(day) ? 'selected' : ''}>
+                    <input
+                      type="checkbox"
+                      checked={window.days.includes(day)}
+                      onChange={() => toggleWindowDay(index, day)}
+                    />
+                    {getAdminTranslation(`store.days.${day}`, String(day))}
+                  </label>
+                ))}
+              </div>
+              <label>
+                {getAdminTranslation('store.opensAt', 'Opens')}
+                <input type="time" value={window.start} onChange={(e) => updateWindow(index, { start: e.target.value })} required />
+              </label>
+              <label>
+                {getAdminTranslation('store.closesAt', 'Closes')}
+                <input type="time" value={window.end} onChange={(e) => updateWindow(index, { end: e.target.value })} required />
+              </label>
+              <button type="button" className="store-remove-btn" onClick={() => setWeeklyHours(prev => prev.filter((_, i) => i !== index))}>
+                {getAdminTranslation('store.remove', 'Remove')}
+              </button>
+            </div>
+          ))}
+          <button type="button" className="store-add-btn" onClick={() => setWeeklyHours(prev => [...prev, { ...EMPTY_WINDOW }])}>
+            {getAdminTranslation('store.addWindow', 'Add Hours')}
+          </button>
+        </div>
+
+        <div className="store-section">
+          <h4>{getAdminTranslation('store.exceptions', 'Holidays and special hours')}</h4>
+          {exceptions.map((exception, index) => (
+            <div key={index} className="store-row">
+              <label>
+                {getAdminTranslation('store.date', 'Date')}
+                <input type="date" value={exception.date} onChange={(e) => updateException(index, { date: e.target.value })} required />
+              </label>
+              <label className="store-checkbox">
+                <input
+                  type="checkbox"
+                  checked={exception.closed}
+                  onChange={(e) => updateException(index, { closed: e.target.checked })}
+                />
+                {getAdminTranslation('store.closedAllDay', 'Closed all day')}
+              </label>
+              {!exception.closed && (
+                <>
+                  <label>
+                    {getAdminTranslation('store.opensAt', 'Opens')}
+                    <input type="time" value={exception.start} onChange={(e) => updateException(index, { start: e.target.value })} required />
+                  </label>
+                  <label>
+                    {getAdminTranslation('store.closesAt', 'Closes')}
+                    <input type="time" value={exception.end} onChange={(e) => updateException(index, { end: e.target.value })} required />
+                  </label>
+                </>
+              )}
+              <label>
+                {getAdminTranslation('store.note', 'Note')}
+                <input type="text" maxLength={100} value={exception.note} onChange={(e) => updateException(index, { note: e.target.value })} />
+              </label>
+              <button type="button" className="store-remove-btn" onClick={() => setExceptions(prev => prev.filter((_, i) => i !== index))}>
+                {getAdminTranslation('store.remove', 'Remove')}
+              </button>
+            </div>
+          ))}
+          <button type="button" className="store-add-btn" onClick={() => setExceptions(prev => [...prev, { ...EMPTY_EXCEPTION }])}>
+            {getAdminTranslation('store.addException', 'Add Exception')}
+          </button>
+        </div>
+
+        <div className="store-section">
+          <h4>{getAdminTranslation('store.scheduledOrders', 'Scheduled orders')}</h4>
+          <label className="store-checkbox">
+            <input type="checkbox" name="enabled" checked={scheduledOrders.enabled} onChange={handleScheduledChange} />
+            {getAdminTranslation('store.scheduledOrdersEnabled', 'Allow orders for later')}
+          </label>
+          {scheduledOrders.enabled && (
+            <div className="store-row">
+              <label>
+                {getAdminTranslation('store.minLeadMinutes', 'Minimum lead time (minutes)')}
+                <input type="number" name="minLeadMinutes" min="0" max="1440" value={scheduledOrders.minLeadMinutes} onChange={handleScheduledChange} />
+              </label>
+              <label>
+                {getAdminTranslation('store.maxDaysAhead', 'Days ahead')}
+                <input type="number" name="maxDaysAhead" min="0" max="14" value={scheduledOrders.maxDaysAhead} onChange={handleScheduledChange} />
+              </label>
+              <label>
+                {getAdminTranslation('store.slotMinutes', 'Slot interval (minutes)')}
+                <input type="number" name="slotMinutes" min="5" max="120" value={scheduledOrders.slotMinutes} onChange={handleScheduledChange} />
+              </label>
+            </div>
+          )}
+        </div>
+
+        <div className="store-actions">
+          <button type="submit" className="store-save-btn" disabled={saving}>
+            {saving ? getAdminTranslation('messages.saving', 'Saving...') : getAdminTranslation('store.save', 'Save Hours')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default Store;
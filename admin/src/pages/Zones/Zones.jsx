@@ -6,16 +6,63 @@ import { StoreContext } from "../../context/StoreContext";
 import { useNavigate } from "react-router-dom";
 import { getAdminTranslation } from "../../constants/adminTranslations";
 
+// Empty delivery terms fall back to the store default fee / no minimum
+const EMPTY_FORM = {
+    name: "",
+    neighborhoods: [""],
+    deliveryFee: "",
+    minimumOrder: "",
+    freeDeliveryAbove: "",
+    etaMin: "",
+    etaMax: "",
+    coverage: "neighborhoods",
+    area: null,
+    radiusKm: "",
+    centerLat: "",
+    centerLng: "",
+    baseFee: "",
+    perKm: "",
+    includedKm: ""
+  };
+
+const COVERAGE_MODES = ["neighborhoods", "area", "radius"];
+
+const formatMoney = (value) => `$${Number(value).toFixed(2)}`;
+
+// Positions in a GeoJSON Polygon or MultiPolygon (for the import summary)
+const countPositions = (area) => {
+  const polygons = area.type === "Polygon" ? [area.coordinates] : area.coordinates;
+  return polygons.flat().reduce((total, ring) => total + ring.length, 0);
+};
+
+const getCoverageMode = (zone) => {
+  if (zone.radius?.meters) return "radius";
+  if (zone.area) return "area";
+  return "neighborhoods";
+};
+
+// The server checks the geometry; only find the polygon here to show what was imported
+const readGeoJsonArea = (text) => {
+  const geojson = JSON.parse(text);
+  if (geojson.type === "FeatureCollection") {
+    const polygons = (geojson.features || [])
+      .map(feature => feature?.geometry)
+      .filter(geometry => ["Polygon", "MultiPolygon"].includes(geometry?.type));
+    if (polygons.length === 0) return null;
+    return polygons.length === 1
+      ? polygons[0]
+      : { type: "MultiPolygon", coordinates: polygons.flatMap(g => (g.type === "Polygon" ? [g.coordinates] : g.coordinates)) };
+  }
+  return geojson.type === "Feature" ? geojson.geometry : geojson;
+};
+
 const Zones = ({ url }) => {
   const navigate = useNavigate();
   const { token, admin } = useContext(StoreContext);
   const [zones, setZones] = useState([]);
   const [showForm, setShowForm] = useState(false);
   const [editingZone, setEditingZone] = useState(null);
-  const [formData, setFormData] = useState({
-    name: "",
-    neighborhoods: [""]
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
 
   const fetchZones = async () => {
     try {
@@ -66,6 +113,43 @@ const Zones = ({ url }) => {
     }
   };
 
+  const handleAreaUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const area = readGeoJsonArea(reader.result);
+        // countPositions also throws on malformed coordinates
+        if (!["Polygon", "MultiPolygon"].includes(area?.type) || !(countPositions(area) > 0)) {
+          throw new Error("not a polygon");
+        }
+        setFormData(prev => ({ ...prev, area }));
+      } catch (error) {
+        toast.error(getAdminTranslation('zones.invalidGeoJson', 'The file does not contain a GeoJSON polygon'));
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+
+  // Only the selected coverage is sent; "neighborhoods" clears any area
+  const buildCoveragePayload = () => {
+    if (formData.coverage === "radius") {
+      return {
+        radius: {
+          meters: formData.radiusKm === "" ? "" : Math.round(Number(formData.radiusKm) * 1000),
+          center: { lat: formData.centerLat, lng: formData.centerLng }
+        }
+      };
+    }
+    if (formData.coverage === "area") {
+      return { area: formData.area };
+    }
+    return { area: null };
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -76,15 +160,25 @@ const Zones = ({ url }) => {
     }
     
     const validNeighborhoods = formData.neighborhoods.filter(n => n.trim() !== "");
-    if (validNeighborhoods.length === 0) {
+    if (validNeighborhoods.length === 0 && formData.coverage === "neighborhoods") {
       toast.error(getAdminTranslation('zones.atLeastOneNeighborhood', 'At least one neighborhood is required'));
       return;
     }
+    if (formData.coverage === "area" && !formData.area) {
+      toast.error(getAdminTranslation('zones.areaRequired', 'Import a GeoJSON file with the zone area'));
+      return;
+    }
 
     try {
       const payload = {
         name: formData.name.trim(),
-        neighborhoods: validNeighborhoods
+        neighborhoods: validNeighborhoods,
+        deliveryFee: formData.deliveryFee,
+        minimumOrder: formData.minimumOrder,
+        freeDeliveryAbove: formData.freeDeliveryAbove,
+        estimatedTime: { min: formData.etaMin, max: formData.etaMax },
+        distancePricing: { baseFee: formData.baseFee, perKm: formData.perKm, includedKm: formData.includedKm },
+        ...buildCoveragePayload()
       };
 
       let response;
@@ -102,7 +196,7 @@ const Zones = ({ url }) => {
         toast.success(response.data.message);
         setShowForm(false);
         setEditingZone(null);
-        setFormData({ name: "", neighborhoods: [""] });
+        setFormData(EMPTY_FORM);
         fetchZones();
       } else {
         toast.error(response.data.message);
@@ -116,7 +210,20 @@ const Zones = ({ url }) => {
     setEditingZone(zone);
     setFormData({
       name: zone.name,
-      neighborhoods: zone.neighborhoods.length > 0 ? zone.neighborhoods : [""]
+      neighborhoods: zone.neighborhoods.length > 0 ? zone.neighborhoods : [""],
+      deliveryFee: zone.deliveryFee ?? "",
+      minimumOrder: zone.minimumOrder || "",
+      freeDeliveryAbove: zone.freeDeliveryAbove ?? "",
+      etaMin: zone.estimatedTime?.min ?? "",
+      etaMax: zone.estimatedTime?.max ?? "",
+      coverage: getCoverageMode(zone),
+      area: zone.area || null,
+      radiusKm: zone.radius?.meters ? zone.radius.meters / 1000 : "",
+      centerLat: zone.radius?.center?.lat ?? "",
+      centerLng: zone.radius?.center?.lng ?? "",
+      baseFee: zone.distancePricing?.baseFee ?? "",
+      perKm: zone.distancePricing?.perKm ?? "",
+      includedKm: zone.distancePricing?.includedKm ?? ""
     });
     setShowForm(true);
   };
@@ -142,7 +249,7 @@ const Zones = ({ url }) => {
   const cancelForm = () => {
     setShowForm(false);
     setEditingZone(null);
-    setFormData({ name: "", neighborhoods: [""] });
+    setFormData(EMPTY_FORM);
   };
 
   useEffect(() => {
@@ -214,6 +321,119 @@ const Zones = ({ url }) => {
               </button>
             </div>
 
+            <div className="form-group flex-col">
+              <label>{getAdminTranslation('zones.coverage', 'Coverage')}</label>
+              <div className="zone-coverage-modes">
+                {COVERAGE_MODES.map(mode => (
+                  <label key={mode}>
+                    <input
+                      type="radio"
+                      name="coverage"
+                      value={mode}
+                      checked={formData.coverage === mode}
+                      onChange={handleInputChange}
+                    />
+                    {getAdminTranslation(`zones.coverageModes.${mode}`, mode)}
+                  </label>
+                ))}
+              </div>
+              {formData.coverage === "area" && (
+                <div className="zone-area">
+                  <input type="file" accept=".geojson,.json,application/geo+json,application/json" onChange={handleAreaUpload} />
+                  {formData.area ? (
+                    <span>
+                      {getAdminTranslation('zones.areaSummary', '{type} with {points} points', {
+                        type: formData.area.type,
+                        points: countPositions(formData.area)
+                      })}
+                    </span>
+                  ) : (
+                    <span>{getAdminTranslation('zones.areaHint', '')}</span>
+                  )}
+                </div>
+              )}
+              {formData.coverage === "radius" && (
+                <div className="zone-terms">
+                  <label>
+                    {getAdminTranslation('zones.radiusKm', 'Radius (km)')}
+                    <input type="number" name="radiusKm" min="0.1" max="50" step="0.1" value={formData.radiusKm} onChange={handleInputChange} required />
+                  </label>
+                  <label>
+                    {getAdminTranslation('zones.centerLat', 'Center latitude')}
+                    <input
+                      type="number"
+                      name="centerLat"
+                      min="-90"
+                      max="90"
+                      step="any"
+                      value={formData.centerLat}
+                      onChange={handleInputChange}
+                      placeholder={getAdminTranslation('zones.storeLocation', 'Store location')}
+                    />
+                  </label>
+                  <label>
+                    {getAdminTranslation('zones.centerLng', 'Center longitude')}
+                    <input
+                      type="number"
+                      name="centerLng"
+                      min="-180"
+                      max="180"
+                      step="any"
+                      value={formData.centerLng}
+                      onChange={handleInputChange}
+                      placeholder={getAdminTranslation('zones.storeLocation', 'Store location')}
+                    />
+                  </label>
+                </div>
+              )}
+            </div>
+
+            <div className="form-group flex-col">
+              <label>{getAdminTranslation('zones.deliveryTerms', 'Delivery terms')}</label>
+              <div className="zone-terms">
+                <label>
+                  {getAdminTranslation('zones.deliveryFee', 'Delivery fee')}
+                  <input
+                    type="number"
+                    name="deliveryFee"
+                    min="0"
+                    step="0.01"
+                    value={formData.deliveryFee}
+                    onChange={handleInputChange}
+                    placeholder={getAdminTranslation('zones.storeDefault', 'Store default')}
+                  />
+                </label>
+                <label>
+                  {getAdminTranslation('zones.minimumOrder', 'Minimum order')}
+                  <input type="number" name="minimumOrder" min="0" step="0.01" value={formData.minimumOrder} onChange={handleInputChange} />
+                </label>
+                <label>
+                  {getAdminTranslation('zones.freeDeliveryAbove', 'Free delivery from')}
+                  <input type="number" name="freeDeliveryAbove" min="0" step="0.01" value={formData.freeDeliveryAbove} onChange={handleInputChange} />
+                </label>
+                <label>
+                  {getAdminTranslation('zones.baseFee', 'Base fee (by distance)')}
+                  <input type="number" name="baseFee" min="0" step="0.01" value={formData.baseFee} onChange={handleInputChange} />
+                </label>
+                <label>
+                  {getAdminTranslation('zones.perKm', 'Per km')}
+                  <input type="number" name="perKm" min="0" step="0.01" value={formData.perKm} onChange={handleInputChange} />
+                </label>
+                <label>
+                  {getAdminTranslation('zones.includedKm', 'Included km')}
+                  <input type="number" name="includedKm" min="0" step="0.1" value={formData.includedKm} onChange={handleInputChange} />
+                </label>
+                <label>
+                  {getAdminTranslation('zones.estimatedTime', 'Estimated time (min)')}
+                  <div className="zone-eta">
+                    <input type="number" name="etaMin" min="1" value={formData.etaMin} onChange={handleInputChange} />
+                    <span>-</span>
+                    <input type="number" name="etaMax" min="1" value={formData.etaMax} onChange={handleInputChange} />
+                  </div>
+                </label>
+              </div>
+            </div>
+
             <div className="form-actions">
               <button type="submit" className="submit-btn">
                 {editingZone ? getAdminTranslation('zones.updateZone', 'Update Zone') : getAdminTranslation('zones.createZone', 'Create Zone')}
@@ -231,6 +451,7 @@ const Zones = ({ url }) => {
           <div className="zones-table-format title">
             <b>{getAdminTranslation('zones.zoneName', 'Zone Name')}</b>
             <b>{getAdminTranslation('zones.neighborhoods', 'Neighborhoods')}</b>
+            <b>{getAdminTranslation('zones.deliveryTerms', 'Delivery terms')}</b>
             <b>{getAdminTranslation('zones.status', 'Status')}</b>
             <b>{getAdminTranslation('zones.actions', 'Actions')}</b>
           </div>
@@ -244,6 +465,43 @@ const Zones = ({ url }) => {
                   </span>
                 ))}
               </div>
+              <div className="zone-terms-summary">
+                <span>
+                  {getAdminTranslation('zones.deliveryFee', 'Delivery fee')}: {typeof zone.deliveryFee === 'number'
+                    ? formatMoney(zone.deliveryFee)
+                    : getAdminTranslation('zones.storeDefault', 'Store default')}
+                </span>
+                {typeof zone.distancePricing?.perKm === 'number' && (
+                  <span>
+                    {getAdminTranslation('zones.distancePricingSummary', '{base} + {perKm}/km after {included} km', {
+                      base: formatMoney(zone.distancePricing.baseFee),
+                      perKm: formatMoney(zone.distancePricing.perKm),
+                      included: zone.distancePricing.includedKm
+                    })}
+                  </span>
+                )}
+                {zone.radius?.meters ? (
+                  <span>{getAdminTranslation('zones.radiusKm', 'Radius (km)')}: {zone.radius.meters / 1000}</span>
+                ) : zone.area && (
+                  <span>
+                    {getAdminTranslation('zones.areaSummary', '{type} with {points} points', {
+                      type: zone.area.type,
+                      points: countPositions(zone.area)
+                    })}
+                  </span>
+                )}
+                {zone.minimumOrder > 0 && (
+                  <span>{getAdminTranslation('zones.minimumOrder', 'Minimum order')}: {formatMoney(zone.minimumOrder)}</span>
+                )}
+                {typeof zone.freeDeliveryAbove === 'number' && (
+                  <span>{getAdminTranslation('zones.freeDeliveryAbove', 'Free delivery from')}: {formatMoney(zone.freeDeliveryAbove)}</span>
+                )}
+                {zone.estimatedTime?.min && (
+                  <span>
+                    {getAdminTranslation('zones.estimatedTime', 'Estimated time (min)')}: {zone.estimatedTime.min}-{zone.estimatedTime.max}
+                  </span>
+                )}
+              </div>
               <p className={`status ${zone.isActive ? 'active' : 'inactive'}`}>
                 {zone.isActive ? getAdminTranslation('zones.active', 'Active') : getAdminTranslation('zones.inactive', 'Inactive')}
               </p>
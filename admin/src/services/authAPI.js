@@ -0,0 +1,103 @@
+import axios from "axios";
+
+/**
+ * Auth API service for the admin panel
+ * Name + password login and transparent access-token refresh
+ */
+
+const REFRESH_TOKEN_KEY = "refreshToken";
+
+export const getStoredRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+/**
+ * Persist the session returned by the login/refresh endpoints
+ * @param {Object} session - { token, refreshToken }
+ */
+export const storeSession = ({ token, refreshToken }) => {
+  localStorage.setItem("token", token);
+  localStorage.setItem("admin", true);
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
+};
+
+export const clearStoredSession = () => {
+  localStorage.removeItem("token");
+  localStorage.removeItem("admin");
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+export const loginWithPassword = (url, credentials) =>
+  axios.post(url + "/api/user/login", credentials);
+
+/**
+ * Revoke the refresh token on the server (errors are ignored - the local
+ * session is cleared either way)
+ */
+export const logoutSession = async (url) => {
+  const refreshToken = getStoredRefreshToken();
+  if (!refreshToken) return;
+  try {
+    await axios.post(url + "/api/user/logout", { refreshToken });
+  } catch (error) {
+    console.warn("Logout request failed:", error);
+  }
+};
+
+let refreshPromise = null;
+
+const refreshAccessToken = async (url) => {
+  const refreshToken = getStoredRefreshToken();
+  if (!refreshToken) {
+    throw new Error("No refresh token");
+  }
+  // Concurrent 401s share a single refresh call
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(url + "/api/user/refresh", { refreshToken })
+      .then((response) => {
+        storeSession(response.data);
+        return response.data;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Retry requests rejected with TOKEN_EXPIRED after refreshing the access token
+ * @param {string} url - Backend URL
+ * @param {Object} handlers - { onRefreshed(session), onSessionExpired() }
+ * @returns {Function} - Removes the interceptor
+ */
+export const setupTokenRefresh = (url, { onRefreshed, onSessionExpired }) => {
+  const interceptor = axios.interceptors.response.use(undefined, async (error) => {
+    const { config, response } = error;
+    const expired = response?.status === 401 && response.data?.code === "TOKEN_EXPIRED";
+
+    if (!expired || !config || config._retried) {
+      return Promise.reject(error);
+    }
+
+    try {
+      const session = await refreshAccessToken(url);
+      onRefreshed?.(session);
+      config._retried = true;
+      config.headers = { ...config.headers };
+      if (config.headers.token) {
+        config.headers.token = session.token;
+      }
+      if (config.headers.Authorization) {
+        config.headers.Authorization = `Bearer ${session.token}`;
+      }
+      return axios(config);
+    } catch (refreshError) {
+      onSessionExpired?.();
+      return Promise.reject(error);
+    }
+  });
+
+  return () => axios.interceptors.response.eject(interceptor);
+};
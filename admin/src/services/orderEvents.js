@@ -0,0 +1,68 @@
+/**
+ * Live order updates
+ * Subscribes to the backend Server-Sent Events stream (GET /api/order/events).
+ * EventSource cannot send headers, so the access token goes in the query.
+ */
+
+export const ORDER_EVENT_TYPES = ["order.created", "order.status", "order.paid", "order.driver", "order.attention"];
+
+// Wait before reopening a stream the server refused (e.g. expired token)
+const RETRY_DELAY_MS = 5000;
+
+/**
+ * Open the order event stream
+ * @param {string} url - Backend URL
+ * @param {string} token - Access token
+ * @param {Object} handlers - { onEvent(type, data), onResync() } where onResync
+ *   runs after a reconnection so the caller can refetch what it missed
+ * @returns {Function} - Closes the stream
+ */
+export const subscribeOrderEvents = (url, token, { onEvent, onResync }) => {
+  if (typeof EventSource === "undefined" || !token) {
+    return () => {};
+  }
+
+  let source = null;
+  let retryTimer = null;
+  let connectedBefore = false;
+  let closed = false;
+
+  const open = () => {
+    source = new EventSource(`${url}/api/order/events?token=${encodeURIComponent(token)}`);
+
+    source.onopen = () => {
+      if (connectedBefore) {
+        onResync?.();
+      }
+      connectedBefore = true;
+    };
+
+    // The browser reconnects by itself after network errors; a refused
+    // stream stays closed, so retry and let the caller refresh the token
+    source.onerror = () => {
+      if (source.readyState !== EventSource.CLOSED || closed) return;
+      retryTimer = setTimeout(() => {
+        onResync?.();
+        open();
+      }, RETRY_DELAY_MS);
+    };
+
+    ORDER_EVENT_TYPES.forEach((type) => {
+      source.addEventListener(type, (event) => {
+        try {
+          onEvent?.(type, JSON.parse(event.data));
+        } catch (error) {
+          console.error("Invalid order event:", error);
+        }
+      });
+    });
+  };
+
+  open();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    source?.close();
+  };
+};
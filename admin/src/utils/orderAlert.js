@@ -0,0 +1,45 @@
+/**
+ * Audible alert for new orders
+ * Plays a short two-tone chime with the Web Audio API (no audio file needed).
+ */
+
+let audioContext = null;
+
+const getAudioContext = () => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+  if (!audioContext) {
+    audioContext = new AudioContextClass();
+  }
+  return audioContext;
+};
+
+/**
+ * Play the new order chime. Browsers only allow audio after the user has
+ * interacted with the page, so failures are ignored.
+ */
+export const playNewOrderAlert = async () => {
+  try {
+    const context = getAudioContext();
+    if (!context) return;
+    if (context.state === "suspended") {
+      await context.resume();
+    }
+
+    [880, 1320].forEach((frequency, index) => {
+      const start = context.currentTime + index * 0.25;
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = "sine";
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.3, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.4);
+      oscillator.connect(gain);
+      gain.connect(context.destination);
+      oscillator.start(start);
+      oscillator.stop(start + 0.4);
+    });
+  } catch (error) {
+    console.warn("Could not play new order alert:", error);
+  }
+};
@@ -0,0 +1,39 @@
+import { addressBookService } from "../services/addressBookService.js";
+import { isAddressError } from "../utils/addresses.js";
+
+// Address errors carry their HTTP status (invalid address, CEP not found)
+const sendAddressResponse = async (res, operation, message) => {
+  try {
+    const data = await operation();
+    res.json({ success: true, message, data });
+  } catch (error) {
+    if (isAddressError(error)) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.log(error);
+    res.json({ success: false, message: "Error" });
+  }
+};
+
+// street, neighborhood and serving zone of a CEP
+const lookupCep = (req, res) =>
+  sendAddressResponse(res, () => addressBookService.lookupCep(req.params.cep));
+
+const listAddresses = (req, res) =>
+  sendAddressResponse(res, () => addressBookService.list(req.user.id));
+
+const addAddress = (req, res) =>
+  sendAddressResponse(res, () => addressBookService.add(req.user.id, req.body), "Address Saved");
+
+const updateAddress = (req, res) =>
+  sendAddressResponse(res, () => addressBookService.update(req.user.id, req.params.id, req.body), "Address Updated");
+
+const removeAddress = (req, res) =>
+  sendAddressResponse(res, () => addressBookService.remove(req.user.id, req.params.id), "Address Removed");
+
+export { lookupCep, listAddresses, addAddress, updateAddress, removeAddress };
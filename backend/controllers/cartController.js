@@ -1,51 +1,50 @@
-import userModel from "../models/userModel.js";
+import { cartService, isCartError } from "../services/cartService.js";
 
-// add items to user cart
-const addToCart = async (req, res) => {
+// Cart errors carry their HTTP status (invalid item, item not on the menu, unknown line)
+const sendCartResponse = async (res, operation, message) => {
   try {
-    let userData = await userModel.findById(req.body.userId);
-    let cartData = await userData.cartData;
-    if (!cartData[req.body.itemId]) {
-      cartData[req.body.itemId] = 1;
-    } else {
-      cartData[req.body.itemId] += 1;
-    }
-    await userModel.findByIdAndUpdate(req.body.userId, { cartData });
-    res.json({ success: true, message: "Added to Cart" });
+    const cart = await operation();
+    res.json({ success: true, message, data: cart });
   } catch (error) {
-    console.log(error);
-    res.json({ success: false, message: "Error" });
-  }
-};
-
-// remove from cart
-const removeFromCart = async (req, res) => {
-  try {
-    let userData = await userModel.findById(req.body.userId);
-    let cartData = await userData.cartData;
-    if (cartData[req.body.itemId] > 1) {
-      cartData[req.body.itemId] -= 1;
-    } else {
-      delete cartData[req.body.itemId];
+    if (isCartError(error)) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
     }
-    await userModel.findByIdAndUpdate(req.body.userId, { cartData });
-    res.json({ success: true, message: "Removed from Cart" });
-  } catch (error) {
     console.log(error);
     res.json({ success: false, message: "Error" });
   }
 };
 
+// add items to user cart ({ itemId, quantity?, options?, note? })
+const addToCart = (req, res) =>
+  sendCartResponse(res, () => cartService.addItem(req.user.id, req.body), "Added to Cart");
+
+// remove one unit ({ lineId } or { itemId })
+const removeFromCart = (req, res) =>
+  sendCartResponse(res, () => cartService.removeItem(req.user.id, req.body), "Removed from Cart");
+
+// set the quantity of a line ({ lineId, quantity }, 0 removes it)
+const setCartQuantity = (req, res) =>
+  sendCartResponse(res, () => cartService.setQuantity(req.user.id, req.body.lineId, req.body.quantity), "Cart Updated");
+
+// change the note or options of a line ({ lineId, note?, options? })
+const updateCartLine = (req, res) =>
+  sendCartResponse(res, () => cartService.updateLine(req.user.id, req.body.lineId, req.body), "Cart Updated");
+
+// empty the cart
+const clearCart = (req, res) =>
+  sendCartResponse(res, () => cartService.clear(req.user.id), "Cart Cleared");
+
+// merge the cart kept in the browser before login ({ items: [...] })
+const mergeCart = (req, res) =>
+  sendCartResponse(res, () => cartService.mergeGuestCart(req.user.id, req.body.items), "Cart Merged");
+
 // fetch user cart data
-const getCart = async (req, res) => {
-  try {
-    let userData = await userModel.findById(req.body.userId);
-    let cartData = await userData.cartData;
-    res.json({ success: true, cartData: cartData });
-  } catch (error) {
-    console.log(error);
-    res.json({ success: false, message: "Error" });
-  }
-};
+const getCart = (req, res) =>
+  sendCartResponse(res, () => cartService.getCart(req.user.id));
 
-export { addToCart, removeFromCart, getCart };
+export { addToCart, removeFromCart, setCartQuantity, updateCartLine, clearCart, mergeCart, getCart };
@@ -1,36 +1,46 @@
 import CategoryService from "../services/categoryService.js";
-import userModel from "../models/userModel.js";
 import categoryModel from "../models/categoryModel.js";
 import { logger, imageLogger } from "../utils/logger.js";
 import imageLoggingIntegration from "../utils/imageLoggingIntegration.js";
+import { imageVariantService } from "../services/imageVariantService.js";
+import { imageStore } from "../services/imageStore.js";
+import { enqueueImageOptimization } from "../services/imageJobs.js";
+import { IMAGE_OWNER_KINDS } from "../models/imageBlobModel.js";
+import fs from "fs";
 
 const categoryService = new CategoryService();
 
+// The category as a user of its stored image
+const imageOwner = (category) => ({ kind: IMAGE_OWNER_KINDS.CATEGORY, id: category._id });
+
 // Create new category (Admin only) - SIMPLE LIKE FOOD
 const createCategory = async (req, res) => {
-  let image_filename = `${req.file.filename}`;
+  // Created first so the stored image can record who uses it
+  const category = new categoryModel();
+  let storedImage = null;
   
   try {
-    // Check admin (simple like food)
-    let userData = await userModel.findById(req.body.userId);
-    if (!userData || userData.role !== "admin") {
-      return res.json({ success: false, message: "You are not admin" });
-    }
-
     const categoryData = {
       name: req.body.name,
       originalName: req.body.originalName || req.body.name,
       slug: req.body.slug || req.body.name.toLowerCase().replace(/\s+/g, '-'),
-      image: `/uploads/${image_filename}`,
       isActive: req.body.isActive !== undefined ? req.body.isActive : true,
       order: parseInt(req.body.order) || 0
     };
 
-    const category = new categoryModel(categoryData);
+    storedImage = await imageStore.storeFile(req.file.path, imageOwner(category));
+    category.set({ ...categoryData, ...storedImage });
     await category.save();
+    await enqueueImageOptimization(imageOwner(category));
     res.json({ success: true, message: "Category Added" });
     
   } catch (error) {
+    // The category was not saved, so its image is not used
+    if (storedImage) {
+      await imageStore.release(storedImage.image, imageOwner(category));
+    } else {
+      fs.unlink(req.file.path, () => {});
+    }
     console.log(error);
     res.json({ success: false, message: "Error" });
   }
@@ -99,12 +109,6 @@ const getCategoryById = async (req, res) => {
 // Update category (Admin only) - SIMPLE LIKE FOOD
 const updateCategory = async (req, res) => {
   try {
-    // Check admin (simple like food)
-    let userData = await userModel.findById(req.body.userId);
-    if (!userData || userData.role !== "admin") {
-      return res.json({ success: false, message: "You are not admin" });
-    }
-
     const updateData = {};
     if (req.body.name) updateData.name = req.body.name;
     if (req.body.originalName) updateData.originalName = req.body.originalName;
@@ -113,20 +117,27 @@ const updateCategory = async (req, res) => {
     if (req.body.order !== undefined) updateData.order = parseInt(req.body.order);
 
     // Handle image like food system
+    const owner = imageOwner({ _id: req.params.id });
     if (req.file) {
-      updateData.image = `/uploads/${req.file.filename}`;
+      Object.assign(updateData, await imageStore.storeFile(req.file.path, owner));
     }
 
-    // Update category
-    const updatedCategory = await categoryModel.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    );
+    // Update category; the previous version tells which image to let go of
+    const previousCategory = await categoryModel.findByIdAndUpdate(req.params.id, updateData);
 
-    if (!updatedCategory) {
+    if (!previousCategory) {
+      if (req.file) {
+        await imageStore.release(updateData.image, owner);
+      }
       return res.json({ success: false, message: "Category not found" });
     }
+    // Uploading the same picture again keeps it
+    if (req.file && previousCategory.image !== updateData.image) {
+      if (!(await imageStore.release(previousCategory.image, owner))) {
+        await imageVariantService.remove(previousCategory.imageVariants);
+      }
+      await enqueueImageOptimization(owner);
+    }
 
     res.json({ success: true, message: "Category Updated" });
     
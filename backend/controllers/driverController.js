@@ -1,15 +1,8 @@
 import driverModel from "../models/driverModel.js";
-import userModel from "../models/userModel.js";
 
 // Create new driver (Admin only)
 const createDriver = async (req, res) => {
   try {
-    // Check admin
-    let userData = await userModel.findById(req.body.userId);
-    if (!userData || userData.role !== "admin") {
-      return res.json({ success: false, message: "You are not admin" });
-    }
-
     const driverData = {
       name: req.body.name,
       phone: req.body.phone,
@@ -102,12 +95,6 @@ const getDriverById = async (req, res) => {
 // Update driver (Admin only)
 const updateDriver = async (req, res) => {
   try {
-    // Check admin
-    let userData = await userModel.findById(req.body.userId);
-    if (!userData || userData.role !== "admin") {
-      return res.json({ success: false, message: "You are not admin" });
-    }
-
     const updateData = {};
     if (req.body.name) updateData.name = req.body.name;
     if (req.body.phone) updateData.phone = req.body.phone;
@@ -138,12 +125,6 @@ const updateDriver = async (req, res) => {
 // Delete driver (Admin only)
 const deleteDriver = async (req, res) => {
   try {
-    // Check admin
-    let userData = await userModel.findById(req.body.userId);
-    if (!userData || userData.role !== "admin") {
-      return res.json({ success: false, message: "You are not admin" });
-    }
-
     // Check if driver is assigned to any active orders
     const orderModel = (await import("../models/orderModel.js")).default;
     const activeOrdersWithDriver = await orderModel.countDocuments({
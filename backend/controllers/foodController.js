@@ -1,7 +1,16 @@
 import foodModel from "../models/foodModel.js";
-import userModel from "../models/userModel.js";
 import categoryModel from "../models/categoryModel.js";
 import fs from "fs";
+import { parseOptionGroups, isFoodOptionsError } from "../utils/foodOptions.js";
+import { getFoodAvailability, parseAvailabilitySchedule } from "../utils/foodAvailability.js";
+import { MAX_SEARCH_PAGE_SIZE, SEARCH_PAGE_SIZE, parseFoodSearch } from "../utils/foodSearch.js";
+import { parsePagination } from "../utils/pagination.js";
+import { foodSearchService } from "../services/foodSearchService.js";
+import { imageVariantService } from "../services/imageVariantService.js";
+import { imageStore } from "../services/imageStore.js";
+import { enqueueImageOptimization } from "../services/imageJobs.js";
+import { getUploadStorage, toStorageKey } from "../services/uploadStorage.js";
+import { IMAGE_OWNER_KINDS } from "../models/imageBlobModel.js";
 
 // Helper function to ensure consistent image path format
 const normalizeImagePath = (imagePath) => {
@@ -30,6 +39,21 @@ const getFileSystemPath = (dbImagePath) => {
   return dbImagePath.startsWith('/') ? dbImagePath.substring(1) : dbImagePath;
 };
 
+// The food as a user of its stored image
+const imageOwner = (food) => ({ kind: IMAGE_OWNER_KINDS.FOOD, id: food._id });
+
+// Let go of a food's image; images from before the store are deleted outright
+const releaseImage = async (food) => {
+  if (await imageStore.release(food.image, imageOwner(food))) {
+    return;
+  }
+  const key = toStorageKey(normalizeImagePath(food.image));
+  if (key) {
+    await getUploadStorage().delete(key);
+  }
+  await imageVariantService.remove(food.imageVariants);
+};
+
 // Helper function to resolve category information
 const resolveCategoryInfo = async (categoryInput) => {
   if (!categoryInput) {
@@ -68,16 +92,45 @@ const resolveCategoryInfo = async (categoryInput) => {
   return null;
 };
 
+// Whether the food can be ordered right now (switched on, in stock, within its schedule)
+const withAvailability = (foodObj) => {
+  const { available, reason } = getFoodAvailability(foodObj);
+  return { ...foodObj, available, unavailableReason: reason };
+};
+
+// Food as sent to the clients: category name filled in, image URL normalized, availability computed
+const toFoodResponse = (food) => {
+  const foodObj = food.toObject({ flattenMaps: true });
+
+  // Ensure category field is populated for backward compatibility
+  if (food.categoryId && !foodObj.category) {
+    foodObj.category = food.categoryId.originalName || food.categoryId.name;
+  }
+
+  // Ensure consistent image URL format
+  if (foodObj.image) {
+    foodObj.image = normalizeImagePath(foodObj.image);
+  }
+
+  return withAvailability(foodObj);
+};
+
+// Invalid option groups are answered with 400 and the list of problems
+const sendOptionGroupsError = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    details: error.details
+  });
+
 // add food items
 const addFood = async (req, res) => {
-  let image_filename = `${req.file.filename}`;
+  // Created first so the stored image can record who uses it
+  const food = new foodModel();
+  let storedImage = null;
   
   try {
-    let userData = await userModel.findById(req.body.userId);
-    if (!userData || userData.role !== "admin") {
-      return res.json({ success: false, message: "You are not admin" });
-    }
-
     // Resolve category information
     const categoryInfo = await resolveCategoryInfo(req.body.category);
     
@@ -85,7 +138,7 @@ const addFood = async (req, res) => {
       name: req.body.name,
       description: req.body.description,
       price: req.body.price,
-      image: normalizeImagePath(image_filename), // Ensure consistent path format
+      optionGroups: parseOptionGroups(req.body.optionGroups),
     };
 
     // Set category fields based on what we found
@@ -98,11 +151,22 @@ const addFood = async (req, res) => {
       foodData.category = req.body.category;
     }
 
-    const food = new foodModel(foodData);
+    storedImage = await imageStore.storeFile(req.file.path, imageOwner(food));
+    food.set({ ...foodData, ...storedImage });
     await food.save();
+    await enqueueImageOptimization(imageOwner(food));
     res.json({ success: true, message: "Food Added" });
     
   } catch (error) {
+    // The food was not saved, so its image is not used
+    if (storedImage) {
+      await imageStore.release(storedImage.image, imageOwner(food));
+    } else {
+      fs.unlink(req.file.path, () => {});
+    }
+    if (isFoodOptionsError(error)) {
+      return sendOptionGroupsError(res, error);
+    }
     console.log(error);
     res.json({ success: false, message: "Error" });
   }
@@ -112,25 +176,29 @@ const addFood = async (req, res) => {
 const listFood = async (req, res) => {
   try {
     const foods = await foodModel.find({}).populate('categoryId', 'name originalName slug');
-    
-    // Transform data to ensure backward compatibility and consistent image URLs
-    const transformedFoods = foods.map(food => {
-      const foodObj = food.toObject();
-      
-      // Ensure category field is populated for backward compatibility
-      if (food.categoryId && !foodObj.category) {
-        foodObj.category = food.categoryId.originalName || food.categoryId.name;
-      }
-      
-      // Ensure consistent image URL format
-      if (foodObj.image) {
-        foodObj.image = normalizeImagePath(foodObj.image);
-      }
-      
-      return foodObj;
-    });
-    
-    res.json({ success: true, data: transformedFoods });
+    res.json({ success: true, data: foods.map(toFoodResponse) });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: "Error" });
+  }
+};
+
+// search foods (?q=&category=&minPrice=&maxPrice=&available=&sort=&page=&limit=)
+const searchFood = async (req, res) => {
+  try {
+    const { search, errors } = parseFoodSearch(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.map((error) => error.message).join(", "),
+        code: "INVALID_SEARCH",
+        details: errors
+      });
+    }
+
+    const page = parsePagination(req.query, { defaultLimit: SEARCH_PAGE_SIZE, maxLimit: MAX_SEARCH_PAGE_SIZE });
+    const { foods, pagination } = await foodSearchService.search(search, page);
+    res.json({ success: true, data: foods.map(toFoodResponse), pagination });
   } catch (error) {
     console.log(error);
     res.json({ success: false, message: "Error" });
@@ -140,19 +208,11 @@ const listFood = async (req, res) => {
 // remove food item
 const removeFood = async (req, res) => {
   try {
-    let userData = await userModel.findById(req.body.userId);
-    if (userData && userData.role === "admin") {
-      const food = await foodModel.findById(req.body.id);
-      // Use helper function to get correct file system path
-      const imagePath = getFileSystemPath(food.image);
-      if (imagePath) {
-        fs.unlink(imagePath, () => {});
-      }
-      await foodModel.findByIdAndDelete(req.body.id);
-      res.json({ success: true, message: "Food Removed" });
-    } else {
-      res.json({ success: false, message: "You are not admin" });
-    }
+    const food = await foodModel.findById(req.body.id);
+    await foodModel.findByIdAndDelete(req.body.id);
+    // The image stays while other foods or categories use it
+    await releaseImage(food);
+    res.json({ success: true, message: "Food Removed" });
   } catch (error) {
     console.log(error);
     res.json({ success: false, message: "Error" });
@@ -187,24 +247,7 @@ const listFoodsByCategory = async (req, res) => {
       index === self.findIndex(f => f._id.toString() === food._id.toString())
     );
 
-    // Transform data for backward compatibility and consistent image URLs
-    const transformedFoods = uniqueFoods.map(food => {
-      const foodObj = food.toObject();
-      
-      // Ensure category field is populated
-      if (food.categoryId && !foodObj.category) {
-        foodObj.category = food.categoryId.originalName || food.categoryId.name;
-      }
-      
-      // Ensure consistent image URL format
-      if (foodObj.image) {
-        foodObj.image = normalizeImagePath(foodObj.image);
-      }
-      
-      return foodObj;
-    });
-
-    res.json({ success: true, data: transformedFoods });
+    res.json({ success: true, data: uniqueFoods.map(toFoodResponse) });
   } catch (error) {
     console.log(error);
     res.json({ success: false, message: "Error" });
@@ -214,17 +257,17 @@ const listFoodsByCategory = async (req, res) => {
 // update food item
 const updateFood = async (req, res) => {
   try {
-    let userData = await userModel.findById(req.body.userId);
-    if (!userData || userData.role !== "admin") {
-      return res.json({ success: false, message: "You are not admin" });
-    }
-
     const updateData = {
       name: req.body.name,
       description: req.body.description,
       price: req.body.price,
     };
 
+    // Option groups are only replaced when sent
+    if (req.body.optionGroups !== undefined) {
+      updateData.optionGroups = parseOptionGroups(req.body.optionGroups);
+    }
+
     // Handle category update
     if (req.body.category) {
       const categoryInfo = await resolveCategoryInfo(req.body.category);
@@ -239,25 +282,90 @@ const updateFood = async (req, res) => {
     }
 
     // Handle image update
+    let previousFood = null;
     if (req.file) {
-      const food = await foodModel.findById(req.body.id);
-      if (food && food.image) {
-        // Use helper function to get correct file system path
-        const imagePath = getFileSystemPath(food.image);
-        if (imagePath) {
-          fs.unlink(imagePath, () => {});
+      previousFood = await foodModel.findById(req.body.id);
+      if (previousFood) {
+        Object.assign(updateData, await imageStore.storeFile(req.file.path, imageOwner(previousFood)));
+      } else {
+        fs.unlink(req.file.path, () => {});
+      }
+    }
+
+    if (previousFood) {
+      // Only swap from the image read above: of two concurrent image updates,
+      // the one that loses gives its new image back
+      const { matchedCount } = await foodModel.updateOne({ _id: previousFood._id, image: previousFood.image }, updateData);
+      if (matchedCount === 0) {
+        const current = await foodModel.findById(previousFood._id).select("image").lean();
+        if (current?.image !== updateData.image) {
+          await imageStore.release(updateData.image, imageOwner(previousFood));
         }
+        return res.status(409).json({
+          success: false,
+          code: "IMAGE_CHANGED_CONCURRENTLY",
+          message: "A imagem foi alterada por outra operação. Atualize e tente novamente."
+        });
       }
-      updateData.image = normalizeImagePath(req.file.filename);
+    } else {
+      await foodModel.findByIdAndUpdate(req.body.id, updateData);
     }
 
-    await foodModel.findByIdAndUpdate(req.body.id, updateData);
+    // Uploading the same picture again keeps it
+    if (previousFood && previousFood.image !== updateData.image) {
+      if (previousFood.image) {
+        await releaseImage(previousFood);
+      }
+      await enqueueImageOptimization(imageOwner(previousFood));
+    }
     res.json({ success: true, message: "Food Updated" });
     
+  } catch (error) {
+    if (isFoodOptionsError(error)) {
+      return sendOptionGroupsError(res, error);
+    }
+    console.log(error);
+    res.json({ success: false, message: "Error" });
+  }
+};
+
+// switch a food on/off, set its stock and schedule ({ id, isAvailable?, stock?, availabilitySchedule? })
+const updateFoodAvailability = async (req, res) => {
+  try {
+    const { id, isAvailable, stock, availabilitySchedule } = req.body;
+    const update = {};
+
+    if (isAvailable !== undefined) {
+      if (typeof isAvailable !== "boolean") {
+        return res.status(400).json({ success: false, message: "Disponibilidade inválida" });
+      }
+      update.isAvailable = isAvailable;
+    }
+    if (stock !== undefined) {
+      // null or "" stops tracking stock
+      const units = stock === null || stock === "" ? null : Number(stock);
+      if (units !== null && (!Number.isInteger(units) || units < 0)) {
+        return res.status(400).json({ success: false, message: "Estoque deve ser um número inteiro maior ou igual a zero" });
+      }
+      update.stock = units;
+    }
+    if (availabilitySchedule !== undefined) {
+      const schedule = parseAvailabilitySchedule(availabilitySchedule);
+      if (schedule === null) {
+        return res.status(400).json({ success: false, message: "Horários de disponibilidade inválidos" });
+      }
+      update.availabilitySchedule = schedule;
+    }
+
+    const food = await foodModel.findByIdAndUpdate(id, { $set: update }, { new: true, runValidators: true });
+    if (!food) {
+      return res.status(404).json({ success: false, message: "Item não encontrado" });
+    }
+    res.json({ success: true, message: "Availability Updated", data: withAvailability(food.toObject()) });
   } catch (error) {
     console.log(error);
     res.json({ success: false, message: "Error" });
   }
 };
 
-export { addFood, listFood, removeFood, listFoodsByCategory, updateFood, resolveCategoryInfo, normalizeImagePath, getFileSystemPath };
+export { addFood, updateFoodAvailability, listFood, searchFood, removeFood, listFoodsByCategory, updateFood, resolveCategoryInfo, normalizeImagePath, getFileSystemPath };
@@ -0,0 +1,68 @@
+import { imageVariantService } from "../services/imageVariantService.js";
+import { getUploadStorage, isValidKey } from "../services/uploadStorage.js";
+import { IMAGE_FORMATS, parseImageRequest } from "../utils/imageVariants.js";
+
+// serve a width variant (/images/:id?w=&fmt=), as WebP when the browser accepts it
+const serveImage = async (req, res) => {
+  try {
+    const { request, errors } = parseImageRequest(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.map((error) => error.message).join(", "),
+        code: "INVALID_IMAGE_REQUEST",
+        details: errors
+      });
+    }
+
+    const variant = await imageVariantService.resolve(req.params.id, request, req.get("Accept"));
+    const body = variant && await getUploadStorage().get(variant.key);
+    if (!body) {
+      return res.status(404).json({ success: false, message: "Imagem não encontrada" });
+    }
+
+    // Variants never change; the answer only depends on the URL and Accept
+    res.set({
+      "Cache-Control": "public, max-age=31536000, immutable",
+      "Content-Type": IMAGE_FORMATS[variant.format].mimeType,
+      "Vary": "Accept",
+      "X-Content-Type-Options": "nosniff"
+    });
+    res.send(body);
+  } catch (error) {
+    console.log(error);
+    res.status(500).json({ success: false, message: "Error" });
+  }
+};
+
+// key of an /uploads/* path, null when it is not a valid key
+const toUploadKey = (requestPath) => {
+  try {
+    // Mounted on /uploads, so the path is the key
+    const key = decodeURIComponent(requestPath.slice(1));
+    return isValidKey(key) ? key : null;
+  } catch (error) {
+    // Malformed escapes (e.g. %E0%A4%A) name no file
+    if (error instanceof URIError) return null;
+    throw error;
+  }
+};
+
+// send /uploads/* to a temporary link on storages that are not the local disk
+const serveUpload = async (req, res) => {
+  try {
+    const key = toUploadKey(req.path);
+    if (!key) {
+      return res.status(404).json({ success: false, message: "File not found" });
+    }
+
+    // Links expire, so the redirect itself is only cached briefly
+    res.set("Cache-Control", "public, max-age=300");
+    res.redirect(302, await getUploadStorage().getSignedUrl(key));
+  } catch (error) {
+    console.log(error);
+    res.status(500).json({ success: false, message: "Error" });
+  }
+};
+
+export { serveImage, serveUpload };
@@ -1,19 +1,41 @@
+import mongoose from "mongoose";
 import orderModel from "../models/orderModel.js";
 import userModel from "../models/userModel.js";
-import { MercadoPagoConfig, Preference, Payment } from 'mercadopago';
+import zoneModel from "../models/zoneModel.js";
+import { calculateOrderPricing, getDeliveryFee, isPricingError } from "../utils/orderPricing.js";
+import { getZoneDeliveryTerms } from "../utils/zoneDelivery.js";
+import { LOCATION_ZONE_MISMATCH_MESSAGE, getDeliveryDistanceKm, parseGeoPoint } from "../utils/geoZones.js";
+import { ORDER_STATUS, getAllowedTransitions, canCustomerCancel, isStatusError } from "../utils/orderStatus.js";
+import { DEFAULT_PAYMENT_METHOD, isPaymentError } from "../utils/paymentMethods.js";
+import {
+  PAPER_SIZES,
+  RECEIPT_TYPES,
+  buildReceipt,
+  renderReceiptText,
+  renderReceiptEscPos,
+  renderReceiptHtml
+} from "../utils/receiptRenderer.js";
+import { getMercadoPagoGateway } from "../services/mercadoPagoGateway.js";
+import { getPaymentProvider, isPaymentMethodEnabled, listPaymentMethods } from "../services/paymentProviders.js";
+import PaymentWebhookService from "../services/paymentWebhookService.js";
+import { paymentReconciliationService } from "../services/paymentReconciliationService.js";
+import { orderCancellationService } from "../services/orderCancellationService.js";
+import { orderEventsService, ORDER_EVENT } from "../services/orderEventsService.js";
+import { storeSettingsService } from "../services/storeSettingsService.js";
+import { promoService } from "../services/promoService.js";
+import { foodStockService } from "../services/foodStockService.js";
+import { isStoreError } from "../utils/storeHours.js";
+import { isPromoError } from "../utils/promotions.js";
+import { MAX_ORDER_PAGE_SIZE, ORDER_PAGE_SIZE, parseOrderCursor, parseOrderFilters } from "../utils/orderFilters.js";
+import { parsePagination } from "../utils/pagination.js";
+import { orderListService } from "../services/orderListService.js";
 
-// Initialize MercadoPago client only if token is available
-let client = null;
-if (process.env.MERCADOPAGO_ACCESS_TOKEN) {
-  client = new MercadoPagoConfig({ 
-    accessToken: process.env.MERCADOPAGO_ACCESS_TOKEN 
-  });
-}
+const paymentWebhookService = new PaymentWebhookService();
 
 // Test MercadoPago configuration
 const testMercadoPago = async (req, res) => {
   try {
-    const isConfigured = !!client;
+    const isConfigured = getMercadoPagoGateway().isConfigured();
     const tokenExists = !!process.env.MERCADOPAGO_ACCESS_TOKEN;
     const tokenLength = process.env.MERCADOPAGO_ACCESS_TOKEN ? process.env.MERCADOPAGO_ACCESS_TOKEN.length : 0;
     
@@ -35,6 +57,16 @@ const testMercadoPago = async (req, res) => {
   }
 };
 
+// Payment methods the customer can choose at checkout
+const paymentMethods = async (req, res) => {
+  try {
+    res.json({ success: true, data: listPaymentMethods() });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: "Error" });
+  }
+};
+
 // placing user order for frontend
 const placeOrder = async (req, res) => {
   const frontend_url = process.env.FRONTEND_URL || "http://localhost:5173";
@@ -46,187 +78,265 @@ const placeOrder = async (req, res) => {
     
     // Validate address structure
     const { address } = req.body;
-    if (!address.street || !address.number || !address.neighborhood || !address.zone) {
+    if (!address || !address.street || !address.number || !address.neighborhood || !address.zone) {
       return res.json({ 
         success: false, 
         message: "Complete address information is required" 
       });
     }
 
+    // Closed or busy stores only take orders scheduled for a later time
+    let scheduledFor;
+    try {
+      scheduledFor = await storeSettingsService.assertCanOrder({ scheduledFor: req.body.scheduledFor });
+    } catch (storeError) {
+      if (isStoreError(storeError)) {
+        return res.status(storeError.status).json({
+          success: false,
+          code: storeError.code,
+          message: storeError.message,
+          details: storeError.details
+        });
+      }
+      throw storeError;
+    }
+
+    // Check the payment method before saving anything
+    const paymentMethod = req.body.paymentMethod || DEFAULT_PAYMENT_METHOD;
+    const provider = isPaymentMethodEnabled(paymentMethod) ? getPaymentProvider(paymentMethod) : null;
+    if (!provider || !provider.isAvailable()) {
+      return res.status(400).json({
+        success: false,
+        code: "PAYMENT_METHOD_UNAVAILABLE",
+        message: "Forma de pagamento indisponível. Escolha outra opção."
+      });
+    }
+
+    // The fee, minimum and zone name come from the zone covering the customer's
+    // location (when shared) or serving the neighborhood
+    const location = parseGeoPoint(address.location);
+    let zone;
+    try {
+      zone = await zoneModel.findForAddress({ neighborhood: address.neighborhood, location });
+    } catch (zoneError) {
+      if (zoneError.code === "LOCATION_ZONE_MISMATCH") {
+        return res.status(400).json({
+          success: false,
+          code: zoneError.code,
+          message: LOCATION_ZONE_MISMATCH_MESSAGE
+        });
+      }
+      throw zoneError;
+    }
+    if (!zone) {
+      return res.status(400).json({
+        success: false,
+        code: "ZONE_NOT_SERVED",
+        message: "Ainda não entregamos neste bairro"
+      });
+    }
+
+    // Rebuild items and totals from the catalog - never trust client prices
+    let pricing;
+    try {
+      const coupon = req.body.couponCode
+        ? await promoService.getUsableCoupon(req.body.couponCode, req.user.id)
+        : null;
+      pricing = await calculateOrderPricing({
+        items: req.body.items,
+        amount: req.body.amount,
+        delivery: getZoneDeliveryTerms(zone, getDeliveryFee(), getDeliveryDistanceKm(zone, location)),
+        coupon
+      });
+    } catch (pricingError) {
+      if (isPricingError(pricingError)) {
+        return res.status(400).json({
+          success: false,
+          message: pricingError.message,
+          errors: pricingError.details
+        });
+      }
+      if (isPromoError(pricingError)) {
+        return res.status(pricingError.status).json({
+          success: false,
+          code: pricingError.code,
+          message: pricingError.message,
+          details: pricingError.details
+        });
+      }
+      throw pricingError;
+    }
+
     const newOrder = new orderModel({
-      userId: req.body.userId,
-      items: req.body.items,
-      amount: req.body.amount,
-      address: req.body.address,
+      userId: req.user.id,
+      items: pricing.items,
+      subtotal: pricing.subtotal,
+      deliveryFee: pricing.deliveryFee,
+      discount: pricing.discount,
+      ...(pricing.promotion && { promotion: pricing.promotion }),
+      amount: pricing.total,
+      address: { ...address, zone: zone.name, location },
       phone: req.body.phone || req.body.address?.phone, // Opcional
+      paymentMethod,
+      ...(scheduledFor && { scheduledFor }),
     });
-    await newOrder.save();
-    await userModel.findByIdAndUpdate(req.body.userId, { cartData: {} });
 
-    // Check if MercadoPago is configured
-    if (!client) {
-      return res.json({ 
-        success: false, 
-        message: "Payment system not configured. Please contact support." 
+    // Hold one use of the coupon; given back if the order is cancelled or expires
+    if (pricing.promotion) {
+      try {
+        await promoService.reserveForOrder(newOrder);
+      } catch (promoError) {
+        if (isPromoError(promoError)) {
+          return res.status(promoError.status).json({
+            success: false,
+            code: promoError.code,
+            message: promoError.message
+          });
+        }
+        throw promoError;
+      }
+    }
+    // Hold the units in stock; given back if the order is cancelled or expires
+    try {
+      await foodStockService.deductForOrder(newOrder);
+      newOrder.stockDeducted = true;
+    } catch (stockError) {
+      if (pricing.promotion) {
+        await promoService.releaseForOrder(newOrder._id);
+      }
+      if (isPricingError(stockError)) {
+        return res.status(400).json({
+          success: false,
+          message: stockError.message,
+          errors: stockError.details
+        });
+      }
+      throw stockError;
+    }
+    try {
+      await newOrder.save();
+    } catch (saveError) {
+      if (pricing.promotion) {
+        await promoService.releaseForOrder(newOrder._id);
+      }
+      await foodStockService.restoreForOrder(newOrder);
+      throw saveError;
+    }
+
+    // Coupons may cover the whole order: there is nothing to charge
+    let checkout = {};
+    try {
+      if (newOrder.amount > 0) {
+        checkout = await provider.createCheckout(newOrder, {
+          frontendUrl: frontend_url,
+          backendUrl: process.env.BACKEND_URL
+        });
+      } else {
+        await orderModel.transitionStatus(newOrder._id, ORDER_STATUS.PAID, {
+          changedBy: req.user.id,
+          note: "Pedido sem valor a pagar",
+          set: { payment: true }
+        });
+      }
+    } catch (checkoutError) {
+      console.log(checkoutError);
+      // Keep the cart so the customer can retry with another method
+      await orderModel.transitionStatus(newOrder._id, ORDER_STATUS.CANCELLED, {
+        changedBy: req.user.id,
+        note: `Falha ao iniciar o pagamento (${paymentMethod})`
+      });
+      return res.status(502).json({
+        success: false,
+        code: "CHECKOUT_FAILED",
+        message: "Não foi possível iniciar o pagamento. Tente novamente ou escolha outra forma de pagamento."
       });
     }
 
-    // Create MercadoPago preference
-    const preference = new Preference(client);
-    
-    const items = req.body.items.map((item) => ({
-      title: item.name,
-      unit_price: item.price,
-      quantity: item.quantity,
-    }));
+    if (checkout.set) {
+      await orderModel.findByIdAndUpdate(newOrder._id, checkout.set);
+    }
+    await userModel.findByIdAndUpdate(req.user.id, { cart: [], cartData: {} });
 
-    // Add delivery charges
-    items.push({
-      title: "Delivery Charges",
-      unit_price: 2,
-      quantity: 1,
+    orderEventsService.publish(ORDER_EVENT.CREATED, newOrder, {
+      customerName: newOrder.address.customerName || req.user.name,
+      itemCount: newOrder.items.length
     });
 
-    console.log('Creating MercadoPago preference with URLs:');
-    console.log('Frontend URL:', frontend_url);
-    console.log('Backend URL:', process.env.BACKEND_URL);
-    console.log('Order ID:', newOrder._id);
-
-    const preferenceData = {
-      items: items,
-      back_urls: {
-        success: `${frontend_url}/verify?success=true&orderId=${newOrder._id}`,
-        failure: `${frontend_url}/verify?success=false&orderId=${newOrder._id}`,
-        pending: `${frontend_url}/verify?success=pending&orderId=${newOrder._id}`
-      },
-      external_reference: newOrder._id.toString(),
-      notification_url: `${process.env.BACKEND_URL}/api/order/webhook`,
-      statement_descriptor: "DELIVERY FOOD"
-    };
-
-    const result = await preference.create({ body: preferenceData });
-    
-    // Store MercadoPago ID for tracking
-    await orderModel.findByIdAndUpdate(newOrder._id, { 
-      mercadoPagoId: result.id 
+    res.json({
+      success: true,
+      orderId: newOrder._id,
+      paymentMethod,
+      payment_url: checkout.paymentUrl,
+      pix: checkout.pix
     });
-
-    res.json({ success: true, payment_url: result.init_point });
   } catch (error) {
     console.log(error);
-    res.json({ success: false, message: "Error creating payment preference" });
+    res.json({ success: false, message: "Error placing order" });
   }
 };
 
+// Read-only payment check used by the checkout return page.
+// The redirect parameters are never trusted: the status comes from the payment provider.
 const verifyOrder = async (req, res) => {
-  const { orderId, success } = req.body;
+  const { orderId, paymentId } = req.body;
   try {
-    if (success == "true") {
-      await orderModel.findByIdAndUpdate(orderId, { 
-        payment: true,
-        status: "Paid"
-      });
-      res.json({ success: true, message: "Paid" });
-    } else {
-      await orderModel.findByIdAndDelete(orderId);
-      res.json({ success: false, message: "Not Paid" });
+    const order = mongoose.isValidObjectId(orderId) ? await orderModel.findById(orderId) : null;
+    if (!order || (order.userId !== req.user.id && req.user.role !== "admin")) {
+      return res.status(404).json({ success: false, message: "Pedido não encontrado" });
+    }
+
+    let paymentStatus = order.payment ? "approved" : null;
+    if (!order.payment) {
+      const providerPayment = await paymentReconciliationService.findProviderPayment(order, paymentId);
+      paymentStatus = providerPayment?.status || null;
     }
+
+    res.json({
+      success: true,
+      data: {
+        orderId: order._id,
+        status: order.status,
+        payment: order.payment || paymentStatus === "approved",
+        paymentStatus
+      }
+    });
   } catch (error) {
     console.log(error);
     res.json({ success: false, message: "Error" });
   }
 };
 
-// MercadoPago webhook handler
-const mercadoPagoWebhook = async (req, res) => {
+// Check stuck payments with the provider and expire abandoned orders (Admin only)
+const reconcilePayments = async (req, res) => {
   try {
-    const { type, data, action } = req.body;
-    
-    // Log webhook received for debugging
-    console.log('MercadoPago webhook received:', { type, action, data });
-    
-    // Only process payment notifications
-    if (type === "payment") {
-      const paymentId = data.id;
-      
-      if (!paymentId) {
-        console.log('No payment ID in webhook data');
-        return res.status(400).send("Invalid webhook data");
-      }
-      
-      try {
-        // Check if MercadoPago is configured
-        if (!client) {
-          console.log('MercadoPago not configured, ignoring webhook');
-          return res.status(200).send("OK");
-        }
+    const { orderId } = req.body || {};
 
-        // Create Payment instance for API verification
-        const payment = new Payment(client);
-        
-        // Verify payment with MercadoPago API
-        const paymentInfo = await payment.get({ id: paymentId });
-        
-        if (!paymentInfo) {
-          console.log(`Payment ${paymentId} not found in MercadoPago`);
-          return res.status(404).send("Payment not found");
-        }
-        
-        // Find order by external_reference (order ID)
-        const orderId = paymentInfo.external_reference;
-        const order = await orderModel.findById(orderId);
-        
-        if (!order) {
-          console.log(`Order ${orderId} not found for payment ${paymentId}`);
-          return res.status(404).send("Order not found");
-        }
-        
-        // Update order based on payment status
-        let orderStatus = "Pending";
-        let paymentStatus = false;
-        
-        switch (paymentInfo.status) {
-          case "approved":
-            orderStatus = "Paid";
-            paymentStatus = true;
-            console.log(`Payment ${paymentId} approved for order ${orderId}`);
-            break;
-          case "rejected":
-          case "cancelled":
-            orderStatus = "Failed";
-            paymentStatus = false;
-            console.log(`Payment ${paymentId} failed for order ${orderId}: ${paymentInfo.status}`);
-            break;
-          case "pending":
-          case "in_process":
-            orderStatus = "Pending";
-            paymentStatus = false;
-            console.log(`Payment ${paymentId} still pending for order ${orderId}`);
-            break;
-          default:
-            console.log(`Unknown payment status ${paymentInfo.status} for payment ${paymentId}`);
-            return res.status(200).send("OK"); // Don't update order for unknown status
-        }
-        
-        // Update order with payment information
-        await orderModel.findByIdAndUpdate(orderId, {
-          payment: paymentStatus,
-          status: orderStatus,
-          mercadoPagoId: paymentId
-        });
-        
-        console.log(`Order ${orderId} updated: status=${orderStatus}, payment=${paymentStatus}`);
-        
-      } catch (apiError) {
-        console.error('Error verifying payment with MercadoPago API:', apiError);
-        // Don't update order if we can't verify payment
-        return res.status(500).send("Error verifying payment");
+    if (orderId) {
+      const order = mongoose.isValidObjectId(orderId) ? await orderModel.findById(orderId) : null;
+      if (!order) {
+        return res.status(404).json({ success: false, message: "Pedido não encontrado" });
       }
-    } else {
-      console.log(`Ignoring webhook type: ${type}`);
+      const result = await paymentReconciliationService.reconcileOrder(order);
+      return res.json({ success: true, data: result });
     }
-    
-    res.status(200).send("OK");
+
+    const summary = await paymentReconciliationService.run();
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: "Error reconciling payments" });
+  }
+};
+
+// MercadoPago webhook handler (signature-verified and idempotent)
+const mercadoPagoWebhook = async (req, res) => {
+  try {
+    const outcome = await paymentWebhookService.handleMercadoPagoNotification({
+      headers: req.headers,
+      query: req.query,
+      body: req.body
+    });
+    res.status(outcome.statusCode).send(outcome.success ? "OK" : outcome.message);
   } catch (error) {
     console.error("Webhook processing error:", error);
     res.status(500).send("Error processing webhook");
@@ -236,8 +346,12 @@ const mercadoPagoWebhook = async (req, res) => {
 // user orders for frontend
 const userOrders = async (req, res) => {
   try {
-    const orders = await orderModel.find({ userId: req.body.userId }).populate('driver', 'name phone whatsapp');
-    res.json({ success: true, data: orders });
+    const orders = await orderModel.find({ userId: req.user.id }).populate('driver', 'name phone whatsapp');
+    const data = orders.map((order) => ({
+      ...order.toJSON(),
+      cancellable: canCustomerCancel(order.status)
+    }));
+    res.json({ success: true, data });
   } catch (error) {
     console.log(error);
     res.json({ success: false, message: "Error" });
@@ -247,33 +361,30 @@ const userOrders = async (req, res) => {
 // Listing orders for admin pannel
 const listOrders = async (req, res) => {
   try {
-    let userData = await userModel.findById(req.body.userId);
-    if (userData && userData.role === "admin") {
-      const orders = await orderModel.find({}).populate('driver', 'name phone whatsapp');
-      
-      // Enrich orders with customer names if missing
-      const enrichedOrders = await Promise.all(orders.map(async (order) => {
-        const orderObj = order.toObject();
-        
-        // If customerName is missing in address, get it from user
-        if (!orderObj.address.customerName) {
-          try {
-            const customer = await userModel.findById(orderObj.userId);
-            if (customer) {
-              orderObj.address.customerName = customer.name;
-            }
-          } catch (error) {
-            console.error('Error fetching customer name:', error);
-          }
-        }
-        
-        return orderObj;
-      }));
-      
-      res.json({ success: true, data: enrichedOrders });
-    } else {
-      res.json({ success: false, message: "You are not admin" });
+    const { filters, errors } = parseOrderFilters(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.map((error) => error.message).join(", "),
+        code: "INVALID_FILTERS",
+        details: errors
+      });
     }
+
+    const page = parsePagination(req.query, { defaultLimit: ORDER_PAGE_SIZE, maxLimit: MAX_ORDER_PAGE_SIZE });
+    const cursor = parseOrderCursor(req.query.after);
+    const { orders, pagination, statusCounts } = await orderListService.list(filters, page, cursor);
+
+    const data = orders.map((order) => {
+      const orderObj = order.toObject();
+      orderObj.allowedTransitions = getAllowedTransitions(orderObj.status);
+      orderObj.refundableAmount = orderCancellationService.getRefundableAmount(order);
+      orderObj.printCount = order.getPrintCount();
+      orderObj.lastPrintedAt = order.getLastPrintDate();
+      return orderObj;
+    });
+
+    res.json({ success: true, data, pagination, statusCounts });
   } catch (error) {
     console.log(error);
     res.json({ success: false, message: "Error" });
@@ -283,29 +394,186 @@ const listOrders = async (req, res) => {
 // api for updating status
 const updateStatus = async (req, res) => {
   try {
-    let userData = await userModel.findById(req.body.userId);
-    if (userData && userData.role === "admin") {
-      await orderModel.findByIdAndUpdate(req.body.orderId, {
-        status: req.body.status,
+    const { orderId, status, note } = req.body;
+
+    // Cancelling needs a reason and may refund the payment
+    if (status === ORDER_STATUS.CANCELLED) {
+      return res.status(400).json({
+        success: false,
+        code: "USE_CANCEL_ENDPOINT",
+        message: "Use a ação Cancelar para cancelar pedidos"
       });
-      res.json({ success: true, message: "Status Updated Successfully" });
-    }else{
-      res.json({ success: false, message: "You are not an admin" });
     }
+
+    // Manual confirmations (e.g. a PIX transfer) and orders paid on delivery
+    const set = {};
+    if (status === ORDER_STATUS.PAID) {
+      set.payment = true;
+    } else if (status === ORDER_STATUS.DELIVERED) {
+      const current = await orderModel.findById(orderId).select("paymentMethod");
+      if (current && getPaymentProvider(current.paymentMethod)?.settlesOnDelivery) {
+        set.payment = true;
+      }
+    }
+
+    const order = await orderModel.transitionStatus(orderId, status, {
+      changedBy: req.user.id,
+      note,
+      set
+    });
+    res.json({
+      success: true,
+      message: "Status Updated Successfully",
+      data: {
+        status: order.status,
+        statusHistory: order.statusHistory,
+        allowedTransitions: getAllowedTransitions(order.status)
+      }
+    });
   } catch (error) {
+    if (isStatusError(error)) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        allowedTransitions: error.details.allowed
+      });
+    }
     console.log(error);
     res.json({ success: false, message: "Error" });
   }
 };
 
-// Assign driver to order (Admin only)
-const assignDriver = async (req, res) => {
+// Cancel an order: customers until the kitchen starts, admins at any time with a reason
+const cancelOrder = async (req, res) => {
+  try {
+    const { reason, items } = req.body || {};
+    const { order, refund, refundError } = await orderCancellationService.cancelOrder(req.params.orderId, {
+      user: req.user,
+      reason,
+      items
+    });
+    let message = refund ? "Pedido cancelado e reembolso solicitado" : "Pedido cancelado";
+    if (refundError) {
+      message = "Pedido cancelado, mas o reembolso falhou. A loja fará o reembolso em seguida.";
+    }
+    res.json({
+      success: true,
+      message,
+      data: { status: order.status, refund, refundError, refundedAmount: order.refundedAmount }
+    });
+  } catch (error) {
+    if (isStatusError(error) || isPaymentError(error)) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.log(error);
+    res.json({ success: false, message: "Error cancelling order" });
+  }
+};
+
+// Refund part or all of a paid order (Admin only)
+const refundOrder = async (req, res) => {
+  try {
+    const { reason, items } = req.body || {};
+    const { order, refund } = await orderCancellationService.refundOrder(req.params.orderId, {
+      user: req.user,
+      reason,
+      items
+    });
+    res.json({
+      success: true,
+      message: "Reembolso solicitado",
+      data: { refund, refundedAmount: order.refundedAmount }
+    });
+  } catch (error) {
+    if (isStatusError(error) || isPaymentError(error)) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.log(error);
+    res.json({ success: false, message: "Error refunding order" });
+  }
+};
+
+const RECEIPT_FORMATS = ["html", "text", "escpos"];
+const MAX_PRINT_COPIES = 5;
+
+// Render the kitchen and/or customer ticket of an order and record the print (Admin only)
+const printOrder = async (req, res) => {
   try {
-    let userData = await userModel.findById(req.body.userId);
-    if (!userData || userData.role !== "admin") {
-      return res.json({ success: false, message: "You are not an admin" });
+    const { paperSize = "80mm", type = "both", format = "html" } = req.body || {};
+    const copies = Number(req.body?.copies ?? 1);
+
+    if (!PAPER_SIZES.includes(paperSize) || !["both", ...RECEIPT_TYPES].includes(type) || !RECEIPT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Opções de impressão inválidas (papel: ${PAPER_SIZES.join(", ")}; tipo: both, ${RECEIPT_TYPES.join(", ")}; formato: ${RECEIPT_FORMATS.join(", ")})`
+      });
+    }
+    if (!Number.isInteger(copies) || copies < 1 || copies > MAX_PRINT_COPIES) {
+      return res.status(400).json({ success: false, message: `Número de cópias deve ser entre 1 e ${MAX_PRINT_COPIES}` });
     }
 
+    const order = mongoose.isValidObjectId(req.params.orderId) ? await orderModel.findById(req.params.orderId) : null;
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Pedido não encontrado" });
+    }
+
+    let customerName = order.address?.customerName;
+    if (!customerName) {
+      const customer = await userModel.findById(order.userId).select("name").lean();
+      customerName = customer?.name;
+    }
+
+    const types = type === "both" ? RECEIPT_TYPES : [type];
+    const receipts = Array.from({ length: copies }).flatMap(() =>
+      types.map((receiptType) => buildReceipt(order, { type: receiptType, paperSize, customerName }))
+    );
+
+    let content;
+    if (format === "escpos") {
+      content = renderReceiptEscPos(receipts).toString("base64");
+    } else if (format === "text") {
+      content = renderReceiptText(receipts);
+    } else {
+      content = renderReceiptHtml(receipts);
+    }
+
+    await order.addPrintRecord(req.user.id, copies, paperSize, type);
+
+    res.json({
+      success: true,
+      data: {
+        format,
+        paperSize,
+        content,
+        printCount: order.getPrintCount(),
+        lastPrintedAt: order.getLastPrintDate()
+      }
+    });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: "Error printing order" });
+  }
+};
+
+// Live order updates over Server-Sent Events (admins: every order, customers: their own)
+const orderEvents = (req, res) => {
+  orderEventsService.subscribe(req, res);
+};
+
+// Assign driver to order (Admin only)
+const assignDriver = async (req, res) => {
+  try {
     const { orderId, driverId } = req.body;
 
     if (!orderId) {
@@ -325,8 +593,12 @@ const assignDriver = async (req, res) => {
     }
 
     // Update order with driver assignment
-    await orderModel.findByIdAndUpdate(orderId, {
+    const order = await orderModel.findByIdAndUpdate(orderId, {
       driver: driverId || null
+    }, { new: true }).populate('driver', 'name phone whatsapp');
+
+    orderEventsService.publish(ORDER_EVENT.DRIVER, order, {
+      driver: order?.driver ? { name: order.driver.name, phone: order.driver.phone } : null
     });
 
     res.json({
@@ -339,4 +611,4 @@ const assignDriver = async (req, res) => {
   }
 };
 
-export { placeOrder, verifyOrder, userOrders, listOrders, updateStatus, assignDriver, mercadoPagoWebhook, testMercadoPago };
+export { paymentMethods, placeOrder, verifyOrder, reconcilePayments, userOrders, listOrders, updateStatus, cancelOrder, refundOrder, printOrder, assignDriver, orderEvents, mercadoPagoWebhook, testMercadoPago };
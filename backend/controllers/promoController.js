@@ -0,0 +1,45 @@
+import { promoService } from "../services/promoService.js";
+import { isPromoError } from "../utils/promotions.js";
+import { isPricingError } from "../utils/orderPricing.js";
+
+// Promotion errors carry their HTTP status; pricing errors list the invalid items
+const sendPromoResponse = async (res, operation, message) => {
+  try {
+    const data = await operation();
+    res.json({ success: true, message, data });
+  } catch (error) {
+    if (isPromoError(error)) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    if (isPricingError(error)) {
+      return res.status(400).json({ success: false, message: error.message, errors: error.details });
+    }
+    console.log(error);
+    res.json({ success: false, message: "Error" });
+  }
+};
+
+// price the cart with a coupon ({ code, items, neighborhood?, location? }) without using it
+const validatePromo = (req, res) =>
+  sendPromoResponse(res, () => promoService.validate(req.body, req.user.id));
+
+// coupons with redemption stats (admin)
+const listCoupons = (req, res) =>
+  sendPromoResponse(res, () => promoService.listWithStats());
+
+const createCoupon = (req, res) =>
+  sendPromoResponse(res, () => promoService.createCoupon(req.body, req.user.id), "Coupon Created");
+
+const updateCoupon = (req, res) =>
+  sendPromoResponse(res, () => promoService.updateCoupon(req.params.id, req.body), "Coupon Updated");
+
+// coupons already used are switched off instead of deleted
+const removeCoupon = (req, res) =>
+  sendPromoResponse(res, () => promoService.removeCoupon(req.params.id), "Coupon Removed");
+
+export { validatePromo, listCoupons, createCoupon, updateCoupon, removeCoupon };
@@ -0,0 +1,39 @@
+import { storeSettingsService } from "../services/storeSettingsService.js";
+import { isStoreError } from "../utils/storeHours.js";
+
+// Store errors carry their HTTP status (invalid settings)
+const sendStoreResponse = async (res, operation, message) => {
+  try {
+    const data = await operation();
+    res.json({ success: true, message, data });
+  } catch (error) {
+    if (isStoreError(error)) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.log(error);
+    res.json({ success: false, message: "Error" });
+  }
+};
+
+// open/closed status, next opening and scheduled-order slots (storefront)
+const getStoreStatus = (req, res) =>
+  sendStoreResponse(res, () => storeSettingsService.getStatus());
+
+// hours, exceptions, pause and scheduled-order rules (admin)
+const getStoreSettings = (req, res) =>
+  sendStoreResponse(res, () => storeSettingsService.getSettings());
+
+// replace hours, exceptions and/or scheduled-order rules (admin)
+const updateStoreSettings = (req, res) =>
+  sendStoreResponse(res, () => storeSettingsService.updateSettings(req.body, req.user.id), "Settings Updated");
+
+// switch the "busy" pause ({ active, minutes?, message? }) (admin)
+const setStorePause = (req, res) =>
+  sendStoreResponse(res, () => storeSettingsService.setPause(req.body, req.user.id), "Pause Updated");
+
+export { getStoreStatus, getStoreSettings, updateStoreSettings, setStorePause };
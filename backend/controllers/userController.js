@@ -1,7 +1,7 @@
 // GET /user/profile - retorna dados do usuário autenticado
 export const getUserProfile = async (req, res) => {
   try {
-    const user = await userModel.findById(req.userId).lean();
+    const user = await userModel.findById(req.user.id).lean();
     if (!user) return res.status(404).json({ success: false, message: "Usuário não encontrado" });
     res.json({
       name: user.name,
@@ -17,8 +17,14 @@ export const getUserProfile = async (req, res) => {
 export const updateUserProfile = async (req, res) => {
   try {
     const { name, whatsapp, address } = req.body;
-    const update = { name, whatsapp, address };
-    const user = await userModel.findByIdAndUpdate(req.userId, update, { new: true, lean: true });
+    const current = await userModel.findById(req.user.id).select("whatsapp").lean();
+    if (!current) return res.status(404).json({ success: false, message: "Usuário não encontrado" });
+
+    const update = { name, address };
+    if (whatsapp !== undefined) {
+      Object.assign(update, await authService.getWhatsappUpdate(current, whatsapp));
+    }
+    const user = await userModel.findByIdAndUpdate(req.user.id, update, { new: true, lean: true });
     if (!user) return res.status(404).json({ success: false, message: "Usuário não encontrado" });
     res.json({
       success: true,
@@ -27,109 +33,113 @@ export const updateUserProfile = async (req, res) => {
       address: user.address || { street: "", number: "", neighborhood: "", cep: "" }
     });
   } catch (err) {
+    if (err.isAuthError) {
+      return res.status(err.status).json({ success: false, message: err.message, code: err.code });
+    }
     res.status(500).json({ success: false, message: "Erro ao atualizar perfil", error: err.message });
   }
 };
 import userModel from "../models/userModel.js";
-import jwt from "jsonwebtoken";
+import AuthService from "../services/authService.js";
 
-// login user
+const authService = new AuthService();
 
-const loginUser = async (req, res) => {
-  // Set timeout for login operation
-  const timeoutId = setTimeout(() => {
-    if (!res.headersSent) {
-      console.error('Login timeout for user:', req.body?.name);
-      res.status(408).json({
-        success: false,
-        message: "Login timeout - please try again"
-      });
-    }
-  }, 20000); // 20 seconds timeout
+const getRequestMeta = (req) => ({
+  userAgent: req.get?.('User-Agent') || "",
+  ip: req.ip || req.connection?.remoteAddress || ""
+});
 
-  const { name } = req.body;
-  try {
-    console.log('Login attempt for user:', name);
-    
-    if (!name || name.trim() === "") {
-      clearTimeout(timeoutId);
-      return res.json({ success: false, message: "Name is required" });
-    }
+// Send auth errors with their status/code, anything else as a 500
+const handleAuthError = (res, error, context) => {
+  if (error.isAuthError) {
+    return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+  }
 
-    console.log('Searching for user in database...');
-    let user = await userModel.findByNameWithTimeout(name, 15000); // 15s DB timeout
-    
-    // If user doesn't exist, create a new one automatically
-    if (!user) {
-      console.log('User not found, creating new user...');
-      user = new userModel({
-        name: name.trim(),
-        role: "user",
-        cartData: {}
-      });
-      await user.save();
-      console.log('New user created successfully');
-    } else {
-      console.log('Existing user found:', user._id);
-    }
+  console.error(`${context} error:`, error);
 
-    console.log('Generating JWT token...');
-    const role = user.role;
-    const token = createToken(user._id);
-    
-    // Clear timeout before sending response
-    clearTimeout(timeoutId);
-    
-    if (!res.headersSent) {
-      console.log('Login successful for user:', name);
-      res.json({ 
-        success: true, 
-        token, 
-        role, 
-        user: { 
-          id: user._id, 
-          name: user.name, 
-          role: user.role 
-        } 
-      });
-    }
+  if (error.code === 11000) {
+    // Handle duplicate key error
+    return res.status(409).json({ success: false, message: "Name already exists", code: "NAME_TAKEN" });
+  }
+
+  if (error.name === 'MongoTimeoutError' || error.message?.includes('timeout')) {
+    return res.status(408).json({
+      success: false,
+      message: "Database timeout - please try again"
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: `${context} error - please try again`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// login user with name (or whatsapp) and password
+const loginUser = async (req, res) => {
+  try {
+    const user = await authService.loginWithPassword(req.body || {});
+    const tokens = await authService.issueTokens(user, getRequestMeta(req));
+    console.log('Login successful for user:', user.name);
+    res.json({ success: true, ...tokens });
   } catch (error) {
-    clearTimeout(timeoutId);
-    console.error('Login error for user:', name, error);
-    
-    if (!res.headersSent) {
-      if (error.code === 11000) {
-        // Handle duplicate key error
-        return res.json({ success: false, message: "Name already exists" });
-      }
-      
-      if (error.name === 'MongoTimeoutError' || error.message.includes('timeout')) {
-        return res.status(408).json({ 
-          success: false, 
-          message: "Database timeout - please try again" 
-        });
-      }
-      
-      res.status(500).json({ 
-        success: false, 
-        message: "Login error - please try again",
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
-    }
+    handleAuthError(res, error, 'Login');
+  }
+};
+
+// register user with a bcrypt-hashed password
+const registerUser = async (req, res) => {
+  try {
+    const user = await authService.registerWithPassword(req.body || {});
+    const tokens = await authService.issueTokens(user, getRequestMeta(req));
+    res.status(201).json({ success: true, ...tokens });
+  } catch (error) {
+    handleAuthError(res, error, 'Register');
   }
 };
 
-// Create token
+// send a one-time login code to the user's whatsapp
+const requestLoginCode = async (req, res) => {
+  try {
+    const { expiresAt } = await authService.requestOtp(req.body?.whatsapp);
+    res.json({ success: true, message: "Código enviado pelo WhatsApp", expiresAt });
+  } catch (error) {
+    handleAuthError(res, error, 'Login code');
+  }
+};
 
-const createToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET);
+// log in (or sign up) with a one-time code
+const verifyLoginCode = async (req, res) => {
+  try {
+    const { user, created } = await authService.verifyOtp(req.body || {});
+    const tokens = await authService.issueTokens(user, getRequestMeta(req));
+    res.status(created ? 201 : 200).json({ success: true, created, ...tokens });
+  } catch (error) {
+    handleAuthError(res, error, 'Login code');
+  }
 };
 
-// register user (now same as login since we auto-create users)
+// exchange a refresh token for a new token pair
+const refreshToken = async (req, res) => {
+  try {
+    const tokens = await authService.refreshTokens(req.body?.refreshToken, getRequestMeta(req));
+    res.json({ success: true, ...tokens });
+  } catch (error) {
+    handleAuthError(res, error, 'Refresh');
+  }
+};
 
-const registerUser = async (req, res) => {
-  // Redirect to login function since we now auto-create users
-  return loginUser(req, res);
+// revoke the refresh token (or every session with allSessions: true)
+const logoutUser = async (req, res) => {
+  try {
+    const revoked = await authService.logout(req.body?.refreshToken, {
+      allSessions: req.body?.allSessions === true
+    });
+    res.json({ success: true, message: "Logout realizado com sucesso", revoked });
+  } catch (error) {
+    handleAuthError(res, error, 'Logout');
+  }
 };
 
-export { loginUser, registerUser };
+export { loginUser, registerUser, requestLoginCode, verifyLoginCode, refreshToken, logoutUser };
@@ -1,4 +1,30 @@
 import zoneModel from "../models/zoneModel.js";
+import { getDeliveryFee } from "../utils/orderPricing.js";
+import { getZoneDeliveryTerms, parseZoneDeliveryTerms } from "../utils/zoneDelivery.js";
+import { getDeliveryDistanceKm, parseGeoPoint, parseZoneCoverage } from "../utils/geoZones.js";
+
+// MongoDB rejects self-intersecting or otherwise malformed polygons
+const INVALID_GEOMETRY_ERROR = 16755;
+const INVALID_AREA_MESSAGE = "Invalid zone area: check that the polygon edges do not cross";
+
+// Reject areas overlapping another zone, like duplicate neighborhoods
+const checkAreaOverlap = async (res, area, excludeZoneId) => {
+  try {
+    await zoneModel.validateAreaOverlap(area, excludeZoneId);
+    return true;
+  } catch (error) {
+    if (error.overlaps) {
+      const overlapList = error.overlaps.map(o => o.existingZone).join(', ');
+      res.json({ success: false, message: `Zone area overlaps: ${overlapList}` });
+      return false;
+    }
+    if (error.code === INVALID_GEOMETRY_ERROR) {
+      res.json({ success: false, message: INVALID_AREA_MESSAGE });
+      return false;
+    }
+    throw error;
+  }
+};
 
 // Get all zones
 const getAllZones = async (req, res) => {
@@ -29,15 +55,18 @@ const getZoneById = async (req, res) => {
 const createZone = async (req, res) => {
   try {
     // Admin authentication is handled by middleware
-    const { name, neighborhoods, isActive = true } = req.body;
+    const { name, neighborhoods = [], isActive = true } = req.body;
+    const { terms, errors: termErrors } = parseZoneDeliveryTerms(req.body);
+    const { coverage, errors: coverageErrors } = parseZoneCoverage(req.body);
+    const errors = [...termErrors, ...coverageErrors];
 
     // Validate required fields
     if (!name || !name.trim()) {
       return res.json({ success: false, message: "Zone name is required" });
     }
 
-    if (!neighborhoods || !Array.isArray(neighborhoods) || neighborhoods.length === 0) {
-      return res.json({ success: false, message: "At least one neighborhood is required" });
+    if (!Array.isArray(neighborhoods)) {
+      return res.json({ success: false, message: "Neighborhoods must be a list" });
     }
 
     // Clean and validate neighborhoods
@@ -45,8 +74,17 @@ const createZone = async (req, res) => {
       .map(n => n.trim())
       .filter(n => n.length > 0);
 
-    if (cleanNeighborhoods.length === 0) {
-      return res.json({ success: false, message: "Valid neighborhoods are required" });
+    if (errors.length > 0) {
+      return res.json({ success: false, message: errors[0].message, errors });
+    }
+
+    // A zone is found by neighborhood name, by area, or both
+    if (cleanNeighborhoods.length === 0 && !coverage.area) {
+      return res.json({ success: false, message: "At least one neighborhood or a delivery area is required" });
+    }
+
+    if (coverage.area && !(await checkAreaOverlap(res, coverage.area))) {
+      return;
     }
 
     // Check for duplicate neighborhoods across zones
@@ -68,7 +106,9 @@ const createZone = async (req, res) => {
     const newZone = new zoneModel({
       name: name.trim(),
       neighborhoods: cleanNeighborhoods,
-      isActive
+      isActive,
+      ...terms,
+      ...coverage
     });
 
     await newZone.save();
@@ -78,6 +118,9 @@ const createZone = async (req, res) => {
     if (error.code === 11000) {
       return res.json({ success: false, message: "Zone name already exists" });
     }
+    if (error.code === INVALID_GEOMETRY_ERROR) {
+      return res.json({ success: false, message: INVALID_AREA_MESSAGE });
+    }
     res.json({ success: false, message: "Error creating zone" });
   }
 };
@@ -88,6 +131,9 @@ const updateZone = async (req, res) => {
     // Admin authentication is handled by middleware
     const { id } = req.params;
     const { name, neighborhoods, isActive } = req.body;
+    const { terms, errors: termErrors } = parseZoneDeliveryTerms(req.body);
+    const { coverage, errors: coverageErrors } = parseZoneCoverage(req.body);
+    const errors = [...termErrors, ...coverageErrors];
 
     const existingZone = await zoneModel.findById(id);
     if (!existingZone) {
@@ -99,9 +145,15 @@ const updateZone = async (req, res) => {
       return res.json({ success: false, message: "Zone name cannot be empty" });
     }
 
+    if (errors.length > 0) {
+      return res.json({ success: false, message: errors[0].message, errors });
+    }
+
+    const area = coverage.area !== undefined ? coverage.area : existingZone.area;
+
     if (neighborhoods !== undefined) {
-      if (!Array.isArray(neighborhoods) || neighborhoods.length === 0) {
-        return res.json({ success: false, message: "At least one neighborhood is required" });
+      if (!Array.isArray(neighborhoods)) {
+        return res.json({ success: false, message: "Neighborhoods must be a list" });
       }
 
       // Clean and validate neighborhoods
@@ -109,8 +161,8 @@ const updateZone = async (req, res) => {
         .map(n => n.trim())
         .filter(n => n.length > 0);
 
-      if (cleanNeighborhoods.length === 0) {
-        return res.json({ success: false, message: "Valid neighborhoods are required" });
+      if (cleanNeighborhoods.length === 0 && !area) {
+        return res.json({ success: false, message: "At least one neighborhood or a delivery area is required" });
       }
 
       // Check for duplicate neighborhoods across other zones
@@ -130,6 +182,14 @@ const updateZone = async (req, res) => {
       }
     }
 
+    if (neighborhoods === undefined && !area && existingZone.neighborhoods.length === 0) {
+      return res.json({ success: false, message: "At least one neighborhood or a delivery area is required" });
+    }
+
+    if (coverage.area && !(await checkAreaOverlap(res, coverage.area, id))) {
+      return;
+    }
+
     // Prepare update data
     const updateData = {};
     if (name !== undefined) updateData.name = name.trim();
@@ -139,6 +199,7 @@ const updateZone = async (req, res) => {
         .filter(n => n.length > 0);
     }
     if (isActive !== undefined) updateData.isActive = isActive;
+    Object.assign(updateData, terms, coverage);
 
     const updatedZone = await zoneModel.findByIdAndUpdate(
       id,
@@ -152,6 +213,9 @@ const updateZone = async (req, res) => {
     if (error.code === 11000) {
       return res.json({ success: false, message: "Zone name already exists" });
     }
+    if (error.code === INVALID_GEOMETRY_ERROR) {
+      return res.json({ success: false, message: INVALID_AREA_MESSAGE });
+    }
     res.json({ success: false, message: "Error updating zone" });
   }
 };
@@ -184,18 +248,24 @@ const deleteZone = async (req, res) => {
   }
 };
 
-// Get all neighborhoods for dropdown
+// Get all neighborhoods for dropdown, with the delivery terms of their zone
 const getAllNeighborhoods = async (req, res) => {
   try {
-    const zones = await zoneModel.find({ isActive: true }, 'name neighborhoods');
+    const zones = await zoneModel.find(
+      { isActive: true },
+      'name neighborhoods deliveryFee minimumOrder freeDeliveryAbove estimatedTime'
+    );
+    const defaultDeliveryFee = getDeliveryFee();
     
     const neighborhoodsWithZones = [];
     zones.forEach(zone => {
+      const terms = getZoneDeliveryTerms(zone, defaultDeliveryFee);
       zone.neighborhoods.forEach(neighborhood => {
         neighborhoodsWithZones.push({
           neighborhood,
           zone: zone.name,
-          zoneId: zone._id
+          zoneId: zone._id,
+          ...terms
         });
       });
     });
@@ -233,6 +303,35 @@ const getNeighborhoodsByZone = async (req, res) => {
   }
 };
 
+// Find the zone covering a point (?lat=&lng=) with its delivery terms
+const locateZone = async (req, res) => {
+  try {
+    const location = parseGeoPoint(req.query);
+    if (!location) {
+      return res.status(400).json({ success: false, code: "INVALID_LOCATION", message: "Localização inválida" });
+    }
+
+    const zone = await zoneModel.findByLocation(location);
+    if (!zone) {
+      return res.status(404).json({ success: false, code: "ZONE_NOT_SERVED", message: "Ainda não entregamos neste endereço" });
+    }
+
+    const distanceKm = getDeliveryDistanceKm(zone, location);
+    res.json({
+      success: true,
+      data: {
+        zone: zone.name,
+        zoneId: zone._id,
+        distanceKm,
+        ...getZoneDeliveryTerms(zone, getDeliveryFee(), distanceKm)
+      }
+    });
+  } catch (error) {
+    console.log(error);
+    res.json({ success: false, message: "Error locating zone" });
+  }
+};
+
 export { 
   getAllZones, 
   getZoneById, 
@@ -240,5 +339,6 @@ export {
   updateZone, 
   deleteZone, 
   getAllNeighborhoods,
-  getNeighborhoodsByZone 
+  getNeighborhoodsByZone,
+  locateZone
 };
\ No newline at end of file
@@ -1,123 +1,3 @@
-import jwt from "jsonwebtoken";
-import userModel from "../models/userModel.js";
-
-/**
- * Middleware to verify admin authentication and authorization
- * Ensures only authenticated admin users can access protected routes
- */
-const adminAuthMiddleware = async (req, res, next) => {
-  // Set timeout for admin auth
-  const timeoutId = setTimeout(() => {
-    if (!res.headersSent) {
-      console.error('Admin auth timeout for request:', req.url);
-      res.status(408).json({
-        success: false,
-        message: "Authentication timeout - please try again",
-        code: "AUTH_TIMEOUT"
-      });
-    }
-  }, 15000); // 15 seconds timeout
-
-  try {
-    console.log('Admin auth check for:', req.url);
-    
-    // Check if token exists
-    const { token } = req.headers;
-    if (!token) {
-      clearTimeout(timeoutId);
-      return res.status(401).json({ 
-        success: false, 
-        message: "Token de acesso não fornecido. Faça login novamente.",
-        code: "NO_TOKEN"
-      });
-    }
-
-    // Verify JWT token
-    let decodedToken;
-    try {
-      decodedToken = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (jwtError) {
-      if (jwtError.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          success: false,
-          message: "Token expirado. Faça login novamente.",
-          code: "TOKEN_EXPIRED"
-        });
-      } else if (jwtError.name === 'JsonWebTokenError' || jwtError.message.includes('JsonWebTokenError')) {
-        return res.status(401).json({
-          success: false,
-          message: "Token inválido. Faça login novamente.",
-          code: "INVALID_TOKEN"
-        });
-      } else {
-        console.error("JWT verification error:", jwtError);
-        return res.status(401).json({
-          success: false,
-          message: "Token inválido. Faça login novamente.",
-          code: "INVALID_TOKEN"
-        });
-      }
-    }
-
-    // Check if user exists and is admin
-    console.log('Looking up user in database...');
-    const userData = await userModel.findById(decodedToken.id).maxTimeMS(10000); // 10s DB timeout
-    if (!userData) {
-      clearTimeout(timeoutId);
-      return res.status(401).json({ 
-        success: false, 
-        message: "Usuário não encontrado. Faça login novamente.",
-        code: "USER_NOT_FOUND"
-      });
-    }
-
-    // Verify admin role
-    if (userData.role !== "admin") {
-      clearTimeout(timeoutId);
-      return res.status(403).json({ 
-        success: false, 
-        message: "Acesso negado. Apenas administradores podem acessar este recurso.",
-        code: "INSUFFICIENT_PERMISSIONS"
-      });
-    }
-
-    // Add user data to request for use in controllers
-    req.user = {
-      id: userData._id,
-      name: userData.name,
-      role: userData.role
-    };
-
-    // Add userId to body for backward compatibility
-    req.body.userId = userData._id;
-
-    // Clear timeout before proceeding
-    clearTimeout(timeoutId);
-    console.log('Admin auth successful for user:', userData.name);
-    
-    next();
-  } catch (error) {
-    clearTimeout(timeoutId);
-    console.error("Error in admin auth middleware:", error);
-    
-    if (!res.headersSent) {
-      if (error.name === 'MongoTimeoutError' || error.message.includes('timeout')) {
-        return res.status(408).json({
-          success: false,
-          message: "Database timeout during authentication - please try again",
-          code: "DB_TIMEOUT"
-        });
-      }
-      
-      return res.status(500).json({
-        success: false,
-        message: "Erro interno do servidor na autenticação",
-        code: "AUTH_ERROR"
-      });
-    }
-  }
-};
-
 /**
  * Middleware to log admin actions for security auditing
  */
@@ -136,7 +16,6 @@ const adminActionLogger = (action) => {
     };
 
     // Remove sensitive data from logs
-    if (logData.body.userId) delete logData.body.userId;
     if (logData.body.password) delete logData.body.password;
 
     console.log(`[ADMIN_ACTION] ${JSON.stringify(logData)}`);
@@ -196,5 +75,4 @@ const adminRateLimit = () => {
   };
 };
 
-export { adminAuthMiddleware, adminActionLogger, adminRateLimit };
-export default adminAuthMiddleware;
\ No newline at end of file
+export { adminActionLogger, adminRateLimit };
\ No newline at end of file
@@ -1,17 +1,149 @@
-import jwt from "jsonwebtoken";
+import userModel from "../models/userModel.js";
+import refreshTokenModel from "../models/refreshTokenModel.js";
+import { verifyAccessToken } from "../services/authService.js";
 
+/**
+ * Unified authentication layer
+ *
+ * `authMiddleware` verifies the access token and attaches `req.user`;
+ * `requireRole(...)` guards are composed after it on each route:
+ *
+ *   router.get("/list", authMiddleware, requireRole("admin"), listOrders);
+ *
+ * Role checks belong here - controllers read the caller from `req.user`.
+ */
+
+export const ROLES = ["user", "admin", "driver"];
+
+/**
+ * Authenticated user attached to the request
+ * @typedef {Object} AuthUser
+ * @property {string} id - User id
+ * @property {string} name - User name
+ * @property {'user'|'admin'|'driver'} role - User role
+ * @property {string} sessionId - Refresh session the access token belongs to
+ */
+
+const sendAuthError = (res, status, message, code) =>
+  res.status(status).json({ success: false, message, code });
+
+/**
+ * Read the access token from `Authorization: Bearer <token>` or the legacy `token` header
+ * @param {Object} req - Express request
+ * @returns {string|null} - Raw token or null
+ */
+export const extractToken = (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith("Bearer ")) {
+    return authHeader.slice(7).trim() || null;
+  }
+  return req.headers.token || null;
+};
+
+/**
+ * Accept the access token from `?token=` for clients that cannot set headers
+ * (EventSource). Only use it on routes that need it - URLs end up in logs.
+ */
+export const acceptQueryToken = (req, res, next) => {
+  if (!extractToken(req) && typeof req.query.token === "string" && req.query.token) {
+    req.headers.token = req.query.token;
+  }
+  next();
+};
+
+/**
+ * Verify the access token and attach the authenticated user as `req.user`
+ */
 const authMiddleware = async (req, res, next) => {
-  const { token } = req.headers;
+  const token = extractToken(req);
   if (!token) {
-    return res.json({ success: false, message: "Not Authorized Login Again" });
+    return sendAuthError(res, 401, "Token de acesso não fornecido. Faça login novamente.", "NO_TOKEN");
   }
+
+  let decoded;
   try {
-    const token_decode = jwt.verify(token, process.env.JWT_SECRET);
-    req.body.userId = token_decode.id;
+    decoded = verifyAccessToken(token);
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      // Clients refresh the access token when they see this code
+      return sendAuthError(res, 401, "Token expirado. Faça login novamente.", "TOKEN_EXPIRED");
+    }
+    return sendAuthError(res, 401, "Token inválido. Faça login novamente.", "INVALID_TOKEN");
+  }
+
+  // Every access token belongs to a refresh session, so logging out revokes it too
+  if (!decoded.sid) {
+    return sendAuthError(res, 401, "Token inválido. Faça login novamente.", "INVALID_TOKEN");
+  }
+
+  try {
+    const userId = decoded.id || decoded.userId || decoded.sub;
+    const [userData, session] = await Promise.all([
+      userId ? userModel.findById(userId).select("name role").maxTimeMS(10000).lean() : null,
+      refreshTokenModel.findById(decoded.sid).select("revokedAt replacedBy expiresAt").maxTimeMS(10000).lean()
+    ]);
+
+    if (!userData) {
+      return sendAuthError(res, 401, "Usuário não encontrado. Faça login novamente.", "USER_NOT_FOUND");
+    }
+
+    if (!session || session.expiresAt <= new Date()) {
+      return sendAuthError(res, 401, "Sessão encerrada. Faça login novamente.", "SESSION_REVOKED");
+    }
+    if (session.revokedAt) {
+      // Rotated by a refresh: the client holds a newer token pair, so let it
+      // refresh; the refresh itself fails if the session was logged out since
+      if (session.replacedBy) {
+        return sendAuthError(res, 401, "Token expirado. Faça login novamente.", "TOKEN_EXPIRED");
+      }
+      return sendAuthError(res, 401, "Sessão encerrada. Faça login novamente.", "SESSION_REVOKED");
+    }
+
+    /** @type {AuthUser} */
+    req.user = {
+      id: userData._id.toString(),
+      name: userData.name,
+      role: userData.role || "user",
+      sessionId: decoded.sid
+    };
+
     next();
   } catch (error) {
-    console.log(error);
-    res.json({success:false,message:"Error"});
+    console.error("Error in auth middleware:", error);
+
+    if (error.name === "MongoTimeoutError" || error.message?.includes("timeout")) {
+      return sendAuthError(res, 408, "Database timeout during authentication - please try again", "DB_TIMEOUT");
+    }
+    return sendAuthError(res, 500, "Erro interno do servidor na autenticação", "AUTH_ERROR");
   }
 };
+
+/**
+ * Allow only users with one of the given roles (use after `authMiddleware`)
+ * @param {...('user'|'admin'|'driver')} roles - Allowed roles
+ * @returns {Function} - Express middleware
+ */
+export const requireRole = (...roles) => {
+  const unknownRoles = roles.filter((role) => !ROLES.includes(role));
+  if (roles.length === 0 || unknownRoles.length > 0) {
+    throw new Error(`requireRole: invalid roles ${JSON.stringify(roles)}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendAuthError(res, 401, "Token de acesso não fornecido. Faça login novamente.", "NO_TOKEN");
+    }
+    if (!roles.includes(req.user.role)) {
+      return sendAuthError(res, 403, "Acesso negado. Você não tem permissão para acessar este recurso.", "INSUFFICIENT_PERMISSIONS");
+    }
+    next();
+  };
+};
+
+/**
+ * Shorthand for admin-only routes: authenticate, then require the admin role
+ */
+export const requireAdmin = [authMiddleware, requireRole("admin")];
+
+export { authMiddleware };
 export default authMiddleware;
@@ -0,0 +1,67 @@
+import { normalizeWhatsapp } from '../services/authService.js';
+
+const WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Rate limit for the login, sign-up and one-time code routes
+ * Requests are counted per client IP and per account (the WhatsApp number,
+ * or the name for password logins) in fixed windows, so a password or a
+ * 6-digit code cannot be guessed with many parallel requests, from one
+ * address or spread over many. Counters are kept in memory, per process.
+ * @param {Object} options - { windowMs, maxPerIp, maxPerAccount }
+ * @returns {Function} - Express middleware
+ */
+export const createAuthRateLimit = ({ windowMs = WINDOW_MS, maxPerIp = 30, maxPerAccount = 10 } = {}) => {
+  const counters = new Map();
+  let nextSweep = Date.now() + windowMs;
+
+  const hit = (key, now) => {
+    const counter = counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      const fresh = { count: 1, resetAt: now + windowMs };
+      counters.set(key, fresh);
+      return fresh;
+    }
+    counter.count += 1;
+    return counter;
+  };
+
+  return (req, res, next) => {
+    const now = Date.now();
+    if (now >= nextSweep) {
+      for (const [key, counter] of counters) {
+        if (counter.resetAt <= now) counters.delete(key);
+      }
+      nextSweep = now + windowMs;
+    }
+
+    const limits = [[`ip:${req.ip || req.connection?.remoteAddress || ''}`, maxPerIp]];
+    const whatsapp = normalizeWhatsapp(req.body?.whatsapp);
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim().toLowerCase() : '';
+    if (whatsapp || name) {
+      limits.push([whatsapp ? `whatsapp:${whatsapp}` : `name:${name}`, maxPerAccount]);
+    }
+
+    for (const [key, max] of limits) {
+      const counter = hit(key, now);
+      if (counter.count > max) {
+        const retryAfter = Math.ceil((counter.resetAt - now) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Muitas tentativas. Tente novamente em alguns minutos.',
+          code: 'RATE_LIMIT_EXCEEDED',
+          retryAfter
+        });
+      }
+    }
+
+    next();
+  };
+};
+
+// Password logins, sign-ups and code checks share the same counters
+export const authAttemptRateLimit = createAuthRateLimit();
+
+// Sending codes costs a WhatsApp message each
+export const otpRequestRateLimit = createAuthRateLimit({ maxPerIp: 10, maxPerAccount: 5 });
@@ -2,6 +2,7 @@ import multer from "multer";
 import path from "path";
 import fs from "fs";
 import crypto from "crypto";
+import { getStagingDirectory } from "../services/uploadStorage.js";
 
 /**
  * Secure file upload configuration for category images
@@ -16,10 +17,14 @@ class FileUploadSecurity {
     
     this.allowedExtensions = ['.jpg', '.jpeg', '.png'];
     this.maxFileSize = 2 * 1024 * 1024; // 2MB
-    this.uploadDir = 'uploads/categories';
-    
-    // Ensure upload directory exists
-    this.ensureUploadDirectory();
+  }
+
+  /**
+   * Staging directory uploads are received into before going to the upload
+   * storage (resolved on use, once the environment is loaded)
+   */
+  get uploadDir() {
+    return getStagingDirectory('categories');
   }
 
   /**
@@ -1,17 +1,26 @@
+import fs from 'fs';
 import ImageOptimizer from '../utils/imageOptimization.js';
 import { logger } from '../utils/logger.js';
-import fs from 'fs';
-import path from 'path';
 
 /**
  * Middleware to automatically compress uploaded images
+ * Uploads are re-encoded in place (see utils/imageOptimization.js), so the
+ * multer file keeps its path and name and only its size changes. Food and
+ * category images are compressed after the upload instead, by the
+ * image.optimize job (services/imageJobs.js), with the same settings; their
+ * uploads only go through stripUploadedMetadata, so no EXIF/GPS data is ever
+ * stored or served, even with compression off.
  */
 class ImageCompressionMiddleware {
   constructor() {
-    this.optimizer = new ImageOptimizer();
     this.enableCompression = process.env.ENABLE_IMAGE_COMPRESSION !== 'false';
     this.compressionQuality = parseInt(process.env.IMAGE_COMPRESSION_QUALITY) || 85;
     this.maxImageSize = parseInt(process.env.MAX_IMAGE_SIZE) || 5 * 1024 * 1024; // 5MB
+    this.optimizer = new ImageOptimizer({
+      maxWidth: parseInt(process.env.IMAGE_MAX_WIDTH) || 1200,
+      maxHeight: parseInt(process.env.IMAGE_MAX_HEIGHT) || 1200,
+      quality: this.compressionQuality
+    });
   }
 
   /**
@@ -41,12 +50,9 @@ class ImageCompressionMiddleware {
         const result = await this.processUploadedFile(file);
         if (result.success) {
           compressedFiles.push(result);
-          
-          // Update file object with compressed version info
-          if (result.outputPath && result.outputPath !== file.path) {
-            file.path = result.outputPath;
-            file.filename = path.basename(result.outputPath);
-            file.size = result.optimizedSize || file.size;
+
+          if (!result.skipped && result.optimizedSize) {
+            file.size = result.optimizedSize;
           }
         }
       }
@@ -62,6 +68,33 @@ class ImageCompressionMiddleware {
     }
   };
 
+  /**
+   * Middleware to turn uploaded images upright and strip their metadata
+   * Runs whether or not compression is enabled. An upload that cannot be
+   * stripped is deleted and rejected rather than stored with its metadata.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Next middleware function
+   */
+  stripUploadedMetadata = async (req, res, next) => {
+    const files = (req.files || [req.file]).filter((file) => file?.path && file.mimetype?.startsWith('image/'));
+
+    for (const file of files) {
+      const result = await this.optimizer.stripMetadata(file.path);
+      if (!result.success) {
+        logger.system.error(`Could not strip the metadata of ${file.filename}: ${result.error}`);
+        await Promise.all(files.map((upload) => fs.promises.rm(upload.path, { force: true })));
+        return res.status(500).json({
+          success: false,
+          message: 'Error processing image file'
+        });
+      }
+      file.size = result.size;
+    }
+
+    next();
+  };
+
   /**
    * Process a single uploaded file
    * @param {Object} file - Multer file object
@@ -94,24 +127,13 @@ class ImageCompressionMiddleware {
         };
       }
 
-      // Optimize the image
-      const result = await this.optimizer.optimizeImage(file.path);
-      
+      // Optimize the image in place
+      const result = await this.optimizer.optimizeImage(file.path, file.path);
+
       if (result.success && !result.skipped) {
         logger.system.info(`Image compressed: ${file.filename} - ${result.compressionRatio} reduction`);
-        
-        // If optimization created a new file, replace the original
-        if (result.outputPath && result.outputPath !== file.path) {
-          // Remove original file
-          if (fs.existsSync(file.path)) {
-            fs.unlinkSync(file.path);
-          }
-          
-          // Move optimized file to original location
-          if (fs.existsSync(result.outputPath)) {
-            fs.renameSync(result.outputPath, file.path);
-          }
-        }
+      } else if (!result.success) {
+        logger.system.warn(`Image not compressed, keeping the upload as is: ${file.filename} - ${result.error}`);
       }
 
       return result;
@@ -1,11 +1,8 @@
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
-import { fileURLToPath } from 'url';
 import { logger, imageLogger } from '../utils/logger.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { getStagingDirectory } from '../services/uploadStorage.js';
 
 // Allowed image types - more restrictive for categories
 const ALLOWED_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
@@ -191,20 +188,17 @@ const fileFilter = (req, file, cb) => {
 /**
  * Middleware for validating uploaded images
  * @param {string} fieldName - Name of the form field containing the image
- * @param {string} uploadPath - Path where images should be stored
+ * @param {string} uploadPath - Staging folder uploads are received into; the
+ *   route handler moves them to the upload storage
  * @returns {Function} - Express middleware function
  */
 const createImageValidationMiddleware = (fieldName = 'image', uploadPath = 'uploads') => {
-  // Ensure upload directory exists
-  const fullUploadPath = path.join(__dirname, '..', uploadPath);
-  if (!fs.existsSync(fullUploadPath)) {
-    fs.mkdirSync(fullUploadPath, { recursive: true });
-  }
-  
   // Configure multer storage
   const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-      cb(null, fullUploadPath);
+      // Resolved per upload so UPLOAD_STAGING_DIR from .env applies
+      const stagingPath = getStagingDirectory(uploadPath);
+      fs.mkdir(stagingPath, { recursive: true }, (error) => cb(error, stagingPath));
     },
     filename: (req, file, cb) => {
       // Salva o arquivo com o nome original enviado pelo frontend
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import imageVariantsSchema from "./imageVariantsSchema.js";
 
 const categorySchema = new mongoose.Schema({
   name: { 
@@ -122,6 +123,11 @@ const categorySchema = new mongoose.Schema({
       }
     ]
   },
+  // Responsive versions of the image; missing for images uploaded before them
+  imageVariants: {
+    type: imageVariantsSchema,
+    default: null
+  },
   isActive: { 
     type: Boolean, 
     default: true 
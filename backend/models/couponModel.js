@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+import { COUPON_TYPE_VALUES } from "../utils/promotions.js";
+
+// Discount coupon (rules in utils/promotions.js, usage in services/promoService.js)
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String, maxlength: 140 },
+  type: { type: String, enum: COUPON_TYPE_VALUES, required: true },
+  // Percentage (0-100) or amount in R$; unused for free delivery
+  value: { type: Number, default: 0, min: 0 },
+  // Cap of percentage discounts; null means no cap
+  maxDiscount: { type: Number, default: null, min: 0 },
+  minimumOrder: { type: Number, default: 0, min: 0 },
+  // null means unlimited
+  usageLimit: { type: Number, default: null, min: 1 },
+  perUserLimit: { type: Number, default: null, min: 1 },
+  validFrom: { type: Date, default: null },
+  validUntil: { type: Date, default: null },
+  // Empty lists mean every item of the order
+  categories: { type: [String], default: [] },
+  foodIds: { type: [String], default: [] },
+  isActive: { type: Boolean, default: true },
+  // Orders currently holding the coupon (released when cancelled or expired)
+  usageCount: { type: Number, default: 0, min: 0 },
+  createdBy: { type: String }
+}, {
+  timestamps: true
+});
+
+const couponModel = mongoose.models.coupon || mongoose.model("coupon", couponSchema);
+
+export default couponModel;
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+export const REDEMPTION_STATUS = Object.freeze({
+  RESERVED: "reserved",
+  REDEEMED: "redeemed",
+  RELEASED: "released"
+});
+
+// One per order using a coupon: reserved when placed, redeemed once paid,
+// released when the order is cancelled or expires
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: { type: mongoose.Schema.Types.ObjectId, ref: "coupon", required: true, index: true },
+  code: { type: String, required: true },
+  userId: { type: String, required: true },
+  orderId: { type: String, required: true, unique: true },
+  discount: { type: Number, required: true, min: 0 },
+  status: { type: String, enum: Object.values(REDEMPTION_STATUS), default: REDEMPTION_STATUS.RESERVED }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+
+const couponRedemptionModel = mongoose.models.couponRedemption
+  || mongoose.model("couponRedemption", couponRedemptionSchema);
+
+export default couponRedemptionModel;
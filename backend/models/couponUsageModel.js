@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// Uses of a coupon held by one customer (reserved or redeemed orders), kept
+// as a counter so `perUserLimit` can be enforced with a single atomic update
+const couponUsageSchema = new mongoose.Schema({
+  couponId: { type: mongoose.Schema.Types.ObjectId, ref: "coupon", required: true },
+  userId: { type: String, required: true },
+  count: { type: Number, default: 0, min: 0 }
+}, {
+  timestamps: true
+});
+
+couponUsageSchema.index({ couponId: 1, userId: 1 }, { unique: true });
+
+const couponUsageModel = mongoose.models.couponUsage
+  || mongoose.model("couponUsage", couponUsageSchema);
+
+export default couponUsageModel;
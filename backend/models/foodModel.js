@@ -1,10 +1,34 @@
 import mongoose from "mongoose";
+import { buildSearchKeywords } from "../utils/foodSearch.js";
+import imageVariantsSchema from "./imageVariantsSchema.js";
+
+// Sizes, add-ons and required choices (see utils/foodOptions.js)
+const foodOptionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  price: { type: Number, default: 0, min: 0 } // added to the food price
+});
+
+const optionGroupSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  min: { type: Number, default: 0, min: 0 },
+  max: { type: Number, default: 1, min: 1 },
+  options: { type: [foodOptionSchema], default: [] }
+});
+
+// Days (0 = Sunday) and local times the food is sold (see utils/foodAvailability.js)
+const availabilityWindowSchema = new mongoose.Schema({
+  days: { type: [Number], required: true },
+  start: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+  end: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ }
+}, { _id: false });
 
 const foodSchema = new mongoose.Schema({
   name: { type: String, required: true },
   description: { type: String, required: true },
   price: { type: Number, required: true },
   image: { type: String, required: true },
+  // Responsive versions of the image; missing for images uploaded before them
+  imageVariants: { type: imageVariantsSchema, default: null },
   // Support both legacy string categories and new ObjectId references
   category: { 
     type: mongoose.Schema.Types.Mixed, // Allows both String and ObjectId
@@ -20,7 +44,18 @@ const foodSchema = new mongoose.Schema({
   categoryName: { 
     type: String, 
     required: false // Optional during migration period
-  }
+  },
+  optionGroups: { type: [optionGroupSchema], default: [] },
+  // Switched off by the admin (e.g. ran out of an ingredient)
+  isAvailable: { type: Boolean, default: true },
+  // Units left; null when stock is not tracked. Taken when an order is placed
+  stock: { type: Number, default: null, min: 0 },
+  // Empty means always available
+  availabilitySchedule: { type: [availabilityWindowSchema], default: [] },
+  // Normalized words of the name and description (see utils/foodSearch.js)
+  searchKeywords: { type: [String], default: [] },
+  // Units sold in paid orders, for sorting by popularity
+  soldCount: { type: Number, default: 0, min: 0 }
 }, {
   timestamps: true
 });
@@ -28,6 +63,30 @@ const foodSchema = new mongoose.Schema({
 // Index for performance
 foodSchema.index({ categoryId: 1 });
 foodSchema.index({ category: 1 }); // Keep existing index for backward compatibility
+foodSchema.index({ searchKeywords: 1 });
+foodSchema.index({ soldCount: -1 });
+
+// Keep the search keywords in step with the name and description
+foodSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('name') || this.isModified('description')) {
+    this.searchKeywords = buildSearchKeywords(this);
+  }
+  next();
+});
+
+foodSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate();
+  const fields = update.$set || update;
+  if (fields.name === undefined && fields.description === undefined) return;
+
+  // A partial update keeps the stored value of the other field
+  const current = await this.model.findOne(this.getQuery()).select('name description').lean();
+  if (!current) return;
+  fields.searchKeywords = buildSearchKeywords({
+    name: fields.name ?? current.name,
+    description: fields.description ?? current.description
+  });
+});
 
 // Virtual to get category information
 foodSchema.virtual('categoryInfo', {
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+export const IMAGE_OWNER_KINDS = Object.freeze({
+  FOOD: "food",
+  CATEGORY: "category"
+});
+
+// A food or category using the image
+const imageReferenceSchema = new mongoose.Schema({
+  kind: { type: String, enum: Object.values(IMAGE_OWNER_KINDS), required: true },
+  document: { type: mongoose.Schema.Types.ObjectId, required: true }
+}, { _id: false });
+
+// One per stored image file, named by the SHA-256 of its contents (see
+// services/imageStore.js). The file is deleted with its last reference.
+const imageBlobSchema = new mongoose.Schema({
+  hash: { type: String, required: true, unique: true },
+  // URL of the file, e.g. /uploads/images/<hash>.jpg
+  path: { type: String, required: true, unique: true },
+  size: { type: Number, required: true, min: 0 },
+  references: { type: [imageReferenceSchema], default: [] }
+}, {
+  timestamps: true
+});
+
+imageBlobSchema.index({ "references.document": 1 });
+
+const imageBlobModel = mongoose.models.imageBlob || mongoose.model("imageBlob", imageBlobSchema);
+
+export default imageBlobModel;
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// URLs of one width variant: WebP and the format of the upload
+const variantUrlsSchema = new mongoose.Schema({
+  webp: { type: String, required: true },
+  original: { type: String, required: true }
+}, { _id: false });
+
+// Width variants of an uploaded image (see services/imageVariantService.js)
+const imageVariantsSchema = new mongoose.Schema({
+  // Served at /images/:id
+  id: { type: String, required: true },
+  format: { type: String, enum: ["jpeg", "png", "webp"], required: true },
+  // Of the uploaded image, as displayed
+  width: { type: Number, required: true },
+  height: { type: Number, required: true },
+  // Variant width → URLs
+  sizes: { type: Map, of: variantUrlsSchema, default: {} }
+}, { _id: false });
+
+export default imageVariantsSchema;
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+export const JOB_STATUS = Object.freeze({
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed"
+});
+
+// Background work picked up by the job queue workers (see services/jobQueue.js).
+// A failed attempt goes back to queued with a later runAt until maxAttempts.
+const jobSchema = new mongoose.Schema({
+  type: { type: String, required: true }, // e.g. image.optimize
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: {
+    type: String,
+    enum: Object.values(JOB_STATUS),
+    default: JOB_STATUS.QUEUED
+  },
+  runAt: { type: Date, default: Date.now },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3, min: 1 },
+  // Set while a worker holds the job; stale locks are taken over
+  lockedBy: { type: String, default: null },
+  lockedAt: { type: Date, default: null },
+  progress: {
+    percent: { type: Number, default: 0, min: 0, max: 100 },
+    message: { type: String, default: null }
+  },
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+  error: { type: String, default: null },
+  // Enqueuing twice with the same key (e.g. one scheduled run) creates one job
+  uniqueKey: { type: String, default: undefined },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+// Finished jobs are kept for a week so their results can still be polled
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const jobModel = mongoose.models.job || mongoose.model("job", jobSchema);
+
+export default jobModel;
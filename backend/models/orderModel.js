@@ -1,5 +1,12 @@
 import mongoose from "mongoose";
 import { mongoosePhoneValidator, getPhoneValidationError } from "../utils/phoneValidation.js";
+import { ORDER_STATUS, ORDER_STATUS_VALUES, assertTransition, createStatusError } from "../utils/orderStatus.js";
+import { PAYMENT_METHOD_VALUES, DEFAULT_PAYMENT_METHOD } from "../utils/paymentMethods.js";
+import { ADDRESS_LIMITS } from "../utils/addresses.js";
+import { orderEventsService, ORDER_EVENT } from "../services/orderEventsService.js";
+import { foodStockService } from "../services/foodStockService.js";
+import { promoService } from "../services/promoService.js";
+import { logger } from "../utils/logger.js";
 
 const orderSchema = new mongoose.Schema({
   userId: { type: String, required: true },
@@ -13,6 +20,20 @@ const orderSchema = new mongoose.Schema({
       message: 'Items array cannot be empty'
     }
   },
+  // Totals are always computed on the server (see utils/orderPricing.js)
+  subtotal: { type: Number, required: false },
+  deliveryFee: { type: Number, required: false },
+  // Coupon discount included in `amount` (see utils/promotions.js)
+  discount: { type: Number, default: 0 },
+  promotion: {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'coupon' },
+    code: { type: String },
+    type: { type: String },
+    description: { type: String },
+    itemsDiscount: { type: Number },
+    deliveryDiscount: { type: Number },
+    total: { type: Number }
+  },
   amount: { type: Number, required: true },
   phone: { 
     type: String, 
@@ -35,9 +56,25 @@ const orderSchema = new mongoose.Schema({
     neighborhood: { type: String, required: true },
     zone: { type: String, required: true },
     cep: { type: String, required: false },
+    complement: { type: String, required: false, maxlength: ADDRESS_LIMITS.complement },
+    reference: { type: String, required: false, maxlength: ADDRESS_LIMITS.reference },
+    // Shared by the customer at checkout; used for zone lookup and distance pricing
+    location: {
+      lat: { type: Number, required: false },
+      lng: { type: Number, required: false }
+    },
     customerName: { type: String, required: false }
   },
-  status: { type: String, default: "Pending" },
+  // Only changed through transitionStatus (see utils/orderStatus.js)
+  status: { type: String, enum: ORDER_STATUS_VALUES, default: ORDER_STATUS.PENDING },
+  statusUpdatedAt: { type: Date, default: Date.now },
+  statusHistory: [{
+    status: { type: String, enum: ORDER_STATUS_VALUES, required: true },
+    from: { type: String, required: false },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: String, required: true }, // user id or system actor (e.g. "mercadopago-webhook")
+    note: { type: String, required: false, maxlength: 500 }
+  }],
   createdAt: { 
     type: Date, 
     default: Date.now
@@ -46,15 +83,50 @@ const orderSchema = new mongoose.Schema({
     printedAt: { type: Date, default: Date.now },
     printedBy: { type: String, required: true },
     copies: { type: Number, default: 1, min: 1 },
-    paperSize: { type: String, enum: ['58mm', '80mm'], default: '80mm' }
+    paperSize: { type: String, enum: ['58mm', '80mm'], default: '80mm' },
+    receiptType: { type: String, enum: ['kitchen', 'customer', 'both'], default: 'both' }
   }],
   // Keep the old date field for backward compatibility during migration
   date: { type: Date, default: Date.now },
+  // Served by the matching provider in services/paymentProviders.js
+  paymentMethod: { type: String, enum: PAYMENT_METHOD_VALUES, default: DEFAULT_PAYMENT_METHOD },
   payment: { type: Boolean, default: false },
+  // Refunds issued through the payment provider (see services/orderCancellationService.js)
+  refunds: [{
+    amount: { type: Number, required: true, min: 0 },
+    // Empty for a full refund of the remaining amount
+    items: [{
+      // Position in order.items (the same food can be on several lines)
+      line: { type: Number, min: 0 },
+      itemId: { type: String, required: true },
+      name: { type: String },
+      quantity: { type: Number, required: true, min: 1 },
+      amount: { type: Number, required: true }
+    }],
+    reason: { type: String, required: false, maxlength: 500 },
+    paymentMethod: { type: String },
+    providerRefundId: { type: String },
+    status: { type: String, required: true }, // provider status, "manual" when the store refunds it by hand, "requested" until the provider answers
+    manual: { type: Boolean, default: false },
+    requestedBy: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  refundedAmount: { type: Number, default: 0 },
   mercadoPagoId: { type: String },
+  // Delivery time chosen by the customer; empty means as soon as possible
+  scheduledFor: { type: Date, required: false },
+  // Set while the items are held in food stock: taken when the order is placed,
+  // given back when it is cancelled or expires (see services/foodStockService.js)
+  stockDeducted: { type: Boolean, default: false },
   driver: { type: mongoose.Schema.Types.ObjectId, ref: 'driver', required: false }
 });
 
+// Admin order list: newest first, optionally by status, zone or driver
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ "address.zone": 1, createdAt: -1 });
+orderSchema.index({ driver: 1, createdAt: -1 });
+
 // Configure schema options for enhanced timestamp handling
 orderSchema.set('toJSON', { 
   transform: function(doc, ret) {
@@ -76,13 +148,167 @@ orderSchema.set('toJSON', {
   }
 });
 
+// Record the initial status of new orders
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      changedAt: this.createdAt,
+      changedBy: this.userId
+    });
+  }
+  next();
+});
+
+/**
+ * Move an order to a new status, validating the transition and recording it
+ * in statusHistory. The update only applies if the status did not change
+ * concurrently. Connected clients are notified of the change.
+ * @param {string} orderId - Order ID
+ * @param {string} status - Requested status
+ * @param {Object} options - { changedBy, note, set, from } where `set` holds extra fields to update
+ *   and `from`, when given, is the status the caller saw (409 if it changed since)
+ * @returns {Promise<Object>} - Updated order (unchanged if already in that status)
+ */
+orderSchema.statics.transitionStatus = async function(orderId, status, { changedBy, note, set = {}, from: expected } = {}) {
+  const order = await this.findById(orderId);
+  if (!order) {
+    throw createStatusError("Pedido não encontrado", "ORDER_NOT_FOUND", 404);
+  }
+
+  // Payment confirmations (webhook, reconciliation, manual) are announced as such
+  const eventType = set.payment === true && !order.payment ? ORDER_EVENT.PAID : ORDER_EVENT.STATUS;
+
+  const from = expected ?? order.status;
+  if (order.status !== from) {
+    throw createStatusError(
+      "O status do pedido foi alterado por outra operação. Atualize e tente novamente.",
+      "STATUS_CHANGED_CONCURRENTLY",
+      409,
+      { from, to: status }
+    );
+  }
+  if (from === status) {
+    if (Object.keys(set).length === 0) {
+      return order;
+    }
+    const updated = await this.findByIdAndUpdate(orderId, { $set: set }, { new: true });
+    if (eventType === ORDER_EVENT.PAID) {
+      await this.deductStockOnce(updated);
+      await this.syncCouponUse(updated);
+      orderEventsService.publish(eventType, updated);
+    }
+    return updated;
+  }
+
+  assertTransition(from, status);
+
+  const now = new Date();
+  const updated = await this.findOneAndUpdate(
+    { _id: orderId, status: from },
+    {
+      $set: { ...set, status, statusUpdatedAt: now },
+      $push: { statusHistory: { status, from, changedAt: now, changedBy, note } }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw createStatusError(
+      "O status do pedido foi alterado por outra operação. Atualize e tente novamente.",
+      "STATUS_CHANGED_CONCURRENTLY",
+      409,
+      { from, to: status }
+    );
+  }
+
+  if (eventType === ORDER_EVENT.PAID) {
+    await this.deductStockOnce(updated);
+  }
+  if ([ORDER_STATUS.CANCELLED, ORDER_STATUS.EXPIRED].includes(status)) {
+    await this.restoreStockOnce(updated);
+  }
+  await this.syncCouponUse(updated);
+  orderEventsService.publish(eventType, updated, { from });
+  return updated;
+};
+
+/**
+ * Deduct the items of a paid order from food stock, at most once per order
+ * Orders take their stock when placed; this covers the ones that did not.
+ * Lines stock cannot cover are reported to the store and never undo the
+ * payment confirmation.
+ * @param {Object} order - Paid order
+ */
+orderSchema.statics.deductStockOnce = async function(order) {
+  let claimed = null;
+  try {
+    claimed = await this.findOneAndUpdate(
+      { _id: order._id, stockDeducted: { $ne: true } },
+      { $set: { stockDeducted: true } }
+    );
+    if (claimed) {
+      await foodStockService.deductForOrder(claimed);
+    }
+  } catch (error) {
+    logger.backend.error(`Stock deduction of order ${order._id} failed:`, error);
+    if (claimed) {
+      await this.updateOne({ _id: order._id }, { $set: { stockDeducted: false } });
+      orderEventsService.publish(ORDER_EVENT.ATTENTION, claimed, {
+        code: 'OUT_OF_STOCK',
+        message: 'Pedido pago sem estoque suficiente para todos os itens',
+        details: error.details
+      });
+    }
+  }
+};
+
+/**
+ * Give the items of a cancelled or expired order back to food stock, at
+ * most once per order. A failure is logged and never undoes the status change.
+ * @param {Object} order - Cancelled or expired order
+ */
+orderSchema.statics.restoreStockOnce = async function(order) {
+  try {
+    const released = await this.findOneAndUpdate(
+      { _id: order._id, stockDeducted: true },
+      { $set: { stockDeducted: false } }
+    );
+    if (released) {
+      await foodStockService.restoreForOrder(released);
+    }
+  } catch (error) {
+    logger.backend.error(`Stock restore of order ${order._id} failed:`, error);
+  }
+};
+
+/**
+ * Confirm the coupon use of a paid order, or give it back when the order
+ * is cancelled or expires (see services/promoService.js)
+ * A failure is logged and never undoes the status change.
+ * @param {Object} order - Updated order
+ */
+orderSchema.statics.syncCouponUse = async function(order) {
+  if (!order.promotion?.couponId) return;
+  try {
+    if ([ORDER_STATUS.CANCELLED, ORDER_STATUS.EXPIRED].includes(order.status)) {
+      await promoService.releaseForOrder(order._id);
+    } else if (order.payment) {
+      await promoService.confirmForOrder(order._id);
+    }
+  } catch (error) {
+    logger.backend.error(`Coupon update of order ${order._id} failed:`, error);
+  }
+};
+
 // Add instance methods for enhanced functionality
-orderSchema.methods.addPrintRecord = function(printedBy, copies = 1, paperSize = '80mm') {
+orderSchema.methods.addPrintRecord = function(printedBy, copies = 1, paperSize = '80mm', receiptType = 'both') {
   this.printHistory.push({
     printedAt: new Date(),
     printedBy,
     copies,
-    paperSize
+    paperSize,
+    receiptType
   });
   return this.save();
 };
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// One-time login codes sent over WhatsApp
+const otpCodeSchema = new mongoose.Schema(
+  {
+    whatsapp: { type: String, required: true, index: true },
+    codeHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    attempts: { type: Number, default: 0 },
+    consumedAt: { type: Date, default: null }
+  },
+  {
+    timestamps: true
+  }
+);
+
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Latest code that can still be used for a number
+otpCodeSchema.statics.findActiveCode = function(whatsapp) {
+  return this.findOne({
+    whatsapp,
+    consumedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+};
+
+const otpCodeModel = mongoose.models.otpCode || mongoose.model("otpCode", otpCodeSchema);
+export default otpCodeModel;
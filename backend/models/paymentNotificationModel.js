@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// Every payment notification received from a provider, used to make webhook
+// processing idempotent: a notification that was already handled is only acknowledged
+const paymentNotificationSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true, default: 'mercadopago' },
+    paymentId: { type: String, required: true },
+    action: { type: String, required: true }, // e.g. payment.created, payment.updated
+    // Payment status reported by the provider API when the notification was handled.
+    // Part of the key because "payment.updated" is sent once per status change.
+    paymentStatus: { type: String, required: true },
+    orderId: { type: String, default: null, index: true },
+    requestId: { type: String, default: null },
+    result: {
+      type: String,
+      enum: ['processing', 'processed', 'ignored', 'refunded', 'refund_failed', 'failed'],
+      default: 'processing'
+    },
+    reason: { type: String, default: null },
+    attempts: { type: Number, default: 1 },
+    duplicates: { type: Number, default: 0 },
+    processedAt: { type: Date, default: null }
+  },
+  {
+    timestamps: true
+  }
+);
+
+paymentNotificationSchema.index(
+  { provider: 1, paymentId: 1, action: 1, paymentStatus: 1 },
+  { unique: true }
+);
+
+const paymentNotificationModel =
+  mongoose.models.paymentNotification || mongoose.model("paymentNotification", paymentNotificationSchema);
+export default paymentNotificationModel;
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// Refresh tokens are stored hashed; the raw value only ever lives on the client
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'user', required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    replacedBy: { type: String, default: null },
+    // Set when the token was exchanged for a new one (not on logout)
+    rotatedAt: { type: Date, default: null },
+    userAgent: { type: String, default: "" },
+    ip: { type: String, default: "" }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Let MongoDB purge expired sessions automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const refreshTokenModel = mongoose.models.refreshToken || mongoose.model("refreshToken", refreshTokenSchema);
+export default refreshTokenModel;
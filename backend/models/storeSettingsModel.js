@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Weekly opening window in local time (see utils/storeHours.js)
+const openingWindowSchema = new mongoose.Schema({
+  days: { type: [Number], required: true },
+  start: { type: String, required: true, match: TIME },
+  end: { type: String, required: true, match: TIME }
+}, { _id: false });
+
+// Holiday or special hours replacing the weekly hours of a date
+const exceptionSchema = new mongoose.Schema({
+  date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+  closed: { type: Boolean, default: true },
+  start: { type: String, match: TIME },
+  end: { type: String, match: TIME },
+  note: { type: String, maxlength: 100 }
+}, { _id: false });
+
+// Single document holding the store settings
+const storeSettingsSchema = new mongoose.Schema({
+  key: { type: String, default: "store", unique: true },
+  weeklyHours: { type: [openingWindowSchema], default: [] },
+  exceptions: { type: [exceptionSchema], default: [] },
+  // Manual "busy" switch; `until` empty means until switched off
+  pause: {
+    active: { type: Boolean, default: false },
+    until: { type: Date, default: null },
+    message: { type: String, maxlength: 140 },
+    changedBy: { type: String }
+  },
+  scheduledOrders: {
+    enabled: { type: Boolean, default: false },
+    minLeadMinutes: { type: Number, default: 30, min: 0 },
+    maxDaysAhead: { type: Number, default: 2, min: 0 },
+    slotMinutes: { type: Number, default: 30, min: 5 }
+  },
+  updatedBy: { type: String }
+}, {
+  timestamps: true
+});
+
+const storeSettingsModel = mongoose.models.storeSettings || mongoose.model("storeSettings", storeSettingsSchema);
+
+export default storeSettingsModel;
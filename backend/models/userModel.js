@@ -1,16 +1,40 @@
 import mongoose from "mongoose";
+import { MAX_ITEM_QUANTITY, MAX_NOTE_LENGTH } from "../utils/orderPricing.js";
+import { ADDRESS_LIMITS } from "../utils/addresses.js";
 
 const userSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, unique: true, index: true },
     whatsapp: { type: String, default: "" },
+    whatsappVerified: { type: Boolean, default: false },
+    // bcrypt hash - never returned unless explicitly selected
+    password: { type: String, select: false },
     address: {
       street: { type: String, default: "" },
       number: { type: String, default: "" },
       neighborhood: { type: String, default: "" },
       cep: { type: String, default: "" }
     },
+    // Address book picked at checkout (see services/addressBookService.js)
+    addresses: [{
+      label: { type: String, required: true, maxlength: ADDRESS_LIMITS.label },
+      street: { type: String, required: true, maxlength: ADDRESS_LIMITS.street },
+      number: { type: String, required: true, maxlength: ADDRESS_LIMITS.number },
+      complement: { type: String, default: "", maxlength: ADDRESS_LIMITS.complement },
+      reference: { type: String, default: "", maxlength: ADDRESS_LIMITS.reference },
+      neighborhood: { type: String, required: true, maxlength: ADDRESS_LIMITS.neighborhood },
+      cep: { type: String, default: "" }
+    }],
     role: { type: String, default:"user", index: true },
+    // Server-side cart (see services/cartService.js); prices are computed on read
+    cart: [{
+      itemId: { type: String, required: true },
+      quantity: { type: Number, required: true, min: 1, max: MAX_ITEM_QUANTITY },
+      options: [{ type: String }],
+      note: { type: String, default: "", maxlength: MAX_NOTE_LENGTH },
+      addedAt: { type: Date, default: Date.now }
+    }],
+    // Legacy { itemId: count } cart, moved into `cart` on first read
     cartData: { type: Object, default: {} },
   },
   { 
@@ -21,6 +45,7 @@ const userSchema = new mongoose.Schema(
 
 // Add compound index for better query performance
 userSchema.index({ name: 1, role: 1 });
+userSchema.index({ whatsapp: 1 });
 
 // Add method to find admin users quickly
 userSchema.statics.findAdmins = function() {
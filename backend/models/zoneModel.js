@@ -1,5 +1,11 @@
 import mongoose from "mongoose";
 
+// GeoJSON area ([longitude, latitude] positions, see utils/geoZones.js)
+const areaSchema = new mongoose.Schema({
+  type: { type: String, enum: ["Polygon", "MultiPolygon"], required: true },
+  coordinates: { type: mongoose.Schema.Types.Mixed, required: true }
+}, { _id: false });
+
 const zoneSchema = new mongoose.Schema({
   name: { 
     type: String, 
@@ -12,10 +18,51 @@ const zoneSchema = new mongoose.Schema({
     required: true,
     trim: true
   }],
+  // Optional coverage; radius zones keep their circle in `area` as well
+  area: {
+    type: areaSchema,
+    default: null
+  },
+  radius: {
+    type: new mongoose.Schema({
+      center: { lat: Number, lng: Number },
+      meters: Number
+    }, { _id: false }),
+    default: null
+  },
   isActive: { 
     type: Boolean, 
     default: true 
   },
+  // Delivery terms (see utils/zoneDelivery.js); null fee means the store default
+  deliveryFee: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  minimumOrder: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  freeDeliveryAbove: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  estimatedTime: {
+    min: { type: Number, default: null },
+    max: { type: Number, default: null }
+  },
+  // Distance-based fee, used instead of deliveryFee when the location is known
+  distancePricing: {
+    type: new mongoose.Schema({
+      baseFee: { type: Number, min: 0 },
+      perKm: { type: Number, min: 0 },
+      includedKm: { type: Number, min: 0 }
+    }, { _id: false }),
+    default: null
+  },
   createdAt: { 
     type: Date, 
     default: Date.now 
@@ -26,6 +73,8 @@ const zoneSchema = new mongoose.Schema({
   }
 });
 
+zoneSchema.index({ area: "2dsphere" });
+
 // Pre-save middleware to update the updatedAt field
 zoneSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -73,6 +122,65 @@ zoneSchema.statics.validateNeighborhoodUniqueness = async function(neighborhoods
   return true;
 };
 
+// Static method to validate that an area does not overlap other zones
+zoneSchema.statics.validateAreaOverlap = async function(area, excludeZoneId = null) {
+  const query = {
+    area: { $geoIntersects: { $geometry: area } }
+  };
+
+  if (excludeZoneId) {
+    query._id = { $ne: excludeZoneId };
+  }
+
+  const overlappingZones = await this.find(query, 'name').lean();
+
+  if (overlappingZones.length > 0) {
+    const error = new Error('Overlapping zones found');
+    error.overlaps = overlappingZones.map(zone => ({ existingZone: zone.name }));
+    throw error;
+  }
+
+  return true;
+};
+
+// Static method to find the active zone whose area contains a point
+zoneSchema.statics.findByLocation = function(location) {
+  if (!location) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({
+    isActive: true,
+    area: { $geoIntersects: { $geometry: { type: 'Point', coordinates: [location.lng, location.lat] } } }
+  }).lean();
+};
+
+// Static method to find the zone for a delivery address: by location first,
+// then by neighborhood name. The location comes from the customer, so when
+// both resolve they must agree on the zone
+zoneSchema.statics.findForAddress = async function({ neighborhood, location } = {}) {
+  const [byLocation, byNeighborhood] = await Promise.all([
+    this.findByLocation(location),
+    this.findByNeighborhood(neighborhood)
+  ]);
+
+  if (byLocation && byNeighborhood && !byLocation._id.equals(byNeighborhood._id)) {
+    const error = new Error('Location outside the zone of the neighborhood');
+    error.code = 'LOCATION_ZONE_MISMATCH';
+    error.zones = { location: byLocation.name, neighborhood: byNeighborhood.name };
+    throw error;
+  }
+
+  return byLocation || byNeighborhood;
+};
+
+// Static method to find the active zone serving a neighborhood
+zoneSchema.statics.findByNeighborhood = function(neighborhood) {
+  if (typeof neighborhood !== 'string' || !neighborhood.trim()) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ isActive: true, neighborhoods: neighborhood.trim() }).lean();
+};
+
 // Instance method to check if zone has active orders
 zoneSchema.methods.hasActiveOrders = async function() {
   const Order = mongoose.model('order');
@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  lookupCep,
+  listAddresses,
+  addAddress,
+  updateAddress,
+  removeAddress
+} from "../controllers/addressController.js";
+import authMiddleware from "../middleware/auth.js";
+
+const addressRouter = express.Router();
+
+// CEP lookup used while filling in an address at checkout
+addressRouter.get("/cep/:cep", authMiddleware, lookupCep);
+
+// The customer's saved addresses
+addressRouter.get("/", authMiddleware, listAddresses);
+addressRouter.post("/", authMiddleware, addAddress);
+addressRouter.put("/:id", authMiddleware, updateAddress);
+addressRouter.delete("/:id", authMiddleware, removeAddress);
+
+export default addressRouter;
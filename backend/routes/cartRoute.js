@@ -2,14 +2,23 @@ import express from "express";
 import {
   addToCart,
   removeFromCart,
+  setCartQuantity,
+  updateCartLine,
+  clearCart,
+  mergeCart,
   getCart,
 } from "../controllers/cartController.js";
 import authMiddleware from "../middleware/auth.js";
 
 const cartRouter = express.Router();
 
+// Every endpoint returns the priced cart in `data`
 cartRouter.post("/add",authMiddleware, addToCart);
 cartRouter.post("/remove",authMiddleware, removeFromCart);
+cartRouter.post("/set",authMiddleware, setCartQuantity);
+cartRouter.post("/line",authMiddleware, updateCartLine);
+cartRouter.post("/clear",authMiddleware, clearCart);
+cartRouter.post("/merge",authMiddleware, mergeCart);
 cartRouter.post("/get",authMiddleware, getCart);
 
 export default cartRouter;
@@ -13,8 +13,8 @@ import {
   clearCache,
   cleanupOptimizedImages
 } from "../controllers/categoryController.js";
+import { requireAdmin } from "../middleware/auth.js";
 import { 
-  adminAuthMiddleware, 
   adminActionLogger, 
   adminRateLimit 
 } from "../middleware/adminAuth.js";
@@ -55,17 +55,17 @@ categoryRouter.use(logSlowQueries(500)); // Log queries taking more than 500ms
 
 // Admin routes (require authentication and authorization)
 // SIMPLE VERSION LIKE FOOD ROUTES
+// Uploads are only stripped of metadata here; the image.optimize job compresses them afterwards
 categoryRouter.post("/admin/categories", 
   categoryImageValidation,
   handleMulterError,
-  imageCompressionMiddleware.compressUploadedImages,
-  imageCompressionMiddleware.logCompressionResults,
-  adminAuthMiddleware,
+  imageCompressionMiddleware.stripUploadedMetadata,
+  requireAdmin,
   createCategory
 );
 
 categoryRouter.get("/admin/categories", 
-  adminAuthMiddleware,
+  requireAdmin,
   adminRateLimit(),
   adminActionLogger('LIST_CATEGORIES'),
   sanitizeCategoryInput,
@@ -73,7 +73,7 @@ categoryRouter.get("/admin/categories",
 );
 
 categoryRouter.get("/admin/categories/:id", 
-  adminAuthMiddleware,
+  requireAdmin,
   adminRateLimit(),
   adminActionLogger('GET_CATEGORY'),
   sanitizeCategoryInput,
@@ -84,14 +84,13 @@ categoryRouter.get("/admin/categories/:id",
 categoryRouter.put("/admin/categories/:id", 
   categoryImageValidation,
   handleMulterError,
-  imageCompressionMiddleware.compressUploadedImages,
-  imageCompressionMiddleware.logCompressionResults,
-  adminAuthMiddleware,
+  imageCompressionMiddleware.stripUploadedMetadata,
+  requireAdmin,
   updateCategory
 );
 
 categoryRouter.delete("/admin/categories/:id", 
-  adminAuthMiddleware,
+  requireAdmin,
   adminRateLimit(),
   adminActionLogger('DELETE_CATEGORY'),
   sanitizeCategoryInput,
@@ -99,11 +98,12 @@ categoryRouter.delete("/admin/categories/:id",
 );
 
 categoryRouter.post("/admin/categories/upload", 
-  adminAuthMiddleware,
+  requireAdmin,
   adminRateLimit(),
   adminActionLogger('UPLOAD_CATEGORY_IMAGE'),
   categoryImageValidation,
   handleMulterError,
+  imageCompressionMiddleware.stripUploadedMetadata,
   imageCompressionMiddleware.compressUploadedImages,
   imageCompressionMiddleware.logCompressionResults,
   uploadCategoryImage
@@ -111,28 +111,28 @@ categoryRouter.post("/admin/categories/upload",
 
 // Performance and maintenance routes (Admin only)
 categoryRouter.get("/admin/categories/performance/stats", 
-  adminAuthMiddleware,
+  requireAdmin,
   adminRateLimit(),
   adminActionLogger('GET_PERFORMANCE_STATS'),
   getPerformanceStats
 );
 
 categoryRouter.post("/admin/categories/performance/warmup", 
-  adminAuthMiddleware,
+  requireAdmin,
   adminRateLimit(),
   adminActionLogger('WARMUP_CACHE'),
   warmupCache
 );
 
 categoryRouter.delete("/admin/categories/performance/cache", 
-  adminAuthMiddleware,
+  requireAdmin,
   adminRateLimit(),
   adminActionLogger('CLEAR_CACHE'),
   clearCache
 );
 
 categoryRouter.delete("/admin/categories/performance/cleanup-images", 
-  adminAuthMiddleware,
+  requireAdmin,
   adminRateLimit(),
   adminActionLogger('CLEANUP_OPTIMIZED_IMAGES'),
   cleanupOptimizedImages
@@ -7,8 +7,8 @@ import {
   deleteDriver,
   getActiveDrivers
 } from "../controllers/driverController.js";
+import { requireAdmin } from "../middleware/auth.js";
 import {
-  adminAuthMiddleware,
   adminActionLogger,
   adminRateLimit
 } from "../middleware/adminAuth.js";
@@ -24,12 +24,12 @@ driverRouter.use(setSecurityHeaders);
 
 // Admin routes (require authentication and authorization)
 driverRouter.post("/admin/drivers",
-  adminAuthMiddleware,
+  requireAdmin,
   createDriver
 );
 
 driverRouter.get("/admin/drivers",
-  adminAuthMiddleware,
+  requireAdmin,
   adminRateLimit(),
   adminActionLogger('LIST_DRIVERS'),
   sanitizeCategoryInput,
@@ -37,7 +37,7 @@ driverRouter.get("/admin/drivers",
 );
 
 driverRouter.get("/admin/drivers/:id",
-  adminAuthMiddleware,
+  requireAdmin,
   adminRateLimit(),
   adminActionLogger('GET_DRIVER'),
   sanitizeCategoryInput,
@@ -45,12 +45,12 @@ driverRouter.get("/admin/drivers/:id",
 );
 
 driverRouter.put("/admin/drivers/:id",
-  adminAuthMiddleware,
+  requireAdmin,
   updateDriver
 );
 
 driverRouter.delete("/admin/drivers/:id",
-  adminAuthMiddleware,
+  requireAdmin,
   adminRateLimit(),
   adminActionLogger('DELETE_DRIVER'),
   sanitizeCategoryInput,
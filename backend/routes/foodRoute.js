@@ -1,6 +1,6 @@
 import express from "express";
-import { addFood, listFood, removeFood, updateFood } from "../controllers/foodController.js";
-import authMiddleware from "../middleware/auth.js";
+import { addFood, listFood, searchFood, removeFood, updateFood, updateFoodAvailability } from "../controllers/foodController.js";
+import authMiddleware, { requireRole } from "../middleware/auth.js";
 import { createImageValidationMiddleware, handleMulterError } from "../middleware/imageValidation.js";
 import imageCompressionMiddleware from "../middleware/imageCompression.js";
 
@@ -9,9 +9,13 @@ const foodRouter = express.Router();
 // Create image validation middleware for food images
 const foodImageValidation = createImageValidationMiddleware('image', 'uploads');
 
-foodRouter.post("/add", foodImageValidation, handleMulterError, imageCompressionMiddleware.compressUploadedImages, imageCompressionMiddleware.logCompressionResults, authMiddleware, addFood);
+// Uploads are only stripped of metadata here; the image.optimize job compresses them afterwards
+const { stripUploadedMetadata } = imageCompressionMiddleware;
+foodRouter.post("/add", foodImageValidation, handleMulterError, stripUploadedMetadata, authMiddleware, requireRole("admin"), addFood);
 foodRouter.get("/list", listFood);
-foodRouter.put("/update", foodImageValidation, handleMulterError, imageCompressionMiddleware.compressUploadedImages, imageCompressionMiddleware.logCompressionResults, authMiddleware, updateFood);
-foodRouter.post("/remove", authMiddleware, removeFood);
+foodRouter.get("/search", searchFood);
+foodRouter.put("/update", foodImageValidation, handleMulterError, stripUploadedMetadata, authMiddleware, requireRole("admin"), updateFood);
+foodRouter.post("/remove", authMiddleware, requireRole("admin"), removeFood);
+foodRouter.post("/availability", authMiddleware, requireRole("admin"), updateFoodAvailability);
 
 export default foodRouter;
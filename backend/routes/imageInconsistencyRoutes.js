@@ -9,33 +9,61 @@
 
 import express from 'express';
 import ImageInconsistencyService from '../services/imageInconsistencyService.js';
-import { adminAuthMiddleware as adminAuth } from '../middleware/adminAuth.js';
+import { IMAGE_JOBS } from '../services/imageJobs.js';
+import { jobQueue } from '../services/jobQueue.js';
+import { requireAdmin } from '../middleware/auth.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 const inconsistencyService = new ImageInconsistencyService();
 
+// Corrections, scans and checks that read every file can outlive the request
+// timeout, so they run as jobs: the client gets a job ID and polls GET /jobs/:id
+const toJobStatus = (job) => ({
+  id: job._id,
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  result: job.result,
+  error: job.error,
+  runAt: job.runAt,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+const enqueueJob = async (res, type, payload, message) => {
+  const job = await jobQueue.enqueue(type, payload);
+  res.status(202).json({
+    success: true,
+    message,
+    data: {
+      jobId: job._id,
+      status: job.status,
+      statusUrl: `/api/admin/image-health/jobs/${job._id}`
+    }
+  });
+};
+
+// Options of the correction job; each route turns on its own step
+const correctionPayload = (body, steps) => ({
+  correctDuplicates: false,
+  correctOrphaned: false,
+  correctReferences: false,
+  ...steps,
+  createBackups: body.createBackup ?? body.createBackups ?? true
+});
+
 /**
- * @route GET /api/admin/image-health/status
- * @desc Get system health status
+ * @route POST /api/admin/image-health/status
+ * @desc Enqueue the system health status (202 with a job ID)
  * @access Admin
  */
-router.get('/status', adminAuth, async (req, res) => {
+router.post('/status', requireAdmin, async (req, res) => {
   try {
-    const result = await inconsistencyService.getSystemHealth();
-    
-    if (result.success) {
-      res.json({
-        success: true,
-        data: result.data
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        message: result.message,
-        error: result.error
-      });
-    }
+    await enqueueJob(res, IMAGE_JOBS.HEALTH_CHECK, { check: 'status' }, 'Verificação de saúde agendada');
   } catch (error) {
     logger.backend.error('Error in health status endpoint:', error);
     res.status(500).json({
@@ -47,26 +75,13 @@ router.get('/status', adminAuth, async (req, res) => {
 });
 
 /**
- * @route GET /api/admin/image-health/report
- * @desc Get detailed health report
+ * @route POST /api/admin/image-health/report
+ * @desc Enqueue a detailed health report (202 with a job ID)
  * @access Admin
  */
-router.get('/report', adminAuth, async (req, res) => {
+router.post('/report', requireAdmin, async (req, res) => {
   try {
-    const result = await inconsistencyService.getDetailedHealthReport();
-    
-    if (result.success) {
-      res.json({
-        success: true,
-        data: result.data
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        message: result.message,
-        error: result.error
-      });
-    }
+    await enqueueJob(res, IMAGE_JOBS.HEALTH_CHECK, { check: 'report' }, 'Relatório de saúde agendado');
   } catch (error) {
     logger.backend.error('Error in health report endpoint:', error);
     res.status(500).json({
@@ -78,26 +93,13 @@ router.get('/report', adminAuth, async (req, res) => {
 });
 
 /**
- * @route GET /api/admin/image-health/detect/duplicates
- * @desc Detect duplicate images
+ * @route POST /api/admin/image-health/detect/duplicates
+ * @desc Enqueue the detection of duplicate images (202 with a job ID)
  * @access Admin
  */
-router.get('/detect/duplicates', adminAuth, async (req, res) => {
+router.post('/detect/duplicates', requireAdmin, async (req, res) => {
   try {
-    const result = await inconsistencyService.detectDuplicates();
-    
-    if (result.success) {
-      res.json({
-        success: true,
-        data: result.data
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        message: result.message,
-        error: result.error
-      });
-    }
+    await enqueueJob(res, IMAGE_JOBS.HEALTH_CHECK, { check: 'duplicates' }, 'Detecção de duplicatas agendada');
   } catch (error) {
     logger.backend.error('Error in detect duplicates endpoint:', error);
     res.status(500).json({
@@ -108,12 +110,15 @@ router.get('/detect/duplicates', adminAuth, async (req, res) => {
   }
 });
 
+// Orphaned files and incorrect references only list the category folder and
+// read the categories (no file contents), so they still answer right away
+
 /**
  * @route GET /api/admin/image-health/detect/orphaned
  * @desc Detect orphaned images
  * @access Admin
  */
-router.get('/detect/orphaned', adminAuth, async (req, res) => {
+router.get('/detect/orphaned', requireAdmin, async (req, res) => {
   try {
     const result = await inconsistencyService.detectOrphaned();
     
@@ -144,7 +149,7 @@ router.get('/detect/orphaned', adminAuth, async (req, res) => {
  * @desc Detect incorrect references
  * @access Admin
  */
-router.get('/detect/references', adminAuth, async (req, res) => {
+router.get('/detect/references', requireAdmin, async (req, res) => {
   try {
     const result = await inconsistencyService.detectIncorrectReferences();
     
@@ -172,28 +177,17 @@ router.get('/detect/references', adminAuth, async (req, res) => {
 
 /**
  * @route POST /api/admin/image-health/correct/duplicates
- * @desc Correct duplicate images
+ * @desc Enqueue the correction of duplicate images (202 with a job ID)
  * @access Admin
  */
-router.post('/correct/duplicates', adminAuth, async (req, res) => {
+router.post('/correct/duplicates', requireAdmin, async (req, res) => {
   try {
-    const { createBackup = true } = req.body;
-    
-    const result = await inconsistencyService.correctDuplicates(createBackup);
-    
-    if (result.success) {
-      res.json({
-        success: true,
-        message: result.message,
-        data: result.data
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        message: result.message,
-        error: result.error
-      });
-    }
+    await enqueueJob(
+      res,
+      IMAGE_JOBS.CORRECT_INCONSISTENCIES,
+      correctionPayload(req.body, { correctDuplicates: true }),
+      'Correção de duplicatas agendada'
+    );
   } catch (error) {
     logger.backend.error('Error in correct duplicates endpoint:', error);
     res.status(500).json({
@@ -206,28 +200,17 @@ router.post('/correct/duplicates', adminAuth, async (req, res) => {
 
 /**
  * @route POST /api/admin/image-health/correct/orphaned
- * @desc Correct orphaned images
+ * @desc Enqueue the removal of orphaned images (202 with a job ID)
  * @access Admin
  */
-router.post('/correct/orphaned', adminAuth, async (req, res) => {
+router.post('/correct/orphaned', requireAdmin, async (req, res) => {
   try {
-    const { createBackup = true } = req.body;
-    
-    const result = await inconsistencyService.correctOrphaned(createBackup);
-    
-    if (result.success) {
-      res.json({
-        success: true,
-        message: result.message,
-        data: result.data
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        message: result.message,
-        error: result.error
-      });
-    }
+    await enqueueJob(
+      res,
+      IMAGE_JOBS.CORRECT_INCONSISTENCIES,
+      correctionPayload(req.body, { correctOrphaned: true }),
+      'Limpeza de imagens órfãs agendada'
+    );
   } catch (error) {
     logger.backend.error('Error in correct orphaned endpoint:', error);
     res.status(500).json({
@@ -240,26 +223,17 @@ router.post('/correct/orphaned', adminAuth, async (req, res) => {
 
 /**
  * @route POST /api/admin/image-health/correct/references
- * @desc Correct incorrect references
+ * @desc Enqueue the correction of incorrect references (202 with a job ID)
  * @access Admin
  */
-router.post('/correct/references', adminAuth, async (req, res) => {
+router.post('/correct/references', requireAdmin, async (req, res) => {
   try {
-    const result = await inconsistencyService.correctIncorrectReferences();
-    
-    if (result.success) {
-      res.json({
-        success: true,
-        message: result.message,
-        data: result.data
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        message: result.message,
-        error: result.error
-      });
-    }
+    await enqueueJob(
+      res,
+      IMAGE_JOBS.CORRECT_INCONSISTENCIES,
+      correctionPayload(req.body, { correctReferences: true }),
+      'Correção de referências agendada'
+    );
   } catch (error) {
     logger.backend.error('Error in correct references endpoint:', error);
     res.status(500).json({
@@ -272,40 +246,23 @@ router.post('/correct/references', adminAuth, async (req, res) => {
 
 /**
  * @route POST /api/admin/image-health/correct/all
- * @desc Run comprehensive automatic correction
+ * @desc Enqueue a comprehensive automatic correction (202 with a job ID)
  * @access Admin
  */
-router.post('/correct/all', adminAuth, async (req, res) => {
+router.post('/correct/all', requireAdmin, async (req, res) => {
   try {
     const {
       correctDuplicates = true,
       correctOrphaned = true,
-      correctReferences = true,
-      createBackups = true
+      correctReferences = true
     } = req.body;
     
-    const options = {
-      correctDuplicates,
-      correctOrphaned,
-      correctReferences,
-      createBackups
-    };
-    
-    const result = await inconsistencyService.runComprehensiveCorrection(options);
-    
-    if (result.success) {
-      res.json({
-        success: true,
-        message: result.message,
-        data: result.data
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        message: result.message,
-        error: result.error
-      });
-    }
+    await enqueueJob(
+      res,
+      IMAGE_JOBS.CORRECT_INCONSISTENCIES,
+      correctionPayload(req.body, { correctDuplicates, correctOrphaned, correctReferences }),
+      'Correção abrangente agendada'
+    );
   } catch (error) {
     logger.backend.error('Error in comprehensive correction endpoint:', error);
     res.status(500).json({
@@ -317,26 +274,13 @@ router.post('/correct/all', adminAuth, async (req, res) => {
 });
 
 /**
- * @route GET /api/admin/image-health/storage
- * @desc Get storage statistics
+ * @route POST /api/admin/image-health/storage
+ * @desc Enqueue the storage statistics (202 with a job ID)
  * @access Admin
  */
-router.get('/storage', adminAuth, async (req, res) => {
+router.post('/storage', requireAdmin, async (req, res) => {
   try {
-    const result = await inconsistencyService.getStorageStatistics();
-    
-    if (result.success) {
-      res.json({
-        success: true,
-        data: result.data
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        message: result.message,
-        error: result.error
-      });
-    }
+    await enqueueJob(res, IMAGE_JOBS.HEALTH_CHECK, { check: 'storage' }, 'Estatísticas de armazenamento agendadas');
   } catch (error) {
     logger.backend.error('Error in storage statistics endpoint:', error);
     res.status(500).json({
@@ -348,28 +292,64 @@ router.get('/storage', adminAuth, async (req, res) => {
 });
 
 /**
- * @route GET /api/admin/image-health/integrity
- * @desc Validate system integrity
+ * @route POST /api/admin/image-health/integrity
+ * @desc Enqueue a system integrity validation (202 with a job ID)
  * @access Admin
  */
-router.get('/integrity', adminAuth, async (req, res) => {
+router.post('/integrity', requireAdmin, async (req, res) => {
   try {
-    const result = await inconsistencyService.validateSystemIntegrity();
+    await enqueueJob(res, IMAGE_JOBS.HEALTH_CHECK, { check: 'integrity' }, 'Validação de integridade agendada');
+  } catch (error) {
+    logger.backend.error('Error in integrity validation endpoint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/image-health/integrity/scan
+ * @desc Enqueue a category image integrity scan (202 with a job ID); also
+ *   runs nightly at IMAGE_INTEGRITY_SCAN_TIME
+ * @access Admin
+ */
+router.post('/integrity/scan', requireAdmin, async (req, res) => {
+  try {
+    await enqueueJob(res, IMAGE_JOBS.INTEGRITY_SCAN, {}, 'Verificação de integridade agendada');
+  } catch (error) {
+    logger.backend.error('Error in integrity scan endpoint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/image-health/jobs/:id
+ * @desc Get the status, progress and result of a job
+ * @access Admin
+ */
+router.get('/jobs/:id', requireAdmin, async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
     
-    if (result.success) {
-      res.json({
-        success: true,
-        data: result.data
-      });
-    } else {
-      res.status(500).json({
+    if (!job) {
+      return res.status(404).json({
         success: false,
-        message: result.message,
-        error: result.error
+        message: 'Tarefa não encontrada'
       });
     }
+
+    res.json({
+      success: true,
+      data: toJobStatus(job)
+    });
   } catch (error) {
-    logger.backend.error('Error in integrity validation endpoint:', error);
+    logger.backend.error('Error in job status endpoint:', error);
     res.status(500).json({
       success: false,
       message: 'Erro interno do servidor',
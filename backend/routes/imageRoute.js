@@ -0,0 +1,9 @@
+import express from "express";
+import { serveImage } from "../controllers/imageController.js";
+
+const imageRouter = express.Router();
+
+// Responsive variants of food and category images (see utils/imageVariants.js)
+imageRouter.get("/:id", serveImage);
+
+export default imageRouter;
@@ -1,27 +1,41 @@
 import express from "express";
-import authMiddleware from "../middleware/auth.js";
-import { listOrders, placeOrder, updateStatus, userOrders, verifyOrder, assignDriver, mercadoPagoWebhook, testMercadoPago } from "../controllers/orderController.js";
+import authMiddleware, { requireRole, acceptQueryToken } from "../middleware/auth.js";
+import { listOrders, paymentMethods, placeOrder, updateStatus, cancelOrder, refundOrder, printOrder, userOrders, verifyOrder, reconcilePayments, assignDriver, orderEvents, mercadoPagoWebhook, testMercadoPago } from "../controllers/orderController.js";
 
 const orderRouter = express.Router();
 
 // Test MercadoPago configuration (no auth required for testing)
 orderRouter.get("/test-mercadopago", testMercadoPago);
 
+// Payment methods offered at checkout (public)
+orderRouter.get("/payment-methods", paymentMethods);
+
 // Order placement with authentication and address validation
 orderRouter.post("/place", authMiddleware, placeOrder);
 
-// Order verification (used by frontend after payment redirect)
-orderRouter.post("/verify", verifyOrder);
+// Read-only payment check (used by frontend after payment redirect)
+orderRouter.post("/verify", authMiddleware, verifyOrder);
 
 // MercadoPago webhook endpoint (no auth middleware - external service)
 orderRouter.post("/webhook", mercadoPagoWebhook);
 
 // Admin routes with authentication
-orderRouter.post("/status", authMiddleware, updateStatus);
-orderRouter.post("/assign-driver", authMiddleware, assignDriver);
-orderRouter.get("/list", authMiddleware, listOrders);
+orderRouter.post("/status", authMiddleware, requireRole("admin"), updateStatus);
+orderRouter.post("/assign-driver", authMiddleware, requireRole("admin"), assignDriver);
+orderRouter.get("/list", authMiddleware, requireRole("admin"), listOrders);
+orderRouter.post("/reconcile", authMiddleware, requireRole("admin"), reconcilePayments);
 
 // User-specific routes with authentication
 orderRouter.post("/userorders", authMiddleware, userOrders);
 
+// Live order updates (EventSource cannot send headers, so the token may come in the query)
+orderRouter.get("/events", acceptQueryToken, authMiddleware, orderEvents);
+
+// Cancellation (customer or admin, rules enforced by the service) and refunds
+orderRouter.post("/:orderId/cancel", authMiddleware, cancelOrder);
+orderRouter.post("/:orderId/refund", authMiddleware, requireRole("admin"), refundOrder);
+
+// Kitchen/customer tickets for thermal printers (Admin only, recorded in printHistory)
+orderRouter.post("/:orderId/print", authMiddleware, requireRole("admin"), printOrder);
+
 export default orderRouter;
\ No newline at end of file
@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  validatePromo,
+  listCoupons,
+  createCoupon,
+  updateCoupon,
+  removeCoupon
+} from "../controllers/promoController.js";
+import authMiddleware, { requireAdmin } from "../middleware/auth.js";
+
+const promoRouter = express.Router();
+
+// Customers check a coupon against their cart (usage limits are per customer)
+promoRouter.post("/validate", authMiddleware, validatePromo);
+
+// Admin coupon management
+promoRouter.get("/coupons", requireAdmin, listCoupons);
+promoRouter.post("/coupons", requireAdmin, createCoupon);
+promoRouter.put("/coupons/:id", requireAdmin, updateCoupon);
+promoRouter.delete("/coupons/:id", requireAdmin, removeCoupon);
+
+export default promoRouter;
@@ -0,0 +1,20 @@
+import express from "express";
+import {
+  getStoreStatus,
+  getStoreSettings,
+  updateStoreSettings,
+  setStorePause,
+} from "../controllers/storeController.js";
+import { requireAdmin } from "../middleware/auth.js";
+
+const storeRouter = express.Router();
+
+// Public status for the storefront
+storeRouter.get("/status", getStoreStatus);
+
+// Admin-only settings
+storeRouter.get("/settings", requireAdmin, getStoreSettings);
+storeRouter.put("/settings", requireAdmin, updateStoreSettings);
+storeRouter.post("/pause", requireAdmin, setStorePause);
+
+export default storeRouter;
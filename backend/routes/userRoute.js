@@ -1,33 +1,33 @@
 import express from "express";
-import { loginUser, registerUser, getUserProfile, updateUserProfile } from "../controllers/userController.js";
-import jwt from "jsonwebtoken";
+import {
+  loginUser,
+  registerUser,
+  requestLoginCode,
+  verifyLoginCode,
+  refreshToken,
+  logoutUser,
+  getUserProfile,
+  updateUserProfile
+} from "../controllers/userController.js";
+import authMiddleware, { requireAdmin } from "../middleware/auth.js";
+import { authAttemptRateLimit, otpRequestRateLimit } from "../middleware/authRateLimit.js";
 import userModel from "../models/userModel.js";
 
 const userRouter = express.Router();
 
 
-// Middleware simples de autenticação por token JWT (Authorization: Bearer <token>)
-const auth = async (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return res.status(401).json({ success: false, message: "Token não fornecido" });
-  }
-  const token = authHeader.split(" ")[1];
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.userId = decoded.userId || decoded.id || decoded._id || decoded.sub;
-    next();
-  } catch (err) {
-    return res.status(401).json({ success: false, message: "Token inválido" });
-  }
-};
-
 // Rotas de perfil do usuário autenticado
-userRouter.get("/profile", auth, getUserProfile);
-userRouter.put("/profile", auth, updateUserProfile);
+userRouter.get("/profile", authMiddleware, getUserProfile);
+userRouter.put("/profile", authMiddleware, updateUserProfile);
 
-userRouter.post("/register", registerUser);
-userRouter.post("/login", loginUser);
+// Autenticação: senha ou código de uso único pelo WhatsApp
+// Limitadas por IP e por número/nome contra tentativas em massa
+userRouter.post("/register", authAttemptRateLimit, registerUser);
+userRouter.post("/login", authAttemptRateLimit, loginUser);
+userRouter.post("/otp/request", otpRequestRateLimit, requestLoginCode);
+userRouter.post("/otp/verify", authAttemptRateLimit, verifyLoginCode);
+userRouter.post("/refresh", refreshToken);
+userRouter.post("/logout", logoutUser);
 
 // Debug route for categories
 userRouter.get("/debug-categories", async (req, res) => {
@@ -56,7 +56,7 @@ userRouter.get("/debug-categories", async (req, res) => {
 });
 
 // Fix category image paths
-userRouter.post("/fix-category-images", async (req, res) => {
+userRouter.post("/fix-category-images", requireAdmin, async (req, res) => {
   try {
     const categoryModel = (await import("../models/categoryModel.js")).default;
     
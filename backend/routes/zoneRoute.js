@@ -6,21 +6,23 @@ import {
   updateZone, 
   deleteZone, 
   getAllNeighborhoods,
-  getNeighborhoodsByZone 
+  getNeighborhoodsByZone,
+  locateZone
 } from "../controllers/zoneController.js";
-import { adminAuthMiddleware } from "../middleware/adminAuth.js";
+import { requireAdmin } from "../middleware/auth.js";
 
 const zoneRouter = express.Router();
 
 // Public neighborhood routes (for frontend use)
 zoneRouter.get("/neighborhoods/all", getAllNeighborhoods);
 zoneRouter.get("/:zoneId/neighborhoods", getNeighborhoodsByZone);
+zoneRouter.get("/locate", locateZone);
 
 // Admin-only Zone CRUD routes
-zoneRouter.get("/", adminAuthMiddleware, getAllZones);
-zoneRouter.get("/:id", adminAuthMiddleware, getZoneById);
-zoneRouter.post("/", adminAuthMiddleware, createZone);
-zoneRouter.put("/:id", adminAuthMiddleware, updateZone);
-zoneRouter.delete("/:id", adminAuthMiddleware, deleteZone);
+zoneRouter.get("/", requireAdmin, getAllZones);
+zoneRouter.get("/:id", requireAdmin, getZoneById);
+zoneRouter.post("/", requireAdmin, createZone);
+zoneRouter.put("/:id", requireAdmin, updateZone);
+zoneRouter.delete("/:id", requireAdmin, deleteZone);
 
 export default zoneRouter;
\ No newline at end of file
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Script to fill in the search fields of foods created before food search
+ * Usage: node scripts/buildFoodSearchIndex.js
+ * Rebuilds `searchKeywords` from each food's name and description and
+ * recounts `soldCount` from paid orders. Safe to run more than once.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import foodModel from '../models/foodModel.js';
+import orderModel from '../models/orderModel.js';
+import { buildSearchKeywords } from '../utils/foodSearch.js';
+
+// Load environment variables
+dotenv.config();
+
+const buildFoodSearchIndex = async () => {
+  try {
+    console.log('🔄 Building food search index...');
+
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log('✅ Connected to MongoDB');
+
+    const sold = await orderModel.aggregate([
+      { $match: { payment: true } },
+      { $unwind: '$items' },
+      { $group: { _id: { $toString: '$items._id' }, units: { $sum: '$items.quantity' } } }
+    ]);
+    const soldById = new Map(sold.map(({ _id, units }) => [_id, units]));
+
+    const foods = await foodModel.find({}, 'name description').lean();
+    if (foods.length > 0) {
+      await foodModel.bulkWrite(foods.map((food) => ({
+        updateOne: {
+          filter: { _id: food._id },
+          update: {
+            $set: {
+              searchKeywords: buildSearchKeywords(food),
+              soldCount: soldById.get(String(food._id)) || 0
+            }
+          }
+        }
+      })));
+    }
+
+    console.log(`🔍 Foods indexed: ${foods.length}`);
+  } catch (error) {
+    console.error('❌ Building the food search index failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+buildFoodSearchIndex();
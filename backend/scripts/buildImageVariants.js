@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Script to create the responsive variants of images uploaded before them
+ * Usage: node scripts/buildImageVariants.js
+ * Foods and categories without `imageVariants` get them from their image
+ * file in the upload storage. Images that are missing or cannot be decoded are
+ * reported and keep being served as they are. Safe to run more than once.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import foodModel from '../models/foodModel.js';
+import categoryModel from '../models/categoryModel.js';
+import { imageVariantService } from '../services/imageVariantService.js';
+import { imageStore } from '../services/imageStore.js';
+import { getUploadStorage, toStorageKey } from '../services/uploadStorage.js';
+
+// Load environment variables
+dotenv.config();
+
+const buildVariants = async (model, label) => {
+  const documents = await model.find({ imageVariants: null, image: /^\/uploads\// }, 'image').lean();
+  let created = 0;
+  let failed = 0;
+
+  for (const document of documents) {
+    const key = toStorageKey(document.image);
+    const contents = key ? await getUploadStorage().get(key) : null;
+    // Stored images share their variants under their content hash
+    const options = imageStore.isStored(document.image) ? { id: path.parse(document.image).name } : {};
+    const imageVariants = contents ? await imageVariantService.generate(contents, options) : null;
+    if (!imageVariants) {
+      console.warn(`⚠️ ${label} ${document._id}: no variants for ${document.image}`);
+      failed++;
+      continue;
+    }
+    await model.updateOne({ _id: document._id }, { $set: { imageVariants } });
+    created++;
+  }
+
+  console.log(`🖼️ ${label}: ${created} with new variants, ${failed} failed`);
+};
+
+const buildImageVariants = async () => {
+  try {
+    console.log('🔄 Building image variants...');
+
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log('✅ Connected to MongoDB');
+
+    await buildVariants(foodModel, 'Foods');
+    await buildVariants(categoryModel, 'Categories');
+  } catch (error) {
+    console.error('❌ Building image variants failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+buildImageVariants();
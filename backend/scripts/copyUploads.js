@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Script to copy uploaded files from one upload storage to another
+ * Usage: node scripts/copyUploads.js <from> <to> [prefix]
+ * e.g. node scripts/copyUploads.js local s3 before setting UPLOAD_STORAGE=s3
+ * Both storages are configured from the environment (S3_* for s3). Files
+ * already in the target with the same size are skipped, so the copy can be
+ * resumed and run again right before switching. Nothing is deleted.
+ */
+
+import dotenv from 'dotenv';
+import { createUploadStorage } from '../services/uploadStorage.js';
+
+// Load environment variables
+dotenv.config();
+
+const copyUploads = async () => {
+  const [from, to, prefix = ''] = process.argv.slice(2);
+
+  try {
+    if (!from || !to || from === to) {
+      throw new Error('Usage: node scripts/copyUploads.js <from> <to> [prefix], e.g. local s3');
+    }
+
+    const source = createUploadStorage(from);
+    const target = createUploadStorage(to);
+    console.log(`🔄 Copying uploads from ${from} to ${to}...`);
+
+    const files = await source.list(prefix);
+    let copied = 0;
+    let skipped = 0;
+    let missing = 0;
+
+    for (const file of files) {
+      const existing = await target.stat(file.key);
+      if (existing && existing.size === file.size) {
+        skipped++;
+        continue;
+      }
+
+      const contents = await source.get(file.key);
+      if (!contents) {
+        console.warn(`⚠️ ${file.key} disappeared before it was copied`);
+        missing++;
+        continue;
+      }
+      await target.put(file.key, contents);
+      copied++;
+    }
+
+    console.log(`📦 ${files.length} files: ${copied} copied, ${skipped} already there, ${missing} missing`);
+  } catch (error) {
+    console.error('❌ Copying uploads failed:', error.message);
+    process.exitCode = 1;
+  }
+};
+
+copyUploads();
@@ -1,21 +1,25 @@
 #!/usr/bin/env node
 
 /**
- * Script to create an admin user
- * Usage: node scripts/createAdmin.js [admin-name]
- * Example: node scripts/createAdmin.js admin
+ * Script to create an admin user (or set the password of an existing one)
+ * Usage: node scripts/createAdmin.js [admin-name] <password>
+ * Example: node scripts/createAdmin.js admin 'uma-senha-forte'
  */
 
 import mongoose from 'mongoose';
 import userModel from '../models/userModel.js';
+import AuthService from '../services/authService.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
 dotenv.config();
 
-const createAdmin = async (adminName = 'admin') => {
+const createAdmin = async (adminName = 'admin', password) => {
   try {
     console.log('🔧 Creating admin user...');
+
+    // Validates the length before touching the database
+    const passwordHash = await new AuthService().hashPassword(password);
     
     // Connect to MongoDB
     if (mongoose.connection.readyState !== 1) {
@@ -26,22 +30,21 @@ const createAdmin = async (adminName = 'admin') => {
     // Check if admin already exists
     const existingAdmin = await userModel.findOne({ name: adminName });
     if (existingAdmin) {
-      if (existingAdmin.role === 'admin') {
-        console.log(`✅ Admin user '${adminName}' already exists!`);
-        return existingAdmin;
-      } else {
-        // Update existing user to admin
-        existingAdmin.role = 'admin';
-        await existingAdmin.save();
-        console.log(`✅ Updated user '${adminName}' to admin role!`);
-        return existingAdmin;
-      }
+      const wasAdmin = existingAdmin.role === 'admin';
+      existingAdmin.role = 'admin';
+      existingAdmin.password = passwordHash;
+      await existingAdmin.save();
+      console.log(wasAdmin
+        ? `✅ Password updated for admin '${adminName}'!`
+        : `✅ Updated user '${adminName}' to admin role!`);
+      return existingAdmin;
     }
 
     // Create new admin user
     const adminUser = new userModel({
       name: adminName,
       role: 'admin',
+      password: passwordHash,
       cartData: {}
     });
 
@@ -50,11 +53,11 @@ const createAdmin = async (adminName = 'admin') => {
     
     console.log('\n📋 Admin Login Credentials:');
     console.log(`Name: ${adminName}`);
-    console.log('Password: Not required (name-only authentication)');
+    console.log('Password: the one passed on the command line');
     console.log('\n🔐 How to login:');
     console.log('1. Go to the admin panel (http://localhost:5174)');
     console.log(`2. Enter name: ${adminName}`);
-    console.log('3. Leave password field empty or enter any value');
+    console.log('3. Enter the password');
     console.log('4. Click Login');
 
     return adminUser;
@@ -70,12 +73,13 @@ const createAdmin = async (adminName = 'admin') => {
   }
 };
 
-// Get admin name from command line arguments
+// Get admin name and password from command line arguments
 const adminName = process.argv[2] || 'admin';
+const adminPassword = process.argv[3];
 
 // Run the script if executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  createAdmin(adminName)
+  createAdmin(adminName, adminPassword)
     .then(() => {
       console.log('\n🎉 Admin creation completed successfully!');
       process.exit(0);
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Script to move images uploaded before the image store into it
+ * Usage: node scripts/migrateImagesToStore.js
+ * Each food and category image outside uploads/images is copied into the
+ * store under its content hash and counted as used by the document, which
+ * then points at the stored copy. Identical pictures end up as one file.
+ * The old files are left in place; missing ones are reported and skipped.
+ * Safe to run more than once.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import foodModel from '../models/foodModel.js';
+import categoryModel from '../models/categoryModel.js';
+import { IMAGE_OWNER_KINDS } from '../models/imageBlobModel.js';
+import { imageStore } from '../services/imageStore.js';
+import { imageVariantService } from '../services/imageVariantService.js';
+import { getUploadStorage, toStorageKey } from '../services/uploadStorage.js';
+
+// Load environment variables
+dotenv.config();
+
+const migrateImages = async (model, kind, label) => {
+  const documents = await model.find({ image: /^\/uploads\// }, 'image imageVariants').lean();
+  let migrated = 0;
+  let missing = 0;
+
+  for (const document of documents) {
+    if (imageStore.isStored(document.image)) {
+      continue;
+    }
+
+    const key = toStorageKey(document.image);
+    const contents = key ? await getUploadStorage().get(key) : null;
+    if (!contents) {
+      console.warn(`⚠️ ${label} ${document._id}: ${document.image} not found`);
+      missing++;
+      continue;
+    }
+
+    const stored = await imageStore.store(contents, path.extname(document.image), { kind, id: document._id });
+    await model.updateOne({ _id: document._id }, { $set: stored });
+    await imageVariantService.remove(document.imageVariants);
+    migrated++;
+  }
+
+  console.log(`🖼️ ${label}: ${migrated} moved into the image store, ${missing} missing`);
+};
+
+const migrateImagesToStore = async () => {
+  try {
+    console.log('🔄 Moving images into the image store...');
+
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log('✅ Connected to MongoDB');
+
+    await migrateImages(foodModel, IMAGE_OWNER_KINDS.FOOD, 'Foods');
+    await migrateImages(categoryModel, IMAGE_OWNER_KINDS.CATEGORY, 'Categories');
+  } catch (error) {
+    console.error('❌ Moving images into the image store failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrateImagesToStore();
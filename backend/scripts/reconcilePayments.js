@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * Script to reconcile pending payments with MercadoPago and expire abandoned orders
+ * Usage: node scripts/reconcilePayments.js
+ * The same pass runs periodically inside the server (PAYMENT_RECONCILE_INTERVAL_MINUTES)
+ * and on demand through POST /api/order/reconcile.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import PaymentReconciliationService from '../services/paymentReconciliationService.js';
+
+// Load environment variables
+dotenv.config();
+
+const reconcilePayments = async () => {
+  try {
+    console.log('🔄 Reconciling payments...');
+
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log('✅ Connected to MongoDB');
+
+    const summary = await new PaymentReconciliationService().run();
+
+    console.log(`🔍 Pending orders checked: ${summary.reconciled.checked}, updated: ${summary.reconciled.updated}`);
+    console.log(`⌛ Abandoned orders checked: ${summary.expired.checked}, expired: ${summary.expired.expired}`);
+    if (summary.reconciled.errors || summary.expired.errors) {
+      console.log(`⚠️ Errors: ${summary.reconciled.errors + summary.expired.errors} (see logs)`);
+    }
+  } catch (error) {
+    console.error('❌ Payment reconciliation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+reconcilePayments();
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Script to run the background job workers outside the web server
+ * Usage: node scripts/runJobWorker.js [--once]
+ * Picks up image jobs (compression, corrections, integrity scans) and runs
+ * the nightly integrity scan schedule. Set JOB_WORKERS=false on the servers
+ * so only these workers run jobs. With --once, runs the jobs that are due
+ * and exits. Several workers can run side by side.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { jobQueue } from '../services/jobQueue.js';
+import { registerImageJobs, startImageJobs } from '../services/imageJobs.js';
+
+// Load environment variables
+dotenv.config();
+
+const runJobWorker = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log('✅ Connected to MongoDB');
+
+    if (process.argv.includes('--once')) {
+      registerImageJobs();
+      const count = await jobQueue.drain();
+      console.log(`⚙️ ${count} jobs run`);
+      await mongoose.disconnect();
+      return;
+    }
+
+    startImageJobs();
+    console.log('⚙️ Job worker running, Ctrl+C to stop');
+
+    const shutdown = async () => {
+      console.log('🛑 Waiting for running jobs...');
+      await jobQueue.stop();
+      await mongoose.disconnect();
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  } catch (error) {
+    console.error('❌ Job worker failed:', error.message);
+    process.exitCode = 1;
+    await mongoose.disconnect();
+  }
+};
+
+runJobWorker();
@@ -12,11 +12,19 @@ import orderRouter from "./routes/orderRoute.js";
 import zoneRouter from "./routes/zoneRoute.js";
 import categoryRouter from "./routes/categoryRoute.js";
 import driverRouter from "./routes/driverRoute.js";
+import storeRouter from "./routes/storeRoute.js";
+import promoRouter from "./routes/promoRoute.js";
+import addressRouter from "./routes/addressRoute.js";
 import { logger, errorHandler } from "./utils/logger.js";
 import testRouter from "./routes/testRoute.js";
 import debugRouter from "./routes/debugRoute.js";
 import imageInconsistencyRouter from "./routes/imageInconsistencyRoutes.js";
+import imageRouter from "./routes/imageRoute.js";
+import { serveUpload } from "./controllers/imageController.js";
+import { getUploadStorage } from "./services/uploadStorage.js";
 import { createAssetHandler, assetErrorHandler, mimeTypeFixer } from "./middleware/assetHandler.js";
+import { paymentReconciliationService } from "./services/paymentReconciliationService.js";
+import { startImageJobs } from "./services/imageJobs.js";
 
 
 // Get __dirname equivalent for ES modules
@@ -459,8 +467,10 @@ connectDB();
 
 // api endpoints
 app.use("/api/food", foodRouter);
-// Serve uploads directory for static files with optimized caching headers
-app.use("/uploads", express.static(path.join(__dirname, "uploads"), {
+// Serve uploads with optimized caching headers: from disk with the local
+// upload storage, otherwise through temporary links to the bucket
+const uploadStorage = getUploadStorage();
+app.use("/uploads", uploadStorage.root ? express.static(uploadStorage.root, {
   maxAge: '1y', // Cache for 1 year
   etag: true,
   lastModified: true,
@@ -519,11 +529,15 @@ app.use("/uploads", express.static(path.join(__dirname, "uploads"), {
       res.setHeader('X-Content-Type-Options', 'nosniff');
     }
   }
-}));
+}) : serveUpload);
+app.use("/images", imageRouter);
 app.use("/api/user", userRouter);
 app.use("/api/cart", cartRouter);
 app.use("/api/order", orderRouter);
 app.use("/api/zone", zoneRouter);
+app.use("/api/store", storeRouter);
+app.use("/api/promo", promoRouter);
+app.use("/api/address", addressRouter);
 app.use("/api", categoryRouter);
 app.use("/api", driverRouter);
 app.use("/api/debug", debugRouter);
@@ -718,6 +732,12 @@ app.use(errorHandler);
 // Inicia o servidor escutando em 0.0.0.0 para compatibilidade local e produção
 app.listen(port, '0.0.0.0', () => {
   logger.system.info(`🚀 Servidor rodando em http://0.0.0.0:${port} (env: ${process.env.NODE_ENV})`);
+  // Periodically check stuck payments and expire abandoned orders
+  paymentReconciliationService.start();
+  // Image jobs run here unless separate workers take them (npm run jobs:worker)
+  if (process.env.JOB_WORKERS !== 'false') {
+    startImageJobs();
+  }
 });
 
 export default app;
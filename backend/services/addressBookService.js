@@ -0,0 +1,165 @@
+import mongoose from "mongoose";
+import userModel from "../models/userModel.js";
+import zoneModel from "../models/zoneModel.js";
+import { getCepProvider } from "./cepLookup.js";
+import {
+  MAX_SAVED_ADDRESSES,
+  createAddressError,
+  matchNeighborhood,
+  normalizeCep,
+  parseSavedAddress
+} from "../utils/addresses.js";
+import { logger } from "../utils/logger.js";
+
+const sameLabel = (a, b) => a.localeCompare(b, "pt-BR", { sensitivity: "base" }) === 0;
+
+/**
+ * Address Book Service
+ *
+ * Keeps each customer's saved delivery addresses (stored on the user) and
+ * turns a CEP into a street and neighborhood. The neighborhood is matched
+ * against the ones served by the delivery zones so checkout can pick the
+ * zone right away.
+ */
+class AddressBookService {
+  /**
+   * Saved addresses of a customer
+   * @param {string} userId - Customer ID
+   * @returns {Promise<Array>} - Addresses, oldest first
+   */
+  async list(userId) {
+    const user = await userModel.findById(userId).select("addresses").lean();
+    if (!user) {
+      throw createAddressError("Usuário não encontrado", "USER_NOT_FOUND", 404);
+    }
+    return user.addresses || [];
+  }
+
+  /**
+   * Save a new address
+   * @param {string} userId - Customer ID
+   * @param {Object} input - Address fields (see parseSavedAddress)
+   * @returns {Promise<Object>} - Saved address
+   * @throws {Error} - INVALID_ADDRESS (400), ADDRESS_LIMIT or ADDRESS_LABEL_TAKEN (409)
+   */
+  async add(userId, input) {
+    const address = parseSavedAddress(input);
+    const addresses = await this.list(userId);
+    this.assertLabelFree(addresses, address.label);
+    if (addresses.length >= MAX_SAVED_ADDRESSES) {
+      throw this.limitError();
+    }
+
+    // The guard keeps two simultaneous saves from going over the limit
+    const user = await userModel.findOneAndUpdate(
+      { _id: userId, [`addresses.${MAX_SAVED_ADDRESSES - 1}`]: { $exists: false } },
+      { $push: { addresses: address } },
+      { new: true, projection: { addresses: 1 }, lean: true }
+    );
+    if (!user) {
+      throw this.limitError();
+    }
+    return user.addresses[user.addresses.length - 1];
+  }
+
+  /**
+   * Replace a saved address
+   * @param {string} userId - Customer ID
+   * @param {string} addressId - Saved address ID
+   * @param {Object} input - Address fields (see parseSavedAddress)
+   * @returns {Promise<Object>} - Updated address
+   * @throws {Error} - INVALID_ADDRESS (400), ADDRESS_NOT_FOUND (404) or ADDRESS_LABEL_TAKEN (409)
+   */
+  async update(userId, addressId, input) {
+    const address = parseSavedAddress(input);
+    const addresses = await this.list(userId);
+    const current = addresses.find((entry) => String(entry._id) === String(addressId));
+    if (!current) {
+      throw this.notFoundError();
+    }
+    this.assertLabelFree(addresses.filter((entry) => entry !== current), address.label);
+
+    const user = await userModel.findOneAndUpdate(
+      { _id: userId, "addresses._id": current._id },
+      { $set: { "addresses.$": { ...address, _id: current._id } } },
+      { new: true, projection: { addresses: 1 }, lean: true }
+    );
+    if (!user) {
+      throw this.notFoundError();
+    }
+    return user.addresses.find((entry) => String(entry._id) === String(current._id));
+  }
+
+  /**
+   * Delete a saved address
+   * @param {string} userId - Customer ID
+   * @param {string} addressId - Saved address ID
+   * @returns {Promise<Object>} - { removed: addressId }
+   * @throws {Error} - ADDRESS_NOT_FOUND (404)
+   */
+  async remove(userId, addressId) {
+    if (!mongoose.isValidObjectId(addressId)) {
+      throw this.notFoundError();
+    }
+    const result = await userModel.updateOne(
+      { _id: userId, "addresses._id": addressId },
+      { $pull: { addresses: { _id: addressId } } }
+    );
+    if (result.modifiedCount === 0) {
+      throw this.notFoundError();
+    }
+    return { removed: addressId };
+  }
+
+  /**
+   * Street and neighborhood of a CEP, with the delivery zone serving it
+   * @param {string} cep - CEP with or without the dash
+   * @returns {Promise<Object>} - { cep, street, neighborhood, city, state, zone }
+   *   where `neighborhood` uses the zone's spelling and `zone` is null when not served
+   * @throws {Error} - INVALID_CEP (400), CEP_NOT_FOUND (404) or CEP_LOOKUP_FAILED (502)
+   */
+  async lookupCep(cep) {
+    const digits = normalizeCep(cep);
+    if (!digits) {
+      throw createAddressError("CEP deve ter 8 dígitos", "INVALID_CEP");
+    }
+
+    let address;
+    try {
+      address = await getCepProvider().lookup(digits);
+    } catch (error) {
+      logger.backend.warn(`CEP lookup failed for ${digits}: ${error.message}`);
+      throw createAddressError("Não foi possível consultar o CEP. Preencha o endereço manualmente.", "CEP_LOOKUP_FAILED", 502);
+    }
+    if (!address) {
+      throw createAddressError("CEP não encontrado", "CEP_NOT_FOUND", 404);
+    }
+
+    const zones = await zoneModel.find({ isActive: true }, "name neighborhoods").lean();
+    for (const zone of zones) {
+      const neighborhood = matchNeighborhood(address.neighborhood, zone.neighborhoods);
+      if (neighborhood) {
+        return { ...address, neighborhood, zone: zone.name };
+      }
+    }
+    return { ...address, zone: null };
+  }
+
+  assertLabelFree(addresses, label) {
+    if (addresses.some((entry) => sameLabel(entry.label, label))) {
+      throw createAddressError(`Você já tem um endereço chamado "${label}"`, "ADDRESS_LABEL_TAKEN", 409);
+    }
+  }
+
+  limitError() {
+    return createAddressError(`Você pode salvar até ${MAX_SAVED_ADDRESSES} endereços`, "ADDRESS_LIMIT", 409);
+  }
+
+  notFoundError() {
+    return createAddressError("Endereço não encontrado", "ADDRESS_NOT_FOUND", 404);
+  }
+}
+
+export const addressBookService = new AddressBookService();
+
+export default AddressBookService;
@@ -0,0 +1,477 @@
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import userModel from "../models/userModel.js";
+import refreshTokenModel from "../models/refreshTokenModel.js";
+import otpCodeModel from "../models/otpCodeModel.js";
+import { sanitizePhone, formatPhone, isMobilePhone } from "../utils/phoneValidation.js";
+import { getOtpSender } from "./otpSender.js";
+import { logger } from "../utils/logger.js";
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Creates an authentication error with an HTTP status and a machine-readable code
+ * @param {string} message - Message shown to the user
+ * @param {string} code - Error code
+ * @param {number} status - HTTP status
+ * @returns {Error} - Error flagged as an auth error
+ */
+export const createAuthError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.isAuthError = true;
+  return error;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Normalizes a WhatsApp number to national digits (DDD + number)
+ * @param {string} whatsapp - Number in any format (+55 (11) 9..., 11 9..., etc.)
+ * @returns {string} - National digits, or '' when invalid
+ */
+export const normalizeWhatsapp = (whatsapp) => {
+  let digits = sanitizePhone(whatsapp);
+  if ((digits.length === 12 || digits.length === 13) && digits.startsWith('55')) {
+    digits = digits.slice(2);
+  }
+  return isMobilePhone(digits) ? digits : '';
+};
+
+/**
+ * Lists the formats a WhatsApp number may have been stored with
+ * @param {string} digits - Normalized national digits
+ * @returns {Array<string>} - Stored-format variants
+ */
+export const getWhatsappVariants = (digits) => [
+  digits,
+  `55${digits}`,
+  `+55${digits}`,
+  formatPhone(digits),
+  `+55 ${formatPhone(digits)}`
+];
+
+/**
+ * Verifies an access token issued by AuthService
+ * Tokens without an expiry (issued before expiring tokens existed) are rejected
+ * @param {string} token - JWT access token
+ * @returns {Object} - Decoded payload
+ * @throws {Error} - jsonwebtoken errors (TokenExpiredError, JsonWebTokenError)
+ */
+export const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.exp) {
+    const error = new Error('Token without expiration');
+    error.name = 'JsonWebTokenError';
+    throw error;
+  }
+  return decoded;
+};
+
+/**
+ * Authentication service
+ * Password and WhatsApp one-time-code login, short-lived access tokens and
+ * rotating refresh tokens that can be revoked on logout.
+ */
+class AuthService {
+  constructor(options = {}) {
+    this.accessTokenTTL = options.accessTokenTTL || process.env.JWT_EXPIRES_IN || '15m';
+    this.refreshTokenTTLDays = options.refreshTokenTTLDays || parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+    this.refreshReuseGraceMs = options.refreshReuseGraceMs ?? 30000;
+    this.otpTTLMinutes = options.otpTTLMinutes || parseInt(process.env.OTP_TTL_MINUTES) || 5;
+    this.otpMaxAttempts = options.otpMaxAttempts || 5;
+    this.otpResendIntervalMs = options.otpResendIntervalMs ?? 60000;
+    this.sender = options.sender || null;
+  }
+
+  getSender() {
+    return this.sender || getOtpSender();
+  }
+
+  /**
+   * Public user representation returned to clients
+   * @param {Object} user - User document
+   * @returns {Object} - { id, name, role, whatsapp }
+   */
+  toPublicUser(user) {
+    return {
+      id: user._id,
+      name: user.name,
+      role: user.role,
+      whatsapp: user.whatsapp || ""
+    };
+  }
+
+  /**
+   * Create a signed access token
+   * @param {Object} user - User document
+   * @param {string} sessionId - Refresh token record ID
+   * @returns {string} - JWT
+   */
+  createAccessToken(user, sessionId = null) {
+    return jwt.sign(
+      { id: user._id.toString(), role: user.role, sid: sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenTTL }
+    );
+  }
+
+  /**
+   * Issue an access token and a new refresh token for a user
+   * @param {Object} user - User document
+   * @param {Object} meta - { userAgent, ip }
+   * @returns {Promise<Object>} - { token, refreshToken, expiresIn, role, user }
+   */
+  async issueTokens(user, meta = {}) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const session = await refreshTokenModel.create({
+      userId: user._id,
+      tokenHash: sha256(refreshToken),
+      expiresAt: new Date(Date.now() + this.refreshTokenTTLDays * 24 * 60 * 60 * 1000),
+      userAgent: meta.userAgent || "",
+      ip: meta.ip || ""
+    });
+
+    return {
+      token: this.createAccessToken(user, session._id.toString()),
+      refreshToken,
+      expiresIn: this.accessTokenTTL,
+      role: user.role,
+      user: this.toPublicUser(user)
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair (the old one is revoked)
+   * Reusing a revoked refresh token revokes every session of its owner,
+   * except for a token rotated less than refreshReuseGraceMs ago: browser
+   * tabs sharing a session may all refresh with it at the same time.
+   * @param {string} refreshToken - Raw refresh token
+   * @param {Object} meta - { userAgent, ip }
+   * @returns {Promise<Object>} - New token pair
+   */
+  async refreshTokens(refreshToken, meta = {}) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw createAuthError('Refresh token não fornecido', 'NO_REFRESH_TOKEN', 401);
+    }
+
+    // Only one request can rotate a token
+    const now = new Date();
+    const tokenHash = sha256(refreshToken);
+    let session = await refreshTokenModel.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now, rotatedAt: now } }
+    );
+
+    if (!session) {
+      session = await refreshTokenModel.findOne({ tokenHash });
+      if (!session) {
+        throw createAuthError('Sessão inválida. Faça login novamente.', 'INVALID_REFRESH_TOKEN', 401);
+      }
+
+      // ...unless the session was logged out since
+      const justRotated = session.rotatedAt && now - session.rotatedAt < this.refreshReuseGraceMs
+        && (!session.replacedBy || await refreshTokenModel.exists({
+          tokenHash: session.replacedBy,
+          $or: [{ revokedAt: null }, { rotatedAt: { $ne: null } }]
+        }));
+      if (session.revokedAt && !justRotated) {
+        logger.backend.warn(`Refresh token reutilizado para o usuário ${session.userId} - revogando todas as sessões`);
+        await this.revokeAllSessions(session.userId);
+        throw createAuthError('Sessão inválida. Faça login novamente.', 'REFRESH_TOKEN_REUSED', 401);
+      }
+      if (!session.revokedAt) {
+        throw createAuthError('Sessão expirada. Faça login novamente.', 'REFRESH_TOKEN_EXPIRED', 401);
+      }
+    }
+
+    const user = await userModel.findById(session.userId);
+    if (!user) {
+      throw createAuthError('Usuário não encontrado', 'USER_NOT_FOUND', 401);
+    }
+
+    const tokens = await this.issueTokens(user, meta);
+    if (!session.replacedBy) {
+      await refreshTokenModel.updateOne(
+        { _id: session._id, replacedBy: null },
+        { $set: { replacedBy: sha256(tokens.refreshToken) } }
+      );
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Revoke a single refresh token (logout)
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Promise<boolean>} - Whether an active session was revoked
+   */
+  async revokeRefreshToken(refreshToken) {
+    if (!refreshToken) return false;
+    const result = await refreshTokenModel.updateOne(
+      { tokenHash: sha256(refreshToken), revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every session of a user (logout everywhere)
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeAllSessions(userId) {
+    const result = await refreshTokenModel.updateMany(
+      { userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Log out a session, or every session of the token's owner
+   * @param {string} refreshToken - Raw refresh token
+   * @param {Object} options - { allSessions }
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async logout(refreshToken, { allSessions = false } = {}) {
+    if (!allSessions) {
+      return (await this.revokeRefreshToken(refreshToken)) ? 1 : 0;
+    }
+    const session = refreshToken ? await refreshTokenModel.findOne({ tokenHash: sha256(refreshToken) }) : null;
+    return session ? this.revokeAllSessions(session.userId) : 0;
+  }
+
+  validatePassword(password) {
+    if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw createAuthError(`A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres`, 'WEAK_PASSWORD');
+    }
+  }
+
+  /**
+   * Hash a password with bcrypt
+   * @param {string} password - Plain password
+   * @returns {Promise<string>} - bcrypt hash
+   */
+  async hashPassword(password) {
+    this.validatePassword(password);
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+  }
+
+  /**
+   * Register a customer with a password
+   * @param {Object} data - { name, password, whatsapp? }
+   * @returns {Promise<Object>} - Created user document
+   */
+  async registerWithPassword({ name, password, whatsapp } = {}) {
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (!trimmedName) {
+      throw createAuthError('Nome é obrigatório', 'NAME_REQUIRED');
+    }
+
+    const passwordHash = await this.hashPassword(password);
+
+    let normalizedWhatsapp = '';
+    if (whatsapp) {
+      normalizedWhatsapp = normalizeWhatsapp(whatsapp);
+      if (!normalizedWhatsapp) {
+        throw createAuthError('Número de WhatsApp inválido', 'INVALID_WHATSAPP');
+      }
+    }
+
+    const existing = await userModel.findOne({ name: trimmedName });
+    if (existing) {
+      throw createAuthError('Este nome já está em uso', 'NAME_TAKEN', 409);
+    }
+
+    return userModel.create({
+      name: trimmedName,
+      password: passwordHash,
+      whatsapp: normalizedWhatsapp,
+      role: "user",
+      cartData: {}
+    });
+  }
+
+  /**
+   * Fields to write when a customer edits the WhatsApp number of the profile
+   * A different number loses the verification until a code sent to it is
+   * used, and a number another account has verified cannot be taken over.
+   * @param {Object} user - Current user ({ _id, whatsapp })
+   * @param {string} whatsapp - Number sent by the customer
+   * @returns {Promise<Object>} - { whatsapp, whatsappVerified? }
+   */
+  async getWhatsappUpdate(user, whatsapp) {
+    if (!whatsapp) {
+      return { whatsapp: '', whatsappVerified: false };
+    }
+
+    const digits = normalizeWhatsapp(whatsapp);
+    if (!digits) {
+      throw createAuthError('Número de WhatsApp inválido', 'INVALID_WHATSAPP');
+    }
+    if (normalizeWhatsapp(user.whatsapp) === digits) {
+      return { whatsapp: digits };
+    }
+
+    const holder = await userModel.exists({
+      _id: { $ne: user._id },
+      whatsapp: { $in: getWhatsappVariants(digits) },
+      whatsappVerified: true
+    });
+    if (holder) {
+      throw createAuthError('Este número já está em uso por outra conta', 'WHATSAPP_TAKEN', 409);
+    }
+
+    return { whatsapp: digits, whatsappVerified: false };
+  }
+
+  /**
+   * Authenticate with name (or WhatsApp number) and password
+   * @param {Object} credentials - { name?, whatsapp?, password }
+   * @returns {Promise<Object>} - Authenticated user document
+   */
+  async loginWithPassword({ name, whatsapp, password } = {}) {
+    if (!password) {
+      throw createAuthError('Senha é obrigatória', 'PASSWORD_REQUIRED');
+    }
+
+    let user = null;
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (trimmedName) {
+      user = await userModel.findOne({ name: trimmedName }).select('+password');
+    } else if (whatsapp) {
+      const digits = normalizeWhatsapp(whatsapp);
+      if (digits) {
+        user = await userModel.findOne({ whatsapp: { $in: getWhatsappVariants(digits) } }).select('+password');
+      }
+    } else {
+      throw createAuthError('Informe seu nome ou WhatsApp', 'IDENTIFIER_REQUIRED');
+    }
+
+    // Accounts without a password fail like a wrong password, so the answer
+    // never tells whether an account exists; the message points to the code login
+    const valid = user?.password ? await bcrypt.compare(password, user.password) : false;
+    if (!valid) {
+      throw createAuthError(
+        'Nome ou senha inválidos. Sem senha cadastrada? Entre com o código enviado pelo WhatsApp.',
+        'INVALID_CREDENTIALS',
+        401
+      );
+    }
+
+    return user;
+  }
+
+  /**
+   * Send a one-time login code to a WhatsApp number
+   * @param {string} whatsapp - Number in any format
+   * @returns {Promise<Object>} - { whatsapp, expiresAt }
+   */
+  async requestOtp(whatsapp) {
+    const digits = normalizeWhatsapp(whatsapp);
+    if (!digits) {
+      throw createAuthError('Número de WhatsApp inválido', 'INVALID_WHATSAPP');
+    }
+
+    const recent = await otpCodeModel.findActiveCode(digits);
+    if (recent && Date.now() - recent.createdAt.getTime() < this.otpResendIntervalMs) {
+      throw createAuthError('Aguarde um minuto antes de pedir um novo código', 'OTP_TOO_SOON', 429);
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const expiresAt = new Date(Date.now() + this.otpTTLMinutes * 60 * 1000);
+
+    // Only one code is valid at a time
+    await otpCodeModel.updateMany({ whatsapp: digits, consumedAt: null }, { consumedAt: new Date() });
+    await otpCodeModel.create({ whatsapp: digits, codeHash: sha256(`${digits}:${code}`), expiresAt });
+
+    await this.getSender().send(
+      `+55${digits}`,
+      `Seu código de acesso é ${code}. Ele expira em ${this.otpTTLMinutes} minutos.`
+    );
+
+    return { whatsapp: digits, expiresAt };
+  }
+
+  /**
+   * Check a one-time code and return (or create) the matching user
+   * @param {Object} data - { whatsapp, code, name? } - name is required for new customers
+   * @returns {Promise<Object>} - { user, created }
+   */
+  async verifyOtp({ whatsapp, code, name } = {}) {
+    const digits = normalizeWhatsapp(whatsapp);
+    if (!digits || !code) {
+      throw createAuthError('WhatsApp e código são obrigatórios', 'OTP_REQUIRED');
+    }
+
+    const otp = await otpCodeModel.findActiveCode(digits);
+    if (!otp) {
+      throw createAuthError('Código expirado. Peça um novo código.', 'OTP_EXPIRED', 401);
+    }
+
+    // Every guess takes one attempt in a single conditional update, so
+    // concurrent guesses can never go past the limit
+    const attempt = await otpCodeModel.findOneAndUpdate(
+      { _id: otp._id, consumedAt: null, attempts: { $lt: this.otpMaxAttempts } },
+      { $inc: { attempts: 1 } }
+    );
+    if (!attempt) {
+      await otpCodeModel.updateOne({ _id: otp._id, consumedAt: null }, { $set: { consumedAt: new Date() } });
+      throw createAuthError('Muitas tentativas. Peça um novo código.', 'OTP_TOO_MANY_ATTEMPTS', 429);
+    }
+
+    const expected = Buffer.from(otp.codeHash);
+    const received = Buffer.from(sha256(`${digits}:${String(code).trim()}`));
+    if (!crypto.timingSafeEqual(expected, received)) {
+      throw createAuthError('Código inválido', 'OTP_INVALID', 401);
+    }
+
+    // Prefer the account that already proved ownership of this number
+    let user = await userModel
+      .findOne({ whatsapp: { $in: getWhatsappVariants(digits) } })
+      .sort({ whatsappVerified: -1 });
+    let created = false;
+
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (!user) {
+      if (!trimmedName) {
+        // Keep the code valid so the client can resend it together with a name
+        throw createAuthError('Informe seu nome para concluir o cadastro', 'NAME_REQUIRED');
+      }
+      if (await userModel.findOne({ name: trimmedName })) {
+        throw createAuthError('Este nome já está em uso', 'NAME_TAKEN', 409);
+      }
+    }
+
+    // Only one request can use the code, even when several check it at once
+    const consumed = await otpCodeModel.findOneAndUpdate(
+      { _id: otp._id, consumedAt: null },
+      { $set: { consumedAt: new Date() } }
+    );
+    if (!consumed) {
+      throw createAuthError('Código já utilizado. Peça um novo código.', 'OTP_EXPIRED', 401);
+    }
+
+    if (!user) {
+      user = await userModel.create({
+        name: trimmedName,
+        whatsapp: digits,
+        whatsappVerified: true,
+        role: "user",
+        cartData: {}
+      });
+      created = true;
+    } else if (!user.whatsappVerified) {
+      user.whatsappVerified = true;
+      await user.save();
+    }
+
+    return { user, created };
+  }
+}
+
+export default AuthService;
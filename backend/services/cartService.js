@@ -0,0 +1,381 @@
+import mongoose from "mongoose";
+import userModel from "../models/userModel.js";
+import foodModel from "../models/foodModel.js";
+import { resolveSelectedOptions } from "../utils/foodOptions.js";
+import { getFoodAvailability } from "../utils/foodAvailability.js";
+import {
+  MAX_ITEM_QUANTITY,
+  MAX_NOTE_LENGTH,
+  normalizeItemNote,
+  normalizeItemOptions,
+  roundCurrency
+} from "../utils/orderPricing.js";
+
+/**
+ * Creates a cart error carrying the HTTP status
+ * @param {string} message - Error message shown to the customer
+ * @param {string} code - Error code
+ * @param {number} status - HTTP status
+ * @param {Object} details - Extra information for the caller
+ * @returns {Error} - Error flagged as a cart error
+ */
+export const createCartError = (message, code, status, details = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.details = details;
+  error.isCartError = true;
+  return error;
+};
+
+/**
+ * Checks whether an error was raised by the cart service
+ * @param {Error} error - Error to check
+ * @returns {boolean} - Whether it is a cart error
+ */
+export const isCartError = (error) => error?.isCartError === true;
+
+/**
+ * Cart Service
+ *
+ * Keeps the customer's cart on the user document as a list of lines
+ * ({ itemId, quantity, options, note }). Lines for the same food are merged
+ * unless their options or notes differ. Every operation validates the items
+ * against the catalog and returns the cart priced with current catalog prices.
+ * Lines are changed with atomic updates on `cart` ($push, $pull and
+ * positional $inc/$set), so quick successive requests never drop a change.
+ * The cart has no delivery fee: the fee, minimum order and free-delivery
+ * threshold depend on the zone of the delivery address, which is only known
+ * at checkout (placeOrder and promoService.validate).
+ */
+class CartService {
+  /**
+   * Validate a line sent by the client
+   * @param {Object} line - { itemId, quantity, options, note }
+   * @param {Object} options - { allowZero } to accept quantity 0 (remove)
+   * @returns {Object} - Normalized { itemId, quantity, options, note }
+   * @throws {Error} - INVALID_CART_ITEM (400)
+   */
+  normalizeLine({ itemId, quantity = 1, options, note } = {}, { allowZero = false } = {}) {
+    const id = itemId ? String(itemId) : null;
+    const count = Number(quantity);
+    const normalizedOptions = normalizeItemOptions(options);
+    const normalizedNote = normalizeItemNote(note);
+
+    if (!id || !mongoose.isValidObjectId(id)) {
+      throw createCartError("Item inválido", "INVALID_CART_ITEM", 400, { field: "itemId" });
+    }
+    if (!Number.isInteger(count) || count < (allowZero ? 0 : 1) || count > MAX_ITEM_QUANTITY) {
+      throw createCartError(`Quantidade deve ser entre 1 e ${MAX_ITEM_QUANTITY}`, "INVALID_CART_ITEM", 400, { field: "quantity" });
+    }
+    if (normalizedOptions === null) {
+      throw createCartError("Opções inválidas", "INVALID_CART_ITEM", 400, { field: "options" });
+    }
+    if (normalizedNote === null) {
+      throw createCartError(`Observação deve ter até ${MAX_NOTE_LENGTH} caracteres`, "INVALID_CART_ITEM", 400, { field: "note" });
+    }
+
+    return { itemId: id, quantity: count, options: normalizedOptions, note: normalizedNote };
+  }
+
+  /**
+   * Make sure a food is on the menu, can be ordered right now and the
+   * selected options follow its groups
+   * @param {string} itemId - Food ID
+   * @param {string[]} options - Selected option IDs
+   * @throws {Error} - ITEM_NOT_FOUND (404), ITEM_UNAVAILABLE (409) or INVALID_OPTIONS (400)
+   */
+  async assertFoodOrderable(itemId, options = []) {
+    const food = await foodModel.findById(itemId).select("name optionGroups isAvailable stock availabilitySchedule").lean();
+    if (!food) {
+      throw createCartError("Item não está mais disponível no cardápio", "ITEM_NOT_FOUND", 404, { itemId });
+    }
+
+    const { available, reason, message } = getFoodAvailability(food);
+    if (!available) {
+      throw createCartError(`${food.name}: ${message}`, "ITEM_UNAVAILABLE", 409, { itemId, reason });
+    }
+
+    const { errors } = resolveSelectedOptions(food, options);
+    if (errors.length > 0) {
+      throw createCartError(errors[0], "INVALID_OPTIONS", 400, { itemId, errors });
+    }
+  }
+
+  /**
+   * Load the user's cart lines, moving a legacy { itemId: count } cart into lines
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - User document
+   */
+  async loadUser(userId) {
+    const user = await userModel.findById(userId).select("cart cartData");
+    if (!user) {
+      throw createCartError("Usuário não encontrado", "USER_NOT_FOUND", 404);
+    }
+
+    const legacy = Object.entries(user.cartData || {}).filter(([, count]) => Number(count) > 0);
+    if (user.cart.length === 0 && legacy.length > 0) {
+      const cart = legacy
+        .filter(([itemId]) => mongoose.isValidObjectId(itemId))
+        .map(([itemId, count]) => ({ itemId, quantity: Math.min(Math.floor(count), MAX_ITEM_QUANTITY) }));
+      await userModel.updateOne({ _id: userId, cart: { $size: 0 } }, { $set: { cart, cartData: {} } });
+      return userModel.findById(userId).select("cart cartData");
+    }
+
+    return user;
+  }
+
+  /**
+   * Add a line, or more of an identical line (same food, options and note)
+   * The identical line is matched in the update itself, so concurrent adds
+   * neither lose units nor create duplicate lines.
+   * @param {string} userId - User ID
+   * @param {Object} line - Normalized line (with `_id` to keep a line ID)
+   */
+  async addLine(userId, line) {
+    const identical = { itemId: line.itemId, options: line.options, note: line.note };
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      const added = await userModel.updateOne(
+        { _id: userId, cart: { $elemMatch: { ...identical, quantity: { $lte: MAX_ITEM_QUANTITY - line.quantity } } } },
+        { $inc: { "cart.$.quantity": line.quantity } }
+      );
+      if (added.matchedCount > 0) return;
+
+      const capped = await userModel.updateOne(
+        { _id: userId, cart: { $elemMatch: identical } },
+        { $set: { "cart.$.quantity": MAX_ITEM_QUANTITY } }
+      );
+      if (capped.matchedCount > 0) return;
+
+      const pushed = await userModel.updateOne(
+        { _id: userId, cart: { $not: { $elemMatch: identical } } },
+        { $push: { cart: { ...line, addedAt: new Date() } } }
+      );
+      if (pushed.matchedCount > 0) return;
+      // An identical line was added meanwhile: add to it
+    }
+  }
+
+  findLine(user, lineId) {
+    const line = mongoose.isValidObjectId(lineId) ? user.cart.id(lineId) : null;
+    if (!line) {
+      throw createCartError("Item não está no carrinho", "LINE_NOT_FOUND", 404, { lineId });
+    }
+    return line;
+  }
+
+  /**
+   * Price the cart as stored after an update
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Priced cart
+   */
+  async priceCart(userId) {
+    const user = await userModel.findById(userId).select("cart").lean();
+    return this.priceLines(user?.cart || []);
+  }
+
+  /**
+   * Price cart lines with current catalog prices
+   * Foods removed from the menu, that cannot be ordered right now or whose
+   * selected options no longer exist stay in the cart flagged as unavailable
+   * (with the reason in `unavailableReason`) and are left out of the totals.
+   * @param {Array} lines - Cart lines
+   * @returns {Promise<Object>} - { lines, itemCount, subtotal }
+   */
+  async priceLines(lines) {
+    const itemIds = [...new Set(lines.map((line) => line.itemId))];
+    const foods = itemIds.length > 0 ? await foodModel.find({ _id: { $in: itemIds } }).lean() : [];
+    const foodsById = new Map(foods.map((food) => [food._id.toString(), food]));
+
+    const priced = lines.map((line) => {
+      const food = foodsById.get(line.itemId);
+      const { options, extra, errors } = resolveSelectedOptions(food, line.options || []);
+      const unitPrice = food ? roundCurrency(food.price + extra) : 0;
+      const availability = food ? getFoodAvailability(food) : null;
+      const unavailableReason = !food
+        ? "ITEM_NOT_FOUND"
+        : errors.length > 0 ? "INVALID_OPTIONS" : availability.reason;
+      return {
+        lineId: line._id?.toString(),
+        itemId: line.itemId,
+        name: food?.name || null,
+        image: food?.image || null,
+        quantity: line.quantity,
+        options: [...(line.options || [])],
+        optionDetails: options,
+        note: line.note || "",
+        unitPrice,
+        lineTotal: roundCurrency(unitPrice * line.quantity),
+        available: unavailableReason === null,
+        unavailableReason
+      };
+    });
+
+    const available = priced.filter((line) => line.available);
+    const itemCount = available.reduce((count, line) => count + line.quantity, 0);
+    const subtotal = roundCurrency(available.reduce((total, line) => total + line.lineTotal, 0));
+
+    return { lines: priced, itemCount, subtotal };
+  }
+
+  /**
+   * Priced cart of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Priced cart
+   */
+  async getCart(userId) {
+    const user = await this.loadUser(userId);
+    return this.priceLines(user.cart);
+  }
+
+  /**
+   * Add a food to the cart
+   * @param {string} userId - User ID
+   * @param {Object} line - { itemId, quantity = 1, options, note }
+   * @returns {Promise<Object>} - Priced cart
+   */
+  async addItem(userId, line) {
+    const normalized = this.normalizeLine(line);
+    await this.assertFoodOrderable(normalized.itemId, normalized.options);
+
+    await this.loadUser(userId);
+    await this.addLine(userId, normalized);
+    return this.priceCart(userId);
+  }
+
+  /**
+   * Take one unit off a line (by lineId, or the latest line of a food)
+   * @param {string} userId - User ID
+   * @param {Object} target - { lineId } or { itemId }
+   * @returns {Promise<Object>} - Priced cart
+   */
+  async removeItem(userId, { lineId, itemId } = {}) {
+    const user = await this.loadUser(userId);
+    const line = lineId
+      ? this.findLine(user, lineId)
+      : [...user.cart].reverse().find((current) => current.itemId === String(itemId));
+
+    if (line) {
+      const taken = await userModel.updateOne(
+        { _id: userId, cart: { $elemMatch: { _id: line._id, quantity: { $gt: 1 } } } },
+        { $inc: { "cart.$.quantity": -1 } }
+      );
+      if (taken.matchedCount === 0) {
+        await userModel.updateOne({ _id: userId }, { $pull: { cart: { _id: line._id, quantity: { $lte: 1 } } } });
+      }
+    }
+    return this.priceCart(userId);
+  }
+
+  /**
+   * Set the quantity of a line (0 removes it)
+   * @param {string} userId - User ID
+   * @param {string} lineId - Cart line ID
+   * @param {number} quantity - New quantity
+   * @returns {Promise<Object>} - Priced cart
+   */
+  async setQuantity(userId, lineId, quantity) {
+    const user = await this.loadUser(userId);
+    const line = this.findLine(user, lineId);
+    const { quantity: count } = this.normalizeLine({ itemId: line.itemId, quantity }, { allowZero: true });
+
+    if (count === 0) {
+      await userModel.updateOne({ _id: userId }, { $pull: { cart: { _id: line._id } } });
+    } else {
+      await userModel.updateOne({ _id: userId, "cart._id": line._id }, { $set: { "cart.$.quantity": count } });
+    }
+    return this.priceCart(userId);
+  }
+
+  /**
+   * Change the note and/or options of a line, merging it into an identical line
+   * @param {string} userId - User ID
+   * @param {string} lineId - Cart line ID
+   * @param {Object} changes - { note, options }
+   * @returns {Promise<Object>} - Priced cart
+   */
+  async updateLine(userId, lineId, changes = {}) {
+    const user = await this.loadUser(userId);
+    const line = this.findLine(user, lineId);
+    const updated = this.normalizeLine({
+      itemId: line.itemId,
+      quantity: line.quantity,
+      options: changes.options !== undefined ? changes.options : [...line.options],
+      note: changes.note !== undefined ? changes.note : line.note
+    });
+    if (changes.options !== undefined) {
+      await this.assertFoodOrderable(updated.itemId, updated.options);
+    }
+
+    // Take the line out as it is now (units added meanwhile included), then
+    // add it back with the changes, into an identical line if there is one
+    const previous = await userModel.findOneAndUpdate(
+      { _id: userId, "cart._id": line._id },
+      { $pull: { cart: { _id: line._id } } },
+      { projection: { cart: { $elemMatch: { _id: line._id } } } }
+    ).lean();
+    const current = previous?.cart?.[0];
+    if (current) {
+      await this.addLine(userId, { ...updated, quantity: current.quantity, _id: line._id });
+    }
+    return this.priceCart(userId);
+  }
+
+  /**
+   * Empty the cart
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Priced (empty) cart
+   */
+  async clear(userId) {
+    await userModel.findByIdAndUpdate(userId, { cart: [], cartData: {} });
+    return this.priceLines([]);
+  }
+
+  /**
+   * Merge a guest cart (kept in the browser before login) into the user's cart
+   * Lines that are invalid, no longer on the menu or with options that no
+   * longer exist are skipped and reported.
+   * @param {string} userId - User ID
+   * @param {Array} guestLines - [{ itemId, quantity, options, note }]
+   * @returns {Promise<Object>} - Priced cart plus `skipped` lines
+   */
+  async mergeGuestCart(userId, guestLines) {
+    if (!Array.isArray(guestLines)) {
+      throw createCartError("Carrinho inválido", "INVALID_CART_ITEM", 400);
+    }
+
+    const skipped = [];
+    const valid = [];
+    for (const guestLine of guestLines) {
+      try {
+        valid.push(this.normalizeLine(guestLine));
+      } catch (error) {
+        if (!isCartError(error)) throw error;
+        skipped.push({ itemId: guestLine?.itemId ?? null, reason: error.code });
+      }
+    }
+
+    const itemIds = [...new Set(valid.map((line) => line.itemId))];
+    const existing = itemIds.length > 0 ? await foodModel.find({ _id: { $in: itemIds } }).select("optionGroups").lean() : [];
+    const onMenu = new Map(existing.map((food) => [food._id.toString(), food]));
+
+    await this.loadUser(userId);
+    for (const line of valid) {
+      const food = onMenu.get(line.itemId);
+      if (!food) {
+        skipped.push({ itemId: line.itemId, reason: "ITEM_NOT_FOUND" });
+      } else if (resolveSelectedOptions(food, line.options).errors.length > 0) {
+        skipped.push({ itemId: line.itemId, reason: "INVALID_OPTIONS" });
+      } else {
+        await this.addLine(userId, line);
+      }
+    }
+
+    const cart = await this.priceCart(userId);
+    return { ...cart, skipped };
+  }
+}
+
+export const cartService = new CartService();
+
+export default CartService;
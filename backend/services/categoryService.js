@@ -9,6 +9,9 @@ import {
 import ImageOptimizer from "../utils/imageOptimization.js";
 import EnhancedImageProcessor from "../utils/enhancedImageProcessor.js";
 import CategoryImageIntegrity from "../utils/categoryImageIntegrity.js";
+import { imageVariantService } from "./imageVariantService.js";
+import { imageStore } from "./imageStore.js";
+import { IMAGE_OWNER_KINDS } from "../models/imageBlobModel.js";
 import { logger, imageLogger } from "../utils/logger.js";
 import fs from "fs";
 import path from "path";
@@ -18,7 +21,11 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 class CategoryService {
-  constructor() {
+  /**
+   * @param {Object} options - { storage }: upload storage holding category
+   *   images, the application's by default
+   */
+  constructor(options = {}) {
     // In-memory cache for categories
     this.cache = new Map();
     this.cacheTimestamps = new Map();
@@ -27,7 +34,7 @@ class CategoryService {
     
     // Image processors
     this.imageOptimizer = new ImageOptimizer();
-    this.enhancedImageProcessor = new EnhancedImageProcessor();
+    this.enhancedImageProcessor = new EnhancedImageProcessor({ storage: options.storage });
     this.imageIntegrity = new CategoryImageIntegrity();
     
     // Cache keys
@@ -39,6 +46,10 @@ class CategoryService {
     };
   }
 
+  get storage() {
+    return this.enhancedImageProcessor.storage;
+  }
+
   /**
    * Check if cache entry is valid
    * @param {string} key - Cache key
@@ -301,7 +312,7 @@ class CategoryService {
       const filter = includeInactive ? {} : { isActive: true };
       const categories = await categoryModel
         .find(filter)
-        .select('name originalName slug image isActive order createdAt updatedAt')
+        .select('name originalName slug image imageVariants isActive order createdAt updatedAt')
         .sort({ order: 1, createdAt: 1 })
         .lean(); // Use lean() for better performance
 
@@ -355,7 +366,7 @@ class CategoryService {
 
       const category = await categoryModel
         .findById(id)
-        .select('name originalName slug image isActive order createdAt updatedAt')
+        .select('name originalName slug image imageVariants isActive order createdAt updatedAt')
         .lean();
       
       if (!category) {
@@ -415,7 +426,7 @@ class CategoryService {
 
       const category = await categoryModel
         .findOne({ slug, isActive: true })
-        .select('name originalName slug image isActive order createdAt updatedAt')
+        .select('name originalName slug image imageVariants isActive order createdAt updatedAt')
         .lean();
       
       if (!category) {
@@ -706,6 +717,11 @@ class CategoryService {
 
       // Delete category
       await categoryModel.findByIdAndDelete(id);
+      // Stored images stay while foods or other categories use them
+      const released = await imageStore.release(category.image, { kind: IMAGE_OWNER_KINDS.CATEGORY, id: category._id });
+      if (!released) {
+        await imageVariantService.remove(category.imageVariants);
+      }
 
       // Clear cache after deleting category
       this.clearCache();
@@ -835,12 +851,10 @@ class CategoryService {
         return [];
       }
 
-      const categoryDir = this.getCategoryImagePath();
-      if (!fs.existsSync(categoryDir)) {
-        return [];
-      }
-
-      const files = fs.readdirSync(categoryDir);
+      const prefix = this.enhancedImageProcessor.getCategoryImageKey('');
+      const files = (await this.storage.list(prefix))
+        .map(({ key }) => key.slice(prefix.length))
+        .filter(filename => !filename.includes('/'));
       const associatedImages = files.filter(filename => 
         this.validateCategoryImageAssociation(categoryId, filename)
       );
@@ -880,18 +894,11 @@ class CategoryService {
 
       for (const imageName of associatedImages) {
         try {
-          // Get file size before deletion for metrics
-          const imagePath = path.join(this.getCategoryImagePath(), imageName);
-          let fileSize = 0;
-          
-          if (fs.existsSync(imagePath)) {
-            fileSize = fs.statSync(imagePath).size;
-          }
-
+          const imagePath = this.enhancedImageProcessor.getCategoryImageKey(imageName);
           const deleteResult = await this.deleteCategoryImage(imageName);
           if (deleteResult.success) {
             cleanedCount++;
-            totalFreedSpace += fileSize;
+            totalFreedSpace += deleteResult.deletedSize || 0;
             logger.image.file.deleted(imagePath, `category cleanup for ${categoryId}`);
           } else {
             errors.push(`Failed to delete ${imageName}: ${deleteResult.message}`);
@@ -1035,11 +1042,12 @@ class CategoryService {
   }
 
   /**
-   * Delete category image from filesystem
+   * Delete category image from the upload storage
    * @param {string} imageName - Name of the image file to delete
    * @returns {Promise<Object>} - Deletion result
    */
   async deleteCategoryImage(imageName) {
+    let imagePath;
     try {
       if (!imageName) {
         logger.image.file.deleted('none', 'no image to delete');
@@ -1049,14 +1057,14 @@ class CategoryService {
         };
       }
 
-      const imagePath = path.join(this.getCategoryImagePath(), imageName);
+      imagePath = this.enhancedImageProcessor.getCategoryImageKey(path.basename(imageName));
+      const stats = await this.storage.stat(imagePath);
       
-      if (fs.existsSync(imagePath)) {
+      if (stats) {
         // Get file size before deletion for logging
-        const stats = fs.statSync(imagePath);
         const fileSize = stats.size;
         
-        fs.unlinkSync(imagePath);
+        await this.storage.delete(imagePath);
         
         // Log successful deletion
         logger.image.file.deleted(imagePath, 'manual deletion');
@@ -0,0 +1,122 @@
+/**
+ * CEP Lookup
+ *
+ * Resolves a Brazilian postal code (CEP) to its street and neighborhood.
+ * Providers share a single `lookup(cep)` contract, receiving the 8 digits and
+ * returning { cep, street, neighborhood, city, state } or null when the CEP
+ * does not exist. The provider is picked through the CEP_PROVIDER environment
+ * variable:
+ *   - viacep: public ViaCEP API (default)
+ *   - fixture: offline table of known CEPs (for development and tests)
+ */
+
+import { formatCep } from "../utils/addresses.js";
+
+// A few real CEPs so the storefront works offline
+const DEFAULT_FIXTURES = {
+  "01310100": { street: "Avenida Paulista", neighborhood: "Bela Vista", city: "São Paulo", state: "SP" },
+  "01001000": { street: "Praça da Sé", neighborhood: "Sé", city: "São Paulo", state: "SP" },
+  "20040002": { street: "Rua da Assembleia", neighborhood: "Centro", city: "Rio de Janeiro", state: "RJ" }
+};
+
+/**
+ * Offline provider - answers from a fixed table
+ */
+export class FixtureCepProvider {
+  constructor(fixtures = DEFAULT_FIXTURES) {
+    this.name = 'fixture';
+    this.fixtures = fixtures;
+  }
+
+  /**
+   * Look up a CEP in the table
+   * @param {string} cep - 8 digits
+   * @returns {Promise<Object|null>} - Address or null when unknown
+   */
+  async lookup(cep) {
+    const entry = this.fixtures[cep];
+    return entry ? { cep: formatCep(cep), ...entry } : null;
+  }
+}
+
+/**
+ * ViaCEP provider - https://viacep.com.br (no credentials needed)
+ */
+export class ViaCepProvider {
+  constructor(options = {}) {
+    this.name = 'viacep';
+    this.baseUrl = options.baseUrl || process.env.VIACEP_URL || 'https://viacep.com.br/ws';
+    this.timeout = options.timeout || 5000;
+  }
+
+  /**
+   * Look up a CEP through the API
+   * @param {string} cep - 8 digits
+   * @returns {Promise<Object|null>} - Address or null when the CEP does not exist
+   */
+  async lookup(cep) {
+    const response = await fetch(`${this.baseUrl}/${cep}/json/`, {
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (response.status === 400) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`ViaCEP responded with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    // Unknown CEPs come back as 200 { erro: true }
+    if (data.erro) {
+      return null;
+    }
+
+    return {
+      cep: formatCep(data.cep || cep),
+      street: data.logradouro || '',
+      neighborhood: data.bairro || '',
+      city: data.localidade || '',
+      state: data.uf || ''
+    };
+  }
+}
+
+const providerFactories = {
+  viacep: () => new ViaCepProvider(),
+  fixture: () => new FixtureCepProvider()
+};
+
+let activeProvider = null;
+
+/**
+ * Create a provider by type
+ * @param {string} type - Provider type (viacep | fixture)
+ * @returns {Object} - Provider instance
+ */
+export const createCepProvider = (type = process.env.CEP_PROVIDER || 'viacep') => {
+  const factory = providerFactories[type];
+  if (!factory) {
+    throw new Error(`Unknown CEP provider: ${type}`);
+  }
+  return factory();
+};
+
+/**
+ * Get the provider used by the application (created lazily)
+ * @returns {Object} - Provider instance
+ */
+export const getCepProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createCepProvider();
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the provider used by the application
+ * @param {Object|null} provider - Object implementing lookup(cep), or null to reset
+ */
+export const setCepProvider = (provider) => {
+  activeProvider = provider;
+};
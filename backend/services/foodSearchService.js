@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+import foodModel from "../models/foodModel.js";
+import categoryModel from "../models/categoryModel.js";
+import { getFoodAvailability } from "../utils/foodAvailability.js";
+import { SORT_ORDER, buildKeywordFilter } from "../utils/foodSearch.js";
+import { buildPagination } from "../utils/pagination.js";
+
+// Portuguese collation so "Açaí" sorts next to "Acerola"
+const COLLATION = { locale: "pt", strength: 1 };
+
+/**
+ * Food Search Service
+ *
+ * Searches the menu by keywords (see utils/foodSearch.js), category, price
+ * and availability, sorted and paged. Switched-off and sold-out foods are
+ * filtered in the query; schedule windows depend on the store clock, so
+ * when availability is filtered the matching foods are checked here and
+ * paged in memory. Menus hold hundreds of foods, not millions.
+ */
+class FoodSearchService {
+  /**
+   * One page of search results
+   * @param {Object} search - From parseFoodSearch
+   * @param {Object} page - { page, limit, skip } from parsePagination
+   * @param {Object} options - { now } for the availability check
+   * @returns {Promise<Object>} - { foods, pagination }
+   */
+  async search(search, page, { now = new Date() } = {}) {
+    const filter = buildKeywordFilter(search);
+
+    if (search.category) {
+      Object.assign(filter, await this.buildCategoryFilter(search.category));
+    }
+
+    if (search.available === true) {
+      filter.isAvailable = { $ne: false };
+      filter.stock = { $not: { $lte: 0 } };
+    }
+
+    const query = () => foodModel
+      .find(filter)
+      .select("-searchKeywords")
+      .sort(SORT_ORDER[search.sort])
+      .collation(COLLATION)
+      .populate("categoryId", "name originalName slug");
+
+    if (search.available === null) {
+      const [foods, total] = await Promise.all([
+        query().skip(page.skip).limit(page.limit),
+        foodModel.countDocuments(filter)
+      ]);
+      return { foods, pagination: buildPagination(page, total) };
+    }
+
+    const matching = (await query()).filter(
+      (food) => getFoodAvailability(food, { now }).available === search.available
+    );
+    return {
+      foods: matching.slice(page.skip, page.skip + page.limit),
+      pagination: buildPagination(page, matching.length)
+    };
+  }
+
+  /**
+   * Filter for a category given by ID, name or slug
+   * Legacy foods only carry the category name, so both are matched.
+   * @param {string} category - Category ID, name or slug
+   * @returns {Promise<Object>} - Query filter
+   */
+  async buildCategoryFilter(category) {
+    const conditions = [{ category }, { categoryName: category }];
+    const found = await categoryModel.findOne({
+      $or: [
+        ...(mongoose.isValidObjectId(category) ? [{ _id: category }] : []),
+        { name: category },
+        { originalName: category },
+        { slug: category.toLowerCase() }
+      ]
+    }).lean();
+
+    if (found) {
+      conditions.push(
+        { categoryId: found._id },
+        ...[found.name, found.originalName].filter(Boolean).flatMap((name) => [{ category: name }, { categoryName: name }])
+      );
+    }
+    return { $or: conditions };
+  }
+}
+
+export const foodSearchService = new FoodSearchService();
+
+export default FoodSearchService;
@@ -0,0 +1,121 @@
+import foodModel from "../models/foodModel.js";
+import { UNAVAILABLE_REASON } from "../utils/foodAvailability.js";
+import { createPricingError } from "../utils/orderPricing.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Food Stock Service
+ *
+ * Takes the units of an order from the foods that track stock (`stock` is
+ * a number) when the order is placed, and gives them back when it is
+ * cancelled or expires. Each food is decremented only while it still has
+ * the units (`stock >= quantity`), so two orders can never both get the
+ * last unit; an order is taken whole or not at all. Every food also counts
+ * the units sold (`soldCount`), which orders the search results by
+ * popularity.
+ */
+class FoodStockService {
+  /**
+   * Units per food in order items (lines with different options add up)
+   * @param {Array} items - Order items ({ _id, quantity })
+   * @returns {Map} - itemId => quantity
+   */
+  countUnits(items = []) {
+    const units = new Map();
+    for (const item of items) {
+      const itemId = String(item._id ?? item.itemId);
+      units.set(itemId, (units.get(itemId) || 0) + (Number(item.quantity) || 0));
+    }
+    return units;
+  }
+
+  /**
+   * Take the units of an order from stock and count them as sold
+   * When a food no longer has the units, the units already taken are given
+   * back and nothing changes.
+   * @param {Object} order - Order ({ _id, items })
+   * @returns {Promise<number>} - Number of foods whose stock changed
+   * @throws {Error} - Pricing error listing the lines stock cannot cover
+   */
+  async deductForOrder(order) {
+    const taken = [];
+    const details = [];
+    for (const [itemId, quantity] of this.countUnits(order.items)) {
+      if (quantity <= 0) continue;
+      const result = await foodModel.updateOne(
+        { _id: itemId, stock: { $type: "number", $gte: quantity } },
+        { $inc: { stock: -quantity } }
+      );
+      if (result.modifiedCount > 0) {
+        taken.push([itemId, quantity]);
+        continue;
+      }
+
+      // Not tracked (null) is fine; a number below the quantity is not
+      const food = await foodModel.findById(itemId).select("name stock").lean();
+      if (typeof food?.stock === "number") {
+        details.push({
+          itemId,
+          field: "availability",
+          reason: UNAVAILABLE_REASON.OUT_OF_STOCK,
+          message: `${food.name}: apenas ${food.stock} disponíveis`,
+          available: food.stock
+        });
+      }
+    }
+
+    if (details.length > 0) {
+      await this.addStock(taken);
+      throw createPricingError("Alguns itens do pedido estão indisponíveis", details);
+    }
+
+    for (const [itemId, quantity] of this.countUnits(order.items)) {
+      if (quantity > 0) {
+        await foodModel.updateOne({ _id: itemId }, { $inc: { soldCount: quantity } });
+      }
+    }
+    if (taken.length > 0) {
+      logger.backend.info(`Deducted stock of ${taken.length} food(s) for order ${order._id}`);
+    }
+    return taken.length;
+  }
+
+  /**
+   * Give the units of a cancelled or expired order back to stock
+   * @param {Object} order - Order ({ _id, items })
+   * @returns {Promise<number>} - Number of foods whose stock changed
+   */
+  async restoreForOrder(order) {
+    const units = [...this.countUnits(order.items)].filter(([, quantity]) => quantity > 0);
+    const restored = await this.addStock(units);
+    for (const [itemId, quantity] of units) {
+      await foodModel.updateOne({ _id: itemId, soldCount: { $gte: quantity } }, { $inc: { soldCount: -quantity } });
+    }
+
+    if (restored > 0) {
+      logger.backend.info(`Restored stock of ${restored} food(s) for order ${order._id}`);
+    }
+    return restored;
+  }
+
+  /**
+   * Add units back to the foods that track stock
+   * @param {Array} units - [itemId, quantity] pairs
+   * @returns {Promise<number>} - Number of foods whose stock changed
+   */
+  async addStock(units) {
+    let updated = 0;
+    for (const [itemId, quantity] of units) {
+      const result = await foodModel.updateOne(
+        { _id: itemId, stock: { $type: "number" } },
+        { $inc: { stock: quantity } }
+      );
+      updated += result.modifiedCount || 0;
+    }
+    return updated;
+  }
+}
+
+export const foodStockService = new FoodStockService();
+
+export default FoodStockService;
@@ -0,0 +1,190 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import foodModel from "../models/foodModel.js";
+import categoryModel from "../models/categoryModel.js";
+import { IMAGE_OWNER_KINDS } from "../models/imageBlobModel.js";
+import ImageInconsistencyService from "./imageInconsistencyService.js";
+import CategoryImageIntegrity from "../utils/categoryImageIntegrity.js";
+import imageCompressionMiddleware from "../middleware/imageCompression.js";
+import { imageStore } from "./imageStore.js";
+import { jobQueue } from "./jobQueue.js";
+import { getStagingDirectory, getUploadStorage, toStorageKey } from "./uploadStorage.js";
+import { logger } from "../utils/logger.js";
+
+export const IMAGE_JOBS = Object.freeze({
+  OPTIMIZE: "image.optimize",
+  CORRECT_INCONSISTENCIES: "image.correctInconsistencies",
+  INTEGRITY_SCAN: "image.integrityScan",
+  HEALTH_CHECK: "image.healthCheck"
+});
+
+// Checks of the image health routes that read every file (hashes, sizes)
+const HEALTH_CHECKS = {
+  status: (service) => service.getSystemHealth(),
+  report: (service) => service.getDetailedHealthReport(),
+  duplicates: (service) => service.detectDuplicates(),
+  storage: (service) => service.getStorageStatistics(),
+  integrity: (service) => service.validateSystemIntegrity()
+};
+
+const OWNER_MODELS = {
+  [IMAGE_OWNER_KINDS.FOOD]: foodModel,
+  [IMAGE_OWNER_KINDS.CATEGORY]: categoryModel
+};
+
+const MIME_TYPES = { ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png", ".webp": "image/webp" };
+
+/**
+ * Compress the stored image of a food or category
+ * The smaller file is stored as a new image (it has another hash) and the
+ * owner moves to it, unless its image changed while the job ran.
+ * @param {Object} payload - { kind, id } of the owner
+ * @param {Object} context - { progress }
+ * @returns {Promise<Object>} - { image } or { skipped, reason }
+ */
+export const optimizeImage = async ({ kind, id }, { progress }) => {
+  const model = OWNER_MODELS[kind];
+  const owner = { kind, id };
+  const document = model && await model.findById(id, "image").lean();
+  if (!document || !imageStore.isStored(document.image)) {
+    return { skipped: true, reason: "Imagem não encontrada" };
+  }
+
+  const contents = await getUploadStorage().get(toStorageKey(document.image));
+  if (!contents) {
+    return { skipped: true, reason: "Arquivo da imagem não encontrado" };
+  }
+
+  // The optimizer works on files, like it does for uploads
+  const extension = path.extname(document.image);
+  const stagingDirectory = getStagingDirectory("jobs");
+  const filePath = path.join(stagingDirectory, `${crypto.randomUUID()}${extension}`);
+  await fs.promises.mkdir(stagingDirectory, { recursive: true });
+  await fs.promises.writeFile(filePath, contents);
+
+  let compression;
+  let stored;
+  try {
+    compression = await imageCompressionMiddleware.processUploadedFile({
+      path: filePath,
+      filename: path.basename(document.image),
+      mimetype: MIME_TYPES[extension.toLowerCase()] || "image/jpeg",
+      size: contents.length
+    });
+    if (!compression.success || compression.skipped) {
+      return { skipped: true, reason: compression.error || compression.message };
+    }
+    await progress(50, "Imagem comprimida");
+
+    stored = await imageStore.storeFile(filePath, owner);
+  } finally {
+    await fs.promises.rm(filePath, { force: true });
+  }
+  if (stored.image === document.image) {
+    return { skipped: true, reason: "Imagem já otimizada" };
+  }
+
+  const { modifiedCount } = await model.updateOne({ _id: id, image: document.image }, { $set: stored });
+  // Replaced by the admin meanwhile: the new upload wins
+  await imageStore.release(modifiedCount > 0 ? document.image : stored.image, owner);
+  if (!modifiedCount) {
+    return { skipped: true, reason: "Imagem alterada durante a otimização" };
+  }
+
+  return {
+    image: stored.image,
+    originalSize: compression.originalSize,
+    optimizedSize: compression.optimizedSize
+  };
+};
+
+/**
+ * Fix duplicate, orphaned and wrongly referenced category images
+ * @param {Object} payload - runComprehensiveCorrection options
+ * @param {Object} context - { progress }
+ * @returns {Promise<Object>} - Correction summary
+ */
+export const correctInconsistencies = async (payload, { progress }) => {
+  const result = await new ImageInconsistencyService().runComprehensiveCorrection({
+    ...payload,
+    onProgress: progress
+  });
+  if (!result.success) {
+    throw new Error(result.error || result.message);
+  }
+  return { message: result.message, ...result.data };
+};
+
+/**
+ * Look for orphaned, missing and badly named category images
+ * @returns {Promise<Object>} - Integrity report
+ */
+export const scanIntegrity = async () => {
+  const report = await new CategoryImageIntegrity().performIntegrityCheck();
+  if (report.success === false) {
+    throw new Error(report.error);
+  }
+  return report;
+};
+
+/**
+ * Run one of the image health checks
+ * @param {Object} payload - { check }: status, report, duplicates, storage or integrity
+ * @returns {Promise<Object>} - Data of the check
+ */
+export const runHealthCheck = async ({ check }) => {
+  const run = HEALTH_CHECKS[check];
+  if (!run) {
+    throw new Error(`Unknown image health check: ${check}`);
+  }
+  const result = await run(new ImageInconsistencyService());
+  if (!result.success) {
+    throw new Error(result.error || result.message);
+  }
+  return result.data;
+};
+
+/**
+ * Register the image jobs on a queue
+ * @param {Object} queue - Job queue
+ */
+export const registerImageJobs = (queue = jobQueue) => {
+  queue.register(IMAGE_JOBS.OPTIMIZE, optimizeImage);
+  queue.register(IMAGE_JOBS.CORRECT_INCONSISTENCIES, correctInconsistencies);
+  queue.register(IMAGE_JOBS.INTEGRITY_SCAN, scanIntegrity);
+  queue.register(IMAGE_JOBS.HEALTH_CHECK, runHealthCheck);
+};
+
+/**
+ * Run image jobs in this process, with the nightly integrity scan at
+ * IMAGE_INTEGRITY_SCAN_TIME (store time, empty disables it)
+ * @param {Object} queue - Job queue
+ */
+export const startImageJobs = (queue = jobQueue) => {
+  registerImageJobs(queue);
+
+  const scanTime = process.env.IMAGE_INTEGRITY_SCAN_TIME ?? "03:00";
+  if (scanTime) {
+    queue.schedule("nightly-integrity-scan", { type: IMAGE_JOBS.INTEGRITY_SCAN, time: scanTime });
+  }
+  queue.start();
+};
+
+/**
+ * Compress a newly stored food or category image in the background
+ * Failing to enqueue only leaves the image uncompressed.
+ * @param {Object} owner - { kind, id }
+ * @returns {Promise<Object|null>} - Job, or null when compression is off
+ */
+export const enqueueImageOptimization = async (owner) => {
+  if (!imageCompressionMiddleware.enableCompression) {
+    return null;
+  }
+  try {
+    return await jobQueue.enqueue(IMAGE_JOBS.OPTIMIZE, { kind: owner.kind, id: String(owner.id) });
+  } catch (error) {
+    logger.backend.error(`Could not enqueue image optimization for ${owner.kind} ${owner.id}:`, error);
+    return null;
+  }
+};
@@ -0,0 +1,158 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import imageBlobModel from "../models/imageBlobModel.js";
+import { imageVariantService } from "./imageVariantService.js";
+import { getUploadStorage, toStorageKey, toUploadUrl } from "./uploadStorage.js";
+import { logger } from "../utils/logger.js";
+
+const IMAGES_PREFIX = "images";
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Image Store
+ *
+ * Keeps food and category images in the upload storage under images/, named
+ * by the SHA-256 of their contents, so the same picture uploaded twice is
+ * stored once. Each file has an imageBlob document listing the foods and
+ * categories using it; the file and its variants are deleted when the last
+ * of them lets go. Images uploaded before the store keep their old paths and
+ * are not counted.
+ */
+class ImageStore {
+  /**
+   * @param {Object} options - { storage, variants }; the application's
+   *   upload storage and variant service by default
+   */
+  constructor(options = {}) {
+    this.uploadStorage = options.storage || null;
+    this.variants = options.variants || imageVariantService;
+  }
+
+  get storage() {
+    return this.uploadStorage || getUploadStorage();
+  }
+
+  /**
+   * Whether an image path points into the store
+   * @param {string} image - Image path saved on a food or category
+   * @returns {boolean}
+   */
+  isStored(image) {
+    return typeof image === "string" && image.startsWith(toUploadUrl(`${IMAGES_PREFIX}/`));
+  }
+
+  /**
+   * Store an uploaded file for a food or category, then delete the upload
+   * @param {string} filePath - Local path of the uploaded file
+   * @param {Object} owner - { kind, id } of the food or category using it
+   * @returns {Promise<Object>} - { image, imageVariants } to save on the owner
+   */
+  async storeFile(filePath, owner) {
+    const stored = await this.store(await fs.promises.readFile(filePath), path.extname(filePath), owner);
+    await fs.promises.rm(filePath, { force: true });
+    return stored;
+  }
+
+  /**
+   * Store image contents for a food or category
+   * Contents already in the store are not written again.
+   * @param {Buffer} contents - Image file contents
+   * @param {string} extension - e.g. '.jpg'
+   * @param {Object} owner - { kind, id } of the food or category using it
+   * @returns {Promise<Object>} - { image, imageVariants } to save on the owner
+   */
+  async store(contents, extension, owner) {
+    const hash = crypto.createHash("sha256").update(contents).digest("hex");
+    const blob = await this.addReference(hash, {
+      path: toUploadUrl(`${IMAGES_PREFIX}/${hash}${extension.toLowerCase()}`),
+      size: contents.length
+    }, owner);
+
+    // Same contents uploaded with another extension keep the first path
+    const key = toStorageKey(blob.path);
+    if (!(await this.storage.stat(key))) {
+      await this.storage.put(key, contents);
+    }
+
+    const imageVariants = await this.variants.generate(contents, { id: hash });
+    return { image: blob.path, imageVariants };
+  }
+
+  /**
+   * Stop a food or category from using an image
+   * @param {string} image - Image path saved on the owner
+   * @param {Object} owner - { kind, id }
+   * @returns {Promise<boolean>} - false for images outside the store, which
+   *   the caller still has to clean up itself
+   */
+  async release(image, owner) {
+    if (!this.isStored(image)) {
+      return false;
+    }
+
+    const blob = await imageBlobModel.findOneAndUpdate(
+      { path: image },
+      { $pull: { references: { kind: owner.kind, document: owner.id } } },
+      { new: true }
+    );
+    if (!blob || blob.references.length > 0) {
+      return true;
+    }
+
+    // Only delete when nothing picked the image up again meanwhile
+    const { deletedCount } = await imageBlobModel.deleteOne({ _id: blob._id, references: { $size: 0 } });
+    if (deletedCount === 0) {
+      return true;
+    }
+
+    const key = toStorageKey(blob.path);
+    const contents = await this.storage.get(key).catch(() => null);
+    await this.storage.delete(key);
+    await this.variants.remove({ id: blob.hash });
+
+    // A store() of the same contents may have found the file still there and
+    // skipped writing it: put the file and its variants back for the new blob
+    if (contents && await imageBlobModel.exists({ hash: blob.hash })) {
+      await this.storage.put(key, contents);
+      await this.variants.generate(contents, { id: blob.hash });
+      return true;
+    }
+
+    logger.backend.info(`Stored image ${path.posix.basename(blob.path)} removed, no longer used`);
+    return true;
+  }
+
+  /**
+   * Add an owner to the blob of some contents, creating the blob if needed
+   * @param {string} hash - SHA-256 of the contents
+   * @param {Object} fields - { path, size } for a new blob
+   * @param {Object} owner - { kind, id }
+   * @returns {Promise<Object>} - The blob
+   */
+  async addReference(hash, fields, owner) {
+    const update = () => imageBlobModel.findOneAndUpdate(
+      { hash },
+      {
+        $setOnInsert: fields,
+        $addToSet: { references: { kind: owner.kind, document: owner.id } }
+      },
+      { upsert: true, new: true }
+    );
+
+    try {
+      return await update();
+    } catch (error) {
+      // Two uploads of the same contents raced to create the blob
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        return update();
+      }
+      throw error;
+    }
+  }
+}
+
+export const imageStore = new ImageStore();
+
+export default ImageStore;
@@ -0,0 +1,159 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { uprightSize } from "../utils/imageOptimization.js";
+import {
+  IMAGE_FORMATS,
+  VARIANT_ID_PATTERN,
+  negotiateFormat,
+  parseVariantFilename,
+  pickVariantWidth,
+  planVariantWidths,
+  variantFilename
+} from "../utils/imageVariants.js";
+import { logger } from "../utils/logger.js";
+import { getUploadStorage, toUploadUrl } from "./uploadStorage.js";
+
+const VARIANTS_PREFIX = "variants";
+
+/**
+ * Image Variant Service
+ *
+ * Stores the width variants of uploaded images (see utils/imageVariants.js)
+ * in the upload storage and finds the one to serve. Each stored image gets
+ * its own folder, so removing an image removes its variants with it. The
+ * record returned by generate() is saved on the food or category as
+ * `imageVariants`.
+ */
+class ImageVariantService {
+  /**
+   * @param {Object} options - { storage, quality }; the application's
+   *   upload storage by default
+   */
+  constructor(options = {}) {
+    this.uploadStorage = options.storage || null;
+    this.quality = options.quality || parseInt(process.env.IMAGE_COMPRESSION_QUALITY) || 85;
+  }
+
+  get storage() {
+    return this.uploadStorage || getUploadStorage();
+  }
+
+  /**
+   * Store the variants of an uploaded image
+   * Images that cannot be decoded get no variants; they are still served
+   * as uploaded. Variant files that already exist are kept, so images stored
+   * by content hash share their variants.
+   * @param {Buffer|string} image - Contents or local path of the image
+   * @param {Object} options - { id }: variant set id, random by default
+   * @returns {Promise<Object|null>} - { id, format, width, height, sizes }
+   *   where `sizes` maps each width to { webp, original } URLs
+   */
+  async generate(image, options = {}) {
+    const written = [];
+    try {
+      const input = Buffer.isBuffer(image) ? image : await fs.promises.readFile(image);
+      const metadata = await sharp(input).metadata();
+      if (!IMAGE_FORMATS[metadata.format]) {
+        return null;
+      }
+
+      const { width, height } = uprightSize(metadata);
+      const id = options.id || crypto.randomBytes(12).toString("hex");
+      const formats = [...new Set(["webp", metadata.format])];
+      const existing = new Set((await this.list(id)).map((file) => file.key));
+
+      const sizes = {};
+      for (const variantWidth of planVariantWidths(width)) {
+        const urls = {};
+        for (const format of formats) {
+          const key = this.variantKey(id, variantFilename(variantWidth, format));
+          if (!existing.has(key)) {
+            const variant = await sharp(input)
+              .rotate()
+              .resize({ width: variantWidth })
+              .toFormat(format, { quality: this.quality })
+              .toBuffer();
+            await this.storage.put(key, variant);
+            written.push(key);
+          }
+          urls[format === "webp" ? "webp" : "original"] = toUploadUrl(key);
+        }
+        // A WebP upload is its own original
+        sizes[variantWidth] = { original: urls.webp, ...urls };
+      }
+
+      return { id, format: metadata.format, width, height, sizes };
+    } catch (error) {
+      logger.system.error(`Error creating image variants for ${Buffer.isBuffer(image) ? options.id : path.basename(image)}:`, error);
+      // Variants shared with other images are left alone
+      await Promise.all(written.map((key) => this.storage.delete(key)));
+      return null;
+    }
+  }
+
+  /**
+   * Storage key of a variant file
+   * @param {string} id - Variant set id
+   * @param {string} filename - e.g. '320.webp'
+   * @returns {string}
+   */
+  variantKey(id, filename) {
+    return `${VARIANTS_PREFIX}/${id}/${filename}`;
+  }
+
+  /**
+   * Variant files stored for an image
+   * @param {string} id - Variant set id
+   * @returns {Promise<Object[]>} - { key, size, lastModified }
+   */
+  async list(id) {
+    return this.storage.list(`${VARIANTS_PREFIX}/${id}/`);
+  }
+
+  /**
+   * Variant file to answer an /images request with
+   * @param {string} id - Variant set id
+   * @param {Object} request - { width, format } from parseImageRequest
+   * @param {string} accept - Accept request header
+   * @returns {Promise<Object|null>} - { key, width, format } or null when
+   *   the image or the requested format does not exist
+   */
+  async resolve(id, request, accept) {
+    if (!VARIANT_ID_PATTERN.test(id)) {
+      return null;
+    }
+
+    const files = await this.list(id);
+    const variants = files.map((file) => parseVariantFilename(path.posix.basename(file.key))).filter(Boolean);
+    const format = negotiateFormat([...new Set(variants.map((variant) => variant.format))], accept, request.format);
+    if (!format) {
+      return null;
+    }
+
+    const width = pickVariantWidth(
+      variants.filter((variant) => variant.format === format).map((variant) => variant.width),
+      request.width
+    );
+    return { key: this.variantKey(id, variantFilename(width, format)), width, format };
+  }
+
+  /**
+   * Delete the variants of an image
+   * @param {Object|null} imageVariants - Record from generate(); nothing
+   *   happens without one
+   * @returns {Promise<void>}
+   */
+  async remove(imageVariants) {
+    if (!imageVariants || !VARIANT_ID_PATTERN.test(imageVariants.id)) {
+      return;
+    }
+    const files = await this.list(imageVariants.id);
+    await Promise.all(files.map((file) => this.storage.delete(file.key)));
+  }
+}
+
+export const imageVariantService = new ImageVariantService();
+
+export default ImageVariantService;
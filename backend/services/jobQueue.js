@@ -0,0 +1,268 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import os from "os";
+import jobModel, { JOB_STATUS } from "../models/jobModel.js";
+import { TIME_PATTERN, nextLocalTime } from "../utils/storeClock.js";
+import { logger } from "../utils/logger.js";
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const clampPercent = (percent) => Math.min(100, Math.max(0, Math.round(Number(percent) || 0)));
+
+/**
+ * Job Queue
+ *
+ * Runs slow work (image processing, cleanups, integrity scans) outside HTTP
+ * requests. Jobs are documents in the jobs collection: any process can
+ * enqueue them and every process running workers competes for them, each job
+ * being claimed by one worker at a time. Failed attempts are retried with
+ * exponential backoff, handlers report progress that clients poll, and daily
+ * schedules enqueue jobs at a store-local time (once, even with several
+ * processes running them).
+ */
+class JobQueue {
+  /**
+   * @param {Object} options - { backoffMs: delay before the first retry,
+   *   doubled on each one; lockTimeoutMs: after this long a running job whose
+   *   worker went away is taken over }
+   */
+  constructor(options = {}) {
+    this.backoffMs = options.backoffMs ?? 30 * 1000;
+    this.lockTimeoutMs = options.lockTimeoutMs ?? 30 * 60 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+    this.handlers = new Map();
+    this.schedules = new Map();
+    this.concurrency = 1;
+    this.active = new Set();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Set the function that runs jobs of a type
+   * @param {string} type - Job type, e.g. 'image.optimize'
+   * @param {Function} handler - async (payload, { job, progress }) => result;
+   *   throwing fails the attempt. progress(percent, message) saves progress.
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job
+   * @param {string} type - Registered job type
+   * @param {Object} payload - Data for the handler (stored as is)
+   * @param {Object} options - { runAt, maxAttempts, uniqueKey }; with a
+   *   uniqueKey, the job already enqueued under it is returned instead
+   * @returns {Promise<Object>} - Job document
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    try {
+      return await jobModel.create({
+        type,
+        payload,
+        runAt: options.runAt || new Date(),
+        maxAttempts: options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+        uniqueKey: options.uniqueKey
+      });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY_ERROR && options.uniqueKey) {
+        return jobModel.findOne({ uniqueKey: options.uniqueKey });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find a job to report its status
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} - Job document, null for unknown or invalid IDs
+   */
+  async getJob(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return jobModel.findById(id).lean();
+  }
+
+  /**
+   * Enqueue a job every day at a store-local time
+   * @param {string} name - Schedule name, unique per queue
+   * @param {Object} options - { type, payload, time: "HH:MM" }
+   */
+  schedule(name, { type, payload = {}, time }) {
+    if (!TIME_PATTERN.test(time || "")) {
+      throw new Error(`Invalid time for schedule ${name}: ${time} (expected HH:MM)`);
+    }
+    this.schedules.set(name, { type, payload, time, nextRunAt: nextLocalTime(time) });
+  }
+
+  /**
+   * Enqueue the scheduled jobs that are due
+   * @param {Date} now - Current moment
+   * @returns {Promise<number>} - Jobs enqueued
+   */
+  async enqueueDueSchedules(now = new Date()) {
+    let enqueued = 0;
+    for (const [name, schedule] of this.schedules) {
+      if (schedule.nextRunAt > now) continue;
+
+      // Every process computes the same run time, so the key makes it run once
+      await this.enqueue(schedule.type, schedule.payload, {
+        uniqueKey: `schedule:${name}:${schedule.nextRunAt.toISOString()}`
+      });
+      schedule.nextRunAt = nextLocalTime(schedule.time, now);
+      enqueued += 1;
+    }
+    return enqueued;
+  }
+
+  /**
+   * Take the next due job, or a running one whose worker stopped answering
+   * @returns {Promise<Object|null>} - Job document, now locked by this worker
+   */
+  async claim() {
+    const now = new Date();
+    return jobModel.findOneAndUpdate(
+      {
+        type: { $in: [...this.handlers.keys()] },
+        $or: [
+          { status: JOB_STATUS.QUEUED, runAt: { $lte: now } },
+          { status: JOB_STATUS.RUNNING, lockedAt: { $lte: new Date(now.getTime() - this.lockTimeoutMs) } }
+        ]
+      },
+      {
+        $set: { status: JOB_STATUS.RUNNING, lockedBy: this.workerId, lockedAt: now, startedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Run a claimed job and record how it went
+   * @param {Object} job - Job document locked by this worker
+   * @returns {Promise<Object>} - Updated job document
+   */
+  async runJob(job) {
+    // Updates are dropped once another worker has taken the job over
+    const mine = { _id: job._id, lockedBy: this.workerId };
+    const progress = async (percent, message = null) => {
+      await jobModel.updateOne(mine, {
+        $set: { progress: { percent: clampPercent(percent), message }, lockedAt: new Date() }
+      });
+    };
+
+    try {
+      if (job.attempts > job.maxAttempts) {
+        throw new Error("Worker stopped during the last attempt");
+      }
+      const result = await this.handlers.get(job.type)(job.payload, { job, progress });
+
+      return jobModel.findOneAndUpdate(mine, {
+        $set: {
+          status: JOB_STATUS.COMPLETED,
+          result: result ?? null,
+          error: null,
+          "progress.percent": 100,
+          lockedBy: null,
+          lockedAt: null,
+          finishedAt: new Date()
+        }
+      }, { new: true });
+    } catch (error) {
+      const retry = job.attempts < job.maxAttempts;
+      logger.backend.error(`Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}${retry ? ", will retry" : ""}):`, error);
+
+      return jobModel.findOneAndUpdate(mine, {
+        $set: retry
+          ? {
+            status: JOB_STATUS.QUEUED,
+            runAt: new Date(Date.now() + this.backoffMs * 2 ** (job.attempts - 1)),
+            error: error.message,
+            lockedBy: null,
+            lockedAt: null
+          }
+          : {
+            status: JOB_STATUS.FAILED,
+            error: error.message,
+            lockedBy: null,
+            lockedAt: null,
+            finishedAt: new Date()
+          }
+      }, { new: true });
+    }
+  }
+
+  /**
+   * Enqueue due schedules and start jobs until every worker slot is busy
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.polling) return;
+
+    this.polling = true;
+    try {
+      await this.enqueueDueSchedules();
+      while (this.active.size < this.concurrency) {
+        const job = await this.claim();
+        if (!job) break;
+
+        const running = this.runJob(job)
+          .catch((error) => logger.backend.error(`Job ${job._id} could not be saved:`, error))
+          .finally(() => this.active.delete(running));
+        this.active.add(running);
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Run every due job one after another, e.g. from a script or a test
+   * @returns {Promise<number>} - Jobs run
+   */
+  async drain() {
+    let count = 0;
+    for (let job = await this.claim(); job; job = await this.claim()) {
+      await this.runJob(job);
+      count += 1;
+    }
+    return count;
+  }
+
+  /**
+   * Run workers in this process
+   * @param {Object} options - { concurrency: jobs run at once,
+   *   pollIntervalSeconds: how often to look for due jobs }
+   */
+  start({
+    concurrency = parseInt(process.env.JOB_CONCURRENCY) || 1,
+    pollIntervalSeconds = parseInt(process.env.JOB_POLL_INTERVAL_SECONDS) || 5
+  } = {}) {
+    if (this.timer) return;
+
+    this.concurrency = concurrency;
+    this.timer = setInterval(() => {
+      this.poll().catch((error) => logger.backend.error("Job queue poll failed:", error));
+    }, pollIntervalSeconds * 1000);
+    // Never keep the process alive just for the workers
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop looking for jobs and wait for the running ones
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await Promise.all(this.active);
+  }
+}
+
+export const jobQueue = new JobQueue();
+
+export default JobQueue;
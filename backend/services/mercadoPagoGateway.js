@@ -0,0 +1,87 @@
+/**
+ * MercadoPago Gateway
+ *
+ * Thin wrapper around the MercadoPago SDK so controllers and services never
+ * talk to the SDK directly. Tests replace the gateway with a local stub
+ * through setMercadoPagoGateway (see tests/helpers/mercadoPagoStub.js).
+ */
+
+import { MercadoPagoConfig, Preference, Payment, PaymentRefund } from "mercadopago";
+
+export class MercadoPagoGateway {
+  constructor(options = {}) {
+    this.name = 'mercadopago';
+    this.accessToken = options.accessToken ?? process.env.MERCADOPAGO_ACCESS_TOKEN;
+    this.client = this.accessToken ? new MercadoPagoConfig({ accessToken: this.accessToken }) : null;
+  }
+
+  /**
+   * Whether an access token is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.client);
+  }
+
+  /**
+   * Create a checkout preference
+   * @param {Object} body - Preference body (items, back_urls, external_reference...)
+   * @returns {Promise<Object>} - Created preference ({ id, init_point, ... })
+   */
+  async createPreference(body) {
+    return new Preference(this.client).create({ body });
+  }
+
+  /**
+   * Fetch a payment from the MercadoPago API
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Object>} - Payment ({ id, status, external_reference, ... })
+   */
+  async getPayment(paymentId) {
+    return new Payment(this.client).get({ id: paymentId });
+  }
+
+  /**
+   * Find the payments created for an order (external_reference), newest first
+   * @param {string} orderId - Order ID used as external_reference
+   * @returns {Promise<Array>} - Payments
+   */
+  async searchPaymentsByOrder(orderId) {
+    const response = await new Payment(this.client).search({
+      options: { external_reference: String(orderId), sort: 'date_created', criteria: 'desc' }
+    });
+    return response?.results || [];
+  }
+
+  /**
+   * Refund a payment, fully or partially
+   * @param {string} paymentId - Payment ID
+   * @param {number} [amount] - Amount to refund (omit for a full refund)
+   * @returns {Promise<Object>} - Refund ({ id, status, amount, ... })
+   */
+  async refundPayment(paymentId, amount) {
+    const body = amount ? { amount } : {};
+    return new PaymentRefund(this.client).create({ payment_id: paymentId, body });
+  }
+}
+
+let activeGateway = null;
+
+/**
+ * Get the gateway used by the application (created lazily)
+ * @returns {Object} - Gateway instance
+ */
+export const getMercadoPagoGateway = () => {
+  if (!activeGateway) {
+    activeGateway = new MercadoPagoGateway();
+  }
+  return activeGateway;
+};
+
+/**
+ * Replace the gateway used by the application
+ * @param {Object|null} gateway - Object implementing the gateway methods, or null to reset
+ */
+export const setMercadoPagoGateway = (gateway) => {
+  activeGateway = gateway;
+};
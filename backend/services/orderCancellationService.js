@@ -0,0 +1,324 @@
+import mongoose from "mongoose";
+import orderModel from "../models/orderModel.js";
+import { getPaymentProvider } from "./paymentProviders.js";
+import { roundCurrency } from "../utils/orderPricing.js";
+import { ORDER_STATUS, assertTransition, canCustomerCancel, createStatusError } from "../utils/orderStatus.js";
+import { DEFAULT_PAYMENT_METHOD, createPaymentError, isPaymentError } from "../utils/paymentMethods.js";
+import { logger } from "../utils/logger.js";
+
+// Status of a refund recorded before the provider answers
+export const REFUND_REQUESTED = "requested";
+
+// Refunds are summed in floating point; allow for rounding of the cents
+const CENT_TOLERANCE = 0.005;
+
+/**
+ * Order Cancellation Service
+ *
+ * Cancels orders and refunds payments through the provider of the order.
+ * Customers can cancel until the kitchen starts (see CUSTOMER_CANCELLABLE_STATUSES);
+ * admins can cancel at any time, with a reason, and refund part of an order by item.
+ * Every refund is stored in order.refunds.
+ */
+class OrderCancellationService {
+  /**
+   * Load an order the user is allowed to see
+   * @param {string} orderId - Order ID
+   * @param {Object} user - Authenticated user ({ id, role })
+   * @returns {Promise<Object>} - Order document
+   * @throws {Error} - ORDER_NOT_FOUND (404), also for orders of other customers
+   */
+  async findOrder(orderId, user) {
+    const order = mongoose.isValidObjectId(orderId) ? await orderModel.findById(orderId) : null;
+    if (!order || (user.role !== "admin" && order.userId !== user.id)) {
+      throw createStatusError("Pedido não encontrado", "ORDER_NOT_FOUND", 404);
+    }
+    return order;
+  }
+
+  /**
+   * Amount still refundable on an order
+   * @param {Object} order - Order document
+   * @returns {number} - Paid amount minus previous refunds
+   */
+  getRefundableAmount(order) {
+    if (!order.payment) return 0;
+    return Math.max(0, roundCurrency(order.amount - (order.refundedAmount || 0)));
+  }
+
+  /**
+   * Work out the amount of a refund
+   * Without items the remaining amount is refunded; with items only those
+   * quantities (never more than what was ordered and not refunded yet).
+   * Items are order lines, picked by their position in order.items: the same
+   * food can be on several lines with different options. `itemId` alone is
+   * still accepted when the food is on a single line.
+   * @param {Object} order - Order document
+   * @param {Array<Object>} items - [{ line, quantity }] or empty for a full refund
+   * @returns {Object} - { amount, items }
+   */
+  buildRefund(order, items = []) {
+    const refundable = this.getRefundableAmount(order);
+    if (refundable <= 0) {
+      throw createPaymentError("Não há valor a reembolsar neste pedido", "NOTHING_TO_REFUND", 400);
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return { amount: refundable, items: [] };
+    }
+
+    const refundedQuantities = new Map();
+    for (const refund of order.refunds || []) {
+      for (const item of refund.items || []) {
+        // Refunds stored before lines were recorded point at the first line of the food
+        const line = item.line ?? order.items.findIndex((orderItem) => String(orderItem._id) === item.itemId);
+        refundedQuantities.set(line, (refundedQuantities.get(line) || 0) + item.quantity);
+      }
+    }
+
+    const details = [];
+    const refundItems = [];
+    for (const requested of items) {
+      const { line, error } = this.findRefundLine(order, requested);
+      const quantity = Number(requested?.quantity);
+      if (error) {
+        details.push({ line, itemId: requested?.itemId, message: error });
+        continue;
+      }
+
+      const orderItem = order.items[line];
+      const available = orderItem.quantity - (refundedQuantities.get(line) || 0);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > available) {
+        details.push({ line, message: `Quantidade inválida para "${orderItem.name}" (máximo ${available})` });
+        continue;
+      }
+      // A line repeated in the same request adds up
+      refundedQuantities.set(line, (refundedQuantities.get(line) || 0) + quantity);
+
+      refundItems.push({
+        line,
+        itemId: String(orderItem._id),
+        name: orderItem.name,
+        quantity,
+        amount: roundCurrency(orderItem.price * quantity)
+      });
+    }
+
+    if (details.length > 0) {
+      throw createPaymentError("Itens do reembolso inválidos", "INVALID_REFUND_ITEMS", 400, { items: details });
+    }
+
+    const amount = Math.min(refundable, roundCurrency(refundItems.reduce((total, item) => total + item.amount, 0)));
+    return { amount, items: refundItems };
+  }
+
+  /**
+   * Find the order line a refund item points at
+   * @param {Object} order - Order document
+   * @param {Object} requested - { line } or { itemId }
+   * @returns {Object} - { line, error }
+   */
+  findRefundLine(order, requested = {}) {
+    if (requested?.line !== undefined) {
+      const line = Number(requested.line);
+      const valid = Number.isInteger(line) && line >= 0 && line < order.items.length;
+      return valid ? { line, error: null } : { line: requested.line, error: "Item não pertence ao pedido" };
+    }
+
+    const itemId = String(requested?.itemId ?? requested?._id ?? "");
+    const lines = order.items
+      .map((item, line) => (String(item._id) === itemId ? line : -1))
+      .filter((line) => line >= 0);
+    if (lines.length === 0) {
+      return { line: null, error: "Item não pertence ao pedido" };
+    }
+    if (lines.length > 1) {
+      return { line: null, error: "O item aparece em mais de uma linha do pedido: informe a linha" };
+    }
+    return { line: lines[0], error: null };
+  }
+
+  /**
+   * Refund through the payment provider and store the refund on the order
+   * The refund is recorded (status "requested") and its amount added to
+   * refundedAmount before calling the provider, in one update that only
+   * applies if no other refund was recorded since the order was read and the
+   * total stays within the paid amount. Concurrent refunds therefore never
+   * exceed what was paid; the reservation is undone if the provider fails.
+   * @param {Object} order - Paid order
+   * @param {Object} options - { items, reason, requestedBy }
+   * @returns {Promise<Object>} - Stored refund
+   */
+  async issueRefund(order, { items, reason, requestedBy }) {
+    const { amount, items: refundItems } = this.buildRefund(order, items);
+    const paymentMethod = order.paymentMethod || DEFAULT_PAYMENT_METHOD;
+
+    const refund = {
+      _id: new mongoose.Types.ObjectId(),
+      amount,
+      items: refundItems,
+      reason,
+      paymentMethod,
+      status: REFUND_REQUESTED,
+      manual: false,
+      requestedBy,
+      createdAt: new Date()
+    };
+    const reserved = await orderModel.findOneAndUpdate(
+      {
+        _id: order._id,
+        payment: true,
+        refunds: { $size: order.refunds?.length || 0 },
+        $expr: {
+          $lte: [{ $add: [{ $ifNull: ["$refundedAmount", 0] }, amount] }, { $add: ["$amount", CENT_TOLERANCE] }]
+        }
+      },
+      { $push: { refunds: refund }, $inc: { refundedAmount: amount } },
+      { new: true }
+    );
+    if (!reserved) {
+      throw createPaymentError(
+        "O pedido foi reembolsado por outra operação. Atualize e tente novamente.",
+        "REFUND_CONFLICT",
+        409
+      );
+    }
+
+    let result;
+    try {
+      result = await getPaymentProvider(paymentMethod).refund(reserved, { amount });
+    } catch (error) {
+      await this.releaseRefund(order._id, refund);
+      if (isPaymentError(error)) throw error;
+      logger.backend.error(`Refund of order ${order._id} failed:`, error);
+      throw createPaymentError("Não foi possível processar o reembolso. Tente novamente.", "REFUND_FAILED", 502);
+    }
+
+    Object.assign(refund, {
+      amount: result.amount ?? amount,
+      providerRefundId: result.refundId || undefined,
+      status: result.status,
+      manual: result.manual
+    });
+    try {
+      await orderModel.updateOne(
+        { _id: order._id, "refunds._id": refund._id },
+        {
+          $set: {
+            "refunds.$.amount": refund.amount,
+            "refunds.$.providerRefundId": refund.providerRefundId,
+            "refunds.$.status": refund.status,
+            "refunds.$.manual": refund.manual
+          },
+          $inc: { refundedAmount: roundCurrency(refund.amount - amount) }
+        }
+      );
+    } catch (error) {
+      // The money went back: keep the reservation, only the details are missing
+      logger.backend.error(`Refund ${refund.providerRefundId} of order ${order._id} was issued but not saved:`, error);
+    }
+
+    logger.backend.info(`Refunded R$ ${refund.amount} of order ${order._id} (${paymentMethod}, ${refund.status})`);
+    return refund;
+  }
+
+  /**
+   * Undo the reservation of a refund the provider did not issue
+   * @param {string} orderId - Order ID
+   * @param {Object} refund - Reserved refund
+   */
+  async releaseRefund(orderId, refund) {
+    try {
+      await orderModel.updateOne(
+        { _id: orderId, "refunds._id": refund._id },
+        { $pull: { refunds: { _id: refund._id } }, $inc: { refundedAmount: -refund.amount } }
+      );
+    } catch (error) {
+      // Left as "requested": the amount stays reserved until an admin checks it
+      logger.backend.error(`Refund reservation of order ${orderId} could not be released:`, error);
+    }
+  }
+
+  /**
+   * Cancel an order, then refund it when it was paid
+   * The order is cancelled first so a concurrent status change can never
+   * leave a refunded order active. A failed refund leaves the order cancelled
+   * with its amount still refundable, so it can be refunded again from the
+   * admin panel (refundOrder).
+   * @param {string} orderId - Order ID
+   * @param {Object} options - { user, reason, items } where items selects a partial refund (admins only)
+   * @returns {Promise<Object>} - { order, refund, refundError }
+   */
+  async cancelOrder(orderId, { user, reason, items } = {}) {
+    const order = await this.findOrder(orderId, user);
+    const isAdmin = user.role === "admin";
+    const note = typeof reason === "string" ? reason.trim() : "";
+
+    if (!isAdmin && !canCustomerCancel(order.status)) {
+      throw createStatusError(
+        "O pedido já está em preparo e não pode mais ser cancelado",
+        "CANCEL_NOT_ALLOWED",
+        409,
+        { from: order.status, to: ORDER_STATUS.CANCELLED, allowed: [] }
+      );
+    }
+    if (isAdmin && !note) {
+      throw createStatusError("Informe o motivo do cancelamento", "REASON_REQUIRED", 400);
+    }
+
+    // Reject what cannot be cancelled or refunded before changing anything
+    assertTransition(order.status, ORDER_STATUS.CANCELLED);
+    const refundItems = isAdmin ? items : [];
+    const paid = this.getRefundableAmount(order) > 0;
+    if (paid) {
+      this.buildRefund(order, refundItems);
+    }
+
+    // Only one request cancels (and refunds) the order: the others get a 409
+    const cancelled = await orderModel.transitionStatus(order._id, ORDER_STATUS.CANCELLED, {
+      changedBy: user.id,
+      note: note || "Cancelado pelo cliente",
+      from: order.status
+    });
+    if (!paid) {
+      return { order: cancelled, refund: null, refundError: null };
+    }
+
+    try {
+      const refund = await this.issueRefund(cancelled, {
+        items: refundItems,
+        reason: note || "Cancelado pelo cliente",
+        requestedBy: user.id
+      });
+      return { order: await orderModel.findById(order._id), refund, refundError: null };
+    } catch (error) {
+      logger.backend.error(`Order ${order._id} was cancelled but its refund failed:`, error);
+      return {
+        order: cancelled,
+        refund: null,
+        refundError: { code: error.code || "REFUND_FAILED", message: error.message }
+      };
+    }
+  }
+
+  /**
+   * Refund part or all of a paid order without cancelling it (admins only)
+   * @param {string} orderId - Order ID
+   * @param {Object} options - { user, reason, items }
+   * @returns {Promise<Object>} - { order, refund }
+   */
+  async refundOrder(orderId, { user, reason, items } = {}) {
+    const order = await this.findOrder(orderId, user);
+    const note = typeof reason === "string" ? reason.trim() : "";
+    if (!note) {
+      throw createStatusError("Informe o motivo do reembolso", "REASON_REQUIRED", 400);
+    }
+
+    const refund = await this.issueRefund(order, { items, reason: note, requestedBy: user.id });
+    return { order: await orderModel.findById(order._id), refund };
+  }
+}
+
+export const orderCancellationService = new OrderCancellationService();
+
+export default OrderCancellationService;
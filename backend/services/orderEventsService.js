@@ -0,0 +1,135 @@
+import { logger } from "../utils/logger.js";
+
+/**
+ * Events pushed to connected clients
+ */
+export const ORDER_EVENT = Object.freeze({
+  CREATED: "order.created",
+  STATUS: "order.status",
+  PAID: "order.paid",
+  DRIVER: "order.driver",
+  // Something an admin has to check, e.g. a payment approved after cancelling
+  ATTENTION: "order.attention"
+});
+
+/**
+ * Order Events Service
+ *
+ * Pushes order changes to the admin panel and to customers over
+ * Server-Sent Events. Admins receive every event; customers only the events
+ * of their own orders. Clients refetch the orders when they reconnect, so
+ * events missed while disconnected are not replayed.
+ */
+class OrderEventsService {
+  constructor(options = {}) {
+    // Comment lines keep proxies from closing idle connections
+    this.heartbeatMs = options.heartbeatMs ?? 25000;
+    this.retryMs = options.retryMs ?? 5000;
+    this.clients = new Set();
+    this.heartbeat = null;
+    this.nextEventId = 1;
+  }
+
+  get clientCount() {
+    return this.clients.size;
+  }
+
+  /**
+   * Open an event stream for an authenticated request
+   * @param {Object} req - Express request with `req.user`
+   * @param {Object} res - Express response kept open until the client leaves
+   */
+  subscribe(req, res) {
+    // Long-lived request: disable the per-request timeouts set in server.js
+    req.setTimeout?.(0);
+    res.setTimeout?.(0);
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      "Connection": "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders?.();
+    res.write(`retry: ${this.retryMs}\n\n`);
+
+    const client = { res, userId: req.user.id, role: req.user.role };
+    this.clients.add(client);
+    this.startHeartbeat();
+
+    req.on("close", () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    });
+  }
+
+  /**
+   * Send an event about an order to the admins and to the order's customer
+   * @param {string} type - One of ORDER_EVENT
+   * @param {Object} order - Order document or plain object
+   * @param {Object} data - Extra fields for the payload
+   */
+  publish(type, order, data = {}) {
+    if (!order || this.clients.size === 0) return;
+
+    const ownerId = String(order.userId);
+    const payload = {
+      orderId: String(order._id),
+      status: order.status,
+      payment: order.payment,
+      paymentMethod: order.paymentMethod,
+      amount: order.amount,
+      ...data,
+      at: new Date().toISOString()
+    };
+    const message = `id: ${this.nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+
+    for (const client of this.clients) {
+      if (client.role === "admin" || client.userId === ownerId) {
+        this.send(client, message);
+      }
+    }
+  }
+
+  send(client, message) {
+    try {
+      client.res.write(message);
+    } catch (error) {
+      logger.backend.warn(`Dropping order event client: ${error.message}`);
+      this.clients.delete(client);
+    }
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat || !(this.heartbeatMs > 0)) return;
+
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        this.send(client, ": ping\n\n");
+      }
+    }, this.heartbeatMs);
+    this.heartbeat.unref?.();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Close every open stream (used on shutdown and in tests)
+   */
+  closeAll() {
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+    this.stopHeartbeat();
+  }
+}
+
+export const orderEventsService = new OrderEventsService();
+
+export default OrderEventsService;
@@ -0,0 +1,99 @@
+import orderModel from "../models/orderModel.js";
+import userModel from "../models/userModel.js";
+import { buildCustomerMatch, buildOrderMatch, formatOrderCursor } from "../utils/orderFilters.js";
+import { buildPagination } from "../utils/pagination.js";
+
+// Newest first; the id breaks ties so pages never overlap
+const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+
+// Orders saved before checkout sent the name take it from the customer's account
+const lookupCustomerName = () => [
+  {
+    $lookup: {
+      from: userModel.collection.name,
+      let: { userId: { $convert: { input: "$userId", to: "objectId", onError: null, onNull: null } } },
+      pipeline: [
+        { $match: { $expr: { $eq: ["$_id", "$$userId"] } } },
+        { $project: { name: 1 } }
+      ],
+      as: "customer"
+    }
+  },
+  {
+    $set: {
+      "address.customerName": {
+        $cond: [
+          { $gt: [{ $strLenCP: { $ifNull: ["$address.customerName", ""] } }, 0] },
+          "$address.customerName",
+          { $arrayElemAt: ["$customer.name", 0] }
+        ]
+      }
+    }
+  },
+  { $project: { customer: 0 } }
+];
+
+/**
+ * Order List Service
+ *
+ * Lists orders for the admin panel, newest first and paged, with the
+ * filters from utils/orderFilters.js. A single aggregation counts the
+ * orders per status (for the status tabs), counts the selected status and
+ * returns the page. Customer names come from one $lookup: only for the
+ * page, or for every candidate when filtering by customer. Pages continue
+ * from a cursor (the last order loaded) when one is given, so orders
+ * arriving meanwhile never shift the next page.
+ */
+class OrderListService {
+  /**
+   * One page of orders
+   * @param {Object} filters - From parseOrderFilters
+   * @param {Object} page - { page, limit, skip } from parsePagination
+   * @param {Object} cursor - { createdAt, id } from parseOrderCursor; replaces `page`
+   * @returns {Promise<Object>} - { orders, pagination, statusCounts }
+   *   where `orders` are order documents with the driver populated and
+   *   `pagination.nextCursor` continues after the last one
+   */
+  async list(filters, page, cursor = null) {
+    const pipeline = [{ $match: buildOrderMatch(filters) }, { $sort: NEWEST_FIRST }];
+    if (filters.customer) {
+      pipeline.push(...lookupCustomerName(), { $match: buildCustomerMatch(filters.customer) });
+    }
+
+    const byStatus = filters.status ? [{ $match: { status: filters.status } }] : [];
+    pipeline.push({
+      $facet: {
+        statusCounts: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+        total: [...byStatus, { $count: "count" }],
+        orders: [
+          ...byStatus,
+          cursor
+            ? { $match: { $or: [{ createdAt: { $lt: cursor.createdAt } }, { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }] } }
+            : { $skip: page.skip },
+          // One more than the page tells whether another page follows
+          { $limit: page.limit + 1 },
+          ...(filters.customer ? [] : lookupCustomerName())
+        ]
+      }
+    });
+
+    const [result] = await orderModel.aggregate(pipeline);
+    const hasNextPage = result.orders.length > page.limit;
+    const orders = result.orders.slice(0, page.limit).map((order) => orderModel.hydrate(order));
+    await orderModel.populate(orders, { path: "driver", select: "name phone whatsapp" });
+
+    return {
+      orders,
+      pagination: {
+        ...buildPagination(page, result.total[0]?.count || 0),
+        hasNextPage,
+        nextCursor: hasNextPage ? formatOrderCursor(orders.at(-1)) : null
+      },
+      statusCounts: Object.fromEntries(result.statusCounts.map(({ _id, count }) => [_id, count]))
+    };
+  }
+}
+
+export const orderListService = new OrderListService();
+
+export default OrderListService;
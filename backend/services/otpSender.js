@@ -0,0 +1,131 @@
+/**
+ * OTP Sender
+ *
+ * Delivers one-time login codes to a customer's WhatsApp number.
+ * Senders share a single `send(whatsapp, message)` contract so the transport
+ * can be swapped through the OTP_SENDER environment variable:
+ *   - console: local stub that logs the message (default, for development and tests)
+ *   - webhook: POSTs the message to an HTTP gateway (WHATSAPP_SENDER_URL)
+ */
+
+import { logger } from "../utils/logger.js";
+
+/**
+ * Local stub sender - logs codes instead of delivering them
+ */
+export class ConsoleOtpSender {
+  constructor() {
+    this.name = 'console';
+    this.sentMessages = [];
+  }
+
+  /**
+   * "Send" a message by logging it
+   * @param {string} whatsapp - Destination number
+   * @param {string} message - Message body
+   * @returns {Promise<Object>} - Delivery result
+   */
+  async send(whatsapp, message) {
+    this.sentMessages.push({ whatsapp, message, sentAt: new Date() });
+    logger.backend.info(`[OTP:console] ${whatsapp}: ${message}`);
+    return { delivered: true, provider: this.name };
+  }
+
+  /**
+   * Get the last message sent to a number (useful in tests)
+   * @param {string} whatsapp - Destination number
+   * @returns {Object|null} - Last message or null
+   */
+  getLastMessage(whatsapp) {
+    const messages = this.sentMessages.filter((entry) => entry.whatsapp === whatsapp);
+    return messages[messages.length - 1] || null;
+  }
+
+  clear() {
+    this.sentMessages = [];
+  }
+}
+
+/**
+ * HTTP gateway sender - works with any WhatsApp API that accepts a JSON POST
+ */
+export class WebhookOtpSender {
+  constructor(options = {}) {
+    this.name = 'webhook';
+    this.url = options.url || process.env.WHATSAPP_SENDER_URL;
+    this.token = options.token || process.env.WHATSAPP_SENDER_TOKEN;
+    this.timeout = options.timeout || 10000;
+
+    if (!this.url) {
+      throw new Error('WHATSAPP_SENDER_URL is required for the webhook OTP sender');
+    }
+  }
+
+  /**
+   * Send a message through the configured gateway
+   * @param {string} whatsapp - Destination number
+   * @param {string} message - Message body
+   * @returns {Promise<Object>} - Delivery result
+   */
+  async send(whatsapp, message) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ to: whatsapp, message }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`WhatsApp gateway responded with status ${response.status}`);
+    }
+
+    return { delivered: true, provider: this.name };
+  }
+}
+
+const senderFactories = {
+  console: () => new ConsoleOtpSender(),
+  webhook: () => new WebhookOtpSender()
+};
+
+let activeSender = null;
+
+/**
+ * Create a sender by type
+ * @param {string} type - Sender type (console | webhook)
+ * @returns {Object} - Sender instance
+ */
+export const createOtpSender = (type = process.env.OTP_SENDER || 'console') => {
+  const factory = senderFactories[type];
+  if (!factory) {
+    throw new Error(`Unknown OTP sender: ${type}`);
+  }
+  return factory();
+};
+
+/**
+ * Get the sender used by the application (created lazily)
+ * @returns {Object} - Sender instance
+ */
+export const getOtpSender = () => {
+  if (!activeSender) {
+    activeSender = createOtpSender();
+    if (activeSender.name === 'console' && process.env.NODE_ENV === 'production') {
+      logger.backend.warn('OTP_SENDER not configured - login codes are only written to the logs');
+    }
+  }
+  return activeSender;
+};
+
+/**
+ * Replace the sender used by the application
+ * @param {Object|null} sender - Object implementing send(whatsapp, message), or null to reset
+ */
+export const setOtpSender = (sender) => {
+  activeSender = sender;
+};
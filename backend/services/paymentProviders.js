@@ -0,0 +1,345 @@
+/**
+ * Payment Providers
+ *
+ * Every payment method stored on an order (see utils/paymentMethods.js) is
+ * served by a provider sharing the same contract:
+ *   - isAvailable(): whether the method can be offered right now
+ *   - createCheckout(order, urls): start the payment, returns
+ *     { reference, paymentUrl?, pix?, set? } where `set` holds order fields to store
+ *   - fetchStatus({ orderId, paymentId }): payment reported by the provider,
+ *     normalized as { id, status, orderId, amount }, or null when the provider
+ *     has no API to ask (the admin confirms those payments)
+ *   - refund(order, { amount }): refund a paid order, returns
+ *     { manual, refundId, status, amount }
+ *   - parseWebhook({ headers, query, body }): authenticate a notification,
+ *     returns { verified, reason, type, paymentId, action, requestId }
+ *
+ * Methods can be restricted through PAYMENT_METHODS (comma separated ids).
+ */
+
+import QRCode from "qrcode";
+import { getMercadoPagoGateway } from "./mercadoPagoGateway.js";
+import { verifyWebhookSignature } from "../utils/mercadoPagoSignature.js";
+import { buildPixPayload } from "../utils/pixBrCode.js";
+import { formatItemTitle } from "../utils/foodOptions.js";
+import { roundCurrency } from "../utils/orderPricing.js";
+import { PAYMENT_METHOD, PAYMENT_METHOD_VALUES, createPaymentError } from "../utils/paymentMethods.js";
+
+const unsupportedWebhook = () => ({ verified: false, reason: 'not_supported', type: null, paymentId: null, action: null, requestId: null });
+
+/**
+ * MercadoPago Checkout Pro - the customer pays on the MercadoPago page
+ */
+export class MercadoPagoProvider {
+  constructor(options = {}) {
+    this.id = PAYMENT_METHOD.MERCADOPAGO;
+    this.settlesOnDelivery = false;
+    this.gateway = options.gateway || null;
+    this.secret = options.secret;
+  }
+
+  getGateway() {
+    return this.gateway || getMercadoPagoGateway();
+  }
+
+  getSecret() {
+    return this.secret ?? process.env.MERCADOPAGO_WEBHOOK_SECRET;
+  }
+
+  isAvailable() {
+    return this.getGateway().isConfigured();
+  }
+
+  /**
+   * Create a checkout preference from the server-side pricing of the order
+   * @param {Object} order - Saved order
+   * @param {Object} urls - { frontendUrl, backendUrl }
+   * @returns {Promise<Object>} - { reference, paymentUrl, set: { mercadoPagoId } }
+   */
+  async createCheckout(order, { frontendUrl, backendUrl }) {
+    const orderId = order._id.toString();
+    const promotion = order.promotion?.code ? order.promotion : null;
+    let items = order.items.map((item) => ({
+      id: String(item._id),
+      title: formatItemTitle(item),
+      unit_price: item.price,
+      quantity: item.quantity,
+      currency_id: "BRL",
+    }));
+
+    // MercadoPago rejects negative and zero prices: discounted items are charged
+    // as a single line, left out when the coupon covers them all
+    if (promotion?.itemsDiscount > 0) {
+      const itemsTotal = items.reduce((total, item) => total + item.unit_price * item.quantity, 0);
+      const itemsCharge = roundCurrency(itemsTotal - promotion.itemsDiscount);
+      items = itemsCharge > 0 ? [{
+        id: orderId,
+        title: `Pedido (cupom ${promotion.code})`,
+        description: items.map((item) => `${item.quantity}x ${item.title}`).join(", ").slice(0, 250),
+        unit_price: itemsCharge,
+        quantity: 1,
+        currency_id: "BRL",
+      }] : [];
+    }
+
+    const deliveryCharge = roundCurrency((order.deliveryFee || 0) - (promotion?.deliveryDiscount || 0));
+    if (deliveryCharge > 0) {
+      items.push({
+        title: "Delivery Charges",
+        unit_price: deliveryCharge,
+        quantity: 1,
+        currency_id: "BRL",
+      });
+    }
+
+    const preference = await this.getGateway().createPreference({
+      items,
+      ...(promotion && { metadata: { coupon_code: promotion.code, discount: promotion.total } }),
+      back_urls: {
+        success: `${frontendUrl}/verify?success=true&orderId=${orderId}`,
+        failure: `${frontendUrl}/verify?success=false&orderId=${orderId}`,
+        pending: `${frontendUrl}/verify?success=pending&orderId=${orderId}`
+      },
+      external_reference: orderId,
+      notification_url: `${backendUrl}/api/order/webhook`,
+      statement_descriptor: "DELIVERY FOOD"
+    });
+
+    return {
+      reference: preference.id,
+      paymentUrl: preference.init_point,
+      set: { mercadoPagoId: preference.id }
+    };
+  }
+
+  normalizePayment(payment) {
+    return {
+      id: String(payment.id),
+      status: payment.status,
+      orderId: payment.external_reference || null,
+      amount: payment.transaction_amount ?? null
+    };
+  }
+
+  /**
+   * Ask MercadoPago for a payment (read-only)
+   * With an orderId, a payment belonging to another order is never returned and
+   * an approved payment wins over other attempts; otherwise the newest one is used.
+   * @param {Object} query - { orderId, paymentId }
+   * @returns {Promise<Object|null>} - Normalized payment or null
+   */
+  async fetchStatus({ orderId = null, paymentId = null } = {}) {
+    const gateway = this.getGateway();
+    if (!gateway.isConfigured()) return null;
+
+    if (paymentId) {
+      try {
+        const payment = this.normalizePayment(await gateway.getPayment(String(paymentId)));
+        if (!orderId || payment.orderId === String(orderId)) {
+          return payment;
+        }
+      } catch (error) {
+        // Without an order there is nothing to fall back to
+        if (error.status !== 404 || !orderId) throw error;
+      }
+    }
+
+    if (!orderId) return null;
+
+    const payments = (await gateway.searchPaymentsByOrder(String(orderId))).map((payment) => this.normalizePayment(payment));
+    return payments.find((payment) => payment.status === 'approved') || payments[0] || null;
+  }
+
+  /**
+   * Refund the approved payment of an order
+   * @param {Object} order - Paid order (mercadoPagoId holds the payment ID)
+   * @param {Object} options - { amount } for a partial refund
+   * @returns {Promise<Object>} - { manual, refundId, status, amount }
+   */
+  async refund(order, { amount } = {}) {
+    if (!order.payment || !order.mercadoPagoId) {
+      throw createPaymentError("Pedido sem pagamento aprovado para reembolsar", "NOTHING_TO_REFUND", 400);
+    }
+
+    const refund = await this.getGateway().refundPayment(order.mercadoPagoId, amount);
+    return {
+      manual: false,
+      refundId: String(refund.id),
+      status: refund.status,
+      amount: refund.amount ?? amount ?? order.amount
+    };
+  }
+
+  /**
+   * Authenticate a notification sent to /api/order/webhook
+   * @param {Object} notification - { headers, query, body } from the request
+   * @returns {Object} - { verified, reason, type, paymentId, action, requestId }
+   */
+  parseWebhook({ headers = {}, query = {}, body = {} }) {
+    const type = body.type || query.type || query.topic;
+    const dataId = query['data.id'] || body.data?.id;
+    const event = {
+      type,
+      paymentId: dataId ? String(dataId) : null,
+      action: body.action || `${type}.notification`,
+      requestId: headers['x-request-id'] || null
+    };
+
+    const secret = this.getSecret();
+    if (!secret) {
+      return { verified: false, reason: 'missing_secret', ...event };
+    }
+
+    const verified = verifyWebhookSignature({
+      signature: headers['x-signature'],
+      requestId: headers['x-request-id'],
+      dataId,
+      secret
+    });
+    return { verified, reason: verified ? null : 'invalid_signature', ...event };
+  }
+}
+
+/**
+ * Static PIX charge - the customer scans the QR code (or copies the payload)
+ * and the admin confirms the transfer by moving the order to Paid
+ */
+export class PixProvider {
+  constructor(options = {}) {
+    this.id = PAYMENT_METHOD.PIX;
+    this.settlesOnDelivery = false;
+    this.key = options.key ?? process.env.PIX_KEY;
+    this.merchantName = options.merchantName ?? process.env.PIX_MERCHANT_NAME;
+    this.merchantCity = options.merchantCity ?? process.env.PIX_MERCHANT_CITY;
+  }
+
+  isAvailable() {
+    return Boolean(this.key && this.merchantName && this.merchantCity);
+  }
+
+  /**
+   * Build the PIX charge of an order, using the order ID as transaction ID
+   * @param {Object} order - Saved order
+   * @returns {Promise<Object>} - { reference, pix: { payload, qrCode, amount } }
+   */
+  async createCheckout(order) {
+    const reference = order._id.toString();
+    const payload = buildPixPayload({
+      key: this.key,
+      merchantName: this.merchantName,
+      merchantCity: this.merchantCity,
+      amount: order.amount,
+      txid: reference
+    });
+    const qrCode = await QRCode.toDataURL(payload, { margin: 1, width: 280 });
+
+    return { reference, pix: { payload, qrCode, amount: order.amount } };
+  }
+
+  async fetchStatus() {
+    return null;
+  }
+
+  async refund(order, { amount } = {}) {
+    return { manual: true, refundId: null, status: 'manual', amount: amount ?? order.amount };
+  }
+
+  parseWebhook() {
+    return unsupportedWebhook();
+  }
+}
+
+/**
+ * Paid to the driver on delivery, in cash or with the card machine
+ * The order counts as paid once it is delivered.
+ */
+export class PayOnDeliveryProvider {
+  constructor(id) {
+    this.id = id;
+    this.settlesOnDelivery = true;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async createCheckout() {
+    return { reference: null };
+  }
+
+  async fetchStatus() {
+    return null;
+  }
+
+  async refund(order, { amount } = {}) {
+    return { manual: true, refundId: null, status: 'manual', amount: amount ?? order.amount };
+  }
+
+  parseWebhook() {
+    return unsupportedWebhook();
+  }
+}
+
+const providerFactories = {
+  [PAYMENT_METHOD.MERCADOPAGO]: () => new MercadoPagoProvider(),
+  [PAYMENT_METHOD.PIX]: () => new PixProvider(),
+  [PAYMENT_METHOD.CASH_ON_DELIVERY]: () => new PayOnDeliveryProvider(PAYMENT_METHOD.CASH_ON_DELIVERY),
+  [PAYMENT_METHOD.CARD_ON_DELIVERY]: () => new PayOnDeliveryProvider(PAYMENT_METHOD.CARD_ON_DELIVERY)
+};
+
+const activeProviders = new Map();
+
+/**
+ * Get the provider of a payment method (created lazily)
+ * @param {string} method - Payment method ID
+ * @returns {Object|null} - Provider instance, or null for an unknown method
+ */
+export const getPaymentProvider = (method) => {
+  if (!providerFactories[method]) return null;
+  if (!activeProviders.has(method)) {
+    activeProviders.set(method, providerFactories[method]());
+  }
+  return activeProviders.get(method);
+};
+
+/**
+ * Replace the provider of a payment method
+ * @param {string} method - Payment method ID
+ * @param {Object|null} provider - Object implementing the provider contract, or null to reset
+ */
+export const setPaymentProvider = (method, provider) => {
+  if (provider) {
+    activeProviders.set(method, provider);
+  } else {
+    activeProviders.delete(method);
+  }
+};
+
+/**
+ * Whether a method is enabled by PAYMENT_METHODS (all methods by default)
+ * @param {string} method - Payment method ID
+ * @returns {boolean}
+ */
+export const isPaymentMethodEnabled = (method) => {
+  const enabled = (process.env.PAYMENT_METHODS || '')
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean);
+  return PAYMENT_METHOD_VALUES.includes(method) && (enabled.length === 0 || enabled.includes(method));
+};
+
+/**
+ * Methods the customer can choose at checkout
+ * @returns {Array<Object>} - [{ id, settlesOnDelivery }]
+ */
+export const listPaymentMethods = () =>
+  PAYMENT_METHOD_VALUES
+    .filter((method) => isPaymentMethodEnabled(method) && getPaymentProvider(method).isAvailable())
+    .map((method) => ({ id: method, settlesOnDelivery: getPaymentProvider(method).settlesOnDelivery }));
+
+/**
+ * Methods paid on delivery (their orders never expire for lack of payment)
+ * @returns {string[]} - Payment method IDs
+ */
+export const getPayOnDeliveryMethods = () =>
+  PAYMENT_METHOD_VALUES.filter((method) => getPaymentProvider(method).settlesOnDelivery);
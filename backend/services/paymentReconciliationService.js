@@ -0,0 +1,193 @@
+import orderModel from "../models/orderModel.js";
+import { getPaymentProvider, getPayOnDeliveryMethods } from "./paymentProviders.js";
+import { applyProviderPayment } from "./paymentWebhookService.js";
+import { ORDER_STATUS, isStatusError } from "../utils/orderStatus.js";
+import { PAYMENT_METHOD, DEFAULT_PAYMENT_METHOD } from "../utils/paymentMethods.js";
+import { logger } from "../utils/logger.js";
+
+const RECONCILIATION_ACTOR = 'payment-reconciliation';
+
+/**
+ * Payment Reconciliation Service
+ *
+ * Catches up with payments whose webhook never arrived: orders stuck in
+ * Pending are checked against their payment provider, and orders that stay
+ * unpaid for too long are expired (never deleted). Orders paid on delivery
+ * are left alone.
+ */
+class PaymentReconciliationService {
+  constructor(options = {}) {
+    // Give the webhook a chance before asking the provider
+    this.pendingAfterMinutes = options.pendingAfterMinutes ?? (parseInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES) || 5);
+    this.expireAfterMinutes = options.expireAfterMinutes ?? (parseInt(process.env.ORDER_EXPIRE_AFTER_MINUTES) || 120);
+    this.batchSize = options.batchSize || 100;
+    this.timer = null;
+    this.running = false;
+  }
+
+  getProvider(order) {
+    return getPaymentProvider(order.paymentMethod || DEFAULT_PAYMENT_METHOD);
+  }
+
+  /**
+   * Ask the provider for the payment of an order (read-only)
+   * @param {Object} order - Order document
+   * @param {string|null} paymentId - Payment ID from the checkout redirect, if any
+   * @returns {Promise<Object|null>} - Normalized payment ({ id, status, orderId, amount }) or null
+   */
+  async findProviderPayment(order, paymentId = null) {
+    const provider = this.getProvider(order);
+    if (!provider || !provider.isAvailable()) return null;
+
+    return provider.fetchStatus({ orderId: order._id.toString(), paymentId });
+  }
+
+  /**
+   * Sync one order with the status reported by the provider
+   * @param {Object} order - Order document
+   * @returns {Promise<Object>} - { orderId, result: 'updated' | 'unchanged' | 'no_payment', paymentStatus }
+   */
+  async reconcileOrder(order) {
+    const orderId = order._id.toString();
+    const payment = await this.findProviderPayment(order);
+
+    if (!payment) {
+      return { orderId, result: 'no_payment', paymentStatus: null };
+    }
+
+    const { result, reason } = await applyProviderPayment(payment, RECONCILIATION_ACTOR);
+    if (result === 'processed') {
+      logger.backend.info(`Reconciled order ${orderId} with payment ${payment.id} (${payment.status})`);
+    }
+
+    return {
+      orderId,
+      result: result === 'processed' ? 'updated' : 'unchanged',
+      paymentStatus: payment.status,
+      reason
+    };
+  }
+
+  /**
+   * Check orders stuck in Pending that already started a MercadoPago checkout
+   * @returns {Promise<Object>} - { checked, updated, errors }
+   */
+  async reconcilePendingOrders() {
+    const summary = { checked: 0, updated: 0, errors: 0 };
+    if (!getPaymentProvider(PAYMENT_METHOD.MERCADOPAGO).isAvailable()) return summary;
+
+    const cutoff = new Date(Date.now() - this.pendingAfterMinutes * 60 * 1000);
+    // Orders placed before the payment method was stored have none (null)
+    const orders = await orderModel.find({
+      status: ORDER_STATUS.PENDING,
+      payment: false,
+      paymentMethod: { $in: [PAYMENT_METHOD.MERCADOPAGO, null] },
+      mercadoPagoId: { $exists: true, $ne: null },
+      createdAt: { $lte: cutoff }
+    }).sort({ createdAt: 1 }).limit(this.batchSize);
+
+    for (const order of orders) {
+      summary.checked += 1;
+      try {
+        const { result } = await this.reconcileOrder(order);
+        if (result === 'updated') summary.updated += 1;
+      } catch (error) {
+        summary.errors += 1;
+        logger.backend.error(`Error reconciling order ${order._id}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Expire orders that stayed unpaid for longer than expireAfterMinutes
+   * Orders are checked against the provider first so a paid order is never expired.
+   * @returns {Promise<Object>} - { checked, expired, errors }
+   */
+  async expireAbandonedOrders() {
+    const summary = { checked: 0, expired: 0, errors: 0 };
+    const cutoff = new Date(Date.now() - this.expireAfterMinutes * 60 * 1000);
+
+    const orders = await orderModel.find({
+      status: { $in: [ORDER_STATUS.PENDING, ORDER_STATUS.FAILED] },
+      payment: false,
+      paymentMethod: { $nin: getPayOnDeliveryMethods() },
+      createdAt: { $lte: cutoff }
+    }).sort({ createdAt: 1 }).limit(this.batchSize);
+
+    for (const order of orders) {
+      summary.checked += 1;
+      try {
+        if (order.mercadoPagoId) {
+          const { result } = await this.reconcileOrder(order);
+          if (result === 'updated') {
+            const refreshed = await orderModel.findById(order._id);
+            if (refreshed.payment) continue;
+          }
+        }
+
+        await orderModel.transitionStatus(order._id, ORDER_STATUS.EXPIRED, {
+          changedBy: RECONCILIATION_ACTOR,
+          note: `Pagamento não concluído em ${this.expireAfterMinutes} minutos`
+        });
+        summary.expired += 1;
+      } catch (error) {
+        // A concurrent status change (e.g. the webhook) wins over expiring
+        if (!isStatusError(error)) {
+          summary.errors += 1;
+          logger.backend.error(`Error expiring order ${order._id}:`, error);
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Run a full reconciliation pass
+   * @returns {Promise<Object>} - { reconciled, expired }
+   */
+  async run() {
+    if (this.running) {
+      return { skipped: true };
+    }
+
+    this.running = true;
+    try {
+      const reconciled = await this.reconcilePendingOrders();
+      const expired = await this.expireAbandonedOrders();
+      if (reconciled.updated || expired.expired || reconciled.errors || expired.errors) {
+        logger.backend.info(`Payment reconciliation: ${JSON.stringify({ reconciled, expired })}`);
+      }
+      return { reconciled, expired };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run the reconciliation periodically
+   * @param {number} intervalMinutes - Minutes between runs (0 disables the job)
+   */
+  start(intervalMinutes = parseInt(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES ?? '10')) {
+    if (this.timer || !(intervalMinutes > 0)) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) => logger.backend.error('Payment reconciliation failed:', error));
+    }, intervalMinutes * 60 * 1000);
+    // Never keep the process alive just for this job
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export const paymentReconciliationService = new PaymentReconciliationService();
+
+export default PaymentReconciliationService;
@@ -0,0 +1,283 @@
+import orderModel from "../models/orderModel.js";
+import paymentNotificationModel from "../models/paymentNotificationModel.js";
+import { getPaymentProvider } from "./paymentProviders.js";
+import { orderCancellationService } from "./orderCancellationService.js";
+import { orderEventsService, ORDER_EVENT } from "./orderEventsService.js";
+import { PAYMENT_METHOD } from "../utils/paymentMethods.js";
+import { ORDER_STATUS, isStatusError } from "../utils/orderStatus.js";
+import { roundCurrency } from "../utils/orderPricing.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Order status for each MercadoPago payment status
+ */
+const PAYMENT_STATUS_MAP = {
+  approved: { status: ORDER_STATUS.PAID, payment: true },
+  rejected: { status: ORDER_STATUS.FAILED, payment: false },
+  cancelled: { status: ORDER_STATUS.FAILED, payment: false },
+  pending: { status: ORDER_STATUS.PENDING, payment: false },
+  in_process: { status: ORDER_STATUS.PENDING, payment: false }
+};
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Apply a payment confirmed by the provider API to its order
+ * Shared by the webhook and the reconciliation job.
+ * @param {Object} paymentInfo - Normalized payment from provider.fetchStatus ({ id, status, orderId, amount })
+ * @param {string} changedBy - Actor recorded in the order status history
+ * @returns {Promise<Object>} - { result: 'processed' | 'ignored', reason }
+ */
+export const applyProviderPayment = async (paymentInfo, changedBy) => {
+  const paymentId = String(paymentInfo.id);
+  const orderId = paymentInfo.orderId;
+  const target = PAYMENT_STATUS_MAP[paymentInfo.status];
+
+  if (!target) {
+    return { result: 'ignored', reason: `Unknown payment status ${paymentInfo.status}` };
+  }
+
+  const order = orderId ? await orderModel.findById(orderId) : null;
+  if (!order) {
+    return { result: 'ignored', reason: `Order ${orderId} not found` };
+  }
+
+  // Out-of-order events (or another payment attempt for the same order)
+  // must never downgrade an approved order
+  if (order.payment && !target.payment) {
+    return { result: 'ignored', reason: `Order ${orderId} already paid, ignoring ${paymentInfo.status}` };
+  }
+
+  if (order.status === target.status && order.payment === target.payment && order.mercadoPagoId === paymentId) {
+    return { result: 'ignored', reason: `Order ${orderId} already ${target.status}` };
+  }
+
+  // Only a payment of the whole amount confirms the order
+  if (target.payment && !coversOrder(paymentInfo, order)) {
+    return flagAmountMismatch(order, paymentInfo);
+  }
+
+  try {
+    await orderModel.transitionStatus(orderId, target.status, {
+      changedBy,
+      note: `Payment ${paymentId}: ${paymentInfo.status}`,
+      set: { payment: target.payment, mercadoPagoId: paymentId }
+    });
+  } catch (error) {
+    if (!isStatusError(error)) throw error;
+    if (target.payment) {
+      return refundLatePayment(orderId, paymentId, changedBy);
+    }
+    return { result: 'ignored', reason: error.message };
+  }
+
+  logger.backend.info(`Order ${orderId} updated from payment ${paymentId}: status=${target.status}, payment=${target.payment}`);
+  return { result: 'processed', reason: null };
+};
+
+const coversOrder = (paymentInfo, order) =>
+  paymentInfo.amount !== null && paymentInfo.amount !== undefined
+  && roundCurrency(paymentInfo.amount) === roundCurrency(order.amount);
+
+const formatMoney = (value) => `R$ ${Number(value || 0).toFixed(2).replace(".", ",")}`;
+
+/**
+ * Handle an approved payment whose amount differs from the order amount:
+ * the order stays unpaid and the admins are alerted to check it.
+ * @param {Object} order - Order
+ * @param {Object} paymentInfo - Normalized payment
+ * @returns {Promise<Object>} - { result: 'ignored', reason }
+ */
+const flagAmountMismatch = async (order, paymentInfo) => {
+  const paymentId = String(paymentInfo.id);
+  const reason = `Payment ${paymentId} of ${paymentInfo.amount} does not match order ${order._id} amount ${order.amount}`;
+
+  // Recording the payment on the order lets the store refund it, and makes
+  // replays and reconciliation runs alert only once
+  const flagged = await orderModel.findOneAndUpdate(
+    { _id: order._id, payment: false, mercadoPagoId: { $ne: paymentId } },
+    { $set: { mercadoPagoId: paymentId } },
+    { new: true }
+  );
+  if (flagged) {
+    logger.backend.error(reason);
+    orderEventsService.publish(ORDER_EVENT.ATTENTION, flagged, {
+      code: 'PAYMENT_AMOUNT_MISMATCH',
+      message: `Pagamento de ${formatMoney(paymentInfo.amount)} não confere com o valor do pedido (${formatMoney(order.amount)}). Confira antes de preparar.`,
+      paymentId,
+      amount: paymentInfo.amount
+    });
+  }
+  return { result: 'ignored', reason };
+};
+
+/**
+ * Handle a payment approved for an order that can no longer be paid
+ * (cancelled meanwhile): the payment is recorded on the order and refunded.
+ * If the refund fails the order stays refundable from the admin panel; in
+ * both cases the admins are alerted.
+ * @param {string} orderId - Order ID
+ * @param {string} paymentId - Provider payment ID
+ * @param {string} changedBy - Actor recorded on the refund
+ * @returns {Promise<Object>} - { result: 'refunded' | 'refund_failed' | 'ignored', reason }
+ */
+const refundLatePayment = async (orderId, paymentId, changedBy) => {
+  // Once recorded, replays of the notification find the order paid and stop earlier
+  const order = await orderModel.findOneAndUpdate(
+    { _id: orderId, payment: false, status: ORDER_STATUS.CANCELLED },
+    { $set: { payment: true, mercadoPagoId: paymentId } },
+    { new: true }
+  );
+  if (!order) {
+    return { result: 'ignored', reason: `Order ${orderId} changed while handling late payment ${paymentId}` };
+  }
+
+  logger.backend.error(`Payment ${paymentId} approved after order ${orderId} was ${order.status} - refunding it`);
+  let outcome;
+  try {
+    await orderCancellationService.issueRefund(order, {
+      items: [],
+      reason: 'Pagamento aprovado após o cancelamento do pedido',
+      requestedBy: changedBy
+    });
+    outcome = {
+      result: 'refunded',
+      reason: `Payment ${paymentId} approved after the order was cancelled, refunded`,
+      message: 'Pagamento aprovado após o cancelamento foi reembolsado'
+    };
+  } catch (error) {
+    logger.backend.error(`Refund of late payment ${paymentId} for order ${orderId} failed:`, error);
+    outcome = {
+      result: 'refund_failed',
+      reason: `Payment ${paymentId} approved after the order was cancelled, refund failed: ${error.message}`,
+      message: 'Pagamento aprovado após o cancelamento. O reembolso falhou: reembolse o pedido manualmente.'
+    };
+  }
+
+  orderEventsService.publish(ORDER_EVENT.ATTENTION, order, { code: 'LATE_PAYMENT', message: outcome.message });
+  return { result: outcome.result, reason: outcome.reason };
+};
+
+/**
+ * Processes MercadoPago payment notifications
+ *
+ * Every notification is authenticated by the provider, confirmed against the
+ * provider API and recorded in paymentNotificationModel before touching the order, so
+ * retries and replays are acknowledged without side effects.
+ */
+class PaymentWebhookService {
+  constructor(options = {}) {
+    this.provider = options.provider || null;
+  }
+
+  getProvider() {
+    return this.provider || getPaymentProvider(PAYMENT_METHOD.MERCADOPAGO);
+  }
+
+  /**
+   * Handle a notification sent to /api/order/webhook
+   * @param {Object} notification - { headers, query, body } from the request
+   * @returns {Promise<Object>} - { success, statusCode, message, data: { result } }
+   */
+  async handleMercadoPagoNotification({ headers = {}, query = {}, body = {} }) {
+    const provider = this.getProvider();
+    const event = provider.parseWebhook({ headers, query, body });
+
+    if (event.reason === 'missing_secret') {
+      logger.backend.error('MERCADOPAGO_WEBHOOK_SECRET not configured - rejecting webhook');
+      return this.reply(false, 401, 'Webhook secret not configured');
+    }
+    if (!event.verified) {
+      logger.backend.warn(`Rejected MercadoPago webhook with invalid signature (data.id=${event.paymentId})`);
+      return this.reply(false, 401, 'Invalid signature');
+    }
+
+    if (event.type !== 'payment') {
+      return this.reply(true, 200, `Ignoring webhook type: ${event.type}`, 'ignored');
+    }
+    if (!event.paymentId) {
+      return this.reply(false, 400, 'Invalid webhook data');
+    }
+
+    if (!provider.isAvailable()) {
+      return this.reply(true, 200, 'MercadoPago not configured, ignoring webhook', 'ignored');
+    }
+
+    let paymentInfo;
+    try {
+      paymentInfo = await provider.fetchStatus({ paymentId: event.paymentId });
+    } catch (error) {
+      if (error.status === 404) {
+        return this.reply(false, 404, 'Payment not found');
+      }
+      logger.backend.error('Error verifying payment with MercadoPago API:', error);
+      return this.reply(false, 500, 'Error verifying payment');
+    }
+
+    const notification = await this.claimNotification({
+      paymentId: paymentInfo.id,
+      action: event.action,
+      paymentStatus: paymentInfo.status || 'unknown',
+      orderId: paymentInfo.orderId,
+      requestId: event.requestId
+    });
+
+    if (!notification) {
+      return this.reply(true, 200, 'Duplicate notification', 'duplicate');
+    }
+
+    try {
+      const { result, reason } = await applyProviderPayment(paymentInfo, 'mercadopago-webhook');
+      await this.finishNotification(notification, result, reason);
+      return this.reply(true, 200, reason || 'OK', result);
+    } catch (error) {
+      logger.backend.error(`Error processing payment ${event.paymentId}:`, error);
+      await this.finishNotification(notification, 'failed', error.message);
+      // Non-2xx makes MercadoPago retry; the failed record is picked up again
+      return this.reply(false, 500, 'Error processing webhook');
+    }
+  }
+
+  /**
+   * Record a notification, or reclaim it if a previous attempt failed
+   * @param {Object} data - Notification key and metadata
+   * @returns {Promise<Object|null>} - Notification to process, or null for a duplicate
+   */
+  async claimNotification(data) {
+    try {
+      return await paymentNotificationModel.create({ provider: 'mercadopago', ...data });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+    }
+
+    const key = {
+      provider: 'mercadopago',
+      paymentId: data.paymentId,
+      action: data.action,
+      paymentStatus: data.paymentStatus
+    };
+
+    const retried = await paymentNotificationModel.findOneAndUpdate(
+      { ...key, result: 'failed' },
+      { $set: { result: 'processing', reason: null }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (retried) return retried;
+
+    await paymentNotificationModel.updateOne(key, { $inc: { duplicates: 1 } });
+    return null;
+  }
+
+  async finishNotification(notification, result, reason) {
+    await paymentNotificationModel.updateOne(
+      { _id: notification._id },
+      { $set: { result, reason: reason || null, processedAt: new Date() } }
+    );
+  }
+
+  reply(success, statusCode, message, result = null) {
+    return { success, statusCode, message, data: { result } };
+  }
+}
+
+export default PaymentWebhookService;
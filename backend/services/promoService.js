@@ -0,0 +1,329 @@
+import mongoose from "mongoose";
+import couponModel from "../models/couponModel.js";
+import couponRedemptionModel, { REDEMPTION_STATUS } from "../models/couponRedemptionModel.js";
+import couponUsageModel from "../models/couponUsageModel.js";
+import zoneModel from "../models/zoneModel.js";
+import { calculateOrderPricing, getDeliveryFee } from "../utils/orderPricing.js";
+import { getZoneDeliveryTerms } from "../utils/zoneDelivery.js";
+import { LOCATION_ZONE_MISMATCH_MESSAGE, getDeliveryDistanceKm, parseGeoPoint } from "../utils/geoZones.js";
+import {
+  assertCouponActive,
+  createPromoError,
+  normalizeCouponCode,
+  parseCouponInput
+} from "../utils/promotions.js";
+import { logger } from "../utils/logger.js";
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Promo Service
+ *
+ * Manages coupons and their usage. An order placed with a coupon reserves
+ * one use (global `usageLimit` and per-customer `perUserLimit`); the use is
+ * confirmed when the order is paid and given back when it is cancelled or
+ * expires, so abandoned checkouts never exhaust a coupon. Both limits are
+ * enforced by guarded counter updates (coupon.usageCount and couponUsage.count),
+ * so simultaneous checkouts can never go past them.
+ */
+class PromoService {
+  /**
+   * Find a coupon usable by a customer right now
+   * The limits are checked early to show the customer a clear error; they
+   * are enforced again, atomically, when the use is reserved (reserveForOrder).
+   * @param {string} code - Code typed by the customer
+   * @param {string} userId - Customer ID
+   * @param {Date} now - Current moment
+   * @returns {Promise<Object>} - Coupon
+   * @throws {Error} - COUPON_NOT_FOUND (404), COUPON_INACTIVE/NOT_STARTED/EXPIRED (400),
+   *   COUPON_USAGE_LIMIT or COUPON_USER_LIMIT (409)
+   */
+  async getUsableCoupon(code, userId, now = new Date()) {
+    const normalized = normalizeCouponCode(code);
+    const coupon = normalized ? await couponModel.findOne({ code: normalized }).lean() : null;
+    if (!coupon) {
+      throw createPromoError("Cupom não encontrado", "COUPON_NOT_FOUND", 404);
+    }
+
+    assertCouponActive(coupon, now);
+
+    if (coupon.usageLimit !== null && coupon.usageCount >= coupon.usageLimit) {
+      throw createPromoError("Este cupom esgotou", "COUPON_USAGE_LIMIT", 409);
+    }
+    if (coupon.perUserLimit !== null) {
+      const used = await couponRedemptionModel.countDocuments({
+        couponId: coupon._id,
+        userId,
+        status: { $ne: REDEMPTION_STATUS.RELEASED }
+      });
+      if (used >= coupon.perUserLimit) {
+        throw createPromoError("Você já usou este cupom", "COUPON_USER_LIMIT", 409);
+      }
+    }
+
+    return coupon;
+  }
+
+  /**
+   * Price a cart with a coupon, without reserving it (Cart page)
+   * @param {Object} request - { code, items, neighborhood?, location?: { lat, lng } }
+   * @param {string} userId - Customer ID
+   * @returns {Promise<Object>} - { code, description, type, subtotal, deliveryFee, discount, promotion, total }
+   * @throws {Error} - Promotion or pricing error
+   */
+  async validate({ code, items, neighborhood, location } = {}, userId) {
+    const coupon = await this.getUsableCoupon(code, userId);
+    const point = parseGeoPoint(location);
+    const zone = await zoneModel.findForAddress({ neighborhood, location: point }).catch((error) => {
+      throw error.code === "LOCATION_ZONE_MISMATCH"
+        ? createPromoError(LOCATION_ZONE_MISMATCH_MESSAGE, error.code, 400)
+        : error;
+    });
+    const pricing = await calculateOrderPricing({
+      items,
+      coupon,
+      delivery: zone ? getZoneDeliveryTerms(zone, getDeliveryFee(), getDeliveryDistanceKm(zone, point)) : undefined
+    });
+
+    return {
+      code: coupon.code,
+      description: coupon.description || "",
+      type: coupon.type,
+      subtotal: pricing.subtotal,
+      deliveryFee: pricing.deliveryFee,
+      discount: pricing.discount,
+      promotion: pricing.promotion,
+      total: pricing.total
+    };
+  }
+
+  /**
+   * Reserve one use of a coupon for an order about to be saved
+   * @param {Object} order - Order with `_id`, `userId` and `promotion`
+   * @returns {Promise<Object>} - Redemption
+   * @throws {Error} - COUPON_USAGE_LIMIT or COUPON_USER_LIMIT (409) when the
+   *   last use was just taken
+   */
+  async reserveForOrder(order) {
+    const { couponId, code, total } = order.promotion;
+    const claimed = await couponModel.findOneAndUpdate(
+      {
+        _id: couponId,
+        isActive: true,
+        $or: [{ usageLimit: null }, { $expr: { $lt: ["$usageCount", "$usageLimit"] } }]
+      },
+      { $inc: { usageCount: 1 } }
+    );
+    if (!claimed) {
+      throw createPromoError("Este cupom esgotou", "COUPON_USAGE_LIMIT", 409);
+    }
+
+    let userClaimed = false;
+    try {
+      userClaimed = await this.claimUserUse(couponId, order.userId, claimed.perUserLimit);
+      if (!userClaimed) {
+        throw createPromoError("Você já usou este cupom", "COUPON_USER_LIMIT", 409);
+      }
+
+      return await couponRedemptionModel.create({
+        couponId,
+        code,
+        userId: order.userId,
+        orderId: String(order._id),
+        discount: total
+      });
+    } catch (error) {
+      await couponModel.updateOne({ _id: couponId }, { $inc: { usageCount: -1 } });
+      if (userClaimed) {
+        await this.releaseUserUse(couponId, order.userId);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Take one use from the customer's counter of a coupon
+   * The counter is created on first use from the customer's open redemptions,
+   * so uses reserved before counters existed still count.
+   * @param {string} couponId - Coupon ID
+   * @param {string} userId - Customer ID
+   * @param {number|null} limit - perUserLimit of the coupon (null means unlimited)
+   * @returns {Promise<boolean>} - Whether a use was taken
+   */
+  async claimUserUse(couponId, userId, limit) {
+    const key = { couponId, userId };
+    if (!(await couponUsageModel.exists(key))) {
+      const used = await couponRedemptionModel.countDocuments({
+        ...key,
+        status: { $ne: REDEMPTION_STATUS.RELEASED }
+      });
+      try {
+        await couponUsageModel.updateOne(key, { $setOnInsert: { count: used } }, { upsert: true });
+      } catch (error) {
+        // Created by a simultaneous checkout of the same customer
+        if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+      }
+    }
+
+    const claimed = await couponUsageModel.findOneAndUpdate(
+      limit === null ? key : { ...key, count: { $lt: limit } },
+      { $inc: { count: 1 } }
+    );
+    return Boolean(claimed);
+  }
+
+  /**
+   * Give a use back to the customer's counter of a coupon
+   * @param {string} couponId - Coupon ID
+   * @param {string} userId - Customer ID
+   */
+  async releaseUserUse(couponId, userId) {
+    await couponUsageModel.updateOne({ couponId, userId, count: { $gt: 0 } }, { $inc: { count: -1 } });
+  }
+
+  /**
+   * Give back the use held by a cancelled or expired order (at most once)
+   * @param {string} orderId - Order ID
+   * @returns {Promise<boolean>} - Whether a use was released
+   */
+  async releaseForOrder(orderId) {
+    const redemption = await couponRedemptionModel.findOneAndUpdate(
+      { orderId: String(orderId), status: { $ne: REDEMPTION_STATUS.RELEASED } },
+      { $set: { status: REDEMPTION_STATUS.RELEASED } }
+    );
+    if (!redemption) return false;
+
+    await couponModel.updateOne({ _id: redemption.couponId, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+    await this.releaseUserUse(redemption.couponId, redemption.userId);
+    logger.backend.info(`Released coupon ${redemption.code} of order ${orderId}`);
+    return true;
+  }
+
+  /**
+   * Confirm the use of a paid order
+   * A payment arriving after the order expired takes the use back even
+   * past the limit - the customer was already charged the discounted amount.
+   * @param {string} orderId - Order ID
+   * @returns {Promise<boolean>} - Whether the redemption changed
+   */
+  async confirmForOrder(orderId) {
+    const redemption = await couponRedemptionModel.findOneAndUpdate(
+      { orderId: String(orderId), status: { $ne: REDEMPTION_STATUS.REDEEMED } },
+      { $set: { status: REDEMPTION_STATUS.REDEEMED } }
+    );
+    if (!redemption) return false;
+
+    if (redemption.status === REDEMPTION_STATUS.RELEASED) {
+      await couponModel.updateOne({ _id: redemption.couponId }, { $inc: { usageCount: 1 } });
+      await couponUsageModel.updateOne(
+        { couponId: redemption.couponId, userId: redemption.userId },
+        { $inc: { count: 1 } }
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Coupons with their redemption stats (admin)
+   * @returns {Promise<Array>} - Coupons with `stats: { reserved, redeemed, released, totalDiscount }`
+   */
+  async listWithStats() {
+    const [coupons, stats] = await Promise.all([
+      couponModel.find({}).sort({ createdAt: -1 }).lean(),
+      couponRedemptionModel.aggregate([
+        {
+          $group: {
+            _id: { couponId: "$couponId", status: "$status" },
+            count: { $sum: 1 },
+            discount: { $sum: "$discount" }
+          }
+        }
+      ])
+    ]);
+
+    const statsByCoupon = new Map();
+    for (const { _id, count, discount } of stats) {
+      const key = String(_id.couponId);
+      const entry = statsByCoupon.get(key) || { reserved: 0, redeemed: 0, released: 0, totalDiscount: 0 };
+      entry[_id.status] = count;
+      if (_id.status === REDEMPTION_STATUS.REDEEMED) {
+        entry.totalDiscount = Math.round(discount * 100) / 100;
+      }
+      statsByCoupon.set(key, entry);
+    }
+
+    return coupons.map((coupon) => ({
+      ...coupon,
+      stats: statsByCoupon.get(String(coupon._id)) || { reserved: 0, redeemed: 0, released: 0, totalDiscount: 0 }
+    }));
+  }
+
+  /**
+   * Create a coupon
+   * @param {Object} input - Coupon fields (see parseCouponInput)
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<Object>} - Saved coupon
+   * @throws {Error} - INVALID_COUPON (400) or COUPON_CODE_TAKEN (409)
+   */
+  async createCoupon(input, createdBy) {
+    const fields = parseCouponInput(input);
+    try {
+      const coupon = await couponModel.create({ ...fields, createdBy });
+      return coupon.toObject();
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        throw createPromoError("Já existe um cupom com este código", "COUPON_CODE_TAKEN", 409, { field: "code" });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the fields of a coupon (usage is kept)
+   * @param {string} couponId - Coupon ID
+   * @param {Object} input - Coupon fields (see parseCouponInput)
+   * @returns {Promise<Object>} - Saved coupon
+   * @throws {Error} - COUPON_NOT_FOUND (404), INVALID_COUPON (400) or COUPON_CODE_TAKEN (409)
+   */
+  async updateCoupon(couponId, input) {
+    const fields = parseCouponInput(input);
+    try {
+      const coupon = mongoose.isValidObjectId(couponId)
+        ? await couponModel.findByIdAndUpdate(couponId, { $set: fields }, { new: true, runValidators: true }).lean()
+        : null;
+      if (!coupon) {
+        throw createPromoError("Cupom não encontrado", "COUPON_NOT_FOUND", 404);
+      }
+      return coupon;
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        throw createPromoError("Já existe um cupom com este código", "COUPON_CODE_TAKEN", 409, { field: "code" });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a coupon never used, or switch off one that was (keeps the stats)
+   * @param {string} couponId - Coupon ID
+   * @returns {Promise<Object>} - { deleted } whether it was deleted rather than switched off
+   * @throws {Error} - COUPON_NOT_FOUND (404)
+   */
+  async removeCoupon(couponId) {
+    const coupon = mongoose.isValidObjectId(couponId) ? await couponModel.findById(couponId) : null;
+    if (!coupon) {
+      throw createPromoError("Cupom não encontrado", "COUPON_NOT_FOUND", 404);
+    }
+
+    if (await couponRedemptionModel.exists({ couponId: coupon._id })) {
+      await couponModel.updateOne({ _id: coupon._id }, { $set: { isActive: false } });
+      return { deleted: false };
+    }
+    await couponModel.deleteOne({ _id: coupon._id });
+    return { deleted: true };
+  }
+}
+
+export const promoService = new PromoService();
+
+export default PromoService;
@@ -0,0 +1,143 @@
+import storeSettingsModel from "../models/storeSettingsModel.js";
+import {
+  DEFAULT_SCHEDULED_ORDERS,
+  createStoreError,
+  getStoreStatus,
+  listScheduleSlots,
+  parseStoreSettings
+} from "../utils/storeHours.js";
+
+const SETTINGS_KEY = "store";
+
+// Longest "busy" pause an admin can set at once
+const MAX_PAUSE_MINUTES = 24 * 60;
+
+/**
+ * Store Settings Service
+ *
+ * Keeps the store's opening hours, holiday exceptions, "busy" pause and
+ * scheduled-order rules in a single document, and answers whether an order
+ * can be placed now or for a later time. Without a saved document the store
+ * is open all day and scheduled orders are disabled.
+ */
+class StoreSettingsService {
+  /**
+   * Current settings (defaults when never saved)
+   * @returns {Promise<Object>} - Plain settings object
+   */
+  async getSettings() {
+    const settings = await storeSettingsModel.findOne({ key: SETTINGS_KEY }).lean();
+    return settings || {
+      key: SETTINGS_KEY,
+      weeklyHours: [],
+      exceptions: [],
+      pause: { active: false, until: null },
+      scheduledOrders: { ...DEFAULT_SCHEDULED_ORDERS }
+    };
+  }
+
+  /**
+   * Replace the hours, exceptions and/or scheduled-order rules
+   * @param {Object} input - { weeklyHours?, exceptions?, scheduledOrders? }
+   * @param {string} updatedBy - Admin user ID
+   * @returns {Promise<Object>} - Saved settings
+   * @throws {Error} - INVALID_STORE_SETTINGS (400)
+   */
+  async updateSettings(input, updatedBy) {
+    const changes = parseStoreSettings(input);
+    return storeSettingsModel.findOneAndUpdate(
+      { key: SETTINGS_KEY },
+      { $set: { ...changes, updatedBy } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+  }
+
+  /**
+   * Switch the "busy" pause on or off
+   * @param {Object} pause - { active, minutes?, message? } (no minutes: until switched off)
+   * @param {string} changedBy - Admin user ID
+   * @returns {Promise<Object>} - Saved settings
+   * @throws {Error} - INVALID_STORE_SETTINGS (400)
+   */
+  async setPause({ active, minutes, message } = {}, changedBy) {
+    if (typeof active !== "boolean") {
+      throw createStoreError("Informe se a loja deve ser pausada", "INVALID_STORE_SETTINGS", 400, { field: "active" });
+    }
+
+    let until = null;
+    if (active && minutes !== undefined && minutes !== null && minutes !== "") {
+      const duration = Number(minutes);
+      if (!Number.isInteger(duration) || duration < 1 || duration > MAX_PAUSE_MINUTES) {
+        throw createStoreError(`A pausa deve durar entre 1 e ${MAX_PAUSE_MINUTES} minutos`, "INVALID_STORE_SETTINGS", 400, { field: "minutes" });
+      }
+      until = new Date(Date.now() + duration * 60000);
+    }
+
+    return storeSettingsModel.findOneAndUpdate(
+      { key: SETTINGS_KEY },
+      {
+        $set: {
+          pause: {
+            active,
+            until,
+            message: active && typeof message === "string" ? message.trim().slice(0, 140) : "",
+            changedBy
+          }
+        }
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+  }
+
+  /**
+   * Whether the store takes orders now, plus the slots for scheduled orders
+   * @param {Date} now - Current moment
+   * @returns {Promise<Object>} - Status from getStoreStatus plus `slots`
+   */
+  async getStatus(now = new Date()) {
+    const settings = await this.getSettings();
+    return {
+      ...getStoreStatus(settings, { now }),
+      slots: listScheduleSlots(settings, { now })
+    };
+  }
+
+  /**
+   * Check that an order can be placed now, or for the requested time
+   * @param {Object} request - { scheduledFor } ISO date, empty for "as soon as possible"
+   * @param {Date} now - Current moment
+   * @returns {Promise<Date|null>} - Scheduled delivery time, or null for now
+   * @throws {Error} - STORE_CLOSED (409) or INVALID_SCHEDULED_TIME (400)
+   */
+  async assertCanOrder({ scheduledFor } = {}, now = new Date()) {
+    const settings = await this.getSettings();
+
+    if (scheduledFor) {
+      const requested = new Date(scheduledFor);
+      const slots = listScheduleSlots(settings, { now });
+      if (Number.isNaN(requested.getTime()) || !slots.some((slot) => slot.getTime() === requested.getTime())) {
+        throw createStoreError(
+          slots.length > 0 ? "Horário de entrega indisponível. Escolha outro horário." : "Pedidos agendados não estão disponíveis",
+          "INVALID_SCHEDULED_TIME",
+          400,
+          { scheduledFor }
+        );
+      }
+      return requested;
+    }
+
+    const status = getStoreStatus(settings, { now });
+    if (!status.open) {
+      throw createStoreError(status.message, "STORE_CLOSED", 409, {
+        reason: status.reason,
+        nextOpeningAt: status.nextOpeningAt,
+        scheduledOrders: status.scheduledOrders.enabled
+      });
+    }
+    return null;
+  }
+}
+
+export const storeSettingsService = new StoreSettingsService();
+
+export default StoreSettingsService;
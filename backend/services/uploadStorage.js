@@ -0,0 +1,435 @@
+/**
+ * Upload Storage
+ *
+ * Keeps uploaded images and their variants. Files are addressed by key, the
+ * path below /uploads (e.g. 'images/<hash>.jpg' for /uploads/images/<hash>.jpg).
+ * Storages share one contract - put, get, delete, stat, list and
+ * getSignedUrl - so where files live is picked with the UPLOAD_STORAGE
+ * environment variable:
+ *   - local: the backend/uploads directory (default)
+ *   - s3: a bucket on S3 or an S3-compatible service such as MinIO or R2
+ *     (S3_ENDPOINT, S3_REGION, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY)
+ * Uploads are received into a local staging directory first and go to the
+ * storage once processed.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { hashPayload, presignUrl, signRequest, uriEncode } from "../utils/awsSignature.js";
+import { logger } from "../utils/logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const UPLOADS_DIR = path.join(__dirname, "../uploads");
+
+export const UPLOADS_URL = "/uploads";
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".gif": "image/gif"
+};
+
+/**
+ * Whether a key is safe to use: relative, no empty, '.' or '..' segments
+ * @param {string} key - Storage key
+ * @returns {boolean}
+ */
+export const isValidKey = (key) =>
+  typeof key === "string" &&
+  key.length > 0 &&
+  !key.includes("\\") &&
+  key.split("/").every((segment) => segment !== "" && segment !== "." && segment !== "..");
+
+const assertKey = (key) => {
+  if (!isValidKey(key)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+/**
+ * Key of an image path saved on a document
+ * @param {string} image - e.g. /uploads/images/<hash>.jpg
+ * @returns {string|null} - e.g. images/<hash>.jpg, or null for paths
+ *   outside /uploads
+ */
+export const toStorageKey = (image) => {
+  if (typeof image !== "string" || !image.startsWith(`${UPLOADS_URL}/`)) {
+    return null;
+  }
+  const key = image.slice(UPLOADS_URL.length + 1);
+  return isValidKey(key) ? key : null;
+};
+
+/**
+ * Image path of a key, as saved on documents and served by the backend
+ * @param {string} key - Storage key
+ * @returns {string}
+ */
+export const toUploadUrl = (key) => `${UPLOADS_URL}/${key}`;
+
+/**
+ * Local directory uploads are received into before they are processed
+ * @param {...string} segments - Subfolders
+ * @returns {string}
+ */
+export const getStagingDirectory = (...segments) =>
+  path.join(process.env.UPLOAD_STAGING_DIR || path.join(os.tmpdir(), "uploads"), ...segments);
+
+const contentTypeOf = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream";
+
+/**
+ * Files in the backend/uploads directory, served by express.static
+ */
+export class LocalUploadStorage {
+  /**
+   * @param {Object} options - { root }
+   */
+  constructor(options = {}) {
+    this.name = "local";
+    this.root = options.root || UPLOADS_DIR;
+  }
+
+  /**
+   * File system path of a key
+   * @param {string} key - Storage key
+   * @returns {string}
+   */
+  resolvePath(key) {
+    assertKey(key);
+    return path.join(this.root, ...key.split("/"));
+  }
+
+  /**
+   * Save a file, replacing any file with the same key
+   * @param {string} key - Storage key
+   * @param {Buffer} body - File contents
+   * @returns {Promise<void>}
+   */
+  async put(key, body) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    // Readers never see a half written file
+    const partial = `${filePath}.${crypto.randomBytes(6).toString("hex")}.partial`;
+    await fs.promises.writeFile(partial, body);
+    await fs.promises.rename(partial, filePath);
+  }
+
+  /**
+   * Read a file
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} - null when there is no such file
+   */
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.resolvePath(key));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file; missing files are not an error
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.rm(filePath, { force: true });
+
+    // Drop folders left empty, as buckets have no folders to leave behind
+    for (let folder = path.dirname(filePath); folder !== this.root; folder = path.dirname(folder)) {
+      try {
+        await fs.promises.rmdir(folder);
+      } catch {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Size and modification time of a file
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} - { key, size, lastModified } or null
+   */
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolvePath(key));
+      return stats.isFile() ? { key, size: stats.size, lastModified: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Files whose key starts with a prefix
+   * @param {string} prefix - e.g. 'variants/<id>/'; all files when empty
+   * @returns {Promise<Object[]>} - { key, size, lastModified } sorted by key
+   */
+  async list(prefix = "") {
+    const files = [];
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === "ENOENT") return;
+        throw error;
+      }
+      for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        const key = path.relative(this.root, entryPath).split(path.sep).join("/");
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.isFile() && key.startsWith(prefix) && !key.endsWith(".partial")) {
+          const stats = await fs.promises.stat(entryPath);
+          files.push({ key, size: stats.size, lastModified: stats.mtime });
+        }
+      }
+    };
+
+    // Only the folder holding the prefix needs walking
+    const folder = prefix.includes("/") ? prefix.slice(0, prefix.lastIndexOf("/")) : "";
+    await walk(folder ? this.resolvePath(folder) : this.root);
+    return files.sort((a, b) => (a.key < b.key ? -1 : 1));
+  }
+
+  /**
+   * URL a browser can load the file from
+   * Local files are public under /uploads, so nothing needs signing.
+   * @param {string} key - Storage key
+   * @returns {Promise<string>}
+   */
+  async getSignedUrl(key) {
+    assertKey(key);
+    return toUploadUrl(key.split("/").map(encodeURIComponent).join("/"));
+  }
+}
+
+const XML_ENTITIES = { lt: "<", gt: ">", quot: "\"", apos: "'", amp: "&" };
+
+// Raw contents of every <tag> element; S3 answers are simple enough for this
+const xmlElements = (xml, tag) =>
+  [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "g"))].map((match) => match[1]);
+
+// Text of the first <tag> element
+const xmlText = (xml, tag) =>
+  xmlElements(xml, tag)[0]?.replace(/&(lt|gt|quot|apos|amp);/g, (entity, name) => XML_ENTITIES[name]);
+
+/**
+ * Objects in an S3 bucket; works with any service speaking the S3 API
+ */
+export class S3UploadStorage {
+  /**
+   * @param {Object} options - { endpoint, region, bucket, accessKeyId,
+   *   secretAccessKey, pathStyle, signedUrlExpiresIn, timeout }
+   */
+  constructor(options = {}) {
+    this.name = "s3";
+    this.region = options.region || process.env.S3_REGION || "us-east-1";
+    this.endpoint = (options.endpoint || process.env.S3_ENDPOINT || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, "");
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+    this.credentials = {
+      accessKeyId: options.accessKeyId || process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY
+    };
+    // MinIO and most self-hosted services only answer path-style URLs
+    this.pathStyle = options.pathStyle ?? process.env.S3_PATH_STYLE !== "false";
+    this.signedUrlExpiresIn = options.signedUrlExpiresIn || parseInt(process.env.S3_SIGNED_URL_EXPIRES_IN) || 900;
+    this.timeout = options.timeout || 10000;
+
+    if (!this.bucket || !this.credentials.accessKeyId || !this.credentials.secretAccessKey) {
+      throw new Error("S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required for the s3 upload storage");
+    }
+  }
+
+  /**
+   * URL of the bucket
+   * @returns {string}
+   */
+  bucketUrl() {
+    if (this.pathStyle) {
+      return `${this.endpoint}/${uriEncode(this.bucket)}`;
+    }
+    const endpoint = new URL(this.endpoint);
+    return `${endpoint.protocol}//${this.bucket}.${endpoint.host}`;
+  }
+
+  /**
+   * URL of an object
+   * @param {string} key - Storage key
+   * @returns {string}
+   */
+  objectUrl(key) {
+    assertKey(key);
+    return `${this.bucketUrl()}/${key.split("/").map(uriEncode).join("/")}`;
+  }
+
+  /**
+   * Send a signed request
+   * @param {string} method - HTTP method
+   * @param {string} url - Bucket or object URL
+   * @param {Object} options - { body, headers }
+   * @returns {Promise<Response>}
+   */
+  async request(method, url, options = {}) {
+    const headers = signRequest({
+      method,
+      url,
+      headers: options.headers,
+      payloadHash: hashPayload(options.body),
+      credentials: this.credentials,
+      region: this.region
+    });
+    return fetch(url, { method, headers, body: options.body, signal: AbortSignal.timeout(this.timeout) });
+  }
+
+  /**
+   * Error for an unexpected answer, with the service's message
+   * @param {Response} response - Failed response
+   * @param {string} action - e.g. 'PUT images/<hash>.jpg'
+   * @returns {Promise<Error>}
+   */
+  async failure(response, action) {
+    const body = await response.text();
+    const message = xmlText(body, "Message") || xmlText(body, "Code") || "";
+    return new Error(`S3 ${action} responded with status ${response.status}${message ? `: ${message}` : ""}`);
+  }
+
+  async put(key, body) {
+    const response = await this.request("PUT", this.objectUrl(key), {
+      body,
+      headers: { "Content-Type": contentTypeOf(key) }
+    });
+    if (!response.ok) {
+      throw await this.failure(response, `PUT ${key}`);
+    }
+    await response.arrayBuffer();
+  }
+
+  async get(key) {
+    const response = await this.request("GET", this.objectUrl(key));
+    if (response.status === 404) {
+      await response.arrayBuffer();
+      return null;
+    }
+    if (!response.ok) {
+      throw await this.failure(response, `GET ${key}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async delete(key) {
+    const response = await this.request("DELETE", this.objectUrl(key));
+    if (!response.ok && response.status !== 404) {
+      throw await this.failure(response, `DELETE ${key}`);
+    }
+    await response.arrayBuffer();
+  }
+
+  async stat(key) {
+    const response = await this.request("HEAD", this.objectUrl(key));
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`S3 HEAD ${key} responded with status ${response.status}`);
+    }
+    return {
+      key,
+      size: Number(response.headers.get("content-length")),
+      lastModified: new Date(response.headers.get("last-modified"))
+    };
+  }
+
+  async list(prefix = "") {
+    const files = [];
+    let continuationToken = null;
+
+    // S3 answers at most 1000 keys at a time
+    do {
+      const query = new URLSearchParams({ "list-type": "2", prefix });
+      if (continuationToken) query.set("continuation-token", continuationToken);
+      const response = await this.request("GET", `${this.bucketUrl()}/?${query}`);
+      if (!response.ok) {
+        throw await this.failure(response, `LIST ${prefix}`);
+      }
+
+      const xml = await response.text();
+      for (const contents of xmlElements(xml, "Contents")) {
+        files.push({
+          key: xmlText(contents, "Key"),
+          size: Number(xmlText(contents, "Size")),
+          lastModified: new Date(xmlText(contents, "LastModified"))
+        });
+      }
+      continuationToken = xmlText(xml, "IsTruncated") === "true" ? xmlText(xml, "NextContinuationToken") : null;
+    } while (continuationToken);
+
+    return files.sort((a, b) => (a.key < b.key ? -1 : 1));
+  }
+
+  /**
+   * Temporary URL a browser can load the object from
+   * @param {string} key - Storage key
+   * @param {Object} options - { expiresIn } in seconds
+   * @returns {Promise<string>}
+   */
+  async getSignedUrl(key, options = {}) {
+    return presignUrl({
+      url: this.objectUrl(key),
+      credentials: this.credentials,
+      region: this.region,
+      expiresIn: options.expiresIn || this.signedUrlExpiresIn
+    });
+  }
+}
+
+const storageFactories = {
+  local: () => new LocalUploadStorage(),
+  s3: () => new S3UploadStorage()
+};
+
+let activeStorage = null;
+
+/**
+ * Create a storage by type
+ * @param {string} type - Storage type (local | s3)
+ * @returns {Object} - Storage instance
+ */
+export const createUploadStorage = (type = process.env.UPLOAD_STORAGE || "local") => {
+  const factory = storageFactories[type];
+  if (!factory) {
+    throw new Error(`Unknown upload storage: ${type}`);
+  }
+  return factory();
+};
+
+/**
+ * Get the storage used by the application (created lazily, once the
+ * environment is loaded)
+ * @returns {Object} - Storage instance
+ */
+export const getUploadStorage = () => {
+  if (!activeStorage) {
+    activeStorage = createUploadStorage();
+    if (activeStorage.name === "local" && process.env.NODE_ENV === "production") {
+      logger.backend.warn("UPLOAD_STORAGE not configured - uploads are kept on the local disk");
+    }
+  }
+  return activeStorage;
+};
+
+/**
+ * Replace the storage used by the application
+ * @param {Object|null} storage - Object implementing the storage contract, or null to reset
+ */
+export const setUploadStorage = (storage) => {
+  activeStorage = storage;
+};
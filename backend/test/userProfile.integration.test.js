@@ -15,7 +15,7 @@ describe("Integração: /user/profile", () => {
     server = app.listen(0);
     // Cria usuário de teste
     user = await userModel.create({ name: "Teste Integração", whatsapp: "+5599999999999", address: { street: "Rua Teste", number: "1", neighborhood: "Centro", cep: "12345678" } });
-    token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET || "testsecret");
+    token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET || "testsecret", { expiresIn: "1h" });
   });
 
   afterAll(async () => {
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import userModel from '../models/userModel.js';
+import zoneModel from '../models/zoneModel.js';
+import { addressBookService } from '../services/addressBookService.js';
+import { FixtureCepProvider, createCepProvider, setCepProvider } from '../services/cepLookup.js';
+import {
+  MAX_SAVED_ADDRESSES,
+  formatCep,
+  isAddressError,
+  matchNeighborhood,
+  normalizeCep,
+  parseSavedAddress
+} from '../utils/addresses.js';
+
+const casa = { label: 'Casa', street: 'Rua das Flores', number: '10', neighborhood: 'Centro' };
+
+const expectAddressError = async (promise, code) => {
+  const error = await promise.catch((caught) => caught);
+  expect(isAddressError(error)).toBe(true);
+  expect(error.code).toBe(code);
+  return error;
+};
+
+describe('Addresses', () => {
+  describe('CEP', () => {
+    it('should accept CEPs with or without the dash', () => {
+      expect(normalizeCep('01310-100')).toBe('01310100');
+      expect(normalizeCep(' 01310100 ')).toBe('01310100');
+      expect(normalizeCep('0131010')).toBeNull();
+      expect(formatCep('01310100')).toBe('01310-100');
+      expect(formatCep('abc')).toBe('');
+    });
+
+    it('should match neighborhoods regardless of case and accents', () => {
+      const served = ['Centro', 'São João', 'Bela Vista'];
+
+      expect(matchNeighborhood('SAO JOAO', served)).toBe('São João');
+      expect(matchNeighborhood(' bela  vista ', served)).toBe('Bela Vista');
+      expect(matchNeighborhood('Jardins', served)).toBeNull();
+      expect(matchNeighborhood('', served)).toBeNull();
+    });
+
+    it('should answer from the offline fixture', async () => {
+      const provider = new FixtureCepProvider({ '12345678': { street: 'Rua A', neighborhood: 'Centro', city: 'Cidade', state: 'SP' } });
+      const lookup = vi.spyOn(provider, 'lookup');
+
+      expect(await provider.lookup('12345678')).toEqual({ cep: '12345-678', street: 'Rua A', neighborhood: 'Centro', city: 'Cidade', state: 'SP' });
+      expect(await provider.lookup('87654321')).toBeNull();
+      expect(lookup.mock.calls).toEqual([['12345678'], ['87654321']]);
+      expect(createCepProvider('fixture').name).toBe('fixture');
+      expect(() => createCepProvider('correios')).toThrow('Unknown CEP provider');
+    });
+  });
+
+  describe('parseSavedAddress', () => {
+    it('should normalize the address', () => {
+      expect(parseSavedAddress({ ...casa, street: '  Rua  das Flores ', complement: 'Apto 12', cep: '01310100' })).toEqual({
+        label: 'Casa',
+        street: 'Rua das Flores',
+        number: '10',
+        complement: 'Apto 12',
+        reference: '',
+        neighborhood: 'Centro',
+        cep: '01310-100'
+      });
+    });
+
+    it('should list every problem', () => {
+      let error;
+      try {
+        parseSavedAddress({ label: '', street: 'Rua', number: '1', reference: 'x'.repeat(121), cep: '123' });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.code).toBe('INVALID_ADDRESS');
+      expect(error.details.map(({ field }) => field)).toEqual(['label', 'reference', 'neighborhood', 'cep']);
+    });
+  });
+
+  describe('addressBookService', () => {
+    let user;
+
+    beforeEach(async () => {
+      setCepProvider(new FixtureCepProvider({
+        '12345678': { street: 'Rua A', neighborhood: 'CENTRO', city: 'Cidade', state: 'SP' },
+        '87654321': { street: 'Rua B', neighborhood: 'Longe', city: 'Cidade', state: 'SP' }
+      }));
+      await zoneModel.create({ name: 'Zona 1', neighborhoods: ['Centro'] });
+      user = await userModel.create({ name: 'João' });
+    });
+
+    afterEach(() => {
+      setCepProvider(null);
+    });
+
+    it('should fill in the street and map the neighborhood to its zone', async () => {
+      expect(await addressBookService.lookupCep('12345-678')).toMatchObject({ street: 'Rua A', neighborhood: 'Centro', zone: 'Zona 1' });
+      expect(await addressBookService.lookupCep('87654321')).toMatchObject({ neighborhood: 'Longe', zone: null });
+      await expectAddressError(addressBookService.lookupCep('11111111'), 'CEP_NOT_FOUND');
+      await expectAddressError(addressBookService.lookupCep('123'), 'INVALID_CEP');
+    });
+
+    it('should report when the provider is down', async () => {
+      setCepProvider({ lookup: async () => { throw new Error('timeout'); } });
+
+      const error = await expectAddressError(addressBookService.lookupCep('12345678'), 'CEP_LOOKUP_FAILED');
+      expect(error.status).toBe(502);
+    });
+
+    it('should save, edit and remove named addresses', async () => {
+      const saved = await addressBookService.add(user._id, casa);
+      await addressBookService.add(user._id, { ...casa, label: 'Trabalho', number: '200' });
+      await expectAddressError(addressBookService.add(user._id, { ...casa, label: 'casa' }), 'ADDRESS_LABEL_TAKEN');
+
+      const updated = await addressBookService.update(user._id, saved._id, { ...casa, reference: 'Portão azul' });
+      expect(updated).toMatchObject({ label: 'Casa', reference: 'Portão azul' });
+      expect(String(updated._id)).toBe(String(saved._id));
+
+      await addressBookService.remove(user._id, String(saved._id));
+      expect((await addressBookService.list(user._id)).map(({ label }) => label)).toEqual(['Trabalho']);
+      await expectAddressError(addressBookService.remove(user._id, String(saved._id)), 'ADDRESS_NOT_FOUND');
+    });
+
+    it('should limit how many addresses a customer keeps', async () => {
+      for (let i = 0; i < MAX_SAVED_ADDRESSES; i++) {
+        await addressBookService.add(user._id, { ...casa, label: `Endereço ${i}` });
+      }
+
+      await expectAddressError(addressBookService.add(user._id, { ...casa, label: 'Outro' }), 'ADDRESS_LIMIT');
+    });
+  });
+});
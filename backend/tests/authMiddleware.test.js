@@ -0,0 +1,204 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import jwt from 'jsonwebtoken';
+import userModel from '../models/userModel.js';
+import refreshTokenModel from '../models/refreshTokenModel.js';
+import authMiddleware, { requireRole, requireAdmin, extractToken } from '../middleware/auth.js';
+
+// Mock the user model
+vi.mock('../models/userModel.js', () => ({
+  default: {
+    findById: vi.fn()
+  }
+}));
+
+vi.mock('../models/refreshTokenModel.js', () => ({
+  default: {
+    findById: vi.fn()
+  }
+}));
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+const mockUser = (user) => {
+  userModel.findById.mockReturnValue({
+    select: () => ({
+      maxTimeMS: () => ({
+        lean: () => Promise.resolve(user)
+      })
+    })
+  });
+};
+
+const mockSession = (session) => {
+  refreshTokenModel.findById.mockReturnValue({
+    select: () => ({
+      maxTimeMS: () => ({
+        lean: () => Promise.resolve(session)
+      })
+    })
+  });
+};
+
+const activeSession = () => ({ revokedAt: null, replacedBy: null, expiresAt: new Date(Date.now() + 60000) });
+
+const createRes = () => {
+  const res = {};
+  res.status = vi.fn(() => res);
+  res.json = vi.fn(() => res);
+  return res;
+};
+
+const signToken = (payload = { id: USER_ID, sid: 'session-1' }, options = { expiresIn: '15m' }) =>
+  jwt.sign(payload, process.env.JWT_SECRET, options);
+
+const runAuth = async (headers) => {
+  const req = { headers, body: {} };
+  const res = createRes();
+  const next = vi.fn();
+  await authMiddleware(req, res, next);
+  return { req, res, next };
+};
+
+describe('Auth Middleware', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-with-at-least-32-characters';
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockUser({ _id: USER_ID, name: 'Maria', role: 'user' });
+    mockSession(activeSession());
+  });
+
+  describe('extractToken', () => {
+    it('should read Bearer and legacy token headers', () => {
+      expect(extractToken({ headers: { authorization: 'Bearer abc' } })).toBe('abc');
+      expect(extractToken({ headers: { token: 'legacy' } })).toBe('legacy');
+      expect(extractToken({ headers: {} })).toBeNull();
+    });
+  });
+
+  describe('authMiddleware', () => {
+    it('should attach req.user from a Bearer token', async () => {
+      const { req, next } = await runAuth({ authorization: `Bearer ${signToken()}` });
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toEqual({ id: USER_ID, name: 'Maria', role: 'user', sessionId: 'session-1' });
+      expect(req.body.userId).toBeUndefined();
+    });
+
+    it('should accept the legacy token header', async () => {
+      const { req, next } = await runAuth({ token: signToken() });
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.id).toBe(USER_ID);
+    });
+
+    it('should reject requests without a token', async () => {
+      const { res, next } = await runAuth({});
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'NO_TOKEN' }));
+    });
+
+    it('should flag expired tokens so clients can refresh', async () => {
+      const expired = signToken({ id: USER_ID }, { expiresIn: -10 });
+
+      const { res, next } = await runAuth({ token: expired });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'TOKEN_EXPIRED' }));
+    });
+
+    it('should reject invalid and non-expiring tokens', async () => {
+      const forged = jwt.sign({ id: USER_ID }, 'another-secret', { expiresIn: '15m' });
+      const legacy = jwt.sign({ id: USER_ID }, process.env.JWT_SECRET);
+
+      for (const token of [forged, legacy, 'not-a-jwt']) {
+        const { res, next } = await runAuth({ token });
+        expect(next).not.toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+      }
+    });
+
+    it('should reject tokens without a session', async () => {
+      const { res, next } = await runAuth({ token: signToken({ id: USER_ID }) });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+    });
+
+    it('should reject tokens of logged out and expired sessions', async () => {
+      const sessions = [
+        null,
+        { ...activeSession(), revokedAt: new Date() },
+        { ...activeSession(), expiresAt: new Date(Date.now() - 1000) }
+      ];
+
+      for (const session of sessions) {
+        mockSession(session);
+        const { res, next } = await runAuth({ token: signToken() });
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SESSION_REVOKED' }));
+      }
+      expect(refreshTokenModel.findById).toHaveBeenCalledWith('session-1');
+    });
+
+    it('should ask clients to refresh tokens of rotated sessions', async () => {
+      mockSession({ ...activeSession(), revokedAt: new Date(), replacedBy: 'next-token-hash' });
+
+      const { res, next } = await runAuth({ token: signToken() });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'TOKEN_EXPIRED' }));
+    });
+
+    it('should reject tokens of deleted users', async () => {
+      mockUser(null);
+
+      const { res, next } = await runAuth({ token: signToken() });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'USER_NOT_FOUND' }));
+    });
+  });
+
+  describe('requireRole', () => {
+    it('should allow listed roles', () => {
+      const next = vi.fn();
+      requireRole('admin', 'driver')({ user: { role: 'driver' } }, createRes(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return 403 for other roles', () => {
+      const res = createRes();
+      const next = vi.fn();
+      requireRole('admin')({ user: { role: 'user' } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INSUFFICIENT_PERMISSIONS' }));
+    });
+
+    it('should return 401 when used without authentication', () => {
+      const res = createRes();
+      requireRole('user')({}, res, vi.fn());
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should reject unknown roles when building the guard', () => {
+      expect(() => requireRole('superuser')).toThrow('invalid roles');
+      expect(() => requireRole()).toThrow('invalid roles');
+    });
+
+    it('should compose into the admin shorthand', () => {
+      expect(requireAdmin).toHaveLength(2);
+      expect(requireAdmin[0]).toBe(authMiddleware);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { createAuthRateLimit } from '../middleware/authRateLimit.js';
+
+const createApp = (options) => {
+  const app = express();
+  app.use(express.json());
+  app.post('/login', createAuthRateLimit(options), (req, res) => res.json({ success: true }));
+  return app;
+};
+
+describe('Auth Rate Limit', () => {
+  it('should limit attempts for the same number in any format', async () => {
+    const app = createApp({ maxPerIp: 100, maxPerAccount: 2 });
+
+    await request(app).post('/login').send({ whatsapp: '11999998888' }).expect(200);
+    await request(app).post('/login').send({ whatsapp: '+55 (11) 99999-8888' }).expect(200);
+    const limited = await request(app).post('/login').send({ whatsapp: '11 99999 8888' });
+
+    expect(limited.status).toBe(429);
+    expect(limited.body).toMatchObject({ success: false, code: 'RATE_LIMIT_EXCEEDED' });
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    await request(app).post('/login').send({ whatsapp: '11999997777' }).expect(200);
+  });
+
+  it('should limit attempts from the same address across accounts', async () => {
+    const app = createApp({ maxPerIp: 2, maxPerAccount: 100 });
+
+    await request(app).post('/login').send({ name: 'Ana' }).expect(200);
+    await request(app).post('/login').send({ name: 'Maria' }).expect(200);
+
+    await request(app).post('/login').send({ name: 'João' }).expect(429);
+  });
+
+  it('should allow attempts again after the window', async () => {
+    const app = createApp({ windowMs: 50, maxPerIp: 1, maxPerAccount: 1 });
+
+    await request(app).post('/login').send({ name: 'Ana' }).expect(200);
+    await request(app).post('/login').send({ name: 'Ana' }).expect(429);
+    await new Promise((resolve) => setTimeout(resolve, 60));
+
+    await request(app).post('/login').send({ name: 'Ana' }).expect(200);
+  });
+});
@@ -0,0 +1,315 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import jwt from 'jsonwebtoken';
+import express from 'express';
+import request from 'supertest';
+import userRouter from '../routes/userRoute.js';
+import AuthService, { normalizeWhatsapp, verifyAccessToken } from '../services/authService.js';
+import { ConsoleOtpSender } from '../services/otpSender.js';
+import userModel from '../models/userModel.js';
+import refreshTokenModel from '../models/refreshTokenModel.js';
+
+const extractCode = (message) => message.match(/\d{6}/)[0];
+
+describe('AuthService', () => {
+  let authService;
+  let sender;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-with-at-least-32-characters';
+  });
+
+  beforeEach(() => {
+    sender = new ConsoleOtpSender();
+    authService = new AuthService({ sender, otpResendIntervalMs: 0 });
+  });
+
+  describe('normalizeWhatsapp', () => {
+    it('should normalize the formats customers type', () => {
+      expect(normalizeWhatsapp('+55 (11) 99999-8888')).toBe('11999998888');
+      expect(normalizeWhatsapp('5511999998888')).toBe('11999998888');
+      expect(normalizeWhatsapp('11999998888')).toBe('11999998888');
+    });
+
+    it('should reject landlines and invalid numbers', () => {
+      expect(normalizeWhatsapp('1133334444')).toBe('');
+      expect(normalizeWhatsapp('123')).toBe('');
+    });
+  });
+
+  describe('password login', () => {
+    it('should store a bcrypt hash, never the password', async () => {
+      const user = await authService.registerWithPassword({ name: 'Maria', password: 'segredo123' });
+      const stored = await userModel.findById(user._id).select('+password').lean();
+
+      expect(stored.password).not.toBe('segredo123');
+      expect(stored.password).toMatch(/^\$2[aby]\$/);
+    });
+
+    it('should log in with the right password', async () => {
+      await authService.registerWithPassword({ name: 'Maria', password: 'segredo123' });
+
+      const user = await authService.loginWithPassword({ name: 'Maria', password: 'segredo123' });
+
+      expect(user.name).toBe('Maria');
+    });
+
+    it('should reject a wrong password', async () => {
+      await authService.registerWithPassword({ name: 'Maria', password: 'segredo123' });
+
+      await expect(authService.loginWithPassword({ name: 'Maria', password: 'errada' }))
+        .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS', status: 401 });
+    });
+
+    it('should not log in by name alone', async () => {
+      await userModel.create({ name: 'Admin', role: 'admin' });
+
+      await expect(authService.loginWithPassword({ name: 'Admin' }))
+        .rejects.toMatchObject({ code: 'PASSWORD_REQUIRED' });
+      await expect(authService.loginWithPassword({ name: 'Admin', password: 'qualquer' }))
+        .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS', status: 401 });
+    });
+
+    it('should answer the same for unknown and passwordless accounts', async () => {
+      await userModel.create({ name: 'Cliente', whatsapp: '11999998888' });
+
+      const errors = await Promise.all([
+        authService.loginWithPassword({ name: 'Cliente', password: 'qualquer' }).catch((error) => error),
+        authService.loginWithPassword({ name: 'Ninguém', password: 'qualquer' }).catch((error) => error)
+      ]);
+
+      expect(errors[0].message).toBe(errors[1].message);
+      expect(errors.map((error) => error.code)).toEqual(['INVALID_CREDENTIALS', 'INVALID_CREDENTIALS']);
+    });
+
+    it('should reject names that are not text', async () => {
+      for (const name of [123, {}, ['Maria']]) {
+        await expect(authService.loginWithPassword({ name, password: 'segredo123' }))
+          .rejects.toMatchObject({ code: 'IDENTIFIER_REQUIRED', status: 400 });
+      }
+    });
+
+    it('should reject short passwords and duplicate names', async () => {
+      await expect(authService.registerWithPassword({ name: 'Maria', password: '123' }))
+        .rejects.toMatchObject({ code: 'WEAK_PASSWORD' });
+
+      await authService.registerWithPassword({ name: 'Maria', password: 'segredo123' });
+      await expect(authService.registerWithPassword({ name: 'Maria', password: 'outrasenha' }))
+        .rejects.toMatchObject({ code: 'NAME_TAKEN', status: 409 });
+    });
+  });
+
+  describe('WhatsApp one-time codes', () => {
+    it('should send a code through the sender and log in an existing customer', async () => {
+      await userModel.create({ name: 'João', whatsapp: '(11) 99999-8888' });
+
+      await authService.requestOtp('+55 11 99999-8888');
+      const code = extractCode(sender.getLastMessage('+5511999998888').message);
+      const { user, created } = await authService.verifyOtp({ whatsapp: '11999998888', code });
+
+      expect(created).toBe(false);
+      expect(user.name).toBe('João');
+      expect(user.whatsappVerified).toBe(true);
+    });
+
+    it('should create a customer on first login when a name is given', async () => {
+      await authService.requestOtp('11999997777');
+      const code = extractCode(sender.getLastMessage('+5511999997777').message);
+
+      await expect(authService.verifyOtp({ whatsapp: '11999997777', code }))
+        .rejects.toMatchObject({ code: 'NAME_REQUIRED' });
+
+      const { user, created } = await authService.verifyOtp({ whatsapp: '11999997777', code, name: 'Ana' });
+      expect(created).toBe(true);
+      expect(user.whatsapp).toBe('11999997777');
+    });
+
+    it('should not accept the same code twice', async () => {
+      await userModel.create({ name: 'João', whatsapp: '11999998888' });
+      await authService.requestOtp('11999998888');
+      const code = extractCode(sender.getLastMessage('+5511999998888').message);
+
+      await authService.verifyOtp({ whatsapp: '11999998888', code });
+
+      await expect(authService.verifyOtp({ whatsapp: '11999998888', code }))
+        .rejects.toMatchObject({ code: 'OTP_EXPIRED' });
+    });
+
+    it('should lock the code after too many wrong attempts', async () => {
+      authService.otpMaxAttempts = 2;
+      await authService.requestOtp('11999998888');
+
+      await expect(authService.verifyOtp({ whatsapp: '11999998888', code: '000000' })).rejects.toMatchObject({ code: 'OTP_INVALID' });
+      await expect(authService.verifyOtp({ whatsapp: '11999998888', code: '000001' })).rejects.toMatchObject({ code: 'OTP_INVALID' });
+      await expect(authService.verifyOtp({ whatsapp: '11999998888', code: '000002' })).rejects.toMatchObject({ code: 'OTP_TOO_MANY_ATTEMPTS' });
+    });
+
+    it('should count parallel wrong guesses against the limit', async () => {
+      authService.otpMaxAttempts = 3;
+      await authService.requestOtp('11999998888');
+      const code = extractCode(sender.getLastMessage('+5511999998888').message);
+      const wrong = code === '000000' ? '000001' : '000000';
+
+      const results = await Promise.allSettled(
+        Array.from({ length: 10 }, () => authService.verifyOtp({ whatsapp: '11999998888', code: wrong }))
+      );
+
+      const codes = results.map(({ reason }) => reason.code);
+      expect(codes.filter((c) => c === 'OTP_INVALID')).toHaveLength(3);
+      expect(codes.filter((c) => c === 'OTP_TOO_MANY_ATTEMPTS')).toHaveLength(7);
+      await expect(authService.verifyOtp({ whatsapp: '11999998888', code }))
+        .rejects.toMatchObject({ code: 'OTP_EXPIRED' });
+    });
+
+    it('should log in only once with parallel uses of the same code', async () => {
+      await userModel.create({ name: 'João', whatsapp: '11999998888' });
+      await authService.requestOtp('11999998888');
+      const code = extractCode(sender.getLastMessage('+5511999998888').message);
+
+      const results = await Promise.allSettled([
+        authService.verifyOtp({ whatsapp: '11999998888', code }),
+        authService.verifyOtp({ whatsapp: '11999998888', code })
+      ]);
+
+      expect(results.filter(({ status }) => status === 'fulfilled')).toHaveLength(1);
+      expect(results.find(({ status }) => status === 'rejected').reason.code).toBe('OTP_EXPIRED');
+    });
+
+    it('should rate limit new codes for the same number', async () => {
+      authService.otpResendIntervalMs = 60000;
+      await authService.requestOtp('11999998888');
+
+      await expect(authService.requestOtp('11999998888')).rejects.toMatchObject({ code: 'OTP_TOO_SOON', status: 429 });
+    });
+  });
+
+  describe('profile WhatsApp', () => {
+    it('should drop the verification when the number changes', async () => {
+      const user = await userModel.create({ name: 'João', whatsapp: '11999998888', whatsappVerified: true });
+
+      expect(await authService.getWhatsappUpdate(user, '+55 (11) 99999-8888')).toEqual({ whatsapp: '11999998888' });
+      expect(await authService.getWhatsappUpdate(user, '11999997777'))
+        .toEqual({ whatsapp: '11999997777', whatsappVerified: false });
+    });
+
+    it('should refuse a number another account has verified', async () => {
+      await userModel.create({ name: 'Ana', whatsapp: '(11) 99999-7777', whatsappVerified: true });
+      const user = await userModel.create({ name: 'João', whatsapp: '11999998888', whatsappVerified: true });
+
+      await expect(authService.getWhatsappUpdate(user, '11999997777'))
+        .rejects.toMatchObject({ code: 'WHATSAPP_TAKEN', status: 409 });
+    });
+
+    it('should check number changes made through the profile', async () => {
+      const app = express();
+      app.use(express.json());
+      app.use('/api/user', userRouter);
+      await userModel.create({ name: 'Ana', whatsapp: '11999997777', whatsappVerified: true });
+      const user = await userModel.create({ name: 'João', whatsapp: '11999998888', whatsappVerified: true });
+      const { token } = await authService.issueTokens(user);
+
+      const taken = await request(app).put('/api/user/profile').set('Authorization', `Bearer ${token}`)
+        .send({ name: 'João', whatsapp: '11999997777' });
+      await request(app).put('/api/user/profile').set('Authorization', `Bearer ${token}`)
+        .send({ name: 'João', whatsapp: '11999996666' }).expect(200);
+
+      expect(taken.status).toBe(409);
+      expect(taken.body.code).toBe('WHATSAPP_TAKEN');
+      expect(await userModel.findById(user._id).lean()).toMatchObject({ whatsapp: '11999996666', whatsappVerified: false });
+    });
+  });
+
+  describe('tokens', () => {
+    it('should issue expiring access tokens', async () => {
+      const user = await authService.registerWithPassword({ name: 'Maria', password: 'segredo123' });
+
+      const { token, refreshToken } = await authService.issueTokens(user);
+      const decoded = verifyAccessToken(token);
+
+      expect(decoded.id).toBe(user._id.toString());
+      expect(decoded.exp).toBeGreaterThan(decoded.iat);
+      expect(refreshToken).toHaveLength(96);
+    });
+
+    it('should reject legacy tokens without expiration', () => {
+      const legacyToken = jwt.sign({ id: 'abc' }, process.env.JWT_SECRET);
+
+      expect(() => verifyAccessToken(legacyToken)).toThrow('Token without expiration');
+    });
+
+    it('should rotate refresh tokens', async () => {
+      const user = await authService.registerWithPassword({ name: 'Maria', password: 'segredo123' });
+      const first = await authService.issueTokens(user);
+
+      const second = await authService.refreshTokens(first.refreshToken);
+
+      expect(second.refreshToken).not.toBe(first.refreshToken);
+      expect(verifyAccessToken(second.token).id).toBe(user._id.toString());
+    });
+
+    it('should let tabs refresh with a token rotated a moment ago', async () => {
+      const user = await authService.registerWithPassword({ name: 'Maria', password: 'segredo123' });
+      const first = await authService.issueTokens(user);
+
+      const results = await Promise.all([
+        authService.refreshTokens(first.refreshToken),
+        authService.refreshTokens(first.refreshToken)
+      ]);
+
+      expect(results[0].refreshToken).not.toBe(results[1].refreshToken);
+      await expect(authService.refreshTokens(results[1].refreshToken)).resolves.toHaveProperty('token');
+    });
+
+    it('should not refresh a rotated token once the session logged out', async () => {
+      const user = await authService.registerWithPassword({ name: 'Maria', password: 'segredo123' });
+      const first = await authService.issueTokens(user);
+      const second = await authService.refreshTokens(first.refreshToken);
+
+      await authService.logout(second.refreshToken);
+
+      await expect(authService.refreshTokens(first.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+    });
+
+    it('should revoke every session when a rotated refresh token is reused', async () => {
+      authService.refreshReuseGraceMs = 0;
+      const user = await authService.registerWithPassword({ name: 'Maria', password: 'segredo123' });
+      const first = await authService.issueTokens(user);
+      const second = await authService.refreshTokens(first.refreshToken);
+
+      await expect(authService.refreshTokens(first.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+      await expect(authService.refreshTokens(second.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+    });
+
+    it('should revoke the refresh token on logout', async () => {
+      const user = await authService.registerWithPassword({ name: 'Maria', password: 'segredo123' });
+      const { refreshToken } = await authService.issueTokens(user);
+
+      expect(await authService.logout(refreshToken)).toBe(1);
+      await expect(authService.refreshTokens(refreshToken)).rejects.toMatchObject({ status: 401 });
+    });
+
+    it('should stop accepting the access token once logged out', async () => {
+      const app = express();
+      app.use(express.json());
+      app.use('/api/user', userRouter);
+      const user = await authService.registerWithPassword({ name: 'Maria', password: 'segredo123' });
+      const { token, refreshToken } = await authService.issueTokens(user);
+
+      const before = await request(app).get('/api/user/profile').set('Authorization', `Bearer ${token}`);
+      await request(app).post('/api/user/logout').send({ refreshToken }).expect(200);
+      const after = await request(app).get('/api/user/profile').set('Authorization', `Bearer ${token}`);
+
+      expect(before.status).toBe(200);
+      expect(after.status).toBe(401);
+      expect(after.body.code).toBe('SESSION_REVOKED');
+    });
+
+    it('should log out every session when requested', async () => {
+      const user = await authService.registerWithPassword({ name: 'Maria', password: 'segredo123' });
+      const phone = await authService.issueTokens(user);
+      await authService.issueTokens(user);
+
+      expect(await authService.logout(phone.refreshToken, { allSessions: true })).toBe(2);
+      expect(await refreshTokenModel.countDocuments({ userId: user._id, revokedAt: null })).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import cartRouter from '../routes/cartRoute.js';
+import foodModel from '../models/foodModel.js';
+import userModel from '../models/userModel.js';
+import { cartService } from '../services/cartService.js';
+import { tokenFor } from './helpers/authTokens.js';
+
+const createFood = (name, price) => foodModel.create({
+  name,
+  description: name,
+  price,
+  image: `/uploads/${name}.jpg`,
+  category: 'Pastéis'
+});
+
+describe('Cart Service', () => {
+  let user;
+  let pastel;
+  let suco;
+
+  beforeEach(async () => {
+    user = await userModel.create({ name: 'Maria' });
+    pastel = await createFood('Pastel', 8.5);
+    suco = await createFood('Suco', 6);
+  });
+
+  describe('lines', () => {
+    it('should merge identical lines and price them from the catalog', async () => {
+      await cartService.addItem(user._id, { itemId: pastel._id });
+      const cart = await cartService.addItem(user._id, { itemId: pastel._id, quantity: 2 });
+
+      expect(cart.lines).toEqual([
+        expect.objectContaining({ itemId: pastel._id.toString(), name: 'Pastel', quantity: 3, unitPrice: 8.5, lineTotal: 25.5, available: true })
+      ]);
+      expect(cart).toMatchObject({ itemCount: 3, subtotal: 25.5 });
+      // Priced at checkout with the zone of the delivery address
+      expect(cart).not.toHaveProperty('deliveryFee');
+    });
+
+    it('should keep every unit of parallel adds in one line', async () => {
+      await Promise.all([
+        cartService.addItem(user._id, { itemId: pastel._id }),
+        cartService.addItem(user._id, { itemId: pastel._id, quantity: 2 }),
+        cartService.mergeGuestCart(user._id, [{ itemId: pastel._id.toString(), quantity: 3 }]),
+        cartService.addItem(user._id, { itemId: suco._id })
+      ]);
+
+      const cart = await cartService.getCart(user._id);
+      expect(cart.lines.map(({ name, quantity }) => ({ name, quantity })).sort((a, b) => a.name.localeCompare(b.name)))
+        .toEqual([{ name: 'Pastel', quantity: 6 }, { name: 'Suco', quantity: 1 }]);
+    });
+
+    it('should keep lines with different notes apart', async () => {
+      await cartService.addItem(user._id, { itemId: pastel._id });
+      const cart = await cartService.addItem(user._id, { itemId: pastel._id, note: 'sem cebola' });
+
+      expect(cart.lines.map((line) => line.note)).toEqual(['', 'sem cebola']);
+    });
+
+    it('should price selected options and enforce the group rules', async () => {
+      const food = await foodModel.create({
+        name: 'Pastel Grande',
+        description: 'Pastel',
+        price: 10,
+        image: '/uploads/grande.jpg',
+        category: 'Pastéis',
+        optionGroups: [{ name: 'Tamanho', min: 1, max: 1, options: [{ name: 'Médio' }, { name: 'Grande', price: 4 }] }]
+      });
+      const grande = food.optionGroups[0].options[1]._id.toString();
+
+      const cart = await cartService.addItem(user._id, { itemId: food._id, options: [grande] });
+
+      expect(cart.lines[0]).toMatchObject({ unitPrice: 14, optionDetails: [expect.objectContaining({ name: 'Grande' })] });
+      await expect(cartService.addItem(user._id, { itemId: food._id }))
+        .rejects.toMatchObject({ code: 'INVALID_OPTIONS', status: 400 });
+    });
+
+    it('should reject foods that are not on the menu', async () => {
+      await expect(cartService.addItem(user._id, { itemId: '507f1f77bcf86cd799439099' }))
+        .rejects.toMatchObject({ code: 'ITEM_NOT_FOUND', status: 404 });
+      await expect(cartService.addItem(user._id, { itemId: 'abc' }))
+        .rejects.toMatchObject({ code: 'INVALID_CART_ITEM', status: 400 });
+    });
+
+    it('should never go below zero when removing', async () => {
+      await cartService.addItem(user._id, { itemId: pastel._id });
+      await cartService.removeItem(user._id, { itemId: pastel._id });
+      const cart = await cartService.removeItem(user._id, { itemId: pastel._id });
+
+      expect(cart.lines).toEqual([]);
+      expect(cart.subtotal).toBe(0);
+    });
+
+    it('should set quantities and remove lines set to zero', async () => {
+      const { lines: [line] } = await cartService.addItem(user._id, { itemId: pastel._id });
+
+      expect((await cartService.setQuantity(user._id, line.lineId, 4)).lines[0].quantity).toBe(4);
+      expect((await cartService.setQuantity(user._id, line.lineId, 0)).lines).toEqual([]);
+      await expect(cartService.setQuantity(user._id, line.lineId, 1)).rejects.toMatchObject({ code: 'LINE_NOT_FOUND' });
+    });
+
+    it('should merge a line into an identical one when its note changes', async () => {
+      await cartService.addItem(user._id, { itemId: pastel._id, note: 'sem cebola' });
+      const { lines } = await cartService.addItem(user._id, { itemId: pastel._id });
+
+      const cart = await cartService.updateLine(user._id, lines[1].lineId, { note: 'sem cebola' });
+
+      expect(cart.lines).toEqual([expect.objectContaining({ quantity: 2, note: 'sem cebola' })]);
+    });
+
+    it('should flag foods removed from the menu and leave them out of the total', async () => {
+      await cartService.addItem(user._id, { itemId: pastel._id });
+      await cartService.addItem(user._id, { itemId: suco._id });
+      await foodModel.findByIdAndDelete(suco._id);
+
+      const cart = await cartService.getCart(user._id);
+
+      expect(cart.lines.map((line) => line.available)).toEqual([true, false]);
+      expect(cart.subtotal).toBe(8.5);
+    });
+
+    it('should move a legacy cart into lines', async () => {
+      await userModel.findByIdAndUpdate(user._id, { cartData: { [pastel._id]: 2, [suco._id]: 0 } });
+
+      const cart = await cartService.getCart(user._id);
+
+      expect(cart.lines).toEqual([expect.objectContaining({ itemId: pastel._id.toString(), quantity: 2 })]);
+      expect((await userModel.findById(user._id)).cartData).toEqual({});
+    });
+  });
+
+  describe('mergeGuestCart', () => {
+    it('should add the guest lines to the saved cart and report invalid ones', async () => {
+      await cartService.addItem(user._id, { itemId: pastel._id });
+
+      const cart = await cartService.mergeGuestCart(user._id, [
+        { itemId: pastel._id.toString(), quantity: 2 },
+        { itemId: suco._id.toString(), quantity: 1, note: 'sem gelo' },
+        { itemId: '507f1f77bcf86cd799439099', quantity: 1 },
+        { itemId: pastel._id.toString(), quantity: -3 }
+      ]);
+
+      expect(cart.lines.map(({ name, quantity, note }) => ({ name, quantity, note }))).toEqual([
+        { name: 'Pastel', quantity: 3, note: '' },
+        { name: 'Suco', quantity: 1, note: 'sem gelo' }
+      ]);
+      expect(cart.skipped.map((line) => line.reason)).toEqual(['INVALID_CART_ITEM', 'ITEM_NOT_FOUND']);
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeAll(() => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-with-at-least-32-characters';
+    });
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/cart', cartRouter);
+    });
+
+    it('should return the priced cart from every endpoint', async () => {
+      const added = await request(app)
+        .post('/api/cart/add')
+        .set('token', await tokenFor(user))
+        .send({ itemId: pastel._id, quantity: 2, note: 'bem passado' });
+
+      expect(added.body.data).toMatchObject({ itemCount: 2, subtotal: 17 });
+
+      const cleared = await request(app).post('/api/cart/clear').set('token', await tokenFor(user));
+      expect(cleared.body.data.lines).toEqual([]);
+    });
+
+    it('should answer invalid items with 400', async () => {
+      const response = await request(app)
+        .post('/api/cart/add')
+        .set('token', await tokenFor(user))
+        .send({ itemId: pastel._id, quantity: 500 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INVALID_CART_ITEM');
+    });
+  });
+});
@@ -3,6 +3,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import CategoryService from '../services/categoryService.js';
+import { LocalUploadStorage } from '../services/uploadStorage.js';
 import categoryModel from '../models/categoryModel.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -24,14 +25,16 @@ vi.mock('../models/categoryModel.js', () => {
 
 describe('Category CRUD Operations with Unique Images', () => {
   let categoryService;
+  let storageDir;
   let testDir;
   let testFiles;
   let mockCategoryId;
   let mockCategory;
 
   beforeEach(() => {
-    categoryService = new CategoryService();
-    testDir = path.join(__dirname, 'temp-crud-test');
+    storageDir = path.join(__dirname, 'temp-crud-test');
+    testDir = path.join(storageDir, 'categories');
+    categoryService = new CategoryService({ storage: new LocalUploadStorage({ root: storageDir }) });
     testFiles = [];
     mockCategoryId = '507f1f77bcf86cd799439011';
     
@@ -84,13 +87,7 @@ describe('Category CRUD Operations with Unique Images', () => {
 
     // Clean up test directory
     try {
-      if (fs.existsSync(testDir)) {
-        const files = fs.readdirSync(testDir);
-        files.forEach(file => {
-          fs.unlinkSync(path.join(testDir, file));
-        });
-        fs.rmdirSync(testDir);
-      }
+      fs.rmSync(storageDir, { recursive: true, force: true });
     } catch (error) {
       console.warn('Failed to cleanup test directory:', error);
     }
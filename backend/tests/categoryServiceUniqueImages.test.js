@@ -3,6 +3,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import CategoryService from '../services/categoryService.js';
+import { LocalUploadStorage } from '../services/uploadStorage.js';
 import categoryModel from '../models/categoryModel.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -22,13 +23,15 @@ vi.mock('../models/categoryModel.js', () => ({
 
 describe('CategoryService Unique Images', () => {
   let categoryService;
+  let storageDir;
   let testDir;
   let testFiles;
   let mockCategoryId;
 
   beforeEach(() => {
-    categoryService = new CategoryService();
-    testDir = path.join(__dirname, 'temp-category-test');
+    storageDir = path.join(__dirname, 'temp-category-test');
+    testDir = path.join(storageDir, 'categories');
+    categoryService = new CategoryService({ storage: new LocalUploadStorage({ root: storageDir }) });
     testFiles = [];
     mockCategoryId = '507f1f77bcf86cd799439011';
     
@@ -58,13 +61,7 @@ describe('CategoryService Unique Images', () => {
 
     // Clean up test directory
     try {
-      if (fs.existsSync(testDir)) {
-        const files = fs.readdirSync(testDir);
-        files.forEach(file => {
-          fs.unlinkSync(path.join(testDir, file));
-        });
-        fs.rmdirSync(testDir);
-      }
+      fs.rmSync(storageDir, { recursive: true, force: true });
     } catch (error) {
       console.warn('Failed to cleanup test directory:', error);
     }
@@ -5,7 +5,6 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import mongoose from 'mongoose';
-import jwt from 'jsonwebtoken';
 import foodModel from '../models/foodModel.js';
 import categoryModel from '../models/categoryModel.js';
 import userModel from '../models/userModel.js';
@@ -13,6 +12,7 @@ import userModel from '../models/userModel.js';
 // Import server components
 import foodRouter from '../routes/foodRoute.js';
 import categoryRouter from '../routes/categoryRoute.js';
+import { tokenFor } from './helpers/authTokens.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -55,10 +55,8 @@ describe('End-to-End Image Workflow Tests', () => {
     const savedUser = await adminUser.save();
     testUserId = savedUser._id;
     
-    adminToken = jwt.sign(
-      { id: testUserId, isAdmin: true },
-      process.env.JWT_SECRET || 'test-secret'
-    );
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-with-at-least-32-characters';
+    adminToken = await tokenFor(savedUser);
   });
 
   afterAll(async () => {
@@ -3,6 +3,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import EnhancedImageProcessor from '../utils/enhancedImageProcessor.js';
+import { LocalUploadStorage } from '../services/uploadStorage.js';
 import { validateCategoryImage, validateImageDimensions } from '../utils/categoryValidation.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -14,8 +15,8 @@ describe('Enhanced Image Validation and Processing', () => {
   let testFiles;
 
   beforeEach(() => {
-    imageProcessor = new EnhancedImageProcessor();
     testDir = path.join(__dirname, 'temp-test-images');
+    imageProcessor = new EnhancedImageProcessor({ storage: new LocalUploadStorage({ root: testDir }) });
     testFiles = [];
     
     // Create test directory
@@ -38,13 +39,7 @@ describe('Enhanced Image Validation and Processing', () => {
 
     // Clean up test directory
     try {
-      if (fs.existsSync(testDir)) {
-        const files = fs.readdirSync(testDir);
-        files.forEach(file => {
-          fs.unlinkSync(path.join(testDir, file));
-        });
-        fs.rmdirSync(testDir);
-      }
+      fs.rmSync(testDir, { recursive: true, force: true });
     } catch (error) {
       console.warn('Failed to cleanup test directory:', error);
     }
@@ -348,17 +343,18 @@ describe('Enhanced Image Validation and Processing', () => {
       const originalContent = fs.readFileSync(originalFile.path);
       
       // Create backup
-      const backupResult = await imageProcessor.createImageBackup(originalFile.path);
+      const backupResult = await imageProcessor.createImageBackup('/uploads/original.jpg');
       expect(backupResult.success).toBe(true);
-      expect(fs.existsSync(backupResult.backupPath)).toBe(true);
+      expect(backupResult.backupKey).toMatch(/^categories\/\.backups\/backup_\d+_original\.jpg$/);
+      expect(fs.existsSync(path.join(testDir, backupResult.backupKey))).toBe(true);
       
       // Modify original file
       fs.writeFileSync(originalFile.path, 'modified content');
       
       // Restore from backup
       const restoreResult = await imageProcessor.restoreImageBackup(
-        backupResult.backupPath, 
-        originalFile.path
+        backupResult.backupKey, 
+        '/uploads/original.jpg'
       );
       expect(restoreResult.success).toBe(true);
       
@@ -382,7 +378,7 @@ describe('Enhanced Image Validation and Processing', () => {
       const targetPath = path.join(testDir, 'target.jpg');
       testFiles.push(targetPath);
       
-      const result = await imageProcessor.moveImageFile(sourceFile.path, targetPath);
+      const result = await imageProcessor.moveImageFile(sourceFile.path, 'target.jpg');
       
       expect(result.success).toBe(true);
       expect(fs.existsSync(targetPath)).toBe(true);
@@ -391,9 +387,7 @@ describe('Enhanced Image Validation and Processing', () => {
 
     it('should handle moving non-existent files', async () => {
       const nonExistentSource = path.join(testDir, 'does-not-exist.jpg');
-      const targetPath = path.join(testDir, 'target.jpg');
-      
-      const result = await imageProcessor.moveImageFile(nonExistentSource, targetPath);
+      const result = await imageProcessor.moveImageFile(nonExistentSource, 'target.jpg');
       
       expect(result.success).toBe(false);
       expect(result.error).toContain('does not exist');
@@ -402,7 +396,7 @@ describe('Enhanced Image Validation and Processing', () => {
 
   describe('Cleanup Operations', () => {
     it('should clean up old backup files', async () => {
-      const backupDir = path.join(imageProcessor.getCategoryImagePath(), '.backups');
+      const backupDir = path.join(testDir, 'categories', '.backups');
       if (!fs.existsSync(backupDir)) {
         fs.mkdirSync(backupDir, { recursive: true });
       }
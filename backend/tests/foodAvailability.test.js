@@ -0,0 +1,153 @@
+import { describe, it, expect, vi } from 'vitest';
+import foodModel from '../models/foodModel.js';
+import orderModel from '../models/orderModel.js';
+import { foodStockService } from '../services/foodStockService.js';
+import { orderEventsService, ORDER_EVENT } from '../services/orderEventsService.js';
+import { ORDER_STATUS } from '../utils/orderStatus.js';
+import {
+  UNAVAILABLE_REASON,
+  getFoodAvailability,
+  isWithinSchedule,
+  parseAvailabilitySchedule
+} from '../utils/foodAvailability.js';
+import { getLocalClock } from '../utils/storeClock.js';
+
+const TIME_ZONE = 'America/Sao_Paulo';
+
+// Wednesday 2026-01-14 09:30 in São Paulo (UTC-3)
+const wednesdayMorning = new Date('2026-01-14T12:30:00Z');
+
+describe('Food Availability', () => {
+  describe('schedules', () => {
+    it('should read the weekday and time in the store time zone', () => {
+      expect(getLocalClock(wednesdayMorning, TIME_ZONE)).toEqual({ date: '2026-01-14', day: 3, minutes: 9 * 60 + 30 });
+      expect(getLocalClock(new Date('2026-01-15T02:00:00Z'), TIME_ZONE)).toEqual({ date: '2026-01-14', day: 3, minutes: 23 * 60 });
+    });
+
+    it('should match windows by day and time', () => {
+      const breakfast = [{ days: [1, 2, 3, 4, 5], start: '06:00', end: '11:00' }];
+
+      expect(isWithinSchedule(breakfast, { day: 3, minutes: 10 * 60 + 59 })).toBe(true);
+      expect(isWithinSchedule(breakfast, { day: 3, minutes: 11 * 60 })).toBe(false);
+      expect(isWithinSchedule(breakfast, { day: 0, minutes: 8 * 60 })).toBe(false);
+      expect(isWithinSchedule([], { day: 0, minutes: 0 })).toBe(true);
+    });
+
+    it('should handle windows that cross midnight', () => {
+      const lateNight = [{ days: [5], start: '22:00', end: '02:00' }];
+
+      expect(isWithinSchedule(lateNight, { day: 5, minutes: 23 * 60 })).toBe(true);
+      expect(isWithinSchedule(lateNight, { day: 6, minutes: 60 })).toBe(true);
+      expect(isWithinSchedule(lateNight, { day: 5, minutes: 60 })).toBe(false);
+    });
+
+    it('should validate schedules sent by the admin', () => {
+      expect(parseAvailabilitySchedule(JSON.stringify([{ days: [5, 1, 1], start: '06:00', end: '11:00' }])))
+        .toEqual([{ days: [1, 5], start: '06:00', end: '11:00' }]);
+      expect(parseAvailabilitySchedule(undefined)).toEqual([]);
+      expect(parseAvailabilitySchedule([{ days: [7], start: '06:00', end: '11:00' }])).toBeNull();
+      expect(parseAvailabilitySchedule([{ days: [1], start: '6h', end: '11:00' }])).toBeNull();
+      expect(parseAvailabilitySchedule([{ days: [1], start: '06:00', end: '06:00' }])).toBeNull();
+    });
+  });
+
+  describe('getFoodAvailability', () => {
+    const options = { now: wednesdayMorning, timeZone: TIME_ZONE };
+
+    it('should treat foods without availability settings as available', () => {
+      expect(getFoodAvailability({ name: 'Pastel' }, options)).toEqual({ available: true, reason: null, message: null, stock: null });
+    });
+
+    it('should report why a food cannot be ordered', () => {
+      expect(getFoodAvailability({ isAvailable: false, stock: 5 }, options).reason).toBe(UNAVAILABLE_REASON.DISABLED);
+      expect(getFoodAvailability({ stock: 0 }, options).reason).toBe(UNAVAILABLE_REASON.OUT_OF_STOCK);
+      expect(getFoodAvailability({ availabilitySchedule: [{ days: [3], start: '11:00', end: '15:00' }] }, options).reason)
+        .toBe(UNAVAILABLE_REASON.OUT_OF_SCHEDULE);
+      expect(getFoodAvailability({ stock: 3, availabilitySchedule: [{ days: [3], start: '06:00', end: '11:00' }] }, options))
+        .toMatchObject({ available: true, stock: 3 });
+    });
+  });
+
+  describe('stock deduction', () => {
+    const createFood = (name, stock) => foodModel.create({
+      name,
+      description: name,
+      price: 8,
+      image: `/uploads/${name}.jpg`,
+      category: 'Pastéis',
+      stock
+    });
+
+    const createOrder = (items) => orderModel.create({
+      userId: 'user-1',
+      items,
+      amount: 44,
+      address: { street: 'Rua A', number: '1', neighborhood: 'Centro', zone: 'Zona 1' }
+    });
+
+    it('should deduct paid orders from stock once', async () => {
+      const pastel = await createFood('Pastel', 4);
+      const suco = await createFood('Suco', null);
+      const order = await createOrder([
+        { _id: pastel._id.toString(), name: 'Pastel', price: 8, quantity: 2 },
+        { _id: pastel._id.toString(), name: 'Pastel', price: 10, quantity: 2, options: [{ name: 'Grande', price: 2 }] },
+        { _id: suco._id.toString(), name: 'Suco', price: 8, quantity: 1 }
+      ]);
+
+      await orderModel.transitionStatus(order._id, ORDER_STATUS.PAID, { changedBy: 'test', set: { payment: true } });
+      await orderModel.deductStockOnce(order);
+
+      expect((await foodModel.findById(pastel._id)).stock).toBe(0);
+      expect((await foodModel.findById(suco._id)).stock).toBeNull();
+      expect((await orderModel.findById(order._id)).stockDeducted).toBe(true);
+    });
+
+    it('should sell the last units to one order only', async () => {
+      const pastel = await createFood('Pastel', 1);
+      const suco = await createFood('Suco', 5);
+      const items = [
+        { _id: suco._id.toString(), name: 'Suco', price: 8, quantity: 2 },
+        { _id: pastel._id.toString(), name: 'Pastel', price: 8, quantity: 1 }
+      ];
+
+      const results = await Promise.allSettled([
+        foodStockService.deductForOrder({ _id: 'order-1', items }),
+        foodStockService.deductForOrder({ _id: 'order-2', items })
+      ]);
+
+      const rejected = results.filter(({ status }) => status === 'rejected');
+      expect(rejected).toHaveLength(1);
+      expect(rejected[0].reason.details).toEqual([
+        expect.objectContaining({ itemId: pastel._id.toString(), reason: UNAVAILABLE_REASON.OUT_OF_STOCK, available: 0 })
+      ]);
+      expect((await foodModel.findById(pastel._id)).stock).toBe(0);
+      expect((await foodModel.findById(suco._id)).stock).toBe(3);
+    });
+
+    it('should give the stock back once when the order is cancelled', async () => {
+      const pastel = await createFood('Pastel', 3);
+      const order = await createOrder([{ _id: pastel._id.toString(), name: 'Pastel', price: 8, quantity: 2 }]);
+      await foodStockService.deductForOrder(order);
+      await orderModel.updateOne({ _id: order._id }, { stockDeducted: true });
+
+      await orderModel.transitionStatus(order._id, ORDER_STATUS.CANCELLED, { changedBy: 'test' });
+      await orderModel.restoreStockOnce(order);
+
+      expect(await foodModel.findById(pastel._id).lean()).toMatchObject({ stock: 3, soldCount: 0 });
+      expect((await orderModel.findById(order._id)).stockDeducted).toBe(false);
+    });
+
+    it('should report paid orders that stock cannot cover', async () => {
+      const pastel = await createFood('Pastel', 1);
+      const order = await createOrder([{ _id: pastel._id.toString(), name: 'Pastel', price: 8, quantity: 2 }]);
+      const publish = vi.spyOn(orderEventsService, 'publish');
+
+      await orderModel.transitionStatus(order._id, ORDER_STATUS.PAID, { changedBy: 'test', set: { payment: true } });
+
+      expect((await foodModel.findById(pastel._id)).stock).toBe(1);
+      expect((await orderModel.findById(order._id)).stockDeducted).toBe(false);
+      expect(publish).toHaveBeenCalledWith(ORDER_EVENT.ATTENTION, expect.anything(), expect.objectContaining({ code: 'OUT_OF_STOCK' }));
+      publish.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_OPTION_GROUPS,
+  parseOptionGroups,
+  resolveSelectedOptions,
+  formatItemTitle,
+  isFoodOptionsError
+} from '../utils/foodOptions.js';
+
+const GRANDE_ID = '507f1f77bcf86cd799439031';
+const PEQUENO_ID = '507f1f77bcf86cd799439032';
+const QUEIJO_ID = '507f1f77bcf86cd799439033';
+const BACON_ID = '507f1f77bcf86cd799439034';
+
+const pastel = {
+  name: 'Pastel',
+  price: 8,
+  optionGroups: [
+    {
+      name: 'Tamanho',
+      min: 1,
+      max: 1,
+      options: [{ _id: PEQUENO_ID, name: 'Pequeno', price: 0 }, { _id: GRANDE_ID, name: 'Grande', price: 3 }]
+    },
+    {
+      name: 'Adicionais',
+      min: 0,
+      max: 1,
+      options: [{ _id: QUEIJO_ID, name: 'Queijo extra', price: 2.5 }, { _id: BACON_ID, name: 'Bacon', price: 3 }]
+    }
+  ]
+};
+
+describe('Food Options', () => {
+  describe('parseOptionGroups', () => {
+    it('should parse groups sent as JSON by multipart forms', () => {
+      const groups = parseOptionGroups(JSON.stringify([
+        { name: ' Tamanho ', min: 1, max: 1, options: [{ name: 'Grande', price: '3.499' }, { name: 'Pequeno' }] }
+      ]));
+
+      expect(groups).toEqual([
+        { name: 'Tamanho', min: 1, max: 1, options: [{ name: 'Grande', price: 3.5 }, { name: 'Pequeno', price: 0 }] }
+      ]);
+    });
+
+    it('should keep the IDs of existing groups and options', () => {
+      const [group] = parseOptionGroups([{ _id: GRANDE_ID, name: 'Tamanho', options: [{ _id: QUEIJO_ID, name: 'Grande' }, { _id: 'x', name: 'Pequeno' }] }]);
+
+      expect(group._id).toBe(GRANDE_ID);
+      expect(group.options.map((option) => option._id)).toEqual([QUEIJO_ID, undefined]);
+    });
+
+    it('should treat a missing value as no groups', () => {
+      expect(parseOptionGroups(undefined)).toEqual([]);
+      expect(parseOptionGroups('')).toEqual([]);
+    });
+
+    it('should list every problem of invalid groups', () => {
+      const error = (() => {
+        try {
+          parseOptionGroups([
+            { name: '', options: [{ name: 'Grande', price: -1 }] },
+            { name: 'Molho', min: 2, max: 1, options: [{ name: 'Alho' }] }
+          ]);
+        } catch (err) {
+          return err;
+        }
+      })();
+
+      expect(isFoodOptionsError(error)).toBe(true);
+      expect(error.details.map(({ group, field }) => `${group}:${field}`)).toEqual(['#1:name', '#1:price', 'Molho:min']);
+    });
+
+    it('should reject malformed JSON and too many groups', () => {
+      expect(() => parseOptionGroups('{')).toThrow('Opções do produto inválidas');
+      expect(() => parseOptionGroups(Array.from({ length: MAX_OPTION_GROUPS + 1 }, () => ({ name: 'G', options: [{ name: 'A' }] }))))
+        .toThrow(`Informe até ${MAX_OPTION_GROUPS} grupos de opções`);
+    });
+  });
+
+  describe('resolveSelectedOptions', () => {
+    it('should price the selected options', () => {
+      const result = resolveSelectedOptions(pastel, [QUEIJO_ID, GRANDE_ID]);
+
+      expect(result.errors).toEqual([]);
+      expect(result.extra).toBe(5.5);
+      expect(result.options).toEqual([
+        { optionId: GRANDE_ID, group: 'Tamanho', name: 'Grande', price: 3 },
+        { optionId: QUEIJO_ID, group: 'Adicionais', name: 'Queijo extra', price: 2.5 }
+      ]);
+    });
+
+    it('should enforce the minimum and maximum of each group', () => {
+      expect(resolveSelectedOptions(pastel, []).errors).toEqual(['Escolha uma opção em "Tamanho"']);
+      expect(resolveSelectedOptions(pastel, [PEQUENO_ID, QUEIJO_ID, BACON_ID]).errors)
+        .toEqual(['Escolha no máximo 1 opções em "Adicionais"']);
+    });
+
+    it('should reject options the food does not have', () => {
+      expect(resolveSelectedOptions({ name: 'Suco', price: 6 }, [GRANDE_ID]).errors)
+        .toEqual(['Opção não existe mais para este item']);
+    });
+  });
+
+  describe('formatItemTitle', () => {
+    it('should add the option names to the item name', () => {
+      expect(formatItemTitle({ name: 'Pastel', options: [{ name: 'Grande' }, { name: 'Queijo extra' }] }))
+        .toBe('Pastel (Grande, Queijo extra)');
+      expect(formatItemTitle({ name: 'Suco' })).toBe('Suco');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import foodModel from '../models/foodModel.js';
+import categoryModel from '../models/categoryModel.js';
+import { foodSearchService } from '../services/foodSearchService.js';
+import { foodStockService } from '../services/foodStockService.js';
+import {
+  SEARCH_SORT,
+  buildKeywordFilter,
+  buildSearchKeywords,
+  normalizeSearchText,
+  parseFoodSearch,
+  singularize,
+  toSearchTerms
+} from '../utils/foodSearch.js';
+import { buildPagination, parsePagination } from '../utils/pagination.js';
+
+const firstPage = parsePagination({});
+
+describe('Food Search', () => {
+  describe('keywords', () => {
+    it('should drop accents, case and punctuation', () => {
+      expect(normalizeSearchText('  Pastéis (6 un.) ')).toBe('pasteis 6 un');
+      expect(normalizeSearchText('AÇAÍ')).toBe('acai');
+      expect(normalizeSearchText(null)).toBe('');
+    });
+
+    it('should reduce Portuguese plurals to the singular', () => {
+      expect(singularize('pasteis')).toBe('pastel');
+      expect(singularize('pudins')).toBe('pudim');
+      expect(singularize('limoes')).toBe('limao');
+      expect(singularize('paes')).toBe('pao');
+      expect(singularize('flores')).toBe('flor');
+      expect(singularize('doces')).toBe('doce');
+      expect(singularize('suco')).toBe('suco');
+      expect(singularize('gas')).toBe('gas');
+    });
+
+    it('should let "pastel" and a partial word find "Pastéis"', () => {
+      const keywords = buildSearchKeywords({ name: 'Pastéis de Queijo', description: 'Massa crocante' });
+      const matches = (query) => toSearchTerms(query).every((term) => keywords.some((keyword) => keyword.startsWith(term)));
+
+      expect(keywords).toEqual(expect.arrayContaining(['pasteis', 'pastel', 'queijo', 'massa', 'crocante']));
+      expect(keywords).not.toContain('de');
+      expect(matches('pastel')).toBe(true);
+      expect(matches('PASTÉIS')).toBe(true);
+      expect(matches('pastei')).toBe(true);
+      expect(matches('pastel de queijos')).toBe(true);
+      expect(matches('pastel de carne')).toBe(false);
+    });
+  });
+
+  describe('parseFoodSearch', () => {
+    it('should read the filters and default to popularity', () => {
+      const { search, errors } = parseFoodSearch({ q: 'Pastéis', category: ' Salgados ', minPrice: '5', maxPrice: '12.5', available: 'true' });
+
+      expect(errors).toEqual([]);
+      expect(search).toEqual({
+        terms: ['pastel'],
+        category: 'Salgados',
+        minPrice: 5,
+        maxPrice: 12.5,
+        available: true,
+        sort: SEARCH_SORT.POPULARITY
+      });
+    });
+
+    it('should list every problem', () => {
+      const { errors } = parseFoodSearch({ minPrice: '10', maxPrice: '5', available: 'yes', sort: 'random' });
+
+      expect(errors.map(({ field }) => field)).toEqual(['maxPrice', 'available', 'sort']);
+      expect(parseFoodSearch({ minPrice: '-1' }).errors[0].field).toBe('minPrice');
+    });
+
+    it('should build prefix and price conditions', () => {
+      const filter = buildKeywordFilter({ terms: ['pastel', 'queijo'], minPrice: 5, maxPrice: null });
+
+      expect(filter.searchKeywords.$all.map(String)).toEqual(['/^pastel/', '/^queijo/']);
+      expect(filter.price).toEqual({ $gte: 5 });
+      expect(buildKeywordFilter({ terms: [] })).toEqual({});
+    });
+  });
+
+  describe('pagination', () => {
+    it('should fall back to the defaults and cap the page size', () => {
+      expect(parsePagination({})).toEqual({ page: 1, limit: 20, skip: 0 });
+      expect(parsePagination({ page: '3', limit: '10' })).toEqual({ page: 3, limit: 10, skip: 20 });
+      expect(parsePagination({ page: '-2', limit: 'abc' })).toEqual({ page: 1, limit: 20, skip: 0 });
+      expect(parsePagination({ limit: '500' }, { maxLimit: 50 }).limit).toBe(50);
+      expect(buildPagination({ page: 2, limit: 10 }, 25)).toEqual({ page: 2, limit: 10, total: 25, totalPages: 3, hasNextPage: true });
+    });
+  });
+
+  describe('foodSearchService', () => {
+    let salgados;
+
+    beforeEach(async () => {
+      salgados = await categoryModel.create({ name: 'salgados', originalName: 'Salgados', slug: 'salgados', image: '/uploads/categories/salgados_1700000000000.png' });
+      const food = { image: '/images/food.png', categoryId: salgados._id, category: 'Salgados' };
+      await foodModel.create([
+        { ...food, name: 'Pastéis de Carne', description: 'Porção com seis', price: 18, soldCount: 40 },
+        { ...food, name: 'Pastel de Queijo', description: 'Queijo derretido', price: 9, soldCount: 90 },
+        { ...food, name: 'Coxinha', description: 'Frango com catupiry', price: 7, stock: 0 },
+        { image: '/images/food.png', name: 'Suco de Laranja', description: 'Natural', price: 8, category: 'Bebidas' }
+      ]);
+    });
+
+    it('should find plurals and sort by popularity', async () => {
+      const { search } = parseFoodSearch({ q: 'pastel' });
+      const { foods, pagination } = await foodSearchService.search(search, firstPage);
+
+      expect(foods.map(({ name }) => name)).toEqual(['Pastel de Queijo', 'Pastéis de Carne']);
+      expect(pagination).toMatchObject({ total: 2, totalPages: 1 });
+    });
+
+    it('should filter by category, price and availability', async () => {
+      const search = (query) => foodSearchService.search(parseFoodSearch(query).search, firstPage);
+
+      expect((await search({ category: 'salgados', sort: 'price_asc' })).foods.map(({ price }) => price)).toEqual([7, 9, 18]);
+      expect((await search({ category: String(salgados._id), maxPrice: '10', available: 'true' })).foods.map(({ name }) => name)).toEqual(['Pastel de Queijo']);
+      expect((await search({ category: 'Bebidas' })).foods.map(({ name }) => name)).toEqual(['Suco de Laranja']);
+      expect((await search({ available: 'false' })).foods.map(({ name }) => name)).toEqual(['Coxinha']);
+    });
+
+    it('should page the results', async () => {
+      const { search } = parseFoodSearch({ sort: 'name' });
+      const { foods, pagination } = await foodSearchService.search(search, parsePagination({ page: '2', limit: '3' }));
+
+      expect(foods.map(({ name }) => name)).toEqual(['Suco de Laranja']);
+      expect(pagination).toEqual({ page: 2, limit: 3, total: 4, totalPages: 2, hasNextPage: false });
+    });
+
+    it('should keep keywords current and count units sold', async () => {
+      const food = await foodModel.findOne({ name: 'Coxinha' });
+      await foodModel.findByIdAndUpdate(food._id, { name: 'Coxinhas de Frango' });
+      await foodStockService.deductForOrder({ _id: 'order', items: [{ _id: food._id, quantity: 3 }] });
+
+      const updated = await foodModel.findById(food._id);
+      expect(updated.searchKeywords).toEqual(expect.arrayContaining(['coxinha', 'frango', 'catupiry']));
+      expect(updated.soldCount).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+import zoneModel from '../models/zoneModel.js';
+import {
+  MAX_RADIUS_METERS,
+  circleToPolygon,
+  getDeliveryDistanceKm,
+  haversineKm,
+  parseGeoJsonArea,
+  parseGeoPoint,
+  parseZoneCoverage
+} from '../utils/geoZones.js';
+
+const store = { lat: -23.5505, lng: -46.6333 };
+
+// Square of roughly 1 km around the store, as exported by geojson.io
+const square = {
+  type: 'FeatureCollection',
+  features: [{
+    type: 'Feature',
+    properties: { name: 'Centro' },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[-46.638, -23.555], [-46.628, -23.555], [-46.628, -23.546], [-46.638, -23.546], [-46.638, -23.555]]]
+    }
+  }]
+};
+
+describe('Geo Zones', () => {
+  describe('points and distances', () => {
+    it('should validate coordinates', () => {
+      expect(parseGeoPoint({ lat: '-23.5505', lng: '-46.6333' })).toEqual(store);
+      expect(parseGeoPoint({ lat: 91, lng: 0 })).toBeNull();
+      expect(parseGeoPoint({ lat: '', lng: 10 })).toBeNull();
+      expect(parseGeoPoint(undefined)).toBeNull();
+    });
+
+    it('should measure great-circle distances', () => {
+      const rio = { lat: -22.9068, lng: -43.1729 };
+
+      expect(haversineKm(store, rio)).toBeGreaterThan(355);
+      expect(haversineKm(store, rio)).toBeLessThan(365);
+      expect(haversineKm(store, store)).toBe(0);
+    });
+
+    it('should approximate a radius with a closed polygon', () => {
+      const polygon = circleToPolygon(store, 2000);
+      const ring = polygon.coordinates[0];
+
+      expect(polygon.type).toBe('Polygon');
+      expect(ring[0]).toEqual(ring[ring.length - 1]);
+      for (const [lng, lat] of ring) {
+        expect(haversineKm(store, { lat, lng })).toBeCloseTo(2, 2);
+      }
+    });
+
+    it('should measure the delivery distance from the store, or from the radius center', () => {
+      const customer = { lat: -23.5595, lng: -46.6333 };
+
+      expect(getDeliveryDistanceKm({}, customer, store)).toBe(1);
+      expect(getDeliveryDistanceKm({ radius: { center: store, meters: 3000 } }, customer, null)).toBe(1);
+      expect(getDeliveryDistanceKm({}, customer, null)).toBeNull();
+    });
+  });
+
+  describe('GeoJSON import', () => {
+    it('should accept geometries, features and feature collections', () => {
+      expect(parseGeoJsonArea(square)).toEqual(square.features[0].geometry);
+      expect(parseGeoJsonArea(square.features[0])).toEqual(square.features[0].geometry);
+      expect(parseGeoJsonArea(JSON.stringify(square.features[0].geometry))).toEqual(square.features[0].geometry);
+    });
+
+    it('should merge several polygons and close open rings', () => {
+      const open = [[[0, 0], [1, 0], [1, 1]]];
+      const area = parseGeoJsonArea({
+        type: 'FeatureCollection',
+        features: [square.features[0], { type: 'Feature', geometry: { type: 'Polygon', coordinates: open } }]
+      });
+
+      expect(area.type).toBe('MultiPolygon');
+      expect(area.coordinates).toHaveLength(2);
+      expect(area.coordinates[1][0]).toEqual([[0, 0], [1, 0], [1, 1], [0, 0]]);
+    });
+
+    it('should reject anything that is not a valid polygon', () => {
+      expect(parseGeoJsonArea('{not json')).toBeNull();
+      expect(parseGeoJsonArea({ type: 'Point', coordinates: [0, 0] })).toBeNull();
+      expect(parseGeoJsonArea({ type: 'Polygon', coordinates: [[[0, 0], [1, 1], [0, 0]]] })).toBeNull();
+      // Latitude first is a common mistake that puts the area out of range
+      expect(parseGeoJsonArea({ type: 'Polygon', coordinates: [[[0, 0], [0, 200], [1, 1], [0, 0]]] })).toBeNull();
+    });
+  });
+
+  describe('parseZoneCoverage', () => {
+    it('should turn a radius into an area around the store', () => {
+      const { coverage, errors } = parseZoneCoverage({ radius: { meters: '3000' } }, store);
+
+      expect(errors).toEqual([]);
+      expect(coverage.radius).toEqual({ center: store, meters: 3000 });
+      expect(coverage.area.type).toBe('Polygon');
+    });
+
+    it('should replace a radius with an imported area and clear both with null', () => {
+      expect(parseZoneCoverage({ area: square }, store).coverage).toEqual({ area: square.features[0].geometry, radius: null });
+      expect(parseZoneCoverage({ area: null }, store).coverage).toEqual({ area: null, radius: null });
+      expect(parseZoneCoverage({ name: 'Centro' }, store).coverage).toEqual({});
+    });
+
+    it('should report invalid coverage', () => {
+      expect(parseZoneCoverage({ radius: { meters: MAX_RADIUS_METERS + 1 } }, store).errors[0].field).toBe('radius');
+      expect(parseZoneCoverage({ radius: { meters: 1000 } }, null).errors[0].field).toBe('radius');
+      expect(parseZoneCoverage({ area: { type: 'Polygon', coordinates: [] } }, store).errors[0].field).toBe('area');
+    });
+  });
+
+  describe('zone lookup', () => {
+    const createZone = (name, coverage, neighborhoods = []) =>
+      zoneModel.create({ name, neighborhoods, ...parseZoneCoverage(coverage, store).coverage });
+
+    it('should find the zone covering a point before matching the neighborhood', async () => {
+      await createZone('Centro', { area: square });
+      await createZone('Raio', { radius: { meters: 5000, center: { lat: -23.6, lng: -46.7 } } }, ['Vila Nova']);
+
+      expect((await zoneModel.findByLocation({ lat: -23.55, lng: -46.633 }))?.name).toBe('Centro');
+      expect((await zoneModel.findByLocation({ lat: -23.6, lng: -46.7 }))?.name).toBe('Raio');
+      expect(await zoneModel.findByLocation({ lat: -22.9, lng: -43.17 })).toBeNull();
+      expect((await zoneModel.findForAddress({ neighborhood: 'Vila Nova', location: { lat: -22.9, lng: -43.17 } }))?.name).toBe('Raio');
+    });
+
+    it('should refuse a location in another zone than the neighborhood', async () => {
+      await createZone('Centro', { area: square }, ['Sé']);
+      await createZone('Raio', { radius: { meters: 5000, center: { lat: -23.6, lng: -46.7 } } }, ['Vila Nova']);
+
+      await expect(zoneModel.findForAddress({ neighborhood: 'Vila Nova', location: { lat: -23.55, lng: -46.633 } }))
+        .rejects.toMatchObject({ code: 'LOCATION_ZONE_MISMATCH', zones: { location: 'Centro', neighborhood: 'Raio' } });
+      expect((await zoneModel.findForAddress({ neighborhood: 'Sé', location: { lat: -23.55, lng: -46.633 } }))?.name).toBe('Centro');
+      expect((await zoneModel.findForAddress({ neighborhood: 'Bairro Novo', location: { lat: -23.55, lng: -46.633 } }))?.name).toBe('Centro');
+    });
+
+    it('should detect overlapping areas', async () => {
+      await createZone('Centro', { area: square });
+
+      await expect(zoneModel.validateAreaOverlap(circleToPolygon(store, 500))).rejects.toMatchObject({
+        overlaps: [{ existingZone: 'Centro' }]
+      });
+      await expect(zoneModel.validateAreaOverlap(circleToPolygon({ lat: -22.9, lng: -43.17 }, 500))).resolves.toBe(true);
+    });
+  });
+});
@@ -0,0 +1,15 @@
+import AuthService from '../../services/authService.js';
+
+const authService = new AuthService();
+
+/**
+ * Log a user in and return their access token
+ * Access tokens are only accepted while their refresh session is active, so
+ * tests go through a real session instead of signing tokens by hand:
+ *
+ *   await request(app).get('/api/order/list').set('token', await tokenFor(admin));
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<string>} - Access token
+ */
+export const tokenFor = async (user) => (await authService.issueTokens(user)).token;
@@ -0,0 +1,108 @@
+import { signWebhook } from '../../utils/mercadoPagoSignature.js';
+
+/**
+ * Local MercadoPago stub
+ *
+ * Implements the gateway contract (see services/mercadoPagoGateway.js) in memory
+ * and signs webhook notifications like MercadoPago does, so payment flows can be
+ * exercised end-to-end without the network:
+ *
+ *   const stub = new MercadoPagoStub();
+ *   setMercadoPagoGateway(stub);
+ *   stub.addPayment({ id: '123', status: 'approved', orderId });
+ *   const { query, headers, body } = stub.buildNotification('123');
+ */
+export class MercadoPagoStub {
+  constructor({ secret = 'test-webhook-secret' } = {}) {
+    this.name = 'mercadopago-stub';
+    this.secret = secret;
+    this.payments = new Map();
+    this.preferences = [];
+    this.refunds = [];
+    this.requestCount = 0;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async createPreference(body) {
+    const id = `pref-${this.preferences.length + 1}`;
+    const preference = { id, init_point: `https://mercadopago.test/checkout/${id}`, ...body };
+    this.preferences.push(preference);
+    return preference;
+  }
+
+  async getPayment(paymentId) {
+    const payment = this.payments.get(String(paymentId));
+    if (!payment) {
+      const error = new Error(`Payment ${paymentId} not found`);
+      error.status = 404;
+      throw error;
+    }
+    return { ...payment };
+  }
+
+  async searchPaymentsByOrder(orderId) {
+    return [...this.payments.values()]
+      .filter((payment) => payment.external_reference === String(orderId))
+      .reverse()
+      .map((payment) => ({ ...payment }));
+  }
+
+  async refundPayment(paymentId, amount) {
+    const payment = await this.getPayment(paymentId);
+    const refund = {
+      id: this.refunds.length + 1,
+      payment_id: payment.id,
+      status: 'approved',
+      amount: amount ?? payment.transaction_amount
+    };
+    this.refunds.push(refund);
+    return refund;
+  }
+
+  /**
+   * Register a payment the stub API will return
+   * @param {Object} payment - { id, status, orderId, amount }
+   * @returns {Object} - Stored payment
+   */
+  addPayment({ id, status = 'pending', orderId, amount = 0 }) {
+    const payment = {
+      id: Number(id),
+      status,
+      external_reference: orderId ? String(orderId) : undefined,
+      transaction_amount: amount
+    };
+    this.payments.set(String(id), payment);
+    return payment;
+  }
+
+  setPaymentStatus(paymentId, status) {
+    this.payments.get(String(paymentId)).status = status;
+  }
+
+  /**
+   * Build a signed notification for a payment
+   * @param {string} paymentId - Payment ID
+   * @param {Object} options - { action, secret, requestId, ts }
+   * @returns {Object} - { query, headers, body } ready to send to /api/order/webhook
+   */
+  buildNotification(paymentId, { action = 'payment.updated', secret = this.secret, requestId, ts } = {}) {
+    this.requestCount += 1;
+    const dataId = String(paymentId);
+    const xRequestId = requestId || `req-${this.requestCount}`;
+    const timestamp = ts || String(Date.now());
+
+    return {
+      query: { 'data.id': dataId, type: 'payment' },
+      headers: {
+        'x-request-id': xRequestId,
+        'x-signature': `ts=${timestamp},v1=${signWebhook({ dataId, requestId: xRequestId, ts: timestamp, secret })}`
+      },
+      body: { action, type: 'payment', data: { id: dataId } }
+    };
+  }
+}
+
+export default MercadoPagoStub;
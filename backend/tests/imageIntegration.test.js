@@ -8,7 +8,6 @@ import mongoose from 'mongoose';
 import foodModel from '../models/foodModel.js';
 import categoryModel from '../models/categoryModel.js';
 import userModel from '../models/userModel.js';
-import jwt from 'jsonwebtoken';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,6 +15,7 @@ const __dirname = path.dirname(__filename);
 // Import routes
 import foodRouter from '../routes/foodRoute.js';
 import categoryRouter from '../routes/categoryRoute.js';
+import { tokenFor } from './helpers/authTokens.js';
 
 describe('Image Integration Tests', () => {
   let app;
@@ -54,10 +54,8 @@ describe('Image Integration Tests', () => {
     const savedUser = await adminUser.save();
     testUserId = savedUser._id;
     
-    adminToken = jwt.sign(
-      { id: testUserId, isAdmin: true },
-      process.env.JWT_SECRET || 'test-secret'
-    );
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-with-at-least-32-characters';
+    adminToken = await tokenFor(savedUser);
   });
 
   afterAll(async () => {
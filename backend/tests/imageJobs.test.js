@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import foodModel from '../models/foodModel.js';
+import { IMAGE_OWNER_KINDS } from '../models/imageBlobModel.js';
+import imageCompressionMiddleware from '../middleware/imageCompression.js';
+import { optimizeImage, runHealthCheck } from '../services/imageJobs.js';
+import { imageStore } from '../services/imageStore.js';
+import { LocalUploadStorage, setUploadStorage, toStorageKey } from '../services/uploadStorage.js';
+
+// Noisy pixels compress like photos, unlike flat colors
+const createPhoto = (width, height) => sharp({
+  create: { width, height, channels: 3, background: '#c04020', noise: { type: 'gaussian', mean: 128, sigma: 30 } }
+});
+
+describe('Image Jobs', () => {
+  let directory;
+  let storage;
+
+  const stagingFiles = () => {
+    const staging = path.join(directory, 'staging', 'jobs');
+    return fs.existsSync(staging) ? fs.readdirSync(staging) : [];
+  };
+
+  // Food whose stored image is a fresh upload
+  const createFood = async (photo) => {
+    const file = path.join(directory, `upload-${Date.now()}.jpg`);
+    await photo.toFile(file);
+    const food = new foodModel({ name: 'Pastel', description: 'Pastel', price: 8, category: 'Pastéis', image: 'pending' });
+    const stored = await imageStore.storeFile(file, { kind: IMAGE_OWNER_KINDS.FOOD, id: food._id });
+    Object.assign(food, stored);
+    return food.save();
+  };
+
+  const run = (food, progress = vi.fn()) => optimizeImage({ kind: IMAGE_OWNER_KINDS.FOOD, id: food._id.toString() }, { progress });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'image-jobs-'));
+    storage = new LocalUploadStorage({ root: path.join(directory, 'uploads') });
+    setUploadStorage(storage);
+    process.env.UPLOAD_STAGING_DIR = path.join(directory, 'staging');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    setUploadStorage(null);
+    delete process.env.UPLOAD_STAGING_DIR;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('optimizeImage', () => {
+    it('should move the food to the compressed image and delete the original', async () => {
+      const food = await createFood(createPhoto(1600, 1200).jpeg({ quality: 100 }));
+
+      const result = await run(food);
+
+      const updated = await foodModel.findById(food._id);
+      expect(result.image).not.toBe(food.image);
+      expect(result.optimizedSize).toBeLessThan(result.originalSize);
+      expect(updated.image).toBe(result.image);
+      expect(await storage.stat(toStorageKey(food.image))).toBeFalsy();
+      expect(await sharp(await storage.get(toStorageKey(result.image))).metadata()).toMatchObject({ width: 1200, height: 900 });
+      expect(stagingFiles()).toEqual([]);
+    });
+
+    it('should keep an image replaced while the job ran', async () => {
+      const food = await createFood(createPhoto(1600, 1200).jpeg({ quality: 100 }));
+      const replacement = path.join(directory, 'replacement.jpg');
+      await createPhoto(300, 300).jpeg().toFile(replacement);
+      const replaced = await imageStore.storeFile(replacement, { kind: IMAGE_OWNER_KINDS.FOOD, id: food._id });
+
+      const result = await run(food, async () => {
+        await foodModel.updateOne({ _id: food._id }, { $set: replaced });
+      });
+
+      expect(result).toEqual({ skipped: true, reason: 'Imagem alterada durante a otimização' });
+      expect((await foodModel.findById(food._id)).image).toBe(replaced.image);
+      expect((await storage.list('images/')).map(({ key }) => `/uploads/${key}`).sort())
+        .toEqual([food.image, replaced.image].sort());
+      expect(stagingFiles()).toEqual([]);
+    });
+
+    it('should skip images already optimized', async () => {
+      const food = await createFood(createPhoto(200, 200).jpeg({ quality: 20 }));
+
+      const result = await run(food);
+
+      expect(result).toEqual({ skipped: true, reason: 'Image already optimized' });
+      expect((await foodModel.findById(food._id)).image).toBe(food.image);
+      expect(stagingFiles()).toEqual([]);
+    });
+
+    it('should skip when compressing gives back the same image', async () => {
+      const food = await createFood(createPhoto(200, 200).jpeg());
+      vi.spyOn(imageCompressionMiddleware, 'processUploadedFile').mockResolvedValue({ success: true });
+
+      const result = await run(food);
+
+      expect(result).toEqual({ skipped: true, reason: 'Imagem já otimizada' });
+      expect((await foodModel.findById(food._id)).image).toBe(food.image);
+      expect(await storage.stat(toStorageKey(food.image))).toBeTruthy();
+    });
+
+    it('should delete the staging file when storing fails', async () => {
+      const food = await createFood(createPhoto(1600, 1200).jpeg({ quality: 100 }));
+      vi.spyOn(imageStore, 'storeFile').mockRejectedValue(new Error('disk full'));
+
+      await expect(run(food)).rejects.toThrow('disk full');
+
+      expect(stagingFiles()).toEqual([]);
+      expect((await foodModel.findById(food._id)).image).toBe(food.image);
+    });
+  });
+
+  describe('runHealthCheck', () => {
+    it('should reject unknown checks', async () => {
+      await expect(runHealthCheck({ check: 'everything' })).rejects.toThrow('Unknown image health check: everything');
+    });
+  });
+});
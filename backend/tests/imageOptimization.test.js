@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import ImageOptimizer from '../utils/imageOptimization.js';
+import { ImageCompressionMiddleware } from '../middleware/imageCompression.js';
+
+// Noisy pixels compress like photos, unlike flat colors
+const createPhoto = (width, height) => sharp({
+  create: { width, height, channels: 3, background: '#c04020', noise: { type: 'gaussian', mean: 128, sigma: 30 } }
+});
+
+describe('Image Optimization', () => {
+  let directory;
+  let optimizer;
+
+  const file = (name) => path.join(directory, name);
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'image-optimization-'));
+    optimizer = new ImageOptimizer({ maxWidth: 400, maxHeight: 400, quality: 80 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should report the displayed dimensions', async () => {
+    await createPhoto(300, 200).jpeg().withMetadata({ orientation: 6 }).toFile(file('turned.jpg'));
+
+    const dimensions = await optimizer.getImageDimensions(file('turned.jpg'));
+
+    expect(dimensions).toMatchObject({ width: 200, height: 300, format: 'jpeg' });
+    expect(dimensions.size).toBe(fs.statSync(file('turned.jpg')).size);
+  });
+
+  it('should shrink, turn upright and strip metadata', async () => {
+    await createPhoto(1000, 600).jpeg({ quality: 100 })
+      .withExif({ IFD0: { Make: 'Camera' } })
+      .withMetadata({ orientation: 6 })
+      .toFile(file('photo.jpg'));
+
+    const result = await optimizer.optimizeImage(file('photo.jpg'), file('photo.jpg'));
+    const metadata = await sharp(file('photo.jpg')).metadata();
+
+    expect(result).toMatchObject({ success: true, width: 240, height: 400 });
+    expect(result.optimizedSize).toBe(fs.statSync(file('photo.jpg')).size);
+    expect(result.optimizedSize).toBeLessThan(result.originalSize);
+    expect(metadata).toMatchObject({ format: 'jpeg', width: 240, height: 400 });
+    expect(metadata.exif).toBeUndefined();
+    expect(metadata.orientation).toBeUndefined();
+  });
+
+  it('should encode at the configured quality', async () => {
+    await createPhoto(300, 300).png().toFile(file('photo.png'));
+    await createPhoto(300, 300).webp({ quality: 100 }).toFile(file('photo.webp'));
+
+    const high = await new ImageOptimizer({ quality: 95 }).optimizeImage(file('photo.webp'), file('high.webp'));
+    const low = await new ImageOptimizer({ quality: 30 }).optimizeImage(file('photo.webp'), file('low.webp'));
+    const png = await optimizer.optimizeImage(file('photo.png'));
+
+    expect(low.optimizedSize).toBeLessThan(high.optimizedSize);
+    expect((await sharp(file('low.webp')).metadata()).format).toBe('webp');
+    expect(png.outputPath).toBe(file('photo_opt.png'));
+    expect((await sharp(png.outputPath).metadata()).format).toBe('png');
+  });
+
+  it('should keep small clean images that would grow', async () => {
+    await createPhoto(100, 100).jpeg({ quality: 20 }).toFile(file('small.jpg'));
+    const original = fs.readFileSync(file('small.jpg'));
+
+    const result = await optimizer.optimizeImage(file('small.jpg'), file('small.jpg'));
+
+    expect(result).toMatchObject({ success: true, skipped: true, optimizedSize: original.length });
+    expect(fs.readFileSync(file('small.jpg')).equals(original)).toBe(true);
+  });
+
+  it('should leave files that are not images untouched', async () => {
+    fs.writeFileSync(file('fake.jpg'), 'not-an-image');
+
+    const result = await optimizer.optimizeImage(file('fake.jpg'), file('fake.jpg'));
+
+    expect(result.success).toBe(false);
+    expect(fs.readFileSync(file('fake.jpg'), 'utf8')).toBe('not-an-image');
+    expect(await optimizer.getImageDimensions(file('fake.jpg'))).toEqual({ width: 0, height: 0, size: 0 });
+  });
+
+  it('should create real WebP versions', async () => {
+    await createPhoto(800, 800).jpeg().toFile(file('photo.jpg'));
+
+    const result = await optimizer.createWebPVersion(file('photo.jpg'), file('photo.webp'));
+
+    expect(result).toMatchObject({ success: true, width: 400, height: 400 });
+    expect((await sharp(file('photo.webp')).metadata()).format).toBe('webp');
+  });
+
+  it('should compress uploads in place', async () => {
+    await createPhoto(2000, 1500).jpeg({ quality: 100 }).toFile(file('upload.jpg'));
+    const upload = {
+      path: file('upload.jpg'),
+      filename: 'upload.jpg',
+      mimetype: 'image/jpeg',
+      size: fs.statSync(file('upload.jpg')).size
+    };
+    const req = { file: upload };
+
+    await new ImageCompressionMiddleware().compressUploadedImages(req, {}, () => {});
+
+    expect(upload.path).toBe(file('upload.jpg'));
+    expect(upload.size).toBe(fs.statSync(file('upload.jpg')).size);
+    expect(req.imageCompressionResults[0].optimizedSize).toBe(upload.size);
+    expect(await sharp(file('upload.jpg')).metadata()).toMatchObject({ width: 1200, height: 900 });
+  });
+
+  it('should strip metadata from uploads even with compression off', async () => {
+    await createPhoto(300, 200).jpeg()
+      .withExif({ IFD0: { Make: 'Camera' } })
+      .withMetadata({ orientation: 6 })
+      .toFile(file('upload.jpg'));
+    const upload = { path: file('upload.jpg'), filename: 'upload.jpg', mimetype: 'image/jpeg', size: 0 };
+    const middleware = new ImageCompressionMiddleware();
+    middleware.enableCompression = false;
+    const next = vi.fn();
+
+    await middleware.stripUploadedMetadata({ file: upload }, {}, next);
+
+    const metadata = await sharp(file('upload.jpg')).metadata();
+    expect(next).toHaveBeenCalled();
+    expect(metadata).toMatchObject({ format: 'jpeg', width: 200, height: 300 });
+    expect(metadata.exif).toBeUndefined();
+    expect(metadata.orientation).toBeUndefined();
+    expect(upload.size).toBe(fs.statSync(file('upload.jpg')).size);
+  });
+
+  it('should reject and delete uploads whose metadata cannot be stripped', async () => {
+    fs.writeFileSync(file('fake.jpg'), 'not-an-image');
+    const res = { status: vi.fn().mockReturnThis(), json: vi.fn() };
+    const next = vi.fn();
+
+    await new ImageCompressionMiddleware().stripUploadedMetadata(
+      { file: { path: file('fake.jpg'), filename: 'fake.jpg', mimetype: 'image/jpeg' } },
+      res,
+      next
+    );
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(next).not.toHaveBeenCalled();
+    expect(fs.existsSync(file('fake.jpg'))).toBe(false);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import sharp from 'sharp';
+import imageBlobModel, { IMAGE_OWNER_KINDS } from '../models/imageBlobModel.js';
+import ImageStore from '../services/imageStore.js';
+import ImageVariantService from '../services/imageVariantService.js';
+import { LocalUploadStorage, toStorageKey } from '../services/uploadStorage.js';
+
+describe('Image Store', () => {
+  let directory;
+  let storage;
+  let store;
+
+  const food = () => ({ kind: IMAGE_OWNER_KINDS.FOOD, id: new mongoose.Types.ObjectId() });
+  const category = () => ({ kind: IMAGE_OWNER_KINDS.CATEGORY, id: new mongoose.Types.ObjectId() });
+
+  // Every call writes a fresh upload with the same pixels
+  const upload = async (name, color = '#d08020') => {
+    const file = path.join(directory, name);
+    await sharp({ create: { width: 200, height: 100, channels: 3, background: color } }).jpeg().toFile(file);
+    return file;
+  };
+
+  const storedFiles = async () => (await storage.list('images/')).map(({ key }) => path.basename(key));
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'image-store-'));
+    storage = new LocalUploadStorage({ root: path.join(directory, 'uploads') });
+    store = new ImageStore({ storage, variants: new ImageVariantService({ storage }) });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should name images by their contents and keep one copy', async () => {
+    const first = await store.storeFile(await upload('pastel.jpg'), food());
+    const second = await store.storeFile(await upload('pastel-copy.jpg'), category());
+
+    expect(first.image).toMatch(/^\/uploads\/images\/[0-9a-f]{64}\.jpg$/);
+    expect(second.image).toBe(first.image);
+    expect(second.imageVariants.id).toBe(path.parse(first.image).name);
+    expect(await storedFiles()).toEqual([path.basename(first.image)]);
+    expect(fs.existsSync(path.join(directory, 'pastel-copy.jpg'))).toBe(false);
+
+    const blob = await imageBlobModel.findOne({ path: first.image });
+    expect(blob.references.map((reference) => reference.kind)).toEqual(['food', 'category']);
+  });
+
+  it('should delete the image with its last reference', async () => {
+    const pastel = food();
+    const coxinha = food();
+    const { image, imageVariants } = await store.storeFile(await upload('pastel.jpg'), pastel);
+    await store.storeFile(await upload('coxinha.jpg'), coxinha);
+
+    expect(await store.release(image, pastel)).toBe(true);
+    expect(await storedFiles()).toHaveLength(1);
+
+    expect(await store.release(image, coxinha)).toBe(true);
+    expect(await storedFiles()).toEqual([]);
+    expect(await storage.list(`variants/${imageVariants.id}/`)).toEqual([]);
+    expect(await imageBlobModel.countDocuments()).toBe(0);
+  });
+
+  it('should keep the file for contents stored again while the last owner lets go', async () => {
+    const pastel = food();
+    const contents = await fs.promises.readFile(await upload('pastel.jpg'));
+    const { image } = await store.store(contents, '.jpg', pastel);
+    const remove = storage.delete.bind(storage);
+    let storedAgain = null;
+    // Stored after the blob is gone but while the file is still there
+    storage.delete = async (key) => {
+      if (!storedAgain && key.startsWith('images/')) {
+        storedAgain = await store.store(contents, '.jpg', food());
+      }
+      return remove(key);
+    };
+
+    await store.release(image, pastel);
+
+    expect(storedAgain.image).toBe(image);
+    expect(await storage.get(toStorageKey(image))).toEqual(contents);
+    expect((await imageBlobModel.findOne({ path: image })).references).toHaveLength(1);
+  });
+
+  it('should count the same owner once', async () => {
+    const pastel = food();
+    const { image } = await store.storeFile(await upload('pastel.jpg'), pastel);
+    await store.storeFile(await upload('pastel-again.jpg'), pastel);
+
+    await store.release(image, pastel);
+
+    expect(await storedFiles()).toEqual([]);
+  });
+
+  it('should store contents already in memory', async () => {
+    const contents = fs.readFileSync(await upload('legacy.jpg', '#204080'));
+
+    const { image } = await store.store(contents, '.JPG', category());
+
+    expect(image).toMatch(/\.jpg$/);
+    expect((await storage.get(toStorageKey(image))).equals(contents)).toBe(true);
+  });
+
+  it('should leave images from before the store to the caller', async () => {
+    expect(store.isStored('/uploads/1700000000000pastel.jpg')).toBe(false);
+    expect(await store.release('/uploads/1700000000000pastel.jpg', food())).toBe(false);
+    expect(await store.release(undefined, food())).toBe(false);
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import ImageVariantService from '../services/imageVariantService.js';
+import { LocalUploadStorage } from '../services/uploadStorage.js';
+import {
+  negotiateFormat,
+  parseImageRequest,
+  parseVariantFilename,
+  pickVariantWidth,
+  planVariantWidths
+} from '../utils/imageVariants.js';
+
+const WEBP_ACCEPT = 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8';
+
+describe('Image Variants', () => {
+  describe('helpers', () => {
+    it('should plan widths without enlarging', () => {
+      expect(planVariantWidths(2000)).toEqual([160, 320, 640, 1280]);
+      expect(planVariantWidths(500)).toEqual([160, 320, 500]);
+      expect(planVariantWidths(640)).toEqual([160, 320, 640]);
+      expect(planVariantWidths(100)).toEqual([100]);
+      expect(planVariantWidths(0)).toEqual([]);
+    });
+
+    it('should validate the query string', () => {
+      expect(parseImageRequest({ w: '320', fmt: 'jpg' })).toEqual({ request: { width: 320, format: 'jpeg' }, errors: [] });
+      expect(parseImageRequest({}).request).toEqual({ width: null, format: 'auto' });
+      expect(parseImageRequest({ w: '0', fmt: 'gif' }).errors.map(({ field }) => field)).toEqual(['w', 'fmt']);
+      expect(parseImageRequest({ w: '1.5' }).errors[0].field).toBe('w');
+    });
+
+    it('should prefer WebP only when accepted', () => {
+      expect(negotiateFormat(['webp', 'jpeg'], WEBP_ACCEPT)).toBe('webp');
+      expect(negotiateFormat(['webp', 'jpeg'], 'image/*')).toBe('jpeg');
+      expect(negotiateFormat(['webp'], undefined)).toBe('webp');
+      expect(negotiateFormat(['webp', 'jpeg'], WEBP_ACCEPT, 'jpeg')).toBe('jpeg');
+      expect(negotiateFormat(['webp', 'jpeg'], WEBP_ACCEPT, 'png')).toBeNull();
+    });
+
+    it('should pick the smallest wide enough width', () => {
+      expect(pickVariantWidth([640, 160, 320], 200)).toBe(320);
+      expect(pickVariantWidth([160, 320], 1000)).toBe(320);
+      expect(pickVariantWidth([160, 320], null)).toBe(320);
+      expect(pickVariantWidth([], 100)).toBeNull();
+    });
+
+    it('should read variant filenames', () => {
+      expect(parseVariantFilename('320.jpg')).toEqual({ width: 320, format: 'jpeg' });
+      expect(parseVariantFilename('160.webp')).toEqual({ width: 160, format: 'webp' });
+      expect(parseVariantFilename('.DS_Store')).toBeNull();
+      expect(parseVariantFilename('320.gif')).toBeNull();
+    });
+  });
+
+  describe('imageVariantService', () => {
+    let directory;
+    let service;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'image-variants-'));
+      service = new ImageVariantService({ storage: new LocalUploadStorage({ root: path.join(directory, 'uploads') }) });
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should store every width as WebP and the upload format', async () => {
+      const upload = path.join(directory, 'pastel.jpg');
+      await sharp({ create: { width: 700, height: 350, channels: 3, background: '#d08020' } }).jpeg().toFile(upload);
+
+      const variants = await service.generate(upload);
+
+      expect(variants).toMatchObject({ format: 'jpeg', width: 700, height: 350 });
+      expect(Object.keys(variants.sizes)).toEqual(['160', '320', '640', '700']);
+      expect(variants.sizes['320']).toEqual({
+        webp: `/uploads/variants/${variants.id}/320.webp`,
+        original: `/uploads/variants/${variants.id}/320.jpg`
+      });
+      const small = await sharp(path.join(directory, 'uploads', 'variants', variants.id, '160.webp')).metadata();
+      expect(small).toMatchObject({ format: 'webp', width: 160, height: 80 });
+    });
+
+    it('should serve the negotiated variant', async () => {
+      const upload = path.join(directory, 'logo.png');
+      await sharp({ create: { width: 400, height: 400, channels: 4, background: '#ffffff' } }).png().toFile(upload);
+      const { id } = await service.generate(upload);
+
+      const webp = await service.resolve(id, { width: 200, format: 'auto' }, WEBP_ACCEPT);
+      const png = await service.resolve(id, { width: null, format: 'auto' }, 'image/png');
+
+      expect(webp).toMatchObject({ width: 320, format: 'webp' });
+      expect(webp.key).toBe(`variants/${id}/320.webp`);
+    expect(fs.existsSync(path.join(directory, 'uploads', webp.key))).toBe(true);
+      expect(png).toMatchObject({ width: 400, format: 'png' });
+      expect(await service.resolve(id, { width: null, format: 'jpeg' }, '')).toBeNull();
+      expect(await service.resolve('../../etc', { width: null, format: 'auto' }, '')).toBeNull();
+      expect(await service.resolve('a'.repeat(24), { width: null, format: 'auto' }, '')).toBeNull();
+    });
+
+    it('should share variants under a given id', async () => {
+      const id = 'b'.repeat(64);
+      const upload = path.join(directory, 'pastel.jpg');
+      await sharp({ create: { width: 300, height: 300, channels: 3, background: '#d08020' } }).jpeg().toFile(upload);
+
+      const first = await service.generate(upload, { id });
+      const smallest = path.join(directory, 'uploads', 'variants', id, '160.webp');
+      const written = fs.statSync(smallest).mtimeMs;
+      const second = await service.generate(upload, { id });
+
+      expect(second).toEqual(first);
+      expect(fs.statSync(smallest).mtimeMs).toBe(written);
+      expect(await service.resolve(id, { width: 160, format: 'auto' }, WEBP_ACCEPT)).toMatchObject({ width: 160, format: 'webp' });
+    });
+
+    it('should skip files that are not images and remove variants', async () => {
+      const fake = path.join(directory, 'fake.jpg');
+      fs.writeFileSync(fake, 'not-an-image');
+      const upload = path.join(directory, 'pastel.webp');
+      await sharp({ create: { width: 100, height: 100, channels: 3, background: '#000000' } }).webp().toFile(upload);
+
+      const variants = await service.generate(upload);
+      await service.remove(variants);
+
+      expect(await service.generate(fake)).toBeNull();
+      expect(variants.sizes['100']).toEqual({
+        webp: `/uploads/variants/${variants.id}/100.webp`,
+        original: `/uploads/variants/${variants.id}/100.webp`
+      });
+      expect(fs.existsSync(path.join(directory, 'uploads', 'variants', variants.id))).toBe(false);
+      await expect(service.remove(null)).resolves.toBeUndefined();
+    });
+  });
+});
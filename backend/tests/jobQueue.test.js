@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import jobModel, { JOB_STATUS } from '../models/jobModel.js';
+import JobQueue from '../services/jobQueue.js';
+
+describe('Job Queue', () => {
+  let queue;
+
+  beforeAll(async () => {
+    // The uniqueKey index has to exist before relying on it
+    await jobModel.init();
+  });
+
+  beforeEach(() => {
+    queue = new JobQueue({ backoffMs: 60 * 1000 });
+  });
+
+  it('should run jobs and keep their progress and result', async () => {
+    const seen = [];
+    queue.register('test.double', async ({ value }, { progress }) => {
+      await progress(40, 'Meio caminho');
+      seen.push((await jobModel.findOne({ type: 'test.double' })).progress.toObject());
+      return { value: value * 2 };
+    });
+
+    const job = await queue.enqueue('test.double', { value: 21 });
+    expect(job.status).toBe(JOB_STATUS.QUEUED);
+
+    expect(await queue.drain()).toBe(1);
+
+    const done = await queue.getJob(job._id.toString());
+    expect(seen).toEqual([{ percent: 40, message: 'Meio caminho' }]);
+    expect(done).toMatchObject({
+      status: JOB_STATUS.COMPLETED,
+      attempts: 1,
+      result: { value: 42 },
+      progress: { percent: 100, message: 'Meio caminho' },
+      lockedBy: null
+    });
+    expect(done.finishedAt).toBeInstanceOf(Date);
+  });
+
+  it('should retry failed jobs with growing delays until they give up', async () => {
+    queue.register('test.flaky', async () => {
+      throw new Error('Storage offline');
+    });
+    const job = await queue.enqueue('test.flaky', {}, { maxAttempts: 3 });
+
+    const delays = [];
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const before = Date.now();
+      await queue.drain();
+      const retried = await jobModel.findById(job._id);
+      expect(retried).toMatchObject({ status: JOB_STATUS.QUEUED, attempts: attempt, error: 'Storage offline' });
+      delays.push(Math.round((retried.runAt - before) / 60000));
+
+      // Not due yet: nothing runs
+      expect(await queue.drain()).toBe(0);
+      await jobModel.updateOne({ _id: job._id }, { runAt: new Date() });
+    }
+    await queue.drain();
+
+    expect(delays).toEqual([1, 2]);
+    const failed = await jobModel.findById(job._id);
+    expect(failed).toMatchObject({ status: JOB_STATUS.FAILED, attempts: 3, error: 'Storage offline' });
+    expect(failed.finishedAt).toBeInstanceOf(Date);
+  });
+
+  it('should only run types it has handlers for', async () => {
+    await queue.enqueue('test.elsewhere', {});
+
+    expect(await queue.drain()).toBe(0);
+    expect(await jobModel.countDocuments({ status: JOB_STATUS.QUEUED })).toBe(1);
+  });
+
+  it('should take over jobs whose worker went away', async () => {
+    let runs = 0;
+    queue.register('test.resume', async () => {
+      runs += 1;
+    });
+    const stale = await jobModel.create({
+      type: 'test.resume',
+      status: JOB_STATUS.RUNNING,
+      attempts: 1,
+      lockedBy: 'gone:1',
+      lockedAt: new Date(Date.now() - 60 * 60 * 1000)
+    });
+    await jobModel.create({
+      type: 'test.resume',
+      status: JOB_STATUS.RUNNING,
+      attempts: 1,
+      lockedBy: 'busy:1',
+      lockedAt: new Date()
+    });
+
+    await queue.drain();
+
+    expect(runs).toBe(1);
+    expect(await jobModel.findById(stale._id)).toMatchObject({ status: JOB_STATUS.COMPLETED, attempts: 2 });
+  });
+
+  it('should enqueue one job per key', async () => {
+    const first = await queue.enqueue('test.scan', {}, { uniqueKey: 'scan:today' });
+    const second = await queue.enqueue('test.scan', {}, { uniqueKey: 'scan:today' });
+
+    expect(second._id.toString()).toBe(first._id.toString());
+    expect(await jobModel.countDocuments()).toBe(1);
+  });
+
+  it('should enqueue scheduled runs once across processes', async () => {
+    const other = new JobQueue();
+    for (const instance of [queue, other]) {
+      instance.schedule('nightly-scan', { type: 'test.scan', time: '03:00' });
+    }
+    const { nextRunAt } = queue.schedules.get('nightly-scan');
+    expect(nextRunAt.getTime()).toBeGreaterThan(Date.now());
+
+    expect(await queue.enqueueDueSchedules(new Date(nextRunAt.getTime() - 1000))).toBe(0);
+    const due = new Date(nextRunAt.getTime() + 1000);
+    await queue.enqueueDueSchedules(due);
+    await other.enqueueDueSchedules(due);
+
+    expect(await jobModel.countDocuments({ type: 'test.scan' })).toBe(1);
+    expect(queue.schedules.get('nightly-scan').nextRunAt.getTime() - nextRunAt.getTime()).toBeGreaterThanOrEqual(23 * 60 * 60 * 1000);
+    expect(() => queue.schedule('broken', { type: 'test.scan', time: '3am' })).toThrow('Invalid time');
+  });
+
+  it('should not find unknown jobs', async () => {
+    expect(await queue.getJob('not-an-id')).toBeNull();
+    expect(await queue.getJob('507f1f77bcf86cd799439011')).toBeNull();
+  });
+});
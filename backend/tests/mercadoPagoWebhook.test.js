@@ -0,0 +1,246 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import orderRouter from '../routes/orderRoute.js';
+import orderModel from '../models/orderModel.js';
+import paymentNotificationModel from '../models/paymentNotificationModel.js';
+import { setMercadoPagoGateway } from '../services/mercadoPagoGateway.js';
+import { orderEventsService, ORDER_EVENT } from '../services/orderEventsService.js';
+import {
+  parseSignatureHeader,
+  buildSignatureManifest,
+  signWebhook,
+  verifyWebhookSignature
+} from '../utils/mercadoPagoSignature.js';
+import { ORDER_STATUS } from '../utils/orderStatus.js';
+import MercadoPagoStub from './helpers/mercadoPagoStub.js';
+
+const SECRET = 'test-webhook-secret';
+
+describe('MercadoPago Webhook', () => {
+  describe('signature', () => {
+    it('should parse the x-signature header', () => {
+      expect(parseSignatureHeader('ts=1704908010,v1=abc123')).toEqual({ ts: '1704908010', v1: 'abc123' });
+      expect(parseSignatureHeader('v1=abc123')).toBeNull();
+      expect(parseSignatureHeader(undefined)).toBeNull();
+    });
+
+    it('should build the manifest MercadoPago signs', () => {
+      expect(buildSignatureManifest({ dataId: 'ABC123', requestId: 'req-1', ts: '1704908010' }))
+        .toBe('id:abc123;request-id:req-1;ts:1704908010;');
+      expect(buildSignatureManifest({ dataId: '123', ts: '1704908010' })).toBe('id:123;ts:1704908010;');
+    });
+
+    it('should accept valid signatures and reject tampered ones', () => {
+      const v1 = signWebhook({ dataId: '123', requestId: 'req-1', ts: '1704908010', secret: SECRET });
+      const signature = `ts=1704908010,v1=${v1}`;
+
+      expect(verifyWebhookSignature({ signature, requestId: 'req-1', dataId: '123', secret: SECRET })).toBe(true);
+      expect(verifyWebhookSignature({ signature, requestId: 'req-1', dataId: '124', secret: SECRET })).toBe(false);
+      expect(verifyWebhookSignature({ signature, requestId: 'req-1', dataId: '123', secret: 'other' })).toBe(false);
+      expect(verifyWebhookSignature({ signature, requestId: 'req-1', dataId: '123', secret: '' })).toBe(false);
+    });
+  });
+
+  describe('POST /api/order/webhook', () => {
+    let app;
+    let stub;
+    const originalSecret = process.env.MERCADOPAGO_WEBHOOK_SECRET;
+
+    const createOrder = () => orderModel.create({
+      userId: '507f1f77bcf86cd799439011',
+      items: [{ _id: '507f1f77bcf86cd799439012', name: 'Pastel', price: 8.5, quantity: 1 }],
+      amount: 10.5,
+      address: { street: 'Rua A', number: '10', neighborhood: 'Centro', zone: 'Zona 1' }
+    });
+
+    const send = ({ query, headers, body }) => request(app)
+      .post('/api/order/webhook')
+      .query(query)
+      .set(headers)
+      .send(body);
+
+    beforeEach(() => {
+      process.env.MERCADOPAGO_WEBHOOK_SECRET = SECRET;
+      stub = new MercadoPagoStub({ secret: SECRET });
+      setMercadoPagoGateway(stub);
+
+      app = express();
+      app.use(express.json());
+      app.use('/api/order', orderRouter);
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+      setMercadoPagoGateway(null);
+      if (originalSecret === undefined) {
+        delete process.env.MERCADOPAGO_WEBHOOK_SECRET;
+      } else {
+        process.env.MERCADOPAGO_WEBHOOK_SECRET = originalSecret;
+      }
+    });
+
+    it('should mark the order as paid when the payment is approved', async () => {
+      const order = await createOrder();
+      stub.addPayment({ id: '1001', status: 'approved', orderId: order._id, amount: 10.5 });
+
+      const response = await send(stub.buildNotification('1001'));
+
+      expect(response.status).toBe(200);
+      const stored = await orderModel.findById(order._id);
+      expect(stored.status).toBe(ORDER_STATUS.PAID);
+      expect(stored.payment).toBe(true);
+      expect(stored.mercadoPagoId).toBe('1001');
+      expect(stored.statusHistory.at(-1).changedBy).toBe('mercadopago-webhook');
+    });
+
+    it('should reject notifications with a missing or invalid signature', async () => {
+      const order = await createOrder();
+      stub.addPayment({ id: '1002', status: 'approved', orderId: order._id, amount: 10.5 });
+      const notification = stub.buildNotification('1002', { secret: 'forged-secret' });
+
+      expect((await send(notification)).status).toBe(401);
+      expect((await send({ ...notification, headers: {} })).status).toBe(401);
+
+      const stored = await orderModel.findById(order._id);
+      expect(stored.payment).toBe(false);
+      expect(await paymentNotificationModel.countDocuments()).toBe(0);
+    });
+
+    it('should reject every notification when no secret is configured', async () => {
+      delete process.env.MERCADOPAGO_WEBHOOK_SECRET;
+      const order = await createOrder();
+      stub.addPayment({ id: '1003', status: 'approved', orderId: order._id, amount: 10.5 });
+
+      const response = await send(stub.buildNotification('1003'));
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should acknowledge replays without processing them again', async () => {
+      const order = await createOrder();
+      stub.addPayment({ id: '1004', status: 'approved', orderId: order._id, amount: 10.5 });
+      const notification = stub.buildNotification('1004');
+
+      await send(notification);
+      const replay = await send(notification);
+      const retry = await send(stub.buildNotification('1004'));
+
+      expect(replay.status).toBe(200);
+      expect(retry.status).toBe(200);
+      const stored = await orderModel.findById(order._id);
+      expect(stored.statusHistory).toHaveLength(2);
+
+      const records = await paymentNotificationModel.find({ paymentId: '1004' });
+      expect(records).toHaveLength(1);
+      expect(records[0].result).toBe('processed');
+      expect(records[0].duplicates).toBe(2);
+    });
+
+    it('should process each status change of the same payment once', async () => {
+      const order = await createOrder();
+      stub.addPayment({ id: '1005', status: 'in_process', orderId: order._id });
+      await send(stub.buildNotification('1005', { action: 'payment.created' }));
+
+      stub.setPaymentStatus('1005', 'approved');
+      await send(stub.buildNotification('1005'));
+
+      const stored = await orderModel.findById(order._id);
+      expect(stored.status).toBe(ORDER_STATUS.PAID);
+      expect(await paymentNotificationModel.countDocuments({ paymentId: '1005' })).toBe(2);
+    });
+
+    it('should not downgrade an approved order on out-of-order events', async () => {
+      const order = await createOrder();
+      stub.addPayment({ id: '1006', status: 'approved', orderId: order._id, amount: 10.5 });
+      stub.addPayment({ id: '1007', status: 'rejected', orderId: order._id });
+
+      await send(stub.buildNotification('1006'));
+      // Late notification for an earlier, rejected attempt
+      const response = await send(stub.buildNotification('1007'));
+
+      expect(response.status).toBe(200);
+      const stored = await orderModel.findById(order._id);
+      expect(stored.status).toBe(ORDER_STATUS.PAID);
+      expect(stored.payment).toBe(true);
+      expect(stored.mercadoPagoId).toBe('1006');
+
+      const ignored = await paymentNotificationModel.findOne({ paymentId: '1007' });
+      expect(ignored.result).toBe('ignored');
+    });
+
+    it('should refund payments approved after the order was cancelled', async () => {
+      const publish = vi.spyOn(orderEventsService, 'publish');
+      const order = await createOrder();
+      await orderModel.transitionStatus(order._id, ORDER_STATUS.CANCELLED, { changedBy: 'admin-id' });
+      stub.addPayment({ id: '1009', status: 'approved', orderId: order._id, amount: 10.5 });
+
+      const response = await send(stub.buildNotification('1009'));
+
+      expect(response.status).toBe(200);
+      expect(stub.refunds).toHaveLength(1);
+      const stored = await orderModel.findById(order._id);
+      expect(stored).toMatchObject({ status: ORDER_STATUS.CANCELLED, payment: true, mercadoPagoId: '1009', refundedAmount: 10.5 });
+      expect((await paymentNotificationModel.findOne({ paymentId: '1009' })).result).toBe('refunded');
+      expect(publish).toHaveBeenCalledWith(ORDER_EVENT.ATTENTION, expect.anything(), expect.objectContaining({ code: 'LATE_PAYMENT' }));
+    });
+
+    it('should alert the admins when a late payment cannot be refunded', async () => {
+      const publish = vi.spyOn(orderEventsService, 'publish');
+      const order = await createOrder();
+      await orderModel.transitionStatus(order._id, ORDER_STATUS.CANCELLED, { changedBy: 'admin-id' });
+      stub.addPayment({ id: '1010', status: 'approved', orderId: order._id, amount: 10.5 });
+      stub.refundPayment = async () => { throw new Error('MercadoPago unavailable'); };
+
+      await send(stub.buildNotification('1010'));
+      // Other notifications of the payment find it already recorded
+      await send(stub.buildNotification('1010', { action: 'payment.created' }));
+
+      const stored = await orderModel.findById(order._id);
+      expect(stored).toMatchObject({ status: ORDER_STATUS.CANCELLED, payment: true, refundedAmount: 0 });
+      expect((await paymentNotificationModel.findOne({ paymentId: '1010', action: 'payment.updated' })).result).toBe('refund_failed');
+      expect(publish.mock.calls.filter(([type]) => type === ORDER_EVENT.ATTENTION)).toHaveLength(1);
+    });
+
+    it('should flag payments that do not cover the order amount', async () => {
+      const publish = vi.spyOn(orderEventsService, 'publish');
+      const order = await createOrder();
+      stub.addPayment({ id: '1011', status: 'approved', orderId: order._id, amount: 1 });
+
+      await send(stub.buildNotification('1011'));
+      await send(stub.buildNotification('1011', { action: 'payment.created' }));
+
+      const stored = await orderModel.findById(order._id);
+      expect(stored).toMatchObject({ status: ORDER_STATUS.PENDING, payment: false, mercadoPagoId: '1011' });
+      expect((await paymentNotificationModel.findOne({ paymentId: '1011', action: 'payment.updated' })).result).toBe('ignored');
+      const alerts = publish.mock.calls.filter(([type]) => type === ORDER_EVENT.ATTENTION);
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0][2]).toMatchObject({ code: 'PAYMENT_AMOUNT_MISMATCH', paymentId: '1011', amount: 1 });
+    });
+
+    it('should return 404 for payments unknown to MercadoPago', async () => {
+      const response = await send(stub.buildNotification('9999'));
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should let MercadoPago retry notifications that failed', async () => {
+      const order = await createOrder();
+      stub.addPayment({ id: '1008', status: 'approved', orderId: order._id, amount: 10.5 });
+      await paymentNotificationModel.create({
+        paymentId: '1008',
+        action: 'payment.updated',
+        paymentStatus: 'approved',
+        result: 'failed'
+      });
+
+      await send(stub.buildNotification('1008'));
+
+      const stored = await orderModel.findById(order._id);
+      expect(stored.payment).toBe(true);
+      const record = await paymentNotificationModel.findOne({ paymentId: '1008' });
+      expect(record.result).toBe('processed');
+      expect(record.attempts).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,284 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import orderRouter from '../routes/orderRoute.js';
+import orderModel from '../models/orderModel.js';
+import userModel from '../models/userModel.js';
+import { setMercadoPagoGateway } from '../services/mercadoPagoGateway.js';
+import OrderCancellationService from '../services/orderCancellationService.js';
+import { ORDER_STATUS, canCustomerCancel } from '../utils/orderStatus.js';
+import { PAYMENT_METHOD } from '../utils/paymentMethods.js';
+import MercadoPagoStub from './helpers/mercadoPagoStub.js';
+import { tokenFor } from './helpers/authTokens.js';
+
+const PASTEL_ID = '507f1f77bcf86cd799439012';
+const SUCO_ID = '507f1f77bcf86cd799439013';
+
+const orderItems = [
+  { _id: PASTEL_ID, name: 'Pastel', price: 8.5, quantity: 2 },
+  { _id: SUCO_ID, name: 'Suco', price: 6, quantity: 1 }
+];
+
+const createOrder = (userId, overrides = {}) => orderModel.create({
+  userId: userId.toString(),
+  items: orderItems,
+  subtotal: 23,
+  deliveryFee: 2,
+  amount: 25,
+  address: { street: 'Rua A', number: '10', neighborhood: 'Centro', zone: 'Zona 1' },
+  ...overrides
+});
+
+describe('Order Cancellation', () => {
+  describe('buildRefund', () => {
+    const service = new OrderCancellationService();
+    const paidOrder = { payment: true, amount: 25, refundedAmount: 0, items: orderItems, refunds: [] };
+
+    it('should refund the remaining amount when no items are given', () => {
+      expect(service.buildRefund(paidOrder)).toEqual({ amount: 25, items: [] });
+      expect(service.buildRefund({ ...paidOrder, refundedAmount: 6 }).amount).toBe(19);
+    });
+
+    it('should refund selected lines at the price paid', () => {
+      const refund = service.buildRefund(paidOrder, [{ line: 0, quantity: 1 }, { line: 1, quantity: 1 }]);
+
+      expect(refund.amount).toBe(14.5);
+      expect(refund.items).toEqual([
+        { line: 0, itemId: PASTEL_ID, name: 'Pastel', quantity: 1, amount: 8.5 },
+        { line: 1, itemId: SUCO_ID, name: 'Suco', quantity: 1, amount: 6 }
+      ]);
+    });
+
+    it('should tell apart lines of the same food with different options', () => {
+      const order = {
+        ...paidOrder,
+        amount: 31,
+        items: [
+          { _id: PASTEL_ID, name: 'Pastel', price: 8.5, quantity: 2 },
+          { _id: PASTEL_ID, name: 'Pastel', price: 12, quantity: 1, options: [{ name: 'Catupiry', price: 3.5 }] }
+        ]
+      };
+      const refunded = {
+        ...order,
+        refundedAmount: 12,
+        refunds: [{ amount: 12, items: [{ line: 1, itemId: PASTEL_ID, quantity: 1, amount: 12 }] }]
+      };
+
+      expect(service.buildRefund(order, [{ line: 1, quantity: 1 }]).amount).toBe(12);
+      expect(service.buildRefund(refunded, [{ line: 0, quantity: 2 }]).amount).toBe(17);
+      expect(() => service.buildRefund(refunded, [{ line: 1, quantity: 1 }]))
+        .toThrow(expect.objectContaining({ code: 'INVALID_REFUND_ITEMS' }));
+      expect(() => service.buildRefund(order, [{ itemId: PASTEL_ID, quantity: 1 }]))
+        .toThrow(expect.objectContaining({ code: 'INVALID_REFUND_ITEMS' }));
+    });
+
+    it('should not refund an item twice or items outside the order', () => {
+      const refunded = {
+        ...paidOrder,
+        refundedAmount: 6,
+        refunds: [{ amount: 6, items: [{ itemId: SUCO_ID, quantity: 1, amount: 6 }] }]
+      };
+
+      expect(() => service.buildRefund(refunded, [{ itemId: SUCO_ID, quantity: 1 }]))
+        .toThrow(expect.objectContaining({ code: 'INVALID_REFUND_ITEMS', status: 400 }));
+      expect(() => service.buildRefund(paidOrder, [{ itemId: '507f1f77bcf86cd799439099', quantity: 1 }]))
+        .toThrow(expect.objectContaining({ code: 'INVALID_REFUND_ITEMS' }));
+      expect(() => service.buildRefund(paidOrder, [{ itemId: PASTEL_ID, quantity: 3 }]))
+        .toThrow(expect.objectContaining({ code: 'INVALID_REFUND_ITEMS' }));
+      expect(() => service.buildRefund(paidOrder, [{ line: 0, quantity: 1 }, { line: 0, quantity: 2 }]))
+        .toThrow(expect.objectContaining({ code: 'INVALID_REFUND_ITEMS' }));
+      expect(() => service.buildRefund(paidOrder, [{ line: 2, quantity: 1 }]))
+        .toThrow(expect.objectContaining({ code: 'INVALID_REFUND_ITEMS' }));
+    });
+
+    it('should have nothing to refund on unpaid or fully refunded orders', () => {
+      expect(() => service.buildRefund({ ...paidOrder, payment: false }))
+        .toThrow(expect.objectContaining({ code: 'NOTHING_TO_REFUND' }));
+      expect(() => service.buildRefund({ ...paidOrder, refundedAmount: 25 }))
+        .toThrow(expect.objectContaining({ code: 'NOTHING_TO_REFUND' }));
+    });
+
+    it('should only let customers cancel before the kitchen starts', () => {
+      expect(canCustomerCancel(ORDER_STATUS.PENDING)).toBe(true);
+      expect(canCustomerCancel(ORDER_STATUS.PAID)).toBe(true);
+      expect(canCustomerCancel(ORDER_STATUS.FOOD_PROCESSING)).toBe(false);
+      expect(canCustomerCancel(ORDER_STATUS.OUT_FOR_DELIVERY)).toBe(false);
+    });
+  });
+
+  describe('HTTP endpoints', () => {
+    let app;
+    let stub;
+    let customer;
+    let admin;
+    const cancel = async (order, user, body = {}) => request(app)
+      .post(`/api/order/${order._id}/cancel`)
+      .set('token', await tokenFor(user))
+      .send(body);
+
+    beforeAll(() => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-with-at-least-32-characters';
+    });
+
+    beforeEach(async () => {
+      stub = new MercadoPagoStub();
+      setMercadoPagoGateway(stub);
+      app = express();
+      app.use(express.json());
+      app.use('/api/order', orderRouter);
+      customer = await userModel.create({ name: 'Maria' });
+      admin = await userModel.create({ name: 'Admin', role: 'admin' });
+    });
+
+    afterEach(() => {
+      setMercadoPagoGateway(null);
+    });
+
+    it('should let customers cancel pending orders without a refund', async () => {
+      const order = await createOrder(customer._id);
+
+      const response = await cancel(order, customer);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.refund).toBeNull();
+      const stored = await orderModel.findById(order._id);
+      expect(stored.status).toBe(ORDER_STATUS.CANCELLED);
+      expect(stored.statusHistory.at(-1).changedBy).toBe(customer._id.toString());
+    });
+
+    it('should refund paid MercadoPago orders in full when cancelled', async () => {
+      const order = await createOrder(customer._id, { status: ORDER_STATUS.PAID, payment: true, mercadoPagoId: '4001' });
+      stub.addPayment({ id: '4001', status: 'approved', orderId: order._id, amount: 25 });
+
+      const response = await cancel(order, customer);
+
+      expect(response.body.data.refund).toMatchObject({ amount: 25, status: 'approved', manual: false });
+      expect(stub.refunds).toHaveLength(1);
+      const stored = await orderModel.findById(order._id);
+      expect(stored.refundedAmount).toBe(25);
+      expect(stored.refunds[0]).toMatchObject({ amount: 25, paymentMethod: PAYMENT_METHOD.MERCADOPAGO });
+    });
+
+    it('should stop customers once the order is being prepared', async () => {
+      const order = await createOrder(customer._id, { status: ORDER_STATUS.FOOD_PROCESSING });
+
+      const response = await cancel(order, customer);
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('CANCEL_NOT_ALLOWED');
+    });
+
+    it('should hide other customers orders', async () => {
+      const order = await createOrder(admin._id);
+
+      expect((await cancel(order, customer)).status).toBe(404);
+    });
+
+    it('should require a reason from admins and allow partial refunds by item', async () => {
+      const order = await createOrder(customer._id, { status: ORDER_STATUS.OUT_FOR_DELIVERY, payment: true, mercadoPagoId: '4002' });
+      stub.addPayment({ id: '4002', status: 'approved', orderId: order._id, amount: 25 });
+
+      const withoutReason = await cancel(order, admin);
+      const response = await cancel(order, admin, {
+        reason: 'Cliente recusou o suco',
+        items: [{ line: 1, quantity: 1 }]
+      });
+
+      expect(withoutReason.status).toBe(400);
+      expect(response.body.data.refund).toMatchObject({ amount: 6, reason: 'Cliente recusou o suco' });
+      const stored = await orderModel.findById(order._id);
+      expect(stored.status).toBe(ORDER_STATUS.CANCELLED);
+      expect(stored.statusHistory.at(-1).note).toBe('Cliente recusou o suco');
+    });
+
+    it('should keep the order cancelled and refundable when the refund fails', async () => {
+      const order = await createOrder(customer._id, { status: ORDER_STATUS.PAID, payment: true, mercadoPagoId: '4003' });
+      stub.refundPayment = async () => { throw new Error('MercadoPago unavailable'); };
+
+      const response = await cancel(order, customer);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.refundError).toMatchObject({ code: 'REFUND_FAILED' });
+      const stored = await orderModel.findById(order._id);
+      expect(stored.status).toBe(ORDER_STATUS.CANCELLED);
+      expect(new OrderCancellationService().getRefundableAmount(stored)).toBe(25);
+    });
+
+    it('should not refund when the status changed while cancelling', async () => {
+      const order = await createOrder(customer._id, { status: ORDER_STATUS.PAID, payment: true, mercadoPagoId: '4004' });
+      stub.addPayment({ id: '4004', status: 'approved', orderId: order._id, amount: 25 });
+      const service = new OrderCancellationService();
+      const stale = await orderModel.findById(order._id);
+      service.findOrder = async () => stale;
+      await orderModel.transitionStatus(order._id, ORDER_STATUS.FOOD_PROCESSING, { changedBy: admin._id.toString() });
+
+      await expect(service.cancelOrder(order._id, { user: { id: customer._id.toString(), role: 'user' } }))
+        .rejects.toMatchObject({ code: 'STATUS_CHANGED_CONCURRENTLY', status: 409 });
+      expect(stub.refunds).toHaveLength(0);
+      expect((await orderModel.findById(order._id)).status).toBe(ORDER_STATUS.FOOD_PROCESSING);
+    });
+
+    it('should never refund more than was paid on concurrent refunds', async () => {
+      const order = await createOrder(customer._id, { status: ORDER_STATUS.DELIVERED, payment: true, mercadoPagoId: '4005' });
+      stub.addPayment({ id: '4005', status: 'approved', orderId: order._id, amount: 25 });
+      const service = new OrderCancellationService();
+      const refund = () => service.refundOrder(order._id, { user: { id: admin._id.toString(), role: 'admin' }, reason: 'Pedido errado' });
+
+      const results = await Promise.allSettled([refund(), refund(), refund()]);
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+      expect(stub.refunds).toHaveLength(1);
+      const stored = await orderModel.findById(order._id);
+      expect(stored.refundedAmount).toBe(25);
+      expect(stored.refunds).toHaveLength(1);
+      expect(stored.refunds[0]).toMatchObject({ amount: 25, status: 'approved' });
+    });
+
+    it('should give the reserved amount back when the provider refuses the refund', async () => {
+      const order = await createOrder(customer._id, { status: ORDER_STATUS.DELIVERED, payment: true, mercadoPagoId: '4006' });
+      stub.refundPayment = async () => { throw new Error('MercadoPago unavailable'); };
+
+      const response = await request(app)
+        .post(`/api/order/${order._id}/refund`)
+        .set('token', await tokenFor(admin))
+        .send({ reason: 'Pedido errado' });
+
+      expect(response.status).toBe(502);
+      const stored = await orderModel.findById(order._id);
+      expect(stored.refundedAmount).toBe(0);
+      expect(stored.refunds).toHaveLength(0);
+    });
+
+    it('should record manual refunds for orders paid on delivery', async () => {
+      const order = await createOrder(customer._id, {
+        status: ORDER_STATUS.DELIVERED,
+        payment: true,
+        paymentMethod: PAYMENT_METHOD.CASH_ON_DELIVERY
+      });
+
+      const forbidden = await request(app).post(`/api/order/${order._id}/refund`).set('token', await tokenFor(customer)).send({ reason: 'x' });
+      const response = await request(app)
+        .post(`/api/order/${order._id}/refund`)
+        .set('token', await tokenFor(admin))
+        .send({ reason: 'Pastel frio', items: [{ itemId: PASTEL_ID, quantity: 1 }] });
+
+      expect(forbidden.status).toBe(403);
+      expect(response.body.data.refund).toMatchObject({ amount: 8.5, manual: true, status: 'manual' });
+      const stored = await orderModel.findById(order._id);
+      expect(stored.status).toBe(ORDER_STATUS.DELIVERED);
+      expect(stored.refundedAmount).toBe(8.5);
+    });
+
+    it('should route admin cancellations through the cancel endpoint', async () => {
+      const order = await createOrder(customer._id);
+
+      const response = await request(app)
+        .post('/api/order/status')
+        .set('token', await tokenFor(admin))
+        .send({ orderId: order._id, status: ORDER_STATUS.CANCELLED });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('USE_CANCEL_ENDPOINT');
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+import http from 'http';
+import express from 'express';
+import orderRouter from '../routes/orderRoute.js';
+import orderModel from '../models/orderModel.js';
+import userModel from '../models/userModel.js';
+import OrderEventsService, { orderEventsService, ORDER_EVENT } from '../services/orderEventsService.js';
+import { ORDER_STATUS } from '../utils/orderStatus.js';
+import { tokenFor } from './helpers/authTokens.js';
+
+// Minimal request/response pair recording what the service writes
+const createConnection = (user) => {
+  const req = new EventEmitter();
+  req.user = user;
+  const res = {
+    chunks: [],
+    status() { return this; },
+    set() { return this; },
+    write(chunk) { this.chunks.push(chunk); return true; },
+    end() { this.ended = true; }
+  };
+  return { req, res };
+};
+
+const eventsOf = (res) => res.chunks
+  .filter((chunk) => chunk.includes('event: '))
+  .map((chunk) => ({
+    type: chunk.match(/event: (.+)/)[1],
+    data: JSON.parse(chunk.match(/data: (.+)/)[1])
+  }));
+
+describe('Order Events', () => {
+  describe('OrderEventsService', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new OrderEventsService({ heartbeatMs: 0 });
+    });
+
+    it('should send every order to admins and only their own orders to customers', () => {
+      const admin = createConnection({ id: 'admin-1', role: 'admin' });
+      const customer = createConnection({ id: 'user-1', role: 'user' });
+      const other = createConnection({ id: 'user-2', role: 'user' });
+      [admin, customer, other].forEach(({ req, res }) => service.subscribe(req, res));
+
+      service.publish(ORDER_EVENT.STATUS, { _id: 'order-1', userId: 'user-1', status: ORDER_STATUS.PAID, payment: true });
+
+      expect(eventsOf(admin.res)).toEqual([expect.objectContaining({ type: 'order.status' })]);
+      expect(eventsOf(customer.res)[0].data).toMatchObject({ orderId: 'order-1', status: 'Paid', payment: true });
+      expect(eventsOf(other.res)).toEqual([]);
+    });
+
+    it('should forget clients that disconnect', () => {
+      const { req, res } = createConnection({ id: 'user-1', role: 'user' });
+      service.subscribe(req, res);
+      expect(service.clientCount).toBe(1);
+
+      req.emit('close');
+      service.publish(ORDER_EVENT.STATUS, { _id: 'order-1', userId: 'user-1' });
+
+      expect(service.clientCount).toBe(0);
+      expect(eventsOf(res)).toEqual([]);
+    });
+
+    it('should tell clients how long to wait before reconnecting', () => {
+      const { req, res } = createConnection({ id: 'user-1', role: 'user' });
+      service.subscribe(req, res);
+
+      expect(res.chunks[0]).toBe('retry: 5000\n\n');
+    });
+  });
+
+  describe('GET /api/order/events', () => {
+    let server;
+    let baseUrl;
+    let admin;
+    let customer;
+
+    // Collects the events of a stream until `count` arrived
+    const listen = (path, count) => new Promise((resolve, reject) => {
+      const events = [];
+      const req = http.get(`${baseUrl}${path}`, (res) => {
+        if (res.statusCode !== 200) {
+          req.destroy();
+          resolve({ status: res.statusCode, events });
+          return;
+        }
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          const messages = buffer.split('\n\n');
+          buffer = messages.pop();
+          for (const message of messages) {
+            const type = message.match(/event: (.+)/)?.[1];
+            if (type) events.push({ type, data: JSON.parse(message.match(/data: (.+)/)[1]) });
+          }
+          if (events.length >= count) {
+            req.destroy();
+            resolve({ status: 200, events });
+          }
+        });
+      });
+      req.on('error', reject);
+      return req;
+    });
+
+    const waitForClients = async (count) => {
+      while (orderEventsService.clientCount < count) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+    };
+
+    beforeAll(() => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-with-at-least-32-characters';
+    });
+
+    beforeEach(async () => {
+      const app = express();
+      app.use(express.json());
+      app.use('/api/order', orderRouter);
+      server = app.listen(0);
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      admin = await userModel.create({ name: 'Admin', role: 'admin' });
+      customer = await userModel.create({ name: 'João' });
+    });
+
+    afterEach(async () => {
+      orderEventsService.closeAll();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    const createOrder = (userId) => orderModel.create({
+      userId: userId.toString(),
+      items: [{ _id: '507f1f77bcf86cd799439012', name: 'Pastel', price: 8.5, quantity: 1 }],
+      amount: 10.5,
+      address: { street: 'Rua A', number: '10', neighborhood: 'Centro', zone: 'Zona 1' }
+    });
+
+    it('should reject streams without a valid token', async () => {
+      const { status } = await listen('/api/order/events?token=invalid', 1);
+
+      expect(status).toBe(401);
+    });
+
+    it('should push status changes and payments to the customer and the admin', async () => {
+      const order = await createOrder(customer._id);
+      const other = await createOrder(admin._id);
+
+      const customerStream = listen(`/api/order/events?token=${await tokenFor(customer)}`, 2);
+      const adminStream = listen(`/api/order/events?token=${await tokenFor(admin)}`, 3);
+      await waitForClients(2);
+
+      await orderModel.transitionStatus(other._id, ORDER_STATUS.CANCELLED, { changedBy: 'test' });
+      await orderModel.transitionStatus(order._id, ORDER_STATUS.PAID, { changedBy: 'mercadopago-webhook', set: { payment: true } });
+      await orderModel.transitionStatus(order._id, ORDER_STATUS.FOOD_PROCESSING, { changedBy: admin._id.toString() });
+
+      const { events: customerEvents } = await customerStream;
+      const { events: adminEvents } = await adminStream;
+
+      expect(customerEvents.map((event) => [event.type, event.data.orderId, event.data.status])).toEqual([
+        [ORDER_EVENT.PAID, order._id.toString(), ORDER_STATUS.PAID],
+        [ORDER_EVENT.STATUS, order._id.toString(), ORDER_STATUS.FOOD_PROCESSING]
+      ]);
+      expect(adminEvents.map((event) => event.data.orderId)).toEqual([
+        other._id.toString(),
+        order._id.toString(),
+        order._id.toString()
+      ]);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import mongoose from 'mongoose';
+import orderModel from '../models/orderModel.js';
+import userModel from '../models/userModel.js';
+import { orderListService } from '../services/orderListService.js';
+import { ORDER_STATUS } from '../utils/orderStatus.js';
+import { buildCustomerMatch, buildOrderMatch, formatOrderCursor, parseOrderCursor, parseOrderFilters } from '../utils/orderFilters.js';
+import { parsePagination } from '../utils/pagination.js';
+
+const TIME_ZONE = 'America/Sao_Paulo';
+
+const orderItems = [{ _id: '507f1f77bcf86cd799439011', name: 'Pastel', price: 10, quantity: 1 }];
+
+describe('Order List', () => {
+  describe('parseOrderFilters', () => {
+    it('should read every filter', () => {
+      const driver = new mongoose.Types.ObjectId().toString();
+      const { filters, errors } = parseOrderFilters({
+        status: 'Paid',
+        from: '2026-01-10',
+        to: '2026-01-12',
+        zone: ' Zona 1 ',
+        driver,
+        paid: 'false',
+        customer: ' João '
+      });
+
+      expect(errors).toEqual([]);
+      expect(filters).toEqual({ status: 'Paid', from: '2026-01-10', to: '2026-01-12', zone: 'Zona 1', driver, paid: false, customer: 'João' });
+    });
+
+    it('should list every problem', () => {
+      const { errors } = parseOrderFilters({ status: 'Lost', from: '2026-01-12', to: '2026-01-10', driver: 'abc', paid: 'yes' });
+
+      expect(errors.map(({ field }) => field)).toEqual(['status', 'to', 'driver', 'paid']);
+      expect(parseOrderFilters({ from: '10/01/2026' }).errors[0].field).toBe('from');
+    });
+
+    it('should read cursors back and ignore invalid ones', () => {
+      const order = { _id: new mongoose.Types.ObjectId(), createdAt: new Date('2026-01-10T12:00:00Z') };
+
+      const cursor = parseOrderCursor(formatOrderCursor(order));
+
+      expect(cursor.createdAt).toEqual(order.createdAt);
+      expect(cursor.id.equals(order._id)).toBe(true);
+      expect(parseOrderCursor('')).toBeNull();
+      expect(parseOrderCursor('yesterday_abc')).toBeNull();
+    });
+
+    it('should cover whole local days and unassigned orders', () => {
+      const { filters } = parseOrderFilters({ from: '2026-01-10', to: '2026-01-10', driver: 'none', paid: 'true' });
+      const match = buildOrderMatch(filters, TIME_ZONE);
+
+      expect(match.createdAt.$gte.toISOString()).toBe('2026-01-10T03:00:00.000Z');
+      expect(match.createdAt.$lt.toISOString()).toBe('2026-01-11T03:00:00.000Z');
+      expect(match.driver).toBeNull();
+      expect(match.payment).toBe(true);
+      expect(buildOrderMatch(parseOrderFilters({}).filters)).toEqual({});
+    });
+
+    it('should match names literally and phones with any formatting', () => {
+      const match = buildCustomerMatch('(11) 9999');
+
+      expect(match.$or[0]['address.customerName'].test('Cliente (11) 9999')).toBe(true);
+      expect(match.$or[1].phone.test('+55 (11) 99999-0000')).toBe(true);
+      expect(buildCustomerMatch('Ana').$or).toHaveLength(1);
+    });
+  });
+
+  describe('orderListService', () => {
+    let customer;
+
+    const createOrder = (overrides = {}) => orderModel.create({
+      userId: customer._id.toString(),
+      items: orderItems,
+      amount: 12,
+      address: { street: 'Rua A', number: '10', neighborhood: 'Centro', zone: 'Zona 1' },
+      ...overrides
+    });
+
+    beforeEach(async () => {
+      customer = await userModel.create({ name: 'Maria Souza' });
+      await createOrder({ createdAt: new Date('2026-01-10T12:00:00Z'), phone: '11999990000' });
+      await createOrder({ createdAt: new Date('2026-01-11T12:00:00Z'), status: ORDER_STATUS.PAID, payment: true });
+      await createOrder({
+        createdAt: new Date('2026-01-12T12:00:00Z'),
+        address: { street: 'Rua B', number: '2', neighborhood: 'Norte', zone: 'Zona 2', customerName: 'João' }
+      });
+    });
+
+    const list = (query) => orderListService.list(parseOrderFilters(query).filters, parsePagination(query));
+
+    it('should page newest first and fill in customer names', async () => {
+      const first = await list({ limit: '2' });
+      const second = await list({ limit: '2', page: '2' });
+
+      expect(first.orders.map((order) => order.address.customerName)).toEqual(['João', 'Maria Souza']);
+      expect(first.pagination).toEqual({ page: 1, limit: 2, total: 3, totalPages: 2, hasNextPage: true, nextCursor: expect.any(String) });
+      expect(second.orders.map((order) => order.address.zone)).toEqual(['Zona 1']);
+      expect(second.orders[0].getPrintCount()).toBe(0);
+    });
+
+    it('should continue after the last order loaded, whatever arrived meanwhile', async () => {
+      const reloaded = await list({ limit: '2' });
+      await createOrder({ createdAt: new Date('2026-01-13T12:00:00Z') });
+
+      const next = await orderListService.list(
+        parseOrderFilters({}).filters,
+        parsePagination({ limit: '2' }),
+        parseOrderCursor(reloaded.pagination.nextCursor)
+      );
+
+      expect(next.orders.map((order) => order.createdAt.toISOString())).toEqual(['2026-01-10T12:00:00.000Z']);
+      expect(next.pagination).toMatchObject({ hasNextPage: false, nextCursor: null });
+    });
+
+    it('should count every status while filtering one', async () => {
+      const { orders, statusCounts } = await list({ status: 'Paid' });
+
+      expect(orders).toHaveLength(1);
+      expect(statusCounts).toEqual({ [ORDER_STATUS.PENDING]: 2, [ORDER_STATUS.PAID]: 1 });
+    });
+
+    it('should filter by zone, date, payment and customer', async () => {
+      expect((await list({ zone: 'Zona 2' })).orders.map((order) => order.address.customerName)).toEqual(['João']);
+      expect((await list({ from: '2026-01-11', to: '2026-01-11' })).pagination.total).toBe(1);
+      expect((await list({ paid: 'false' })).pagination.total).toBe(2);
+      expect((await list({ customer: 'maria' })).pagination.total).toBe(2);
+      expect((await list({ customer: '99999-0000' })).pagination.total).toBe(1);
+      expect((await list({ driver: 'none' })).pagination.total).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,260 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import foodModel from '../models/foodModel.js';
+import {
+  calculateOrderPricing,
+  priceOrderItems,
+  getDeliveryFee,
+  isPricingError,
+  DEFAULT_DELIVERY_FEE
+} from '../utils/orderPricing.js';
+
+// Mock the food model
+vi.mock('../models/foodModel.js', () => ({
+  default: {
+    find: vi.fn()
+  }
+}));
+
+const PASTEL_ID = '507f1f77bcf86cd799439011';
+const SUCO_ID = '507f1f77bcf86cd799439012';
+const QUEIJO_ID = '507f1f77bcf86cd799439021';
+const BACON_ID = '507f1f77bcf86cd799439022';
+
+const catalog = [
+  {
+    _id: PASTEL_ID,
+    name: 'Pastel de Carne',
+    price: 8.5,
+    image: '/uploads/pastel.jpg',
+    optionGroups: [{
+      name: 'Adicionais',
+      min: 0,
+      max: 2,
+      options: [{ _id: QUEIJO_ID, name: 'Queijo', price: 2 }, { _id: BACON_ID, name: 'Bacon', price: 3.5 }]
+    }]
+  },
+  { _id: SUCO_ID, name: 'Suco de Laranja', price: 6, image: '/uploads/suco.jpg' }
+];
+
+const mockCatalog = (foods = catalog) => {
+  foodModel.find.mockImplementation(({ _id }) => ({
+    lean: () => Promise.resolve(foods.filter((food) => _id.$in.includes(food._id)))
+  }));
+};
+
+describe('Order Pricing', () => {
+  const originalDeliveryFee = process.env.DELIVERY_FEE;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    delete process.env.DELIVERY_FEE;
+    mockCatalog();
+  });
+
+  afterEach(() => {
+    if (originalDeliveryFee === undefined) {
+      delete process.env.DELIVERY_FEE;
+    } else {
+      process.env.DELIVERY_FEE = originalDeliveryFee;
+    }
+  });
+
+  describe('priceOrderItems', () => {
+    it('should rebuild items from catalog prices', async () => {
+      const result = await priceOrderItems([
+        { _id: PASTEL_ID, quantity: 2 },
+        { itemId: SUCO_ID, quantity: 1 }
+      ]);
+
+      expect(result.items).toEqual([
+        expect.objectContaining({ _id: PASTEL_ID, name: 'Pastel de Carne', price: 8.5, quantity: 2, lineTotal: 17 }),
+        expect.objectContaining({ _id: SUCO_ID, name: 'Suco de Laranja', price: 6, quantity: 1, lineTotal: 6 })
+      ]);
+      expect(result.subtotal).toBe(23);
+    });
+
+    it('should merge repeated lines for the same food', async () => {
+      const result = await priceOrderItems([
+        { _id: PASTEL_ID, quantity: 1 },
+        { _id: PASTEL_ID, quantity: 2 }
+      ]);
+
+      expect(result.items).toHaveLength(1);
+      expect(result.items[0].quantity).toBe(3);
+      expect(result.subtotal).toBe(25.5);
+    });
+
+    it('should keep lines with different notes or options apart', async () => {
+      const result = await priceOrderItems([
+        { _id: PASTEL_ID, quantity: 1, note: ' sem  cebola ' },
+        { _id: PASTEL_ID, quantity: 1, note: 'sem cebola' },
+        { _id: PASTEL_ID, quantity: 1, options: [BACON_ID, QUEIJO_ID] },
+        { _id: PASTEL_ID, quantity: 1 }
+      ]);
+
+      expect(result.items.map(({ quantity, note, options }) => ({ quantity, note, options: options?.map((option) => option.name) }))).toEqual([
+        { quantity: 2, note: 'sem cebola', options: undefined },
+        { quantity: 1, note: undefined, options: ['Queijo', 'Bacon'] },
+        { quantity: 1, note: undefined, options: undefined }
+      ]);
+    });
+
+    it('should add the price of selected options to the unit price', async () => {
+      const result = await priceOrderItems([{ _id: PASTEL_ID, quantity: 2, price: 10.5, options: [QUEIJO_ID] }]);
+
+      expect(result.items[0]).toMatchObject({
+        price: 10.5,
+        basePrice: 8.5,
+        lineTotal: 21,
+        options: [{ optionId: QUEIJO_ID, group: 'Adicionais', name: 'Queijo', price: 2 }]
+      });
+    });
+
+    it('should reject options that do not belong to the food', async () => {
+      await expect(priceOrderItems([{ _id: SUCO_ID, quantity: 1, options: [QUEIJO_ID] }]))
+        .rejects.toMatchObject({ details: [expect.objectContaining({ itemId: SUCO_ID, field: 'options' })] });
+    });
+
+    it('should report foods that cannot be ordered right now', async () => {
+      mockCatalog([
+        { ...catalog[0], isAvailable: false },
+        { ...catalog[1], stock: 1 }
+      ]);
+
+      const error = await priceOrderItems([
+        { _id: PASTEL_ID, quantity: 1 },
+        { _id: SUCO_ID, quantity: 2 }
+      ]).catch((err) => err);
+
+      expect(isPricingError(error)).toBe(true);
+      expect(error.details).toEqual([
+        expect.objectContaining({ itemId: PASTEL_ID, field: 'availability', reason: 'DISABLED' }),
+        expect.objectContaining({ itemId: SUCO_ID, field: 'availability', reason: 'OUT_OF_STOCK', available: 1 })
+      ]);
+    });
+
+    it('should reject notes that are too long', async () => {
+      await expect(priceOrderItems([{ _id: PASTEL_ID, quantity: 1, note: 'x'.repeat(141) }]))
+        .rejects.toMatchObject({ details: [expect.objectContaining({ field: 'note' })] });
+    });
+
+    it('should reject an empty cart', async () => {
+      await expect(priceOrderItems([])).rejects.toThrow('Seu carrinho está vazio');
+    });
+
+    it('should reject invalid quantities', async () => {
+      const error = await priceOrderItems([{ _id: PASTEL_ID, quantity: 0 }]).catch((err) => err);
+
+      expect(isPricingError(error)).toBe(true);
+      expect(error.details[0].field).toBe('quantity');
+      expect(foodModel.find).not.toHaveBeenCalled();
+    });
+
+    it('should reject foods that are not in the catalog', async () => {
+      const error = await priceOrderItems([{ _id: '507f1f77bcf86cd799439099', quantity: 1 }]).catch((err) => err);
+
+      expect(isPricingError(error)).toBe(true);
+      expect(error.details[0]).toMatchObject({ field: '_id', itemId: '507f1f77bcf86cd799439099' });
+    });
+
+    it('should reject a tampered item price', async () => {
+      const error = await priceOrderItems([
+        { _id: PASTEL_ID, name: 'Pastel de Carne', price: 0.01, quantity: 10 }
+      ]).catch((err) => err);
+
+      expect(isPricingError(error)).toBe(true);
+      expect(error.details[0]).toMatchObject({ field: 'price', expected: 8.5, received: 0.01 });
+    });
+
+    it('should reject a tampered item name', async () => {
+      const error = await priceOrderItems([
+        { _id: PASTEL_ID, name: 'Brinde', quantity: 1 }
+      ]).catch((err) => err);
+
+      expect(error.details[0]).toMatchObject({ field: 'name', expected: 'Pastel de Carne' });
+    });
+  });
+
+  describe('calculateOrderPricing', () => {
+    it('should compute subtotal, delivery fee and total', async () => {
+      const result = await calculateOrderPricing({
+        items: [{ _id: PASTEL_ID, quantity: 2 }],
+        amount: 19
+      });
+
+      expect(result.subtotal).toBe(17);
+      expect(result.deliveryFee).toBe(DEFAULT_DELIVERY_FEE);
+      expect(result.total).toBe(19);
+    });
+
+    it('should price the order when the client sends no amount', async () => {
+      const result = await calculateOrderPricing({ items: [{ _id: SUCO_ID, quantity: 3 }] });
+
+      expect(result.total).toBe(20);
+    });
+
+    it('should reject an amount that does not match the server total', async () => {
+      const error = await calculateOrderPricing({
+        items: [{ _id: PASTEL_ID, quantity: 2 }],
+        amount: 1
+      }).catch((err) => err);
+
+      expect(isPricingError(error)).toBe(true);
+      expect(error.details[0]).toMatchObject({ field: 'amount', expected: 19, received: 1 });
+    });
+
+    it('should reject a non-numeric amount', async () => {
+      await expect(calculateOrderPricing({
+        items: [{ _id: PASTEL_ID, quantity: 1 }],
+        amount: 'free'
+      })).rejects.toThrow('O valor total do pedido não confere');
+    });
+
+    it('should use the configured delivery fee', async () => {
+      process.env.DELIVERY_FEE = '5.5';
+
+      const result = await calculateOrderPricing({ items: [{ _id: SUCO_ID, quantity: 1 }] });
+
+      expect(getDeliveryFee()).toBe(5.5);
+      expect(result.total).toBe(11.5);
+    });
+
+    it('should charge the fee of the customer zone', async () => {
+      const delivery = { deliveryFee: 4, minimumOrder: 0, freeDeliveryAbove: null, estimatedTime: null };
+
+      const result = await calculateOrderPricing({ items: [{ _id: SUCO_ID, quantity: 1 }], amount: 10, delivery });
+
+      expect(result.deliveryFee).toBe(4);
+      expect(result.total).toBe(10);
+    });
+
+    it('should waive the fee above the free-delivery threshold', async () => {
+      const delivery = { deliveryFee: 4, minimumOrder: 0, freeDeliveryAbove: 15, estimatedTime: null };
+
+      const result = await calculateOrderPricing({ items: [{ _id: PASTEL_ID, quantity: 2 }], delivery });
+
+      expect(result.deliveryFee).toBe(0);
+      expect(result.total).toBe(17);
+    });
+
+    it('should subtract the coupon discount from the total', async () => {
+      const coupon = { _id: 'c1', code: 'PROMO10', type: 'percentage', value: 10, maxDiscount: null, minimumOrder: 0, categories: [], foodIds: [] };
+
+      const result = await calculateOrderPricing({ items: [{ _id: PASTEL_ID, quantity: 2 }], amount: 17.3, coupon });
+
+      expect(result.discount).toBe(1.7);
+      expect(result.total).toBe(17.3);
+      expect(result.promotion).toMatchObject({ code: 'PROMO10', itemsDiscount: 1.7, deliveryDiscount: 0 });
+    });
+
+    it('should reject orders below the zone minimum', async () => {
+      const delivery = { deliveryFee: 4, minimumOrder: 20, freeDeliveryAbove: null, estimatedTime: null };
+
+      const error = await calculateOrderPricing({ items: [{ _id: SUCO_ID, quantity: 1 }], delivery }).catch((err) => err);
+
+      expect(isPricingError(error)).toBe(true);
+      expect(error.message).toBe('O pedido mínimo para este bairro é R$ 20.00');
+      expect(error.details[0]).toMatchObject({ field: 'minimumOrder', expected: 20, received: 6 });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import orderModel from '../models/orderModel.js';
+import {
+  ORDER_STATUS,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition,
+  isStatusError
+} from '../utils/orderStatus.js';
+
+const createOrder = (overrides = {}) => orderModel.create({
+  userId: '507f1f77bcf86cd799439011',
+  items: [{ _id: '507f1f77bcf86cd799439012', name: 'Pastel', price: 8.5, quantity: 1 }],
+  amount: 10.5,
+  address: { street: 'Rua A', number: '10', neighborhood: 'Centro', zone: 'Zona 1' },
+  ...overrides
+});
+
+describe('Order Status State Machine', () => {
+  describe('transition rules', () => {
+    it('should follow the delivery flow', () => {
+      expect(canTransition(ORDER_STATUS.PENDING, ORDER_STATUS.PAID)).toBe(true);
+      expect(canTransition(ORDER_STATUS.PAID, ORDER_STATUS.FOOD_PROCESSING)).toBe(true);
+      expect(canTransition(ORDER_STATUS.FOOD_PROCESSING, ORDER_STATUS.OUT_FOR_DELIVERY)).toBe(true);
+      expect(canTransition(ORDER_STATUS.OUT_FOR_DELIVERY, ORDER_STATUS.DELIVERED)).toBe(true);
+    });
+
+    it('should treat Delivered and Cancelled as final', () => {
+      expect(getAllowedTransitions(ORDER_STATUS.DELIVERED)).toEqual([]);
+      expect(getAllowedTransitions(ORDER_STATUS.CANCELLED)).toEqual([]);
+      expect(canTransition(ORDER_STATUS.DELIVERED, ORDER_STATUS.PENDING)).toBe(false);
+    });
+
+    it('should not skip steps', () => {
+      expect(canTransition(ORDER_STATUS.PENDING, ORDER_STATUS.DELIVERED)).toBe(false);
+      expect(canTransition(ORDER_STATUS.PAID, ORDER_STATUS.OUT_FOR_DELIVERY)).toBe(false);
+    });
+
+    it('should return a copy of the allowed transitions', () => {
+      getAllowedTransitions(ORDER_STATUS.PENDING).push(ORDER_STATUS.DELIVERED);
+
+      expect(getAllowedTransitions(ORDER_STATUS.PENDING)).not.toContain(ORDER_STATUS.DELIVERED);
+    });
+
+    it('should reject invalid transitions with 409 and unknown statuses with 400', () => {
+      try {
+        assertTransition(ORDER_STATUS.DELIVERED, ORDER_STATUS.PENDING);
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(isStatusError(error)).toBe(true);
+        expect(error.status).toBe(409);
+        expect(error.code).toBe('INVALID_STATUS_TRANSITION');
+      }
+
+      expect(() => assertTransition(ORDER_STATUS.PENDING, 'Shipped')).toThrow(
+        expect.objectContaining({ code: 'INVALID_STATUS', status: 400 })
+      );
+    });
+  });
+
+  describe('orderModel.transitionStatus', () => {
+    it('should record the initial status of new orders', async () => {
+      const order = await createOrder();
+
+      expect(order.statusHistory).toHaveLength(1);
+      expect(order.statusHistory[0]).toMatchObject({ status: ORDER_STATUS.PENDING, changedBy: order.userId });
+    });
+
+    it('should append who changed the status, when and why', async () => {
+      const order = await createOrder();
+
+      const updated = await orderModel.transitionStatus(order._id, ORDER_STATUS.FOOD_PROCESSING, {
+        changedBy: 'admin-id',
+        note: 'Pagamento na entrega'
+      });
+
+      expect(updated.status).toBe(ORDER_STATUS.FOOD_PROCESSING);
+      expect(updated.statusHistory).toHaveLength(2);
+      expect(updated.statusHistory[1]).toMatchObject({
+        status: ORDER_STATUS.FOOD_PROCESSING,
+        from: ORDER_STATUS.PENDING,
+        changedBy: 'admin-id',
+        note: 'Pagamento na entrega'
+      });
+      expect(updated.statusHistory[1].changedAt).toBeInstanceOf(Date);
+    });
+
+    it('should not move a delivered order back to pending', async () => {
+      const order = await createOrder({ status: ORDER_STATUS.DELIVERED });
+
+      await expect(orderModel.transitionStatus(order._id, ORDER_STATUS.PENDING, { changedBy: 'admin-id' }))
+        .rejects.toMatchObject({ code: 'INVALID_STATUS_TRANSITION', status: 409 });
+
+      const stored = await orderModel.findById(order._id);
+      expect(stored.status).toBe(ORDER_STATUS.DELIVERED);
+    });
+
+    it('should apply extra fields without a history entry when the status is unchanged', async () => {
+      const order = await createOrder();
+
+      const updated = await orderModel.transitionStatus(order._id, ORDER_STATUS.PENDING, {
+        changedBy: 'mercadopago-webhook',
+        set: { mercadoPagoId: '123' }
+      });
+
+      expect(updated.mercadoPagoId).toBe('123');
+      expect(updated.statusHistory).toHaveLength(1);
+    });
+
+    it('should return 404 for unknown orders', async () => {
+      await expect(orderModel.transitionStatus('507f1f77bcf86cd799439099', ORDER_STATUS.PAID, { changedBy: 'x' }))
+        .rejects.toMatchObject({ code: 'ORDER_NOT_FOUND', status: 404 });
+    });
+  });
+});
@@ -0,0 +1,346 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import orderRouter from '../routes/orderRoute.js';
+import orderModel from '../models/orderModel.js';
+import userModel from '../models/userModel.js';
+import foodModel from '../models/foodModel.js';
+import zoneModel from '../models/zoneModel.js';
+import { setMercadoPagoGateway } from '../services/mercadoPagoGateway.js';
+import { promoService } from '../services/promoService.js';
+import {
+  MercadoPagoProvider,
+  PixProvider,
+  PayOnDeliveryProvider,
+  getPaymentProvider,
+  setPaymentProvider,
+  listPaymentMethods,
+  isPaymentMethodEnabled
+} from '../services/paymentProviders.js';
+import { buildPixPayload, crc16 } from '../utils/pixBrCode.js';
+import { PAYMENT_METHOD, isPaymentError } from '../utils/paymentMethods.js';
+import { ORDER_STATUS } from '../utils/orderStatus.js';
+import MercadoPagoStub from './helpers/mercadoPagoStub.js';
+import { tokenFor } from './helpers/authTokens.js';
+
+const ORDER_ID = '65a1b2c3d4e5f6a7b8c9d0e1';
+
+const pixOptions = { key: 'pix@lanchonete.com', merchantName: 'Lanchonete São João', merchantCity: 'Brasília' };
+
+describe('Payment Providers', () => {
+  describe('PIX BR Code', () => {
+    it('should match the reference payload published by the Banco Central', () => {
+      const payload = buildPixPayload({
+        key: '123e4567-e12b-12d1-a456-426655440000',
+        merchantName: 'Fulano de Tal',
+        merchantCity: 'BRASILIA'
+      });
+
+      expect(payload).toBe('00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-4266554400005204000053039865802BR5913Fulano de Tal6008BRASILIA62070503***63041D3D');
+    });
+
+    it('should include the amount and transaction ID with a valid checksum', () => {
+      const payload = buildPixPayload({ ...pixOptions, amount: 12.5, txid: ORDER_ID });
+
+      expect(payload).toContain('540512.50');
+      expect(payload).toContain(`0524${ORDER_ID}`);
+      expect(payload).toContain('5919Lanchonete Sao Joao');
+      expect(payload.slice(-4)).toBe(crc16(payload.slice(0, -4)));
+    });
+
+    it('should require the key and merchant data', () => {
+      expect(() => buildPixPayload({ merchantName: 'Loja', merchantCity: 'Cidade' })).toThrow();
+    });
+  });
+
+  describe('providers', () => {
+    let stub;
+
+    beforeEach(() => {
+      stub = new MercadoPagoStub();
+      setMercadoPagoGateway(stub);
+    });
+
+    afterEach(() => {
+      setMercadoPagoGateway(null);
+    });
+
+    it('should create a MercadoPago checkout from the order pricing', async () => {
+      const provider = new MercadoPagoProvider();
+      const order = {
+        _id: ORDER_ID,
+        items: [{ _id: '507f1f77bcf86cd799439011', name: 'Pastel', price: 8.5, quantity: 2 }],
+        deliveryFee: 2,
+        amount: 19
+      };
+
+      const checkout = await provider.createCheckout(order, { frontendUrl: 'http://front', backendUrl: 'http://back' });
+
+      expect(checkout.paymentUrl).toBe('https://mercadopago.test/checkout/pref-1');
+      expect(checkout.set).toEqual({ mercadoPagoId: 'pref-1' });
+      expect(stub.preferences[0].external_reference).toBe(ORDER_ID);
+      expect(stub.preferences[0].items).toHaveLength(2);
+      expect(stub.preferences[0].notification_url).toBe('http://back/api/order/webhook');
+    });
+
+    it('should charge discounted orders as a single line with the coupon', async () => {
+      const provider = new MercadoPagoProvider();
+      const order = {
+        _id: ORDER_ID,
+        items: [
+          { _id: '507f1f77bcf86cd799439011', name: 'Pastel', price: 8.5, quantity: 2 },
+          { _id: '507f1f77bcf86cd799439012', name: 'Suco', price: 6, quantity: 1 }
+        ],
+        deliveryFee: 2,
+        discount: 4.6,
+        promotion: { code: 'PROMO20', itemsDiscount: 4.6, deliveryDiscount: 0, total: 4.6 },
+        amount: 20.4
+      };
+
+      await provider.createCheckout(order, { frontendUrl: 'http://front', backendUrl: 'http://back' });
+
+      const { items, metadata } = stub.preferences[0];
+      expect(items.map(({ title, unit_price }) => [title, unit_price])).toEqual([
+        ['Pedido (cupom PROMO20)', 18.4],
+        ['Delivery Charges', 2]
+      ]);
+      expect(items[0].description).toBe('2x Pastel, 1x Suco');
+      expect(metadata).toEqual({ coupon_code: 'PROMO20', discount: 4.6 });
+    });
+
+    it('should drop the delivery line of free-delivery coupons', async () => {
+      const provider = new MercadoPagoProvider();
+      const order = {
+        _id: ORDER_ID,
+        items: [{ _id: '507f1f77bcf86cd799439011', name: 'Pastel', price: 8.5, quantity: 2 }],
+        deliveryFee: 2,
+        discount: 2,
+        promotion: { code: 'FRETEGRATIS', itemsDiscount: 0, deliveryDiscount: 2, total: 2 },
+        amount: 17
+      };
+
+      await provider.createCheckout(order, { frontendUrl: 'http://front', backendUrl: 'http://back' });
+
+      expect(stub.preferences[0].items).toEqual([expect.objectContaining({ title: 'Pastel', unit_price: 8.5, quantity: 2 })]);
+    });
+
+    it('should leave out the items line when the coupon covers all items', async () => {
+      const provider = new MercadoPagoProvider();
+      const order = {
+        _id: ORDER_ID,
+        items: [{ _id: '507f1f77bcf86cd799439011', name: 'Pastel', price: 8.5, quantity: 2 }],
+        deliveryFee: 2,
+        discount: 17,
+        promotion: { code: 'TUDO', itemsDiscount: 17, deliveryDiscount: 0, total: 17 },
+        amount: 2
+      };
+
+      await provider.createCheckout(order, { frontendUrl: 'http://front', backendUrl: 'http://back' });
+
+      expect(stub.preferences[0].items.map(({ title, unit_price }) => [title, unit_price])).toEqual([['Delivery Charges', 2]]);
+    });
+
+    it('should normalize MercadoPago payments and ignore payments of other orders', async () => {
+      const provider = new MercadoPagoProvider();
+      stub.addPayment({ id: '3001', status: 'approved', orderId: ORDER_ID, amount: 19 });
+      stub.addPayment({ id: '3002', status: 'approved', orderId: '65a1b2c3d4e5f6a7b8c9d0e2' });
+
+      expect(await provider.fetchStatus({ paymentId: '3001' }))
+        .toEqual({ id: '3001', status: 'approved', orderId: ORDER_ID, amount: 19 });
+      expect((await provider.fetchStatus({ orderId: ORDER_ID, paymentId: '3002' })).id).toBe('3001');
+      await expect(provider.fetchStatus({ paymentId: '9999' })).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should refund paid MercadoPago orders only', async () => {
+      const provider = new MercadoPagoProvider();
+      stub.addPayment({ id: '3003', status: 'approved', orderId: ORDER_ID, amount: 19 });
+
+      const refund = await provider.refund({ payment: true, mercadoPagoId: '3003', amount: 19 }, { amount: 5 });
+
+      expect(refund).toMatchObject({ manual: false, status: 'approved', amount: 5 });
+      await expect(provider.refund({ payment: false, amount: 19 })).rejects.toSatisfy(isPaymentError);
+    });
+
+    it('should authenticate MercadoPago webhooks', () => {
+      const provider = new MercadoPagoProvider({ secret: stub.secret });
+
+      expect(provider.parseWebhook(stub.buildNotification('3004')))
+        .toMatchObject({ verified: true, type: 'payment', paymentId: '3004' });
+      expect(provider.parseWebhook(stub.buildNotification('3004', { secret: 'forged' })))
+        .toMatchObject({ verified: false, reason: 'invalid_signature' });
+    });
+
+    it('should build a PIX QR code for the order amount', async () => {
+      const provider = new PixProvider(pixOptions);
+
+      const checkout = await provider.createCheckout({ _id: ORDER_ID, amount: 19 });
+
+      expect(checkout.reference).toBe(ORDER_ID);
+      expect(checkout.pix.payload).toContain('540519.00');
+      expect(checkout.pix.qrCode).toMatch(/^data:image\/png;base64,/);
+      expect(await provider.fetchStatus()).toBeNull();
+    });
+
+    it('should settle cash and card orders on delivery with manual refunds', async () => {
+      const provider = new PayOnDeliveryProvider(PAYMENT_METHOD.CASH_ON_DELIVERY);
+
+      expect(provider.settlesOnDelivery).toBe(true);
+      expect(await provider.createCheckout()).toEqual({ reference: null });
+      expect(await provider.refund({ amount: 19 })).toMatchObject({ manual: true, amount: 19 });
+      expect(provider.parseWebhook().verified).toBe(false);
+    });
+  });
+
+  describe('registry', () => {
+    const originalMethods = process.env.PAYMENT_METHODS;
+
+    afterEach(() => {
+      setPaymentProvider(PAYMENT_METHOD.PIX, null);
+      setMercadoPagoGateway(null);
+      if (originalMethods === undefined) {
+        delete process.env.PAYMENT_METHODS;
+      } else {
+        process.env.PAYMENT_METHODS = originalMethods;
+      }
+    });
+
+    it('should only list enabled and configured methods', () => {
+      delete process.env.PAYMENT_METHODS;
+      setMercadoPagoGateway(new MercadoPagoStub());
+      setPaymentProvider(PAYMENT_METHOD.PIX, new PixProvider({ key: '' }));
+
+      expect(listPaymentMethods().map((method) => method.id))
+        .toEqual([PAYMENT_METHOD.MERCADOPAGO, PAYMENT_METHOD.CASH_ON_DELIVERY, PAYMENT_METHOD.CARD_ON_DELIVERY]);
+
+      process.env.PAYMENT_METHODS = 'cash_on_delivery';
+      expect(listPaymentMethods()).toEqual([{ id: PAYMENT_METHOD.CASH_ON_DELIVERY, settlesOnDelivery: true }]);
+      expect(isPaymentMethodEnabled(PAYMENT_METHOD.MERCADOPAGO)).toBe(false);
+    });
+
+    it('should return null for unknown methods', () => {
+      expect(getPaymentProvider('bitcoin')).toBeNull();
+    });
+  });
+
+  describe('placing orders', () => {
+    let app;
+    let customer;
+    let food;
+
+    const place = async (paymentMethod) => request(app)
+      .post('/api/order/place')
+      .set('token', await tokenFor(customer))
+      .send({
+        paymentMethod,
+        items: [{ _id: food._id.toString(), quantity: 1 }],
+        address: { street: 'Rua A', number: '10', neighborhood: 'Centro', zone: 'Zona 1' }
+      });
+
+    beforeAll(() => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-with-at-least-32-characters';
+    });
+
+    beforeEach(async () => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/order', orderRouter);
+      food = await foodModel.create({ name: 'Pastel', description: 'Carne', price: 8.5, image: 'pastel.jpg', category: 'Salgados' });
+      customer = await userModel.create({ name: 'Maria', cartData: { [food._id]: 1 } });
+      await zoneModel.create({ name: 'Zona 1', neighborhoods: ['Centro'] });
+    });
+
+    afterEach(() => {
+      setMercadoPagoGateway(null);
+    });
+
+    it('should place cash on delivery orders without a checkout', async () => {
+      const response = await place(PAYMENT_METHOD.CASH_ON_DELIVERY);
+
+      expect(response.body).toMatchObject({ success: true, paymentMethod: PAYMENT_METHOD.CASH_ON_DELIVERY });
+      expect(response.body.payment_url).toBeUndefined();
+      const stored = await orderModel.findById(response.body.orderId);
+      expect(stored.paymentMethod).toBe(PAYMENT_METHOD.CASH_ON_DELIVERY);
+      expect((await userModel.findById(customer._id)).cartData).toEqual({});
+    });
+
+    it('should reject an unavailable method before saving the order', async () => {
+      setMercadoPagoGateway({ isConfigured: () => false });
+
+      const response = await place(PAYMENT_METHOD.MERCADOPAGO);
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('PAYMENT_METHOD_UNAVAILABLE');
+      expect(await orderModel.countDocuments()).toBe(0);
+      expect((await userModel.findById(customer._id)).cartData).toEqual({ [food._id]: 1 });
+    });
+
+    it('should cancel the order and keep the cart when the checkout fails', async () => {
+      const stub = new MercadoPagoStub();
+      stub.createPreference = async () => { throw new Error('MercadoPago unavailable'); };
+      setMercadoPagoGateway(stub);
+
+      const response = await place(PAYMENT_METHOD.MERCADOPAGO);
+
+      expect(response.status).toBe(502);
+      const [order] = await orderModel.find();
+      expect(order.status).toBe(ORDER_STATUS.CANCELLED);
+      expect((await userModel.findById(customer._id)).cartData).toEqual({ [food._id]: 1 });
+    });
+
+    it('should hold stock from placement and give it back when the checkout fails', async () => {
+      await foodModel.updateOne({ _id: food._id }, { stock: 1 });
+      const stub = new MercadoPagoStub();
+      stub.createPreference = async () => { throw new Error('MercadoPago unavailable'); };
+      setMercadoPagoGateway(stub);
+
+      const held = await place(PAYMENT_METHOD.CASH_ON_DELIVERY);
+      const soldOut = await place(PAYMENT_METHOD.CASH_ON_DELIVERY);
+      await orderModel.transitionStatus(held.body.orderId, ORDER_STATUS.CANCELLED, { changedBy: 'test' });
+      const failed = await place(PAYMENT_METHOD.MERCADOPAGO);
+
+      expect(held.body.success).toBe(true);
+      expect(soldOut.status).toBe(400);
+      expect(soldOut.body.errors[0]).toMatchObject({ reason: 'OUT_OF_STOCK' });
+      expect(failed.status).toBe(502);
+      expect((await foodModel.findById(food._id)).stock).toBe(1);
+    });
+
+    it('should confirm orders a coupon covers in full without a checkout', async () => {
+      const stub = new MercadoPagoStub();
+      setMercadoPagoGateway(stub);
+      await zoneModel.updateOne({ name: 'Zona 1' }, { deliveryFee: 0 });
+      await promoService.createCoupon({ code: 'CORTESIA', type: 'fixed', value: 8.5 }, 'admin');
+
+      const response = await request(app)
+        .post('/api/order/place')
+        .set('token', await tokenFor(customer))
+        .send({
+          paymentMethod: PAYMENT_METHOD.MERCADOPAGO,
+          couponCode: 'CORTESIA',
+          items: [{ _id: food._id.toString(), quantity: 1 }],
+          address: { street: 'Rua A', number: '10', neighborhood: 'Centro', zone: 'Zona 1' }
+        });
+
+      expect(response.body).toMatchObject({ success: true });
+      expect(response.body.payment_url).toBeUndefined();
+      expect(stub.preferences).toHaveLength(0);
+      expect(await orderModel.findById(response.body.orderId).lean()).toMatchObject({ amount: 0, payment: true, status: ORDER_STATUS.PAID });
+    });
+
+    it('should mark pay-on-delivery orders as paid once delivered', async () => {
+      const admin = await userModel.create({ name: 'Admin', role: 'admin' });
+      const { body } = await place(PAYMENT_METHOD.CARD_ON_DELIVERY);
+
+      for (const status of [ORDER_STATUS.FOOD_PROCESSING, ORDER_STATUS.OUT_FOR_DELIVERY, ORDER_STATUS.DELIVERED]) {
+        await request(app)
+          .post('/api/order/status')
+          .set('token', await tokenFor(admin))
+          .send({ orderId: body.orderId, status });
+      }
+
+      const stored = await orderModel.findById(body.orderId);
+      expect(stored.status).toBe(ORDER_STATUS.DELIVERED);
+      expect(stored.payment).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import orderRouter from '../routes/orderRoute.js';
+import orderModel from '../models/orderModel.js';
+import userModel from '../models/userModel.js';
+import { setMercadoPagoGateway } from '../services/mercadoPagoGateway.js';
+import PaymentReconciliationService from '../services/paymentReconciliationService.js';
+import { ORDER_STATUS } from '../utils/orderStatus.js';
+import MercadoPagoStub from './helpers/mercadoPagoStub.js';
+import { tokenFor } from './helpers/authTokens.js';
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+const createOrder = (userId, overrides = {}) => orderModel.create({
+  userId: userId.toString(),
+  items: [{ _id: '507f1f77bcf86cd799439012', name: 'Pastel', price: 8.5, quantity: 1 }],
+  amount: 10.5,
+  address: { street: 'Rua A', number: '10', neighborhood: 'Centro', zone: 'Zona 1' },
+  mercadoPagoId: 'pref-1',
+  ...overrides
+});
+
+describe('Payment Reconciliation', () => {
+  let stub;
+  let customer;
+  let service;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-with-at-least-32-characters';
+  });
+
+  beforeEach(async () => {
+    stub = new MercadoPagoStub();
+    setMercadoPagoGateway(stub);
+    service = new PaymentReconciliationService({ pendingAfterMinutes: 5, expireAfterMinutes: 120 });
+    customer = await userModel.create({ name: 'Maria' });
+  });
+
+  afterEach(() => {
+    setMercadoPagoGateway(null);
+  });
+
+  describe('reconcilePendingOrders', () => {
+    it('should mark stuck orders as paid when the provider approved them', async () => {
+      const order = await createOrder(customer._id, { createdAt: minutesAgo(10) });
+      stub.addPayment({ id: '2001', status: 'approved', orderId: order._id, amount: 10.5 });
+
+      const summary = await service.reconcilePendingOrders();
+
+      expect(summary).toMatchObject({ checked: 1, updated: 1, errors: 0 });
+      const stored = await orderModel.findById(order._id);
+      expect(stored.status).toBe(ORDER_STATUS.PAID);
+      expect(stored.payment).toBe(true);
+      expect(stored.statusHistory.at(-1).changedBy).toBe('payment-reconciliation');
+    });
+
+    it('should leave recent orders to the webhook', async () => {
+      const order = await createOrder(customer._id, { createdAt: minutesAgo(1) });
+      stub.addPayment({ id: '2002', status: 'approved', orderId: order._id, amount: 10.5 });
+
+      const summary = await service.reconcilePendingOrders();
+
+      expect(summary.checked).toBe(0);
+    });
+
+    it('should prefer the approved payment among several attempts', async () => {
+      const order = await createOrder(customer._id, { createdAt: minutesAgo(10) });
+      stub.addPayment({ id: '2003', status: 'approved', orderId: order._id, amount: 10.5 });
+      stub.addPayment({ id: '2004', status: 'rejected', orderId: order._id });
+
+      await service.reconcilePendingOrders();
+
+      const stored = await orderModel.findById(order._id);
+      expect(stored.payment).toBe(true);
+      expect(stored.mercadoPagoId).toBe('2003');
+    });
+  });
+
+  describe('expireAbandonedOrders', () => {
+    it('should expire unpaid orders instead of deleting them', async () => {
+      const order = await createOrder(customer._id, { createdAt: minutesAgo(180) });
+
+      const summary = await service.expireAbandonedOrders();
+
+      expect(summary.expired).toBe(1);
+      const stored = await orderModel.findById(order._id);
+      expect(stored).not.toBeNull();
+      expect(stored.status).toBe(ORDER_STATUS.EXPIRED);
+    });
+
+    it('should not expire an order the provider approved', async () => {
+      const order = await createOrder(customer._id, { createdAt: minutesAgo(180) });
+      stub.addPayment({ id: '2005', status: 'approved', orderId: order._id, amount: 10.5 });
+
+      const summary = await service.expireAbandonedOrders();
+
+      expect(summary.expired).toBe(0);
+      const stored = await orderModel.findById(order._id);
+      expect(stored.status).toBe(ORDER_STATUS.PAID);
+    });
+
+    it('should accept a payment approved after the order expired', async () => {
+      const order = await createOrder(customer._id, { createdAt: minutesAgo(180) });
+      await service.expireAbandonedOrders();
+      stub.addPayment({ id: '2006', status: 'approved', orderId: order._id, amount: 10.5 });
+
+      await service.reconcileOrder(await orderModel.findById(order._id));
+
+      const stored = await orderModel.findById(order._id);
+      expect(stored.status).toBe(ORDER_STATUS.PAID);
+    });
+  });
+
+  describe('HTTP endpoints', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/order', orderRouter);
+    });
+
+    it('should report the provider status without changing the order', async () => {
+      const order = await createOrder(customer._id);
+      stub.addPayment({ id: '2007', status: 'approved', orderId: order._id, amount: 10.5 });
+
+      const response = await request(app)
+        .post('/api/order/verify')
+        .set('token', await tokenFor(customer))
+        .send({ orderId: order._id, paymentId: '2007', success: 'true' });
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toMatchObject({ payment: true, paymentStatus: 'approved' });
+      const stored = await orderModel.findById(order._id);
+      expect(stored.status).toBe(ORDER_STATUS.PENDING);
+      expect(stored.statusHistory).toHaveLength(1);
+    });
+
+    it('should never delete the order when the redirect reports a failure', async () => {
+      const order = await createOrder(customer._id);
+
+      await request(app)
+        .post('/api/order/verify')
+        .set('token', await tokenFor(customer))
+        .send({ orderId: order._id, success: 'false' });
+
+      expect(await orderModel.findById(order._id)).not.toBeNull();
+    });
+
+    it('should require authentication and hide other customers orders', async () => {
+      const order = await createOrder(customer._id);
+      const stranger = await userModel.create({ name: 'João' });
+
+      const anonymous = await request(app).post('/api/order/verify').send({ orderId: order._id });
+      const other = await request(app)
+        .post('/api/order/verify')
+        .set('token', await tokenFor(stranger))
+        .send({ orderId: order._id });
+
+      expect(anonymous.status).toBe(401);
+      expect(other.status).toBe(404);
+    });
+
+    it('should let admins run the reconciliation', async () => {
+      const admin = await userModel.create({ name: 'Admin', role: 'admin' });
+      const order = await createOrder(customer._id, { createdAt: minutesAgo(10) });
+      stub.addPayment({ id: '2008', status: 'approved', orderId: order._id, amount: 10.5 });
+
+      const forbidden = await request(app).post('/api/order/reconcile').set('token', await tokenFor(customer));
+      const response = await request(app).post('/api/order/reconcile').set('token', await tokenFor(admin));
+
+      expect(forbidden.status).toBe(403);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.reconciled.updated).toBe(1);
+    });
+  });
+});
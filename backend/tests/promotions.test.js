@@ -0,0 +1,213 @@
+import { describe, it, expect } from 'vitest';
+import foodModel from '../models/foodModel.js';
+import orderModel from '../models/orderModel.js';
+import couponModel from '../models/couponModel.js';
+import { promoService } from '../services/promoService.js';
+import { ORDER_STATUS } from '../utils/orderStatus.js';
+import {
+  COUPON_TYPE,
+  assertCouponActive,
+  calculateCouponDiscount,
+  isPromoError,
+  normalizeCouponCode,
+  parseCouponInput
+} from '../utils/promotions.js';
+
+const PASTEL_ID = '507f1f77bcf86cd799439011';
+const SUCO_ID = '507f1f77bcf86cd799439012';
+
+const order = {
+  items: [
+    { _id: PASTEL_ID, name: 'Pastel', price: 8.5, quantity: 2, lineTotal: 17 },
+    { _id: SUCO_ID, name: 'Suco', price: 6, quantity: 1, lineTotal: 6 }
+  ],
+  subtotal: 23,
+  deliveryFee: 4,
+  categories: new Map([[PASTEL_ID, 'Pastéis'], [SUCO_ID, 'Bebidas']])
+};
+
+const coupon = (overrides = {}) => ({
+  code: 'PROMO',
+  type: COUPON_TYPE.PERCENTAGE,
+  value: 10,
+  maxDiscount: null,
+  minimumOrder: 0,
+  categories: [],
+  foodIds: [],
+  isActive: true,
+  validFrom: null,
+  validUntil: null,
+  ...overrides
+});
+
+const catchError = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('Promotions', () => {
+  describe('parseCouponInput', () => {
+    it('should normalize the coupon sent by the admin panel', () => {
+      const fields = parseCouponInput({
+        code: ' verao10 ',
+        type: 'percentage',
+        value: '10',
+        maxDiscount: '15',
+        usageLimit: '100',
+        perUserLimit: 1,
+        validUntil: '2026-03-01T00:00:00Z',
+        categories: 'Pastéis, Bebidas,Pastéis'
+      });
+
+      expect(fields).toMatchObject({
+        code: 'VERAO10',
+        value: 10,
+        maxDiscount: 15,
+        minimumOrder: 0,
+        usageLimit: 100,
+        perUserLimit: 1,
+        validFrom: null,
+        categories: ['Pastéis', 'Bebidas'],
+        foodIds: [],
+        isActive: true
+      });
+      expect(fields.validUntil).toEqual(new Date('2026-03-01T00:00:00Z'));
+    });
+
+    it('should list every problem of an invalid coupon', () => {
+      const error = catchError(() => parseCouponInput({
+        code: 'x',
+        type: 'percentage',
+        value: 120,
+        usageLimit: 0,
+        validFrom: '2026-03-01',
+        validUntil: '2026-02-01'
+      }));
+
+      expect(isPromoError(error)).toBe(true);
+      expect(error.code).toBe('INVALID_COUPON');
+      expect(error.details.map(({ field }) => field)).toEqual(['code', 'value', 'usageLimit', 'validUntil']);
+    });
+
+    it('should not need a value for free delivery', () => {
+      expect(parseCouponInput({ code: 'FRETE', type: 'free_delivery' })).toMatchObject({ value: 0, maxDiscount: null });
+    });
+  });
+
+  describe('assertCouponActive', () => {
+    const now = new Date('2026-02-10T12:00:00Z');
+
+    it('should enforce the validity window', () => {
+      expect(() => assertCouponActive(coupon({ validUntil: new Date('2026-02-11T00:00:00Z') }), now)).not.toThrow();
+      expect(catchError(() => assertCouponActive(coupon({ validUntil: new Date('2026-02-10T00:00:00Z') }), now)).code)
+        .toBe('COUPON_EXPIRED');
+      expect(catchError(() => assertCouponActive(coupon({ validFrom: new Date('2026-02-11T00:00:00Z') }), now)).code)
+        .toBe('COUPON_NOT_STARTED');
+      expect(catchError(() => assertCouponActive(coupon({ isActive: false }), now)).code).toBe('COUPON_INACTIVE');
+    });
+  });
+
+  describe('calculateCouponDiscount', () => {
+    it('should discount a percentage of the items, up to the cap', () => {
+      expect(calculateCouponDiscount(coupon({ value: 10 }), order))
+        .toEqual({ eligibleSubtotal: 23, itemsDiscount: 2.3, deliveryDiscount: 0, total: 2.3 });
+      expect(calculateCouponDiscount(coupon({ value: 50, maxDiscount: 5 }), order).total).toBe(5);
+    });
+
+    it('should never discount more than the items cost', () => {
+      expect(calculateCouponDiscount(coupon({ type: COUPON_TYPE.FIXED, value: 30 }), order).itemsDiscount).toBe(23);
+    });
+
+    it('should waive the delivery fee', () => {
+      expect(calculateCouponDiscount(coupon({ type: COUPON_TYPE.FREE_DELIVERY }), order))
+        .toMatchObject({ itemsDiscount: 0, deliveryDiscount: 4, total: 4 });
+      expect(catchError(() => calculateCouponDiscount(coupon({ type: COUPON_TYPE.FREE_DELIVERY }), { ...order, deliveryFee: 0 })).code)
+        .toBe('COUPON_NOT_APPLICABLE');
+    });
+
+    it('should only discount the categories or foods of restricted coupons', () => {
+      expect(calculateCouponDiscount(coupon({ value: 50, categories: ['Bebidas'] }), order).itemsDiscount).toBe(3);
+      expect(calculateCouponDiscount(coupon({ value: 50, foodIds: [PASTEL_ID] }), order).itemsDiscount).toBe(8.5);
+      expect(catchError(() => calculateCouponDiscount(coupon({ categories: ['Doces'] }), order)).code)
+        .toBe('COUPON_NOT_APPLICABLE');
+    });
+
+    it('should enforce the minimum order', () => {
+      const error = catchError(() => calculateCouponDiscount(coupon({ minimumOrder: 30 }), order));
+
+      expect(error.code).toBe('COUPON_MINIMUM_ORDER');
+      expect(error.message).toBe('O pedido mínimo para este cupom é R$ 30.00');
+    });
+  });
+
+  describe('normalizeCouponCode', () => {
+    it('should ignore case and spaces', () => {
+      expect(normalizeCouponCode('  promo10 ')).toBe('PROMO10');
+      expect(normalizeCouponCode(undefined)).toBe('');
+    });
+  });
+
+  describe('promoService', () => {
+    const placeOrderWith = async (promo, userId) => {
+      const food = await foodModel.findOne({ name: 'Pastel' });
+      const newOrder = new orderModel({
+        userId,
+        items: [{ _id: food._id.toString(), name: 'Pastel', price: 8, quantity: 1 }],
+        amount: 8 - promo.total,
+        discount: promo.total,
+        promotion: { couponId: promo.couponId, code: promo.code, total: promo.total },
+        address: { street: 'Rua A', number: '1', neighborhood: 'Centro', zone: 'Zona 1' }
+      });
+      await promoService.reserveForOrder(newOrder);
+      return newOrder.save();
+    };
+
+    it('should hold uses while orders are open and give them back when they expire', async () => {
+      await foodModel.create({ name: 'Pastel', description: 'Pastel', price: 8, image: '/uploads/p.jpg', category: 'Pastéis' });
+      const saved = await promoService.createCoupon({ code: 'UNICO', type: 'fixed', value: 2, usageLimit: 1, perUserLimit: 1 }, 'admin');
+      const promo = { couponId: saved._id, code: saved.code, total: 2 };
+
+      await expect(promoService.getUsableCoupon('unico', 'user-1')).resolves.toMatchObject({ code: 'UNICO' });
+      const first = await placeOrderWith(promo, 'user-1');
+
+      await expect(promoService.getUsableCoupon('UNICO', 'user-2')).rejects.toMatchObject({ code: 'COUPON_USAGE_LIMIT' });
+      await expect(promoService.reserveForOrder({ _id: 'o-2', userId: 'user-2', promotion: promo }))
+        .rejects.toMatchObject({ code: 'COUPON_USAGE_LIMIT' });
+
+      await orderModel.transitionStatus(first._id, ORDER_STATUS.EXPIRED, { changedBy: 'test' });
+      expect((await couponModel.findById(saved._id)).usageCount).toBe(0);
+      await expect(promoService.getUsableCoupon('UNICO', 'user-1')).resolves.toBeTruthy();
+
+      const second = await placeOrderWith(promo, 'user-2');
+      await orderModel.transitionStatus(second._id, ORDER_STATUS.PAID, { changedBy: 'test', set: { payment: true } });
+
+      const [stats] = await promoService.listWithStats();
+      expect(stats.usageCount).toBe(1);
+      expect(stats.stats).toEqual({ reserved: 0, redeemed: 1, released: 1, totalDiscount: 2 });
+    });
+
+    it('should hold the per-customer limit against simultaneous checkouts', async () => {
+      await foodModel.create({ name: 'Pastel', description: 'Pastel', price: 8, image: '/uploads/p.jpg', category: 'Pastéis' });
+      const saved = await promoService.createCoupon({ code: 'PRIMEIRA', type: 'fixed', value: 2, perUserLimit: 1 }, 'admin');
+      const promo = { couponId: saved._id, code: saved.code, total: 2 };
+
+      const results = await Promise.allSettled(
+        ['o-1', 'o-2', 'o-3'].map((_id) => promoService.reserveForOrder({ _id, userId: 'user-1', promotion: promo }))
+      );
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+      expect(results.filter((result) => result.status === 'rejected').map((result) => result.reason.code))
+        .toEqual(['COUPON_USER_LIMIT', 'COUPON_USER_LIMIT']);
+      expect((await couponModel.findById(saved._id)).usageCount).toBe(1);
+
+      const held = results.find((result) => result.status === 'fulfilled').value;
+      await promoService.releaseForOrder(held.orderId);
+      await expect(placeOrderWith(promo, 'user-1')).resolves.toBeTruthy();
+      await expect(placeOrderWith(promo, 'user-2')).resolves.toBeTruthy();
+    });
+  });
+});
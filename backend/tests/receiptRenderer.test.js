@@ -0,0 +1,171 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import orderRouter from '../routes/orderRoute.js';
+import orderModel from '../models/orderModel.js';
+import userModel from '../models/userModel.js';
+import {
+  PAPER_WIDTHS,
+  buildReceipt,
+  getOrderNumber,
+  renderReceiptText,
+  renderReceiptEscPos,
+  renderReceiptHtml
+} from '../utils/receiptRenderer.js';
+import { tokenFor } from './helpers/authTokens.js';
+
+const order = {
+  _id: '65a1b2c3d4e5f6a7b8c9d0e1',
+  createdAt: new Date('2026-01-10T15:30:00Z'),
+  items: [
+    { _id: '507f1f77bcf86cd799439012', name: 'Pastel de Carne com Queijo Especial da Casa', price: 8.5, quantity: 2, lineTotal: 17 },
+    { _id: '507f1f77bcf86cd799439013', name: 'Suco de Laranja', price: 6, quantity: 1, lineTotal: 6 },
+    { _id: '507f1f77bcf86cd799439014', name: 'Pastel', price: 10, quantity: 1, lineTotal: 10, options: [{ name: 'Grande', price: 2 }] }
+  ],
+  subtotal: 33,
+  deliveryFee: 2,
+  amount: 35,
+  phone: '11999999999',
+  paymentMethod: 'cash_on_delivery',
+  payment: false,
+  address: { street: 'Rua das Flores', number: '10', neighborhood: 'Centro', zone: 'Zona 1', customerName: 'João' }
+};
+
+const options = { storeName: 'Pastelaria', timeZone: 'America/Sao_Paulo' };
+
+describe('Receipt Renderer', () => {
+  describe('tickets', () => {
+    it('should never exceed the paper width', () => {
+      for (const paperSize of Object.keys(PAPER_WIDTHS)) {
+        for (const type of ['kitchen', 'customer']) {
+          const text = renderReceiptText(buildReceipt(order, { ...options, type, paperSize }));
+          const longest = Math.max(...text.split('\n').map((line) => line.length));
+
+          expect(longest).toBeLessThanOrEqual(PAPER_WIDTHS[paperSize]);
+        }
+      }
+    });
+
+    it('should print prices, totals and payment on the customer ticket', () => {
+      const text = renderReceiptText(buildReceipt(order, { ...options, type: 'customer', paperSize: '80mm' }));
+
+      expect(text).toContain(`Pedido ${getOrderNumber(order)}`);
+      expect(text).toContain('10/01/2026');
+      expect(text).toMatch(/1x Suco de Laranja +R\$ 6,00/);
+      expect(text).toMatch(/TOTAL +R\$ 35,00/);
+      expect(text).toContain('Pagamento: Dinheiro na entrega');
+      expect(text).toContain('A RECEBER NA ENTREGA');
+      expect(text).toContain('Cliente: João');
+      expect(text).toContain('Telefone: 11999999999');
+      expect(text).toContain('Zona: Zona 1');
+    });
+
+    it('should leave prices out of the kitchen ticket', () => {
+      const text = renderReceiptText(buildReceipt(order, { ...options, type: 'kitchen', paperSize: '58mm' }));
+
+      expect(text).toContain('COZINHA');
+      expect(text).toContain('2x Pastel de Carne');
+      expect(text).toContain('1x Pastel (Grande)');
+      expect(text).not.toContain('R$');
+    });
+
+    it('should show the scheduled delivery time', () => {
+      const scheduled = { ...order, scheduledFor: new Date('2026-01-10T22:00:00Z') };
+      const text = renderReceiptText(buildReceipt(scheduled, { ...options, type: 'kitchen', paperSize: '58mm' }));
+
+      expect(text).toContain('AGENDADO: 10/01/2026');
+      expect(text).toContain('19:00');
+    });
+
+    it('should print the complement and reference point for the driver', () => {
+      const address = { ...order.address, complement: 'Apto 12', reference: 'Portão azul' };
+      const text = renderReceiptText(buildReceipt({ ...order, address }, { ...options, type: 'kitchen', paperSize: '80mm' }));
+
+      expect(text).toContain('Rua das Flores, 10 - Apto 12');
+      expect(text).toContain('Ref.: Portão azul');
+    });
+
+    it('should show the coupon discount on customer tickets', () => {
+      const discounted = { ...order, discount: 5, amount: 30, promotion: { code: 'PROMO5', total: 5 } };
+      const text = renderReceiptText(buildReceipt(discounted, { ...options, type: 'customer', paperSize: '80mm' }));
+
+      expect(text).toMatch(/Desconto \(PROMO5\) +-R\$ 5,00/);
+      expect(renderReceiptText(buildReceipt(discounted, { ...options, type: 'kitchen' }))).not.toContain('Desconto');
+    });
+
+    it('should reject unknown types and paper sizes', () => {
+      expect(() => buildReceipt(order, { type: 'bar' })).toThrow();
+      expect(() => buildReceipt(order, { paperSize: '110mm' })).toThrow();
+    });
+  });
+
+  describe('renderers', () => {
+    it('should produce ESC/POS bytes with a cut per ticket and no accents', () => {
+      const receipts = ['kitchen', 'customer'].map((type) => buildReceipt(order, { ...options, type, paperSize: '58mm' }));
+      const bytes = renderReceiptEscPos(receipts);
+
+      expect([...bytes.subarray(0, 2)]).toEqual([0x1b, 0x40]);
+      expect(bytes.toString('latin1').split('\x1dVB\x00')).toHaveLength(3);
+      expect(bytes.toString('latin1')).toContain('Cliente: Joao');
+      expect([...bytes].every((byte) => byte < 0x80)).toBe(true);
+    });
+
+    it('should escape customer data in the HTML ticket', () => {
+      const html = renderReceiptHtml(buildReceipt({
+        ...order,
+        address: { ...order.address, customerName: '<script>alert(1)</script>' }
+      }, { ...options, paperSize: '58mm' }));
+
+      expect(html).toContain('@page { size: 58mm auto');
+      expect(html).toContain('&lt;script&gt;');
+      expect(html).not.toContain('<script>');
+    });
+  });
+
+  describe('POST /api/order/:orderId/print', () => {
+    let app;
+    let admin;
+    let stored;
+
+    beforeAll(() => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-with-at-least-32-characters';
+    });
+
+    beforeEach(async () => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/order', orderRouter);
+      admin = await userModel.create({ name: 'Admin', role: 'admin' });
+      const { _id, createdAt, ...data } = order;
+      stored = await orderModel.create({ ...data, userId: admin._id.toString() });
+    });
+
+    it('should render the tickets and record each print', async () => {
+      const print = async (body) => request(app)
+        .post(`/api/order/${stored._id}/print`)
+        .set('token', await tokenFor(admin))
+        .send(body);
+
+      const first = await print({ paperSize: '58mm', format: 'text' });
+      const second = await print({ paperSize: '80mm', type: 'kitchen', copies: 2 });
+
+      expect(first.body.data.content).toContain('COZINHA');
+      expect(first.body.data.printCount).toBe(1);
+      expect(second.body.data.content).toContain('<!DOCTYPE html>');
+      expect(second.body.data.printCount).toBe(3);
+
+      const updated = await orderModel.findById(stored._id);
+      expect(updated.printHistory).toHaveLength(2);
+      expect(updated.printHistory[1]).toMatchObject({ paperSize: '80mm', copies: 2, receiptType: 'kitchen' });
+    });
+
+    it('should reject invalid options', async () => {
+      const response = await request(app)
+        .post(`/api/order/${stored._id}/print`)
+        .set('token', await tokenFor(admin))
+        .send({ paperSize: 'A4' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
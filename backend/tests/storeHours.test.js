@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest';
+import { storeSettingsService } from '../services/storeSettingsService.js';
+import {
+  STORE_CLOSED_REASON,
+  getStoreStatus,
+  isStoreError,
+  listScheduleSlots,
+  parseStoreSettings
+} from '../utils/storeHours.js';
+import { nextLocalTime, zonedTimeToUtc } from '../utils/storeClock.js';
+
+const TIME_ZONE = 'America/Sao_Paulo';
+
+// Local time in São Paulo (UTC-3)
+const at = (date, time) => new Date(`${date}T${time}:00-03:00`);
+
+const settings = {
+  weeklyHours: [
+    { days: [1, 2, 3, 4, 5], start: '11:00', end: '15:00' },
+    { days: [5, 6], start: '18:00', end: '02:00' }
+  ],
+  exceptions: [{ date: '2026-01-14', closed: true, note: 'Feriado municipal' }],
+  scheduledOrders: { enabled: true, minLeadMinutes: 30, maxDaysAhead: 1, slotMinutes: 60 }
+};
+
+const status = (now, overrides = {}) => getStoreStatus({ ...settings, ...overrides }, { now, timeZone: TIME_ZONE });
+
+describe('Store Hours', () => {
+  describe('getStoreStatus', () => {
+    it('should be open within the weekly hours and say when it closes', () => {
+      const result = status(at('2026-01-13', '12:00'));
+
+      expect(result).toMatchObject({ open: true, reason: null, nextOpeningAt: null });
+      expect(result.closesAt).toEqual(at('2026-01-13', '15:00'));
+    });
+
+    it('should give the next opening while closed', () => {
+      const result = status(at('2026-01-13', '16:00'));
+
+      expect(result).toMatchObject({ open: false, reason: STORE_CLOSED_REASON.CLOSED });
+      // Wednesday is a holiday, so the next opening is Thursday
+      expect(result.nextOpeningAt).toEqual(at('2026-01-15', '11:00'));
+    });
+
+    it('should close on holidays with their note', () => {
+      expect(status(at('2026-01-14', '12:00'))).toMatchObject({
+        open: false,
+        reason: STORE_CLOSED_REASON.HOLIDAY,
+        message: 'Feriado municipal'
+      });
+    });
+
+    it('should stay open past midnight for windows crossing it', () => {
+      const result = status(at('2026-01-17', '01:30'));
+
+      expect(result.open).toBe(true);
+      expect(result.closesAt).toEqual(at('2026-01-17', '02:00'));
+    });
+
+    it('should close while paused and reopen when the pause ends', () => {
+      const pause = { active: true, until: at('2026-01-13', '12:40'), message: 'Cozinha cheia' };
+
+      expect(status(at('2026-01-13', '12:00'), { pause })).toMatchObject({
+        open: false,
+        reason: STORE_CLOSED_REASON.PAUSED,
+        message: 'Cozinha cheia',
+        nextOpeningAt: at('2026-01-13', '12:40')
+      });
+      expect(status(at('2026-01-13', '12:45'), { pause }).open).toBe(true);
+      expect(status(at('2026-01-13', '12:00'), { pause: { active: true } }).nextOpeningAt).toBeNull();
+    });
+
+    it('should be open all day without weekly hours', () => {
+      const result = getStoreStatus({}, { now: at('2026-01-14', '03:00'), timeZone: TIME_ZONE });
+
+      expect(result).toMatchObject({ open: true, closesAt: null });
+    });
+  });
+
+  describe('listScheduleSlots', () => {
+    it('should offer slots within the hours after the lead time', () => {
+      const slots = listScheduleSlots(settings, { now: at('2026-01-15', '13:20'), timeZone: TIME_ZONE });
+
+      expect(slots.map((slot) => slot.toISOString())).toEqual([
+        at('2026-01-15', '14:00'),
+        at('2026-01-16', '11:00'),
+        at('2026-01-16', '12:00'),
+        at('2026-01-16', '13:00'),
+        at('2026-01-16', '14:00'),
+        at('2026-01-16', '18:00'),
+        at('2026-01-16', '19:00'),
+        at('2026-01-16', '20:00'),
+        at('2026-01-16', '21:00'),
+        at('2026-01-16', '22:00'),
+        at('2026-01-16', '23:00')
+      ].map((slot) => slot.toISOString()));
+    });
+
+    it('should offer nothing when scheduled orders are disabled', () => {
+      expect(listScheduleSlots({ ...settings, scheduledOrders: { enabled: false } }, { now: at('2026-01-15', '13:40') })).toEqual([]);
+    });
+  });
+
+  describe('parseStoreSettings', () => {
+    it('should normalize hours and exceptions', () => {
+      expect(parseStoreSettings({
+        weeklyHours: [{ days: [5, 1], start: '11:00', end: '15:00' }],
+        exceptions: [{ date: '2026-12-25' }, { date: '2026-12-24', closed: false, start: '11:00', end: '14:00' }]
+      })).toEqual({
+        weeklyHours: [{ days: [1, 5], start: '11:00', end: '15:00' }],
+        exceptions: [
+          { date: '2026-12-24', closed: false, start: '11:00', end: '14:00', note: '' },
+          { date: '2026-12-25', closed: true, note: '' }
+        ]
+      });
+    });
+
+    it('should list every problem', () => {
+      const error = (() => {
+        try {
+          parseStoreSettings({
+            weeklyHours: [{ days: [], start: '25:00', end: '10:00' }],
+            scheduledOrders: { enabled: true, slotMinutes: 1 }
+          });
+        } catch (err) {
+          return err;
+        }
+      })();
+
+      expect(isStoreError(error)).toBe(true);
+      expect(error.details.map((detail) => detail.field)).toEqual(['weeklyHours', 'weeklyHours', 'scheduledOrders.slotMinutes']);
+    });
+  });
+
+  describe('storeClock', () => {
+    it('should convert local times to moments', () => {
+      expect(zonedTimeToUtc('2026-01-13', 11 * 60, TIME_ZONE)).toEqual(at('2026-01-13', '11:00'));
+      expect(zonedTimeToUtc('2026-01-16', 26 * 60, TIME_ZONE)).toEqual(at('2026-01-17', '02:00'));
+    });
+
+    it('should find the next occurrence of a local time', () => {
+      expect(nextLocalTime('03:00', at('2026-01-13', '02:59'), TIME_ZONE)).toEqual(at('2026-01-13', '03:00'));
+      expect(nextLocalTime('03:00', at('2026-01-13', '03:00'), TIME_ZONE)).toEqual(at('2026-01-14', '03:00'));
+    });
+  });
+
+  describe('storeSettingsService', () => {
+    it('should reject orders while paused unless scheduled', async () => {
+      await storeSettingsService.updateSettings({ scheduledOrders: { enabled: true, minLeadMinutes: 0, maxDaysAhead: 1 } }, 'admin');
+      await storeSettingsService.setPause({ active: true, minutes: 60, message: 'Cozinha cheia' }, 'admin');
+
+      await expect(storeSettingsService.assertCanOrder({}))
+        .rejects.toMatchObject({ code: 'STORE_CLOSED', status: 409, message: 'Cozinha cheia' });
+
+      const { slots } = await storeSettingsService.getStatus();
+      await expect(storeSettingsService.assertCanOrder({ scheduledFor: slots[0].toISOString() })).resolves.toEqual(slots[0]);
+      await expect(storeSettingsService.assertCanOrder({ scheduledFor: 'amanhã' }))
+        .rejects.toMatchObject({ code: 'INVALID_SCHEDULED_TIME' });
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_ESTIMATED_MINUTES,
+  calculateDistanceFee,
+  calculateZoneDeliveryFee,
+  getZoneDeliveryTerms,
+  parseZoneDeliveryTerms
+} from '../utils/zoneDelivery.js';
+
+describe('Zone Delivery', () => {
+  describe('parseZoneDeliveryTerms', () => {
+    it('should normalize the terms sent by the admin panel', () => {
+      const { terms, errors } = parseZoneDeliveryTerms({
+        deliveryFee: '4.499',
+        minimumOrder: '',
+        freeDeliveryAbove: 50,
+        estimatedTime: { min: '30', max: 45 }
+      });
+
+      expect(errors).toEqual([]);
+      expect(terms).toEqual({ deliveryFee: 4.5, minimumOrder: 0, freeDeliveryAbove: 50, estimatedTime: { min: 30, max: 45 } });
+    });
+
+    it('should only return the fields that were sent', () => {
+      expect(parseZoneDeliveryTerms({ name: 'Centro' }).terms).toEqual({});
+      expect(parseZoneDeliveryTerms({ deliveryFee: '', estimatedTime: {} }).terms)
+        .toEqual({ deliveryFee: null, estimatedTime: { min: null, max: null } });
+    });
+
+    it('should report invalid values', () => {
+      const { errors } = parseZoneDeliveryTerms({
+        deliveryFee: -1,
+        freeDeliveryAbove: 'muito',
+        estimatedTime: { min: 50, max: 40 }
+      });
+
+      expect(errors.map(({ field }) => field)).toEqual(['deliveryFee', 'freeDeliveryAbove', 'estimatedTime']);
+      expect(parseZoneDeliveryTerms({ estimatedTime: { min: MAX_ESTIMATED_MINUTES + 1 } }).errors).toHaveLength(1);
+    });
+
+    it('should parse distance pricing and clear it without a rate per km', () => {
+      expect(parseZoneDeliveryTerms({ distancePricing: { baseFee: '3', perKm: '1.5', includedKm: '' } }).terms)
+        .toEqual({ distancePricing: { baseFee: 3, perKm: 1.5, includedKm: 0 } });
+      expect(parseZoneDeliveryTerms({ distancePricing: { baseFee: 3, perKm: '' } }).terms).toEqual({ distancePricing: null });
+      expect(parseZoneDeliveryTerms({ distancePricing: { perKm: -1 } }).errors[0].field).toBe('distancePricing');
+    });
+  });
+
+  describe('getZoneDeliveryTerms', () => {
+    it('should fall back to the store fee when the zone has none', () => {
+      expect(getZoneDeliveryTerms({ name: 'Centro', deliveryFee: null }, 2))
+        .toEqual({ deliveryFee: 2, minimumOrder: 0, freeDeliveryAbove: null, estimatedTime: null });
+      expect(getZoneDeliveryTerms({ deliveryFee: 0, minimumOrder: 15, estimatedTime: { min: 20, max: 30 } }, 2))
+        .toMatchObject({ deliveryFee: 0, minimumOrder: 15, estimatedTime: { min: 20, max: 30 } });
+    });
+
+    it('should price by distance when the customer location is known', () => {
+      const zone = { deliveryFee: 6, distancePricing: { baseFee: 3, perKm: 1.5, includedKm: 2 } };
+
+      expect(calculateDistanceFee(zone.distancePricing, 1)).toBe(3);
+      expect(calculateDistanceFee(zone.distancePricing, 4.35)).toBe(6.53);
+      expect(getZoneDeliveryTerms(zone, 2, 4.35).deliveryFee).toBe(6.53);
+      expect(getZoneDeliveryTerms(zone, 2).deliveryFee).toBe(6);
+    });
+  });
+
+  describe('calculateZoneDeliveryFee', () => {
+    it('should waive the fee from the free-delivery threshold on', () => {
+      const terms = { deliveryFee: 5, minimumOrder: 0, freeDeliveryAbove: 40, estimatedTime: null };
+
+      expect(calculateZoneDeliveryFee(terms, 39.99)).toBe(5);
+      expect(calculateZoneDeliveryFee(terms, 40)).toBe(0);
+      expect(calculateZoneDeliveryFee({ ...terms, freeDeliveryAbove: null }, 1000)).toBe(5);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Customer addresses
+ * Customers keep a small book of named delivery addresses ("Casa",
+ * "Trabalho"). CEPs are stored as 8 digits and looked up through the
+ * provider in services/cepLookup.js.
+ */
+
+export const MAX_SAVED_ADDRESSES = 10;
+
+export const ADDRESS_LIMITS = Object.freeze({
+  label: 30,
+  street: 120,
+  number: 20,
+  complement: 60,
+  reference: 120,
+  neighborhood: 80
+});
+
+const ADDRESS_LABELS = Object.freeze({
+  label: 'Nome do endereço',
+  street: 'Rua',
+  number: 'Número',
+  complement: 'Complemento',
+  reference: 'Ponto de referência',
+  neighborhood: 'Bairro'
+});
+
+const REQUIRED_FIELDS = ['label', 'street', 'number', 'neighborhood'];
+
+/**
+ * Builds an address error carrying its HTTP status
+ * @param {string} message - Message shown to the customer
+ * @param {string} code - Machine-readable code
+ * @param {number} status - HTTP status
+ * @param {Array|null} details - Per-field problems
+ * @returns {Error} - Error flagged with `isAddressError`
+ */
+export const createAddressError = (message, code, status = 400, details = null) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.details = details;
+  error.isAddressError = true;
+  return error;
+};
+
+export const isAddressError = (error) => Boolean(error?.isAddressError);
+
+/**
+ * Digits of a CEP
+ * @param {string} value - CEP with or without the dash ("01310-100")
+ * @returns {string|null} - 8 digits, or null when it is not a CEP
+ */
+export const normalizeCep = (value) => {
+  const digits = String(value ?? '').replace(/\D/g, '');
+  return digits.length === 8 ? digits : null;
+};
+
+/**
+ * CEP in the usual 00000-000 form
+ * @param {string} value - CEP
+ * @returns {string} - Formatted CEP, or '' when invalid
+ */
+export const formatCep = (value) => {
+  const cep = normalizeCep(value);
+  return cep ? `${cep.slice(0, 5)}-${cep.slice(5)}` : '';
+};
+
+// Case and accent insensitive key ("São João" and "sao joao" match)
+const toNeighborhoodKey = (value) =>
+  String(value ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Finds the delivery-zone spelling of a neighborhood returned by a CEP lookup
+ * @param {string} neighborhood - Neighborhood from the CEP provider
+ * @param {Array<string>} neighborhoods - Neighborhoods served by the zones
+ * @returns {string|null} - Matching served neighborhood, or null
+ */
+export const matchNeighborhood = (neighborhood, neighborhoods = []) => {
+  const key = toNeighborhoodKey(neighborhood);
+  if (!key) return null;
+  return neighborhoods.find((candidate) => toNeighborhoodKey(candidate) === key) || null;
+};
+
+/**
+ * Validates an address sent by the storefront
+ * @param {Object} input - { label, street, number, complement?, reference?, neighborhood, cep? }
+ * @returns {Object} - Normalized address
+ * @throws {Error} - INVALID_ADDRESS (400) listing every problem in `details`
+ */
+export const parseSavedAddress = (input = {}) => {
+  const details = [];
+  const address = {};
+
+  for (const [field, limit] of Object.entries(ADDRESS_LIMITS)) {
+    const value = typeof input[field] === 'string' ? input[field].trim().replace(/\s+/g, ' ') : '';
+    if (!value && REQUIRED_FIELDS.includes(field)) {
+      details.push({ field, message: `${ADDRESS_LABELS[field]} é obrigatório` });
+    } else if (value.length > limit) {
+      details.push({ field, message: `${ADDRESS_LABELS[field]} deve ter até ${limit} caracteres` });
+    }
+    address[field] = value;
+  }
+
+  address.cep = '';
+  if (input.cep !== undefined && input.cep !== null && input.cep !== '') {
+    address.cep = formatCep(input.cep);
+    if (!address.cep) {
+      details.push({ field: 'cep', message: 'CEP deve ter 8 dígitos' });
+    }
+  }
+
+  if (details.length > 0) {
+    throw createAddressError('Endereço inválido', 'INVALID_ADDRESS', 400, details);
+  }
+  return address;
+};
@@ -3,17 +3,30 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { validateCategoryImage, validateImageDimensions } from './categoryValidation.js';
 import { logger, imageLogger } from './logger.js';
+import { UPLOADS_URL, getUploadStorage, toStorageKey } from '../services/uploadStorage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const CATEGORY_IMAGES_PREFIX = 'categories';
+const BACKUPS_PREFIX = `${CATEGORY_IMAGES_PREFIX}/.backups`;
+
 /**
  * Enhanced image processor with validation, rollback, and integrity checks
+ * Category images and their backups are kept in the upload storage.
  */
 class EnhancedImageProcessor {
-  constructor() {
+  /**
+   * @param {Object} options - { storage }: the application's upload storage by default
+   */
+  constructor(options = {}) {
     this.tempFiles = new Set(); // Track temporary files for cleanup
     this.backupFiles = new Map(); // Track backup files for rollback
+    this.uploadStorage = options.storage || null;
+  }
+
+  get storage() {
+    return this.uploadStorage || getUploadStorage();
   }
 
   /**
@@ -62,36 +75,23 @@ class EnhancedImageProcessor {
 
       // Step 3: Generate unique filename
       const uniqueFilename = this.generateUniqueImageName(categoryId, imageFile.originalname);
-      const targetPath = path.join(this.getCategoryImagePath(), uniqueFilename);
+      const targetKey = this.getCategoryImageKey(uniqueFilename);
 
       logger.backend.info(`Processing image ${filename} -> ${uniqueFilename} for category ${categoryId}`);
 
       // Step 4: Create backup of old image if exists
+      let backupKey = null;
       if (oldImagePath) {
         logger.image.file.moved(oldImagePath, 'backup before replacement');
         const backupResult = await this.createImageBackup(oldImagePath);
-        if (backupResult.success) {
-          rollbackActions.push(() => this.restoreImageBackup(backupResult.backupPath, oldImagePath));
+        if (backupResult.success && backupResult.backupKey) {
+          backupKey = backupResult.backupKey;
+          rollbackActions.push(() => this.restoreImageBackup(backupKey, oldImagePath));
         }
       }
 
-      // Step 5: Ensure target directory exists
-      const targetDir = path.dirname(targetPath);
-      if (!fs.existsSync(targetDir)) {
-        fs.mkdirSync(targetDir, { recursive: true });
-        rollbackActions.push(() => {
-          try {
-            if (fs.readdirSync(targetDir).length === 0) {
-              fs.rmdirSync(targetDir);
-            }
-          } catch (error) {
-            logger.system.warn('Could not remove directory during rollback:', error);
-          }
-        });
-      }
-
-      // Step 6: Move/copy image file to target location
-      const moveResult = await this.moveImageFile(imageFile.path, targetPath);
+      // Step 5: Move image file into the upload storage
+      const moveResult = await this.moveImageFile(imageFile.path, targetKey);
       if (!moveResult.success) {
         logger.image.upload.error(filename, new Error(moveResult.error), categoryId);
         await this.executeRollback(rollbackActions);
@@ -103,13 +103,13 @@ class EnhancedImageProcessor {
         };
       }
 
-      rollbackActions.push(() => this.deleteImageFile(targetPath));
-      logger.image.file.moved(imageFile.path, targetPath);
+      rollbackActions.push(() => this.deleteImageFile(targetKey));
+      logger.image.file.moved(imageFile.path, targetKey);
 
-      // Step 7: Verify image integrity after move
-      const integrityResult = await this.verifyImageIntegrity(targetPath);
+      // Step 6: Verify image integrity after move
+      const integrityResult = await this.verifyImageIntegrity(await this.storage.get(targetKey));
       if (!integrityResult.success) {
-        logger.image.file.corrupted(targetPath, new Error(integrityResult.error));
+        logger.image.file.corrupted(targetKey, new Error(integrityResult.error));
         await this.executeRollback(rollbackActions);
         return {
           success: false,
@@ -121,8 +121,8 @@ class EnhancedImageProcessor {
 
       logger.image.upload.validation.passed(filename, ['integrity'], categoryId);
 
-      // Step 8: Optimize image if needed
-      const optimizationResult = await this.optimizeImage(targetPath);
+      // Step 7: Optimize image if needed
+      const optimizationResult = await this.optimizeImage(targetKey);
       if (!optimizationResult.success) {
         // Optimization failure is not critical, log warning but continue
         logger.system.warn('Image optimization failed:', optimizationResult.error);
@@ -130,21 +130,24 @@ class EnhancedImageProcessor {
         logger.backend.info(`Image optimized: ${optimizationResult.originalSize} -> ${optimizationResult.optimizedSize} bytes (${optimizationResult.compressionRatio})`);
       }
 
-      // Step 9: Clean up old image if everything succeeded
+      // Step 8: Clean up old image and its backup if everything succeeded
       if (oldImagePath) {
         await this.deleteOldImage(oldImagePath);
         logger.image.file.deleted(oldImagePath, 'replaced by new image');
       }
+      if (backupKey) {
+        await this.deleteImageFile(backupKey);
+      }
 
-      // Step 10: Clean up temporary files
+      // Step 9: Clean up temporary files
       this.cleanupTempFiles();
 
-      const finalSize = fs.statSync(targetPath).size;
+      const finalSize = (await this.storage.stat(targetKey)).size;
       const duration = Date.now() - startTime;
 
       // Log successful processing
       logger.image.upload.success(filename, `/uploads/categories/${uniqueFilename}`, duration, categoryId);
-      logger.image.file.created(targetPath, finalSize);
+      logger.image.file.created(targetKey, finalSize);
 
       // Check for slow processing
       logger.image.performance.slowUpload(filename, duration);
@@ -195,39 +198,55 @@ class EnhancedImageProcessor {
   }
 
   /**
-   * Get category images directory path
+   * Get category images directory path (local upload storage)
    * @returns {string} - Directory path
    */
   getCategoryImagePath() {
     return path.join(__dirname, '..', 'uploads', 'categories');
   }
 
+  /**
+   * Storage key of a category image
+   * @param {string} filename - Image filename
+   * @returns {string} - e.g. 'categories/cat_<id>_<timestamp>.jpg'
+   */
+  getCategoryImageKey(filename) {
+    return `${CATEGORY_IMAGES_PREFIX}/${filename}`;
+  }
+
+  /**
+   * Storage key of an image given as /uploads/... path or bare filename
+   * @param {string} imagePath - Image path or filename
+   * @returns {string|null} - Storage key
+   */
+  toImageKey(imagePath) {
+    return imagePath.startsWith(`${UPLOADS_URL}/`)
+      ? toStorageKey(imagePath)
+      : this.getCategoryImageKey(path.basename(imagePath));
+  }
+
   /**
    * Create backup of existing image
-   * @param {string} imagePath - Path to image to backup
-   * @returns {Promise<Object>} - Backup result
+   * @param {string} imagePath - Image to backup (/uploads/... path or filename)
+   * @returns {Promise<Object>} - Backup result with the backup's storage key
    */
   async createImageBackup(imagePath) {
     try {
-      if (!imagePath || !fs.existsSync(imagePath)) {
+      const imageKey = imagePath ? this.toImageKey(imagePath) : null;
+      const contents = imageKey ? await this.storage.get(imageKey) : null;
+      if (!contents) {
         return { success: true, message: 'No image to backup' };
       }
 
-      const backupDir = path.join(this.getCategoryImagePath(), '.backups');
-      if (!fs.existsSync(backupDir)) {
-        fs.mkdirSync(backupDir, { recursive: true });
-      }
-
       const timestamp = Date.now();
-      const backupFilename = `backup_${timestamp}_${path.basename(imagePath)}`;
-      const backupPath = path.join(backupDir, backupFilename);
+      const backupKey = `${BACKUPS_PREFIX}/backup_${timestamp}_${path.posix.basename(imageKey)}`;
 
-      fs.copyFileSync(imagePath, backupPath);
-      this.backupFiles.set(imagePath, backupPath);
+      await this.storage.put(backupKey, contents);
+      this.backupFiles.set(imageKey, backupKey);
 
       return {
         success: true,
-        backupPath,
+        backupKey,
         message: 'Backup created successfully'
       };
     } catch (error) {
@@ -240,18 +259,19 @@ class EnhancedImageProcessor {
 
   /**
    * Restore image from backup
-   * @param {string} backupPath - Path to backup file
-   * @param {string} originalPath - Original file path to restore to
+   * @param {string} backupKey - Storage key of the backup
+   * @param {string} originalPath - Image to restore (/uploads/... path or filename)
    * @returns {Promise<Object>} - Restore result
    */
-  async restoreImageBackup(backupPath, originalPath) {
+  async restoreImageBackup(backupKey, originalPath) {
     try {
-      if (!fs.existsSync(backupPath)) {
+      const contents = await this.storage.get(backupKey);
+      if (!contents) {
         return { success: false, error: 'Backup file not found' };
       }
 
-      fs.copyFileSync(backupPath, originalPath);
-      fs.unlinkSync(backupPath); // Clean up backup after restore
+      await this.storage.put(this.toImageKey(originalPath), contents);
+      await this.storage.delete(backupKey); // Clean up backup after restore
 
       return {
         success: true,
@@ -266,12 +286,12 @@ class EnhancedImageProcessor {
   }
 
   /**
-   * Move image file from temporary location to target
-   * @param {string} sourcePath - Source file path
-   * @param {string} targetPath - Target file path
+   * Move image file from the staging directory into the upload storage
+   * @param {string} sourcePath - Local path of the uploaded file
+   * @param {string} targetKey - Storage key to save it under
    * @returns {Promise<Object>} - Move result
    */
-  async moveImageFile(sourcePath, targetPath) {
+  async moveImageFile(sourcePath, targetKey) {
     try {
       if (!fs.existsSync(sourcePath)) {
         return {
@@ -280,9 +300,8 @@ class EnhancedImageProcessor {
         };
       }
 
-      // Use copy + unlink instead of rename for cross-device compatibility
-      fs.copyFileSync(sourcePath, targetPath);
-      fs.unlinkSync(sourcePath);
+      await this.storage.put(targetKey, await fs.promises.readFile(sourcePath));
+      await fs.promises.rm(sourcePath, { force: true });
 
       return {
         success: true,
@@ -298,12 +317,15 @@ class EnhancedImageProcessor {
 
   /**
    * Verify image integrity after processing
-   * @param {string} imagePath - Path to image file
+   * @param {Buffer|string|null} image - Image contents or local file path
    * @returns {Promise<Object>} - Verification result
    */
-  async verifyImageIntegrity(imagePath) {
+  async verifyImageIntegrity(image) {
     try {
-      if (!fs.existsSync(imagePath)) {
+      const contents = typeof image === 'string'
+        ? (fs.existsSync(image) ? fs.readFileSync(image) : null)
+        : image;
+      if (!contents) {
         return {
           success: false,
           error: 'Image file does not exist'
@@ -311,8 +333,7 @@ class EnhancedImageProcessor {
       }
 
       // Check file size
-      const stats = fs.statSync(imagePath);
-      if (stats.size === 0) {
+      if (contents.length === 0) {
         return {
           success: false,
           error: 'Image file is empty'
@@ -320,7 +341,7 @@ class EnhancedImageProcessor {
       }
 
       // Check file header
-      const buffer = fs.readFileSync(imagePath, { start: 0, end: 10 });
+      const buffer = contents.subarray(0, 11);
       if (!this.validateImageHeader(buffer)) {
         return {
           success: false,
@@ -331,7 +352,7 @@ class EnhancedImageProcessor {
       // Try to use sharp for deeper validation if available
       try {
         const { default: sharp } = await import('sharp');
-        const metadata = await sharp(imagePath).metadata();
+        const metadata = await sharp(contents).metadata();
         
         if (!metadata.width || !metadata.height) {
           return {
@@ -341,7 +362,7 @@ class EnhancedImageProcessor {
         }
 
         // Test processing capability
-        await sharp(imagePath).resize(50, 50).jpeg().toBuffer();
+        await sharp(contents).resize(50, 50).jpeg().toBuffer();
 
         return {
           success: true,
@@ -394,15 +415,16 @@ class EnhancedImageProcessor {
 
   /**
    * Optimize image if needed
-   * @param {string} imagePath - Path to image file
+   * @param {string} imageKey - Storage key of the image
    * @returns {Promise<Object>} - Optimization result
    */
-  async optimizeImage(imagePath) {
+  async optimizeImage(imageKey) {
     try {
       const { default: sharp } = await import('sharp');
       
-      const metadata = await sharp(imagePath).metadata();
-      const originalSize = fs.statSync(imagePath).size;
+      const contents = await this.storage.get(imageKey);
+      const metadata = await sharp(contents).metadata();
+      const originalSize = contents.length;
       
       // Check if optimization is needed
       const needsOptimization = 
@@ -419,7 +441,7 @@ class EnhancedImageProcessor {
       }
 
       // Create optimized version
-      const optimizedBuffer = await sharp(imagePath)
+      const optimizedBuffer = await sharp(contents)
         .resize(800, 800, { 
           fit: 'inside', 
           withoutEnlargement: true 
@@ -432,7 +454,7 @@ class EnhancedImageProcessor {
 
       // Only replace if optimization actually reduced size
       if (optimizedBuffer.length < originalSize) {
-        fs.writeFileSync(imagePath, optimizedBuffer);
+        await this.storage.put(imageKey, optimizedBuffer);
         
         return {
           success: true,
@@ -460,7 +482,7 @@ class EnhancedImageProcessor {
 
   /**
    * Delete old image file
-   * @param {string} imagePath - Path to image to delete
+   * @param {string} imagePath - Image to delete (/uploads/... path or filename)
    * @returns {Promise<Object>} - Deletion result
    */
   async deleteOldImage(imagePath) {
@@ -469,15 +491,10 @@ class EnhancedImageProcessor {
         return { success: true, message: 'No old image to delete' };
       }
 
-      // Extract filename if full path provided
-      const filename = imagePath.startsWith('/uploads/') 
-        ? path.basename(imagePath) 
-        : imagePath;
+      const imageKey = this.toImageKey(imagePath);
       
-      const fullPath = path.join(this.getCategoryImagePath(), filename);
-      
-      if (fs.existsSync(fullPath)) {
-        fs.unlinkSync(fullPath);
+      if (imageKey && await this.storage.stat(imageKey)) {
+        await this.storage.delete(imageKey);
         return {
           success: true,
           message: 'Old image deleted successfully'
@@ -498,14 +515,12 @@ class EnhancedImageProcessor {
 
   /**
    * Delete image file
-   * @param {string} imagePath - Path to image file
+   * @param {string} imageKey - Storage key of the image
    * @returns {Promise<Object>} - Deletion result
    */
-  async deleteImageFile(imagePath) {
+  async deleteImageFile(imageKey) {
     try {
-      if (fs.existsSync(imagePath)) {
-        fs.unlinkSync(imagePath);
-      }
+      await this.storage.delete(imageKey);
       return { success: true };
     } catch (error) {
       return { success: false, error: error.message };
@@ -566,22 +581,13 @@ class EnhancedImageProcessor {
    */
   async cleanupOldBackups(maxAge = 24 * 60 * 60 * 1000) {
     try {
-      const backupDir = path.join(this.getCategoryImagePath(), '.backups');
-      
-      if (!fs.existsSync(backupDir)) {
-        return { success: true, cleaned: 0 };
-      }
-
-      const files = fs.readdirSync(backupDir);
+      const backups = await this.storage.list(`${BACKUPS_PREFIX}/`);
       let cleanedCount = 0;
       const now = Date.now();
 
-      for (const file of files) {
-        const filePath = path.join(backupDir, file);
-        const stats = fs.statSync(filePath);
-        
-        if (now - stats.mtime.getTime() > maxAge) {
-          fs.unlinkSync(filePath);
+      for (const backup of backups) {
+        if (now - backup.lastModified.getTime() > maxAge) {
+          await this.storage.delete(backup.key);
           cleanedCount++;
         }
       }
@@ -0,0 +1,101 @@
+/**
+ * Food availability
+ * A food can be ordered when it is switched on (`isAvailable`), has stock
+ * left (`stock`, null means not tracked) and the current time falls inside
+ * one of its schedule windows (`availabilitySchedule`, empty means always).
+ * Schedule windows use the store's local time (see utils/storeClock.js).
+ */
+
+import { TIME_PATTERN, getLocalClock, getStoreTimeZone, toMinutes } from './storeClock.js';
+
+export const UNAVAILABLE_REASON = Object.freeze({
+  DISABLED: 'DISABLED',
+  OUT_OF_STOCK: 'OUT_OF_STOCK',
+  OUT_OF_SCHEDULE: 'OUT_OF_SCHEDULE'
+});
+
+export const UNAVAILABLE_MESSAGES = Object.freeze({
+  [UNAVAILABLE_REASON.DISABLED]: 'Indisponível no momento',
+  [UNAVAILABLE_REASON.OUT_OF_STOCK]: 'Esgotado',
+  [UNAVAILABLE_REASON.OUT_OF_SCHEDULE]: 'Fora do horário de venda'
+});
+
+export const MAX_SCHEDULE_WINDOWS = 14;
+
+/**
+ * Validates schedule windows sent by the admin panel
+ * A window ending before it starts crosses midnight (e.g. 18:00-02:00).
+ * @param {Array} input - [{ days: [0-6], start: "HH:MM", end: "HH:MM" }]
+ * @returns {Array|null} - Normalized windows, or null when invalid
+ */
+export const parseAvailabilitySchedule = (input) => {
+  if (input === undefined || input === null || input === '') return [];
+
+  let windows = input;
+  if (typeof input === 'string') {
+    try {
+      windows = JSON.parse(input);
+    } catch {
+      return null;
+    }
+  }
+  if (!Array.isArray(windows) || windows.length > MAX_SCHEDULE_WINDOWS) return null;
+
+  const normalized = [];
+  for (const window of windows) {
+    const days = Array.isArray(window?.days) ? [...new Set(window.days.map(Number))].sort() : [];
+    const validDays = days.length > 0 && days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6);
+    if (!validDays || !TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end) || window.start === window.end) {
+      return null;
+    }
+    normalized.push({ days, start: window.start, end: window.end });
+  }
+  return normalized;
+};
+
+/**
+ * Whether a moment falls inside one of the schedule windows
+ * @param {Array} schedule - Normalized windows
+ * @param {Object} clock - { day, minutes } from getLocalClock
+ * @returns {boolean} - Whether it is inside a window (always true without windows)
+ */
+export const isWithinSchedule = (schedule = [], { day, minutes }) => {
+  if (schedule.length === 0) return true;
+
+  return schedule.some((window) => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    if (start < end) {
+      return window.days.includes(day) && minutes >= start && minutes < end;
+    }
+    // Crosses midnight: the late part belongs to the day the window starts
+    const previousDay = (day + 6) % 7;
+    return (window.days.includes(day) && minutes >= start) || (window.days.includes(previousDay) && minutes < end);
+  });
+};
+
+/**
+ * Availability of a food right now
+ * @param {Object} food - Food ({ isAvailable, stock, availabilitySchedule })
+ * @param {Object} options - { now, timeZone }
+ * @returns {Object} - { available, reason, message, stock }
+ */
+export const getFoodAvailability = (food, { now = new Date(), timeZone = getStoreTimeZone() } = {}) => {
+  const stock = typeof food?.stock === 'number' ? food.stock : null;
+
+  let reason = null;
+  if (food?.isAvailable === false) {
+    reason = UNAVAILABLE_REASON.DISABLED;
+  } else if (stock !== null && stock <= 0) {
+    reason = UNAVAILABLE_REASON.OUT_OF_STOCK;
+  } else if (!isWithinSchedule(food?.availabilitySchedule || [], getLocalClock(now, timeZone))) {
+    reason = UNAVAILABLE_REASON.OUT_OF_SCHEDULE;
+  }
+
+  return {
+    available: reason === null,
+    reason,
+    message: reason ? UNAVAILABLE_MESSAGES[reason] : null,
+    stock
+  };
+};
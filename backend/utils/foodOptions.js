@@ -0,0 +1,156 @@
+import mongoose from "mongoose";
+
+/**
+ * Food options
+ * Option groups let a food have sizes (choose exactly one), paid add-ons
+ * (choose up to N) and required choices (choose one sauce). Each group has
+ * min/max selection rules and each option an extra price added to the food
+ * price. Customers select options by their ID.
+ */
+
+export const MAX_OPTION_GROUPS = 10;
+export const MAX_OPTIONS_PER_GROUP = 20;
+
+/**
+ * Creates an error for an invalid option group definition
+ * @param {string} message - Error message
+ * @param {Array} details - List of { group, field, message } entries
+ * @returns {Error} - Error flagged as an options error
+ */
+export const createFoodOptionsError = (message, details = []) => {
+  const error = new Error(message);
+  error.code = 'INVALID_OPTION_GROUPS';
+  error.details = details;
+  return error;
+};
+
+/**
+ * Checks whether an error was raised while parsing option groups
+ * @param {Error} error - Error to check
+ * @returns {boolean} - Whether it is an options error
+ */
+export const isFoodOptionsError = (error) => error?.code === 'INVALID_OPTION_GROUPS';
+
+const roundPrice = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Validates option groups sent by the admin panel
+ * Existing `_id`s are kept so customers' carts stay valid after an edit.
+ * @param {Array|string} input - Groups, or a JSON string (multipart forms)
+ * @returns {Array} - Normalized groups
+ * @throws {Error} - Options error listing every problem
+ */
+export const parseOptionGroups = (input) => {
+  if (input === undefined || input === null || input === '') return [];
+
+  let groups = input;
+  if (typeof input === 'string') {
+    try {
+      groups = JSON.parse(input);
+    } catch {
+      throw createFoodOptionsError('Opções do produto inválidas');
+    }
+  }
+  if (!Array.isArray(groups) || groups.length > MAX_OPTION_GROUPS) {
+    throw createFoodOptionsError(`Informe até ${MAX_OPTION_GROUPS} grupos de opções`);
+  }
+
+  const details = [];
+  const normalized = groups.map((group, index) => {
+    const name = typeof group?.name === 'string' ? group.name.trim() : '';
+    const options = Array.isArray(group?.options) ? group.options : [];
+    const min = Number(group?.min ?? 0);
+    const max = Number(group?.max ?? 1);
+    const label = name || `#${index + 1}`;
+
+    if (!name) {
+      details.push({ group: label, field: 'name', message: 'Grupo sem nome' });
+    }
+    if (options.length === 0 || options.length > MAX_OPTIONS_PER_GROUP) {
+      details.push({ group: label, field: 'options', message: `O grupo deve ter entre 1 e ${MAX_OPTIONS_PER_GROUP} opções` });
+    }
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < 1 || min > max || min > options.length) {
+      details.push({ group: label, field: 'min', message: 'Mínimo e máximo de escolhas inválidos' });
+    }
+
+    const normalizedOptions = options.map((option) => {
+      const optionName = typeof option?.name === 'string' ? option.name.trim() : '';
+      const price = Number(option?.price ?? 0);
+      if (!optionName) {
+        details.push({ group: label, field: 'options', message: 'Opção sem nome' });
+      }
+      if (!Number.isFinite(price) || price < 0) {
+        details.push({ group: label, field: 'price', message: `Preço inválido para "${optionName}"` });
+      }
+      return {
+        ...(mongoose.isValidObjectId(option?._id) && { _id: String(option._id) }),
+        name: optionName,
+        price: roundPrice(price)
+      };
+    });
+
+    return {
+      ...(mongoose.isValidObjectId(group?._id) && { _id: String(group._id) }),
+      name,
+      min,
+      max,
+      options: normalizedOptions
+    };
+  });
+
+  if (details.length > 0) {
+    throw createFoodOptionsError('Opções do produto inválidas', details);
+  }
+  return normalized;
+};
+
+/**
+ * Resolves the options selected for a food and checks the group rules
+ * @param {Object} food - Food with `optionGroups`
+ * @param {string[]} optionIds - Selected option IDs
+ * @returns {Object} - { options: [{ optionId, group, name, price }], extra, errors }
+ */
+export const resolveSelectedOptions = (food, optionIds = []) => {
+  const groups = food?.optionGroups || [];
+  const selected = new Set(optionIds.map(String));
+  const options = [];
+  const errors = [];
+
+  for (const group of groups) {
+    const chosen = group.options.filter((option) => selected.has(String(option._id)));
+    chosen.forEach((option) => selected.delete(String(option._id)));
+
+    if (chosen.length < group.min) {
+      errors.push(group.min === 1
+        ? `Escolha uma opção em "${group.name}"`
+        : `Escolha ao menos ${group.min} opções em "${group.name}"`);
+    }
+    if (chosen.length > group.max) {
+      errors.push(`Escolha no máximo ${group.max} opções em "${group.name}"`);
+    }
+
+    options.push(...chosen.map((option) => ({
+      optionId: String(option._id),
+      group: group.name,
+      name: option.name,
+      price: roundPrice(option.price || 0)
+    })));
+  }
+
+  if (selected.size > 0) {
+    errors.push('Opção não existe mais para este item');
+  }
+
+  const extra = roundPrice(options.reduce((total, option) => total + option.price, 0));
+  return { options, extra, errors };
+};
+
+/**
+ * Name of an order line with its options, e.g. "Pastel (Grande, Queijo extra)"
+ * @param {Object} item - Order item ({ name, options })
+ * @returns {string} - Title for receipts and payment providers
+ */
+export const formatItemTitle = (item) => {
+  const names = (item.options || []).map((option) => option.name).filter(Boolean);
+  return names.length > 0 ? `${item.name} (${names.join(', ')})` : item.name;
+};
@@ -0,0 +1,172 @@
+/**
+ * Food search
+ * Each food keeps `searchKeywords`: the words of its name and description,
+ * lowercased and without accents, plus their singular form. A query is
+ * reduced the same way and every query word must prefix one keyword, so
+ * "pastel" finds "Pastéis" and "pas" already suggests it while typing.
+ * Prefix regexes on the indexed array keep the lookup on the index.
+ */
+
+export const MAX_QUERY_LENGTH = 80;
+export const MAX_QUERY_TERMS = 6;
+export const SEARCH_PAGE_SIZE = 20;
+export const MAX_SEARCH_PAGE_SIZE = 50;
+
+export const SEARCH_SORT = Object.freeze({
+  POPULARITY: 'popularity',
+  PRICE_ASC: 'price_asc',
+  PRICE_DESC: 'price_desc',
+  NAME: 'name'
+});
+
+// Ties are broken by name, then by id so pages never overlap
+export const SORT_ORDER = Object.freeze({
+  [SEARCH_SORT.POPULARITY]: { soldCount: -1, name: 1, _id: 1 },
+  [SEARCH_SORT.PRICE_ASC]: { price: 1, name: 1, _id: 1 },
+  [SEARCH_SORT.PRICE_DESC]: { price: -1, name: 1, _id: 1 },
+  [SEARCH_SORT.NAME]: { name: 1, _id: 1 }
+});
+
+// Words too common to narrow a menu search
+const STOPWORDS = new Set(['a', 'o', 'as', 'os', 'de', 'da', 'do', 'das', 'dos', 'e', 'em', 'com', 'sem', 'para', 'um', 'uma', 'no', 'na', 'mais']);
+
+// Plural endings and their singular, checked in order
+const PLURAL_RULES = [
+  ['oes', 'ao'],
+  ['aes', 'ao'],
+  ['aos', 'ao'],
+  ['eis', 'el'],
+  ['ais', 'al'],
+  ['ois', 'ol'],
+  ['ns', 'm'],
+  ['res', 'r'],
+  ['zes', 'z']
+];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Lowercase text without accents or punctuation
+ * @param {string} text - Any text
+ * @returns {string} - e.g. "Pastéis (6 un.)" => "pasteis 6 un"
+ */
+export const normalizeSearchText = (text) =>
+  String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Singular form of a normalized Portuguese word
+ * Only plural endings are handled; the same reduction is applied to foods
+ * and queries, so it only has to be consistent, not grammatical.
+ * @param {string} word - Normalized word
+ * @returns {string} - e.g. "pasteis" => "pastel", "pudins" => "pudim"
+ */
+export const singularize = (word) => {
+  if (word.length <= 3 || !word.endsWith('s') || word.endsWith('ss')) return word;
+  for (const [plural, singular] of PLURAL_RULES) {
+    if (word.endsWith(plural)) {
+      return word.slice(0, -plural.length) + singular;
+    }
+  }
+  return word.slice(0, -1);
+};
+
+const toWords = (text) => normalizeSearchText(text).split(' ').filter((word) => word && !STOPWORDS.has(word));
+
+/**
+ * Keywords stored on a food
+ * Both the words as written and their singular are kept, so a customer still
+ * typing "pastei" matches "pasteis" before the word is complete.
+ * @param {Object} food - { name, description }
+ * @returns {Array<string>} - Unique keywords
+ */
+export const buildSearchKeywords = ({ name, description } = {}) => {
+  const words = [...toWords(name), ...toWords(description)];
+  return [...new Set(words.flatMap((word) => [word, singularize(word)]))];
+};
+
+/**
+ * Query words reduced like the stored keywords
+ * @param {string} query - Text typed by the customer
+ * @returns {Array<string>} - Unique terms (at most MAX_QUERY_TERMS)
+ */
+export const toSearchTerms = (query) =>
+  [...new Set(toWords(String(query ?? '').slice(0, MAX_QUERY_LENGTH)).map(singularize))].slice(0, MAX_QUERY_TERMS);
+
+const parsePrice = (value, field, errors) => {
+  if (isBlank(value)) return null;
+  const price = Number(value);
+  if (!Number.isFinite(price) || price < 0) {
+    errors.push({ field, message: 'Preço deve ser um número maior ou igual a zero' });
+    return null;
+  }
+  return price;
+};
+
+/**
+ * Validates the search filters from the query string
+ * Paging is read separately (see utils/pagination.js).
+ * @param {Object} input - { q?, category?, minPrice?, maxPrice?, available?, sort? }
+ * @returns {Object} - { search: { terms, category, minPrice, maxPrice, available, sort }, errors }
+ */
+export const parseFoodSearch = (input = {}) => {
+  const errors = [];
+
+  const minPrice = parsePrice(input.minPrice, 'minPrice', errors);
+  const maxPrice = parsePrice(input.maxPrice, 'maxPrice', errors);
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    errors.push({ field: 'maxPrice', message: 'Preço máximo deve ser maior ou igual ao mínimo' });
+  }
+
+  let available = null;
+  if (!isBlank(input.available)) {
+    if (!['true', 'false'].includes(String(input.available))) {
+      errors.push({ field: 'available', message: 'Disponibilidade deve ser true ou false' });
+    } else {
+      available = String(input.available) === 'true';
+    }
+  }
+
+  const sort = isBlank(input.sort) ? SEARCH_SORT.POPULARITY : String(input.sort);
+  if (!SORT_ORDER[sort]) {
+    errors.push({ field: 'sort', message: `Ordenação deve ser uma de: ${Object.values(SEARCH_SORT).join(', ')}` });
+  }
+
+  return {
+    search: {
+      terms: toSearchTerms(input.q),
+      category: isBlank(input.category) ? null : String(input.category).trim(),
+      minPrice,
+      maxPrice,
+      available,
+      sort
+    },
+    errors
+  };
+};
+
+/**
+ * MongoDB filter for the keyword and price parts of a search
+ * Category and availability need lookups and the store clock, so the
+ * service adds them.
+ * @param {Object} search - From parseFoodSearch
+ * @returns {Object} - Query filter
+ */
+export const buildKeywordFilter = ({ terms = [], minPrice = null, maxPrice = null }) => {
+  const filter = {};
+  if (terms.length > 0) {
+    // Terms only hold [a-z0-9], so they are safe inside a regex
+    filter.searchKeywords = { $all: terms.map((term) => new RegExp(`^${term}`)) };
+  }
+  if (minPrice !== null || maxPrice !== null) {
+    filter.price = {
+      ...(minPrice !== null && { $gte: minPrice }),
+      ...(maxPrice !== null && { $lte: maxPrice })
+    };
+  }
+  return filter;
+};
@@ -0,0 +1,232 @@
+/**
+ * Geographic delivery zones
+ * Besides its neighborhood names, a zone may cover an area: a GeoJSON polygon
+ * imported by the admin, or a radius around a center (the store by default).
+ * Radius zones are stored as a polygon approximating the circle, so a single
+ * 2dsphere index on `area` answers both point lookups and overlap checks.
+ * Coordinates follow GeoJSON: [longitude, latitude].
+ */
+
+export const EARTH_RADIUS_KM = 6371;
+export const MAX_RADIUS_METERS = 50000;
+export const MAX_AREA_POSITIONS = 5000;
+export const CIRCLE_SEGMENTS = 64;
+
+// Shown when the shared location lies in another zone than the typed neighborhood
+export const LOCATION_ZONE_MISMATCH_MESSAGE = 'A localização informada não fica no bairro do endereço. Confira o endereço ou a localização.';
+
+const AREA_TYPES = ['Polygon', 'MultiPolygon'];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+// Six decimals is about 10 cm, plenty for delivery areas
+const roundCoordinate = (value) => Math.round(value * 1e6) / 1e6;
+
+const isLongitude = (value) => typeof value === 'number' && Number.isFinite(value) && value >= -180 && value <= 180;
+const isLatitude = (value) => typeof value === 'number' && Number.isFinite(value) && value >= -90 && value <= 90;
+
+/**
+ * Validates a { lat, lng } point
+ * @param {Object} input - { lat, lng } as numbers or numeric strings
+ * @returns {Object|null} - { lat, lng }, or null when missing or invalid
+ */
+export const parseGeoPoint = (input) => {
+  if (!input || isBlank(input.lat) || isBlank(input.lng)) return null;
+  const lat = Number(input.lat);
+  const lng = Number(input.lng);
+  if (!isLatitude(lat) || !isLongitude(lng)) return null;
+  return { lat: roundCoordinate(lat), lng: roundCoordinate(lng) };
+};
+
+/**
+ * Store location from STORE_LOCATION ("lat,lng")
+ * @returns {Object|null} - { lat, lng }, or null when not configured
+ */
+export const getStoreLocation = () => {
+  const [lat, lng] = String(process.env.STORE_LOCATION || '').split(',');
+  return parseGeoPoint({ lat: lat?.trim(), lng: lng?.trim() });
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} - Distance in km
+ */
+export const haversineKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Polygon approximating a circle on the globe
+ * @param {Object} center - { lat, lng }
+ * @param {number} meters - Radius
+ * @param {number} segments - Number of sides
+ * @returns {Object} - GeoJSON Polygon
+ */
+export const circleToPolygon = (center, meters, segments = CIRCLE_SEGMENTS) => {
+  const angular = meters / 1000 / EARTH_RADIUS_KM;
+  const lat = toRadians(center.lat);
+  const lng = toRadians(center.lng);
+  const ring = [];
+
+  // Counter-clockwise, as GeoJSON expects for exterior rings
+  for (let i = 0; i < segments; i++) {
+    const bearing = (2 * Math.PI * i) / segments;
+    const pointLat = Math.asin(Math.sin(lat) * Math.cos(angular) + Math.cos(lat) * Math.sin(angular) * Math.cos(bearing));
+    const pointLng = lng + Math.atan2(
+      Math.sin(bearing) * Math.sin(angular) * Math.cos(lat),
+      Math.cos(angular) - Math.sin(lat) * Math.sin(pointLat)
+    );
+    ring.push([roundCoordinate(toDegrees(pointLng)), roundCoordinate(toDegrees(pointLat))]);
+  }
+  ring.push([...ring[0]]);
+  return { type: 'Polygon', coordinates: [ring] };
+};
+
+// Accepts a bare geometry, a Feature or a FeatureCollection with polygon features
+const extractGeometry = (input) => {
+  if (input?.type === 'Feature') return input.geometry;
+  if (input?.type === 'FeatureCollection') {
+    const polygons = (input.features || [])
+      .map((feature) => feature?.geometry)
+      .filter((geometry) => AREA_TYPES.includes(geometry?.type));
+    if (polygons.length === 1) return polygons[0];
+    if (polygons.length > 1) {
+      return {
+        type: 'MultiPolygon',
+        coordinates: polygons.flatMap((geometry) => (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates))
+      };
+    }
+    return null;
+  }
+  return input;
+};
+
+// Closes open rings and checks every position; returns null when invalid
+const normalizeRing = (ring) => {
+  if (!Array.isArray(ring)) return null;
+  const positions = ring.map((position) => (Array.isArray(position) ? position.slice(0, 2).map(Number) : null));
+  if (positions.some((position) => !position || !isLongitude(position[0]) || !isLatitude(position[1]))) return null;
+
+  const rounded = positions.map(([lng, lat]) => [roundCoordinate(lng), roundCoordinate(lat)]);
+  const [first] = rounded;
+  const last = rounded[rounded.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    rounded.push([...first]);
+  }
+  return rounded.length >= 4 ? rounded : null;
+};
+
+const normalizePolygon = (rings) => {
+  if (!Array.isArray(rings) || rings.length === 0) return null;
+  const normalized = rings.map(normalizeRing);
+  return normalized.every(Boolean) ? normalized : null;
+};
+
+/**
+ * Validates an area imported by the admin (GeoJSON upload)
+ * @param {Object|string} input - Polygon/MultiPolygon geometry, Feature or FeatureCollection (object or JSON text)
+ * @returns {Object|null} - GeoJSON Polygon or MultiPolygon, or null when invalid
+ */
+export const parseGeoJsonArea = (input) => {
+  let value = input;
+  if (typeof input === 'string') {
+    try {
+      value = JSON.parse(input);
+    } catch {
+      return null;
+    }
+  }
+
+  const geometry = extractGeometry(value);
+  if (!AREA_TYPES.includes(geometry?.type)) return null;
+
+  let coordinates;
+  if (geometry.type === 'Polygon') {
+    coordinates = normalizePolygon(geometry.coordinates);
+  } else {
+    const polygons = Array.isArray(geometry.coordinates) ? geometry.coordinates.map(normalizePolygon) : [];
+    coordinates = polygons.length > 0 && polygons.every(Boolean) ? polygons : null;
+  }
+  if (!coordinates) return null;
+
+  const polygons = geometry.type === 'Polygon' ? [coordinates] : coordinates;
+  const positions = polygons.flat().reduce((total, ring) => total + ring.length, 0);
+  if (positions > MAX_AREA_POSITIONS) return null;
+
+  return { type: geometry.type, coordinates };
+};
+
+/**
+ * Validates the geographic coverage sent by the admin panel
+ * Like parseZoneDeliveryTerms, only the fields present in the input are
+ * returned. A radius zone also gets its circle as `area`; an imported polygon
+ * clears any radius. Null clears the coverage.
+ * @param {Object} input - { area?, radius?: { meters, center?: { lat, lng } } }
+ * @param {Object|null} storeLocation - Default radius center
+ * @returns {Object} - { coverage: { area?, radius? }, errors }
+ */
+export const parseZoneCoverage = (input = {}, storeLocation = getStoreLocation()) => {
+  const coverage = {};
+  const errors = [];
+
+  if (input.radius !== undefined && !isBlank(input.radius) && !isBlank(input.radius?.meters)) {
+    const meters = Number(input.radius.meters);
+    const center = isBlank(input.radius.center?.lat) && isBlank(input.radius.center?.lng)
+      ? storeLocation
+      : parseGeoPoint(input.radius.center);
+
+    if (!Number.isFinite(meters) || meters <= 0 || meters > MAX_RADIUS_METERS) {
+      errors.push({ field: 'radius', message: `Raio deve ser entre 1 e ${MAX_RADIUS_METERS} metros` });
+    } else if (!center) {
+      errors.push({ field: 'radius', message: 'Informe o centro do raio (latitude e longitude) ou configure a localização da loja' });
+    } else {
+      coverage.radius = { center, meters: Math.round(meters) };
+      coverage.area = circleToPolygon(center, meters);
+    }
+    return { coverage, errors };
+  }
+
+  if (input.area !== undefined) {
+    if (isBlank(input.area)) {
+      coverage.area = null;
+      coverage.radius = null;
+    } else {
+      const area = parseGeoJsonArea(input.area);
+      if (!area) {
+        errors.push({ field: 'area', message: 'Área inválida: envie um GeoJSON com um polígono de coordenadas [longitude, latitude]' });
+      } else {
+        coverage.area = area;
+        coverage.radius = null;
+      }
+    }
+  } else if (input.radius === null || input.radius === '') {
+    coverage.area = null;
+    coverage.radius = null;
+  }
+
+  return { coverage, errors };
+};
+
+/**
+ * Straight-line delivery distance used for distance pricing
+ * Measured from the store, or from the zone's radius center when the store
+ * location is not configured.
+ * @param {Object} zone - Zone with optional `radius.center`
+ * @param {Object} location - Customer { lat, lng }
+ * @param {Object|null} storeLocation - Store { lat, lng }
+ * @returns {number|null} - Distance in km, or null when there is no origin
+ */
+export const getDeliveryDistanceKm = (zone, location, storeLocation = getStoreLocation()) => {
+  const origin = storeLocation || zone?.radius?.center;
+  if (!origin || !location) return null;
+  return Math.round(haversineKm(origin, location) * 100) / 100;
+};
@@ -651,7 +651,8 @@ class ImageInconsistencyDetector {
 
   /**
    * Run comprehensive automatic correction
-   * @param {Object} options - Correction options
+   * @param {Object} options - Correction options; onProgress(percent, message)
+   *   is called as each step finishes
    * @returns {Promise<Object>} - Correction results
    */
   async runComprehensiveCorrection(options = {}) {
@@ -659,7 +660,8 @@ class ImageInconsistencyDetector {
       correctDuplicates = true,
       correctOrphaned = true,
       correctReferences = true,
-      createBackups = true
+      createBackups = true,
+      onProgress = async () => {}
     } = options;
 
     const startTime = Date.now();
@@ -688,6 +690,7 @@ class ImageInconsistencyDetector {
         correctOrphaned ? this.detectOrphanedImages() : { orphanedFiles: [] },
         correctReferences ? this.detectIncorrectReferences() : { incorrectReferences: [] }
       ]);
+      await onProgress(25, 'Problemas detectados');
 
       // Run corrections
       if (correctDuplicates && duplicateResult.duplicates?.length > 0) {
@@ -700,6 +703,7 @@ class ImageInconsistencyDetector {
         results.summary.totalErrors += results.corrections.duplicates.errors || 0;
         results.summary.freedSpace += results.corrections.duplicates.freedSpace || 0;
       }
+      await onProgress(50, 'Duplicatas corrigidas');
 
       if (correctOrphaned && orphanedResult.orphanedFiles?.length > 0) {
         logger.backend.info('Correcting orphaned images...');
@@ -710,6 +714,7 @@ class ImageInconsistencyDetector {
         results.summary.totalCorrected += results.corrections.orphaned.cleaned || 0;
         results.summary.totalErrors += results.corrections.orphaned.errors || 0;
       }
+      await onProgress(75, 'Imagens órfãs removidas');
 
       if (correctReferences && incorrectRefResult.incorrectReferences?.length > 0) {
         logger.backend.info('Correcting incorrect references...');
@@ -719,6 +724,7 @@ class ImageInconsistencyDetector {
         results.summary.totalCorrected += results.corrections.references.corrected || 0;
         results.summary.totalErrors += results.corrections.references.errors || 0;
       }
+      await onProgress(100, 'Referências corrigidas');
 
       results.duration = Date.now() - startTime;
       
@@ -1,19 +1,44 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import sharp from 'sharp';
 import { logger } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// EXIF orientations 5-8 are rotated a quarter turn: width and height swap
+const QUARTER_TURN_ORIENTATIONS = [5, 6, 7, 8];
+
+/**
+ * Width and height of an image as displayed, from its sharp metadata
+ * @param {Object} metadata - { width, height, orientation }
+ * @returns {Object} - { width, height }
+ */
+export const uprightSize = ({ width, height, orientation }) => (
+  QUARTER_TURN_ORIENTATIONS.includes(orientation)
+    ? { width: height, height: width }
+    : { width, height }
+);
+
+const MAX_PROCESSING_SIZE = 10 * 1024 * 1024; // 10MB
+const STRIP_JPEG_QUALITY = 95;
+
 /**
- * Image optimization utilities for category images
+ * Image optimization utilities
+ * Images are decoded, turned upright (EXIF orientation), shrunk to fit the
+ * maximum dimensions and re-encoded in the format of their extension.
+ * Metadata (EXIF, GPS, camera data) is never copied to the output.
  */
 class ImageOptimizer {
-  constructor() {
-    this.maxWidth = parseInt(process.env.CATEGORY_IMAGE_MAX_WIDTH) || 400;
-    this.maxHeight = parseInt(process.env.CATEGORY_IMAGE_MAX_HEIGHT) || 400;
-    this.quality = parseInt(process.env.CATEGORY_IMAGE_QUALITY) || 85;
+  /**
+   * @param {Object} options - { maxWidth, maxHeight, quality }, the
+   *   CATEGORY_IMAGE_* variables by default
+   */
+  constructor(options = {}) {
+    this.maxWidth = options.maxWidth || parseInt(process.env.CATEGORY_IMAGE_MAX_WIDTH) || 400;
+    this.maxHeight = options.maxHeight || parseInt(process.env.CATEGORY_IMAGE_MAX_HEIGHT) || 400;
+    this.quality = options.quality || parseInt(process.env.CATEGORY_IMAGE_QUALITY) || 85;
     this.supportedFormats = ['jpg', 'jpeg', 'png', 'webp'];
   }
 
@@ -36,22 +61,18 @@ class ImageOptimizer {
   }
 
   /**
-   * Get image dimensions (requires sharp or similar library)
-   * For now, returns estimated dimensions based on file size
+   * Get the real image dimensions, as displayed (EXIF orientation applied)
    * @param {string} imagePath - Path to image file
-   * @returns {Object} - Image dimensions
+   * @returns {Promise<Object>} - { width, height, size, format }
    */
-  getImageDimensions(imagePath) {
+  async getImageDimensions(imagePath) {
     try {
-      const size = this.getImageSize(imagePath);
-      // Rough estimation - actual implementation would use sharp
-      const estimatedPixels = size / 3; // Assuming 3 bytes per pixel
-      const estimatedWidth = Math.sqrt(estimatedPixels);
-      
+      const metadata = await sharp(await fs.promises.readFile(imagePath)).metadata();
+
       return {
-        width: Math.round(estimatedWidth),
-        height: Math.round(estimatedWidth),
-        size: size
+        ...uprightSize(metadata),
+        size: this.getImageSize(imagePath),
+        format: metadata.format
       };
     } catch (error) {
       console.error('Error getting image dimensions:', error);
@@ -60,24 +81,23 @@ class ImageOptimizer {
   }
 
   /**
-   * Check if image needs optimization
-   * @param {string} imagePath - Path to image file
+   * Check if an image must be rewritten even when re-encoding does not make
+   * it smaller: it is too large, needs turning upright, carries metadata or
+   * its content does not match its extension
+   * @param {Object} metadata - sharp metadata of the image
+   * @param {string} format - Format from the file extension
    * @returns {boolean} - Whether image needs optimization
    */
-  needsOptimization(imagePath) {
-    try {
-      const dimensions = this.getImageDimensions(imagePath);
-      const maxSizeBytes = 500 * 1024; // 500KB
-      
-      return (
-        dimensions.width > this.maxWidth ||
-        dimensions.height > this.maxHeight ||
-        dimensions.size > maxSizeBytes
-      );
-    } catch (error) {
-      console.error('Error checking if image needs optimization:', error);
-      return false;
-    }
+  needsOptimization(metadata, format) {
+    const { width, height } = uprightSize(metadata);
+
+    return (
+      width > this.maxWidth ||
+      height > this.maxHeight ||
+      (metadata.orientation || 1) !== 1 ||
+      Boolean(metadata.exif || metadata.xmp || metadata.iptc) ||
+      metadata.format !== this.getEncoding(format)
+    );
   }
 
   /**
@@ -89,7 +109,7 @@ class ImageOptimizer {
   generateOptimizedFilename(originalFilename, suffix = '_opt') {
     const ext = path.extname(originalFilename);
     const name = path.basename(originalFilename, ext);
-    return `${name}${suffix}${ext}`;
+    return path.join(path.dirname(originalFilename), `${name}${suffix}${ext}`);
   }
 
   /**
@@ -104,10 +124,11 @@ class ImageOptimizer {
 
   /**
    * Validate image file for optimization
+   * The image header is decoded, so files that are not really images fail.
    * @param {string} imagePath - Path to image file
-   * @returns {Object} - Validation result
+   * @returns {Promise<Object>} - Validation result
    */
-  validateImageForOptimization(imagePath) {
+  async validateImageForOptimization(imagePath) {
     try {
       if (!fs.existsSync(imagePath)) {
         return {
@@ -125,20 +146,21 @@ class ImageOptimizer {
       }
 
       const size = this.getImageSize(imagePath);
-      const maxSize = 10 * 1024 * 1024; // 10MB max for processing
-      
-      if (size > maxSize) {
+      if (size > MAX_PROCESSING_SIZE) {
         return {
           isValid: false,
           error: 'Image file too large for optimization'
         };
       }
 
+      const metadata = await sharp(await fs.promises.readFile(imagePath)).metadata();
+
       return {
         isValid: true,
         format,
         size,
-        needsOptimization: this.needsOptimization(imagePath)
+        metadata,
+        needsOptimization: this.needsOptimization(metadata, format)
       };
     } catch (error) {
       return {
@@ -149,28 +171,97 @@ class ImageOptimizer {
   }
 
   /**
-   * Create WebP version of image (placeholder - requires sharp)
+   * sharp encoder name for a format
+   * @param {string} format - Format from getImageFormat
+   * @returns {string} - 'jpeg', 'png' or 'webp'
+   */
+  getEncoding(format) {
+    return format === 'jpg' ? 'jpeg' : format;
+  }
+
+  /**
+   * Decode, turn upright, shrink and re-encode an image
+   * PNGs are quantized to a palette at the configured quality, which is how
+   * PNG photos get meaningfully smaller.
+   * @param {Buffer} input - Image file contents
+   * @param {string} encoding - 'jpeg', 'png' or 'webp'
+   * @returns {Promise<Object>} - { data, info } where info has the output
+   *   width, height and size
+   */
+  async transcode(input, encoding) {
+    const image = sharp(input)
+      .rotate()
+      .resize({
+        width: this.maxWidth,
+        height: this.maxHeight,
+        fit: 'inside',
+        withoutEnlargement: true
+      });
+
+    if (encoding === 'png') {
+      image.png({ palette: true, quality: this.quality, compressionLevel: 9 });
+    } else if (encoding === 'webp') {
+      image.webp({ quality: this.quality });
+    } else {
+      image.jpeg({ quality: this.quality, mozjpeg: true });
+    }
+
+    return image.toBuffer({ resolveWithObject: true });
+  }
+
+  /**
+   * Turn an image upright and drop its metadata (EXIF, GPS, camera data)
+   * without resizing it. Much cheaper than optimizeImage, so it can run while
+   * the upload request waits; images already upright and without metadata
+   * are not rewritten.
+   * @param {string} imagePath - Image to rewrite in place
+   * @returns {Promise<Object>} - { success, stripped, size } or { success: false, error }
+   */
+  async stripMetadata(imagePath) {
+    try {
+      const input = await fs.promises.readFile(imagePath);
+      const metadata = await sharp(input).metadata();
+      const hasMetadata = Boolean(metadata.exif || metadata.xmp || metadata.iptc);
+      if (!hasMetadata && (metadata.orientation || 1) === 1) {
+        return { success: true, stripped: false, size: input.length };
+      }
+
+      // Same format; JPEGs near-lossless so the later compression starts from a faithful copy
+      const image = sharp(input).rotate();
+      if (metadata.format === 'jpeg') {
+        image.jpeg({ quality: STRIP_JPEG_QUALITY });
+      }
+      const output = await image.toBuffer();
+      await fs.promises.writeFile(imagePath, output);
+
+      return { success: true, stripped: true, size: output.length };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Create WebP version of image
    * @param {string} inputPath - Input image path
    * @param {string} outputPath - Output WebP path
    * @returns {Promise<Object>} - Conversion result
    */
   async createWebPVersion(inputPath, outputPath) {
     try {
-      // This is a placeholder implementation
-      // In a real implementation, you would use sharp:
-      // await sharp(inputPath)
-      //   .webp({ quality: this.quality })
-      //   .toFile(outputPath);
-      
-      // For now, just copy the file
-      fs.copyFileSync(inputPath, outputPath);
-      
+      const { data, info } = await this.transcode(await fs.promises.readFile(inputPath), 'webp');
+      await fs.promises.writeFile(outputPath, data);
+
       return {
         success: true,
-        message: 'WebP version created (placeholder)',
+        message: 'WebP version created',
         outputPath,
+        width: info.width,
+        height: info.height,
         originalSize: this.getImageSize(inputPath),
-        optimizedSize: this.getImageSize(outputPath)
+        optimizedSize: data.length
       };
     } catch (error) {
       console.error('Error creating WebP version:', error);
@@ -182,14 +273,19 @@ class ImageOptimizer {
   }
 
   /**
-   * Basic image compression using Canvas API simulation
+   * Optimize an image
+   * The output keeps the format of the input extension. An image that needs
+   * no rewriting (see needsOptimization) is left alone when re-encoding would
+   * not make it smaller. Images that cannot be decoded are never touched.
    * @param {string} inputPath - Input image path
-   * @param {string} outputPath - Output optimized image path
+   * @param {string} outputPath - Output optimized image path; may be the
+   *   input path to optimize in place
    * @returns {Promise<Object>} - Optimization result
    */
   async optimizeImage(inputPath, outputPath = null) {
+    const startTime = Date.now();
     try {
-      const validation = this.validateImageForOptimization(inputPath);
+      const validation = await this.validateImageForOptimization(inputPath);
       if (!validation.isValid) {
         return {
           success: false,
@@ -197,57 +293,41 @@ class ImageOptimizer {
         };
       }
 
-      if (!validation.needsOptimization) {
+      const finalOutputPath = outputPath || this.generateOptimizedFilename(inputPath);
+      const originalSize = validation.size;
+      const input = await fs.promises.readFile(inputPath);
+      const { data, info } = await this.transcode(input, this.getEncoding(validation.format));
+
+      if (!validation.needsOptimization && data.length >= originalSize) {
         return {
           success: true,
           message: 'Image already optimized',
           skipped: true,
-          originalSize: validation.size
+          originalSize,
+          optimizedSize: originalSize
         };
       }
 
-      const finalOutputPath = outputPath || this.generateOptimizedFilename(inputPath);
-      const originalSize = this.getImageSize(inputPath);
-      
-      // Basic optimization: copy file and apply basic compression
-      // In production, you would use sharp or similar library
-      try {
-        // For now, implement basic file size reduction by copying with reduced quality
-        await this.basicImageCompression(inputPath, finalOutputPath);
-        
-        const optimizedSize = this.getImageSize(finalOutputPath);
-        const compressionRatio = originalSize > 0 
-          ? ((originalSize - optimizedSize) / originalSize * 100).toFixed(2)
-          : '0';
+      await fs.promises.writeFile(finalOutputPath, data);
 
-        logger.image.upload.success(path.basename(inputPath), outputPath, 0);
+      const compressionRatio = originalSize > 0
+        ? ((originalSize - data.length) / originalSize * 100).toFixed(2)
+        : '0';
 
-        return {
-          success: true,
-          message: 'Image optimized successfully',
-          inputPath,
-          outputPath: finalOutputPath,
-          originalSize,
-          optimizedSize,
-          compressionRatio: `${compressionRatio}%`,
-          format: validation.format
-        };
-      } catch (compressionError) {
-        // Fallback: just copy the file
-        fs.copyFileSync(inputPath, finalOutputPath);
-        
-        return {
-          success: true,
-          message: 'Image copied (compression failed, using original)',
-          inputPath,
-          outputPath: finalOutputPath,
-          originalSize,
-          optimizedSize: originalSize,
-          compressionRatio: '0%',
-          format: validation.format,
-          warning: compressionError.message
-        };
-      }
+      logger.image.upload.success(path.basename(inputPath), finalOutputPath, Date.now() - startTime);
+
+      return {
+        success: true,
+        message: 'Image optimized successfully',
+        inputPath,
+        outputPath: finalOutputPath,
+        originalSize,
+        optimizedSize: data.length,
+        compressionRatio: `${compressionRatio}%`,
+        format: validation.format,
+        width: info.width,
+        height: info.height
+      };
     } catch (error) {
       logger.system.error('Error optimizing image:', error);
       return {
@@ -257,60 +337,6 @@ class ImageOptimizer {
     }
   }
 
-  /**
-   * Basic image compression implementation
-   * @param {string} inputPath - Input image path
-   * @param {string} outputPath - Output path
-   * @returns {Promise<void>}
-   */
-  async basicImageCompression(inputPath, outputPath) {
-    return new Promise((resolve, reject) => {
-      try {
-        // Read the original file
-        const inputBuffer = fs.readFileSync(inputPath);
-        
-        // Basic compression: reduce file size by removing metadata and applying basic optimization
-        // This is a simplified approach - in production use sharp or similar
-        const ext = path.extname(inputPath).toLowerCase();
-        
-        if (['.jpg', '.jpeg'].includes(ext)) {
-          // For JPEG files, we can implement basic quality reduction
-          // This is a placeholder - real implementation would use image processing library
-          const compressedBuffer = this.simulateJpegCompression(inputBuffer);
-          fs.writeFileSync(outputPath, compressedBuffer);
-        } else {
-          // For other formats, just copy with potential size optimization
-          fs.copyFileSync(inputPath, outputPath);
-        }
-        
-        resolve();
-      } catch (error) {
-        reject(error);
-      }
-    });
-  }
-
-  /**
-   * Simulate JPEG compression by reducing file size
-   * @param {Buffer} buffer - Original image buffer
-   * @returns {Buffer} - Compressed buffer
-   */
-  simulateJpegCompression(buffer) {
-    // This is a very basic simulation of compression
-    // In a real implementation, you would use sharp, jimp, or similar library
-    
-    // Remove some bytes to simulate compression (this is not real image processing)
-    const compressionFactor = this.quality / 100;
-    const targetSize = Math.floor(buffer.length * compressionFactor);
-    
-    if (targetSize < buffer.length) {
-      // Create a smaller buffer (this is just for demonstration)
-      return buffer.slice(0, Math.max(targetSize, buffer.length * 0.7));
-    }
-    
-    return buffer;
-  }
-
   /**
    * Clean up old optimized images
    * @param {string} directory - Directory to clean
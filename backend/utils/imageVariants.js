@@ -0,0 +1,125 @@
+/**
+ * Responsive image variants
+ * Every food and category upload is also stored at a few widths, as WebP and
+ * in the format of the upload, under uploads/variants/<id>/<width>.<ext>
+ * (see services/imageVariantService.js). Pages list the widths in `srcset`
+ * pointing at /images/<id>?w=<width>, which answers with the smallest
+ * variant at least that wide, as WebP when the browser accepts it.
+ */
+
+export const VARIANT_WIDTHS = [160, 320, 640, 1280];
+
+// Variant set ids are the SHA-256 of the image (see services/imageStore.js)
+// or random hex for images stored before it, never paths
+export const VARIANT_ID_PATTERN = /^([0-9a-f]{24}|[0-9a-f]{64})$/;
+
+export const MAX_REQUESTED_WIDTH = 4096;
+
+export const IMAGE_FORMATS = {
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg' },
+  png: { extension: 'png', mimeType: 'image/png' },
+  webp: { extension: 'webp', mimeType: 'image/webp' }
+};
+
+// Let the server pick the format from the Accept header
+export const AUTO_FORMAT = 'auto';
+
+const FORMAT_ALIASES = { jpg: 'jpeg' };
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Widths to store for an image
+ * Only widths smaller than the image are made, plus the image itself (up to
+ * the largest variant width), so images are never enlarged.
+ * @param {number} width - Width of the uploaded image
+ * @param {number[]} widths - Candidate widths, ascending
+ * @returns {number[]} - Widths ascending
+ */
+export const planVariantWidths = (width, widths = VARIANT_WIDTHS) => {
+  if (!width) return [];
+  const largest = Math.min(width, widths[widths.length - 1]);
+  return [...widths.filter((candidate) => candidate < largest), largest];
+};
+
+/**
+ * Path of a variant file inside a variant set folder
+ * @param {number} width - Variant width
+ * @param {string} format - 'jpeg', 'png' or 'webp'
+ * @returns {string} - e.g. '320.webp'
+ */
+export const variantFilename = (width, format) => `${width}.${IMAGE_FORMATS[format].extension}`;
+
+/**
+ * Reads a variant filename back
+ * @param {string} filename - e.g. '320.jpg'
+ * @returns {Object|null} - { width, format } or null for other files
+ */
+export const parseVariantFilename = (filename) => {
+  const match = /^(\d+)\.([a-z]+)$/.exec(filename);
+  if (!match) return null;
+  const format = Object.keys(IMAGE_FORMATS).find((name) => IMAGE_FORMATS[name].extension === match[2]);
+  return format ? { width: Number(match[1]), format } : null;
+};
+
+/**
+ * Validates the /images query string
+ * @param {Object} input - { w?, fmt? }
+ * @returns {Object} - { request: { width, format }, errors } where width is
+ *   null for the largest variant and format is AUTO_FORMAT unless asked for
+ */
+export const parseImageRequest = (input = {}) => {
+  const request = { width: null, format: AUTO_FORMAT };
+  const errors = [];
+
+  if (!isBlank(input.w)) {
+    const width = Number(input.w);
+    if (!Number.isInteger(width) || width < 1 || width > MAX_REQUESTED_WIDTH) {
+      errors.push({ field: 'w', message: `Largura deve ser um número inteiro entre 1 e ${MAX_REQUESTED_WIDTH}` });
+    } else {
+      request.width = width;
+    }
+  }
+
+  if (!isBlank(input.fmt)) {
+    const format = FORMAT_ALIASES[input.fmt] || input.fmt;
+    if (format !== AUTO_FORMAT && !IMAGE_FORMATS[format]) {
+      errors.push({ field: 'fmt', message: `Formato deve ser um de: ${AUTO_FORMAT}, ${Object.keys(IMAGE_FORMATS).join(', ')}` });
+    } else {
+      request.format = format;
+    }
+  }
+
+  return { request, errors };
+};
+
+/**
+ * Format to answer with
+ * @param {string[]} formats - Formats stored for the image
+ * @param {string} accept - Accept request header
+ * @param {string} requested - Format asked for, or AUTO_FORMAT
+ * @returns {string|null} - null when the requested format is not stored
+ */
+export const negotiateFormat = (formats, accept = '', requested = AUTO_FORMAT) => {
+  if (requested !== AUTO_FORMAT) {
+    return formats.includes(requested) ? requested : null;
+  }
+  if (formats.includes('webp') && /image\/webp/i.test(accept || '')) {
+    return 'webp';
+  }
+  return formats.find((format) => format !== 'webp') || formats[0] || null;
+};
+
+/**
+ * Smallest stored width at least as wide as requested
+ * @param {number[]} widths - Stored widths
+ * @param {number|null} requested - Width asked for; null for the largest
+ * @returns {number|null} - The largest width when none is wide enough
+ */
+export const pickVariantWidth = (widths, requested = null) => {
+  if (widths.length === 0) return null;
+  const ascending = [...widths].sort((a, b) => a - b);
+  const largest = ascending[ascending.length - 1];
+  if (!requested) return largest;
+  return ascending.find((width) => width >= requested) || largest;
+};
@@ -508,9 +508,10 @@ export const imageServingMiddleware = (req, res, next) => {
 
 // Agendar relatório de métricas a cada 5 minutos
 if (process.env.NODE_ENV !== 'test') {
+  // unref: scripts que importam o logger podem terminar sem esperar o relatório
   setInterval(() => {
     imageLogger.performanceCollector.report();
-  }, 5 * 60 * 1000); // 5 minutos
+  }, 5 * 60 * 1000).unref(); // 5 minutos
 }
 
 export default logger;
\ No newline at end of file
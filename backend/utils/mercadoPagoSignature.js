@@ -0,0 +1,70 @@
+import crypto from "crypto";
+
+/**
+ * MercadoPago webhook signature utilities
+ * MercadoPago signs notifications with HMAC-SHA256 over a manifest built from
+ * the notified resource id, the x-request-id header and the timestamp sent in
+ * the x-signature header ("ts=<timestamp>,v1=<hash>").
+ */
+
+/**
+ * Parses the x-signature header
+ * @param {string} header - Raw header value
+ * @returns {Object|null} - { ts, v1 } or null when malformed
+ */
+export const parseSignatureHeader = (header) => {
+  if (!header || typeof header !== "string") return null;
+
+  const parts = {};
+  for (const part of header.split(",")) {
+    const [key, ...rest] = part.split("=");
+    if (key && rest.length > 0) {
+      parts[key.trim()] = rest.join("=").trim();
+    }
+  }
+
+  return parts.ts && parts.v1 ? { ts: parts.ts, v1: parts.v1 } : null;
+};
+
+/**
+ * Builds the signed manifest ("id:<id>;request-id:<id>;ts:<ts>;")
+ * Parts without a value are left out, as MercadoPago does.
+ * @param {Object} params - { dataId, requestId, ts }
+ * @returns {string} - Manifest string
+ */
+export const buildSignatureManifest = ({ dataId, requestId, ts }) => {
+  let manifest = "";
+  if (dataId) {
+    // Alphanumeric ids are signed in lowercase
+    manifest += `id:${String(dataId).toLowerCase()};`;
+  }
+  if (requestId) manifest += `request-id:${requestId};`;
+  if (ts) manifest += `ts:${ts};`;
+  return manifest;
+};
+
+/**
+ * Computes the v1 signature for a notification
+ * @param {Object} params - { dataId, requestId, ts, secret }
+ * @returns {string} - Hex HMAC-SHA256
+ */
+export const signWebhook = ({ dataId, requestId, ts, secret }) =>
+  crypto.createHmac("sha256", secret).update(buildSignatureManifest({ dataId, requestId, ts })).digest("hex");
+
+/**
+ * Verifies the x-signature header of a notification
+ * @param {Object} params - { signature, requestId, dataId, secret }
+ * @returns {boolean} - Whether the signature is valid
+ */
+export const verifyWebhookSignature = ({ signature, requestId, dataId, secret }) => {
+  if (!secret) return false;
+
+  const parsed = parseSignatureHeader(signature);
+  if (!parsed) return false;
+
+  const expected = signWebhook({ dataId, requestId, ts: parsed.ts, secret });
+  const received = parsed.v1.toLowerCase();
+
+  if (received.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(received, "utf8"), Buffer.from(expected, "utf8"));
+};
@@ -0,0 +1,147 @@
+/**
+ * Admin order list filters
+ * The admin panel filters orders by status, creation date (local dates in
+ * the store's time zone), zone, driver, payment and customer name or phone.
+ * The customer filter is applied after the customer names are looked up
+ * (see services/orderListService.js); everything else maps straight to a
+ * MongoDB filter.
+ */
+
+import mongoose from 'mongoose';
+import { ORDER_STATUS_VALUES } from './orderStatus.js';
+import { DATE_PATTERN, getStoreTimeZone, zonedTimeToUtc } from './storeClock.js';
+
+export const ORDER_PAGE_SIZE = 20;
+export const MAX_ORDER_PAGE_SIZE = 100;
+export const MAX_CUSTOMER_QUERY_LENGTH = 60;
+
+// Orders without a driver
+export const NO_DRIVER = 'none';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Validates the filters from the query string
+ * Paging is read separately (see utils/pagination.js).
+ * @param {Object} input - { status?, from?, to?, zone?, driver?, paid?, customer? }
+ * @returns {Object} - { filters: { status, from, to, zone, driver, paid, customer }, errors }
+ */
+export const parseOrderFilters = (input = {}) => {
+  const filters = { status: null, from: null, to: null, zone: null, driver: null, paid: null, customer: null };
+  const errors = [];
+
+  if (!isBlank(input.status)) {
+    if (!ORDER_STATUS_VALUES.includes(input.status)) {
+      errors.push({ field: 'status', message: `Status deve ser um de: ${ORDER_STATUS_VALUES.join(', ')}` });
+    } else {
+      filters.status = input.status;
+    }
+  }
+
+  for (const field of ['from', 'to']) {
+    if (isBlank(input[field])) continue;
+    if (!DATE_PATTERN.test(input[field])) {
+      errors.push({ field, message: 'Data deve estar no formato AAAA-MM-DD' });
+    } else {
+      filters[field] = input[field];
+    }
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    errors.push({ field: 'to', message: 'Data final deve ser igual ou posterior à inicial' });
+  }
+
+  if (!isBlank(input.zone)) {
+    filters.zone = String(input.zone).trim();
+  }
+
+  if (!isBlank(input.driver)) {
+    if (input.driver !== NO_DRIVER && !mongoose.isValidObjectId(input.driver)) {
+      errors.push({ field: 'driver', message: 'Entregador inválido' });
+    } else {
+      filters.driver = input.driver;
+    }
+  }
+
+  if (!isBlank(input.paid)) {
+    if (!['true', 'false'].includes(String(input.paid))) {
+      errors.push({ field: 'paid', message: 'Pagamento deve ser true ou false' });
+    } else {
+      filters.paid = String(input.paid) === 'true';
+    }
+  }
+
+  if (!isBlank(input.customer)) {
+    filters.customer = String(input.customer).trim().slice(0, MAX_CUSTOMER_QUERY_LENGTH);
+  }
+
+  return { filters, errors };
+};
+
+/**
+ * Reads the list cursor: where the orders already loaded by the admin panel
+ * end, so the next page starts right after them however many were loaded
+ * @param {string} value - `<createdAt ISO date>_<order id>` (see formatOrderCursor)
+ * @returns {Object|null} - { createdAt, id }, or null when blank or invalid
+ */
+export const parseOrderCursor = (value) => {
+  if (isBlank(value)) return null;
+  const [date, id] = String(value).split('_');
+  const createdAt = new Date(date);
+  if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) return null;
+  return { createdAt, id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * Cursor pointing right after an order
+ * @param {Object} order - Order ({ _id, createdAt })
+ * @returns {string} - Cursor for parseOrderCursor
+ */
+export const formatOrderCursor = (order) => `${new Date(order.createdAt).toISOString()}_${order._id}`;
+
+/**
+ * MongoDB filter for everything but the status and the customer
+ * The status is left out so the list can count orders per status tab.
+ * @param {Object} filters - From parseOrderFilters
+ * @param {string} timeZone - Time zone of the dates
+ * @returns {Object} - Query filter
+ */
+export const buildOrderMatch = (filters, timeZone = getStoreTimeZone()) => {
+  const match = {};
+  if (filters.from || filters.to) {
+    match.createdAt = {
+      ...(filters.from && { $gte: zonedTimeToUtc(filters.from, 0, timeZone) }),
+      // "to" includes the whole day
+      ...(filters.to && { $lt: zonedTimeToUtc(filters.to, MINUTES_PER_DAY, timeZone) })
+    };
+  }
+  if (filters.zone) {
+    match['address.zone'] = filters.zone;
+  }
+  if (filters.driver) {
+    match.driver = filters.driver === NO_DRIVER ? null : new mongoose.Types.ObjectId(filters.driver);
+  }
+  if (filters.paid !== null) {
+    match.payment = filters.paid;
+  }
+  return match;
+};
+
+/**
+ * MongoDB filter matching the customer name or phone
+ * Phones are stored with or without formatting, so typed digits may be
+ * separated by anything.
+ * @param {string} customer - Text typed by the admin
+ * @returns {Object} - Query filter on `address.customerName` and `phone`
+ */
+export const buildCustomerMatch = (customer) => {
+  const conditions = [{ 'address.customerName': new RegExp(escapeRegExp(customer), 'i') }];
+  const digits = customer.replace(/\D/g, '');
+  if (digits.length >= 3) {
+    conditions.push({ phone: new RegExp(digits.split('').join('\\D*')) });
+  }
+  return { $or: conditions };
+};
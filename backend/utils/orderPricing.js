@@ -0,0 +1,311 @@
+import mongoose from "mongoose";
+import foodModel from "../models/foodModel.js";
+import { resolveSelectedOptions } from "./foodOptions.js";
+import { UNAVAILABLE_REASON, getFoodAvailability } from "./foodAvailability.js";
+import { calculateZoneDeliveryFee, getZoneDeliveryTerms } from "./zoneDelivery.js";
+import { calculateCouponDiscount } from "./promotions.js";
+
+/**
+ * Order pricing utilities
+ * Rebuilds order items and totals from the catalog so the amounts charged
+ * never depend on prices sent by the client.
+ */
+
+/**
+ * Default delivery fee (R$) applied to every order
+ */
+export const DEFAULT_DELIVERY_FEE = 2;
+
+/**
+ * Maximum quantity accepted for a single order line
+ */
+export const MAX_ITEM_QUANTITY = 99;
+
+/**
+ * Maximum length of a line note (e.g. "sem cebola")
+ */
+export const MAX_NOTE_LENGTH = 140;
+
+/**
+ * Maximum number of options selected on a single line
+ */
+export const MAX_ITEM_OPTIONS = 20;
+
+/**
+ * Tolerance used when comparing monetary values sent by the client
+ */
+const PRICE_TOLERANCE = 0.005;
+
+/**
+ * Rounds a monetary value to cents
+ * @param {number} value - Value to round
+ * @returns {number} - Value rounded to two decimal places
+ */
+export const roundCurrency = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Gets the delivery fee configured for the store
+ * @returns {number} - Delivery fee in R$
+ */
+export const getDeliveryFee = () => {
+  const configured = parseFloat(process.env.DELIVERY_FEE);
+  return Number.isFinite(configured) && configured >= 0 ? roundCurrency(configured) : DEFAULT_DELIVERY_FEE;
+};
+
+/**
+ * Creates a pricing error carrying per-item details
+ * @param {string} message - Error message shown to the customer
+ * @param {Array} details - List of { itemId, field, message } entries
+ * @returns {Error} - Error flagged as a pricing error
+ */
+export const createPricingError = (message, details = []) => {
+  const error = new Error(message);
+  error.code = 'ORDER_PRICING_ERROR';
+  error.details = details;
+  return error;
+};
+
+/**
+ * Checks whether an error was raised while pricing an order
+ * @param {Error} error - Error to check
+ * @returns {boolean} - Whether it is a pricing error
+ */
+export const isPricingError = (error) => error?.code === 'ORDER_PRICING_ERROR';
+
+// Non-numeric values always count as a mismatch
+const pricesDiffer = (a, b) => !(Math.abs(roundCurrency(a) - roundCurrency(b)) <= PRICE_TOLERANCE);
+
+/**
+ * Extracts the food ID from a client order line
+ * Accepts `_id`, `itemId` or `foodId` to stay compatible with older clients
+ * @param {Object} item - Order line sent by the client
+ * @returns {string|null} - Food ID
+ */
+const getItemId = (item) => {
+  const id = item?._id ?? item?.itemId ?? item?.foodId;
+  return id ? String(id) : null;
+};
+
+/**
+ * Normalizes the note of an order or cart line
+ * @param {*} note - Note sent by the client
+ * @returns {string|null} - Trimmed note (empty when there is none) or null when invalid
+ */
+export const normalizeItemNote = (note) => {
+  if (note === undefined || note === null) return '';
+  if (typeof note !== 'string') return null;
+  const trimmed = note.trim().replace(/\s+/g, ' ');
+  return trimmed.length <= MAX_NOTE_LENGTH ? trimmed : null;
+};
+
+/**
+ * Normalizes the options selected on an order or cart line
+ * @param {*} options - Option identifiers sent by the client
+ * @returns {string[]|null} - Sorted, unique identifiers or null when invalid
+ */
+export const normalizeItemOptions = (options) => {
+  if (options === undefined || options === null) return [];
+  if (!Array.isArray(options) || options.length > MAX_ITEM_OPTIONS) return null;
+  if (options.some((option) => typeof option !== 'string' || !option.trim() || option.length > 100)) return null;
+  return [...new Set(options.map((option) => option.trim()))].sort();
+};
+
+/**
+ * Identifies lines that can be merged: same food, options and note
+ * @param {string} itemId - Food ID
+ * @param {string[]} options - Normalized options
+ * @param {string} note - Normalized note
+ * @returns {string} - Line key
+ */
+export const getLineKey = (itemId, options = [], note = '') => `${itemId}|${options.join(',')}|${note}`;
+
+/**
+ * Rebuilds order lines from food IDs and quantities using catalog prices
+ * Lines for the same food are merged unless their options or notes differ;
+ * selected options are checked against the food's option groups and priced.
+ * Foods that cannot be ordered right now (see utils/foodAvailability.js) are
+ * reported per item.
+ * @param {Array} requestedItems - Items sent by the client ({ _id, quantity, options?, note?, price?, name? })
+ * @returns {Promise<Object>} - { items, subtotal, categories } where categories maps food ID => category
+ * @throws {Error} - Pricing error when any line is invalid or does not match the catalog
+ */
+export const priceOrderItems = async (requestedItems) => {
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    throw createPricingError('Seu carrinho está vazio');
+  }
+
+  const details = [];
+  const lines = new Map();
+
+  requestedItems.forEach((item, index) => {
+    const itemId = getItemId(item);
+    const quantity = Number(item?.quantity);
+    const options = normalizeItemOptions(item?.options);
+    const note = normalizeItemNote(item?.note);
+
+    if (!itemId || !mongoose.Types.ObjectId.isValid(itemId)) {
+      details.push({ itemId, index, field: '_id', message: 'Item inválido' });
+      return;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_ITEM_QUANTITY) {
+      details.push({ itemId, index, field: 'quantity', message: `Quantidade deve ser entre 1 e ${MAX_ITEM_QUANTITY}` });
+      return;
+    }
+    if (options === null) {
+      details.push({ itemId, index, field: 'options', message: 'Opções inválidas' });
+      return;
+    }
+    if (note === null) {
+      details.push({ itemId, index, field: 'note', message: `Observação deve ter até ${MAX_NOTE_LENGTH} caracteres` });
+      return;
+    }
+
+    const key = getLineKey(itemId, options, note);
+    const line = lines.get(key) || { itemId, options, note, quantity: 0 };
+    line.quantity += quantity;
+    lines.set(key, line);
+  });
+
+  if (details.length > 0) {
+    throw createPricingError('Itens do pedido inválidos', details);
+  }
+
+  const itemIds = [...new Set([...lines.values()].map((line) => line.itemId))];
+  const foods = await foodModel.find({ _id: { $in: itemIds } }).lean();
+  const foodsById = new Map(foods.map((food) => [food._id.toString(), food]));
+
+  // Switched off, sold out or outside their schedule; stock covers every line of the food
+  const quantities = new Map();
+  lines.forEach(({ itemId, quantity }) => quantities.set(itemId, (quantities.get(itemId) || 0) + quantity));
+  quantities.forEach((quantity, itemId) => {
+    const food = foodsById.get(itemId);
+    if (!food) return;
+
+    const { available, reason, message, stock } = getFoodAvailability(food);
+    if (!available) {
+      details.push({ itemId, field: 'availability', reason, message: `${food.name}: ${message}` });
+    } else if (stock !== null && quantity > stock) {
+      details.push({
+        itemId,
+        field: 'availability',
+        reason: UNAVAILABLE_REASON.OUT_OF_STOCK,
+        message: `${food.name}: apenas ${stock} disponíveis`,
+        available: stock
+      });
+    }
+  });
+
+  if (details.length > 0) {
+    throw createPricingError('Alguns itens do pedido estão indisponíveis', details);
+  }
+
+  for (const item of requestedItems) {
+    const itemId = getItemId(item);
+    const food = foodsById.get(itemId);
+
+    if (!food) {
+      details.push({ itemId, field: '_id', message: 'Item não está mais disponível no cardápio' });
+      continue;
+    }
+
+    const { extra, errors } = resolveSelectedOptions(food, normalizeItemOptions(item.options));
+    if (errors.length > 0) {
+      details.push({ itemId, field: 'options', message: `${food.name}: ${errors.join('; ')}` });
+      continue;
+    }
+
+    const unitPrice = roundCurrency(food.price + extra);
+    if (item.price !== undefined && pricesDiffer(item.price, unitPrice)) {
+      details.push({
+        itemId,
+        field: 'price',
+        message: `O preço de "${food.name}" foi atualizado para R$ ${unitPrice.toFixed(2)}`,
+        expected: unitPrice,
+        received: item.price
+      });
+    }
+    if (item.name !== undefined && item.name !== food.name) {
+      details.push({ itemId, field: 'name', message: `Item "${item.name}" não corresponde ao cardápio`, expected: food.name });
+    }
+  }
+
+  if (details.length > 0) {
+    throw createPricingError('Os itens do pedido não conferem com o cardápio atual', details);
+  }
+
+  // Options are stored with their names and prices as charged
+  const items = [...lines.values()].map(({ itemId, quantity, options: optionIds, note }) => {
+    const food = foodsById.get(itemId);
+    const { options, extra } = resolveSelectedOptions(food, optionIds);
+    const price = roundCurrency(food.price + extra);
+    return {
+      _id: itemId,
+      name: food.name,
+      price,
+      quantity,
+      image: food.image,
+      lineTotal: roundCurrency(price * quantity),
+      ...(options.length > 0 && { basePrice: roundCurrency(food.price), options }),
+      ...(note && { note })
+    };
+  });
+
+  const subtotal = roundCurrency(items.reduce((total, item) => total + item.lineTotal, 0));
+  const categories = new Map(foods.map((food) => [food._id.toString(), food.category]));
+
+  return { items, subtotal, categories };
+};
+
+/**
+ * Prices a full order on the server
+ * The delivery terms come from the customer's zone (see utils/zoneDelivery.js);
+ * without them the store's default fee applies and there is no minimum.
+ * A coupon already checked by services/promoService.js is discounted from
+ * the total (see utils/promotions.js).
+ * @param {Object} orderRequest - { items, amount?, delivery?, coupon? } as sent by the client plus the zone terms and coupon
+ * @returns {Promise<Object>} - { items, subtotal, deliveryFee, discount, promotion, total }
+ * @throws {Error} - Pricing error when the items, the minimum order or the amount do not match;
+ *   promotion error when the coupon does not apply to the order
+ */
+export const calculateOrderPricing = async ({ items: requestedItems, amount, delivery, coupon } = {}) => {
+  const { items, subtotal, categories } = await priceOrderItems(requestedItems);
+  const terms = delivery || getZoneDeliveryTerms(null, getDeliveryFee());
+
+  if (subtotal < terms.minimumOrder) {
+    throw createPricingError(`O pedido mínimo para este bairro é R$ ${terms.minimumOrder.toFixed(2)}`, [
+      { field: 'minimumOrder', message: 'Pedido abaixo do mínimo', expected: terms.minimumOrder, received: subtotal }
+    ]);
+  }
+
+  const deliveryFee = calculateZoneDeliveryFee(terms, subtotal);
+
+  let promotion = null;
+  if (coupon) {
+    const { itemsDiscount, deliveryDiscount, total: couponDiscount } = calculateCouponDiscount(coupon, {
+      items,
+      subtotal,
+      deliveryFee,
+      categories
+    });
+    promotion = {
+      couponId: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      description: coupon.description || '',
+      itemsDiscount,
+      deliveryDiscount,
+      total: couponDiscount
+    };
+  }
+
+  const discount = promotion ? promotion.total : 0;
+  const total = roundCurrency(subtotal + deliveryFee - discount);
+
+  if (amount !== undefined && amount !== null && pricesDiffer(amount, total)) {
+    throw createPricingError('O valor total do pedido não confere. Atualize o carrinho e tente novamente', [
+      { field: 'amount', message: 'Valor total divergente', expected: total, received: amount }
+    ]);
+  }
+
+  return { items, subtotal, deliveryFee, discount, promotion, total };
+};
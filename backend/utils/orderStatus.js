@@ -0,0 +1,129 @@
+/**
+ * Order status state machine
+ * Single source of truth for the statuses an order can have and the
+ * transitions allowed between them.
+ */
+
+/**
+ * Order statuses (values are stored as-is in the database)
+ */
+export const ORDER_STATUS = Object.freeze({
+  PENDING: "Pending",
+  PAID: "Paid",
+  FAILED: "Failed",
+  FOOD_PROCESSING: "Food Processing",
+  OUT_FOR_DELIVERY: "Out for delivery",
+  DELIVERED: "Delivered",
+  CANCELLED: "Cancelled",
+  EXPIRED: "Expired"
+});
+
+/**
+ * Allowed transitions from each status
+ * Delivered and Cancelled are final. Expired (unpaid orders abandoned by the
+ * customer) only moves on if a late payment is approved or an admin cancels it.
+ */
+export const ORDER_STATUS_TRANSITIONS = Object.freeze({
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.PAID, ORDER_STATUS.FAILED, ORDER_STATUS.FOOD_PROCESSING, ORDER_STATUS.CANCELLED, ORDER_STATUS.EXPIRED],
+  [ORDER_STATUS.PAID]: [ORDER_STATUS.FOOD_PROCESSING, ORDER_STATUS.CANCELLED],
+  // A rejected payment can still be retried by the customer
+  [ORDER_STATUS.FAILED]: [ORDER_STATUS.PENDING, ORDER_STATUS.PAID, ORDER_STATUS.CANCELLED, ORDER_STATUS.EXPIRED],
+  [ORDER_STATUS.FOOD_PROCESSING]: [ORDER_STATUS.OUT_FOR_DELIVERY, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: [ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.DELIVERED]: [],
+  [ORDER_STATUS.CANCELLED]: [],
+  [ORDER_STATUS.EXPIRED]: [ORDER_STATUS.PAID, ORDER_STATUS.CANCELLED]
+});
+
+/**
+ * Statuses in which the customer can still cancel (the kitchen has not started)
+ * Admins can cancel from any status that allows Cancelled.
+ */
+export const CUSTOMER_CANCELLABLE_STATUSES = Object.freeze([
+  ORDER_STATUS.PENDING,
+  ORDER_STATUS.PAID,
+  ORDER_STATUS.FAILED
+]);
+
+/**
+ * All valid status values
+ */
+export const ORDER_STATUS_VALUES = Object.freeze(Object.values(ORDER_STATUS));
+
+/**
+ * Checks whether a value is a known order status
+ * @param {string} status - Status to check
+ * @returns {boolean} - Whether the status exists
+ */
+export const isValidStatus = (status) => ORDER_STATUS_VALUES.includes(status);
+
+/**
+ * Gets the statuses an order can move to from its current status
+ * @param {string} status - Current status
+ * @returns {string[]} - Allowed next statuses
+ */
+export const getAllowedTransitions = (status) => [...(ORDER_STATUS_TRANSITIONS[status] || [])];
+
+/**
+ * Checks whether an order can move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} - Whether the transition is allowed
+ */
+export const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+/**
+ * Checks whether the customer can cancel an order in this status
+ * @param {string} status - Current status
+ * @returns {boolean} - Whether the customer can cancel
+ */
+export const canCustomerCancel = (status) => CUSTOMER_CANCELLABLE_STATUSES.includes(status);
+
+/**
+ * Creates a status error carrying the HTTP status and allowed transitions
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @param {number} status - HTTP status
+ * @param {Object} details - { from, to, allowed }
+ * @returns {Error} - Error flagged as a status error
+ */
+export const createStatusError = (message, code, status, details = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.details = details;
+  error.isStatusError = true;
+  return error;
+};
+
+/**
+ * Checks whether an error was raised by the status state machine
+ * @param {Error} error - Error to check
+ * @returns {boolean} - Whether it is a status error
+ */
+export const isStatusError = (error) => error?.isStatusError === true;
+
+/**
+ * Validates a transition, throwing a status error when it is not allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @throws {Error} - INVALID_STATUS (400) or INVALID_STATUS_TRANSITION (409)
+ */
+export const assertTransition = (from, to) => {
+  if (!isValidStatus(to)) {
+    throw createStatusError(`Status inválido: ${to}`, "INVALID_STATUS", 400, {
+      from,
+      to,
+      allowed: getAllowedTransitions(from)
+    });
+  }
+
+  if (!canTransition(from, to)) {
+    throw createStatusError(
+      `Não é possível alterar o status de "${from}" para "${to}"`,
+      "INVALID_STATUS_TRANSITION",
+      409,
+      { from, to, allowed: getAllowedTransitions(from) }
+    );
+  }
+};
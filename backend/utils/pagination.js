@@ -0,0 +1,37 @@
+/**
+ * Pagination
+ * Lists that can grow (search results, orders) are paged with `page`
+ * (1-based) and `limit` query parameters. Invalid values fall back to the
+ * defaults instead of failing, so a hand-edited URL still returns a page.
+ */
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const toPositiveInteger = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+/**
+ * Reads page and limit from a query string
+ * @param {Object} query - { page?, limit? }
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {Object} - { page, limit, skip }
+ */
+export const parsePagination = (query = {}, { defaultLimit = DEFAULT_PAGE_SIZE, maxLimit = MAX_PAGE_SIZE } = {}) => {
+  const page = toPositiveInteger(query.page) || 1;
+  const limit = Math.min(toPositiveInteger(query.limit) || defaultLimit, maxLimit);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Pagination details sent along with a page of results
+ * @param {Object} params - { page, limit } from parsePagination
+ * @param {number} total - Number of results across all pages
+ * @returns {Object} - { page, limit, total, totalPages, hasNextPage }
+ */
+export const buildPagination = ({ page, limit }, total) => {
+  const totalPages = Math.ceil(total / limit);
+  return { page, limit, total, totalPages, hasNextPage: page < totalPages };
+};
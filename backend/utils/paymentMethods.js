@@ -0,0 +1,63 @@
+/**
+ * Payment methods
+ * Identifiers stored on orders (order.paymentMethod). Each method is served
+ * by a provider in services/paymentProviders.js.
+ */
+
+export const PAYMENT_METHOD = Object.freeze({
+  MERCADOPAGO: "mercadopago",
+  PIX: "pix",
+  CASH_ON_DELIVERY: "cash_on_delivery",
+  CARD_ON_DELIVERY: "card_on_delivery"
+});
+
+/**
+ * All valid payment method values
+ */
+export const PAYMENT_METHOD_VALUES = Object.freeze(Object.values(PAYMENT_METHOD));
+
+/**
+ * Labels shown to customers and printed on receipts
+ */
+export const PAYMENT_METHOD_LABELS = Object.freeze({
+  [PAYMENT_METHOD.MERCADOPAGO]: "Mercado Pago",
+  [PAYMENT_METHOD.PIX]: "PIX",
+  [PAYMENT_METHOD.CASH_ON_DELIVERY]: "Dinheiro na entrega",
+  [PAYMENT_METHOD.CARD_ON_DELIVERY]: "Cartão na entrega"
+});
+
+/**
+ * Method assumed for orders created before the customer could choose one
+ */
+export const DEFAULT_PAYMENT_METHOD = PAYMENT_METHOD.MERCADOPAGO;
+
+/**
+ * Checks whether a value is a known payment method
+ * @param {string} method - Method to check
+ * @returns {boolean} - Whether the method exists
+ */
+export const isValidPaymentMethod = (method) => PAYMENT_METHOD_VALUES.includes(method);
+
+/**
+ * Creates a payment error carrying the HTTP status
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @param {number} status - HTTP status
+ * @param {Object} details - Extra information for the caller
+ * @returns {Error} - Error flagged as a payment error
+ */
+export const createPaymentError = (message, code, status, details = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.details = details;
+  error.isPaymentError = true;
+  return error;
+};
+
+/**
+ * Checks whether an error was raised by a payment provider
+ * @param {Error} error - Error to check
+ * @returns {boolean} - Whether it is a payment error
+ */
+export const isPaymentError = (error) => error?.isPaymentError === true;
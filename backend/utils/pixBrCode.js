@@ -0,0 +1,82 @@
+/**
+ * PIX BR Code
+ * Builds the "copia e cola" payload of a static PIX charge following the
+ * EMV QR Code (MPM) layout published by the Banco Central do Brasil.
+ */
+
+const PIX_GUI = "br.gov.bcb.pix";
+const MAX_NAME_LENGTH = 25;
+const MAX_CITY_LENGTH = 15;
+const MAX_TXID_LENGTH = 25;
+
+/**
+ * Formats one EMV field as ID + two-digit length + value
+ * @param {string} id - Field ID
+ * @param {string} value - Field value
+ * @returns {string} - Encoded field
+ */
+const field = (id, value) => `${id}${String(value.length).padStart(2, "0")}${value}`;
+
+/**
+ * Removes accents and characters that banking apps reject in names and cities
+ * @param {string} value - Text to normalize
+ * @param {number} maxLength - Maximum length allowed by the field
+ * @returns {string} - Normalized text
+ */
+const normalizeText = (value, maxLength) =>
+  String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^A-Za-z0-9 .-]/g, "")
+    .trim()
+    .slice(0, maxLength);
+
+/**
+ * Computes the CRC16-CCITT (polynomial 0x1021, initial value 0xFFFF) of a payload
+ * @param {string} payload - Payload including the "6304" CRC field prefix
+ * @returns {string} - Four-digit uppercase hexadecimal checksum
+ */
+export const crc16 = (payload) => {
+  let crc = 0xffff;
+  for (let i = 0; i < payload.length; i++) {
+    crc ^= payload.charCodeAt(i) << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+      crc &= 0xffff;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, "0");
+};
+
+/**
+ * Builds a static PIX payload
+ * @param {Object} options - { key, merchantName, merchantCity, amount, txid, description }
+ * @returns {string} - BR Code payload ("copia e cola")
+ */
+export const buildPixPayload = ({ key, merchantName, merchantCity, amount, txid, description }) => {
+  if (!key || !merchantName || !merchantCity) {
+    throw new Error("PIX key, merchant name and merchant city are required");
+  }
+
+  const accountInfo =
+    field("00", PIX_GUI) +
+    field("01", String(key).trim()) +
+    (description ? field("02", String(description).slice(0, 50)) : "");
+
+  // The transaction ID only accepts letters and digits; "***" means none
+  const reference = String(txid || "").replace(/[^A-Za-z0-9]/g, "").slice(0, MAX_TXID_LENGTH) || "***";
+
+  const payload =
+    field("00", "01") +
+    field("26", accountInfo) +
+    field("52", "0000") +
+    field("53", "986") +
+    (amount > 0 ? field("54", Number(amount).toFixed(2)) : "") +
+    field("58", "BR") +
+    field("59", normalizeText(merchantName, MAX_NAME_LENGTH)) +
+    field("60", normalizeText(merchantCity, MAX_CITY_LENGTH)) +
+    field("62", field("05", reference)) +
+    "6304";
+
+  return payload + crc16(payload);
+};
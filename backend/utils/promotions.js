@@ -0,0 +1,222 @@
+/**
+ * Promotions
+ * Coupon rules and discount calculation. A coupon gives a percentage or
+ * fixed discount on the items, or free delivery, and may be restricted to a
+ * validity window, a minimum order and certain categories or foods.
+ * Usage limits are enforced by services/promoService.js.
+ */
+
+export const COUPON_TYPE = Object.freeze({
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+  FREE_DELIVERY: 'free_delivery'
+});
+
+export const COUPON_TYPE_VALUES = Object.freeze(Object.values(COUPON_TYPE));
+
+export const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,30}$/;
+
+const roundCurrency = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const formatMoney = (value) => `R$ ${Number(value).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('pt-BR');
+
+/**
+ * Creates a promotion error
+ * @param {string} message - Message shown to the customer or admin
+ * @param {string} code - Machine readable code (e.g. COUPON_EXPIRED)
+ * @param {number} status - HTTP status
+ * @param {*} details - Extra information
+ * @returns {Error} - Error flagged as a promotion error
+ */
+export const createPromoError = (message, code, status = 400, details = null) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.details = details;
+  error.isPromoError = true;
+  return error;
+};
+
+/**
+ * Checks whether an error was raised by the promotions rules
+ * @param {Error} error - Error to check
+ * @returns {boolean} - Whether it is a promotion error
+ */
+export const isPromoError = (error) => error?.isPromoError === true;
+
+/**
+ * Normalizes a coupon code typed by a customer ("  promo10 " => "PROMO10")
+ * @param {*} code - Code sent by the client
+ * @returns {string} - Upper-case code, empty when missing
+ */
+export const normalizeCouponCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const parseOptionalNumber = (value, field, details, { min = 0, integer = false } = {}) => {
+  if (isBlank(value)) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+    details.push({ field, message: `Valor deve ser ${integer ? 'um número inteiro ' : ''}maior ou igual a ${min}` });
+    return undefined;
+  }
+  return integer ? number : roundCurrency(number);
+};
+
+const parseOptionalDate = (value, field, details) => {
+  if (isBlank(value)) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    details.push({ field, message: 'Data inválida' });
+    return undefined;
+  }
+  return date;
+};
+
+const parseStringList = (value) => {
+  const list = Array.isArray(value) ? value : isBlank(value) ? [] : String(value).split(',');
+  return [...new Set(list.map((entry) => String(entry).trim()).filter(Boolean))];
+};
+
+/**
+ * Validates a coupon sent by the admin panel
+ * @param {Object} input - Coupon fields
+ * @returns {Object} - Normalized coupon fields
+ * @throws {Error} - INVALID_COUPON (400) listing every problem in `details`
+ */
+export const parseCouponInput = (input = {}) => {
+  const details = [];
+
+  const code = normalizeCouponCode(input.code);
+  if (!COUPON_CODE_PATTERN.test(code)) {
+    details.push({ field: 'code', message: 'Código deve ter de 3 a 30 letras, números, - ou _' });
+  }
+
+  const type = input.type;
+  if (!COUPON_TYPE_VALUES.includes(type)) {
+    details.push({ field: 'type', message: 'Tipo de desconto inválido' });
+  }
+
+  let value = 0;
+  if (type === COUPON_TYPE.PERCENTAGE || type === COUPON_TYPE.FIXED) {
+    value = Number(input.value);
+    const max = type === COUPON_TYPE.PERCENTAGE ? 100 : Infinity;
+    if (!Number.isFinite(value) || value <= 0 || value > max) {
+      details.push({ field: 'value', message: type === COUPON_TYPE.PERCENTAGE ? 'Percentual deve ser entre 0 e 100' : 'Valor do desconto deve ser maior que zero' });
+    }
+    value = roundCurrency(value);
+  }
+
+  const maxDiscount = parseOptionalNumber(input.maxDiscount, 'maxDiscount', details);
+  const minimumOrder = parseOptionalNumber(input.minimumOrder, 'minimumOrder', details);
+  const usageLimit = parseOptionalNumber(input.usageLimit, 'usageLimit', details, { min: 1, integer: true });
+  const perUserLimit = parseOptionalNumber(input.perUserLimit, 'perUserLimit', details, { min: 1, integer: true });
+  const validFrom = parseOptionalDate(input.validFrom, 'validFrom', details);
+  const validUntil = parseOptionalDate(input.validUntil, 'validUntil', details);
+  if (validFrom && validUntil && validUntil <= validFrom) {
+    details.push({ field: 'validUntil', message: 'O fim da validade deve ser depois do início' });
+  }
+
+  const description = typeof input.description === 'string' ? input.description.trim() : '';
+  if (description.length > 140) {
+    details.push({ field: 'description', message: 'Descrição deve ter até 140 caracteres' });
+  }
+
+  if (details.length > 0) {
+    throw createPromoError('Cupom inválido', 'INVALID_COUPON', 400, details);
+  }
+
+  return {
+    code,
+    description,
+    type,
+    value,
+    maxDiscount: type === COUPON_TYPE.PERCENTAGE ? maxDiscount : null,
+    minimumOrder: minimumOrder ?? 0,
+    usageLimit,
+    perUserLimit,
+    validFrom,
+    validUntil,
+    categories: parseStringList(input.categories),
+    foodIds: parseStringList(input.foodIds),
+    isActive: input.isActive !== false && input.isActive !== 'false'
+  };
+};
+
+/**
+ * Checks that a coupon is switched on and inside its validity window
+ * @param {Object} coupon - Coupon
+ * @param {Date} now - Current moment
+ * @throws {Error} - COUPON_INACTIVE, COUPON_NOT_STARTED or COUPON_EXPIRED (400)
+ */
+export const assertCouponActive = (coupon, now = new Date()) => {
+  if (!coupon.isActive) {
+    throw createPromoError('Este cupom não está mais disponível', 'COUPON_INACTIVE');
+  }
+  if (coupon.validFrom && now < new Date(coupon.validFrom)) {
+    throw createPromoError(`Este cupom vale a partir de ${formatDate(coupon.validFrom)}`, 'COUPON_NOT_STARTED');
+  }
+  if (coupon.validUntil && now >= new Date(coupon.validUntil)) {
+    throw createPromoError('Este cupom expirou', 'COUPON_EXPIRED');
+  }
+};
+
+/**
+ * Whether a coupon limits the items it applies to
+ * @param {Object} coupon - Coupon
+ * @returns {boolean} - Whether it is restricted to categories or foods
+ */
+const isRestricted = (coupon) => (coupon.categories || []).length > 0 || (coupon.foodIds || []).length > 0;
+
+/**
+ * Discount a coupon gives on a priced order
+ * Restricted coupons only discount the lines of their categories or foods.
+ * @param {Object} coupon - Coupon
+ * @param {Object} order - { items, subtotal, deliveryFee, categories } where categories maps food ID => category
+ * @returns {Object} - { eligibleSubtotal, itemsDiscount, deliveryDiscount, total }
+ * @throws {Error} - COUPON_MINIMUM_ORDER or COUPON_NOT_APPLICABLE (400)
+ */
+export const calculateCouponDiscount = (coupon, { items, subtotal, deliveryFee, categories = new Map() }) => {
+  if (subtotal < (coupon.minimumOrder || 0)) {
+    throw createPromoError(
+      `O pedido mínimo para este cupom é ${formatMoney(coupon.minimumOrder)}`,
+      'COUPON_MINIMUM_ORDER',
+      400,
+      { minimumOrder: coupon.minimumOrder, subtotal }
+    );
+  }
+
+  const eligibleItems = isRestricted(coupon)
+    ? items.filter((item) => (coupon.foodIds || []).includes(String(item._id))
+      || (coupon.categories || []).includes(categories.get(String(item._id))))
+    : items;
+  if (eligibleItems.length === 0) {
+    throw createPromoError('Este cupom não vale para os itens do seu carrinho', 'COUPON_NOT_APPLICABLE');
+  }
+  const eligibleSubtotal = roundCurrency(eligibleItems.reduce((total, item) => total + item.lineTotal, 0));
+
+  let itemsDiscount = 0;
+  let deliveryDiscount = 0;
+  if (coupon.type === COUPON_TYPE.PERCENTAGE) {
+    itemsDiscount = roundCurrency(eligibleSubtotal * coupon.value / 100);
+    if (coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+      itemsDiscount = Math.min(itemsDiscount, coupon.maxDiscount);
+    }
+  } else if (coupon.type === COUPON_TYPE.FIXED) {
+    itemsDiscount = Math.min(roundCurrency(coupon.value), eligibleSubtotal);
+  } else if (coupon.type === COUPON_TYPE.FREE_DELIVERY) {
+    if (!(deliveryFee > 0)) {
+      throw createPromoError('A entrega deste pedido já é grátis', 'COUPON_NOT_APPLICABLE');
+    }
+    deliveryDiscount = deliveryFee;
+  }
+
+  return {
+    eligibleSubtotal,
+    itemsDiscount,
+    deliveryDiscount,
+    total: roundCurrency(itemsDiscount + deliveryDiscount)
+  };
+};
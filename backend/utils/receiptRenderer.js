@@ -0,0 +1,313 @@
+/**
+ * Receipt renderer
+ * Builds kitchen and customer tickets for an order and renders them for
+ * thermal printers (plain text or ESC/POS bytes) or for the browser (HTML).
+ *
+ * A receipt is a list of lines shared by every renderer:
+ *   { text, align, bold, large } - a line of text
+ *   { left, right, bold }        - two columns (e.g. item and price)
+ *   { divider: true }            - a separator
+ */
+
+import { DEFAULT_PAYMENT_METHOD, PAYMENT_METHOD_LABELS } from "./paymentMethods.js";
+import { formatItemTitle } from "./foodOptions.js";
+
+/**
+ * Characters per line for each paper width (font A)
+ */
+export const PAPER_WIDTHS = Object.freeze({
+  "58mm": 32,
+  "80mm": 48
+});
+
+export const PAPER_SIZES = Object.freeze(Object.keys(PAPER_WIDTHS));
+
+/**
+ * kitchen: items and quantities for the cooks; customer: full ticket with prices
+ */
+export const RECEIPT_TYPES = Object.freeze(["kitchen", "customer"]);
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+const formatMoney = (value) => `R$ ${Number(value || 0).toFixed(2).replace(".", ",")}`;
+
+/**
+ * Short order number printed on tickets (last 6 characters of the ID)
+ * @param {Object} order - Order
+ * @returns {string} - e.g. "#A1B2C3"
+ */
+export const getOrderNumber = (order) => `#${String(order._id).slice(-6).toUpperCase()}`;
+
+/**
+ * Removes accents so the text prints on printers without a UTF-8 code page
+ * @param {string} text - Text to convert
+ * @returns {string} - ASCII text
+ */
+const toAscii = (text) =>
+  String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x7e]/g, "?");
+
+/**
+ * Breaks text into lines of at most `width` characters, on spaces when possible
+ * @param {string} text - Text to wrap
+ * @param {number} width - Maximum line length
+ * @returns {string[]} - Wrapped lines
+ */
+const wrap = (text, width) => {
+  const lines = [];
+  let current = "";
+
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    let rest = word;
+    while (rest.length > width) {
+      if (current) {
+        lines.push(current);
+        current = "";
+      }
+      lines.push(rest.slice(0, width));
+      rest = rest.slice(width);
+    }
+    if (!current) {
+      current = rest;
+    } else if (current.length + 1 + rest.length <= width) {
+      current += ` ${rest}`;
+    } else {
+      lines.push(current);
+      current = rest;
+    }
+  }
+
+  if (current || lines.length === 0) lines.push(current);
+  return lines;
+};
+
+const alignText = (text, width, align) => {
+  if (align === "center") {
+    const padding = Math.max(0, Math.floor((width - text.length) / 2));
+    return " ".repeat(padding) + text;
+  }
+  if (align === "right") {
+    return text.padStart(width);
+  }
+  return text;
+};
+
+/**
+ * Lays out one receipt line as fixed-width text
+ * @param {Object} line - Receipt line
+ * @param {number} width - Characters per line
+ * @param {boolean} doubleWidth - Whether large text is printed at double width
+ * @returns {string[]} - Text lines
+ */
+const layoutLine = (line, width, doubleWidth = false) => {
+  if (line.divider) {
+    return ["-".repeat(width)];
+  }
+
+  if (line.right !== undefined) {
+    const right = String(line.right);
+    const leftLines = wrap(line.left, Math.max(1, width - right.length - 1));
+    const last = leftLines.pop();
+    const lastLine = last.length + 1 + right.length <= width
+      ? [last.padEnd(width - right.length) + right]
+      : [last, right.padStart(width)];
+    return [...leftLines, ...lastLine];
+  }
+
+  const lineWidth = line.large && doubleWidth ? Math.floor(width / 2) : width;
+  return wrap(line.text, lineWidth).map((text) => alignText(text, lineWidth, line.align));
+};
+
+const formatDate = (date, timeZone) =>
+  new Date(date).toLocaleString("pt-BR", {
+    timeZone,
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit"
+  });
+
+/**
+ * Builds the lines of a ticket
+ * @param {Object} order - Order (document or plain object)
+ * @param {Object} options - { type, paperSize, storeName, customerName, timeZone }
+ * @returns {Object} - { type, paperSize, width, lines }
+ */
+export const buildReceipt = (order, options = {}) => {
+  const {
+    type = "customer",
+    paperSize = "80mm",
+    storeName = process.env.STORE_NAME || "Pastelaria do Gilson",
+    customerName = order.address?.customerName,
+    timeZone = process.env.STORE_TIMEZONE || "America/Sao_Paulo"
+  } = options;
+
+  if (!RECEIPT_TYPES.includes(type)) {
+    throw new Error(`Unknown receipt type: ${type}`);
+  }
+  if (!PAPER_WIDTHS[paperSize]) {
+    throw new Error(`Unknown paper size: ${paperSize}`);
+  }
+
+  const isKitchen = type === "kitchen";
+  const address = order.address || {};
+  const phone = order.phone || address.phone;
+  const paymentMethod = order.paymentMethod || DEFAULT_PAYMENT_METHOD;
+  const lines = [];
+
+  lines.push({ text: isKitchen ? "COZINHA" : storeName, align: "center", bold: true, large: true });
+  lines.push({ text: `Pedido ${getOrderNumber(order)}`, align: "center", bold: true });
+  lines.push({ text: formatDate(order.createdAt || order.date || Date.now(), timeZone), align: "center" });
+  if (order.scheduledFor) {
+    lines.push({ text: `AGENDADO: ${formatDate(order.scheduledFor, timeZone)}`, align: "center", bold: true });
+  }
+  lines.push({ divider: true });
+
+  for (const item of order.items || []) {
+    const title = `${item.quantity}x ${formatItemTitle(item)}`;
+    if (isKitchen) {
+      lines.push({ text: title, bold: true });
+    } else {
+      lines.push({
+        left: title,
+        right: formatMoney(item.lineTotal ?? item.price * item.quantity)
+      });
+    }
+    if (item.note) {
+      lines.push({ text: `Obs: ${item.note}`, bold: isKitchen });
+    }
+  }
+  lines.push({ divider: true });
+
+  if (!isKitchen) {
+    if (order.subtotal !== undefined) {
+      lines.push({ left: "Subtotal", right: formatMoney(order.subtotal) });
+    }
+    if (order.deliveryFee !== undefined) {
+      lines.push({ left: "Taxa de entrega", right: formatMoney(order.deliveryFee) });
+    }
+    if (order.discount > 0) {
+      const label = order.promotion?.code ? `Desconto (${order.promotion.code})` : "Desconto";
+      lines.push({ left: label, right: `-${formatMoney(order.discount)}` });
+    }
+    lines.push({ left: "TOTAL", right: formatMoney(order.amount), bold: true });
+    lines.push({ text: `Pagamento: ${PAYMENT_METHOD_LABELS[paymentMethod] || paymentMethod}` });
+    lines.push({ text: order.payment ? "PAGO" : "A RECEBER NA ENTREGA", bold: true });
+    lines.push({ divider: true });
+  }
+
+  lines.push({ text: `Cliente: ${customerName || "Cliente"}`, bold: true });
+  if (phone) {
+    lines.push({ text: `Telefone: ${phone}` });
+  }
+  lines.push({ text: `${address.street || ""}, ${address.number || ""}${address.complement ? ` - ${address.complement}` : ""}` });
+  lines.push({ text: `${address.neighborhood || ""}${address.cep ? ` - CEP ${address.cep}` : ""}` });
+  if (address.reference) {
+    lines.push({ text: `Ref.: ${address.reference}` });
+  }
+  lines.push({ text: `Zona: ${address.zone || "-"}`, bold: true });
+
+  if (isKitchen) {
+    lines.push({ text: `Pagamento: ${PAYMENT_METHOD_LABELS[paymentMethod] || paymentMethod}` });
+  } else {
+    lines.push({ divider: true });
+    lines.push({ text: "Obrigado pela preferência!", align: "center" });
+  }
+
+  return { type, paperSize, width: PAPER_WIDTHS[paperSize], lines };
+};
+
+/**
+ * Renders receipts as plain text
+ * @param {Object|Object[]} receipts - Receipt(s) from buildReceipt
+ * @returns {string} - Text with one ticket after the other
+ */
+export const renderReceiptText = (receipts) =>
+  [].concat(receipts)
+    .map((receipt) => receipt.lines.flatMap((line) => layoutLine(line, receipt.width)).join("\n"))
+    .join(`\n\n${"=".repeat(8)}\n\n`) + "\n";
+
+/**
+ * Renders receipts as ESC/POS commands, cutting the paper after each ticket
+ * @param {Object|Object[]} receipts - Receipt(s) from buildReceipt
+ * @returns {Buffer} - Bytes to send to the printer
+ */
+export const renderReceiptEscPos = (receipts) => {
+  const chunks = [Buffer.from([ESC, 0x40])]; // initialize
+
+  for (const receipt of [].concat(receipts)) {
+    for (const line of receipt.lines) {
+      chunks.push(Buffer.from([ESC, 0x45, line.bold ? 1 : 0])); // bold
+      chunks.push(Buffer.from([GS, 0x21, line.large ? 0x11 : 0x00])); // double width and height
+      const text = layoutLine(line, receipt.width, true).map(toAscii).join("\n");
+      chunks.push(Buffer.from(`${text}\n`, "ascii"));
+    }
+    chunks.push(Buffer.from([ESC, 0x45, 0, GS, 0x21, 0x00]));
+    chunks.push(Buffer.from([ESC, 0x64, 4])); // feed 4 lines
+    chunks.push(Buffer.from([GS, 0x56, 0x42, 0x00])); // partial cut
+  }
+
+  return Buffer.concat(chunks);
+};
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const renderHtmlLine = (line) => {
+  if (line.divider) {
+    return '<hr>';
+  }
+
+  const classes = ["line", line.align, line.bold && "bold", line.large && "large"].filter(Boolean).join(" ");
+  if (line.right !== undefined) {
+    return `<div class="${classes} columns"><span>${escapeHtml(line.left)}</span><span>${escapeHtml(line.right)}</span></div>`;
+  }
+  return `<div class="${classes}">${escapeHtml(line.text)}</div>`;
+};
+
+/**
+ * Renders receipts as a printable HTML document sized for the paper width
+ * @param {Object|Object[]} receipts - Receipt(s) from buildReceipt
+ * @returns {string} - HTML document
+ */
+export const renderReceiptHtml = (receipts) => {
+  const list = [].concat(receipts);
+  const paperSize = list[0]?.paperSize || "80mm";
+
+  const tickets = list
+    .map((receipt) => `<section class="receipt">\n${receipt.lines.map(renderHtmlLine).join("\n")}\n</section>`)
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>Pedido</title>
+<style>
+@page { size: ${paperSize} auto; margin: 0; }
+body { margin: 0; width: ${paperSize}; font-family: "Courier New", monospace; font-size: 12px; color: #000; }
+.receipt { padding: 2mm; page-break-after: always; }
+.line { white-space: pre-wrap; word-break: break-word; }
+.center { text-align: center; }
+.right { text-align: right; }
+.bold { font-weight: bold; }
+.large { font-size: 18px; }
+.columns { display: flex; justify-content: space-between; gap: 4px; }
+hr { border: none; border-top: 1px dashed #000; margin: 4px 0; }
+</style>
+</head>
+<body>
+${tickets}
+</body>
+</html>
+`;
+};
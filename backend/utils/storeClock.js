@@ -0,0 +1,112 @@
+/**
+ * Store clock
+ * Opening hours and availability schedules are written in the store's local
+ * time (STORE_TIMEZONE) as "HH:MM" strings and local dates as "YYYY-MM-DD".
+ * These helpers convert between those and real moments (Date).
+ */
+
+export const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Creating formatters is slow; there is usually a single time zone
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+export const getStoreTimeZone = () => process.env.STORE_TIMEZONE || 'America/Sao_Paulo';
+
+/**
+ * Minutes since midnight of a "HH:MM" time
+ * @param {string} time - Valid "HH:MM" time
+ * @returns {number} - Minutes
+ */
+export const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Local date, weekday and time of a moment
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} - { date: "YYYY-MM-DD", day (0 = Sunday), minutes }
+ */
+export const getLocalClock = (date = new Date(), timeZone = getStoreTimeZone()) => {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: WEEKDAYS[parts.weekday],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+/**
+ * Local date a number of days after another
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - "YYYY-MM-DD"
+ */
+export const addDays = (date, days) =>
+  new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Weekday of a local date
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {number} - 0 = Sunday
+ */
+export const getWeekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// Difference between the local wall clock and UTC at a moment, in ms
+const getOffset = (moment, timeZone) => {
+  const { date, minutes } = getLocalClock(new Date(moment), timeZone);
+  const wall = Date.parse(`${date}T00:00:00Z`) + minutes * 60000;
+  return wall - Math.floor(moment / 60000) * 60000;
+};
+
+/**
+ * Moment of a local date and time
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {number} minutes - Minutes since midnight (may exceed 24h for the next day)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} - Moment
+ */
+export const zonedTimeToUtc = (date, minutes, timeZone = getStoreTimeZone()) => {
+  const wall = Date.parse(`${date}T00:00:00Z`) + minutes * 60000;
+  // A second pass settles moments right after an offset change
+  const guess = wall - getOffset(wall, timeZone);
+  return new Date(wall - getOffset(guess, timeZone));
+};
+
+/**
+ * Next moment the local wall clock shows a time
+ * @param {string} time - Valid "HH:MM" time
+ * @param {Date} after - Moment to look after
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} - Moment, later than `after`
+ */
+export const nextLocalTime = (time, after = new Date(), timeZone = getStoreTimeZone()) => {
+  const { date } = getLocalClock(after, timeZone);
+  const today = zonedTimeToUtc(date, toMinutes(time), timeZone);
+  return today > after ? today : zonedTimeToUtc(addDays(date, 1), toMinutes(time), timeZone);
+};
@@ -0,0 +1,309 @@
+/**
+ * Store hours
+ * Decides whether the store takes orders at a given moment from its settings
+ * (see models/storeSettingsModel.js):
+ *   - weeklyHours: windows { days, start, end } in local time; a window ending
+ *     before it starts crosses midnight. No windows means open all day.
+ *   - exceptions: dates ("YYYY-MM-DD") closed all day or with special hours,
+ *     replacing the weekly hours of that date
+ *   - pause: manual "busy" switch, optionally until a moment
+ *   - scheduledOrders: lets customers order for later while closed or busy
+ */
+
+import {
+  DATE_PATTERN,
+  TIME_PATTERN,
+  addDays,
+  getLocalClock,
+  getStoreTimeZone,
+  getWeekday,
+  toMinutes,
+  zonedTimeToUtc
+} from './storeClock.js';
+
+export const STORE_CLOSED_REASON = Object.freeze({
+  CLOSED: 'CLOSED',
+  HOLIDAY: 'HOLIDAY',
+  PAUSED: 'PAUSED'
+});
+
+export const MAX_WEEKLY_WINDOWS = 21;
+export const MAX_EXCEPTIONS = 60;
+export const MAX_SCHEDULE_SLOTS = 300;
+
+// Days searched for the next opening (a full week plus exceptions)
+const NEXT_OPENING_SEARCH_DAYS = 8;
+
+export const DEFAULT_SCHEDULED_ORDERS = Object.freeze({
+  enabled: false,
+  minLeadMinutes: 30,
+  maxDaysAhead: 2,
+  slotMinutes: 30
+});
+
+/**
+ * Creates an error carrying the HTTP status
+ * @param {string} message - Error message shown to the user
+ * @param {string} code - Error code
+ * @param {number} status - HTTP status
+ * @param {Object|Array} details - Extra information for the caller
+ * @returns {Error} - Error flagged as a store error
+ */
+export const createStoreError = (message, code, status, details = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.details = details;
+  error.isStoreError = true;
+  return error;
+};
+
+/**
+ * Checks whether an error was raised by the store hours subsystem
+ * @param {Error} error - Error to check
+ * @returns {boolean} - Whether it is a store error
+ */
+export const isStoreError = (error) => error?.isStoreError === true;
+
+const hasHours = (settings) => (settings.weeklyHours || []).length > 0;
+
+const isValidWindow = (window) =>
+  TIME_PATTERN.test(window?.start) && TIME_PATTERN.test(window?.end) && window.start !== window.end;
+
+/**
+ * Validates settings sent by the admin panel; only the fields sent are returned
+ * @param {Object} input - { weeklyHours?, exceptions?, scheduledOrders? }
+ * @returns {Object} - Normalized fields
+ * @throws {Error} - INVALID_STORE_SETTINGS (400) listing every problem
+ */
+export const parseStoreSettings = (input = {}) => {
+  const details = [];
+  const settings = {};
+
+  if (input.weeklyHours !== undefined) {
+    const windows = Array.isArray(input.weeklyHours) ? input.weeklyHours : null;
+    if (!windows || windows.length > MAX_WEEKLY_WINDOWS) {
+      details.push({ field: 'weeklyHours', message: `Informe até ${MAX_WEEKLY_WINDOWS} horários` });
+    } else {
+      settings.weeklyHours = windows.map((window, index) => {
+        const days = Array.isArray(window?.days) ? [...new Set(window.days.map(Number))].sort() : [];
+        if (days.length === 0 || !days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+          details.push({ field: 'weeklyHours', index, message: 'Escolha os dias da semana' });
+        }
+        if (!isValidWindow(window)) {
+          details.push({ field: 'weeklyHours', index, message: 'Horário de abertura ou fechamento inválido' });
+        }
+        return { days, start: window?.start, end: window?.end };
+      });
+    }
+  }
+
+  if (input.exceptions !== undefined) {
+    const exceptions = Array.isArray(input.exceptions) ? input.exceptions : null;
+    if (!exceptions || exceptions.length > MAX_EXCEPTIONS) {
+      details.push({ field: 'exceptions', message: `Informe até ${MAX_EXCEPTIONS} exceções` });
+    } else {
+      settings.exceptions = exceptions.map((exception, index) => {
+        const closed = exception?.closed !== false;
+        if (!DATE_PATTERN.test(exception?.date)) {
+          details.push({ field: 'exceptions', index, message: 'Data inválida' });
+        }
+        if (!closed && !isValidWindow(exception)) {
+          details.push({ field: 'exceptions', index, message: 'Horário especial inválido' });
+        }
+        return {
+          date: exception?.date,
+          closed,
+          ...(!closed && { start: exception.start, end: exception.end }),
+          note: typeof exception?.note === 'string' ? exception.note.trim().slice(0, 100) : ''
+        };
+      }).sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+      const dates = settings.exceptions.map((exception) => exception.date);
+      if (new Set(dates).size !== dates.length) {
+        details.push({ field: 'exceptions', message: 'Há mais de uma exceção para a mesma data' });
+      }
+    }
+  }
+
+  if (input.scheduledOrders !== undefined) {
+    const scheduled = { ...DEFAULT_SCHEDULED_ORDERS, ...input.scheduledOrders };
+    const limits = { minLeadMinutes: [0, 24 * 60], maxDaysAhead: [0, 14], slotMinutes: [5, 120] };
+    for (const [field, [min, max]] of Object.entries(limits)) {
+      scheduled[field] = Number(scheduled[field]);
+      if (!Number.isInteger(scheduled[field]) || scheduled[field] < min || scheduled[field] > max) {
+        details.push({ field: `scheduledOrders.${field}`, message: `Valor deve ser entre ${min} e ${max}` });
+      }
+    }
+    settings.scheduledOrders = { ...scheduled, enabled: scheduled.enabled === true };
+  }
+
+  if (details.length > 0) {
+    throw createStoreError('Configurações da loja inválidas', 'INVALID_STORE_SETTINGS', 400, details);
+  }
+  return settings;
+};
+
+/**
+ * Opening intervals of a local date, in minutes since its midnight
+ * Intervals crossing midnight end after 1440.
+ * @param {Object} settings - Store settings
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {Array} - [{ start, end }]
+ */
+export const getDayIntervals = (settings, date) => {
+  const exception = (settings.exceptions || []).find((current) => current.date === date);
+  if (!exception && !hasHours(settings)) {
+    return [{ start: 0, end: 24 * 60 }];
+  }
+
+  const windows = exception
+    ? (exception.closed ? [] : [exception])
+    : settings.weeklyHours.filter((window) => window.days.includes(getWeekday(date)));
+
+  return windows.map((window) => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    return { start, end: end > start ? end : end + 24 * 60 };
+  });
+};
+
+// Interval holding a moment, as { opensAt, closesAt }, or null
+const findOpenInterval = (settings, now, timeZone) => {
+  const { date, minutes } = getLocalClock(now, timeZone);
+  const candidates = [
+    ...getDayIntervals(settings, date).map((interval) => ({ date, interval, at: minutes })),
+    // Late part of yesterday's intervals crossing midnight
+    ...getDayIntervals(settings, addDays(date, -1)).map((interval) => ({ date: addDays(date, -1), interval, at: minutes + 24 * 60 }))
+  ];
+  const match = candidates.find(({ interval, at }) => at >= interval.start && at < interval.end);
+  return match && {
+    opensAt: zonedTimeToUtc(match.date, match.interval.start, timeZone),
+    closesAt: zonedTimeToUtc(match.date, match.interval.end, timeZone)
+  };
+};
+
+/**
+ * Whether the opening hours include a moment (the pause is not considered)
+ * @param {Object} settings - Store settings
+ * @param {Date} moment - Moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean} - Whether the store is open then
+ */
+export const isWithinOpeningHours = (settings, moment, timeZone = getStoreTimeZone()) =>
+  Boolean(findOpenInterval(settings, moment, timeZone));
+
+/**
+ * First moment the store opens at or after a moment
+ * @param {Object} settings - Store settings
+ * @param {Date} from - Moment to search from
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date|null} - Next opening, or null when there is none in the next week
+ */
+export const getNextOpening = (settings, from, timeZone = getStoreTimeZone()) => {
+  if (isWithinOpeningHours(settings, from, timeZone)) return from;
+
+  const { date } = getLocalClock(from, timeZone);
+  for (let offset = 0; offset < NEXT_OPENING_SEARCH_DAYS; offset += 1) {
+    const day = addDays(date, offset);
+    const openings = getDayIntervals(settings, day)
+      .map((interval) => zonedTimeToUtc(day, interval.start, timeZone))
+      .filter((moment) => moment > from)
+      .sort((a, b) => a - b);
+    if (openings.length > 0) return openings[0];
+  }
+  return null;
+};
+
+const getActivePause = (settings, now) => {
+  const pause = settings.pause;
+  if (!pause?.active) return null;
+  if (pause.until && new Date(pause.until) <= now) return null;
+  return pause;
+};
+
+/**
+ * Whether the store takes orders right now, and when that changes
+ * @param {Object} settings - Store settings
+ * @param {Object} options - { now, timeZone }
+ * @returns {Object} - { open, reason, message, closesAt, nextOpeningAt, pausedUntil, scheduledOrders }
+ */
+export const getStoreStatus = (settings, { now = new Date(), timeZone = getStoreTimeZone() } = {}) => {
+  const scheduledOrders = { ...DEFAULT_SCHEDULED_ORDERS, ...settings.scheduledOrders };
+  const interval = findOpenInterval(settings, now, timeZone);
+  const pause = getActivePause(settings, now);
+  const pausedUntil = pause?.until ? new Date(pause.until) : null;
+
+  let reason = null;
+  let message = null;
+  if (pause) {
+    reason = STORE_CLOSED_REASON.PAUSED;
+    message = pause.message || 'Estamos com muitos pedidos no momento';
+  } else if (!interval) {
+    const holiday = (settings.exceptions || []).find(
+      (exception) => exception.date === getLocalClock(now, timeZone).date && exception.closed
+    );
+    reason = holiday ? STORE_CLOSED_REASON.HOLIDAY : STORE_CLOSED_REASON.CLOSED;
+    message = holiday?.note || 'Estamos fechados no momento';
+  }
+
+  let nextOpeningAt = null;
+  if (reason) {
+    // A paused store reopens when the pause ends (if the hours allow it)
+    nextOpeningAt = pause
+      ? (pausedUntil ? getNextOpening(settings, pausedUntil, timeZone) : null)
+      : getNextOpening(settings, now, timeZone);
+  }
+
+  return {
+    open: reason === null,
+    reason,
+    message,
+    // Stores without weekly hours never announce a closing time
+    closesAt: reason === null && hasHours(settings) ? interval.closesAt : null,
+    nextOpeningAt,
+    pausedUntil,
+    scheduledOrders: {
+      enabled: scheduledOrders.enabled,
+      minLeadMinutes: scheduledOrders.minLeadMinutes,
+      maxDaysAhead: scheduledOrders.maxDaysAhead
+    }
+  };
+};
+
+/**
+ * Delivery times customers can schedule an order for
+ * Slots start at each opening and repeat every `slotMinutes` until closing,
+ * from `minLeadMinutes` after now up to `maxDaysAhead` days ahead.
+ * @param {Object} settings - Store settings
+ * @param {Object} options - { now, timeZone }
+ * @returns {Date[]} - Slots, empty when scheduled orders are disabled
+ */
+export const listScheduleSlots = (settings, { now = new Date(), timeZone = getStoreTimeZone() } = {}) => {
+  const scheduled = { ...DEFAULT_SCHEDULED_ORDERS, ...settings.scheduledOrders };
+  if (!scheduled.enabled) return [];
+
+  const earliest = new Date(now.getTime() + scheduled.minLeadMinutes * 60000);
+  const pause = getActivePause(settings, now);
+  if (pause && !pause.until) return [];
+  const notBefore = pause ? new Date(Math.max(earliest, new Date(pause.until))) : earliest;
+
+  const { date } = getLocalClock(now, timeZone);
+  const lastDay = addDays(date, scheduled.maxDaysAhead);
+  const slots = [];
+  // Start from yesterday for intervals crossing midnight
+  for (let day = addDays(date, -1); day <= lastDay; day = addDays(day, 1)) {
+    for (const interval of getDayIntervals(settings, day)) {
+      for (let minute = interval.start; minute < interval.end; minute += scheduled.slotMinutes) {
+        const slot = zonedTimeToUtc(day, minute, timeZone);
+        if (slot >= notBefore && getLocalClock(slot, timeZone).date <= lastDay) {
+          slots.push(slot);
+        }
+      }
+    }
+  }
+
+  return [...new Map(slots.map((slot) => [slot.getTime(), slot])).values()]
+    .sort((a, b) => a - b)
+    .slice(0, MAX_SCHEDULE_SLOTS);
+};
@@ -0,0 +1,127 @@
+/**
+ * Zone delivery terms
+ * Each delivery zone may set its own delivery fee, minimum order value,
+ * free-delivery threshold and estimated delivery time. Zones without a fee
+ * use the store's default (see getDeliveryFee in utils/orderPricing.js).
+ * Zones may instead price by distance (base fee plus a rate per km beyond
+ * the included km) when the customer's location is known.
+ */
+
+export const MAX_ESTIMATED_MINUTES = 24 * 60;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Optional non-negative amount in R$; blank clears it
+const parseAmount = (value, field, label, errors) => {
+  if (isBlank(value)) return null;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    errors.push({ field, message: `${label} deve ser um valor maior ou igual a zero` });
+    return undefined;
+  }
+  return Math.round(amount * 100) / 100;
+};
+
+/**
+ * Validates the delivery terms sent by the admin panel
+ * Only the fields present in the input are returned, so partial updates
+ * keep the other terms untouched.
+ * @param {Object} input - { deliveryFee?, minimumOrder?, freeDeliveryAbove?, estimatedTime?: { min, max },
+ *   distancePricing?: { baseFee, perKm, includedKm } }
+ * @returns {Object} - { terms, errors } where errors is a list of { field, message }
+ */
+export const parseZoneDeliveryTerms = (input = {}) => {
+  const terms = {};
+  const errors = [];
+
+  if (input.deliveryFee !== undefined) {
+    const deliveryFee = parseAmount(input.deliveryFee, 'deliveryFee', 'Taxa de entrega', errors);
+    if (deliveryFee !== undefined) terms.deliveryFee = deliveryFee;
+  }
+  if (input.minimumOrder !== undefined) {
+    const minimumOrder = parseAmount(input.minimumOrder, 'minimumOrder', 'Pedido mínimo', errors);
+    if (minimumOrder !== undefined) terms.minimumOrder = minimumOrder ?? 0;
+  }
+  if (input.freeDeliveryAbove !== undefined) {
+    const freeDeliveryAbove = parseAmount(input.freeDeliveryAbove, 'freeDeliveryAbove', 'Entrega grátis a partir de', errors);
+    if (freeDeliveryAbove !== undefined) terms.freeDeliveryAbove = freeDeliveryAbove;
+  }
+
+  if (input.estimatedTime !== undefined) {
+    const { min, max } = input.estimatedTime || {};
+    if (isBlank(min) && isBlank(max)) {
+      terms.estimatedTime = { min: null, max: null };
+    } else {
+      const minMinutes = Number(min);
+      const maxMinutes = isBlank(max) ? minMinutes : Number(max);
+      const valid = [minMinutes, maxMinutes].every(
+        (minutes) => Number.isInteger(minutes) && minutes > 0 && minutes <= MAX_ESTIMATED_MINUTES
+      );
+      if (!valid || maxMinutes < minMinutes) {
+        errors.push({ field: 'estimatedTime', message: `Tempo estimado deve ser entre 1 e ${MAX_ESTIMATED_MINUTES} minutos` });
+      } else {
+        terms.estimatedTime = { min: minMinutes, max: maxMinutes };
+      }
+    }
+  }
+
+  if (input.distancePricing !== undefined) {
+    const { baseFee, perKm, includedKm } = input.distancePricing || {};
+    if (isBlank(perKm)) {
+      terms.distancePricing = null;
+    } else {
+      const pricing = {
+        baseFee: parseAmount(baseFee, 'distancePricing', 'Taxa base', errors) ?? 0,
+        perKm: parseAmount(perKm, 'distancePricing', 'Valor por km', errors),
+        includedKm: parseAmount(includedKm, 'distancePricing', 'Km incluídos', errors) ?? 0
+      };
+      if (Object.values(pricing).every((value) => value !== undefined)) {
+        terms.distancePricing = pricing;
+      }
+    }
+  }
+
+  return { terms, errors };
+};
+
+/**
+ * Fee charged for a distance
+ * @param {Object} pricing - { baseFee, perKm, includedKm }
+ * @param {number} distanceKm - Distance from the store
+ * @returns {number} - Fee in R$
+ */
+export const calculateDistanceFee = ({ baseFee, perKm, includedKm }, distanceKm) =>
+  Math.round((baseFee + perKm * Math.max(0, distanceKm - includedKm)) * 100) / 100;
+
+// Distance pricing needs both the zone's rates and the customer's distance
+const getFlatOrDistanceFee = (zone, defaultDeliveryFee, distanceKm) => {
+  if (typeof zone?.distancePricing?.perKm === 'number' && typeof distanceKm === 'number') {
+    return calculateDistanceFee(zone.distancePricing, distanceKm);
+  }
+  return typeof zone?.deliveryFee === 'number' ? zone.deliveryFee : defaultDeliveryFee;
+};
+
+/**
+ * Delivery terms of a zone with the store defaults applied
+ * @param {Object} zone - Zone document
+ * @param {number} defaultDeliveryFee - Fee used when the zone has none
+ * @param {number|null} distanceKm - Customer distance, for zones priced by distance
+ * @returns {Object} - { deliveryFee, minimumOrder, freeDeliveryAbove, estimatedTime }
+ */
+export const getZoneDeliveryTerms = (zone, defaultDeliveryFee, distanceKm = null) => ({
+  deliveryFee: getFlatOrDistanceFee(zone, defaultDeliveryFee, distanceKm),
+  minimumOrder: zone?.minimumOrder || 0,
+  freeDeliveryAbove: typeof zone?.freeDeliveryAbove === 'number' ? zone.freeDeliveryAbove : null,
+  estimatedTime: zone?.estimatedTime?.min ? { min: zone.estimatedTime.min, max: zone.estimatedTime.max } : null
+});
+
+/**
+ * Delivery fee charged for a subtotal
+ * @param {Object} terms - Terms from getZoneDeliveryTerms
+ * @param {number} subtotal - Items subtotal
+ * @returns {number} - Fee in R$ (zero above the free-delivery threshold)
+ */
+export const calculateZoneDeliveryFee = (terms, subtotal) => {
+  if (terms.freeDeliveryAbove !== null && subtotal >= terms.freeDeliveryAbove) return 0;
+  return terms.deliveryFee;
+};
@@ -13,6 +13,7 @@ import Verify from "./pages/Verify/Verify";
 
 import MyOrders from "./pages/MyOrders/MyOrders";
 import Profile from "./pages/Profile/Profile";
+import Search from "./pages/Search/Search";
 
 const App = () => {
   const [showLogin, setShowLogin] = useState(false);
@@ -29,6 +30,7 @@ const App = () => {
           <Route path="/verify" element={<Verify />} />
           <Route path="/myorders" element={<MyOrders />} />
           <Route path="/profile" element={<Profile />} />
+          <Route path="/search" element={<Search />} />
         </Routes>
       </div>
       <Footer />
@@ -95,6 +95,8 @@ const ExploreMenu = ({category, setCategory}) => {
             >
               <SafeImage
                 src={item.menu_image}
+                variants={item.menu_image_variants}
+                sizes="(max-width: 1066px) 80px, 7.5vw"
                 baseUrl={url}
                 fallback="/placeholder-category.svg"
                 alt={item.menu_name}
@@ -21,6 +21,10 @@ const FoodDisplay = ({ category }) => {
                 description={item.description}
                 price={item.price ?? 0}
                 image={item.image}
+                imageVariants={item.imageVariants}
+                optionGroups={item.optionGroups}
+                available={item.available ?? true}
+                unavailableReason={item.unavailableReason}
               />
             );
         })}
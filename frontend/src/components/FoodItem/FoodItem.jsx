@@ -3,15 +3,28 @@ import "./FoodItem.css";
 import { assets } from "../../assets/frontend_assets/assets";
 import { StoreContext } from "../../context/StoreContext";
 import SafeImage from "../SafeImage/SafeImage";
+import FoodOptionsModal from "../FoodOptions/FoodOptionsModal";
+import { TRANSLATIONS } from "../../constants/translations";
 
-const FoodItem = ({ id, name, price, description, image }) => {
+const FoodItem = ({ id, name, price, description, image, imageVariants, optionGroups = [], available = true, unavailableReason }) => {
   const {cartItems,addToCart,removeFromCart,url}=useContext(StoreContext); 
+  const [choosingOptions, setChoosingOptions] = useState(false);
+
+  // Foods with options are added through the options modal
+  const onAdd = () => (optionGroups.length > 0 ? setChoosingOptions(true) : addToCart(id));
+
+  const onConfirmOptions = (options) => {
+    addToCart(id, { options });
+    setChoosingOptions(false);
+  };
 
   return (
-    <div className="food-item">
+    <div className={`food-item${available ? "" : " food-item-unavailable"}`}>
       <div className="food-item-img-container">
         <SafeImage 
           src={image}
+          variants={imageVariants}
+          sizes="(max-width: 600px) 100vw, 360px"
           baseUrl={url}
           fallback="/placeholder-food.svg"
           alt={name || "Food item"}
@@ -19,18 +32,25 @@ const FoodItem = ({ id, name, price, description, image }) => {
           lazy={true}
           rootMargin="100px"
         />
+        {!available && (
+          <p className="food-item-badge">
+            {TRANSLATIONS.availability[unavailableReason] || TRANSLATIONS.availability.DISABLED}
+          </p>
+        )}
         {!cartItems[id] ? (
-          <img
-            className="add"
-            onClick={() => addToCart(id)}
-            src={assets.add_icon_white}
-            alt=""
-          />
+          available && (
+            <img
+              className="add"
+              onClick={onAdd}
+              src={assets.add_icon_white}
+              alt=""
+            />
+          )
         ) : (
           <div className="food-item-counter">
             <img onClick={()=>removeFromCart(id)} src={assets.remove_icon_red} alt="" />
             <p>{cartItems[id]}</p>
-            <img onClick={()=>addToCart(id)} src={assets.add_icon_green} alt="" />
+            {available && <img onClick={onAdd} src={assets.add_icon_green} alt="" />}
           </div>
         )}
       </div>
@@ -42,6 +62,15 @@ const FoodItem = ({ id, name, price, description, image }) => {
         <p className="food-item-desc">{description}</p>
         <p className="food-item-price">${price}</p>
       </div>
+      {choosingOptions && (
+        <FoodOptionsModal
+          name={name}
+          price={price}
+          optionGroups={optionGroups}
+          onConfirm={onConfirmOptions}
+          onClose={() => setChoosingOptions(false)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import "./FoodOptionsModal.css";
+import { assets } from "../../assets/frontend_assets/assets";
+import { TRANSLATIONS } from "../../constants/translations";
+
+const formatPrice = (value) => `R$ ${Number(value).toFixed(2).replace(".", ",")}`;
+
+/**
+ * Choose the options of a food (size, add-ons...) before adding it to the cart
+ * Groups with max 1 are radios, the others checkboxes capped at max. The
+ * server checks the same rules and prices the options again.
+ */
+const FoodOptionsModal = ({ name, price, optionGroups, onConfirm, onClose }) => {
+  const [selected, setSelected] = useState({});
+
+  const toggleOption = (group, optionId) => {
+    setSelected((prev) => {
+      const current = prev[group._id] || [];
+      if (group.max === 1) {
+        return { ...prev, [group._id]: current.includes(optionId) && group.min === 0 ? [] : [optionId] };
+      }
+      if (current.includes(optionId)) {
+        return { ...prev, [group._id]: current.filter((id) => id !== optionId) };
+      }
+      return current.length < group.max ? { ...prev, [group._id]: [...current, optionId] } : prev;
+    });
+  };
+
+  const missing = optionGroups.filter((group) => (selected[group._id] || []).length < group.min);
+  const extra = optionGroups.reduce(
+    (total, group) =>
+      total +
+      group.options
+        .filter((option) => (selected[group._id] || []).includes(option._id))
+        .reduce((sum, option) => sum + (option.price || 0), 0),
+    0
+  );
+
+  const onSubmit = (event) => {
+    event.preventDefault();
+    if (missing.length > 0) return;
+    onConfirm(Object.values(selected).flat());
+  };
+
+  return (
+    <div className="food-options-overlay">
+      <form className="food-options-modal" onSubmit={onSubmit}>
+        <div className="food-options-title">
+          <h3>{name}</h3>
+          <img onClick={onClose} src={assets.cross_icon} alt="" />
+        </div>
+        {optionGroups.map((group) => (
+          <fieldset key={group._id} className="food-options-group">
+            <legend>
+              {group.name}
+              <span>
+                {group.min > 0
+                  ? TRANSLATIONS.options.required
+                  : TRANSLATIONS.options.upTo.replace("{max}", group.max)}
+              </span>
+            </legend>
+            {group.options.map((option) => (
+              <label key={option._id}>
+                <input
+                  type={group.max === 1 ? "radio" : "checkbox"}
+                  name={group._id}
+                  checked={(selected[group._id] || []).includes(option._id)}
+                  onChange={() => toggleOption(group, option._id)}
+                />
+                <span>{option.name}</span>
+                {option.price > 0 && <span className="food-options-price">+ {formatPrice(option.price)}</span>}
+              </label>
+            ))}
+          </fieldset>
+        ))}
+        <button type="submit" disabled={missing.length > 0}>
+          {TRANSLATIONS.options.addToCart} · {formatPrice(price + extra)}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default FoodOptionsModal;
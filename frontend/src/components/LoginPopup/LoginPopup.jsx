@@ -3,13 +3,27 @@ import "./LoginPopup.css";
 import { assets } from "../../assets/frontend_assets/assets";
 import { StoreContext } from "../../context/StoreContext";
 import { TRANSLATIONS, getWelcomeMessage } from "../../constants/translations";
-import axios from "axios";
 import { toast } from "react-toastify";
+import {
+  loginWithPassword,
+  registerWithPassword,
+  requestLoginCode,
+  verifyLoginCode,
+} from "../../services/authAPI";
 
 const LoginPopup = ({ setShowLogin }) => {
-  const { url, setToken, setUser } = useContext(StoreContext);
+  const { url, saveSession } = useContext(StoreContext);
+  // "password" (name + password) or "whatsapp" (one-time code)
+  const [method, setMethod] = useState("password");
+  const [currState, setCurrState] = useState("Login");
+  const [codeSent, setCodeSent] = useState(false);
+  const [needsName, setNeedsName] = useState(false);
+  const [loading, setLoading] = useState(false);
   const [data, setData] = useState({
     name: "",
+    password: "",
+    whatsapp: "",
+    code: "",
   });
 
   const onChangeHandler = (event) => {
@@ -18,56 +32,215 @@ const LoginPopup = ({ setShowLogin }) => {
     setData((data) => ({ ...data, [name]: value }));
   };
 
-  const onLogin = async (event) => {
-    event.preventDefault();
+  const switchMethod = (nextMethod) => {
+    setMethod(nextMethod);
+    setCodeSent(false);
+    setNeedsName(false);
+  };
+
+  const finishLogin = (session) => {
+    saveSession(session);
+    toast.success(getWelcomeMessage(session.user.name));
+    setShowLogin(false);
+  };
+
+  const showError = (error) => {
+    console.error("Login error:", error);
+    toast.error(
+      error.response?.data?.message ||
+        TRANSLATIONS.messages.connectionError ||
+        "Erro de conexão. Tente novamente."
+    );
+  };
+
+  const onPasswordSubmit = async () => {
     if (!data.name || data.name.trim() === "") {
       toast.error(TRANSLATIONS.authentication.pleaseEnterName);
       return;
     }
-    
+    const response =
+      currState === "Login"
+        ? await loginWithPassword(url, { name: data.name, password: data.password })
+        : await registerWithPassword(url, {
+            name: data.name,
+            password: data.password,
+            whatsapp: data.whatsapp || undefined,
+          });
+    finishLogin(response.data);
+  };
+
+  const onWhatsappSubmit = async () => {
+    if (!codeSent) {
+      await requestLoginCode(url, data.whatsapp);
+      setCodeSent(true);
+      toast.success(TRANSLATIONS.authentication.codeSent);
+      return;
+    }
     try {
-      const response = await axios.post(url + "/api/user/login", data);
-      if (response.data.success) {
-        setToken(response.data.token);
-        setUser(response.data.user);
-        localStorage.setItem("token", response.data.token);
-        localStorage.setItem("user", JSON.stringify(response.data.user));
-        toast.success(getWelcomeMessage(data.name));
-        setShowLogin(false);
+      const response = await verifyLoginCode(url, {
+        whatsapp: data.whatsapp,
+        code: data.code,
+        name: needsName ? data.name : undefined,
+      });
+      finishLogin(response.data);
+    } catch (error) {
+      // First login with this number: ask for a name and resend the same code
+      if (error.response?.data?.code === "NAME_REQUIRED") {
+        setNeedsName(true);
+        toast.info(TRANSLATIONS.authentication.newCustomerName);
+        return;
+      }
+      throw error;
+    }
+  };
+
+  const onLogin = async (event) => {
+    event.preventDefault();
+    setLoading(true);
+    try {
+      if (method === "password") {
+        await onPasswordSubmit();
       } else {
-        toast.error(response.data.message);
+        await onWhatsappSubmit();
       }
     } catch (error) {
-      console.error("Login error:", error);
-      toast.error(TRANSLATIONS.messages.connectionError || "Erro de conexão. Tente novamente.");
+      showError(error);
+    } finally {
+      setLoading(false);
     }
   };
+
+  const title =
+    method === "whatsapp"
+      ? TRANSLATIONS.authentication.useWhatsapp
+      : currState === "Login"
+      ? TRANSLATIONS.authentication.login
+      : TRANSLATIONS.authentication.createAccount;
+
   return (
     <div className="login-popup">
       <form onSubmit={onLogin} className="login-popup-container">
         <div className="login-popup-title">
-          <h2>{TRANSLATIONS.authentication.enterYourName}</h2>
+          <h2>{title}</h2>
           <img
             onClick={() => setShowLogin(false)}
             src={assets.cross_icon}
             alt=""
           />
         </div>
-        <div className="login-popup-inputs">
-          <input
-            name="name"
-            onChange={onChangeHandler}
-            value={data.name}
-            type="text"
-            placeholder={TRANSLATIONS.authentication.yourName}
-            required
-          />
-        </div>
-        <button type="submit">{TRANSLATIONS.authentication.enter}</button>
+        {method === "password" ? (
+          <div className="login-popup-inputs">
+            <input
+              name="name"
+              onChange={onChangeHandler}
+              value={data.name}
+              type="text"
+              placeholder={TRANSLATIONS.authentication.yourName}
+              autoComplete="username"
+              required
+            />
+            <input
+              name="password"
+              onChange={onChangeHandler}
+              value={data.password}
+              type="password"
+              placeholder={
+                currState === "Login"
+                  ? TRANSLATIONS.authentication.password
+                  : TRANSLATIONS.authentication.passwordHint
+              }
+              autoComplete={currState === "Login" ? "current-password" : "new-password"}
+              minLength={currState === "Login" ? undefined : 6}
+              required
+            />
+            {currState === "Sign Up" && (
+              <input
+                name="whatsapp"
+                onChange={onChangeHandler}
+                value={data.whatsapp}
+                type="tel"
+                placeholder={TRANSLATIONS.authentication.whatsappOptional}
+              />
+            )}
+          </div>
+        ) : (
+          <div className="login-popup-inputs">
+            <input
+              name="whatsapp"
+              onChange={onChangeHandler}
+              value={data.whatsapp}
+              type="tel"
+              placeholder={TRANSLATIONS.authentication.whatsappPlaceholder}
+              disabled={codeSent}
+              required
+            />
+            {codeSent && (
+              <input
+                name="code"
+                onChange={onChangeHandler}
+                value={data.code}
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                maxLength={6}
+                placeholder={TRANSLATIONS.authentication.codePlaceholder}
+                required
+              />
+            )}
+            {needsName && (
+              <input
+                name="name"
+                onChange={onChangeHandler}
+                value={data.name}
+                type="text"
+                placeholder={TRANSLATIONS.authentication.yourName}
+                required
+              />
+            )}
+          </div>
+        )}
+        <button type="submit" disabled={loading}>
+          {method === "whatsapp"
+            ? codeSent
+              ? TRANSLATIONS.authentication.confirmCode
+              : TRANSLATIONS.authentication.sendCode
+            : currState === "Login"
+            ? TRANSLATIONS.authentication.login
+            : TRANSLATIONS.authentication.createAccount}
+        </button>
         <div className="login-popup-condition">
           <input type="checkbox" required />
           <p>{TRANSLATIONS.authentication.termsCondition}</p>
         </div>
+        {method === "password" ? (
+          <>
+            {currState === "Login" ? (
+              <p>
+                {TRANSLATIONS.authentication.noAccount}{" "}
+                <span onClick={() => setCurrState("Sign Up")}>{TRANSLATIONS.authentication.clickHere}</span>
+              </p>
+            ) : (
+              <p>
+                {TRANSLATIONS.authentication.haveAccount}{" "}
+                <span onClick={() => setCurrState("Login")}>{TRANSLATIONS.authentication.clickHere}</span>
+              </p>
+            )}
+            <p>
+              <span onClick={() => switchMethod("whatsapp")}>{TRANSLATIONS.authentication.useWhatsapp}</span>
+            </p>
+          </>
+        ) : (
+          <>
+            {codeSent && (
+              <p>
+                <span onClick={() => switchMethod("whatsapp")}>{TRANSLATIONS.authentication.changeNumber}</span>
+              </p>
+            )}
+            <p>
+              <span onClick={() => switchMethod("password")}>{TRANSLATIONS.authentication.usePassword}</span>
+            </p>
+          </>
+        )}
       </form>
     </div>
   );
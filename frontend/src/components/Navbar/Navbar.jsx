@@ -5,17 +5,16 @@ import { Link, useNavigate } from "react-router-dom";
 import { StoreContext } from "../../context/StoreContext";
 import { toast } from "react-toastify";
 import { TRANSLATIONS } from "../../constants/translations";
+import { describeStoreStatus } from "../../utils/storeStatus";
+import SearchBox from "../SearchBox/SearchBox";
 
 const Navbar = ({ setShowLogin }) => {
   const [menu, setMenu] = useState("home");
-  const { getTotalCartAmount, token, setToken, user, setUser } = useContext(StoreContext);
+  const { getTotalCartAmount, token, user, storeStatus, logout: endSession } = useContext(StoreContext);
   const navigate=useNavigate();
 
-  const logout=()=>{
-    localStorage.removeItem("token");
-    localStorage.removeItem("user");
-    setToken("");
-    setUser(null);
+  const logout=async()=>{
+    await endSession();
     toast.success(TRANSLATIONS.authentication.logoutSuccess)
     navigate("/");
   }
@@ -24,6 +23,11 @@ const Navbar = ({ setShowLogin }) => {
       <Link to="/" className="navbar-brand">
         <span className="brand-name">Pastelaria do Gilson</span>
       </Link>
+      {storeStatus && (
+        <span className={`navbar-store-status ${storeStatus.open ? "open" : "closed"}`}>
+          {describeStoreStatus(storeStatus)}
+        </span>
+      )}
       <ul className="navbar-menu">
         <Link
           to="/"
@@ -49,7 +53,7 @@ const Navbar = ({ setShowLogin }) => {
         </a>
       </ul>
       <div className="navbar-right">
-        <img src={assets.search_icon} alt="" />
+        <SearchBox />
         <div className="navbar-search-icon">
           <Link to="/cart">
             <img src={assets.basket_icon} alt="" />
@@ -0,0 +1,132 @@
+import React, { useContext, useEffect, useRef, useState } from "react";
+import "./SearchBox.css";
+import axios from "axios";
+import { useNavigate } from "react-router-dom";
+import { assets } from "../../assets/frontend_assets/assets";
+import { StoreContext } from "../../context/StoreContext";
+import SafeImage from "../SafeImage/SafeImage";
+import { TRANSLATIONS } from "../../constants/translations";
+
+const MIN_QUERY_LENGTH = 2;
+const SUGGESTION_LIMIT = 6;
+const TYPING_DELAY_MS = 250;
+
+const SearchBox = () => {
+  const { url } = useContext(StoreContext);
+  const navigate = useNavigate();
+  const [query, setQuery] = useState("");
+  const [suggestions, setSuggestions] = useState([]);
+  // Text the current suggestions answer, so "no results" waits for the answer
+  const [answered, setAnswered] = useState("");
+  const [open, setOpen] = useState(false);
+  // Suggestion picked with the arrow keys; -1 searches the typed text
+  const [highlighted, setHighlighted] = useState(-1);
+  const lastRequest = useRef(0);
+
+  // Ask for suggestions once the customer stops typing
+  useEffect(() => {
+    const text = query.trim();
+    if (text.length < MIN_QUERY_LENGTH) {
+      setSuggestions([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      // Answers can arrive out of order; only the latest one is shown
+      const requestId = ++lastRequest.current;
+      try {
+        const response = await axios.get(url + "/api/food/search", { params: { q: text, limit: SUGGESTION_LIMIT } });
+        if (requestId === lastRequest.current && response.data.success) {
+          setSuggestions(response.data.data);
+          setAnswered(text);
+          setHighlighted(-1);
+        }
+      } catch (error) {
+        console.error("Error fetching search suggestions:", error);
+      }
+    }, TYPING_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query, url]);
+
+  const search = (text) => {
+    const value = text.trim();
+    if (!value) return;
+    setOpen(false);
+    navigate(`/search?q=${encodeURIComponent(value)}`);
+  };
+
+  const onSubmit = (event) => {
+    event.preventDefault();
+    search(highlighted >= 0 ? suggestions[highlighted].name : query);
+  };
+
+  const onKeyDown = (event) => {
+    if (event.key === "ArrowDown" && suggestions.length > 0) {
+      event.preventDefault();
+      setOpen(true);
+      setHighlighted((index) => (index + 1) % suggestions.length);
+    } else if (event.key === "ArrowUp" && suggestions.length > 0) {
+      event.preventDefault();
+      setHighlighted((index) => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (event.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  const showSuggestions = open && query.trim().length >= MIN_QUERY_LENGTH
+    && (suggestions.length > 0 || answered === query.trim());
+
+  return (
+    <form className="search-box" role="search" onSubmit={onSubmit}>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onKeyDown={onKeyDown}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        placeholder={TRANSLATIONS.search.placeholder}
+        aria-label={TRANSLATIONS.search.placeholder}
+        aria-expanded={showSuggestions}
+        aria-autocomplete="list"
+        autoComplete="off"
+      />
+      <button type="submit" aria-label={TRANSLATIONS.search.submit}>
+        <img src={assets.search_icon} alt="" />
+      </button>
+      {showSuggestions && (
+        <ul className="search-box-suggestions" role="listbox">
+          {suggestions.length === 0 && <li className="search-box-empty">{TRANSLATIONS.search.noSuggestions}</li>}
+          {suggestions.map((food, index) => (
+            <li
+              key={food._id}
+              role="option"
+              aria-selected={index === highlighted}
+              className={`${index === highlighted ? "highlighted" : ""}${food.available === false ? " unavailable" : ""}`}
+              // Keeps the input focused so the list stays open for the click
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => search(food.name)}
+            >
+              <SafeImage
+                src={food.image}
+                variants={food.imageVariants}
+                sizes="36px"
+                baseUrl={url}
+                fallback="/placeholder-food.svg"
+                alt={food.name}
+                lazy={false}
+              />
+              <span className="search-box-name">{food.name}</span>
+              <span className="search-box-price">${food.price}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </form>
+  );
+};
+
+export default SearchBox;
@@ -23,7 +23,25 @@ export const TRANSLATIONS = {
     pleaseEnterName: "Por favor, digite seu nome",
     termsCondition: "Ao continuar, eu concordo com os termos de uso e política de privacidade.",
     logoutSuccess: "Logout realizado com sucesso",
-    pleaseLoginFirst: "Por favor, faça login primeiro"
+    pleaseLoginFirst: "Por favor, faça login primeiro",
+    login: "Entrar",
+    createAccount: "Criar conta",
+    password: "Senha",
+    passwordHint: "Senha (mínimo 6 caracteres)",
+    whatsappOptional: "WhatsApp com DDD (opcional)",
+    whatsappPlaceholder: "Seu WhatsApp com DDD",
+    usePassword: "Entrar com nome e senha",
+    useWhatsapp: "Entrar com código pelo WhatsApp",
+    sendCode: "Enviar código",
+    codePlaceholder: "Código de 6 dígitos",
+    confirmCode: "Confirmar código",
+    codeSent: "Enviamos um código para o seu WhatsApp",
+    newCustomerName: "Primeiro acesso? Informe seu nome para concluir o cadastro",
+    noAccount: "Não tem conta?",
+    haveAccount: "Já tem conta?",
+    clickHere: "Clique aqui",
+    changeNumber: "Trocar número",
+    sessionExpired: "Sua sessão expirou. Faça login novamente."
   },
 
   // Header and main content
@@ -40,6 +58,29 @@ export const TRANSLATIONS = {
     topDishes: "Principais pratos perto de você"
   },
 
+  // Menu search
+  search: {
+    placeholder: "Buscar no cardápio",
+    submit: "Buscar",
+    noSuggestions: "Nenhum item encontrado",
+    title: "Cardápio",
+    resultsFor: "Resultados para \"{query}\"",
+    count: "{total} item(ns)",
+    noResults: "Nenhum item encontrado. Tente outra palavra ou remova os filtros.",
+    allCategories: "Todas as categorias",
+    minPrice: "Preço mín.",
+    maxPrice: "Preço máx.",
+    availableOnly: "Somente disponíveis",
+    sorts: {
+      popularity: "Mais pedidos",
+      price_asc: "Menor preço",
+      price_desc: "Maior preço",
+      name: "Nome (A-Z)"
+    },
+    loadMore: "Carregar mais",
+    loading: "Carregando..."
+  },
+
   // Cart related texts
   cart: {
     items: "Itens",
@@ -51,11 +92,46 @@ export const TRANSLATIONS = {
     cartTotals: "Total do Carrinho",
     subtotal: "Subtotal",
     deliveryFee: "Taxa de Entrega",
+    deliveryByNeighborhood: "Conforme o bairro de entrega",
     proceedToCheckout: "FINALIZAR COMPRA",
     promoCode: "Se você tem um código promocional, digite aqui",
     promoCodePlaceholder: "código promocional",
     submit: "Enviar",
-    pleaseAddItems: "Por favor, adicione itens ao carrinho"
+    discount: "Desconto",
+    promoApplied: "Cupom aplicado",
+    removePromo: "Remover cupom",
+    pleaseAddItems: "Por favor, adicione itens ao carrinho",
+    notePlaceholder: "Observação (ex.: sem cebola)",
+    unavailable: "Item indisponível"
+  },
+
+  // Store opening hours
+  store: {
+    open: "Aberto",
+    closed: "Fechado",
+    paused: "Pausado",
+    closesAt: "fecha às",
+    opensAt: "abre",
+    tomorrow: "amanhã",
+    closedCheckout: "A loja está fechada no momento. Tente novamente quando abrirmos.",
+    deliveryTime: "Horário de entrega",
+    asSoonAsPossible: "Assim que possível",
+    chooseTime: "Escolha um horário de entrega",
+    scheduledFor: "Agendado para"
+  },
+
+  // Why a food cannot be ordered right now (reasons from the API)
+  availability: {
+    DISABLED: "Indisponível",
+    OUT_OF_STOCK: "Esgotado",
+    OUT_OF_SCHEDULE: "Fora do horário"
+  },
+
+  // Food options (sizes, add-ons)
+  options: {
+    required: "Obrigatório",
+    upTo: "Até {max}",
+    addToCart: "Adicionar"
   },
 
   // Order placement and delivery
@@ -64,10 +140,32 @@ export const TRANSLATIONS = {
     street: "Rua",
     number: "Número", 
     cep: "CEP (Opcional)",
+    lookingUpCep: "Buscando CEP...",
+    cepLookupFailed: "Não foi possível consultar o CEP",
+    cepNotServed: "Ainda não entregamos em {neighborhood}",
+    complement: "Complemento (Opcional)",
+    reference: "Ponto de referência (Opcional)",
+    newAddress: "Novo endereço",
+    removeAddress: "Remover",
+    saveAddress: "Salvar este endereço",
+    addressLabel: "Nome do endereço (ex.: Casa, Trabalho)",
+    useMyLocation: "Usar minha localização",
+    locating: "Localizando...",
+    locationDenied: "Não foi possível obter sua localização",
+    locationUnavailable: "Seu navegador não informa a localização",
+    locationNotServed: "Ainda não entregamos neste endereço",
+    distance: "{km} km da loja",
+    neighborhood: "Bairro",
     phone: "Telefone",
     phonePlaceholder: "(11) 99999-9999",
     selectNeighborhood: "Selecione o Bairro",
     deliveryZone: "Zona de Entrega",
+    estimatedTime: "Tempo estimado",
+    minutes: "min",
+    minimumOrder: "Pedido mínimo",
+    freeDeliveryAbove: "Entrega grátis a partir de",
+    freeDelivery: "Grátis",
+    belowMinimum: "O pedido mínimo para este bairro é R$ {amount}",
     proceedToPayment: "PROSSEGUIR PARA PAGAMENTO",
     orders: "Pedidos",
     items: "itens",
@@ -75,12 +173,45 @@ export const TRANSLATIONS = {
     driver: "Entregador",
     contactDriver: "Falar com Entregador",
     driverNotAssigned: "Entregador ainda não definido",
+    statusChanged: "Seu pedido agora está",
+    driverAssigned: "Entregador definido",
     // Order status translations
     status: {
       paid: "Pago",
       failed: "Falhou",
       pending: "Pendente",
-      outForDelivery: "Saiu para Entrega"
+      foodProcessing: "Em Preparo",
+      outForDelivery: "Saiu para Entrega",
+      delivered: "Entregue",
+      cancelled: "Cancelado",
+      expired: "Expirado"
+    },
+    // Cancellation and refunds
+    cancelOrder: "Cancelar Pedido",
+    confirmCancel: "Deseja mesmo cancelar este pedido?",
+    refund: {
+      full: "Reembolso total",
+      partial: "Reembolso parcial",
+      approved: "concluído",
+      processing: "em processamento",
+      manual: "devolvido pela loja"
+    },
+    // Payment methods
+    paymentMethod: "Forma de Pagamento",
+    noPaymentMethods: "Nenhuma forma de pagamento disponível no momento",
+    placeOrder: "FINALIZAR PEDIDO",
+    paymentMethods: {
+      mercadopago: "Cartão ou PIX online (Mercado Pago)",
+      pix: "PIX (QR Code)",
+      cashOnDelivery: "Dinheiro na entrega",
+      cardOnDelivery: "Cartão na entrega (maquininha)"
+    },
+    pix: {
+      title: "Pague com PIX",
+      instructions: "Escaneie o QR Code ou copie o código no app do seu banco. Seu pedido será preparado assim que confirmarmos o pagamento.",
+      copy: "Copiar código PIX",
+      copied: "Código PIX copiado",
+      goToOrders: "Ver Meus Pedidos"
     }
   },
 
@@ -138,7 +269,11 @@ export const TRANSLATIONS = {
     itemAdded: "Item adicionado ao carrinho",
     itemRemoved: "Item removido do carrinho",
     orderPlaced: "Pedido realizado com sucesso",
+    paymentProcessing: "Pagamento em processamento. Acompanhe o status em Meus Pedidos.",
+    paymentFailed: "Pagamento não aprovado. Tente novamente.",
     orderCancelled: "Pedido cancelado",
+    refundFailedAfterCancel: "Pedido cancelado. O reembolso não foi concluído agora, a loja vai fazê-lo em seguida.",
+    errorCancellingOrder: "Não foi possível cancelar o pedido",
     networkError: "Erro de conexão. Tente novamente.",
     serverError: "Erro no servidor. Tente novamente mais tarde.",
     errorFetchingProducts: "Erro! Não foi possível carregar os produtos.",
@@ -205,12 +340,32 @@ export const getOrderStatusTranslation = (status) => {
     "Paid": TRANSLATIONS.order.status.paid,
     "Failed": TRANSLATIONS.order.status.failed,
     "Pending": TRANSLATIONS.order.status.pending,
-    "Out for delivery": TRANSLATIONS.order.status.outForDelivery
+    "Food Processing": TRANSLATIONS.order.status.foodProcessing,
+    "Out for delivery": TRANSLATIONS.order.status.outForDelivery,
+    "Delivered": TRANSLATIONS.order.status.delivered,
+    "Cancelled": TRANSLATIONS.order.status.cancelled,
+    "Expired": TRANSLATIONS.order.status.expired
   };
   
   return statusMap[status] || status;
 };
 
+/**
+ * Helper function to get payment method translation
+ * @param {string} method - Payment method ID stored on the order
+ * @returns {string} Translated payment method
+ */
+export const getPaymentMethodTranslation = (method) => {
+  const methodMap = {
+    "mercadopago": TRANSLATIONS.order.paymentMethods.mercadopago,
+    "pix": TRANSLATIONS.order.paymentMethods.pix,
+    "cash_on_delivery": TRANSLATIONS.order.paymentMethods.cashOnDelivery,
+    "card_on_delivery": TRANSLATIONS.order.paymentMethods.cardOnDelivery
+  };
+
+  return methodMap[method] || method;
+};
+
 /**
  * Helper function to get translation with user name interpolation
  * @param {string} key - Translation key
@@ -36,6 +36,7 @@ export const CategoryContextProvider = ({ children }) => {
         menu_name: category.name,
         original_name: category.originalName || category.name,
         menu_image: categoryAPI.getCategoryImageURL(category.image),
+        menu_image_variants: category.imageVariants,
         slug: category.slug,
         isActive: category.isActive,
         order: category.order
@@ -2,63 +2,140 @@ import axios from "axios";
 import { createContext, useEffect, useState } from "react";
 import { toast } from "react-toastify";
 import { TRANSLATIONS } from "../constants/translations";
+import {
+  storeSession,
+  clearStoredSession,
+  getStoredRefreshToken,
+  logoutSession,
+  setupTokenRefresh,
+} from "../services/authAPI";
+import {
+  EMPTY_CART,
+  loadGuestCart,
+  saveGuestCart,
+  addGuestLine,
+  removeGuestUnit,
+  setGuestQuantity,
+  setGuestNote,
+  priceGuestCart,
+  countByItem,
+  toOrderItems,
+} from "../utils/cart";
 
 export const StoreContext = createContext(null);
 
+const STORE_STATUS_REFRESH_MS = 60 * 1000;
+
 const StoreContextProvider = (props) => {
-  const [cartItems, setCartItems] = useState({});
   const url = import.meta.env.VITE_BACKEND_URL || "http://localhost:4000";
   const [token, setToken] = useState("");
   const [user, setUser] = useState(null);
   const [food_list, setFoodList] = useState([]);
+  // Priced cart from the server (logged in) and lines kept in the browser (guest)
+  const [serverCart, setServerCart] = useState(EMPTY_CART);
+  const [guestLines, setGuestLines] = useState(loadGuestCart);
+  const [storeStatus, setStoreStatus] = useState(null);
+  // Coupon applied to the cart, priced by the server ({ code, discount, promotion, total, ... })
+  const [promo, setPromo] = useState(null);
 
-  const addToCart = async (itemId) => {
-    if (!cartItems[itemId]) {
-      setCartItems((prev) => ({ ...prev, [itemId]: 1 }));
-    } else {
-      setCartItems((prev) => ({ ...prev, [itemId]: prev[itemId] + 1 }));
-    }
-    if (token) {
-      const response=await axios.post(
-        url + "/api/cart/add",
-        { itemId },
-        { headers: { token } }
-      );
-      if(response.data.success){
-        toast.success(TRANSLATIONS.messages.itemAdded)
-      }else{
-        toast.error(TRANSLATIONS.messages.serverError)
+  const cart = token ? serverCart : priceGuestCart(guestLines, food_list);
+  const cartItems = countByItem(cart.lines);
+
+  const updateGuestCart = (update) => {
+    setGuestLines((prev) => {
+      const lines = update(prev);
+      saveGuestCart(lines);
+      return lines;
+    });
+  };
+
+  // Run a cart request and keep the priced cart it returns
+  const cartRequest = async (path, body, successMessage) => {
+    try {
+      const response = await axios.post(url + "/api/cart/" + path, body, { headers: { token } });
+      if (response.data.success) {
+        setServerCart(response.data.data);
+        if (successMessage) toast.success(successMessage);
+      } else {
+        toast.error(response.data.message || TRANSLATIONS.messages.serverError);
       }
+    } catch (error) {
+      // 400/404: invalid item or item no longer on the menu
+      toast.error(error.response?.data?.message || TRANSLATIONS.messages.serverError);
+    }
+  };
+
+  const addToCart = async (itemId, { quantity = 1, options = [], note = "" } = {}) => {
+    if (!token) {
+      updateGuestCart((lines) => addGuestLine(lines, { itemId, quantity, options, note }));
+      return;
     }
+    await cartRequest("add", { itemId, quantity, options, note }, TRANSLATIONS.messages.itemAdded);
   };
 
+  // Take one unit of a food off the cart
   const removeFromCart = async (itemId) => {
-    setCartItems((prev) => ({ ...prev, [itemId]: prev[itemId] - 1 }));
-    if (token) {
-      const response= await axios.post(
-        url + "/api/cart/remove",
-        { itemId },
-        { headers: { token } }
-      );
-      if(response.data.success){
-        toast.success(TRANSLATIONS.messages.itemRemoved)
-      }else{
-        toast.error(TRANSLATIONS.messages.serverError)
-      }
+    if (!token) {
+      updateGuestCart((lines) => removeGuestUnit(lines, itemId));
+      return;
     }
+    await cartRequest("remove", { itemId }, TRANSLATIONS.messages.itemRemoved);
   };
 
-  const getTotalCartAmount = () => {
-    let totalAmount = 0;
-    for (const item in cartItems) {
-      if (cartItems[item] > 0) {
-        let itemInfo = food_list.find((product) => product._id === item);
-        totalAmount += itemInfo.price * cartItems[item];
+  // Set the quantity of a cart line (0 removes it)
+  const setLineQuantity = async (lineId, quantity) => {
+    if (!token) {
+      updateGuestCart((lines) => setGuestQuantity(lines, lineId, quantity));
+      return;
+    }
+    await cartRequest("set", { lineId, quantity });
+  };
+
+  // Change the note of a cart line (e.g. "sem cebola")
+  const setLineNote = async (lineId, note) => {
+    if (!token) {
+      updateGuestCart((lines) => setGuestNote(lines, lineId, note));
+      return;
+    }
+    await cartRequest("line", { lineId, note });
+  };
+
+  // Forget the local copy of the cart (the server empties it when an order is placed)
+  const resetCart = () => {
+    setServerCart(EMPTY_CART);
+    updateGuestCart(() => []);
+    setPromo(null);
+  };
+
+  // Price the cart with a coupon; the neighborhood adds the zone's delivery fee
+  const applyPromoCode = async (code, { neighborhood, location } = {}) => {
+    if (!token) {
+      toast.error(TRANSLATIONS.authentication.pleaseLoginFirst);
+      return null;
+    }
+    try {
+      const response = await axios.post(
+        url + "/api/promo/validate",
+        { code, items: toOrderItems(cart.lines), neighborhood, location },
+        { headers: { token } }
+      );
+      if (response.data.success) {
+        setPromo(response.data.data);
+        return response.data.data;
       }
+      toast.error(response.data.message || TRANSLATIONS.messages.serverError);
+    } catch (error) {
+      // Expired, exhausted or not valid for this cart
+      toast.error(error.response?.data?.message || TRANSLATIONS.messages.serverError);
     }
-    return totalAmount;
+    setPromo(null);
+    return null;
   };
 
+  const clearPromo = () => setPromo(null);
+
+  const getTotalCartAmount = () => cart.subtotal;
+
   const fetchFoodList = async () => {
     const response = await axios.get(url + "/api/food/list");
     if (response.data.success) {
@@ -68,24 +145,90 @@ const StoreContextProvider = (props) => {
     }
   };
 
-  const loadCardData = async (token) => {
-    const response = await axios.post(
-      url + "/api/cart/get",
-      {},
-      { headers: { token } }
-    );
-    setCartItems(response.data.cartData);
+  // Open/closed status, next opening and scheduled-order slots
+  const fetchStoreStatus = async () => {
+    try {
+      const response = await axios.get(url + "/api/store/status");
+      if (response.data.success) {
+        setStoreStatus(response.data.data);
+      }
+    } catch (error) {
+      console.error("Error fetching store status:", error);
+    }
+  };
+
+  // Opening and closing happen while the page is open
+  useEffect(() => {
+    fetchStoreStatus();
+    const interval = setInterval(fetchStoreStatus, STORE_STATUS_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [url]);
+
+  // Persist a session returned by login/register/refresh
+  const saveSession = (session) => {
+    storeSession(session);
+    setToken(session.token);
+    if (session.user) {
+      setUser(session.user);
+    }
+  };
+
+  const clearSession = () => {
+    clearStoredSession();
+    setToken("");
+    setUser(null);
+    setServerCart(EMPTY_CART);
+    setPromo(null);
+  };
+
+  const logout = async () => {
+    await logoutSession(url);
+    clearSession();
   };
 
+  // Refresh the short-lived access token whenever the API reports it expired
+  useEffect(() => {
+    return setupTokenRefresh(url, {
+      onRefreshed: (session) => setToken(session.token),
+      onSessionExpired: () => {
+        clearSession();
+        toast.error(TRANSLATIONS.authentication.sessionExpired);
+      },
+    });
+  }, [url]);
+
+  // Load the saved cart, first merging what the customer added as a guest
+  const loadCartData = async (token) => {
+    const lines = loadGuestCart();
+    const response = lines.length > 0
+      ? await axios.post(url + "/api/cart/merge", { items: lines }, { headers: { token } })
+      : await axios.post(url + "/api/cart/get", {}, { headers: { token } });
+    if (response.data.success) {
+      setServerCart(response.data.data);
+      if (lines.length > 0) {
+        updateGuestCart(() => []);
+      }
+    }
+  };
+
+  useEffect(() => {
+    if (token) {
+      loadCartData(token).catch((error) => console.error("Error loading cart:", error));
+    }
+  }, [token]);
+
   useEffect(() => {
     async function loadData() {
       await fetchFoodList();
       
       // Verificar se localStorage está disponível
       try {
+        // Sessions from before refresh tokens existed can no longer be used
+        if (localStorage.getItem("token") && !getStoredRefreshToken()) {
+          clearStoredSession();
+        }
         if (localStorage.getItem("token")) {
           setToken(localStorage.getItem("token"));
-          await loadCardData(localStorage.getItem("token"));
         }
         if (localStorage.getItem("user")) {
           try {
@@ -106,16 +249,26 @@ const StoreContextProvider = (props) => {
 
   const contextValue = {
     food_list,
+    cart,
     cartItems,
-    setCartItems,
     addToCart,
     removeFromCart,
+    setLineQuantity,
+    setLineNote,
+    resetCart,
     getTotalCartAmount,
+    promo,
+    applyPromoCode,
+    clearPromo,
+    storeStatus,
+    fetchStoreStatus,
     url,
     token,
     setToken,
     user,
     setUser,
+    saveSession,
+    logout,
   };
   return (
     <StoreContext.Provider value={contextValue}>
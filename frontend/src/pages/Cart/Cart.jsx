@@ -1,21 +1,45 @@
-import React, { useContext } from "react";
+import React, { useContext, useEffect, useState } from "react";
 import "./Cart.css";
 import { StoreContext } from "../../context/StoreContext";
 import { useNavigate } from "react-router-dom";
 import { TRANSLATIONS } from "../../constants/translations";
+import { getItemsTotal } from "../../utils/cart";
+import { toast } from "react-toastify";
 
 const Cart = () => {
   const {
-    food_list,
-    cartItems,
-    setCartItems,
-    addToCart,
-    removeFromCart,
-    getTotalCartAmount,
+    cart,
+    setLineQuantity,
+    setLineNote,
+    promo,
+    applyPromoCode,
+    clearPromo,
     url
   } = useContext(StoreContext);
 
   const navigate=useNavigate();
+  const [promoInput, setPromoInput] = useState(promo?.code || "");
+
+  // The discount depends on the cart: price the coupon again when it changes
+  useEffect(() => {
+    if (promo && cart.itemCount > 0 && promo.subtotal !== cart.subtotal) {
+      applyPromoCode(promo.code);
+    }
+  }, [cart.subtotal]);
+
+  const submitPromo = async (event) => {
+    event.preventDefault();
+    if (!promoInput.trim()) return;
+    const quote = await applyPromoCode(promoInput);
+    if (quote) {
+      toast.success(TRANSLATIONS.cart.promoApplied);
+    }
+  };
+
+  const removePromo = () => {
+    clearPromo();
+    setPromoInput("");
+  };
 
   return (
     <div className="cart">
@@ -30,25 +54,45 @@ const Cart = () => {
         </div>
         <br />
         <hr />
-        {food_list.map((item, index) => {
-          if (cartItems[item._id] > 0 && item && typeof item.price !== 'undefined') {
-            return (
-              <div key={item._id}>
-                <div className="cart-items-title cart-items-item">
-                  <img src={item.image && item.image.startsWith('http') ? item.image : url + (item.image || '')} alt="" />
-                  <p>{item.name || ''}</p>
-                  <p>${item.price}</p>
-                  <p>{cartItems[item._id]}</p>
-                  <p>${item.price * cartItems[item._id]}</p>
-                  <p onClick={() => removeFromCart(item._id)} className="cross">
-                    x
+        {cart.lines.map((line) => (
+          <div key={line.lineId}>
+            <div className={`cart-items-title cart-items-item${line.available ? "" : " cart-item-unavailable"}`}>
+              <img src={line.image && line.image.startsWith('http') ? line.image : url + (line.image || '')} alt="" />
+              <div>
+                <p>{line.name || TRANSLATIONS.cart.unavailable}</p>
+                {line.optionDetails?.length > 0 && (
+                  <p className="cart-item-options">{line.optionDetails.map((option) => option.name).join(", ")}</p>
+                )}
+                {!line.available && line.name && (
+                  <p className="cart-item-options">
+                    {TRANSLATIONS.availability[line.unavailableReason] || TRANSLATIONS.cart.unavailable}
                   </p>
-                </div>
-                <hr />
+                )}
+                <input
+                  className="cart-item-note"
+                  type="text"
+                  maxLength={140}
+                  defaultValue={line.note}
+                  placeholder={TRANSLATIONS.cart.notePlaceholder}
+                  onBlur={(event) => {
+                    if (event.target.value.trim() !== line.note) setLineNote(line.lineId, event.target.value);
+                  }}
+                />
+              </div>
+              <p>${line.unitPrice}</p>
+              <div className="cart-item-quantity">
+                <button onClick={() => setLineQuantity(line.lineId, line.quantity - 1)}>-</button>
+                <p>{line.quantity}</p>
+                <button onClick={() => setLineQuantity(line.lineId, line.quantity + 1)} disabled={!line.available}>+</button>
               </div>
-            );
-          }
-        })}
+              <p>${line.lineTotal}</p>
+              <p onClick={() => setLineQuantity(line.lineId, 0)} className="cross">
+                x
+              </p>
+            </div>
+            <hr />
+          </div>
+        ))}
       </div>
       <div className="cart-bottom">
         <div className="cart-total">
@@ -56,17 +100,26 @@ const Cart = () => {
           <div>
             <div className="cart-total-details">
               <p>{TRANSLATIONS.cart.subtotal}</p>
-              <p>${getTotalCartAmount()}</p>
+              <p>${cart.subtotal}</p>
             </div>
             <hr />
             <div className="cart-total-details">
               <p>{TRANSLATIONS.cart.deliveryFee}</p>
-              <p>${getTotalCartAmount()===0?0:2}</p>
+              <p>{TRANSLATIONS.cart.deliveryByNeighborhood}</p>
             </div>
+            {promo && (
+              <>
+                <hr />
+                <div className="cart-total-details cart-discount">
+                  <p>{TRANSLATIONS.cart.discount} ({promo.code})</p>
+                  <p>-${promo.promotion?.itemsDiscount || 0}</p>
+                </div>
+              </>
+            )}
             <hr />
             <div className="cart-total-details">
               <b>{TRANSLATIONS.cart.total}</b>
-              <b>${getTotalCartAmount()===0?0:getTotalCartAmount()+2}</b>
+              <b>${getItemsTotal(cart, promo)}</b>
             </div>
           </div>
           <button onClick={()=>navigate('/order')}>{TRANSLATIONS.cart.proceedToCheckout}</button>
@@ -74,10 +127,21 @@ const Cart = () => {
         <div className="cart-promocode">
           <div>
             <p>{TRANSLATIONS.cart.promoCode}</p>
-            <div className="cart-promocode-input">
-              <input type="text" placeholder={TRANSLATIONS.cart.promoCodePlaceholder} />
-              <button>{TRANSLATIONS.cart.submit}</button>
-            </div>
+            <form className="cart-promocode-input" onSubmit={submitPromo}>
+              <input
+                type="text"
+                value={promoInput}
+                onChange={(e) => setPromoInput(e.target.value.toUpperCase())}
+                placeholder={TRANSLATIONS.cart.promoCodePlaceholder}
+              />
+              <button type="submit">{TRANSLATIONS.cart.submit}</button>
+            </form>
+            {promo && (
+              <p className="cart-promocode-applied">
+                {promo.description || promo.code}
+                <button type="button" onClick={removePromo}>{TRANSLATIONS.cart.removePromo}</button>
+              </p>
+            )}
           </div>
         </div>
       </div>
@@ -2,8 +2,11 @@ import React, { useContext, useEffect, useState } from "react";
 import "./MyOrders.css";
 import { StoreContext } from "../../context/StoreContext";
 import axios from "axios";
+import { toast } from "react-toastify";
 import { assets } from "../../assets/frontend_assets/assets";
 import { TRANSLATIONS, getOrderStatusTranslation } from "../../constants/translations";
+import { subscribeOrderEvents } from "../../services/orderEvents";
+import { formatStoreTime } from "../../utils/storeStatus";
 
 const MyOrders = () => {
   const { url, token } = useContext(StoreContext);
@@ -20,11 +23,57 @@ const MyOrders = () => {
     }
   };
 
+  const cancelOrder = async (orderId) => {
+    if (!window.confirm(TRANSLATIONS.order.confirmCancel)) return;
+    try {
+      const response = await axios.post(
+        `${url}/api/order/${orderId}/cancel`,
+        {},
+        { headers: { token } }
+      );
+      if (response.data.success && response.data.data?.refundError) {
+        toast.warning(TRANSLATIONS.messages.refundFailedAfterCancel);
+      } else if (response.data.success) {
+        toast.success(TRANSLATIONS.messages.orderCancelled);
+      } else {
+        toast.error(response.data.message || TRANSLATIONS.messages.errorCancellingOrder);
+      }
+    } catch (error) {
+      // 409: the kitchen already started
+      toast.error(error.response?.data?.message || TRANSLATIONS.messages.errorCancellingOrder);
+    }
+    await fetchOrders();
+  };
+
+  // Latest refund of the order, e.g. "Reembolso total R$ 25.00 (concluído)"
+  const getRefundLabel = (order) => {
+    const refund = order.refunds?.[order.refunds.length - 1];
+    if (!refund) return null;
+    const kind = order.refundedAmount >= order.amount ? TRANSLATIONS.order.refund.full : TRANSLATIONS.order.refund.partial;
+    const state = TRANSLATIONS.order.refund[refund.status] || TRANSLATIONS.order.refund.processing;
+    return `${kind} R$ ${Number(order.refundedAmount).toFixed(2)} (${state})`;
+  };
+
   useEffect(() => {
     if (token) {
       fetchOrders();
     }
   }, [token]);
+
+  // Live updates of the customer's own orders (the server filters the events)
+  useEffect(() => {
+    return subscribeOrderEvents(url, token, {
+      onEvent: (type, data) => {
+        if (type === "order.driver") {
+          if (data.driver) toast.info(`${TRANSLATIONS.order.driverAssigned}: ${data.driver.name}`);
+        } else {
+          toast.info(`${TRANSLATIONS.order.statusChanged}: ${getOrderStatusTranslation(data.status)}`);
+        }
+        fetchOrders();
+      },
+      onResync: fetchOrders,
+    });
+  }, [url, token]);
   return (
     <div className="my-orders">
       <h2>{TRANSLATIONS.order.orders}</h2>
@@ -35,38 +84,52 @@ const MyOrders = () => {
               <img src={assets.parcel_icon} alt="" />
               <p>
                 {order.items.map((item, index) => {
+                  const options = item.options?.length ? ` (${item.options.map((option) => option.name).join(", ")})` : "";
                   if (index === order.items.length - 1) {
-                    return item.name + " X " + item.quantity;
+                    return item.name + options + " X " + item.quantity;
                   } else {
-                    return item.name + " X " + item.quantity + ",";
+                    return item.name + options + " X " + item.quantity + ",";
                   }
                 })}
               </p>
               <p>${order.amount}.00</p>
               <p>{TRANSLATIONS.order.items}: {order.items.length}</p>
-              <p>
-                <span>&#x25cf;</span>
-                <b> {getOrderStatusTranslation(order.status)}</b>
-              </p>
-              {order.driver ? (
-                <div className="driver-info">
-                  <p className="driver-name">{TRANSLATIONS.order.driver}: {order.driver.name}</p>
-                  <a
-                    href={`https://wa.me/${order.driver.whatsapp}?text=${encodeURIComponent(
-                      `Olá ${order.driver.name}, estou acompanhando meu pedido #${order._id.slice(-6)}`
-                    )}`}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="track-button whatsapp"
-                  >
-                    {TRANSLATIONS.order.contactDriver}
-                  </a>
-                </div>
-              ) : (
-                <button className="track-button disabled" disabled>
-                  {TRANSLATIONS.order.driverNotAssigned}
-                </button>
-              )}
+              <div>
+                <p>
+                  <span>&#x25cf;</span>
+                  <b> {getOrderStatusTranslation(order.status)}</b>
+                </p>
+                {getRefundLabel(order) && <p className="refund-status">{getRefundLabel(order)}</p>}
+                {order.scheduledFor && (
+                  <p className="order-scheduled">{TRANSLATIONS.store.scheduledFor} {formatStoreTime(order.scheduledFor)}</p>
+                )}
+              </div>
+              <div className="my-orders-actions">
+                {order.driver ? (
+                  <div className="driver-info">
+                    <p className="driver-name">{TRANSLATIONS.order.driver}: {order.driver.name}</p>
+                    <a
+                      href={`https://wa.me/${order.driver.whatsapp}?text=${encodeURIComponent(
+                        `Olá ${order.driver.name}, estou acompanhando meu pedido #${order._id.slice(-6)}`
+                      )}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="track-button whatsapp"
+                    >
+                      {TRANSLATIONS.order.contactDriver}
+                    </a>
+                  </div>
+                ) : (
+                  <button className="track-button disabled" disabled>
+                    {TRANSLATIONS.order.driverNotAssigned}
+                  </button>
+                )}
+                {order.cancellable && (
+                  <button className="cancel-button" onClick={() => cancelOrder(order._id)}>
+                    {TRANSLATIONS.order.cancelOrder}
+                  </button>
+                )}
+              </div>
             </div>
           );
         })}
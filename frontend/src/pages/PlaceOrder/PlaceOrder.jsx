@@ -1,25 +1,62 @@
 import React, { useContext, useEffect, useState } from "react";
 import "./PlaceOrder.css";
 import { StoreContext } from "../../context/StoreContext";
-import { TRANSLATIONS } from "../../constants/translations";
+import { TRANSLATIONS, getPaymentMethodTranslation, getTranslation } from "../../constants/translations";
 import axios from "axios";
 import { toast } from "react-toastify";
 import { useNavigate } from 'react-router-dom'
+import { describeStoreStatus, formatStoreTime } from "../../utils/storeStatus";
+import { getItemsTotal, priceDelivery, toOrderItems } from "../../utils/cart";
+
+const EMPTY_ADDRESS = {
+  street: "",
+  number: "",
+  neighborhood: "",
+  cep: "",
+  complement: "",
+  reference: "",
+};
+
+const pickAddressFields = (address) =>
+  Object.fromEntries(Object.keys(EMPTY_ADDRESS).map((field) => [field, address[field] || ""]));
 
 const PlaceOrder = () => {
   const navigate= useNavigate();
 
-  const { getTotalCartAmount, token, food_list, cartItems, url, user } =
+  const { getTotalCartAmount, token, cart, resetCart, url, user, storeStatus, fetchStoreStatus, promo, applyPromoCode, clearPromo } =
     useContext(StoreContext);
-  const [data, setData] = useState({
-    street: "",
-    number: "",
-    neighborhood: "",
-    cep: "",
-  });
+  const [data, setData] = useState(EMPTY_ADDRESS);
 
   const [neighborhoods, setNeighborhoods] = useState([]);
-  const [selectedZone, setSelectedZone] = useState("");
+  // Saved addresses; an empty selection means a new address
+  const [addresses, setAddresses] = useState([]);
+  const [selectedAddressId, setSelectedAddressId] = useState("");
+  const [saveAddress, setSaveAddress] = useState(false);
+  const [addressLabel, setAddressLabel] = useState("");
+  const [lookingUpCep, setLookingUpCep] = useState(false);
+  // Device location and the zone whose area contains it
+  const [location, setLocation] = useState(null);
+  const [locatedZone, setLocatedZone] = useState(null);
+  const [locating, setLocating] = useState(false);
+  const [paymentMethods, setPaymentMethods] = useState([]);
+  const [paymentMethod, setPaymentMethod] = useState("");
+  const [pixCharge, setPixCharge] = useState(null);
+  // Empty means as soon as possible
+  const [scheduledFor, setScheduledFor] = useState("");
+
+  // While closed or busy only scheduled orders are accepted
+  const storeOpen = storeStatus?.open ?? true;
+  const slots = storeStatus?.slots || [];
+  const canSchedule = Boolean(storeStatus?.scheduledOrders?.enabled) && slots.length > 0;
+  const canOrder = storeOpen || (canSchedule && scheduledFor !== "");
+
+  // Fee, minimum and ETA of the zone serving the customer's location or chosen neighborhood
+  const zoneTerms = locatedZone || neighborhoods.find((item) => item.neighborhood === data.neighborhood) || null;
+  const selectedZone = zoneTerms?.zone || "";
+  const delivery = priceDelivery(cart, zoneTerms);
+  const minimumMessage = zoneTerms
+    ? getTranslation("order.belowMinimum", "", { amount: Number(zoneTerms.minimumOrder).toFixed(2) })
+    : "";
 
   const onChangeHandler = (event) => {
     const name = event.target.name;
@@ -29,18 +66,122 @@ const PlaceOrder = () => {
 
   const onNeighborhoodChange = (event) => {
     const selectedNeighborhood = event.target.value;
-    const neighborhoodData = neighborhoods.find(n => n.neighborhood === selectedNeighborhood);
-    
     setData(prev => ({ 
       ...prev, 
       neighborhood: selectedNeighborhood 
     }));
-    
-    if (neighborhoodData) {
-      setSelectedZone(neighborhoodData.zone);
+  };
+
+  const selectAddress = (addressId, list = addresses) => {
+    const address = list.find((entry) => entry._id === addressId);
+    setSelectedAddressId(address ? address._id : "");
+    setData(address ? pickAddressFields(address) : EMPTY_ADDRESS);
+    setLocation(null);
+    setLocatedZone(null);
+  };
+
+  // Area and radius zones are matched by coordinates instead of neighborhood name
+  const locateCustomer = () => {
+    if (!navigator.geolocation) {
+      toast.error(TRANSLATIONS.order.locationUnavailable);
+      return;
     }
+
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      async ({ coords }) => {
+        const point = { lat: coords.latitude, lng: coords.longitude };
+        try {
+          const response = await axios.get(`${url}/api/zone/locate`, { params: point });
+          if (response.data.success) {
+            setLocation(point);
+            setLocatedZone(response.data.data);
+          }
+        } catch (error) {
+          setLocation(null);
+          setLocatedZone(null);
+          toast.error(error.response?.data?.message || TRANSLATIONS.order.locationNotServed);
+        } finally {
+          setLocating(false);
+        }
+      },
+      () => {
+        setLocating(false);
+        toast.error(TRANSLATIONS.order.locationDenied);
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
   };
 
+  // A full CEP fills in the street and, when we deliver there, the neighborhood
+  const onCepChange = async (event) => {
+    const cep = event.target.value;
+    setData((data) => ({ ...data, cep }));
+    const digits = cep.replace(/\D/g, "");
+    if (digits.length !== 8) return;
+
+    setLookingUpCep(true);
+    try {
+      const response = await axios.get(`${url}/api/address/cep/${digits}`, { headers: { token } });
+      if (response.data.success) {
+        const found = response.data.data;
+        setData((data) => ({
+          ...data,
+          cep: found.cep,
+          street: found.street || data.street,
+          neighborhood: found.zone ? found.neighborhood : data.neighborhood,
+        }));
+        if (!found.zone) {
+          toast.warn(getTranslation("order.cepNotServed", "", { neighborhood: found.neighborhood }));
+        }
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || TRANSLATIONS.order.cepLookupFailed);
+    } finally {
+      setLookingUpCep(false);
+    }
+  };
+
+  const removeAddress = async () => {
+    try {
+      const response = await axios.delete(`${url}/api/address/${selectedAddressId}`, { headers: { token } });
+      if (response.data.success) {
+        setAddresses((list) => list.filter((entry) => entry._id !== selectedAddressId));
+        selectAddress("");
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || TRANSLATIONS.messages.serverError);
+    }
+  };
+
+  // Saving is optional: a failure only stops the order when the customer can fix it
+  const saveCurrentAddress = async () => {
+    try {
+      const response = await axios.post(`${url}/api/address`, { ...data, label: addressLabel }, { headers: { token } });
+      if (response.data.success) {
+        setAddresses((list) => [...list, response.data.data]);
+        setSelectedAddressId(response.data.data._id);
+        setSaveAddress(false);
+      }
+      return true;
+    } catch (error) {
+      const details = error.response?.data?.details;
+      toast.error(
+        Array.isArray(details) && details.length > 0
+          ? details.map((detail) => detail.message).join(" • ")
+          : error.response?.data?.message || TRANSLATIONS.messages.serverError
+      );
+      return false;
+    }
+  };
+
+  // The zone's delivery fee changes what a coupon is worth
+  useEffect(() => {
+    if (promo && (data.neighborhood || location)) {
+      applyPromoCode(promo.code, { neighborhood: data.neighborhood, location });
+    }
+  }, [data.neighborhood, location]);
+
   // Fetch neighborhoods on component mount
   useEffect(() => {
     const fetchNeighborhoods = async () => {
@@ -58,6 +199,44 @@ const PlaceOrder = () => {
     fetchNeighborhoods();
   }, [url]);
 
+  // Start from the first saved address
+  useEffect(() => {
+    const fetchAddresses = async () => {
+      try {
+        const response = await axios.get(url + "/api/address", { headers: { token } });
+        if (response.data.success) {
+          setAddresses(response.data.data);
+          if (response.data.data.length > 0) {
+            selectAddress(response.data.data[0]._id, response.data.data);
+          }
+        }
+      } catch (error) {
+        console.error("Error fetching addresses:", error);
+      }
+    };
+
+    if (token) {
+      fetchAddresses();
+    }
+  }, [url, token]);
+
+  // Fetch the payment methods offered by the store
+  useEffect(() => {
+    const fetchPaymentMethods = async () => {
+      try {
+        const response = await axios.get(url + "/api/order/payment-methods");
+        if (response.data.success) {
+          setPaymentMethods(response.data.data);
+          setPaymentMethod((current) => current || response.data.data[0]?.id || "");
+        }
+      } catch (error) {
+        console.error("Error fetching payment methods:", error);
+      }
+    };
+
+    fetchPaymentMethods();
+  }, [url]);
+
   const placeOrder = async (event) => {
     event.preventDefault();
     
@@ -65,19 +244,29 @@ const PlaceOrder = () => {
     console.log('User from context:', user);
     console.log('User name:', user?.name);
     
-    let orderItems = [];
-    food_list.map((item) => {
-      if (cartItems[item._id] > 0) {
-        let itemInfo = item;
-        itemInfo["quantity"] = cartItems[item._id];
-        orderItems.push(itemInfo);
-      }
-    });
+    // The server reprices every line from its ID and quantity; name and price
+    // are only sent so it can reject a stale cart
+    const orderItems = toOrderItems(cart.lines);
     // Validate required fields
     if (!data.street || !data.number || !data.neighborhood) {
       toast.error(TRANSLATIONS.validation.fillRequiredFields);
       return;
     }
+    if (!paymentMethod) {
+      toast.error(TRANSLATIONS.order.noPaymentMethods);
+      return;
+    }
+    if (!canOrder) {
+      toast.error(canSchedule ? TRANSLATIONS.store.chooseTime : TRANSLATIONS.store.closedCheckout);
+      return;
+    }
+    if (delivery.belowMinimum) {
+      toast.error(minimumMessage);
+      return;
+    }
+    if (!selectedAddressId && saveAddress && !(await saveCurrentAddress())) {
+      return;
+    }
 
     let orderData = {
       address: {
@@ -86,20 +275,51 @@ const PlaceOrder = () => {
         neighborhood: data.neighborhood,
         zone: selectedZone,
         cep: data.cep || "",
+        complement: data.complement,
+        reference: data.reference,
+        ...(location && { location }),
         customerName: user?.name || "Cliente"
       },
       items: orderItems,
-      amount: getTotalCartAmount() + 2,
+      amount: promo ? promo.total : delivery.total,
+      paymentMethod,
+      ...(promo && { couponCode: promo.code }),
+      ...(scheduledFor && { scheduledFor }),
     };
     
     console.log('Order data being sent:', JSON.stringify(orderData, null, 2));
     
-    let response = await axios.post(url + "/api/order/place", orderData, {headers: {token}});
-    if (response.data.success) {
-      const {payment_url} = response.data;
-      window.location.replace(payment_url);
-    } else {
-      toast.error(response.data.message || TRANSLATIONS.validation.errorPlacingOrder);
+    try {
+      let response = await axios.post(url + "/api/order/place", orderData, {headers: {token}});
+      if (response.data.success) {
+        const { payment_url, pix } = response.data;
+        if (payment_url) {
+          window.location.replace(payment_url);
+          return;
+        }
+        // The server already emptied the saved cart
+        resetCart();
+        if (pix) {
+          setPixCharge(pix);
+        } else {
+          toast.success(TRANSLATIONS.messages.orderPlaced);
+          navigate("/myorders");
+        }
+      } else {
+        toast.error(response.data.message || TRANSLATIONS.validation.errorPlacingOrder);
+      }
+    } catch (error) {
+      // Pricing mismatches come back as 400 with the reason in the body
+      toast.error(error.response?.data?.message || TRANSLATIONS.validation.errorPlacingOrder);
+      // The store closed or the slot passed while the customer was checking out
+      if (["STORE_CLOSED", "INVALID_SCHEDULED_TIME"].includes(error.response?.data?.code)) {
+        setScheduledFor("");
+        fetchStoreStatus();
+      }
+      // The coupon expired or ran out; the customer can order without it
+      if (error.response?.data?.code?.startsWith("COUPON_")) {
+        clearPromo();
+      }
     }
   };
 
@@ -113,10 +333,65 @@ const PlaceOrder = () => {
       navigate("/cart")
     }
   },[token])
+  const copyPixPayload = async () => {
+    try {
+      await navigator.clipboard.writeText(pixCharge.payload);
+      toast.success(TRANSLATIONS.order.pix.copied);
+    } catch (error) {
+      console.error("Error copying PIX payload:", error);
+    }
+  };
+
+  if (pixCharge) {
+    return (
+      <div className="place-order-pix">
+        <h2>{TRANSLATIONS.order.pix.title}</h2>
+        <p>{TRANSLATIONS.order.pix.instructions}</p>
+        <img src={pixCharge.qrCode} alt={TRANSLATIONS.order.pix.title} />
+        <b>R$ {Number(pixCharge.amount).toFixed(2)}</b>
+        <textarea readOnly value={pixCharge.payload} rows={4} />
+        <button type="button" onClick={copyPixPayload}>{TRANSLATIONS.order.pix.copy}</button>
+        <button type="button" onClick={() => navigate("/myorders")}>{TRANSLATIONS.order.pix.goToOrders}</button>
+      </div>
+    );
+  }
+
   return (
     <form className="place-order" onSubmit={placeOrder}>
       <div className="place-order-left">
         <p className="title">{TRANSLATIONS.order.deliveryInformation}</p>
+        {addresses.length > 0 && (
+          <div className="saved-addresses">
+            <select value={selectedAddressId} onChange={(e) => selectAddress(e.target.value)}>
+              {addresses.map((address) => (
+                <option key={address._id} value={address._id}>
+                  {address.label} - {address.street}, {address.number}
+                </option>
+              ))}
+              <option value="">{TRANSLATIONS.order.newAddress}</option>
+            </select>
+            {selectedAddressId && (
+              <button type="button" onClick={removeAddress}>{TRANSLATIONS.order.removeAddress}</button>
+            )}
+          </div>
+        )}
+        <div className="locate-me">
+          <button type="button" onClick={locateCustomer} disabled={locating}>
+            {locating ? TRANSLATIONS.order.locating : TRANSLATIONS.order.useMyLocation}
+          </button>
+          {locatedZone?.distanceKm !== null && locatedZone?.distanceKm !== undefined && (
+            <span>{getTranslation("order.distance", "", { km: locatedZone.distanceKm.toFixed(1) })}</span>
+          )}
+        </div>
+        <input
+          name="cep"
+          value={data.cep}
+          onChange={onCepChange}
+          type="text"
+          inputMode="numeric"
+          maxLength={9}
+          placeholder={lookingUpCep ? TRANSLATIONS.order.lookingUpCep : TRANSLATIONS.order.cep}
+        />
         <div className="multi-fields">
           <input
             required
@@ -135,29 +410,83 @@ const PlaceOrder = () => {
             placeholder={TRANSLATIONS.order.number}
           />
         </div>
-        <select
-          required
-          name="neighborhood"
-          value={data.neighborhood}
-          onChange={onNeighborhoodChange}
-        >
-          <option value="">{TRANSLATIONS.order.selectNeighborhood}</option>
-          {neighborhoods.map((item, index) => (
-            <option key={index} value={item.neighborhood}>
-              {item.neighborhood} ({item.zone})
-            </option>
-          ))}
-        </select>
-        <input
-          name="cep"
-          value={data.cep}
-          onChange={onChangeHandler}
-          type="text"
-          placeholder={TRANSLATIONS.order.cep}
-        />
+        {/* A located address may be in an area zone that lists no neighborhoods */}
+        {locatedZone ? (
+          <input
+            required
+            name="neighborhood"
+            value={data.neighborhood}
+            onChange={onChangeHandler}
+            type="text"
+            placeholder={TRANSLATIONS.order.neighborhood}
+          />
+        ) : (
+          <select
+            required
+            name="neighborhood"
+            value={data.neighborhood}
+            onChange={onNeighborhoodChange}
+          >
+            <option value="">{TRANSLATIONS.order.selectNeighborhood}</option>
+            {neighborhoods.map((item, index) => (
+              <option key={index} value={item.neighborhood}>
+                {item.neighborhood} ({item.zone})
+              </option>
+            ))}
+          </select>
+        )}
+        <div className="multi-fields">
+          <input
+            name="complement"
+            value={data.complement}
+            onChange={onChangeHandler}
+            type="text"
+            maxLength={60}
+            placeholder={TRANSLATIONS.order.complement}
+          />
+          <input
+            name="reference"
+            value={data.reference}
+            onChange={onChangeHandler}
+            type="text"
+            maxLength={120}
+            placeholder={TRANSLATIONS.order.reference}
+          />
+        </div>
+        {!selectedAddressId && (
+          <div className="save-address">
+            <label>
+              <input type="checkbox" checked={saveAddress} onChange={(e) => setSaveAddress(e.target.checked)} />
+              {TRANSLATIONS.order.saveAddress}
+            </label>
+            {saveAddress && (
+              <input
+                type="text"
+                value={addressLabel}
+                maxLength={30}
+                onChange={(e) => setAddressLabel(e.target.value)}
+                placeholder={TRANSLATIONS.order.addressLabel}
+                required
+              />
+            )}
+          </div>
+        )}
         {selectedZone && (
           <div className="zone-info">
             <p><strong>{TRANSLATIONS.order.deliveryZone}:</strong> {selectedZone}</p>
+            {zoneTerms?.estimatedTime && (
+              <p>
+                <strong>{TRANSLATIONS.order.estimatedTime}:</strong> {zoneTerms.estimatedTime.min === zoneTerms.estimatedTime.max
+                  ? zoneTerms.estimatedTime.min
+                  : `${zoneTerms.estimatedTime.min}-${zoneTerms.estimatedTime.max}`} {TRANSLATIONS.order.minutes}
+              </p>
+            )}
+            {zoneTerms?.minimumOrder > 0 && (
+              <p><strong>{TRANSLATIONS.order.minimumOrder}:</strong> ${Number(zoneTerms.minimumOrder).toFixed(2)}</p>
+            )}
+            {zoneTerms?.freeDeliveryAbove !== null && zoneTerms?.freeDeliveryAbove !== undefined && (
+              <p><strong>{TRANSLATIONS.order.freeDeliveryAbove}:</strong> ${Number(zoneTerms.freeDeliveryAbove).toFixed(2)}</p>
+            )}
           </div>
         )}
       </div>
@@ -172,17 +501,64 @@ const PlaceOrder = () => {
             <hr />
             <div className="cart-total-details">
               <p>{TRANSLATIONS.cart.deliveryFee}</p>
-              <p>${getTotalCartAmount() === 0 ? 0 : 2}</p>
+              <p>
+                {delivery.deliveryFee === null
+                  ? TRANSLATIONS.cart.deliveryByNeighborhood
+                  : zoneTerms && delivery.deliveryFee === 0 ? TRANSLATIONS.order.freeDelivery : `$${delivery.deliveryFee}`}
+              </p>
             </div>
+            {promo && (
+              <>
+                <hr />
+                <div className="cart-total-details cart-discount">
+                  <p>{TRANSLATIONS.cart.discount} ({promo.code})</p>
+                  <p>-${zoneTerms ? promo.discount : promo.promotion?.itemsDiscount || 0}</p>
+                </div>
+              </>
+            )}
             <hr />
             <div className="cart-total-details">
               <b>{TRANSLATIONS.cart.total}</b>
-              <b>
-                ${getTotalCartAmount() === 0 ? 0 : getTotalCartAmount() + 2}
-              </b>
+              {/* The coupon is priced again with the zone once the neighborhood is chosen */}
+              <b>${zoneTerms ? (promo ? promo.total : delivery.total) : getItemsTotal(cart, promo)}</b>
             </div>
+            {delivery.belowMinimum && <p className="minimum-order-notice">{minimumMessage}</p>}
+          </div>
+          <div className="payment-methods">
+            <p className="title">{TRANSLATIONS.order.paymentMethod}</p>
+            {paymentMethods.length === 0 && <p>{TRANSLATIONS.order.noPaymentMethods}</p>}
+            {paymentMethods.map((method) => (
+              <label key={method.id} className="payment-method-option">
+                <input
+                  type="radio"
+                  name="paymentMethod"
+                  value={method.id}
+                  checked={paymentMethod === method.id}
+                  onChange={() => setPaymentMethod(method.id)}
+                />
+                {getPaymentMethodTranslation(method.id)}
+              </label>
+            ))}
           </div>
-          <button type="submit">{TRANSLATIONS.order.proceedToPayment}</button>
+          {(canSchedule || !storeOpen) && (
+            <div className="delivery-time">
+              <p className="title">{TRANSLATIONS.store.deliveryTime}</p>
+              {!storeOpen && <p className="store-closed-notice">{describeStoreStatus(storeStatus)}</p>}
+              {canSchedule && (
+                <select value={scheduledFor} onChange={(e) => setScheduledFor(e.target.value)}>
+                  <option value="" disabled={!storeOpen}>
+                    {storeOpen ? TRANSLATIONS.store.asSoonAsPossible : TRANSLATIONS.store.chooseTime}
+                  </option>
+                  {slots.map((slot) => (
+                    <option key={slot} value={slot}>{formatStoreTime(slot)}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+          )}
+          <button type="submit" disabled={!paymentMethod || !canOrder || delivery.belowMinimum}>
+            {paymentMethod === "mercadopago" ? TRANSLATIONS.order.proceedToPayment : TRANSLATIONS.order.placeOrder}
+          </button>
         </div>
       </div>
     </form>
@@ -54,7 +54,7 @@ const Profile = () => {
       setUser({ ...user, ...form });
       toast.success("Perfil atualizado com sucesso!");
     } catch (err) {
-      toast.error("Erro ao atualizar perfil");
+      toast.error(err.response?.data?.message || "Erro ao atualizar perfil");
     } finally {
       setLoading(false);
     }
@@ -0,0 +1,133 @@
+import React, { useContext, useEffect, useState } from "react";
+import "./Search.css";
+import axios from "axios";
+import { useSearchParams } from "react-router-dom";
+import { StoreContext } from "../../context/StoreContext";
+import { useCategories } from "../../hooks/useCategories";
+import FoodItem from "../../components/FoodItem/FoodItem";
+import { TRANSLATIONS, getTranslation } from "../../constants/translations";
+
+const PAGE_SIZE = 20;
+const SORTS = ["popularity", "price_asc", "price_desc", "name"];
+
+// Filters live in the URL so results can be shared and survive a reload
+const FILTERS = ["q", "category", "minPrice", "maxPrice", "available", "sort"];
+
+const Search = () => {
+  const { url } = useContext(StoreContext);
+  const { categories } = useCategories();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [foods, setFoods] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const filters = Object.fromEntries(FILTERS.map((name) => [name, searchParams.get(name) || ""]));
+
+  const fetchPage = async (page) => {
+    setLoading(true);
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ""));
+      const response = await axios.get(url + "/api/food/search", { params: { ...params, page, limit: PAGE_SIZE } });
+      if (response.data.success) {
+        setFoods((current) => (page === 1 ? response.data.data : [...current, ...response.data.data]));
+        setPagination(response.data.pagination);
+      }
+    } catch (error) {
+      console.error("Error searching foods:", error);
+      setFoods([]);
+      setPagination(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPage(1);
+  }, [url, searchParams]);
+
+  const setFilter = (name, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value === "" || value === false) {
+      next.delete(name);
+    } else {
+      next.set(name, value);
+    }
+    setSearchParams(next);
+  };
+
+  return (
+    <div className="search-page">
+      <h2>
+        {filters.q
+          ? getTranslation("search.resultsFor", "", { query: filters.q })
+          : TRANSLATIONS.search.title}
+      </h2>
+      <div className="search-filters">
+        <select value={filters.category} onChange={(e) => setFilter("category", e.target.value)}>
+          <option value="">{TRANSLATIONS.search.allCategories}</option>
+          {(categories || []).map((item) => (
+            <option key={item._id || item.original_name} value={item._id || item.original_name}>
+              {item.menu_name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          step="0.5"
+          value={filters.minPrice}
+          onChange={(e) => setFilter("minPrice", e.target.value)}
+          placeholder={TRANSLATIONS.search.minPrice}
+        />
+        <input
+          type="number"
+          min="0"
+          step="0.5"
+          value={filters.maxPrice}
+          onChange={(e) => setFilter("maxPrice", e.target.value)}
+          placeholder={TRANSLATIONS.search.maxPrice}
+        />
+        <label>
+          <input
+            type="checkbox"
+            checked={filters.available === "true"}
+            onChange={(e) => setFilter("available", e.target.checked && "true")}
+          />
+          {TRANSLATIONS.search.availableOnly}
+        </label>
+        <select value={filters.sort || SORTS[0]} onChange={(e) => setFilter("sort", e.target.value)}>
+          {SORTS.map((sort) => (
+            <option key={sort} value={sort}>{TRANSLATIONS.search.sorts[sort]}</option>
+          ))}
+        </select>
+      </div>
+      {pagination && (
+        <p className="search-count">{getTranslation("search.count", "", { total: pagination.total })}</p>
+      )}
+      {!loading && pagination?.total === 0 && <p className="search-empty">{TRANSLATIONS.search.noResults}</p>}
+      <div className="search-results">
+        {foods.map((item) => (
+          <FoodItem
+            key={item._id}
+            id={item._id}
+            name={item.name}
+            description={item.description}
+            price={item.price ?? 0}
+            image={item.image}
+            imageVariants={item.imageVariants}
+            optionGroups={item.optionGroups}
+            available={item.available ?? true}
+            unavailableReason={item.unavailableReason}
+          />
+        ))}
+      </div>
+      {pagination?.hasNextPage && (
+        <button type="button" className="search-more" disabled={loading} onClick={() => fetchPage(pagination.page + 1)}>
+          {loading ? TRANSLATIONS.search.loading : TRANSLATIONS.search.loadMore}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default Search;
@@ -8,24 +8,41 @@ import { toast } from "react-toastify";
 
 const Verify = () => {
     const [searchParams,setSearchParams]=useSearchParams();
-    const success=searchParams.get("success");
     const orderId=searchParams.get("orderId");
-    const {url} =useContext(StoreContext);
+    // Added by MercadoPago to the return URL; the server checks it against the order
+    const paymentId=searchParams.get("payment_id");
+    const {url,token} =useContext(StoreContext);
     const navigate= useNavigate();
 
+    // Read-only check: the payment status comes from the provider, not from the URL
     const verifyPayment=async()=>{
-        const response= await axios.post(url+"/api/order/verify",{success,orderId});
-        if(response.data.success){
+        try {
+            const response= await axios.post(url+"/api/order/verify",{orderId,paymentId},{headers:{token}});
+            if(!response.data.success){
+                toast.error(TRANSLATIONS.messages.serverError);
+                navigate("/");
+                return;
+            }
+            const {payment,paymentStatus}=response.data.data;
+            if(payment){
+                toast.success(TRANSLATIONS.messages.orderPlaced);
+            }else if(paymentStatus==="rejected"||paymentStatus==="cancelled"){
+                toast.error(TRANSLATIONS.messages.paymentFailed);
+            }else{
+                toast.info(TRANSLATIONS.messages.paymentProcessing);
+            }
             navigate("/myorders");
-            toast.success(TRANSLATIONS.messages.orderPlaced);
-        }else{
-            toast.error(TRANSLATIONS.messages.serverError);
+        } catch (error) {
+            console.error("Error verifying payment:", error);
+            toast.error(error.response?.data?.message || TRANSLATIONS.messages.serverError);
             navigate("/");
         }
     }
     useEffect(()=>{
-        verifyPayment();
-    },[])
+        if(token){
+            verifyPayment();
+        }
+    },[token])
   return (
     <div className='verify'>
         <div className="spinner"></div>
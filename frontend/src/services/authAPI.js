@@ -0,0 +1,120 @@
+import axios from "axios";
+
+/**
+ * Auth API service for frontend
+ * Password / WhatsApp code login and transparent access-token refresh
+ */
+
+const REFRESH_TOKEN_KEY = "refreshToken";
+
+export const getStoredRefreshToken = () => {
+  try {
+    return localStorage.getItem(REFRESH_TOKEN_KEY);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Persist the session returned by any login/refresh endpoint
+ * @param {Object} session - { token, refreshToken, user }
+ */
+export const storeSession = ({ token, refreshToken, user }) => {
+  localStorage.setItem("token", token);
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
+  if (user) {
+    localStorage.setItem("user", JSON.stringify(user));
+  }
+};
+
+export const clearStoredSession = () => {
+  localStorage.removeItem("token");
+  localStorage.removeItem("user");
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+export const loginWithPassword = (url, credentials) =>
+  axios.post(url + "/api/user/login", credentials);
+
+export const registerWithPassword = (url, data) =>
+  axios.post(url + "/api/user/register", data);
+
+export const requestLoginCode = (url, whatsapp) =>
+  axios.post(url + "/api/user/otp/request", { whatsapp });
+
+export const verifyLoginCode = (url, data) =>
+  axios.post(url + "/api/user/otp/verify", data);
+
+/**
+ * Revoke the refresh token on the server (errors are ignored - the local
+ * session is cleared either way)
+ */
+export const logoutSession = async (url) => {
+  const refreshToken = getStoredRefreshToken();
+  if (!refreshToken) return;
+  try {
+    await axios.post(url + "/api/user/logout", { refreshToken });
+  } catch (error) {
+    console.warn("Logout request failed:", error);
+  }
+};
+
+let refreshPromise = null;
+
+const refreshAccessToken = async (url) => {
+  const refreshToken = getStoredRefreshToken();
+  if (!refreshToken) {
+    throw new Error("No refresh token");
+  }
+  // Concurrent 401s share a single refresh call
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(url + "/api/user/refresh", { refreshToken })
+      .then((response) => {
+        storeSession(response.data);
+        return response.data;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Retry requests rejected with TOKEN_EXPIRED after refreshing the access token
+ * @param {string} url - Backend URL
+ * @param {Object} handlers - { onRefreshed(session), onSessionExpired() }
+ * @returns {Function} - Removes the interceptor
+ */
+export const setupTokenRefresh = (url, { onRefreshed, onSessionExpired }) => {
+  const interceptor = axios.interceptors.response.use(undefined, async (error) => {
+    const { config, response } = error;
+    const expired = response?.status === 401 && response.data?.code === "TOKEN_EXPIRED";
+
+    if (!expired || !config || config._retried) {
+      return Promise.reject(error);
+    }
+
+    try {
+      const session = await refreshAccessToken(url);
+      onRefreshed?.(session);
+      config._retried = true;
+      config.headers = { ...config.headers };
+      if (config.headers.token) {
+        config.headers.token = session.token;
+      }
+      if (config.headers.Authorization) {
+        config.headers.Authorization = `Bearer ${session.token}`;
+      }
+      return axios(config);
+    } catch (refreshError) {
+      onSessionExpired?.();
+      return Promise.reject(error);
+    }
+  });
+
+  return () => axios.interceptors.response.eject(interceptor);
+};
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { EMPTY_CART, getItemsTotal, priceDelivery, priceGuestCart } from '../cart';
+
+const cart = { lines: [], itemCount: 2, subtotal: 30 };
+
+describe('cart', () => {
+  it('should leave the delivery fee out of guest carts', () => {
+    const priced = priceGuestCart(
+      [{ lineId: 'l1', itemId: 'f1', quantity: 2, options: [], note: '' }],
+      [{ _id: 'f1', name: 'Pastel', price: 8.5 }]
+    );
+
+    expect(priced).toMatchObject({ itemCount: 2, subtotal: 17 });
+    expect(priced).not.toHaveProperty('deliveryFee');
+  });
+
+  it('should price delivery with the zone only', () => {
+    const zone = { deliveryFee: 5, minimumOrder: 40, freeDeliveryAbove: null };
+
+    expect(priceDelivery(cart, null)).toEqual({ deliveryFee: null, total: 30, belowMinimum: false });
+    expect(priceDelivery(cart, zone)).toEqual({ deliveryFee: 5, total: 35, belowMinimum: true });
+    expect(priceDelivery(cart, { ...zone, freeDeliveryAbove: 25 })).toMatchObject({ deliveryFee: 0, total: 30 });
+    expect(priceDelivery(EMPTY_CART, zone)).toEqual({ deliveryFee: 0, total: 0, belowMinimum: false });
+  });
+
+  it('should only take the discount on items from the cart total', () => {
+    const promo = { total: 27, discount: 5, promotion: { itemsDiscount: 3, deliveryDiscount: 2 } };
+
+    expect(getItemsTotal(cart, promo)).toBe(27);
+    expect(getItemsTotal(cart, null)).toBe(30);
+  });
+});
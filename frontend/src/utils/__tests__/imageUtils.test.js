@@ -3,7 +3,8 @@ import {
   resolveImageUrl, 
   getImageWithFallback, 
   isValidImagePath, 
-  normalizeImagePath 
+  normalizeImagePath,
+  buildImageSrcSet
 } from '../imageUtils';
 
 describe('imageUtils', () => {
@@ -124,4 +125,23 @@ describe('imageUtils', () => {
       expect(normalizeImagePath('image.jpg')).toBe('/uploads/image.jpg');
     });
   });
+
+  describe('buildImageSrcSet', () => {
+    it('should list every variant width in ascending order', () => {
+      const variants = {
+        id: '65f0c0ffee0000000000abcd',
+        sizes: { '640': {}, '160': {}, '320': {} }
+      };
+      expect(buildImageSrcSet(variants, baseUrl)).toBe(
+        'http://localhost:4000/images/65f0c0ffee0000000000abcd?w=160 160w, ' +
+        'http://localhost:4000/images/65f0c0ffee0000000000abcd?w=320 320w, ' +
+        'http://localhost:4000/images/65f0c0ffee0000000000abcd?w=640 640w'
+      );
+    });
+
+    it('should return undefined without variants', () => {
+      expect(buildImageSrcSet(null, baseUrl)).toBeUndefined();
+      expect(buildImageSrcSet({ id: 'abc', sizes: {} }, baseUrl)).toBeUndefined();
+    });
+  });
 });
\ No newline at end of file
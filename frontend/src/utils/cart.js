@@ -0,0 +1,191 @@
+/**
+ * Cart helpers
+ * Logged-in customers use the cart saved on the server (/api/cart), which
+ * returns priced lines. Guests keep their lines in localStorage; they are
+ * priced here with the menu and merged into the server cart at login.
+ */
+
+const GUEST_CART_KEY = "guestCart";
+
+// Carts have no delivery fee: it depends on the zone chosen at checkout (priceDelivery)
+export const EMPTY_CART = { lines: [], itemCount: 0, subtotal: 0 };
+
+const roundCurrency = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const normalizeNote = (note) => (note || "").trim().replace(/\s+/g, " ");
+
+/**
+ * Identifies lines that can be merged: same food, options and note
+ * (matches getLineKey in the backend's utils/orderPricing.js)
+ */
+export const getLineKey = (itemId, options = [], note = "") =>
+  `${itemId}|${[...new Set(options)].sort().join(",")}|${normalizeNote(note)}`;
+
+/**
+ * Guest cart lines saved in the browser
+ * @returns {Array} - [{ lineId, itemId, quantity, options, note }]
+ */
+export const loadGuestCart = () => {
+  try {
+    const lines = JSON.parse(localStorage.getItem(GUEST_CART_KEY) || "[]");
+    return Array.isArray(lines) ? lines.filter((line) => line?.itemId && line.quantity > 0) : [];
+  } catch (error) {
+    console.warn("Invalid guest cart:", error);
+    return [];
+  }
+};
+
+export const saveGuestCart = (lines) => {
+  if (lines.length > 0) {
+    localStorage.setItem(GUEST_CART_KEY, JSON.stringify(lines));
+  } else {
+    localStorage.removeItem(GUEST_CART_KEY);
+  }
+};
+
+/**
+ * Add a food to guest lines, merging identical lines
+ * @returns {Array} - New lines
+ */
+export const addGuestLine = (lines, { itemId, quantity = 1, options = [], note = "" }) => {
+  const lineId = getLineKey(itemId, options, note);
+  if (lines.some((line) => line.lineId === lineId)) {
+    return lines.map((line) => (line.lineId === lineId ? { ...line, quantity: line.quantity + quantity } : line));
+  }
+  return [...lines, { lineId, itemId, quantity, options: [...new Set(options)].sort(), note: normalizeNote(note) }];
+};
+
+/**
+ * Take one unit off the latest line of a food (never below zero)
+ * @returns {Array} - New lines
+ */
+export const removeGuestUnit = (lines, itemId) => {
+  const target = [...lines].reverse().find((line) => line.itemId === itemId);
+  if (!target) return lines;
+  return setGuestQuantity(lines, target.lineId, target.quantity - 1);
+};
+
+/**
+ * Set the quantity of a guest line (0 removes it)
+ * @returns {Array} - New lines
+ */
+export const setGuestQuantity = (lines, lineId, quantity) =>
+  quantity > 0
+    ? lines.map((line) => (line.lineId === lineId ? { ...line, quantity } : line))
+    : lines.filter((line) => line.lineId !== lineId);
+
+/**
+ * Change the note of a guest line, merging it into an identical line
+ * @returns {Array} - New lines
+ */
+export const setGuestNote = (lines, lineId, note) => {
+  const target = lines.find((line) => line.lineId === lineId);
+  if (!target) return lines;
+  return addGuestLine(lines.filter((line) => line.lineId !== lineId), { ...target, note });
+};
+
+/**
+ * Selected options of a food with their prices
+ * @param {Object} food - Menu food with `optionGroups`
+ * @param {Array} optionIds - Selected option IDs
+ * @returns {Array} - [{ optionId, group, name, price }]
+ */
+const getOptionDetails = (food, optionIds = []) =>
+  (food?.optionGroups || []).flatMap((group) =>
+    group.options
+      .filter((option) => optionIds.includes(option._id))
+      .map((option) => ({ optionId: option._id, group: group.name, name: option.name, price: option.price || 0 }))
+  );
+
+/**
+ * Price guest lines with the menu, in the same shape the server returns
+ * @param {Array} lines - Guest lines
+ * @param {Array} foodList - Menu
+ * @returns {Object} - { lines, itemCount, subtotal }
+ */
+export const priceGuestCart = (lines, foodList) => {
+  const priced = lines.map((line) => {
+    const food = foodList.find((item) => item._id === line.itemId);
+    const optionDetails = getOptionDetails(food, line.options);
+    const extra = optionDetails.reduce((total, option) => total + option.price, 0);
+    const unitPrice = food ? roundCurrency(food.price + extra) : 0;
+    return {
+      ...line,
+      optionDetails,
+      name: food?.name || null,
+      image: food?.image || null,
+      unitPrice,
+      lineTotal: roundCurrency(unitPrice * line.quantity),
+      available: Boolean(food) && food.available !== false && optionDetails.length === (line.options || []).length,
+      unavailableReason: food?.unavailableReason || null,
+    };
+  });
+
+  const available = priced.filter((line) => line.available);
+  const itemCount = available.reduce((count, line) => count + line.quantity, 0);
+  const subtotal = roundCurrency(available.reduce((total, line) => total + line.lineTotal, 0));
+
+  return { lines: priced, itemCount, subtotal };
+};
+
+/**
+ * Order lines sent to /api/order/place and /api/promo/validate
+ * The server reprices every line from its ID and quantity; name and price
+ * are only sent so it can reject a stale cart.
+ * @param {Array} lines - Priced cart lines
+ * @returns {Array} - [{ _id, name, price, quantity, options, note }]
+ */
+export const toOrderItems = (lines) =>
+  lines
+    .filter((line) => line.available)
+    .map((line) => ({
+      _id: line.itemId,
+      name: line.name,
+      price: line.unitPrice,
+      quantity: line.quantity,
+      options: line.options,
+      note: line.note,
+    }));
+
+/**
+ * Delivery fee and total for the neighborhood chosen at checkout
+ * (matches calculateZoneDeliveryFee in the backend's utils/zoneDelivery.js)
+ * @param {Object} cart - Priced cart
+ * @param {Object|null} zone - Entry from /api/zone/neighborhoods/all, null before choosing
+ * @returns {Object} - { deliveryFee, total, belowMinimum }; deliveryFee is null
+ *   until a neighborhood is chosen
+ */
+export const priceDelivery = (cart, zone) => {
+  if (cart.itemCount === 0) {
+    return { deliveryFee: 0, total: 0, belowMinimum: false };
+  }
+  if (!zone) {
+    return { deliveryFee: null, total: cart.subtotal, belowMinimum: false };
+  }
+
+  const free = zone.freeDeliveryAbove !== null && cart.subtotal >= zone.freeDeliveryAbove;
+  const deliveryFee = free ? 0 : zone.deliveryFee;
+  return {
+    deliveryFee,
+    total: roundCurrency(cart.subtotal + deliveryFee),
+    belowMinimum: cart.subtotal < (zone.minimumOrder || 0),
+  };
+};
+
+/**
+ * Total of the cart page, before a delivery address is chosen: the items
+ * less the coupon's discount on them (a delivery discount counts at checkout)
+ * @param {Object} cart - Priced cart
+ * @param {Object|null} promo - Quote from /api/promo/validate
+ * @returns {number} - Total in R$
+ */
+export const getItemsTotal = (cart, promo) =>
+  roundCurrency(cart.subtotal - (promo?.promotion?.itemsDiscount || 0));
+
+/**
+ * Quantity of each food across lines, e.g. for the menu counters
+ * @param {Array} lines - Cart lines
+ * @returns {Object} - { [itemId]: quantity }
+ */
+export const countByItem = (lines) =>
+  lines.reduce((counts, line) => ({ ...counts, [line.itemId]: (counts[line.itemId] || 0) + line.quantity }), {});
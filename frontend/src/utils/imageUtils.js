@@ -87,6 +87,25 @@ export const getCacheOptimizedImageUrl = (imagePath, baseUrl, categoryId = null)
   return resolvedUrl;
 };
 
+/**
+ * Builds a srcset from the responsive variants of an uploaded image
+ * Each width points at the backend /images endpoint, which answers with WebP
+ * when the browser accepts it.
+ * @param {Object} variants - The imageVariants of a food or category
+ * @param {string} baseUrl - The base URL of the backend server
+ * @returns {string|undefined} - The srcset value, or undefined without variants
+ */
+export const buildImageSrcSet = (variants, baseUrl = '') => {
+  if (!variants?.id || !variants.sizes) return undefined;
+
+  const widths = Object.keys(variants.sizes).map(Number).sort((a, b) => a - b);
+  if (widths.length === 0) return undefined;
+
+  return widths
+    .map((width) => `${baseUrl}/images/${variants.id}?w=${width} ${width}w`)
+    .join(', ');
+};
+
 /**
  * Gets an image URL with fallback support
  * @param {string} imagePath - The image path from the database
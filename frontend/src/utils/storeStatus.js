@@ -0,0 +1,44 @@
+import { TRANSLATIONS } from "../constants/translations";
+
+/**
+ * Store status helpers
+ * The status comes from /api/store/status: { open, reason, message,
+ * closesAt, nextOpeningAt, scheduledOrders, slots }.
+ */
+
+const isSameDay = (a, b) => a.toDateString() === b.toDateString();
+
+/**
+ * Short label for a moment: "14:30", "amanhã 11:00" or "sáb. 11:00"
+ * @param {string} value - ISO date
+ * @param {Date} now - Current moment
+ * @returns {string} - Label
+ */
+export const formatStoreTime = (value, now = new Date()) => {
+  const date = new Date(value);
+  const time = date.toLocaleTimeString("pt-BR", { hour: "2-digit", minute: "2-digit" });
+  if (isSameDay(date, now)) return time;
+
+  const tomorrow = new Date(now);
+  tomorrow.setDate(now.getDate() + 1);
+  if (isSameDay(date, tomorrow)) return `${TRANSLATIONS.store.tomorrow} ${time}`;
+
+  return `${date.toLocaleDateString("pt-BR", { weekday: "short" })} ${time}`;
+};
+
+/**
+ * One-line status for the navbar, e.g. "Aberto · fecha às 15:00"
+ * @param {Object} status - Store status
+ * @returns {string} - Label
+ */
+export const describeStoreStatus = (status) => {
+  if (status.open) {
+    return status.closesAt
+      ? `${TRANSLATIONS.store.open} · ${TRANSLATIONS.store.closesAt} ${formatStoreTime(status.closesAt)}`
+      : TRANSLATIONS.store.open;
+  }
+  const label = status.reason === "PAUSED" ? TRANSLATIONS.store.paused : TRANSLATIONS.store.closed;
+  return status.nextOpeningAt
+    ? `${label} · ${TRANSLATIONS.store.opensAt} ${formatStoreTime(status.nextOpeningAt)}`
+    : label;
+};